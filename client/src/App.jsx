@@ -14,6 +14,18 @@ const InvoiceCreate = lazy(() => import('./pages/InvoiceCreate'));
 const InvoiceEdit = lazy(() => import('./pages/InvoiceEdit'));
 const InvoiceDetail = lazy(() => import('./pages/InvoiceDetail'));
 const InvoiceHistory = lazy(() => import('./pages/InvoiceHistory'));
+const Customers = lazy(() => import('./pages/Customers'));
+const CustomerDetail = lazy(() => import('./pages/CustomerDetail'));
+const Settings = lazy(() => import('./pages/Settings'));
+const ReminderSettings = lazy(() => import('./pages/ReminderSettings'));
+const Catalog = lazy(() => import('./pages/Catalog'));
+const Expenses = lazy(() => import('./pages/Expenses'));
+const Projects = lazy(() => import('./pages/Projects'));
+const ProjectDetail = lazy(() => import('./pages/ProjectDetail'));
+const Reports = lazy(() => import('./pages/Reports'));
+const Trash = lazy(() => import('./pages/Trash'));
+const Recurring = lazy(() => import('./pages/Recurring'));
+const RecurringDetail = lazy(() => import('./pages/RecurringDetail'));
 const NotFound = lazy(() => import('./pages/NotFound'));
 
 // Store
@@ -63,6 +75,18 @@ function App() {
               <Route path="/invoice/:id/edit" element={<InvoiceEdit />} />
               <Route path="/invoice/:id" element={<InvoiceDetail />} />
               <Route path="/history" element={<InvoiceHistory />} />
+              <Route path="/customers" element={<Customers />} />
+              <Route path="/customers/:id" element={<CustomerDetail />} />
+              <Route path="/settings" element={<Settings />} />
+              <Route path="/settings/reminders" element={<ReminderSettings />} />
+              <Route path="/catalog" element={<Catalog />} />
+              <Route path="/expenses" element={<Expenses />} />
+              <Route path="/projects" element={<Projects />} />
+              <Route path="/projects/:id" element={<ProjectDetail />} />
+              <Route path="/reports" element={<Reports />} />
+              <Route path="/trash" element={<Trash />} />
+              <Route path="/recurring" element={<Recurring />} />
+              <Route path="/recurring/:id" element={<RecurringDetail />} />
             </Route>
           </Route>
 
@@ -0,0 +1,248 @@
+import { useState, useEffect, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Select from '../ui/Select';
+import Modal from '../ui/Modal';
+import FilterChip from '../ui/FilterChip';
+import ProjectSelect from '../project/ProjectSelect';
+import { expenseApi, invoiceApi } from '../../services/api';
+import { EXPENSE_CATEGORIES, CATEGORY_ICONS, shrinkReceiptPhoto } from '../../utils/expenses';
+import './ExpenseForm.css';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Add / edit an expense in a modal: category, amount, date, vendor, a
+ * note, the job (invoice) or project it was for and a receipt photo.
+ * The photo is shrunk on the phone and uploaded after the expense is saved.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ * @param {Object|null} props.expense - Expense to edit; null records a new one
+ * @param {string} [props.invoiceId] - Books the expense against this job (hides the job picker)
+ * @param {string} [props.projectId] - Books the expense against this project (only its jobs are offered)
+ * @param {Function} props.onSaved - Called with the saved expense
+ */
+const ExpenseForm = ({ isOpen, onClose, expense, invoiceId, projectId, onSaved }) => {
+    const { t } = useTranslation();
+    const fileRef = useRef(null);
+    const [category, setCategory] = useState('materials');
+    const [jobs, setJobs] = useState([]);
+    // Kept in state: the options load after the form is filled
+    const [jobId, setJobId] = useState('');
+    const [expenseProjectId, setExpenseProjectId] = useState(null);
+    const [receipt, setReceipt] = useState(null); // data URL (new photo) or stored URL
+    const [saving, setSaving] = useState(false);
+
+    const {
+        register,
+        handleSubmit,
+        reset,
+        formState: { errors },
+    } = useForm({ mode: 'onBlur' });
+
+    // Pre-fill each time the form opens
+    useEffect(() => {
+        if (!isOpen) return;
+        reset({
+            amount: expense?.amount ?? '',
+            expense_date: expense?.expense_date ?? today(),
+            vendor: expense?.vendor ?? '',
+            description: expense?.description ?? '',
+        });
+        setCategory(expense?.category ?? 'materials');
+        setJobId(expense?.invoice_id ?? '');
+        setExpenseProjectId(expense?.project_id ?? null);
+        setReceipt(expense?.receipt_url ?? null);
+    }, [isOpen, expense, reset]);
+
+    // Recent invoices (of the project, if any) to book the expense against
+    useEffect(() => {
+        if (!isOpen || invoiceId) return;
+        const fetchJobs = async () => {
+            try {
+                const response = await invoiceApi.getAll({ type: 'invoice', project_id: projectId, limit: 50 });
+                setJobs(response.data.data.invoices || []);
+            } catch (err) {
+                console.error('Fetch jobs error:', err);
+            }
+        };
+        fetchJobs();
+    }, [isOpen, invoiceId, projectId]);
+
+    const jobOptions = [
+        { value: '', label: t('expenses.noJob') },
+        ...jobs.map((inv) => ({ value: inv.id, label: `${inv.invoice_number} · ${inv.customer_name}` })),
+    ];
+    // An older job outside the recent list
+    if (jobId && !jobs.some((inv) => inv.id === jobId)) {
+        jobOptions.push({ value: jobId, label: t('expenses.linkedJob') });
+    }
+
+    const handlePhoto = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        if (!file.type.startsWith('image/')) {
+            toast.error(t('settings.imageType'));
+            return;
+        }
+        try {
+            setReceipt(await shrinkReceiptPhoto(file));
+        } catch (err) {
+            console.error('Read receipt error:', err);
+            toast.error(t('expenses.photoFailed'));
+        }
+    };
+
+    const onSave = async (data) => {
+        const payload = {
+            category,
+            amount: Number(data.amount),
+            expense_date: data.expense_date,
+            vendor: data.vendor.trim() || null,
+            description: data.description.trim() || null,
+            invoice_id: invoiceId || jobId || null,
+            // A job's expense belongs to the job's project
+            project_id: invoiceId || jobId ? null : projectId || expenseProjectId || null,
+        };
+
+        try {
+            setSaving(true);
+            const response = expense
+                ? await expenseApi.update(expense.id, payload)
+                : await expenseApi.create(payload);
+            let saved = response.data.data;
+
+            // The receipt goes up once the expense exists
+            if (receipt?.startsWith('data:')) {
+                saved = (await expenseApi.uploadReceipt(saved.id, receipt)).data.data;
+            } else if (!receipt && saved.receipt_url) {
+                saved = (await expenseApi.removeReceipt(saved.id)).data.data;
+            }
+
+            onSaved(saved);
+            onClose();
+            toast.success(expense ? t('expenses.updated') : t('expenses.saved'));
+        } catch (err) {
+            console.error('Save expense error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={expense ? t('expenses.edit') : t('expenses.add')}>
+            <form className="expense-form" onSubmit={handleSubmit(onSave)} noValidate>
+                <div>
+                    <p className="expense-form__label">{t('expenses.category')}</p>
+                    <div className="expense-form__chips">
+                        {EXPENSE_CATEGORIES.map((c) => (
+                            <FilterChip
+                                key={c}
+                                label={`${CATEGORY_ICONS[c]} ${t(`expenses.categories.${c}`)}`}
+                                active={category === c}
+                                onClick={() => setCategory(c)}
+                            />
+                        ))}
+                    </div>
+                </div>
+                <div className="expense-form__row">
+                    <Input
+                        label={t('expenses.amount')}
+                        type="number"
+                        inputMode="decimal"
+                        step="0.01"
+                        required
+                        id="expense-amount"
+                        error={errors.amount?.message}
+                        {...register('amount', {
+                            required: t('errors.required'),
+                            min: { value: 0.01, message: t('expenses.amountPositive') },
+                        })}
+                    />
+                    <Input
+                        label={t('expenses.date')}
+                        type="date"
+                        required
+                        id="expense-date"
+                        error={errors.expense_date?.message}
+                        {...register('expense_date', { required: t('errors.required') })}
+                    />
+                </div>
+                <Input
+                    label={t('expenses.vendor')}
+                    placeholder={t('expenses.vendorPlaceholder')}
+                    maxLength={100}
+                    id="expense-vendor"
+                    {...register('vendor')}
+                />
+                <Input
+                    label={t('expenses.description')}
+                    placeholder={t('expenses.descriptionPlaceholder')}
+                    maxLength={200}
+                    id="expense-description"
+                    {...register('description')}
+                />
+                {!invoiceId && (
+                    <Select
+                        label={t('expenses.job')}
+                        options={jobOptions}
+                        id="expense-job"
+                        value={jobId}
+                        onChange={(e) => setJobId(e.target.value)}
+                    />
+                )}
+                {!invoiceId && !projectId && !jobId && (
+                    <ProjectSelect
+                        value={expenseProjectId}
+                        onChange={(project) => setExpenseProjectId(project?.id ?? null)}
+                        id="expense-project"
+                    />
+                )}
+
+                {/* ── Receipt photo ── */}
+                <div className="expense-form__receipt">
+                    <div className="expense-form__receipt-preview">
+                        {receipt ? <img src={receipt} alt={t('expenses.receipt')} /> : <span aria-hidden="true">🧾</span>}
+                    </div>
+                    <div className="expense-form__receipt-actions">
+                        <button type="button" className="expense-form__link" onClick={() => fileRef.current?.click()}>
+                            {receipt ? t('expenses.changeReceipt') : t('expenses.addReceipt')}
+                        </button>
+                        {receipt && (
+                            <button
+                                type="button"
+                                className="expense-form__link expense-form__link--remove"
+                                onClick={() => setReceipt(null)}
+                            >
+                                {t('settings.removeImage')}
+                            </button>
+                        )}
+                    </div>
+                    <input
+                        ref={fileRef}
+                        type="file"
+                        accept="image/*"
+                        capture="environment"
+                        className="expense-form__file"
+                        onChange={handlePhoto}
+                        id="expense-receipt"
+                    />
+                </div>
+
+                <Button type="submit" variant="primary" fullWidth loading={saving}>
+                    {t('actions.save')}
+                </Button>
+            </form>
+        </Modal>
+    );
+};
+
+export default ExpenseForm;
@@ -0,0 +1,108 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import Button from '../ui/Button';
+import ExpenseForm from './ExpenseForm';
+import { expenseApi } from '../../services/api';
+import { formatCurrency, formatSignedCurrency } from '../../utils/formatCurrency';
+import { formatDate } from '../../utils/formatDate';
+import { CATEGORY_ICONS } from '../../utils/expenses';
+import './JobExpensesCard.css';
+
+/**
+ * Expenses and profit for one job (an invoice): what it was billed
+ * without GST, what was spent on it by category, and the profit left.
+ * Expenses can be added and edited here, already linked to the job.
+ *
+ * @param {Object} props
+ * @param {Object} props.invoice - Invoice record (id, total_amount, tax_amount, status)
+ */
+const JobExpensesCard = ({ invoice }) => {
+    const { t } = useTranslation();
+    const [job, setJob] = useState(null);
+    const [editing, setEditing] = useState(null); // null = closed, {} = new expense
+    const [version, setVersion] = useState(0); // bumped after an expense is saved
+
+    // Profit changes with the invoice total as well as with expenses
+    useEffect(() => {
+        const fetchJob = async () => {
+            try {
+                const response = await expenseApi.getForInvoice(invoice.id);
+                setJob(response.data.data);
+            } catch (err) {
+                console.error('Fetch job expenses error:', err);
+            }
+        };
+        fetchJob();
+    }, [invoice.id, invoice.total_amount, invoice.status, version]);
+
+    if (!job) return null;
+
+    const { expenses, summary } = job;
+
+    return (
+        <section className="job-expenses">
+            <div className="job-expenses__header">
+                <p className="job-expenses__title">{t('expenses.jobTitle')}</p>
+                <Button variant="ghost" size="sm" onClick={() => setEditing({})} id="btn-add-job-expense">
+                    {t('expenses.add')}
+                </Button>
+            </div>
+
+            <div className="job-expenses__summary">
+                <div className="job-expenses__row">
+                    <span>{t('expenses.revenue')}</span>
+                    <span>{formatCurrency(summary.revenue, false)}</span>
+                </div>
+                <div className="job-expenses__row">
+                    <span>{t('expenses.spent')}</span>
+                    <span>-{formatCurrency(summary.expenses, false)}</span>
+                </div>
+                <div
+                    className={`job-expenses__row job-expenses__row--profit ${summary.profit < 0 ? 'job-expenses__row--loss' : ''}`}
+                >
+                    <span>
+                        {summary.profit < 0 ? t('expenses.loss') : t('expenses.profit')}
+                        {summary.margin !== null && ` (${summary.margin}%)`}
+                    </span>
+                    <span>{formatSignedCurrency(summary.profit)}</span>
+                </div>
+            </div>
+
+            {expenses.length === 0 ? (
+                <p className="job-expenses__empty">{t('expenses.noneForJob')}</p>
+            ) : (
+                <ul className="job-expenses__list">
+                    {expenses.map((expense) => (
+                        <li key={expense.id}>
+                            <button type="button" className="job-expenses__item" onClick={() => setEditing(expense)}>
+                                <span className="job-expenses__item-info">
+                                    <span className="job-expenses__item-name">
+                                        {CATEGORY_ICONS[expense.category]}{' '}
+                                        {expense.description || t(`expenses.categories.${expense.category}`)}
+                                        {expense.receipt_url && ' 📎'}
+                                    </span>
+                                    <span className="job-expenses__item-meta">
+                                        {[formatDate(expense.expense_date), expense.vendor].filter(Boolean).join(' · ')}
+                                    </span>
+                                </span>
+                                <span className="job-expenses__item-amount">
+                                    {formatCurrency(expense.amount, false)}
+                                </span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <ExpenseForm
+                isOpen={!!editing}
+                onClose={() => setEditing(null)}
+                expense={editing?.id ? editing : null}
+                invoiceId={invoice.id}
+                onSaved={() => setVersion((v) => v + 1)}
+            />
+        </section>
+    );
+};
+
+export default JobExpensesCard;
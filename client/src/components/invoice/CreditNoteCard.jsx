@@ -0,0 +1,258 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import TextArea from '../ui/TextArea';
+import Modal from '../ui/Modal';
+import FilterChip from '../ui/FilterChip';
+import { creditNoteApi } from '../../services/api';
+import { formatCurrency } from '../../utils/formatCurrency';
+import { formatDate } from '../../utils/formatDate';
+import { formatQuantity } from '../../utils/units';
+import {
+    CREDIT_NOTE_REASONS,
+    canIssueCreditNote,
+    toCreditLines,
+    getCreditPreview,
+} from '../../utils/creditNotes';
+import './CreditNoteCard.css';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Credit notes issued against an invoice.
+ * Lists them and issues a new one for returns, a called-off job or a
+ * billing mistake — everything left on the invoice, or chosen quantities
+ * of its lines. The server works out the amounts and takes them off the
+ * invoice's balance; the updated invoice is passed to `onInvoiceChange`.
+ *
+ * @param {Object} props
+ * @param {Object} props.invoice - Invoice record (id, status, total_amount, amount_credited)
+ * @param {Function} props.onInvoiceChange - Called with the updated invoice record
+ */
+const CreditNoteCard = ({ invoice, onInvoiceChange }) => {
+    const { t } = useTranslation();
+    const navigate = useNavigate();
+    const [creditNotes, setCreditNotes] = useState([]);
+    const [lines, setLines] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [isFormOpen, setIsFormOpen] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [reason, setReason] = useState('return');
+    const [creditDate, setCreditDate] = useState(today());
+    const [creditAll, setCreditAll] = useState(true);
+    const [quantities, setQuantities] = useState({});
+    const [notes, setNotes] = useState('');
+
+    // ── Fetch credit notes (again after one is issued) ──
+    useEffect(() => {
+        const fetchCreditNotes = async () => {
+            try {
+                setLoading(true);
+                const response = await creditNoteApi.getForInvoice(invoice.id);
+                setCreditNotes(response.data.data.credit_notes);
+                setLines(response.data.data.lines);
+            } catch (err) {
+                console.error('Fetch credit notes error:', err);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchCreditNotes();
+    }, [invoice.id, invoice.amount_credited]);
+
+    const openLines = lines.filter((l) => l.remaining > 0);
+    const pickedLines = toCreditLines(lines, quantities);
+
+    const openForm = () => {
+        setReason('return');
+        setCreditDate(today());
+        setCreditAll(true);
+        setQuantities({});
+        setNotes('');
+        setIsFormOpen(true);
+    };
+
+    const onIssue = async (e) => {
+        e.preventDefault();
+        if (!creditAll && pickedLines.length === 0) {
+            toast.error(t('creditNotes.pickLines'));
+            return;
+        }
+        try {
+            setSaving(true);
+            const response = await creditNoteApi.create(invoice.id, {
+                reason,
+                credit_date: creditDate,
+                lines: creditAll ? null : pickedLines,
+                notes: notes.trim() || null,
+            });
+            const { credit_note: creditNote, invoice: updatedInvoice } = response.data.data;
+            onInvoiceChange(updatedInvoice);
+            setIsFormOpen(false);
+            toast.success(t('creditNotes.issued', { number: creditNote.invoice_number }));
+        } catch (err) {
+            console.error('Issue credit note error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const canIssue = canIssueCreditNote(invoice) && openLines.length > 0;
+
+    // Nothing to show on an invoice that can't be credited and never was
+    if (!loading && !canIssue && creditNotes.length === 0) return null;
+
+    return (
+        <section className="credit-notes">
+            <div className="credit-notes__header">
+                <p className="credit-notes__title">{t('creditNotes.listTitle')}</p>
+                {canIssue && (
+                    <button
+                        type="button"
+                        className="credit-notes__add"
+                        onClick={openForm}
+                        id="btn-issue-credit-note"
+                    >
+                        + {t('creditNotes.issue')}
+                    </button>
+                )}
+            </div>
+
+            {loading ? (
+                <p className="credit-notes__hint">{t('creditNotes.loading')}</p>
+            ) : creditNotes.length === 0 ? (
+                <p className="credit-notes__hint">{t('creditNotes.empty')}</p>
+            ) : (
+                <ul className="credit-notes__list">
+                    {creditNotes.map((creditNote) => (
+                        <li key={creditNote.id}>
+                            <button
+                                type="button"
+                                className={`credit-notes__item ${creditNote.status === 'cancelled' ? 'credit-notes__item--cancelled' : ''}`}
+                                onClick={() => navigate(`/invoice/${creditNote.id}`)}
+                            >
+                                <span className="credit-notes__info">
+                                    <span className="credit-notes__number">{creditNote.invoice_number}</span>
+                                    <span className="credit-notes__meta">
+                                        {formatDate(creditNote.invoice_date)}
+                                        {' · '}
+                                        {t(`creditNotes.reasons.${creditNote.credit_reason}`)}
+                                        {creditNote.status === 'cancelled' && ` · ${t('status.cancelled')}`}
+                                    </span>
+                                </span>
+                                <span className="credit-notes__amount">
+                                    -{formatCurrency(creditNote.total_amount, false)}
+                                </span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {/* ── Issue Credit Note Modal ── */}
+            <Modal isOpen={isFormOpen} onClose={() => setIsFormOpen(false)} title={t('creditNotes.issue')}>
+                <form className="credit-notes__form" onSubmit={onIssue} noValidate>
+                    <div>
+                        <p className="credit-notes__label">{t('creditNotes.reason')}</p>
+                        <div className="credit-notes__chips">
+                            {CREDIT_NOTE_REASONS.map((r) => (
+                                <FilterChip
+                                    key={r}
+                                    label={t(`creditNotes.reasons.${r}`)}
+                                    active={reason === r}
+                                    onClick={() => setReason(r)}
+                                />
+                            ))}
+                        </div>
+                    </div>
+                    <Input
+                        label={t('creditNotes.date')}
+                        type="date"
+                        required
+                        id="credit-note-date"
+                        value={creditDate}
+                        onChange={(e) => setCreditDate(e.target.value)}
+                    />
+                    <div>
+                        <p className="credit-notes__label">{t('creditNotes.what')}</p>
+                        <div className="credit-notes__chips">
+                            <FilterChip
+                                label={t('creditNotes.everything')}
+                                active={creditAll}
+                                onClick={() => setCreditAll(true)}
+                            />
+                            <FilterChip
+                                label={t('creditNotes.someLines')}
+                                active={!creditAll}
+                                onClick={() => setCreditAll(false)}
+                            />
+                        </div>
+                    </div>
+                    {creditAll ? (
+                        <p className="credit-notes__hint">
+                            {t('creditNotes.everythingHint', {
+                                amount: formatCurrency(
+                                    Number(invoice.total_amount) - Number(invoice.amount_credited || 0),
+                                    false
+                                ),
+                            })}
+                        </p>
+                    ) : (
+                        <div className="credit-notes__lines">
+                            {openLines.map((l) => (
+                                <div key={l.line} className="credit-notes__line">
+                                    <div className="credit-notes__line-info">
+                                        <p className="credit-notes__number">{l.description}</p>
+                                        <p className="credit-notes__meta">
+                                            {t('creditNotes.left', {
+                                                quantity: formatQuantity(l.remaining, l.unit),
+                                                rate: formatCurrency(l.rate, false),
+                                            })}
+                                        </p>
+                                    </div>
+                                    <Input
+                                        type="number"
+                                        inputMode="decimal"
+                                        min="0"
+                                        max={l.remaining}
+                                        step="any"
+                                        placeholder="0"
+                                        aria-label={t('creditNotes.quantityFor', { item: l.description })}
+                                        id={`credit-note-qty-${l.line}`}
+                                        className="credit-notes__qty"
+                                        value={quantities[l.line] ?? ''}
+                                        onChange={(e) =>
+                                            setQuantities((prev) => ({ ...prev, [l.line]: e.target.value }))
+                                        }
+                                    />
+                                </div>
+                            ))}
+                            <p className="credit-notes__hint">
+                                {t('creditNotes.preview', {
+                                    amount: formatCurrency(getCreditPreview(lines, quantities), false),
+                                })}
+                            </p>
+                        </div>
+                    )}
+                    <TextArea
+                        label={t('creditNotes.notes')}
+                        rows={2}
+                        maxLength={1000}
+                        id="credit-note-notes"
+                        value={notes}
+                        onChange={(e) => setNotes(e.target.value)}
+                    />
+                    <Button type="submit" variant="primary" fullWidth loading={saving}>
+                        {t('creditNotes.save')}
+                    </Button>
+                </form>
+            </Modal>
+        </section>
+    );
+};
+
+export default CreditNoteCard;
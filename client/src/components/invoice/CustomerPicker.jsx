@@ -0,0 +1,140 @@
+import { useState, useEffect, useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import SearchBar from '../ui/SearchBar';
+import { customerApi } from '../../services/api';
+import { formatCurrency } from '../../utils/formatCurrency';
+import './CustomerPicker.css';
+
+/**
+ * Searchable customer picker.
+ * Queries the customer directory as the user types and calls
+ * `onSelect(customer)` when a result is tapped.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.selected - Currently linked customer (shows a chip instead of the search box)
+ * @param {Function} props.onSelect - Called with the chosen customer record
+ * @param {Function} [props.onClear] - Called when the linked customer is removed
+ * @param {string[]} [props.excludeIds] - Customer ids to hide from results
+ * @param {string} [props.id]
+ */
+const CustomerPicker = ({
+    selected,
+    onSelect,
+    onClear,
+    excludeIds = [],
+    id = 'customer-picker',
+}) => {
+    const { t } = useTranslation();
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [isSearching, setIsSearching] = useState(false);
+    const searchTimer = useRef(null);
+
+    // ── Debounced search ──
+    useEffect(() => {
+        clearTimeout(searchTimer.current);
+        if (!query.trim()) {
+            setResults([]);
+            return undefined;
+        }
+
+        const controller = new AbortController();
+        searchTimer.current = setTimeout(async () => {
+            try {
+                setIsSearching(true);
+                const response = await customerApi.getAll(
+                    { search: query.trim(), limit: 8 },
+                    { signal: controller.signal }
+                );
+                setResults(response.data.data.customers || []);
+            } catch (err) {
+                if (err.name === 'CanceledError' || err.name === 'AbortError') return;
+                console.error('Customer search error:', err);
+                setResults([]);
+            } finally {
+                if (!controller.signal.aborted) setIsSearching(false);
+            }
+        }, 300);
+
+        return () => {
+            clearTimeout(searchTimer.current);
+            controller.abort();
+        };
+    }, [query]);
+
+    const handleSelect = (customer) => {
+        setQuery('');
+        setResults([]);
+        onSelect(customer);
+    };
+
+    if (selected) {
+        return (
+            <div className="customer-picker__selected" id={id}>
+                <div className="customer-picker__selected-info">
+                    <span className="customer-picker__selected-label">
+                        {t('customers.linked')}
+                    </span>
+                    <span className="customer-picker__selected-name">{selected.name}</span>
+                </div>
+                {onClear && (
+                    <button
+                        type="button"
+                        className="customer-picker__clear"
+                        onClick={onClear}
+                    >
+                        {t('customers.change')}
+                    </button>
+                )}
+            </div>
+        );
+    }
+
+    const visible = results.filter((c) => !excludeIds.includes(c.id));
+
+    return (
+        <div className="customer-picker" id={id}>
+            <SearchBar
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                onClear={() => setQuery('')}
+                placeholder={t('customers.searchPlaceholder')}
+                id={`${id}-search`}
+            />
+
+            {query.trim() && (
+                <ul className="customer-picker__results" role="listbox">
+                    {isSearching && visible.length === 0 && (
+                        <li className="customer-picker__hint">{t('customers.searching')}</li>
+                    )}
+                    {!isSearching && visible.length === 0 && (
+                        <li className="customer-picker__hint">{t('customers.noMatches')}</li>
+                    )}
+                    {visible.map((customer) => (
+                        <li key={customer.id}>
+                            <button
+                                type="button"
+                                role="option"
+                                aria-selected="false"
+                                className="customer-picker__option"
+                                onClick={() => handleSelect(customer)}
+                            >
+                                <span className="customer-picker__option-main">
+                                    <span className="customer-picker__option-name">{customer.name}</span>
+                                    <span className="customer-picker__option-phone">{customer.phone}</span>
+                                </span>
+                                {customer.outstanding_amount > 0 && (
+                                    <span className="customer-picker__option-due">
+                                        {formatCurrency(customer.outstanding_amount, false)}
+                                    </span>
+                                )}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default CustomerPicker;
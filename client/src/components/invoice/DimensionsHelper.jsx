@@ -0,0 +1,142 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import Input from '../ui/Input';
+import Button from '../ui/Button';
+import {
+    DIMENSION_SYSTEMS,
+    toFeetInches,
+    dimensionsToQuantity,
+    formatQuantity,
+} from '../../utils/units';
+import './DimensionsHelper.css';
+
+// Form fields (strings) from stored dimensions (inches or mm)
+const toFields = (dims) => {
+    const fields = {
+        system: dims?.system || 'ft',
+        lengthFt: '', lengthIn: '', widthFt: '', widthIn: '',
+        lengthMm: '', widthMm: '',
+        count: String(dims?.count || 1),
+    };
+    if (!dims) return fields;
+
+    if (dims.system === 'mm') {
+        fields.lengthMm = String(dims.length || '');
+        fields.widthMm = String(dims.width || '');
+    } else {
+        const length = toFeetInches(dims.length);
+        fields.lengthFt = String(length.feet);
+        fields.lengthIn = length.inches ? String(length.inches) : '';
+        if (dims.width) {
+            const width = toFeetInches(dims.width);
+            fields.widthFt = String(width.feet);
+            fields.widthIn = width.inches ? String(width.inches) : '';
+        }
+    }
+    return fields;
+};
+
+// Stored dimensions from the form fields
+const toDimensions = (fields) => {
+    const inches = (ft, inch) => (Number(ft) || 0) * 12 + (Number(inch) || 0);
+    const mm = fields.system === 'mm';
+    const length = mm ? Number(fields.lengthMm) || 0 : inches(fields.lengthFt, fields.lengthIn);
+    const width = mm ? Number(fields.widthMm) || 0 : inches(fields.widthFt, fields.widthIn);
+
+    return {
+        system: fields.system,
+        length,
+        width: width > 0 ? width : null,
+        count: Math.max(1, Math.round(Number(fields.count) || 1)),
+    };
+};
+
+/**
+ * Works out a line's quantity from measurements: length × width in
+ * sq.ft, or running feet when only a length is given. Accepts feet +
+ * inches or millimetres.
+ *
+ * @param {Object} props
+ * @param {Object|null} props.value - The line's saved dimensions
+ * @param {Function} props.onApply - Called with `{ quantity, unit, dimensions }`
+ * @param {Function} props.onCancel
+ * @param {string} props.idPrefix - Prefix for input ids
+ */
+const DimensionsHelper = ({ value, onApply, onCancel, idPrefix }) => {
+    const { t } = useTranslation();
+    const [fields, setFields] = useState(() => toFields(value));
+
+    const dimensions = toDimensions(fields);
+    const result = dimensionsToQuantity(dimensions);
+
+    const field = (name) => ({
+        value: fields[name],
+        onChange: (e) => setFields((prev) => ({ ...prev, [name]: e.target.value })),
+        type: 'number',
+        inputMode: 'decimal',
+        min: 0,
+        step: 'any',
+        id: `${idPrefix}-${name}`,
+    });
+
+    return (
+        <div className="dimensions-helper">
+            <div className="dimensions-helper__systems" role="radiogroup" aria-label={t('units.system')}>
+                {DIMENSION_SYSTEMS.map((system) => (
+                    <button
+                        key={system}
+                        type="button"
+                        role="radio"
+                        aria-checked={fields.system === system}
+                        className={`dimensions-helper__system ${fields.system === system ? 'dimensions-helper__system--active' : ''}`}
+                        onClick={() => setFields((prev) => ({ ...prev, system }))}
+                    >
+                        {t(`units.${system}`)}
+                    </button>
+                ))}
+            </div>
+
+            {fields.system === 'mm' ? (
+                <div className="dimensions-helper__row">
+                    <Input label={t('units.lengthMm')} placeholder="2400" {...field('lengthMm')} />
+                    <Input label={t('units.widthMm')} placeholder={t('units.optional')} {...field('widthMm')} />
+                </div>
+            ) : (
+                <>
+                    <div className="dimensions-helper__row">
+                        <Input label={t('units.lengthFt')} placeholder="8" {...field('lengthFt')} />
+                        <Input label={t('units.inches')} placeholder="0" {...field('lengthIn')} />
+                    </div>
+                    <div className="dimensions-helper__row">
+                        <Input label={t('units.widthFt')} placeholder={t('units.optional')} {...field('widthFt')} />
+                        <Input label={t('units.inches')} placeholder="0" {...field('widthIn')} />
+                    </div>
+                </>
+            )}
+
+            <div className="dimensions-helper__row">
+                <Input label={t('units.count')} placeholder="1" {...field('count')} inputMode="numeric" step={1} min={1} />
+                <div className="dimensions-helper__result" aria-live="polite">
+                    {result ? `= ${formatQuantity(result.quantity, result.unit)}` : t('units.enterLength')}
+                </div>
+            </div>
+
+            <div className="dimensions-helper__actions">
+                <Button type="button" variant="ghost" size="sm" onClick={onCancel}>
+                    {t('actions.cancel')}
+                </Button>
+                <Button
+                    type="button"
+                    variant="primary"
+                    size="sm"
+                    disabled={!result}
+                    onClick={() => onApply({ ...result, dimensions })}
+                >
+                    {t('units.apply')}
+                </Button>
+            </div>
+        </div>
+    );
+};
+
+export default DimensionsHelper;
@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import Card from '../ui/Card';
+import { reminderApi } from '../../services/api';
+import { formatCurrency } from '../../utils/formatCurrency';
+import { buildWhatsAppUrl } from '../../utils/whatsapp';
+import './DueReminders.css';
+
+/**
+ * "Reminders due today" list for the Dashboard.
+ * Each reminder opens WhatsApp with the prefilled message (or sends it by
+ * email / SMS when that is its channel) and is logged, so it drops off the
+ * list until the next scheduled date. Renders nothing when none are due.
+ */
+const DueReminders = () => {
+    const { t } = useTranslation();
+    const navigate = useNavigate();
+    const [reminders, setReminders] = useState([]);
+    const [sendingId, setSendingId] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+
+        const fetchDue = async () => {
+            try {
+                const response = await reminderApi.getDue({ signal: controller.signal });
+                setReminders(response.data.data || []);
+            } catch (err) {
+                if (err.name === 'CanceledError' || err.name === 'AbortError') return;
+                console.error('Fetch due reminders error:', err);
+            }
+        };
+        fetchDue();
+
+        return () => controller.abort();
+    }, []);
+
+    const handleSend = async (reminder, channel) => {
+        const { invoice, kind, language, message } = reminder;
+
+        // Open WhatsApp first — browsers block pop-ups opened after an await
+        if (channel === 'whatsapp') {
+            window.open(buildWhatsAppUrl(invoice.customer_phone, message), '_blank');
+        }
+
+        try {
+            setSendingId(invoice.id);
+            await reminderApi.send(invoice.id, { channel, kind, language });
+            setReminders((prev) => prev.filter((r) => r.invoice.id !== invoice.id));
+            toast.success(t('reminders.sent'));
+        } catch (err) {
+            console.error('Send reminder error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setSendingId(null);
+        }
+    };
+
+    if (reminders.length === 0) return null;
+
+    return (
+        <section className="dashboard__section due-reminders">
+            <h3 className="dashboard__section-title">
+                🔔 {t('reminders.dueToday', { count: reminders.length })}
+            </h3>
+
+            <Card animate={false}>
+                <ul className="due-reminders__list">
+                    {reminders.map((reminder) => {
+                        const { invoice } = reminder;
+                        const sending = sendingId === invoice.id;
+
+                        return (
+                            <li key={invoice.id} className="due-reminders__item">
+                                <button
+                                    type="button"
+                                    className="due-reminders__info"
+                                    onClick={() => navigate(`/invoice/${invoice.id}`)}
+                                >
+                                    <span className="due-reminders__name">{invoice.customer_name}</span>
+                                    <span className="due-reminders__meta">
+                                        {invoice.invoice_number}
+                                        {' · '}
+                                        {formatCurrency(invoice.balance_due, false)}
+                                        {' · '}
+                                        {t(`reminders.kinds.${reminder.kind}`)}
+                                    </span>
+                                </button>
+
+                                <div className="due-reminders__actions">
+                                    {reminder.channel !== 'whatsapp' && (
+                                        <button
+                                            type="button"
+                                            className="due-reminders__send"
+                                            onClick={() => handleSend(reminder, reminder.channel)}
+                                            disabled={sending}
+                                        >
+                                            {t(`reminders.channels.${reminder.channel}`)}
+                                        </button>
+                                    )}
+                                    {invoice.customer_phone && (
+                                        <button
+                                            type="button"
+                                            className="due-reminders__send due-reminders__send--whatsapp"
+                                            onClick={() => handleSend(reminder, 'whatsapp')}
+                                            disabled={sending}
+                                        >
+                                            {t('reminders.channels.whatsapp')}
+                                        </button>
+                                    )}
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            </Card>
+        </section>
+    );
+};
+
+export default DueReminders;
@@ -0,0 +1,76 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { estimateResponseApi } from '../../services/api';
+import { formatDate } from '../../utils/formatDate';
+import './EstimateResponseCard.css';
+
+/**
+ * The customer's answer to an estimate, given from its share link:
+ * accepted (with their drawn signature) or rejected, their comment and
+ * when they answered. Opening it marks the answer as seen, which clears
+ * it from the Dashboard.
+ *
+ * @param {Object} props
+ * @param {Object} props.invoice - Estimate record (id, status)
+ */
+const EstimateResponseCard = ({ invoice }) => {
+    const { t } = useTranslation();
+    const [response, setResponse] = useState(null);
+
+    // Fetch again when the status changes (e.g. reopened as a draft)
+    useEffect(() => {
+        const fetchResponse = async () => {
+            try {
+                const result = await estimateResponseApi.get(invoice.id);
+                const latest = result.data.data;
+                setResponse(latest);
+                if (latest && !latest.seen_at) {
+                    await estimateResponseApi.markSeen(invoice.id);
+                }
+            } catch (err) {
+                console.error('Fetch estimate response error:', err);
+            }
+        };
+        fetchResponse();
+    }, [invoice.id, invoice.status]);
+
+    const awaiting = ['draft', 'sent'].includes(invoice.status);
+
+    if (!response) {
+        return awaiting ? (
+            <section className="estimate-response">
+                <p className="estimate-response__title">{t('responses.title')}</p>
+                <p className="estimate-response__hint">{t('responses.awaiting')}</p>
+            </section>
+        ) : null;
+    }
+
+    const accepted = response.decision === 'accepted';
+
+    return (
+        <section className="estimate-response">
+            <p className="estimate-response__title">{t('responses.title')}</p>
+
+            <p className={`estimate-response__decision estimate-response__decision--${response.decision}`}>
+                {accepted ? '✅' : '❌'}{' '}
+                {t(accepted ? 'responses.acceptedBy' : 'responses.rejectedBy', { name: response.signer_name })}
+            </p>
+            <p className="estimate-response__meta">{formatDate(response.responded_at, 'dd MMM yyyy, h:mm a')}</p>
+
+            {response.comment && <p className="estimate-response__comment">“{response.comment}”</p>}
+
+            {response.signature_image && (
+                <img
+                    className="estimate-response__signature"
+                    src={response.signature_image}
+                    alt={t('responses.signature', { name: response.signer_name })}
+                />
+            )}
+
+            {/* A reopened estimate can be answered again */}
+            {awaiting && <p className="estimate-response__hint">{t('responses.awaitingAgain')}</p>}
+        </section>
+    );
+};
+
+export default EstimateResponseCard;
@@ -0,0 +1,80 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import Card from '../ui/Card';
+import { estimateResponseApi } from '../../services/api';
+import { formatCurrency } from '../../utils/formatCurrency';
+import { formatRelativeDate } from '../../utils/formatDate';
+import './EstimateResponses.css';
+
+/**
+ * "Estimate answers" list for the Dashboard: customers who accepted or
+ * rejected an estimate from its share link since the user last looked.
+ * Opening one shows the answer and clears it from the list. Renders
+ * nothing when there are none.
+ */
+const EstimateResponses = () => {
+    const { t } = useTranslation();
+    const navigate = useNavigate();
+    const [responses, setResponses] = useState([]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+
+        const fetchUnseen = async () => {
+            try {
+                const response = await estimateResponseApi.getUnseen({ signal: controller.signal });
+                setResponses(response.data.data || []);
+            } catch (err) {
+                if (err.name === 'CanceledError' || err.name === 'AbortError') return;
+                console.error('Fetch estimate responses error:', err);
+            }
+        };
+        fetchUnseen();
+
+        return () => controller.abort();
+    }, []);
+
+    if (responses.length === 0) return null;
+
+    return (
+        <section className="dashboard__section estimate-responses">
+            <h3 className="dashboard__section-title">
+                ✍️ {t('responses.newAnswers', { count: responses.length })}
+            </h3>
+
+            <Card animate={false}>
+                <ul className="estimate-responses__list">
+                    {responses.map((response) => (
+                        <li key={response.id}>
+                            <button
+                                type="button"
+                                className="estimate-responses__item"
+                                onClick={() => navigate(`/invoice/${response.invoice_id}`)}
+                            >
+                                <span className={`estimate-responses__decision estimate-responses__decision--${response.decision}`}>
+                                    {t(`status.${response.decision}`)}
+                                </span>
+                                <span className="estimate-responses__info">
+                                    <span className="estimate-responses__name">{response.invoice.customer_name}</span>
+                                    <span className="estimate-responses__meta">
+                                        {response.invoice.invoice_number}
+                                        {' · '}
+                                        {formatCurrency(response.invoice.total_amount, false)}
+                                        {' · '}
+                                        {formatRelativeDate(response.responded_at)}
+                                    </span>
+                                    {response.comment && (
+                                        <span className="estimate-responses__comment">“{response.comment}”</span>
+                                    )}
+                                </span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            </Card>
+        </section>
+    );
+};
+
+export default EstimateResponses;
@@ -0,0 +1,266 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Modal from '../ui/Modal';
+import FilterChip from '../ui/FilterChip';
+import ConfirmDialog from '../ui/ConfirmDialog';
+import { paymentApi } from '../../services/api';
+import { formatCurrency } from '../../utils/formatCurrency';
+import { formatDate } from '../../utils/formatDate';
+import './PaymentLedger.css';
+
+// ── Payment modes (must match the server's PAYMENT_MODES) ──
+const PAYMENT_MODES = ['cash', 'upi', 'bank_transfer', 'cheque', 'card', 'other'];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Payment timeline for an invoice.
+ * Lists advances and instalments received so far and lets the user
+ * record or remove a payment. The server re-derives the invoice status
+ * after every change; the updated invoice is passed to `onInvoiceChange`.
+ *
+ * @param {Object} props
+ * @param {Object} props.invoice - Invoice record (id, total_amount, amount_paid,
+ *   amount_credited, balance_due)
+ * @param {boolean} props.isFormOpen - Whether the "record payment" modal is open
+ * @param {Function} props.onFormOpen - Opens the "record payment" modal
+ * @param {Function} props.onFormClose - Closes the "record payment" modal
+ * @param {Function} props.onInvoiceChange - Called with the updated invoice record
+ */
+const PaymentLedger = ({
+    invoice,
+    isFormOpen,
+    onFormOpen,
+    onFormClose,
+    onInvoiceChange,
+}) => {
+    const { t } = useTranslation();
+    const [payments, setPayments] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [mode, setMode] = useState('cash');
+    const [paymentToDelete, setPaymentToDelete] = useState(null);
+
+    const balanceDue = Number(invoice.balance_due ?? invoice.total_amount);
+
+    const {
+        register,
+        handleSubmit,
+        reset,
+        formState: { errors },
+    } = useForm({ mode: 'onBlur' });
+
+    // ── Fetch payments ──
+    useEffect(() => {
+        const fetchPayments = async () => {
+            try {
+                setLoading(true);
+                const response = await paymentApi.getAll(invoice.id);
+                setPayments(response.data.data || []);
+            } catch (err) {
+                console.error('Fetch payments error:', err);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchPayments();
+    }, [invoice.id]);
+
+    // Pre-fill the form with the outstanding balance each time it opens
+    useEffect(() => {
+        if (isFormOpen) {
+            reset({ amount: balanceDue, payment_date: today(), reference: '' });
+            setMode('cash');
+        }
+    }, [isFormOpen, balanceDue, reset]);
+
+    // ── Actions ──
+
+    const onRecord = async (data) => {
+        try {
+            setSaving(true);
+            const response = await paymentApi.create(invoice.id, {
+                amount: Number(data.amount),
+                payment_date: data.payment_date,
+                mode,
+                reference: data.reference || null,
+            });
+            const { payment, invoice: updatedInvoice } = response.data.data;
+            setPayments((prev) =>
+                [...prev, payment].sort((a, b) => a.payment_date.localeCompare(b.payment_date))
+            );
+            onInvoiceChange(updatedInvoice);
+            onFormClose();
+            toast.success(t('payments.recorded'));
+        } catch (err) {
+            console.error('Record payment error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        try {
+            setSaving(true);
+            const response = await paymentApi.delete(invoice.id, paymentToDelete.id);
+            setPayments((prev) => prev.filter((p) => p.id !== paymentToDelete.id));
+            onInvoiceChange(response.data.data.invoice);
+            toast.success(t('payments.deleted'));
+        } catch (err) {
+            console.error('Delete payment error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setSaving(false);
+            setPaymentToDelete(null);
+        }
+    };
+
+    return (
+        <section className="payment-ledger">
+            <div className="payment-ledger__header">
+                <p className="payment-ledger__title">{t('payments.title')}</p>
+                {balanceDue > 0 && (
+                    <button
+                        type="button"
+                        className="payment-ledger__add"
+                        onClick={onFormOpen}
+                        id="btn-add-payment"
+                    >
+                        + {t('payments.record')}
+                    </button>
+                )}
+            </div>
+
+            {/* ── Balance summary ── */}
+            <div className="payment-ledger__summary">
+                <div className="payment-ledger__summary-item">
+                    <span>{t('invoice.total')}</span>
+                    <strong>{formatCurrency(invoice.total_amount, false)}</strong>
+                </div>
+                <div className="payment-ledger__summary-item payment-ledger__summary-item--received">
+                    <span>{t('payments.received')}</span>
+                    <strong>{formatCurrency(invoice.amount_paid || 0, false)}</strong>
+                </div>
+                {Number(invoice.amount_credited) > 0 && (
+                    <div className="payment-ledger__summary-item payment-ledger__summary-item--credited">
+                        <span>{t('payments.credited')}</span>
+                        <strong>{formatCurrency(invoice.amount_credited, false)}</strong>
+                    </div>
+                )}
+                <div className="payment-ledger__summary-item payment-ledger__summary-item--due">
+                    <span>{t('payments.balance')}</span>
+                    <strong>{formatCurrency(balanceDue, false)}</strong>
+                </div>
+            </div>
+
+            {/* ── Timeline ── */}
+            {loading ? (
+                <p className="payment-ledger__hint">{t('payments.loading')}</p>
+            ) : payments.length === 0 ? (
+                <p className="payment-ledger__hint">{t('payments.empty')}</p>
+            ) : (
+                <ul className="payment-ledger__list">
+                    {payments.map((payment) => (
+                        <li key={payment.id} className="payment-ledger__item">
+                            <span className="payment-ledger__dot" aria-hidden="true" />
+                            <div className="payment-ledger__info">
+                                <p className="payment-ledger__amount">
+                                    {formatCurrency(payment.amount, false)}
+                                </p>
+                                <p className="payment-ledger__meta">
+                                    {formatDate(payment.payment_date)}
+                                    {' · '}
+                                    {t(`payments.modes.${payment.mode}`)}
+                                    {payment.reference && ` · ${payment.reference}`}
+                                </p>
+                            </div>
+                            <button
+                                type="button"
+                                className="payment-ledger__remove"
+                                onClick={() => setPaymentToDelete(payment)}
+                                aria-label={t('actions.delete')}
+                            >
+                                ✕
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {/* ── Record Payment Modal ── */}
+            <Modal isOpen={isFormOpen} onClose={onFormClose} title={t('payments.record')}>
+                <form className="payment-ledger__form" onSubmit={handleSubmit(onRecord)} noValidate>
+                    <Input
+                        label={t('payments.amount')}
+                        type="number"
+                        inputMode="decimal"
+                        step="0.01"
+                        required
+                        id="payment-amount"
+                        error={errors.amount?.message}
+                        {...register('amount', {
+                            required: t('errors.required'),
+                            min: { value: 0.01, message: t('payments.amountPositive') },
+                            max: {
+                                value: balanceDue,
+                                message: t('payments.amountTooHigh', {
+                                    balance: formatCurrency(balanceDue, false),
+                                }),
+                            },
+                        })}
+                    />
+                    <Input
+                        label={t('payments.date')}
+                        type="date"
+                        required
+                        id="payment-date"
+                        error={errors.payment_date?.message}
+                        {...register('payment_date', { required: t('errors.required') })}
+                    />
+                    <div>
+                        <p className="payment-ledger__label">{t('payments.mode')}</p>
+                        <div className="payment-ledger__modes">
+                            {PAYMENT_MODES.map((m) => (
+                                <FilterChip
+                                    key={m}
+                                    label={t(`payments.modes.${m}`)}
+                                    active={mode === m}
+                                    onClick={() => setMode(m)}
+                                />
+                            ))}
+                        </div>
+                    </div>
+                    <Input
+                        label={t('payments.reference')}
+                        placeholder={t('payments.referencePlaceholder')}
+                        id="payment-reference"
+                        {...register('reference')}
+                    />
+                    <Button type="submit" variant="primary" fullWidth loading={saving}>
+                        {t('payments.save')}
+                    </Button>
+                </form>
+            </Modal>
+
+            {/* ── Delete Confirmation ── */}
+            <ConfirmDialog
+                isOpen={!!paymentToDelete}
+                onClose={() => setPaymentToDelete(null)}
+                onConfirm={handleDelete}
+                title={t('payments.deleteTitle')}
+                message={t('payments.deleteMessage')}
+                confirmLabel={t('actions.delete')}
+                cancelLabel={t('actions.cancel')}
+                destructive
+                loading={saving}
+            />
+        </section>
+    );
+};
+
+export default PaymentLedger;
@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { invoiceApi } from '../../services/api';
+import './PdfPreview.css';
+
+// Wait for the user to stop changing things before re-rendering the PDF
+const PREVIEW_DELAY_MS = 600;
+
+/**
+ * Live preview of the PDF for an unsaved document.
+ * The server renders the form payload in its chosen template; the
+ * result is shown inline, with a link to open it full-screen (mobile
+ * browsers that can't show PDFs inline open it in their viewer).
+ *
+ * @param {Object} props
+ * @param {Object} props.payload - Invoice payload as it would be saved
+ * @param {string} [props.lang='en'] - PDF language ('en' or 'ta')
+ */
+const PdfPreview = ({ payload, lang = 'en' }) => {
+    const { t } = useTranslation();
+    const [url, setUrl] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Re-render only when the content changes, not on every parent render
+    const payloadKey = JSON.stringify(payload);
+
+    useEffect(() => {
+        let cancelled = false;
+        let objectUrl = null;
+
+        setIsLoading(true);
+        const timer = setTimeout(async () => {
+            try {
+                const response = await invoiceApi.previewPdf(JSON.parse(payloadKey), lang);
+                if (cancelled) return;
+                objectUrl = window.URL.createObjectURL(
+                    new Blob([response.data], { type: 'application/pdf' })
+                );
+                setUrl(objectUrl);
+                setError(null);
+            } catch (err) {
+                if (cancelled) return;
+                console.error('PDF preview error:', err);
+                setError(t('pdfTemplate.previewError'));
+            } finally {
+                if (!cancelled) setIsLoading(false);
+            }
+        }, PREVIEW_DELAY_MS);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+            if (objectUrl) window.URL.revokeObjectURL(objectUrl);
+        };
+    }, [payloadKey, lang, t]);
+
+    return (
+        <section className="pdf-preview" aria-label={t('pdfTemplate.preview')} aria-busy={isLoading}>
+            <div className="pdf-preview__header">
+                <span className="pdf-preview__title">{t('pdfTemplate.preview')}</span>
+                {url && !error && (
+                    <a className="pdf-preview__open" href={url} target="_blank" rel="noreferrer">
+                        {t('pdfTemplate.openPreview')}
+                    </a>
+                )}
+            </div>
+
+            <div className="pdf-preview__frame">
+                {error ? (
+                    <p className="pdf-preview__error">{error}</p>
+                ) : (
+                    url && <iframe className="pdf-preview__iframe" src={url} title={t('pdfTemplate.preview')} />
+                )}
+                {isLoading && <div className="pdf-preview__loading">{t('loading.generating')}</div>}
+            </div>
+        </section>
+    );
+};
+
+export default PdfPreview;
@@ -0,0 +1,47 @@
+import { useTranslation } from 'react-i18next';
+import { PDF_TEMPLATES, resolvePdfTemplate } from '../../utils/pdfTemplates';
+import './PdfTemplatePicker.css';
+
+/**
+ * Row of cards for choosing the PDF layout of a document.
+ * A document without its own choice follows the business default,
+ * which is marked on its card.
+ *
+ * @param {Object} props
+ * @param {string|null} props.value - The document's template (null → business default)
+ * @param {string} [props.defaultTemplate] - The business default template
+ * @param {Function} props.onChange - Called with the chosen template id
+ * @param {string} [props.id]
+ */
+const PdfTemplatePicker = ({ value, defaultTemplate, onChange, id = 'pdf-template-picker' }) => {
+    const { t } = useTranslation();
+    const businessDefault = resolvePdfTemplate(defaultTemplate);
+    const selected = resolvePdfTemplate(value, businessDefault);
+
+    return (
+        <div className="pdf-templates" role="radiogroup" aria-label={t('pdfTemplate.label')} id={id}>
+            {PDF_TEMPLATES.map((template) => (
+                <button
+                    key={template}
+                    type="button"
+                    role="radio"
+                    aria-checked={selected === template}
+                    className={`pdf-templates__option ${selected === template ? 'pdf-templates__option--active' : ''}`}
+                    onClick={() => onChange(template)}
+                    id={`${id}-${template}`}
+                >
+                    <span className={`pdf-templates__thumb pdf-templates__thumb--${template}`} aria-hidden="true" />
+                    <span className="pdf-templates__name">
+                        {t(`pdfTemplate.${template}`)}
+                        {template === businessDefault && (
+                            <span className="pdf-templates__default">{t('pdfTemplate.default')}</span>
+                        )}
+                    </span>
+                    <span className="pdf-templates__desc">{t(`pdfTemplate.${template}Desc`)}</span>
+                </button>
+            ))}
+        </div>
+    );
+};
+
+export default PdfTemplatePicker;
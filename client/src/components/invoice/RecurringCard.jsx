@@ -0,0 +1,98 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import Button from '../ui/Button';
+import RecurringForm from '../recurring/RecurringForm';
+import { recurringApi } from '../../services/api';
+import { formatDate } from '../../utils/formatDate';
+import { getRecurringState } from '../../utils/recurring';
+import './RecurringCard.css';
+
+/**
+ * Recurring invoices on the invoice detail page: the profiles that
+ * re-issue this invoice (with their next run), a way to set one up, and
+ * a link to the profile that made this invoice, if one did.
+ *
+ * @param {Object} props
+ * @param {Object} props.invoice - Invoice record (id, status, recurring_profile_id)
+ */
+const RecurringCard = ({ invoice }) => {
+    const { t } = useTranslation();
+    const [profiles, setProfiles] = useState(null);
+    const [showForm, setShowForm] = useState(false);
+
+    useEffect(() => {
+        const fetchProfiles = async () => {
+            try {
+                const response = await recurringApi.getAll({ source_invoice_id: invoice.id });
+                setProfiles(response.data.data);
+            } catch (err) {
+                console.error('Fetch recurring profiles error:', err);
+            }
+        };
+        fetchProfiles();
+    }, [invoice.id]);
+
+    if (!profiles) return null;
+
+    const canRepeat = invoice.status !== 'cancelled';
+    if (profiles.length === 0 && !canRepeat && !invoice.recurring_profile_id) return null;
+
+    return (
+        <section className="invoice-recurring">
+            <div className="invoice-recurring__header">
+                <p className="invoice-recurring__title">{t('recurring.title')}</p>
+                {canRepeat && (
+                    <Button variant="ghost" size="sm" onClick={() => setShowForm(true)} id="btn-repeat-invoice">
+                        {t('recurring.repeat')}
+                    </Button>
+                )}
+            </div>
+
+            {invoice.recurring_profile_id && (
+                <p className="invoice-recurring__note">
+                    {t('recurring.madeBy')}{' '}
+                    <Link to={`/recurring/${invoice.recurring_profile_id}`} className="invoice-recurring__link">
+                        {t('recurring.viewProfile')}
+                    </Link>
+                </p>
+            )}
+
+            {profiles.length === 0 ? (
+                <p className="invoice-recurring__note">{t('recurring.repeatHint')}</p>
+            ) : (
+                <ul className="invoice-recurring__list">
+                    {profiles.map((profile) => {
+                        const state = getRecurringState(profile);
+                        return (
+                            <li key={profile.id}>
+                                <Link to={`/recurring/${profile.id}`} className="invoice-recurring__item">
+                                    <span>
+                                        {profile.name}
+                                        <span className="invoice-recurring__meta">
+                                            {' · '}{t(`recurring.frequencies.${profile.frequency}`)}
+                                        </span>
+                                    </span>
+                                    <span className="invoice-recurring__meta">
+                                        {state === 'active'
+                                            ? t('recurring.nextOn', { date: formatDate(profile.next_run_date) })
+                                            : t(`recurring.states.${state}`)}
+                                    </span>
+                                </Link>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            <RecurringForm
+                isOpen={showForm}
+                onClose={() => setShowForm(false)}
+                invoice={invoice}
+                onSaved={(created) => setProfiles((prev) => [...prev, created])}
+            />
+        </section>
+    );
+};
+
+export default RecurringCard;
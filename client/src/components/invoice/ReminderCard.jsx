@@ -0,0 +1,293 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Modal from '../ui/Modal';
+import FilterChip from '../ui/FilterChip';
+import { reminderApi } from '../../services/api';
+import { formatDate } from '../../utils/formatDate';
+import { buildWhatsAppUrl } from '../../utils/whatsapp';
+import { REMINDER_CHANNELS, REMINDER_LANGUAGES } from '../../utils/reminders';
+import './ReminderCard.css';
+
+/**
+ * Payment reminders for one invoice: its schedule (the user's default or
+ * an override), the next reminder date, a "send now" action and the
+ * reminders sent so far.
+ *
+ * @param {Object} props
+ * @param {Object} props.invoice - Invoice record (id, due_date, customer_phone, amount_paid)
+ */
+const ReminderCard = ({ invoice }) => {
+    const { t } = useTranslation();
+    const [reminders, setReminders] = useState(null);
+    const [sending, setSending] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [isEditing, setIsEditing] = useState(false);
+    const [channel, setChannel] = useState('whatsapp');
+    const [language, setLanguage] = useState('en');
+
+    const {
+        register,
+        handleSubmit,
+        reset,
+        formState: { errors },
+    } = useForm({ mode: 'onBlur' });
+
+    // ── Fetch schedule + history (again whenever a payment changes the balance) ──
+    useEffect(() => {
+        const fetchReminders = async () => {
+            try {
+                const response = await reminderApi.getForInvoice(invoice.id);
+                setReminders(response.data.data);
+            } catch (err) {
+                console.error('Fetch reminders error:', err);
+            }
+        };
+        fetchReminders();
+    }, [invoice.id, invoice.amount_paid, invoice.due_date]);
+
+    // Pre-fill the editor with the schedule in effect each time it opens
+    useEffect(() => {
+        if (isEditing && reminders) {
+            const { schedule } = reminders;
+            reset({
+                enabled: schedule.enabled,
+                days_before: schedule.days_before,
+                on_due_date: schedule.on_due_date,
+                repeat_after_days: schedule.repeat_after_days,
+            });
+            setChannel(schedule.channel);
+            setLanguage(schedule.language);
+        }
+    }, [isEditing, reminders, reset]);
+
+    if (!reminders) return null;
+
+    const { schedule, next, message, history } = reminders;
+
+    const describeSchedule = () => {
+        if (!schedule.enabled) return t('reminders.off');
+        const parts = [
+            schedule.days_before > 0 && t('reminders.daysBefore', { count: schedule.days_before }),
+            schedule.on_due_date && t('reminders.onDueDate'),
+            schedule.repeat_after_days > 0 && t('reminders.repeatAfter', { count: schedule.repeat_after_days }),
+        ].filter(Boolean);
+        return parts.length > 0 ? parts.join(' · ') : t('reminders.off');
+    };
+
+    // ── Actions ──
+
+    const handleSendNow = async () => {
+        // Open WhatsApp first — browsers block pop-ups opened after an await
+        if (schedule.channel === 'whatsapp') {
+            window.open(buildWhatsAppUrl(invoice.customer_phone, message.text), '_blank');
+        }
+
+        try {
+            setSending(true);
+            const response = await reminderApi.send(invoice.id, {
+                channel: schedule.channel,
+                kind: message.kind,
+                language: schedule.language,
+            });
+            setReminders((prev) => ({
+                ...prev,
+                due: null,
+                history: [response.data.data, ...prev.history],
+            }));
+            toast.success(t('reminders.sent'));
+        } catch (err) {
+            console.error('Send reminder error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setSending(false);
+        }
+    };
+
+    const saveSchedule = async (nextSchedule) => {
+        try {
+            setSaving(true);
+            const response = await reminderApi.updateSchedule(invoice.id, nextSchedule);
+            setReminders(response.data.data);
+            setIsEditing(false);
+            toast.success(t('reminders.scheduleSaved'));
+        } catch (err) {
+            console.error('Save reminder schedule error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const onSave = (data) =>
+        saveSchedule({
+            enabled: data.enabled,
+            days_before: Number(data.days_before),
+            on_due_date: data.on_due_date,
+            repeat_after_days: Number(data.repeat_after_days),
+            channel,
+            language,
+        });
+
+    return (
+        <section className="reminder-card">
+            <div className="reminder-card__header">
+                <p className="reminder-card__title">{t('reminders.title')}</p>
+                {invoice.due_date && (
+                    <button
+                        type="button"
+                        className="reminder-card__edit"
+                        onClick={() => setIsEditing(true)}
+                        id="btn-edit-reminders"
+                    >
+                        {t('actions.edit')}
+                    </button>
+                )}
+            </div>
+
+            {!invoice.due_date ? (
+                <p className="reminder-card__hint">{t('reminders.needsDueDate')}</p>
+            ) : (
+                <>
+                    <p className="reminder-card__schedule">
+                        {describeSchedule()}
+                        {' · '}
+                        {t(`reminders.channels.${schedule.channel}`)}
+                        {reminders.uses_default && (
+                            <span className="reminder-card__default"> ({t('reminders.default')})</span>
+                        )}
+                    </p>
+
+                    {reminders.due ? (
+                        <p className="reminder-card__next reminder-card__next--due">
+                            🔔 {t('reminders.dueNow', { kind: t(`reminders.kinds.${reminders.due.kind}`) })}
+                        </p>
+                    ) : next && (
+                        <p className="reminder-card__next">
+                            {t('reminders.next', {
+                                date: formatDate(next.date),
+                                kind: t(`reminders.kinds.${next.kind}`),
+                            })}
+                        </p>
+                    )}
+
+                    {message && (
+                        <Button
+                            variant="secondary"
+                            size="sm"
+                            fullWidth
+                            onClick={handleSendNow}
+                            loading={sending}
+                            id="btn-send-reminder"
+                        >
+                            {t('reminders.sendNow', { channel: t(`reminders.channels.${schedule.channel}`) })}
+                        </Button>
+                    )}
+                </>
+            )}
+
+            {/* ── History ── */}
+            {history.length > 0 && (
+                <ul className="reminder-card__history">
+                    {history.map((entry) => (
+                        <li
+                            key={entry.id}
+                            className={`reminder-card__entry ${entry.status === 'failed' ? 'reminder-card__entry--failed' : ''}`}
+                        >
+                            <span>
+                                {formatDate(entry.sent_at)}
+                                {' · '}
+                                {t(`reminders.channels.${entry.channel}`)}
+                                {' · '}
+                                {t(`reminders.kinds.${entry.kind}`)}
+                            </span>
+                            {entry.status === 'failed' && (
+                                <span className="reminder-card__error">{t('reminders.failed')}</span>
+                            )}
+                            {entry.status === 'skipped' && (
+                                <span className="reminder-card__error">{t('reminders.skipped')}</span>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {/* ── Schedule Editor ── */}
+            <Modal isOpen={isEditing} onClose={() => setIsEditing(false)} title={t('reminders.schedule')}>
+                <form className="reminder-card__form" onSubmit={handleSubmit(onSave)} noValidate>
+                    <label className="reminder-card__toggle">
+                        <input type="checkbox" {...register('enabled')} />
+                        <span>{t('reminders.enabled')}</span>
+                    </label>
+                    <Input
+                        label={t('reminders.daysBeforeLabel')}
+                        type="number"
+                        inputMode="numeric"
+                        id="reminder-days-before"
+                        error={errors.days_before?.message}
+                        {...register('days_before', {
+                            required: t('errors.required'),
+                            min: { value: 0, message: t('reminders.range', { max: 30 }) },
+                            max: { value: 30, message: t('reminders.range', { max: 30 }) },
+                        })}
+                    />
+                    <label className="reminder-card__toggle">
+                        <input type="checkbox" {...register('on_due_date')} />
+                        <span>{t('reminders.onDueDateLabel')}</span>
+                    </label>
+                    <Input
+                        label={t('reminders.repeatAfterLabel')}
+                        type="number"
+                        inputMode="numeric"
+                        id="reminder-repeat-after"
+                        error={errors.repeat_after_days?.message}
+                        {...register('repeat_after_days', {
+                            required: t('errors.required'),
+                            min: { value: 0, message: t('reminders.range', { max: 60 }) },
+                            max: { value: 60, message: t('reminders.range', { max: 60 }) },
+                        })}
+                    />
+                    <div>
+                        <p className="reminder-card__label">{t('reminders.channel')}</p>
+                        <div className="reminder-card__chips">
+                            {REMINDER_CHANNELS.map((c) => (
+                                <FilterChip
+                                    key={c}
+                                    label={t(`reminders.channels.${c}`)}
+                                    active={channel === c}
+                                    onClick={() => setChannel(c)}
+                                />
+                            ))}
+                        </div>
+                    </div>
+                    <div>
+                        <p className="reminder-card__label">{t('reminders.language')}</p>
+                        <div className="reminder-card__chips">
+                            {REMINDER_LANGUAGES.map((lang) => (
+                                <FilterChip
+                                    key={lang}
+                                    label={t(`pdfLanguage.${lang}`)}
+                                    active={language === lang}
+                                    onClick={() => setLanguage(lang)}
+                                />
+                            ))}
+                        </div>
+                    </div>
+                    <Button type="submit" variant="primary" fullWidth loading={saving}>
+                        {t('actions.save')}
+                    </Button>
+                    {!reminders.uses_default && (
+                        <Button type="button" variant="ghost" fullWidth onClick={() => saveSchedule(null)} disabled={saving}>
+                            {t('reminders.useDefault')}
+                        </Button>
+                    )}
+                </form>
+            </Modal>
+        </section>
+    );
+};
+
+export default ReminderCard;
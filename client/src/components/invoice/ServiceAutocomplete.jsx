@@ -0,0 +1,113 @@
+import { forwardRef, useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import Input from '../ui/Input';
+import { useCatalogStore } from '../../store/catalogStore';
+import { filterCatalog } from '../../utils/catalog';
+import { formatCurrency } from '../../utils/formatCurrency';
+import './ServiceAutocomplete.css';
+
+/**
+ * Service description input with suggestions from the saved catalog.
+ * Suggestions are filtered locally (the catalog is cached in the store)
+ * and listed most-used first; picking one calls `onPick(item)` so the
+ * form can fill the rate, HSN/SAC and GST rate too.
+ *
+ * Accepts every Input prop, including the spread of react-hook-form's
+ * `register()`.
+ *
+ * @param {Object} props
+ * @param {Function} props.onPick - Called with the chosen catalog item
+ */
+const ServiceAutocomplete = forwardRef(({ onPick, onChange, ...inputProps }, ref) => {
+    const { t } = useTranslation();
+    const items = useCatalogStore((s) => s.items);
+    const fetchCatalog = useCatalogStore((s) => s.fetchCatalog);
+    const [query, setQuery] = useState('');
+    const [open, setOpen] = useState(false);
+
+    useEffect(() => {
+        fetchCatalog();
+    }, [fetchCatalog]);
+
+    // Nothing to suggest once the text is exactly a catalog entry
+    const suggestions = open
+        ? filterCatalog(items, query).filter(
+            (item) => item.description.toLowerCase() !== query.trim().toLowerCase()
+        )
+        : [];
+
+    const handlePick = (item) => {
+        setOpen(false);
+        setQuery(item.description);
+        onPick(item);
+    };
+
+    return (
+        <div
+            className="service-autocomplete"
+            onFocus={(e) => {
+                if (e.target.tagName === 'INPUT') {
+                    setQuery(e.target.value);
+                    setOpen(true);
+                }
+            }}
+            onBlur={() => setOpen(false)}
+            onKeyDown={(e) => {
+                if (e.key === 'Escape') setOpen(false);
+            }}
+        >
+            <Input
+                ref={ref}
+                autoComplete="off"
+                onChange={(e) => {
+                    onChange?.(e);
+                    setQuery(e.target.value);
+                    setOpen(true);
+                }}
+                {...inputProps}
+            />
+
+            {suggestions.length > 0 && (
+                // Keep focus in the input so the list doesn't close before the tap lands
+                <ul
+                    className="service-autocomplete__list"
+                    role="listbox"
+                    aria-label={t('catalog.suggestions')}
+                    onMouseDown={(e) => e.preventDefault()}
+                >
+                    {suggestions.map((item) => (
+                        <li key={item.id}>
+                            <button
+                                type="button"
+                                role="option"
+                                aria-selected="false"
+                                className="service-autocomplete__option"
+                                onClick={() => handlePick(item)}
+                            >
+                                <span className="service-autocomplete__main">
+                                    <span className="service-autocomplete__desc">{item.description}</span>
+                                    {(item.category || item.usage_count > 0) && (
+                                        <span className="service-autocomplete__meta">
+                                            {[
+                                                item.category,
+                                                item.usage_count > 0 && t('catalog.usedCount', { count: item.usage_count }),
+                                            ].filter(Boolean).join(' · ')}
+                                        </span>
+                                    )}
+                                </span>
+                                <span className="service-autocomplete__rate">
+                                    {formatCurrency(item.default_rate, false)}
+                                    {item.unit && <span className="service-autocomplete__unit"> / {item.unit}</span>}
+                                </span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+});
+
+ServiceAutocomplete.displayName = 'ServiceAutocomplete';
+
+export default ServiceAutocomplete;
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import Button from '../ui/Button';
+import Select from '../ui/Select';
+import ConfirmDialog from '../ui/ConfirmDialog';
+import { shareApi } from '../../services/api';
+import { formatDate } from '../../utils/formatDate';
+import './ShareLinkCard.css';
+
+// Link lifetimes offered when creating a link ('' → never expires)
+const EXPIRY_OPTIONS = ['', '7', '30', '90'];
+
+/**
+ * Public share link for a document: a read-only web page the customer
+ * can open without logging in. Shows whether (and how often) the link
+ * was opened, and lets the user copy, replace or revoke it.
+ *
+ * @param {Object} props
+ * @param {string} props.invoiceId - Document UUID
+ * @param {Object|null} props.link - Current link (`url`, `expires_at`, `expired`, `view_count`, `first_viewed_at`)
+ * @param {Function} props.onChange - Called with the new link, or null once revoked
+ */
+const ShareLinkCard = ({ invoiceId, link, onChange }) => {
+    const { t } = useTranslation();
+    const [expiry, setExpiry] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [showRevokeConfirm, setShowRevokeConfirm] = useState(false);
+
+    const expiryOptions = EXPIRY_OPTIONS.map((days) => ({
+        value: days,
+        label: days ? t('share.expiresInDays', { count: Number(days) }) : t('share.neverExpires'),
+    }));
+
+    const handleCreate = async () => {
+        try {
+            setSaving(true);
+            const response = await shareApi.create(invoiceId, expiry ? Number(expiry) : null);
+            onChange(response.data.data);
+            toast.success(t('share.created'));
+        } catch (err) {
+            console.error('Create share link error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleRevoke = async () => {
+        try {
+            setSaving(true);
+            await shareApi.revoke(invoiceId);
+            onChange(null);
+            toast.success(t('share.revoked'));
+        } catch (err) {
+            console.error('Revoke share link error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setSaving(false);
+            setShowRevokeConfirm(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(link.url);
+            toast.success(t('share.copied'));
+        } catch {
+            toast.error(t('share.copyFailed'));
+        }
+    };
+
+    return (
+        <section className="share-link">
+            <p className="share-link__title">{t('share.title')}</p>
+
+            {link && (
+                <>
+                    <input
+                        className="share-link__url"
+                        value={link.url}
+                        readOnly
+                        onFocus={(e) => e.target.select()}
+                        aria-label={t('share.title')}
+                        id="share-link-url"
+                    />
+                    <p className={`share-link__meta ${link.expired ? 'share-link__meta--expired' : ''}`}>
+                        {link.expired
+                            ? t('share.expired')
+                            : link.expires_at
+                                ? t('share.expiresOn', { date: formatDate(link.expires_at) })
+                                : t('share.neverExpires')}
+                        {' · '}
+                        {link.view_count > 0
+                            ? t('share.views', { count: link.view_count, date: formatDate(link.first_viewed_at) })
+                            : t('share.notViewed')}
+                    </p>
+                    <div className="share-link__actions">
+                        {!link.expired && (
+                            <Button variant="secondary" size="sm" onClick={handleCopy} id="btn-copy-share-link">
+                                {t('share.copy')}
+                            </Button>
+                        )}
+                        <Button variant="ghost" size="sm" onClick={() => setShowRevokeConfirm(true)} id="btn-revoke-share-link">
+                            {t('share.revoke')}
+                        </Button>
+                    </div>
+                </>
+            )}
+
+            <div className="share-link__create">
+                <Select
+                    label={t('share.validFor')}
+                    options={expiryOptions}
+                    value={expiry}
+                    onChange={(e) => setExpiry(e.target.value)}
+                    id="share-link-expiry"
+                />
+                <Button variant="secondary" fullWidth onClick={handleCreate} loading={saving} id="btn-create-share-link">
+                    {link ? t('share.replace') : t('share.create')}
+                </Button>
+            </div>
+
+            <ConfirmDialog
+                isOpen={showRevokeConfirm}
+                onClose={() => setShowRevokeConfirm(false)}
+                onConfirm={handleRevoke}
+                title={t('share.revokeTitle')}
+                message={t('share.revokeMessage')}
+                confirmLabel={t('share.revoke')}
+                cancelLabel={t('actions.cancel')}
+                destructive
+                loading={saving}
+            />
+        </section>
+    );
+};
+
+export default ShareLinkCard;
@@ -0,0 +1,41 @@
+import { formatCurrency } from '../../utils/formatCurrency';
+
+/**
+ * CGST + SGST (intra-state) or IGST (inter-state) rows for a totals block.
+ * The rate is shown when every taxed line shares the same GST rate.
+ *
+ * @param {Object} props
+ * @param {Object} props.summary - Result of `buildTaxSummary` (utils/gst)
+ * @param {string} props.rowClassName - Row class of the surrounding totals block
+ */
+const TaxBreakdown = ({ summary, rowClassName }) => {
+    if (!summary || summary.rows.length === 0) return null;
+
+    const singleRate = summary.rows.length === 1 ? summary.rows[0].rate : null;
+    const label = (name, rate) => (rate !== null ? `${name} (${rate}%)` : name);
+
+    if (summary.interState) {
+        return (
+            <div className={rowClassName}>
+                <span>{label('IGST', singleRate)}</span>
+                <span>{formatCurrency(summary.igst, false)}</span>
+            </div>
+        );
+    }
+
+    const halfRate = singleRate !== null ? singleRate / 2 : null;
+    return (
+        <>
+            <div className={rowClassName}>
+                <span>{label('CGST', halfRate)}</span>
+                <span>{formatCurrency(summary.cgst, false)}</span>
+            </div>
+            <div className={rowClassName}>
+                <span>{label('SGST', halfRate)}</span>
+                <span>{formatCurrency(summary.sgst, false)}</span>
+            </div>
+        </>
+    );
+};
+
+export default TaxBreakdown;
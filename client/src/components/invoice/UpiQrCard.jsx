@@ -0,0 +1,39 @@
+import { QRCodeSVG } from 'qrcode.react';
+import { useTranslation } from 'react-i18next';
+import { formatCurrency } from '../../utils/formatCurrency';
+import { getInvoiceUpiLink } from '../../utils/upi';
+import './UpiQrCard.css';
+
+/**
+ * "Scan to pay" card with a UPI QR code for the invoice's balance due.
+ * A customer on site can scan the phone screen with any UPI app.
+ * Renders nothing for estimates, paid invoices or when no UPI ID is saved.
+ *
+ * @param {Object} props
+ * @param {Object} props.invoice - Invoice record (with `balance_due`)
+ * @param {Object|null} props.business - Business profile (`upi_id`, `name`)
+ */
+const UpiQrCard = ({ invoice, business }) => {
+    const { t } = useTranslation();
+    const upiLink = getInvoiceUpiLink(invoice, business);
+
+    if (!upiLink) return null;
+
+    return (
+        <section className="upi-qr" aria-label={t('upi.title')}>
+            <div className="upi-qr__code">
+                <QRCodeSVG value={upiLink} size={148} level="M" marginSize={2} />
+            </div>
+            <div className="upi-qr__info">
+                <p className="upi-qr__title">{t('upi.title')}</p>
+                <p className="upi-qr__amount">
+                    {formatCurrency(invoice.balance_due ?? invoice.total_amount, false)}
+                </p>
+                <p className="upi-qr__vpa">{business.upi_id}</p>
+                <p className="upi-qr__hint">{t('upi.hint')}</p>
+            </div>
+        </section>
+    );
+};
+
+export default UpiQrCard;
@@ -0,0 +1,197 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { invoiceApi } from '../../services/api';
+import { formatCurrency } from '../../utils/formatCurrency';
+import { formatDate } from '../../utils/formatDate';
+import { CHANGE_ACTIONS, getShownChanges, getStatusKey, compareLines } from '../../utils/versions';
+import './VersionHistoryCard.css';
+
+// Events shown before "Show all"
+const COLLAPSED_COUNT = 5;
+
+/**
+ * A document's history: every change (who, when and what), and the
+ * PDFs and share links made from it, newest first. Each change is a
+ * version whose PDF can be downloaded as it was then — what the
+ * customer was sent.
+ *
+ * @param {Object} props
+ * @param {Object} props.invoice - Document record (id, invoice_number, document_type, updated_at)
+ * @param {string} props.pdfLang - Language for version PDFs ('en' | 'ta')
+ * @param {number} props.refreshKey - Changes when a PDF or share link was made
+ */
+const VersionHistoryCard = ({ invoice, pdfLang, refreshKey }) => {
+    const { t } = useTranslation();
+    const [events, setEvents] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showAll, setShowAll] = useState(false);
+    const [downloading, setDownloading] = useState(null);
+
+    // Fetch again after every save (status changes, payments, edits),
+    // PDF and share link
+    useEffect(() => {
+        const fetchHistory = async () => {
+            try {
+                const response = await invoiceApi.getHistory(invoice.id);
+                setEvents(response.data.data);
+            } catch (err) {
+                console.error('Fetch history error:', err);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchHistory();
+    }, [invoice.id, invoice.updated_at, refreshKey]);
+
+    const handleDownload = async (version) => {
+        try {
+            setDownloading(version);
+            const response = await invoiceApi.generateVersionPdf(invoice.id, version, pdfLang);
+
+            const blob = new Blob([response.data], { type: 'application/pdf' });
+            const url = window.URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${invoice.invoice_number}-${invoice.document_type}${
+                pdfLang === 'ta' ? '-ta' : ''}-v${version}.pdf`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            window.URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('Version PDF error:', err);
+            toast.error(t('errors.serverError'));
+        } finally {
+            setDownloading(null);
+        }
+    };
+
+    const formatValue = (change, value) => {
+        if (value === null) return '—';
+        switch (change.kind) {
+            case 'money': return formatCurrency(value);
+            case 'date': return formatDate(value);
+            case 'status': return t(getStatusKey(value));
+            case 'boolean': return t(value ? 'versions.on' : 'versions.off');
+            case 'percent': return `${value}%`;
+            case 'template': return t(`pdfTemplate.${value}`);
+            default: return String(value);
+        }
+    };
+
+    const describeLines = (change) => {
+        const { added, removed, changed } = compareLines(change.from, change.to);
+        return [
+            added > 0 && t('versions.linesAdded', { count: added }),
+            removed > 0 && t('versions.linesRemoved', { count: removed }),
+            changed > 0 && t('versions.linesChanged', { count: changed }),
+        ].filter(Boolean).join(' · ');
+    };
+
+    const describeActor = (event) => {
+        if (event.actor_type === 'customer') return t('versions.byCustomer', { name: event.actor_name });
+        if (event.actor_type === 'system') return t('versions.bySystem');
+        return t('versions.byYou');
+    };
+
+    const describeDetails = (event) => {
+        if (event.action === 'pdf_generated' && event.details?.lang) {
+            return t(`pdfLanguage.${event.details.lang}`);
+        }
+        if (event.action === 'shared') {
+            return event.details?.expires_at
+                ? t('share.expiresOn', { date: formatDate(event.details.expires_at) })
+                : t('share.neverExpires');
+        }
+        return null;
+    };
+
+    if (loading || events.length === 0) return null;
+
+    const visible = showAll ? events : events.slice(0, COLLAPSED_COUNT);
+
+    return (
+        <section className="versions">
+            <p className="versions__title">{t('versions.title')}</p>
+
+            <ol className="versions__list">
+                {visible.map((event) => {
+                    const isChange = CHANGE_ACTIONS.includes(event.action);
+                    const { shown, otherCount } = getShownChanges(event.changes);
+                    const details = describeDetails(event);
+
+                    return (
+                        <li
+                            key={event.id}
+                            className={`versions__event ${isChange ? 'versions__event--change' : ''}`}
+                        >
+                            <div className="versions__head">
+                                <p className="versions__action">
+                                    {t(`versions.actions.${event.action}`)}
+                                    {details && <span className="versions__details"> · {details}</span>}
+                                </p>
+                                {event.version > 0 && (
+                                    <span className="versions__version">
+                                        {t('versions.version', { version: event.version })}
+                                    </span>
+                                )}
+                            </div>
+                            <p className="versions__meta">
+                                {event.action !== 'history_started' && `${describeActor(event)} · `}
+                                {formatDate(event.created_at, 'dd MMM yyyy, h:mm a')}
+                            </p>
+
+                            {shown.length > 0 && (
+                                <ul className="versions__changes">
+                                    {shown.map((change) => (
+                                        <li key={change.field}>
+                                            <span className="versions__field">{t(change.label)}</span>{' '}
+                                            {change.kind === 'lines' ? describeLines(change) : (
+                                                <>
+                                                    <del>{formatValue(change, change.from)}</del>
+                                                    {' → '}
+                                                    <ins>{formatValue(change, change.to)}</ins>
+                                                </>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                            {otherCount > 0 && (
+                                <p className="versions__meta">{t('versions.otherChanges', { count: otherCount })}</p>
+                            )}
+
+                            {isChange && (
+                                <button
+                                    type="button"
+                                    className="versions__pdf"
+                                    onClick={() => handleDownload(event.version)}
+                                    disabled={downloading !== null}
+                                    id={`btn-version-pdf-${event.version}`}
+                                >
+                                    {downloading === event.version
+                                        ? t('versions.downloading')
+                                        : t('versions.downloadPdf', { version: event.version })}
+                                </button>
+                            )}
+                        </li>
+                    );
+                })}
+            </ol>
+
+            {events.length > COLLAPSED_COUNT && (
+                <button
+                    type="button"
+                    className="versions__toggle"
+                    onClick={() => setShowAll((prev) => !prev)}
+                    id="btn-toggle-history"
+                >
+                    {showAll ? t('versions.showLess') : t('versions.showAll', { count: events.length })}
+                </button>
+            )}
+        </section>
+    );
+};
+
+export default VersionHistoryCard;
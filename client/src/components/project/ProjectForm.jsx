@@ -0,0 +1,163 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import TextArea from '../ui/TextArea';
+import Modal from '../ui/Modal';
+import FilterChip from '../ui/FilterChip';
+import CustomerPicker from '../invoice/CustomerPicker';
+import { projectApi } from '../../services/api';
+import { PROJECT_STAGES } from '../../utils/projects';
+import './ProjectForm.css';
+
+/**
+ * Create / edit a project in a modal: its name, customer, site address,
+ * stage, start and end dates and notes.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ * @param {Object|null} props.project - Project to edit (with `customer`); null creates one
+ * @param {Function} props.onSaved - Called with the saved project
+ */
+const ProjectForm = ({ isOpen, onClose, project, onSaved }) => {
+    const { t } = useTranslation();
+    const [customer, setCustomer] = useState(null);
+    const [stage, setStage] = useState('planning');
+    const [saving, setSaving] = useState(false);
+
+    const {
+        register,
+        handleSubmit,
+        reset,
+        getValues,
+        formState: { errors },
+    } = useForm({ mode: 'onBlur' });
+
+    // Pre-fill each time the form opens
+    useEffect(() => {
+        if (!isOpen) return;
+        reset({
+            name: project?.name ?? '',
+            site_address: project?.site_address ?? '',
+            start_date: project?.start_date ?? '',
+            end_date: project?.end_date ?? '',
+            notes: project?.notes ?? '',
+        });
+        setCustomer(project?.customer ?? null);
+        setStage(project?.stage ?? 'planning');
+    }, [isOpen, project, reset]);
+
+    const onSave = async (data) => {
+        const payload = {
+            name: data.name.trim(),
+            customer_id: customer?.id || null,
+            site_address: data.site_address.trim() || null,
+            stage,
+            start_date: data.start_date || null,
+            end_date: data.end_date || null,
+            notes: data.notes.trim() || null,
+        };
+
+        try {
+            setSaving(true);
+            const response = project
+                ? await projectApi.update(project.id, payload)
+                : await projectApi.create(payload);
+            onSaved({ ...response.data.data, customer });
+            onClose();
+            toast.success(project ? t('projects.updated') : t('projects.created'));
+        } catch (err) {
+            console.error('Save project error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={project ? t('projects.edit') : t('projects.new')}>
+            <form className="project-form" onSubmit={handleSubmit(onSave)} noValidate>
+                <Input
+                    label={t('projects.name')}
+                    placeholder={t('projects.namePlaceholder')}
+                    required
+                    maxLength={100}
+                    id="project-name"
+                    error={errors.name?.message}
+                    {...register('name', {
+                        required: t('errors.required'),
+                        minLength: { value: 2, message: t('invoice.minChars') },
+                    })}
+                />
+
+                <div>
+                    <p className="project-form__label">{t('projects.customer')}</p>
+                    <CustomerPicker
+                        selected={customer}
+                        onSelect={setCustomer}
+                        onClear={() => setCustomer(null)}
+                        id="project-customer-picker"
+                    />
+                </div>
+
+                <Input
+                    label={t('projects.siteAddress')}
+                    placeholder={t('projects.siteAddressPlaceholder')}
+                    maxLength={300}
+                    id="project-site-address"
+                    {...register('site_address')}
+                />
+
+                <div>
+                    <p className="project-form__label">{t('projects.stage')}</p>
+                    <div className="project-form__chips">
+                        {PROJECT_STAGES.map((s) => (
+                            <FilterChip
+                                key={s}
+                                label={t(`projects.stages.${s}`)}
+                                active={stage === s}
+                                onClick={() => setStage(s)}
+                            />
+                        ))}
+                    </div>
+                </div>
+
+                <div className="project-form__row">
+                    <Input
+                        label={t('projects.startDate')}
+                        type="date"
+                        id="project-start-date"
+                        {...register('start_date')}
+                    />
+                    <Input
+                        label={t('projects.endDate')}
+                        type="date"
+                        id="project-end-date"
+                        error={errors.end_date?.message}
+                        {...register('end_date', {
+                            validate: (v) => !v || !getValues('start_date') || v >= getValues('start_date')
+                                || t('projects.endBeforeStart'),
+                        })}
+                    />
+                </div>
+
+                <TextArea
+                    label={t('projects.notes')}
+                    rows={3}
+                    maxLength={1000}
+                    id="project-notes"
+                    {...register('notes')}
+                />
+
+                <Button type="submit" variant="primary" fullWidth loading={saving}>
+                    {t('actions.save')}
+                </Button>
+            </form>
+        </Modal>
+    );
+};
+
+export default ProjectForm;
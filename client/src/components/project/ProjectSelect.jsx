@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import Select from '../ui/Select';
+import { projectApi } from '../../services/api';
+
+/**
+ * Dropdown of the user's projects, with a "no project" choice.
+ * Controlled: the projects load after the form is filled, so the value
+ * is kept here rather than in the native select.
+ *
+ * @param {Object} props
+ * @param {string|null} props.value - Selected project id
+ * @param {Function} props.onChange - Called with the project (or null)
+ * @param {string} [props.label]
+ * @param {string} [props.id]
+ */
+const ProjectSelect = ({ value, onChange, label, id = 'project-select' }) => {
+    const { t } = useTranslation();
+    const [projects, setProjects] = useState([]);
+
+    useEffect(() => {
+        const fetchProjects = async () => {
+            try {
+                const response = await projectApi.getAll();
+                setProjects(response.data.data || []);
+            } catch (err) {
+                console.error('Fetch projects error:', err);
+            }
+        };
+        fetchProjects();
+    }, []);
+
+    const options = [
+        { value: '', label: t('projects.none') },
+        ...projects.map((p) => ({
+            value: p.id,
+            label: p.customer_name ? `${p.name} · ${p.customer_name}` : p.name,
+        })),
+    ];
+
+    return (
+        <Select
+            label={label ?? t('projects.project')}
+            options={options}
+            id={id}
+            value={value || ''}
+            onChange={(e) => onChange(projects.find((p) => p.id === e.target.value) || null)}
+        />
+    );
+};
+
+export default ProjectSelect;
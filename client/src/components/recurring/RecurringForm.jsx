@@ -0,0 +1,171 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import Button from '../ui/Button';
+import Input from '../ui/Input';
+import Modal from '../ui/Modal';
+import FilterChip from '../ui/FilterChip';
+import { recurringApi } from '../../services/api';
+import { RECURRING_FREQUENCIES, getRecurringDefaults } from '../../utils/recurring';
+import './RecurringForm.css';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+/**
+ * Set up or edit a recurring invoice in a modal: how often it repeats,
+ * on which day of the month, from and until when, its payment terms,
+ * and whether each invoice is sent automatically or left as a draft.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ * @param {Object|null} [props.invoice] - Invoice to repeat (for a new profile)
+ * @param {Object|null} [props.profile] - Profile to edit; null sets up a new one
+ * @param {Function} props.onSaved - Called with the saved profile
+ */
+const RecurringForm = ({ isOpen, onClose, invoice = null, profile = null, onSaved }) => {
+    const { t } = useTranslation();
+    const [frequency, setFrequency] = useState('monthly');
+    const [saving, setSaving] = useState(false);
+
+    const {
+        register,
+        handleSubmit,
+        reset,
+        getValues,
+        formState: { errors },
+    } = useForm({ mode: 'onBlur' });
+
+    // Pre-fill each time the form opens
+    useEffect(() => {
+        if (!isOpen) return;
+        const values = profile
+            ? {
+                name: profile.name,
+                frequency: profile.frequency,
+                day_of_month: profile.day_of_month,
+                start_date: profile.start_date,
+                end_date: profile.end_date ?? '',
+                due_days: profile.due_days ?? '',
+                auto_send: profile.auto_send,
+            }
+            : getRecurringDefaults(invoice, today());
+        reset(values);
+        setFrequency(values.frequency);
+    }, [isOpen, invoice, profile, reset]);
+
+    const onSave = async (data) => {
+        const payload = {
+            name: data.name.trim() || null,
+            frequency,
+            day_of_month: Number(data.day_of_month),
+            start_date: data.start_date,
+            end_date: data.end_date || null,
+            due_days: data.due_days === '' ? null : Number(data.due_days),
+            auto_send: data.auto_send,
+        };
+
+        try {
+            setSaving(true);
+            const response = profile
+                ? await recurringApi.update(profile.id, payload)
+                : await recurringApi.create({ ...payload, source_invoice_id: invoice.id });
+            onSaved(response.data.data);
+            onClose();
+            toast.success(profile ? t('recurring.updated') : t('recurring.created'));
+        } catch (err) {
+            console.error('Save recurring profile error:', err);
+            toast.error(err.response?.data?.details?.[0]?.message || err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={profile ? t('recurring.edit') : t('recurring.new')}>
+            <form className="recurring-form" onSubmit={handleSubmit(onSave)} noValidate>
+                <Input
+                    label={t('recurring.name')}
+                    placeholder={t('recurring.namePlaceholder')}
+                    maxLength={100}
+                    id="recurring-name"
+                    {...register('name')}
+                />
+
+                <div>
+                    <p className="recurring-form__label">{t('recurring.frequency')}</p>
+                    <div className="recurring-form__chips">
+                        {RECURRING_FREQUENCIES.map((f) => (
+                            <FilterChip
+                                key={f}
+                                label={t(`recurring.frequencies.${f}`)}
+                                active={frequency === f}
+                                onClick={() => setFrequency(f)}
+                            />
+                        ))}
+                    </div>
+                </div>
+
+                <div className="recurring-form__row">
+                    <Input
+                        label={t('recurring.dayOfMonth')}
+                        type="number"
+                        inputMode="numeric"
+                        id="recurring-day-of-month"
+                        error={errors.day_of_month?.message}
+                        {...register('day_of_month', {
+                            required: t('errors.required'),
+                            min: { value: 1, message: t('recurring.dayRange') },
+                            max: { value: 31, message: t('recurring.dayRange') },
+                        })}
+                    />
+                    <Input
+                        label={t('recurring.dueDays')}
+                        type="number"
+                        inputMode="numeric"
+                        placeholder={t('recurring.dueDaysPlaceholder')}
+                        id="recurring-due-days"
+                        error={errors.due_days?.message}
+                        {...register('due_days', {
+                            min: { value: 0, message: t('recurring.dueDaysRange') },
+                            max: { value: 365, message: t('recurring.dueDaysRange') },
+                        })}
+                    />
+                </div>
+                <p className="recurring-form__hint">{t('recurring.dayHint')}</p>
+
+                <div className="recurring-form__row">
+                    <Input
+                        label={t('recurring.startDate')}
+                        type="date"
+                        id="recurring-start-date"
+                        error={errors.start_date?.message}
+                        {...register('start_date', { required: t('errors.required') })}
+                    />
+                    <Input
+                        label={t('recurring.endDate')}
+                        type="date"
+                        id="recurring-end-date"
+                        error={errors.end_date?.message}
+                        {...register('end_date', {
+                            validate: (v) => !v || v >= getValues('start_date') || t('projects.endBeforeStart'),
+                        })}
+                    />
+                </div>
+
+                <label className="recurring-form__toggle">
+                    <input type="checkbox" {...register('auto_send')} />
+                    <span>{t('recurring.autoSend')}</span>
+                </label>
+                <p className="recurring-form__hint">{t('recurring.autoSendHint')}</p>
+
+                <Button type="submit" variant="primary" fullWidth loading={saving}>
+                    {t('actions.save')}
+                </Button>
+            </form>
+        </Modal>
+    );
+};
+
+export default RecurringForm;
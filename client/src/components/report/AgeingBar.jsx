@@ -0,0 +1,40 @@
+import { useTranslation } from 'react-i18next';
+import { formatCurrency } from '../../utils/formatCurrency';
+import { AGEING_BUCKETS } from '../../utils/reports';
+import './AgeingBar.css';
+
+/**
+ * Stacked bar of outstanding amounts by age, with a legend giving each
+ * bucket's amount.
+ *
+ * @param {Object} props
+ * @param {Object<string, number>} props.buckets - Amount per bucket key ('0_30' … '90_plus')
+ * @param {number} props.total - Sum of the buckets
+ */
+const AgeingBar = ({ buckets, total }) => {
+    const { t } = useTranslation();
+
+    return (
+        <div className="ageing-bar">
+            <div className="ageing-bar__track" role="img" aria-label={t('reports.ageing')}>
+                {total > 0 && AGEING_BUCKETS.map((bucket) => (
+                    <span
+                        key={bucket}
+                        className={`ageing-bar__segment ageing-bar__segment--${bucket}`}
+                        style={{ width: `${(buckets[bucket] / total) * 100}%` }}
+                    />
+                ))}
+            </div>
+            <ul className="ageing-bar__legend">
+                {AGEING_BUCKETS.map((bucket) => (
+                    <li key={bucket} className={`ageing-bar__key ageing-bar__key--${bucket}`}>
+                        <span>{t(`reports.buckets.${bucket}`)}</span>
+                        <strong>{formatCurrency(buckets[bucket], false)}</strong>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default AgeingBar;
@@ -0,0 +1,36 @@
+import { Link } from 'react-router-dom';
+import { formatCurrency } from '../../utils/formatCurrency';
+import './BarList.css';
+
+/**
+ * Ranked list with a bar under each entry, sized against the first
+ * (largest) value.
+ *
+ * @param {Object} props
+ * @param {Array<{ key: string, label: string, detail?: string, value: number, to?: string }>} props.items
+ *   Entries, largest first; `to` makes the label a link
+ */
+const BarList = ({ items }) => {
+    const max = Math.max(0, ...items.map((item) => item.value)) || 1;
+
+    return (
+        <ol className="bar-list">
+            {items.map((item) => (
+                <li key={item.key} className="bar-list__item">
+                    <div className="bar-list__row">
+                        <span className="bar-list__label">
+                            {item.to ? <Link to={item.to}>{item.label}</Link> : item.label}
+                            {item.detail && <small className="bar-list__detail">{item.detail}</small>}
+                        </span>
+                        <span className="bar-list__value">{formatCurrency(item.value, false)}</span>
+                    </div>
+                    <div className="bar-list__track">
+                        <span className="bar-list__fill" style={{ width: `${(item.value / max) * 100}%` }} />
+                    </div>
+                </li>
+            ))}
+        </ol>
+    );
+};
+
+export default BarList;
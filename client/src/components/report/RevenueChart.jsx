@@ -0,0 +1,65 @@
+import { useTranslation } from 'react-i18next';
+import { formatCurrency, formatCurrencyShort } from '../../utils/formatCurrency';
+import { formatDate } from '../../utils/formatDate';
+import { getNiceMax } from '../../utils/reports';
+import './RevenueChart.css';
+
+/**
+ * Column chart of what was invoiced and what was collected each month.
+ * Long ranges scroll sideways.
+ *
+ * @param {Object} props
+ * @param {Array<{ month: string, invoiced: number, collected: number }>} props.months
+ */
+const RevenueChart = ({ months }) => {
+    const { t } = useTranslation();
+    const top = getNiceMax(Math.max(0, ...months.flatMap((m) => [m.invoiced, m.collected])));
+    const height = (value) => `${Math.min((value / top) * 100, 100)}%`;
+
+    return (
+        <figure className="revenue-chart">
+            <div className="revenue-chart__legend">
+                <span className="revenue-chart__key revenue-chart__key--invoiced">{t('reports.invoiced')}</span>
+                <span className="revenue-chart__key revenue-chart__key--collected">{t('reports.collected')}</span>
+            </div>
+
+            <div className="revenue-chart__body">
+                <div className="revenue-chart__scale" aria-hidden="true">
+                    <span>{formatCurrencyShort(top)}</span>
+                    <span>{formatCurrencyShort(top / 2)}</span>
+                    <span>₹0</span>
+                </div>
+
+                <ol className="revenue-chart__months">
+                    {months.map((m) => {
+                        const label = formatDate(`${m.month}-01`, 'MMM');
+                        return (
+                            <li
+                                key={m.month}
+                                className="revenue-chart__month"
+                                title={`${formatDate(`${m.month}-01`, 'MMMM yyyy')}: ${t('reports.invoiced')} ${formatCurrency(m.invoiced, false)}, ${t('reports.collected')} ${formatCurrency(m.collected, false)}`}
+                            >
+                                <div className="revenue-chart__bars">
+                                    <span
+                                        className="revenue-chart__bar revenue-chart__bar--invoiced"
+                                        style={{ height: height(m.invoiced) }}
+                                    />
+                                    <span
+                                        className="revenue-chart__bar revenue-chart__bar--collected"
+                                        style={{ height: height(m.collected) }}
+                                    />
+                                </div>
+                                <span className="revenue-chart__label">
+                                    {label}
+                                    {m.month.endsWith('-01') && <small>{m.month.slice(2, 4)}</small>}
+                                </span>
+                            </li>
+                        );
+                    })}
+                </ol>
+            </div>
+        </figure>
+    );
+};
+
+export default RevenueChart;
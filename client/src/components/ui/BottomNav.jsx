@@ -14,6 +14,18 @@ const navItems = [
             </svg>
         ),
     },
+    {
+        path: '/customers',
+        labelKey: 'nav.customers',
+        icon: (active) => (
+            <svg width="24" height="24" viewBox="0 0 24 24" fill={active ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M17 21v-2a4 4 0 00-4-4H5a4 4 0 00-4 4v2" />
+                <circle cx="9" cy="7" r="4" />
+                <path d="M23 21v-2a4 4 0 00-3-3.87" />
+                <path d="M16 3.13a4 4 0 010 7.75" />
+            </svg>
+        ),
+    },
     {
         path: '/invoice/new',
         labelKey: 'nav.newInvoice',
@@ -52,7 +64,8 @@ const BottomNav = () => {
             <div className="bottom-nav__inner">
                 {navItems.map((item) => {
                     const isActive = location.pathname === item.path ||
-                        (item.path === '/dashboard' && location.pathname === '/');
+                        (item.path === '/dashboard' && location.pathname === '/') ||
+                        (item.path === '/customers' && location.pathname.startsWith('/customers/'));
 
                     return (
                         <NavLink
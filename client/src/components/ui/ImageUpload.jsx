@@ -0,0 +1,94 @@
+import { useRef } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import './Input.css';
+import './ImageUpload.css';
+
+// The PDF can only embed PNG and JPEG; the server rejects anything larger
+const ACCEPTED_TYPES = ['image/png', 'image/jpeg'];
+const MAX_IMAGE_BYTES = 300 * 1024;
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+/**
+ * Image picker that keeps the chosen file as a base64 data URL.
+ * Used for the business logo and signature printed on PDFs.
+ *
+ * @param {Object} props
+ * @param {string} props.label - Field label
+ * @param {string|null} props.value - Current image as a data URL
+ * @param {Function} props.onChange - Called with the new data URL, or null when removed
+ * @param {string} props.id - Input id
+ */
+const ImageUpload = ({ label, value, onChange, id }) => {
+    const { t } = useTranslation();
+    const inputRef = useRef(null);
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        if (!ACCEPTED_TYPES.includes(file.type)) {
+            toast.error(t('settings.imageType'));
+            return;
+        }
+        if (file.size > MAX_IMAGE_BYTES) {
+            toast.error(t('settings.imageTooLarge'));
+            return;
+        }
+
+        try {
+            onChange(await readAsDataUrl(file));
+        } catch (err) {
+            console.error('Read image error:', err);
+            toast.error(t('errors.serverError'));
+        }
+    };
+
+    return (
+        <div className="input-wrapper image-upload">
+            <span className="input-label">
+                <span className="input-label__text">{label}</span>
+            </span>
+            <div className="image-upload__body">
+                <div className="image-upload__preview">
+                    {value ? <img src={value} alt={label} /> : <span aria-hidden="true">🖼️</span>}
+                </div>
+                <div className="image-upload__actions">
+                    <button
+                        type="button"
+                        className="image-upload__button"
+                        onClick={() => inputRef.current?.click()}
+                    >
+                        {value ? t('settings.changeImage') : t('settings.uploadImage')}
+                    </button>
+                    {value && (
+                        <button
+                            type="button"
+                            className="image-upload__button image-upload__button--remove"
+                            onClick={() => onChange(null)}
+                        >
+                            {t('settings.removeImage')}
+                        </button>
+                    )}
+                </div>
+                <input
+                    ref={inputRef}
+                    id={id}
+                    type="file"
+                    accept={ACCEPTED_TYPES.join(',')}
+                    className="image-upload__input"
+                    onChange={handleFile}
+                />
+            </div>
+        </div>
+    );
+};
+
+export default ImageUpload;
@@ -0,0 +1,82 @@
+import { forwardRef, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import './Input.css';
+import './Select.css';
+
+/**
+ * Native dropdown styled like Input (same label, focus and error states).
+ *
+ * @param {Object} props
+ * @param {Array<{ value: string|number, label: string }>} props.options
+ */
+const Select = forwardRef(({
+    label,
+    labelTamil,
+    error,
+    options = [],
+    required = false,
+    disabled = false,
+    className = '',
+    id,
+    ...props
+}, ref) => {
+    const { i18n } = useTranslation();
+    const [focused, setFocused] = useState(false);
+    const isTamil = i18n.language === 'ta';
+
+    const selectId = id || `select-${label?.toLowerCase().replace(/\s+/g, '-')}`;
+
+    const wrapperClasses = [
+        'input-wrapper',
+        'select-wrapper',
+        focused && 'input-wrapper--focused',
+        error && 'input-wrapper--error',
+        disabled && 'input-wrapper--disabled',
+        className,
+    ].filter(Boolean).join(' ');
+
+    return (
+        <div className={wrapperClasses}>
+            {label && (
+                <label htmlFor={selectId} className="input-label">
+                    <span className="input-label__text">
+                        {isTamil && labelTamil ? labelTamil : label}
+                        {required && <span className="input-label__required" aria-hidden="true"> *</span>}
+                    </span>
+                    {!isTamil && labelTamil && (
+                        <span className="input-label__tamil">{labelTamil}</span>
+                    )}
+                </label>
+            )}
+            <div className="input-field">
+                <select
+                    ref={ref}
+                    id={selectId}
+                    disabled={disabled}
+                    required={required}
+                    className="input-field__input select-field__select"
+                    onFocus={() => setFocused(true)}
+                    onBlur={() => setFocused(false)}
+                    aria-invalid={!!error}
+                    aria-describedby={error ? `${selectId}-error` : undefined}
+                    {...props}
+                >
+                    {options.map((option) => (
+                        <option key={option.value} value={option.value}>
+                            {option.label}
+                        </option>
+                    ))}
+                </select>
+            </div>
+            {error && (
+                <p id={`${selectId}-error`} className="input-error" role="alert">
+                    ⚠️ {error}
+                </p>
+            )}
+        </div>
+    );
+});
+
+Select.displayName = 'Select';
+
+export default Select;
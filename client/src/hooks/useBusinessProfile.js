@@ -0,0 +1,25 @@
+import { useEffect } from 'react';
+import { useSettingsStore, DEFAULT_BUSINESS_NAME } from '../store/settingsStore';
+
+/**
+ * Returns the user's business profile, loading it on first use.
+ * The profile is cached in the settings store, so pages that share it
+ * (dashboard, invoice form, preview) trigger a single request.
+ *
+ * @returns {{ business: Object|null, businessName: string }}
+ */
+const useBusinessProfile = () => {
+  const business = useSettingsStore((state) => state.business);
+  const fetchBusiness = useSettingsStore((state) => state.fetchBusiness);
+
+  useEffect(() => {
+    fetchBusiness();
+  }, [fetchBusiness]);
+
+  return {
+    business,
+    businessName: business?.name || DEFAULT_BUSINESS_NAME,
+  };
+};
+
+export default useBusinessProfile;
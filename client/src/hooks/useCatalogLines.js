@@ -0,0 +1,66 @@
+import { useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { catalogApi } from '../services/api';
+import { useCatalogStore } from '../store/catalogStore';
+import { catalogItemFromLine } from '../utils/catalog';
+
+/**
+ * Catalog actions for the service lines of the invoice forms:
+ * filling a line from a catalog item and saving a line to the catalog.
+ * Lines linked to the catalog carry `catalog_item_id`, which the server
+ * uses to count how often each item is billed.
+ *
+ * @param {Object} form
+ * @param {Function} form.getValues - React Hook Form `getValues`
+ * @param {Function} form.setValue - React Hook Form `setValue`
+ * @param {Function} form.updateLineAmount - From useInvoiceCalculations
+ * @returns {{ applyCatalogItem: Function, saveLineToCatalog: Function }}
+ */
+const useCatalogLines = ({ getValues, setValue, updateLineAmount }) => {
+  const { t } = useTranslation();
+  const items = useCatalogStore((s) => s.items);
+  const upsertItem = useCatalogStore((s) => s.upsertItem);
+
+  const applyCatalogItem = useCallback((index, item) => {
+    const line = `services.${index}`;
+    setValue(`${line}.description`, item.description, { shouldValidate: true });
+    setValue(`${line}.rate`, Number(item.default_rate) || 0);
+    if (item.unit) setValue(`${line}.unit`, item.unit);
+    if (item.hsn_sac) setValue(`${line}.hsn_sac`, item.hsn_sac);
+    if (item.tax_rate != null) setValue(`${line}.tax_rate`, Number(item.tax_rate));
+    setValue(`${line}.catalog_item_id`, item.id);
+    updateLineAmount(index);
+  }, [setValue, updateLineAmount]);
+
+  const saveLineToCatalog = useCallback(async (index) => {
+    const line = getValues(`services.${index}`);
+    const description = (line.description || '').trim();
+    if (description.length < 2) {
+      toast.error(t('catalog.describeFirst'));
+      return;
+    }
+
+    // Already saved under the same description — just link the line
+    const existing = items.find((i) => i.description.toLowerCase() === description.toLowerCase());
+    if (existing) {
+      setValue(`services.${index}.catalog_item_id`, existing.id);
+      toast(t('catalog.alreadySaved'));
+      return;
+    }
+
+    try {
+      const response = await catalogApi.create(catalogItemFromLine(line));
+      upsertItem(response.data.data);
+      setValue(`services.${index}.catalog_item_id`, response.data.data.id);
+      toast.success(t('catalog.saved'));
+    } catch (err) {
+      console.error('Save to catalog error:', err);
+      toast.error(err.response?.data?.error || t('errors.serverError'));
+    }
+  }, [getValues, setValue, items, upsertItem, t]);
+
+  return { applyCatalogItem, saveLineToCatalog };
+};
+
+export default useCatalogLines;
@@ -1,9 +1,16 @@
 import { useMemo, useCallback } from 'react';
 import { useWatch } from 'react-hook-form';
+import { calculateInvoiceTotals, calculateLine } from '../utils/invoiceTotals';
 
 /**
  * Custom hook for real-time invoice calculations.
  *
+ * GST is charged per line at each line's `tax_rate` and split into
+ * CGST + SGST or IGST depending on the business GSTIN and place of supply.
+ *
+ * Rounding follows server/src/utils/invoiceTotals.js, which recomputes
+ * these figures on save and rejects totals that don't match.
+ *
  * Uses `useWatch` instead of `watch` for targeted subscriptions,
  * avoiding unnecessary re-renders of the entire form.
  *
@@ -16,14 +23,19 @@ const useInvoiceCalculations = (control, watch, setValue) => {
   const services = useWatch({ control, name: 'services' }) || [];
   const taxEnabled = useWatch({ control, name: 'tax_enabled' });
   const taxPercentage = useWatch({ control, name: 'tax_percentage' }) || 0;
-  const discountAmount = useWatch({ control, name: 'discount_amount' }) || 0;
+  const discountType = useWatch({ control, name: 'discount_type' });
+  const discountValue = useWatch({ control, name: 'discount_value' });
+  const roundOff = useWatch({ control, name: 'round_off' });
+  const businessGstin = useWatch({ control, name: 'business_gstin' });
+  const placeOfSupply = useWatch({ control, name: 'place_of_supply' });
 
-  // Recalculate line-item amounts (qty × rate)
+  // Recalculate a line's net amount (qty × rate − line discount);
+  // quantities may be fractional (42.5 sq.ft), so both are rounded the
+  // way the server does
   const updateLineAmount = useCallback(
     (index) => {
-      const qty = Number(watch(`services.${index}.quantity`)) || 0;
-      const rate = Number(watch(`services.${index}.rate`)) || 0;
-      const amount = parseFloat((qty * rate).toFixed(2));
+      const { discount, amount } = calculateLine(watch(`services.${index}`));
+      setValue(`services.${index}.discount_amount`, discount);
       setValue(`services.${index}.amount`, amount, { shouldDirty: true });
     },
     [watch, setValue]
@@ -31,28 +43,36 @@ const useInvoiceCalculations = (control, watch, setValue) => {
 
   // Derived totals
   const calculations = useMemo(() => {
-    const subtotal = services.reduce(
-      (sum, s) => sum + (Number(s.amount) || 0),
-      0
-    );
-
-    const taxAmount = taxEnabled
-      ? parseFloat(((subtotal * Number(taxPercentage)) / 100).toFixed(2))
-      : 0;
-
-    const discount = Number(discountAmount) || 0;
-
-    const total = parseFloat(
-      Math.max(subtotal + taxAmount - discount, 0).toFixed(2)
-    );
+    const { subtotal, taxAmount, taxSummary, discountAmount, roundOffAmount, total } =
+      calculateInvoiceTotals({
+        services,
+        tax_enabled: taxEnabled,
+        tax_percentage: taxPercentage,
+        business_gstin: businessGstin,
+        place_of_supply: placeOfSupply,
+        discount_type: discountType,
+        discount_value: discountValue,
+        round_off: roundOff,
+      });
 
-    return { subtotal, taxAmount, total };
-  }, [services, taxEnabled, taxPercentage, discountAmount]);
+    return { subtotal, taxAmount, taxSummary, discountAmount, roundOffAmount, total };
+  }, [
+    services,
+    taxEnabled,
+    taxPercentage,
+    businessGstin,
+    placeOfSupply,
+    discountType,
+    discountValue,
+    roundOff,
+  ]);
 
   // Sync calculated values back to form (for submission)
   const syncToForm = useCallback(() => {
     setValue('subtotal', calculations.subtotal);
     setValue('tax_amount', calculations.taxAmount);
+    setValue('discount_amount', calculations.discountAmount);
+    setValue('round_off_amount', calculations.roundOffAmount);
     setValue('total_amount', calculations.total);
   }, [calculations, setValue]);
 
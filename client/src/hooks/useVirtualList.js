@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getVisibleRange } from '../utils/history';
+
+/**
+ * Renders only the rows of a long page-scrolled list that are on screen.
+ * Rows are assumed to be the same height; it is measured from the first
+ * rendered row (attach `measureRef` to it), with `estimatedHeight` used
+ * until then. Space for the rows not rendered is kept with padding.
+ *
+ * @param {Object} options
+ * @param {number} options.count - Number of rows
+ * @param {number} options.estimatedHeight - Row height (with its gap) before measuring
+ * @param {number} [options.overscan] - Extra rows rendered above and below the screen
+ * @returns {{ listRef: Object, measureRef: Function, start: number, end: number,
+ *   style: Object }} Spread `style` on the list element
+ */
+const useVirtualList = ({ count, estimatedHeight, overscan }) => {
+  const listRef = useRef(null);
+  const [rowHeight, setRowHeight] = useState(estimatedHeight);
+  const [view, setView] = useState({ scrollTop: 0, viewportHeight: window.innerHeight });
+
+  useEffect(() => {
+    let frame = null;
+    const update = () => {
+      frame = null;
+      if (!listRef.current) return;
+      setView({
+        scrollTop: -listRef.current.getBoundingClientRect().top,
+        viewportHeight: window.innerHeight,
+      });
+    };
+    const schedule = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+
+    schedule();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+    };
+  }, [count]);
+
+  const measureRef = useCallback((node) => {
+    if (node && node.offsetHeight > 0) setRowHeight(node.offsetHeight);
+  }, []);
+
+  const { start, end } = getVisibleRange({ ...view, rowHeight, count, overscan });
+
+  return {
+    listRef,
+    measureRef,
+    start,
+    end,
+    style: {
+      paddingTop: start * rowHeight,
+      paddingBottom: (count - end) * rowHeight,
+    },
+  };
+};
+
+export default useVirtualList;
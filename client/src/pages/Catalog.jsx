@@ -0,0 +1,309 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import TopBar from '../components/ui/TopBar';
+import Card from '../components/ui/Card';
+import Button from '../components/ui/Button';
+import Input from '../components/ui/Input';
+import Select from '../components/ui/Select';
+import Modal from '../components/ui/Modal';
+import Skeleton from '../components/ui/Skeleton';
+import SearchBar from '../components/ui/SearchBar';
+import FilterChip from '../components/ui/FilterChip';
+import EmptyState from '../components/ui/EmptyState';
+import ConfirmDialog from '../components/ui/ConfirmDialog';
+import { catalogApi } from '../services/api';
+import { useCatalogStore } from '../store/catalogStore';
+import { filterCatalog } from '../utils/catalog';
+import { formatCurrency } from '../utils/formatCurrency';
+import { GST_RATES } from '../utils/gst';
+import { UNITS } from '../utils/units';
+import './Catalog.css';
+
+const EMPTY_ITEM = {
+    description: '',
+    unit: '',
+    default_rate: '',
+    hsn_sac: '',
+    tax_rate: '',
+    category: '',
+};
+
+const Catalog = () => {
+    const { t } = useTranslation();
+    const { items, categories, isLoaded, fetchCatalog, upsertItem, removeItem } = useCatalogStore();
+
+    const [search, setSearch] = useState('');
+    const [category, setCategory] = useState('');
+    const [editing, setEditing] = useState(null); // null = closed, {} = new item
+    const [deleting, setDeleting] = useState(null);
+    const [actionLoading, setActionLoading] = useState(false);
+
+    const {
+        register,
+        handleSubmit,
+        reset,
+        formState: { errors },
+    } = useForm({ mode: 'onBlur' });
+
+    // Always refresh on open so usage counts are current
+    useEffect(() => {
+        fetchCatalog({ force: true });
+    }, [fetchCatalog]);
+
+    const rateOptions = [
+        { value: '', label: t('catalog.noTaxRate') },
+        ...GST_RATES.map((rate) => ({ value: rate, label: `${rate}%` })),
+    ];
+
+    const inCategory = category ? items.filter((i) => i.category === category) : items;
+    const visible = search ? filterCatalog(inCategory, search, inCategory.length) : inCategory;
+
+    // ── Actions ──
+
+    const openEditor = (item) => {
+        reset(item
+            ? {
+                description: item.description,
+                unit: item.unit || '',
+                default_rate: item.default_rate,
+                hsn_sac: item.hsn_sac || '',
+                tax_rate: item.tax_rate ?? '',
+                category: item.category || '',
+            }
+            : EMPTY_ITEM);
+        setEditing(item || {});
+    };
+
+    const onSave = async (data) => {
+        const payload = {
+            description: data.description.trim(),
+            unit: data.unit.trim() || null,
+            default_rate: Number(data.default_rate) || 0,
+            hsn_sac: data.hsn_sac || null,
+            tax_rate: data.tax_rate === '' ? null : Number(data.tax_rate),
+            category: data.category.trim() || null,
+        };
+
+        try {
+            setActionLoading(true);
+            const response = editing.id
+                ? await catalogApi.update(editing.id, payload)
+                : await catalogApi.create(payload);
+            upsertItem(response.data.data);
+            setEditing(null);
+            toast.success(editing.id ? t('catalog.updated') : t('catalog.saved'));
+        } catch (err) {
+            console.error('Save catalog item error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setActionLoading(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        try {
+            setActionLoading(true);
+            await catalogApi.delete(deleting.id);
+            removeItem(deleting.id);
+            toast.success(t('catalog.deleted'));
+        } catch (err) {
+            console.error('Delete catalog item error:', err);
+            toast.error(t('errors.serverError'));
+        } finally {
+            setActionLoading(false);
+            setDeleting(null);
+        }
+    };
+
+    return (
+        <>
+            <TopBar
+                title={t('catalog.title')}
+                titleTamil="சேவை பட்டியல்"
+                showBack
+                actions={
+                    <Button size="sm" variant="primary" onClick={() => openEditor(null)} id="btn-catalog-add">
+                        {t('catalog.add')}
+                    </Button>
+                }
+            />
+
+            <div className="page">
+                <div className="catalog-search-row">
+                    <SearchBar
+                        placeholder={t('catalog.searchPlaceholder')}
+                        onChange={(e) => setSearch(e.target.value)}
+                        onClear={() => setSearch('')}
+                        id="catalog-search"
+                    />
+                </div>
+
+                {categories.length > 0 && (
+                    <div className="catalog-chips" role="group" aria-label={t('catalog.category')}>
+                        <FilterChip
+                            label={t('history.all')}
+                            active={!category}
+                            onClick={() => setCategory('')}
+                        />
+                        {categories.map((c) => (
+                            <FilterChip
+                                key={c}
+                                label={c}
+                                active={category === c}
+                                onClick={() => setCategory(c)}
+                            />
+                        ))}
+                    </div>
+                )}
+
+                {!isLoaded ? (
+                    <div className="catalog-list">
+                        {[1, 2, 3, 4].map((i) => (
+                            <Card key={i}>
+                                <Skeleton variant="text" width="55%" />
+                                <Skeleton variant="text" width="35%" />
+                            </Card>
+                        ))}
+                    </div>
+                ) : visible.length === 0 ? (
+                    <EmptyState
+                        icon={search || category ? '🔍' : '📋'}
+                        title={search || category ? t('history.noResults') : t('catalog.empty')}
+                        subtitle={search || category ? t('history.noResultsSubtext') : t('catalog.emptySubtext')}
+                    />
+                ) : (
+                    <div className="catalog-list">
+                        {visible.map((item) => (
+                            <Card key={item.id} hoverable onClick={() => openEditor(item)}>
+                                <div className="catalog-card__top">
+                                    <div className="catalog-card__info">
+                                        <p className="catalog-card__name">{item.description}</p>
+                                        <p className="catalog-card__meta">
+                                            {[
+                                                item.category,
+                                                item.hsn_sac && `HSN/SAC ${item.hsn_sac}`,
+                                                item.tax_rate != null && `GST ${item.tax_rate}%`,
+                                            ].filter(Boolean).join(' · ')}
+                                        </p>
+                                    </div>
+                                    <span className="catalog-card__rate">
+                                        {formatCurrency(item.default_rate, false)}
+                                        {item.unit && <span className="catalog-card__unit"> / {item.unit}</span>}
+                                    </span>
+                                </div>
+                                <div className="catalog-card__bottom">
+                                    <span className="catalog-card__usage">
+                                        {item.usage_count > 0
+                                            ? t('catalog.usedCount', { count: item.usage_count })
+                                            : t('catalog.neverUsed')}
+                                    </span>
+                                    <button
+                                        type="button"
+                                        className="catalog-card__delete"
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            setDeleting(item);
+                                        }}
+                                    >
+                                        {t('actions.delete')}
+                                    </button>
+                                </div>
+                            </Card>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {/* ── Add / Edit Modal ── */}
+            <Modal
+                isOpen={!!editing}
+                onClose={() => setEditing(null)}
+                title={editing?.id ? t('catalog.edit') : t('catalog.add')}
+            >
+                <form className="catalog-form" onSubmit={handleSubmit(onSave)} noValidate>
+                    <Input
+                        label={t('invoice.serviceDescription')}
+                        required
+                        id="catalog-description"
+                        error={errors.description?.message}
+                        {...register('description', {
+                            required: t('errors.required'),
+                            minLength: { value: 2, message: t('invoice.min2Chars') },
+                        })}
+                    />
+                    <div className="catalog-form__row">
+                        <Input
+                            label={t('invoice.rate')}
+                            type="number"
+                            inputMode="decimal"
+                            id="catalog-rate"
+                            error={errors.default_rate?.message}
+                            {...register('default_rate', {
+                                min: { value: 0, message: 'Min 0' },
+                            })}
+                        />
+                        <Input
+                            label={t('catalog.unit')}
+                            placeholder={t('catalog.unitPlaceholder')}
+                            maxLength={20}
+                            list="catalog-units"
+                            id="catalog-unit"
+                            {...register('unit')}
+                        />
+                        <datalist id="catalog-units">
+                            {UNITS.map((unit) => <option key={unit} value={unit} />)}
+                        </datalist>
+                    </div>
+                    <div className="catalog-form__row">
+                        <Input
+                            label={t('invoice.hsnSac')}
+                            inputMode="numeric"
+                            id="catalog-hsn"
+                            error={errors.hsn_sac?.message}
+                            {...register('hsn_sac', {
+                                pattern: { value: /^[0-9]{4,8}$/, message: t('errors.invalidHsn') },
+                            })}
+                        />
+                        <Select
+                            label={t('invoice.gstRate')}
+                            options={rateOptions}
+                            id="catalog-tax-rate"
+                            {...register('tax_rate')}
+                        />
+                    </div>
+                    <Input
+                        label={t('catalog.category')}
+                        placeholder={t('catalog.categoryPlaceholder')}
+                        maxLength={50}
+                        list="catalog-categories"
+                        id="catalog-category"
+                        {...register('category')}
+                    />
+                    <datalist id="catalog-categories">
+                        {categories.map((c) => <option key={c} value={c} />)}
+                    </datalist>
+                    <Button type="submit" variant="primary" fullWidth loading={actionLoading}>
+                        {t('actions.save')}
+                    </Button>
+                </form>
+            </Modal>
+
+            {/* ── Delete Confirmation ── */}
+            <ConfirmDialog
+                isOpen={!!deleting}
+                onClose={() => setDeleting(null)}
+                onConfirm={handleDelete}
+                title={t('catalog.deleteTitle')}
+                message={t('catalog.deleteMessage', { name: deleting?.description })}
+                confirmLabel={t('actions.delete')}
+                cancelLabel={t('actions.cancel')}
+                destructive
+                loading={actionLoading}
+            />
+        </>
+    );
+};
+
+export default Catalog;
@@ -0,0 +1,365 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import TopBar from '../components/ui/TopBar';
+import Card from '../components/ui/Card';
+import Button from '../components/ui/Button';
+import Badge from '../components/ui/Badge';
+import Input from '../components/ui/Input';
+import Modal from '../components/ui/Modal';
+import Skeleton from '../components/ui/Skeleton';
+import EmptyState from '../components/ui/EmptyState';
+import ConfirmDialog from '../components/ui/ConfirmDialog';
+import CustomerPicker from '../components/invoice/CustomerPicker';
+import { customerApi } from '../services/api';
+import { formatCurrency } from '../utils/formatCurrency';
+import { formatDate } from '../utils/formatDate';
+import { isValidGstin } from '../utils/gst';
+import { DOCUMENT_TYPE_KEYS, getSignedTotal } from '../utils/creditNotes';
+import './Customers.css';
+
+// ── Status config ──
+const STATUS_BADGE_MAP = {
+    paid: { variant: 'success', key: 'status.paid' },
+    partially_paid: { variant: 'warning', key: 'status.partiallyPaid' },
+    credited: { variant: 'info', key: 'status.credited' },
+    sent: { variant: 'info', key: 'status.sent' },
+    accepted: { variant: 'success', key: 'status.accepted' },
+    rejected: { variant: 'error', key: 'status.rejected' },
+    pending: { variant: 'warning', key: 'status.pending' },
+    draft: { variant: 'default', key: 'status.draft' },
+    overdue: { variant: 'error', key: 'status.overdue' },
+    cancelled: { variant: 'error', key: 'status.cancelled' },
+};
+
+const CustomerDetail = () => {
+    const { id } = useParams();
+    const navigate = useNavigate();
+    const { t } = useTranslation();
+
+    const [customer, setCustomer] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [showEdit, setShowEdit] = useState(false);
+    const [showMerge, setShowMerge] = useState(false);
+    const [mergeSource, setMergeSource] = useState(null);
+    const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+    const [actionLoading, setActionLoading] = useState(false);
+
+    const {
+        register,
+        handleSubmit,
+        reset,
+        formState: { errors },
+    } = useForm({ mode: 'onBlur' });
+
+    // ── Fetch customer with invoices ──
+    useEffect(() => {
+        const fetchCustomer = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const response = await customerApi.getById(id);
+                setCustomer(response.data.data);
+            } catch (err) {
+                console.error('Fetch customer error:', err);
+                setError(err.response?.data?.error || t('errors.serverError'));
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchCustomer();
+    }, [id, t]);
+
+    // ── Actions ──
+
+    const openEdit = () => {
+        reset({
+            name: customer.name,
+            phone: customer.phone,
+            address: customer.address || '',
+            email: customer.email || '',
+            gstin: customer.gstin || '',
+        });
+        setShowEdit(true);
+    };
+
+    const onSaveEdit = async (data) => {
+        try {
+            setActionLoading(true);
+            const response = await customerApi.update(id, {
+                ...data,
+                address: data.address || null,
+                email: data.email || null,
+                gstin: data.gstin ? data.gstin.toUpperCase() : null,
+            });
+            setCustomer((prev) => ({ ...prev, ...response.data.data }));
+            setShowEdit(false);
+            toast.success(t('customers.updated'));
+        } catch (err) {
+            console.error('Update customer error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setActionLoading(false);
+        }
+    };
+
+    const handleMerge = async () => {
+        try {
+            setActionLoading(true);
+            const response = await customerApi.merge(id, [mergeSource.id]);
+            setCustomer(response.data.data);
+            toast.success(t('customers.merged'));
+        } catch (err) {
+            console.error('Merge customers error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setActionLoading(false);
+            setMergeSource(null);
+            setShowMerge(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        try {
+            setActionLoading(true);
+            await customerApi.delete(id);
+            toast.success(t('customers.deleted'));
+            navigate('/customers', { replace: true });
+        } catch (err) {
+            console.error('Delete customer error:', err);
+            toast.error(t('errors.serverError'));
+        } finally {
+            setActionLoading(false);
+            setShowDeleteConfirm(false);
+        }
+    };
+
+    // ── Loading state ──
+    if (loading) {
+        return (
+            <>
+                <TopBar title={t('customers.title')} titleTamil="வாடிக்கையாளர்கள்" showBack />
+                <div className="page">
+                    <Skeleton width="60%" height="28px" />
+                    <Skeleton width="100%" height="80px" />
+                    <Skeleton width="100%" height="200px" />
+                </div>
+            </>
+        );
+    }
+
+    // ── Error state ──
+    if (error || !customer) {
+        return (
+            <>
+                <TopBar title={t('customers.title')} titleTamil="வாடிக்கையாளர்கள்" showBack />
+                <div className="page">
+                    <EmptyState
+                        icon="👤"
+                        title={t('customers.notFound')}
+                        subtitle={error}
+                        action={{ label: t('invoice.goBack'), onClick: () => navigate('/customers') }}
+                    />
+                </div>
+            </>
+        );
+    }
+
+    const invoices = customer.invoices || [];
+
+    return (
+        <>
+            <TopBar title={customer.name} titleTamil={customer.name} showBack />
+
+            <div className="page">
+                {/* ── Contact details ── */}
+                <div className="customer-detail__header">
+                    <h2 className="customer-detail__name">{customer.name}</h2>
+                    <p className="customer-detail__sub">{customer.phone}</p>
+                    {customer.address && <p className="customer-detail__sub">{customer.address}</p>}
+                    {customer.email && <p className="customer-detail__sub">{customer.email}</p>}
+                    {customer.gstin && <p className="customer-detail__sub">GSTIN: {customer.gstin}</p>}
+                </div>
+
+                {/* ── Balance summary ── */}
+                <div className="customer-detail__stats">
+                    <Card>
+                        <p className="customer-detail__stat-label">{t('customers.invoices')}</p>
+                        <p className="customer-detail__stat-value">{customer.invoice_count ?? 0}</p>
+                    </Card>
+                    <Card>
+                        <p className="customer-detail__stat-label">{t('customers.outstanding')}</p>
+                        <p className="customer-detail__stat-value customer-detail__stat-value--due">
+                            {formatCurrency(customer.outstanding_amount ?? 0, false)}
+                        </p>
+                    </Card>
+                </div>
+
+                {/* ── Actions ── */}
+                <div className="customer-detail__actions">
+                    <Button
+                        variant="primary"
+                        size="sm"
+                        onClick={() => navigate(`/invoice/new?customer=${id}`)}
+                    >
+                        {t('customers.newInvoice')}
+                    </Button>
+                    <Button variant="secondary" size="sm" onClick={openEdit}>
+                        {t('actions.edit')}
+                    </Button>
+                    <Button variant="secondary" size="sm" onClick={() => setShowMerge(true)}>
+                        {t('customers.merge')}
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => setShowDeleteConfirm(true)}>
+                        {t('actions.delete')}
+                    </Button>
+                </div>
+
+                {/* ── Invoices ── */}
+                <h3 className="customer-detail__section-title">{t('customers.invoices')}</h3>
+                {invoices.length === 0 ? (
+                    <EmptyState
+                        icon="📋"
+                        title={t('history.noInvoices')}
+                        action={{
+                            label: t('customers.newInvoice'),
+                            onClick: () => navigate(`/invoice/new?customer=${id}`),
+                        }}
+                    />
+                ) : (
+                    <div className="customers-list">
+                        {invoices.map((invoice) => {
+                            const badge = STATUS_BADGE_MAP[invoice.status] || STATUS_BADGE_MAP.draft;
+                            return (
+                                <Card
+                                    key={invoice.id}
+                                    hoverable
+                                    onClick={() => navigate(`/invoice/${invoice.id}`)}
+                                >
+                                    <div className="customer-detail__invoice-row">
+                                        <div>
+                                            <p className="customer-detail__invoice-number">
+                                                {invoice.invoice_number}
+                                            </p>
+                                            <p className="customer-detail__invoice-meta">
+                                                {t(DOCUMENT_TYPE_KEYS[invoice.document_type] || DOCUMENT_TYPE_KEYS.invoice)}
+                                                {' · '}
+                                                {formatDate(invoice.invoice_date || invoice.created_at)}
+                                            </p>
+                                        </div>
+                                        <div style={{ textAlign: 'right' }}>
+                                            <p className="customer-detail__invoice-amount">
+                                                {formatCurrency(getSignedTotal(invoice), false)}
+                                            </p>
+                                            <Badge variant={badge.variant} size="sm">{t(badge.key)}</Badge>
+                                        </div>
+                                    </div>
+                                </Card>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+
+            {/* ── Edit Modal ── */}
+            <Modal isOpen={showEdit} onClose={() => setShowEdit(false)} title={t('customers.edit')}>
+                <form className="customer-detail__form" onSubmit={handleSubmit(onSaveEdit)} noValidate>
+                    <Input
+                        label={t('invoice.customerName')}
+                        required
+                        id="edit-customer-name"
+                        error={errors.name?.message}
+                        {...register('name', {
+                            required: t('errors.required'),
+                            minLength: { value: 2, message: t('invoice.minChars') },
+                        })}
+                    />
+                    <Input
+                        label={t('invoice.phone')}
+                        type="tel"
+                        inputMode="tel"
+                        required
+                        id="edit-customer-phone"
+                        error={errors.phone?.message}
+                        {...register('phone', {
+                            required: t('errors.required'),
+                            pattern: { value: /^[+]?[0-9]{10,13}$/, message: t('errors.invalidPhone') },
+                        })}
+                    />
+                    <Input
+                        label={t('invoice.address')}
+                        id="edit-customer-address"
+                        {...register('address')}
+                    />
+                    <Input
+                        label={t('invoice.email')}
+                        type="email"
+                        inputMode="email"
+                        id="edit-customer-email"
+                        error={errors.email?.message}
+                        {...register('email', {
+                            pattern: { value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: t('errors.invalidEmail') },
+                        })}
+                    />
+                    <Input
+                        label={t('invoice.customerGstin')}
+                        id="edit-customer-gstin"
+                        error={errors.gstin?.message}
+                        {...register('gstin', {
+                            validate: (v) => !v || isValidGstin(v) || t('errors.invalidGstin'),
+                        })}
+                    />
+                    <Button type="submit" variant="primary" fullWidth loading={actionLoading}>
+                        {t('actions.save')}
+                    </Button>
+                </form>
+            </Modal>
+
+            {/* ── Merge Modal ── */}
+            <Modal isOpen={showMerge} onClose={() => setShowMerge(false)} title={t('customers.merge')}>
+                <p className="customer-detail__merge-hint">
+                    {t('customers.mergeHint', { name: customer.name })}
+                </p>
+                <CustomerPicker
+                    selected={null}
+                    excludeIds={[id]}
+                    onSelect={(picked) => setMergeSource(picked)}
+                    id="merge-customer-picker"
+                />
+            </Modal>
+
+            {/* ── Merge Confirmation ── */}
+            <ConfirmDialog
+                isOpen={!!mergeSource}
+                onClose={() => setMergeSource(null)}
+                onConfirm={handleMerge}
+                title={t('customers.mergeTitle')}
+                message={t('customers.mergeMessage', {
+                    source: mergeSource?.name,
+                    target: customer.name,
+                })}
+                confirmLabel={t('customers.merge')}
+                cancelLabel={t('actions.cancel')}
+                loading={actionLoading}
+            />
+
+            {/* ── Delete Confirmation ── */}
+            <ConfirmDialog
+                isOpen={showDeleteConfirm}
+                onClose={() => setShowDeleteConfirm(false)}
+                onConfirm={handleDelete}
+                title={t('customers.deleteTitle')}
+                message={t('customers.deleteMessage')}
+                confirmLabel={t('actions.delete')}
+                cancelLabel={t('actions.cancel')}
+                destructive
+                loading={actionLoading}
+            />
+        </>
+    );
+};
+
+export default CustomerDetail;
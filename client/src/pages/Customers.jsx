@@ -0,0 +1,142 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import TopBar from '../components/ui/TopBar';
+import Card from '../components/ui/Card';
+import Skeleton from '../components/ui/Skeleton';
+import SearchBar from '../components/ui/SearchBar';
+import EmptyState from '../components/ui/EmptyState';
+import { customerApi } from '../services/api';
+import { formatCurrency } from '../utils/formatCurrency';
+import './Customers.css';
+
+const Customers = () => {
+    const { t } = useTranslation();
+    const navigate = useNavigate();
+
+    const [customers, setCustomers] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [search, setSearch] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const searchTimer = useRef(null);
+
+    // ── Fetch customers (re-runs when the debounced search changes) ──
+    useEffect(() => {
+        const controller = new AbortController();
+
+        const fetchCustomers = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const response = await customerApi.getAll(
+                    { search: search || undefined, limit: 100 },
+                    { signal: controller.signal }
+                );
+                setCustomers(response.data.data.customers || []);
+                setTotal(response.data.data.pagination?.total ?? 0);
+            } catch (err) {
+                if (err.name === 'CanceledError' || err.name === 'AbortError') return;
+                console.error('Customers fetch error:', err);
+                setError(t('errors.serverError'));
+            } finally {
+                if (!controller.signal.aborted) setLoading(false);
+            }
+        };
+
+        fetchCustomers();
+        return () => controller.abort();
+    }, [search, t]);
+
+    // ── Debounced search ──
+    const handleSearchChange = (e) => {
+        const val = e.target.value;
+        clearTimeout(searchTimer.current);
+        searchTimer.current = setTimeout(() => setSearch(val), 300);
+    };
+
+    return (
+        <>
+            <TopBar
+                title={t('customers.title')}
+                titleTamil="வாடிக்கையாளர்கள்"
+                showBack
+            />
+
+            <div className="page">
+                <div className="customers-search-row">
+                    <SearchBar
+                        placeholder={t('customers.searchPlaceholder')}
+                        onChange={handleSearchChange}
+                        onClear={() => setSearch('')}
+                        id="customers-search"
+                    />
+                </div>
+
+                {loading ? (
+                    <div className="customers-list">
+                        {[1, 2, 3, 4].map((i) => (
+                            <Card key={i}>
+                                <Skeleton variant="text" width="55%" />
+                                <Skeleton variant="text" width="35%" />
+                            </Card>
+                        ))}
+                    </div>
+                ) : error ? (
+                    <EmptyState
+                        icon="⚠️"
+                        title={t('customers.couldNotLoad')}
+                        subtitle={error}
+                        action={{
+                            label: t('actions.retry'),
+                            onClick: () => window.location.reload(),
+                        }}
+                    />
+                ) : customers.length === 0 ? (
+                    <EmptyState
+                        icon={search ? '🔍' : '👥'}
+                        title={search ? t('history.noResults') : t('customers.noCustomers')}
+                        subtitle={search ? t('history.noResultsSubtext') : t('customers.noCustomersSubtext')}
+                    />
+                ) : (
+                    <>
+                        <p className="customers-count">
+                            {t('customers.count', { count: total })}
+                        </p>
+                        <div className="customers-list">
+                            {customers.map((customer) => (
+                                <Card
+                                    key={customer.id}
+                                    hoverable
+                                    onClick={() => navigate(`/customers/${customer.id}`)}
+                                >
+                                    <div className="customer-card__top">
+                                        <div className="customer-card__info">
+                                            <p className="customer-card__name">{customer.name}</p>
+                                            <p className="customer-card__phone">{customer.phone}</p>
+                                        </div>
+                                        <span className="customer-card__invoices">
+                                            {t('customers.invoiceCount', { count: customer.invoice_count })}
+                                        </span>
+                                    </div>
+                                    {customer.outstanding_amount > 0 && (
+                                        <div className="customer-card__bottom">
+                                            <span className="customer-card__due-label">
+                                                {t('customers.outstanding')}
+                                            </span>
+                                            <span className="customer-card__due">
+                                                {formatCurrency(customer.outstanding_amount, false)}
+                                            </span>
+                                        </div>
+                                    )}
+                                </Card>
+                            ))}
+                        </div>
+                    </>
+                )}
+            </div>
+        </>
+    );
+};
+
+export default Customers;
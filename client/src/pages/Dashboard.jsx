@@ -8,23 +8,41 @@ import Card from '../components/ui/Card';
 import Button from '../components/ui/Button';
 import Badge from '../components/ui/Badge';
 import Skeleton from '../components/ui/Skeleton';
+import DueReminders from '../components/invoice/DueReminders';
+import EstimateResponses from '../components/invoice/EstimateResponses';
 import { useAuthStore } from '../store/authStore';
+import { useSettingsStore, DEFAULT_BUSINESS_NAME } from '../store/settingsStore';
+import { useCatalogStore } from '../store/catalogStore';
+import useBusinessProfile from '../hooks/useBusinessProfile';
 import { invoiceApi } from '../services/api';
 import { formatCurrency, formatCurrencyShort } from '../utils/formatCurrency';
 import { formatDate, formatRelativeDate, getTimeOfDay } from '../utils/formatDate';
+import { getSignedTotal } from '../utils/creditNotes';
 import './Dashboard.css';
 
 // Status → Badge variant mapping
 const statusVariant = {
     paid: 'success',
+    partially_paid: 'warning',
+    credited: 'info',
     sent: 'info',
+    accepted: 'success',
+    rejected: 'error',
+    overdue: 'error',
+    cancelled: 'default',
     draft: 'default',
 };
 
 // Status → Display label mapping
 const statusLabel = {
     paid: 'Paid',
+    partially_paid: 'Part Paid',
+    credited: 'Credited',
     sent: 'Pending',
+    accepted: 'Accepted',
+    rejected: 'Rejected',
+    overdue: 'Overdue',
+    cancelled: 'Cancelled',
     draft: 'Draft',
 };
 
@@ -33,6 +51,9 @@ const Dashboard = () => {
     const navigate = useNavigate();
     const user = useAuthStore((state) => state.user);
     const logout = useAuthStore((state) => state.logout);
+    const clearBusiness = useSettingsStore((state) => state.clearBusiness);
+    const clearCatalog = useCatalogStore((state) => state.clearCatalog);
+    const { businessName } = useBusinessProfile();
 
     const [stats, setStats] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
@@ -82,6 +103,8 @@ const Dashboard = () => {
 
     const handleLogout = async () => {
         await logout();
+        clearBusiness();
+        clearCatalog();
         toast.success(t('dashboard.loggedOut'));
         navigate('/', { replace: true });
     };
@@ -96,21 +119,35 @@ const Dashboard = () => {
     return (
         <>
             <TopBar
-                title="Crown Interiors"
-                titleTamil="கிரவுன் இன்டீரியர்ஸ்"
+                title={businessName}
+                titleTamil={businessName === DEFAULT_BUSINESS_NAME ? 'கிரவுன் இன்டீரியர்ஸ்' : undefined}
                 actions={
-                    <button
-                        className="dashboard__logout-btn"
-                        onClick={handleLogout}
-                        aria-label={t('actions.logout')}
-                        title={t('actions.logout')}
-                    >
-                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                            <path d="M9 21H5a2 2 0 01-2-2V5a2 2 0 012-2h4" />
-                            <polyline points="16 17 21 12 16 7" />
-                            <line x1="21" y1="12" x2="9" y2="12" />
-                        </svg>
-                    </button>
+                    <>
+                        <button
+                            className="dashboard__settings-btn"
+                            onClick={() => navigate('/settings')}
+                            aria-label={t('settings.title')}
+                            title={t('settings.title')}
+                            id="btn-settings"
+                        >
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                <circle cx="12" cy="12" r="3" />
+                                <path d="M19.4 15a1.65 1.65 0 00.33 1.82l.06.06a2 2 0 01-2.83 2.83l-.06-.06a1.65 1.65 0 00-1.82-.33 1.65 1.65 0 00-1 1.51V21a2 2 0 01-4 0v-.09A1.65 1.65 0 009 19.4a1.65 1.65 0 00-1.82.33l-.06.06a2 2 0 01-2.83-2.83l.06-.06a1.65 1.65 0 00.33-1.82 1.65 1.65 0 00-1.51-1H3a2 2 0 010-4h.09A1.65 1.65 0 004.6 9a1.65 1.65 0 00-.33-1.82l-.06-.06a2 2 0 012.83-2.83l.06.06a1.65 1.65 0 001.82.33H9a1.65 1.65 0 001-1.51V3a2 2 0 014 0v.09a1.65 1.65 0 001 1.51 1.65 1.65 0 001.82-.33l.06-.06a2 2 0 012.83 2.83l-.06.06a1.65 1.65 0 00-.33 1.82V9a1.65 1.65 0 001.51 1H21a2 2 0 010 4h-.09a1.65 1.65 0 00-1.51 1z" />
+                            </svg>
+                        </button>
+                        <button
+                            className="dashboard__logout-btn"
+                            onClick={handleLogout}
+                            aria-label={t('actions.logout')}
+                            title={t('actions.logout')}
+                        >
+                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                <path d="M9 21H5a2 2 0 01-2-2V5a2 2 0 012-2h4" />
+                                <polyline points="16 17 21 12 16 7" />
+                                <line x1="21" y1="12" x2="9" y2="12" />
+                            </svg>
+                        </button>
+                    </>
                 }
             />
 
@@ -210,8 +247,50 @@ const Dashboard = () => {
                             </motion.div>
                         </div>
                     )}
+
+                    {stats?.overdue_count > 0 && (
+                        <button
+                            type="button"
+                            className="dashboard__overdue"
+                            onClick={() => navigate('/history?status=overdue')}
+                            id="btn-overdue-invoices"
+                        >
+                            <span className="dashboard__overdue-count">
+                                ⏰ {t('dashboard.overdueAlert', { count: stats.overdue_count })}
+                            </span>
+                            <span className="dashboard__overdue-amount">
+                                {t('dashboard.overdueAmount', { amount: formatCurrency(stats.overdue_amount, false) })}
+                                <span aria-hidden="true"> →</span>
+                            </span>
+                        </button>
+                    )}
+
+                    {stats && (stats.expenses_this_month > 0 || stats.revenue_this_month > 0) && (
+                        <button
+                            type="button"
+                            className={`dashboard__profit ${stats.profit_this_month < 0 ? 'dashboard__profit--loss' : ''}`}
+                            onClick={() => navigate('/expenses')}
+                            id="btn-expenses"
+                        >
+                            <span className="dashboard__profit-label">
+                                {stats.profit_this_month < 0
+                                    ? t('expenses.lossThisMonth', { amount: formatCurrency(-stats.profit_this_month, false) })
+                                    : t('expenses.profitThisMonth', { amount: formatCurrency(stats.profit_this_month, false) })}
+                            </span>
+                            <span className="dashboard__profit-spent">
+                                {t('expenses.spentThisMonth', { amount: formatCurrency(stats.expenses_this_month, false) })}
+                                <span aria-hidden="true"> →</span>
+                            </span>
+                        </button>
+                    )}
                 </section>
 
+                {/* ── Estimate Answers ── */}
+                <EstimateResponses />
+
+                {/* ── Reminders Due Today ── */}
+                <DueReminders />
+
                 {/* ── Quick Actions ── */}
                 <section className="dashboard__section">
                     <div className="dashboard__actions">
@@ -245,6 +324,70 @@ const Dashboard = () => {
                         >
                             {t('dashboard.createEstimate')}
                         </Button>
+                        <Button
+                            variant="secondary"
+                            size="default"
+                            fullWidth
+                            onClick={() => navigate('/projects')}
+                            icon={
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                    <path d="M3 21h18" />
+                                    <path d="M5 21V7l7-4 7 4v14" />
+                                    <path d="M9 21v-6h6v6" />
+                                </svg>
+                            }
+                            id="btn-dashboard-projects"
+                        >
+                            {t('projects.title')}
+                        </Button>
+                        <Button
+                            variant="secondary"
+                            size="default"
+                            fullWidth
+                            onClick={() => navigate('/expenses')}
+                            icon={
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                    <rect x="2" y="5" width="20" height="14" rx="2" />
+                                    <line x1="2" y1="10" x2="22" y2="10" />
+                                </svg>
+                            }
+                            id="btn-dashboard-expenses"
+                        >
+                            {t('expenses.title')}
+                        </Button>
+                        <Button
+                            variant="secondary"
+                            size="default"
+                            fullWidth
+                            onClick={() => navigate('/reports')}
+                            icon={
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                    <line x1="6" y1="20" x2="6" y2="12" />
+                                    <line x1="12" y1="20" x2="12" y2="4" />
+                                    <line x1="18" y1="20" x2="18" y2="9" />
+                                </svg>
+                            }
+                            id="btn-dashboard-reports"
+                        >
+                            {t('reports.title')}
+                        </Button>
+                        <Button
+                            variant="secondary"
+                            size="default"
+                            fullWidth
+                            onClick={() => navigate('/recurring')}
+                            icon={
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                    <polyline points="17 1 21 5 17 9" />
+                                    <path d="M3 11V9a4 4 0 0 1 4-4h14" />
+                                    <polyline points="7 23 3 19 7 15" />
+                                    <path d="M21 13v2a4 4 0 0 1-4 4H3" />
+                                </svg>
+                            }
+                            id="btn-dashboard-recurring"
+                        >
+                            {t('recurring.title')}
+                        </Button>
                     </div>
                 </section>
 
@@ -308,6 +451,9 @@ const Dashboard = () => {
                                                     {invoice.document_type === 'estimate' && (
                                                         <span className="dashboard__invoice-type"> · Estimate</span>
                                                     )}
+                                                    {invoice.document_type === 'credit_note' && (
+                                                        <span className="dashboard__invoice-type"> · Credit note</span>
+                                                    )}
                                                 </p>
                                             </div>
                                             <Badge variant={statusVariant[invoice.status] || 'default'}>
@@ -316,7 +462,7 @@ const Dashboard = () => {
                                         </div>
                                         <div className="dashboard__invoice-footer">
                                             <span className="dashboard__invoice-amount">
-                                                {formatCurrency(invoice.total_amount, false)}
+                                                {formatCurrency(getSignedTotal(invoice), false)}
                                             </span>
                                             <span className="dashboard__invoice-date">
                                                 {formatDate(invoice.invoice_date || invoice.created_at)}
@@ -0,0 +1,267 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import TopBar from '../components/ui/TopBar';
+import Card from '../components/ui/Card';
+import Button from '../components/ui/Button';
+import Skeleton from '../components/ui/Skeleton';
+import FilterChip from '../components/ui/FilterChip';
+import EmptyState from '../components/ui/EmptyState';
+import ConfirmDialog from '../components/ui/ConfirmDialog';
+import ExpenseForm from '../components/expense/ExpenseForm';
+import { expenseApi } from '../services/api';
+import { formatCurrency } from '../utils/formatCurrency';
+import { formatDate } from '../utils/formatDate';
+import {
+    EXPENSE_CATEGORIES,
+    CATEGORY_ICONS,
+    getMonthRange,
+    shiftMonth,
+    totalByCategory,
+} from '../utils/expenses';
+import './Expenses.css';
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+/**
+ * Expenses by month: what was spent on materials, labour and transport,
+ * the month's total per category, and each expense with its receipt and
+ * the job it was for.
+ */
+const Expenses = () => {
+    const { t } = useTranslation();
+
+    const [month, setMonth] = useState(currentMonth);
+    const [category, setCategory] = useState('');
+    const [expenses, setExpenses] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [editing, setEditing] = useState(null); // null = closed, {} = new expense
+    const [deleting, setDeleting] = useState(null);
+    const [actionLoading, setActionLoading] = useState(false);
+
+    useEffect(() => {
+        const controller = new AbortController();
+
+        const fetchExpenses = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const response = await expenseApi.getAll(getMonthRange(month), { signal: controller.signal });
+                setExpenses(response.data.data.expenses || []);
+            } catch (err) {
+                if (err.name === 'CanceledError' || err.name === 'AbortError') return;
+                console.error('Fetch expenses error:', err);
+                setError(err.response?.data?.error || t('errors.serverError'));
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchExpenses();
+
+        return () => controller.abort();
+    }, [month, t]);
+
+    const visible = category ? expenses.filter((e) => e.category === category) : expenses;
+    const monthTotal = expenses.reduce((sum, e) => sum + Number(e.amount), 0);
+    const monthLabel = formatDate(`${month}-01`, 'MMMM yyyy');
+
+    // ── Actions ──
+
+    const handleSaved = (saved) => {
+        const inMonth = saved.expense_date.slice(0, 7) === month;
+        setExpenses((prev) => {
+            const rest = prev.filter((e) => e.id !== saved.id);
+            return inMonth
+                ? [saved, ...rest].sort((a, b) => b.expense_date.localeCompare(a.expense_date))
+                : rest;
+        });
+    };
+
+    const handleDelete = async () => {
+        try {
+            setActionLoading(true);
+            await expenseApi.delete(deleting.id);
+            setExpenses((prev) => prev.filter((e) => e.id !== deleting.id));
+            toast.success(t('expenses.deleted'));
+        } catch (err) {
+            console.error('Delete expense error:', err);
+            toast.error(t('errors.serverError'));
+        } finally {
+            setActionLoading(false);
+            setDeleting(null);
+        }
+    };
+
+    return (
+        <>
+            <TopBar
+                title={t('expenses.title')}
+                titleTamil="செலவுகள்"
+                showBack
+                actions={
+                    <Button size="sm" variant="primary" onClick={() => setEditing({})} id="btn-expense-add">
+                        {t('expenses.add')}
+                    </Button>
+                }
+            />
+
+            <div className="page">
+                {/* ── Month ── */}
+                <div className="expenses-month">
+                    <button
+                        type="button"
+                        className="expenses-month__nav"
+                        onClick={() => setMonth((m) => shiftMonth(m, -1))}
+                        aria-label={t('expenses.previousMonth')}
+                    >
+                        ‹
+                    </button>
+                    <span className="expenses-month__label">{monthLabel}</span>
+                    <button
+                        type="button"
+                        className="expenses-month__nav"
+                        onClick={() => setMonth((m) => shiftMonth(m, 1))}
+                        disabled={month >= currentMonth()}
+                        aria-label={t('expenses.nextMonth')}
+                    >
+                        ›
+                    </button>
+                </div>
+
+                {/* ── Month total by category ── */}
+                {!loading && !error && expenses.length > 0 && (
+                    <Card animate={false}>
+                        <div className="expenses-total">
+                            <span>{t('expenses.monthTotal')}</span>
+                            <span className="expenses-total__amount">{formatCurrency(monthTotal, false)}</span>
+                        </div>
+                        <ul className="expenses-breakdown">
+                            {totalByCategory(expenses).map(({ category: c, total }) => (
+                                <li key={c}>
+                                    <span>{CATEGORY_ICONS[c]} {t(`expenses.categories.${c}`)}</span>
+                                    <span>{formatCurrency(total, false)}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </Card>
+                )}
+
+                <div className="expenses-chips" role="group" aria-label={t('expenses.category')}>
+                    <FilterChip label={t('history.all')} active={!category} onClick={() => setCategory('')} />
+                    {EXPENSE_CATEGORIES.map((c) => (
+                        <FilterChip
+                            key={c}
+                            label={t(`expenses.categories.${c}`)}
+                            active={category === c}
+                            onClick={() => setCategory(c)}
+                        />
+                    ))}
+                </div>
+
+                {loading ? (
+                    <div className="expenses-list">
+                        {[1, 2, 3].map((i) => (
+                            <Card key={i}>
+                                <Skeleton variant="text" width="55%" />
+                                <Skeleton variant="text" width="35%" />
+                            </Card>
+                        ))}
+                    </div>
+                ) : error ? (
+                    <EmptyState
+                        icon="⚠️"
+                        title={error}
+                        action={{ label: t('actions.retry'), onClick: () => window.location.reload() }}
+                    />
+                ) : visible.length === 0 ? (
+                    <EmptyState
+                        icon="🧾"
+                        title={t('expenses.empty', { month: monthLabel })}
+                        subtitle={t('expenses.emptySubtext')}
+                    />
+                ) : (
+                    <div className="expenses-list">
+                        {visible.map((expense) => (
+                            <Card key={expense.id} hoverable onClick={() => setEditing(expense)}>
+                                <div className="expense-card__top">
+                                    <div className="expense-card__info">
+                                        <p className="expense-card__name">
+                                            {CATEGORY_ICONS[expense.category]}{' '}
+                                            {expense.description || t(`expenses.categories.${expense.category}`)}
+                                        </p>
+                                        <p className="expense-card__meta">
+                                            {[formatDate(expense.expense_date), expense.vendor].filter(Boolean).join(' · ')}
+                                        </p>
+                                    </div>
+                                    <span className="expense-card__amount">
+                                        {formatCurrency(expense.amount, false)}
+                                    </span>
+                                </div>
+                                <div className="expense-card__bottom">
+                                    <span className="expense-card__links">
+                                        {expense.invoice_id && (
+                                            <Link
+                                                to={`/invoice/${expense.invoice_id}`}
+                                                className="expense-card__link"
+                                                onClick={(e) => e.stopPropagation()}
+                                            >
+                                                {t('expenses.viewJob')}
+                                            </Link>
+                                        )}
+                                        {expense.receipt_url && (
+                                            <a
+                                                href={expense.receipt_url}
+                                                target="_blank"
+                                                rel="noreferrer"
+                                                className="expense-card__link"
+                                                onClick={(e) => e.stopPropagation()}
+                                            >
+                                                📎 {t('expenses.receipt')}
+                                            </a>
+                                        )}
+                                    </span>
+                                    <button
+                                        type="button"
+                                        className="expense-card__delete"
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            setDeleting(expense);
+                                        }}
+                                    >
+                                        {t('actions.delete')}
+                                    </button>
+                                </div>
+                            </Card>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            <ExpenseForm
+                isOpen={!!editing}
+                onClose={() => setEditing(null)}
+                expense={editing?.id ? editing : null}
+                onSaved={handleSaved}
+            />
+
+            {/* ── Delete Confirmation ── */}
+            <ConfirmDialog
+                isOpen={!!deleting}
+                onClose={() => setDeleting(null)}
+                onConfirm={handleDelete}
+                title={t('expenses.deleteTitle')}
+                message={t('expenses.deleteMessage', {
+                    amount: formatCurrency(deleting?.amount ?? 0, false),
+                })}
+                confirmLabel={t('actions.delete')}
+                cancelLabel={t('actions.cancel')}
+                destructive
+                loading={actionLoading}
+            />
+        </>
+    );
+};
+
+export default Expenses;
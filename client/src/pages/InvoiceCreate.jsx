@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import { useForm, useFieldArray, useWatch } from 'react-hook-form';
@@ -7,14 +7,35 @@ import toast from 'react-hot-toast';
 import TopBar from '../components/ui/TopBar';
 import Button from '../components/ui/Button';
 import Input from '../components/ui/Input';
+import Select from '../components/ui/Select';
 import TextArea from '../components/ui/TextArea';
 import Card from '../components/ui/Card';
 import ProgressIndicator from '../components/ui/ProgressIndicator';
-import { invoiceApi } from '../services/api';
+import TaxBreakdown from '../components/invoice/TaxBreakdown';
+import CustomerPicker from '../components/invoice/CustomerPicker';
+import ProjectSelect from '../components/project/ProjectSelect';
+import PdfTemplatePicker from '../components/invoice/PdfTemplatePicker';
+import PdfPreview from '../components/invoice/PdfPreview';
+import ServiceAutocomplete from '../components/invoice/ServiceAutocomplete';
+import DimensionsHelper from '../components/invoice/DimensionsHelper';
+import { invoiceApi, customerApi, projectApi } from '../services/api';
 import { useInvoiceStore } from '../store/invoiceStore';
 import useInvoiceCalculations from '../hooks/useInvoiceCalculations';
-import { formatCurrency } from '../utils/formatCurrency';
+import useBusinessProfile from '../hooks/useBusinessProfile';
+import useCatalogLines from '../hooks/useCatalogLines';
+import { formatCurrency, formatSignedCurrency } from '../utils/formatCurrency';
 import { formatDate } from '../utils/formatDate';
+import { UNITS, roundQuantity, formatQuantity, formatDimensions } from '../utils/units';
+import { calculateLine } from '../utils/invoiceTotals';
+import {
+    GST_RATES,
+    GST_STATES,
+    DEFAULT_GST_RATE,
+    DEFAULT_STATE_CODE,
+    isValidGstin,
+    getStateCode,
+    formatPlaceOfSupply,
+} from '../utils/gst';
 import './InvoiceCreate.css';
 
 // Steps config
@@ -25,35 +46,55 @@ const STEPS = [
     { label: 'invoice.step4' },
 ];
 
+// GST dropdown options
+const STATE_OPTIONS = GST_STATES.map((s) => ({ value: s.code, label: `${s.name} (${s.code})` }));
+const RATE_OPTIONS = GST_RATES.map((rate) => ({ value: rate, label: `${rate}%` }));
+const DISCOUNT_OPTIONS = [
+    { value: 'flat', label: '₹' },
+    { value: 'percent', label: '%' },
+];
+
 // Default form values
 const getDefaults = (type = 'invoice') => ({
     document_type: type,
+    customer_id: null,
+    project_id: null,
     customer_name: '',
     customer_phone: '',
     customer_address: '',
     customer_email: '',
-    services: [{ description: '', quantity: 1, rate: 0, amount: 0 }],
+    customer_gstin: '',
+    business_gstin: '',
+    place_of_supply: DEFAULT_STATE_CODE,
+    services: [{ description: '', quantity: 1, unit: '', rate: 0, amount: 0, hsn_sac: '', tax_rate: DEFAULT_GST_RATE }],
     subtotal: 0,
     tax_enabled: true,
     tax_percentage: 18,
     tax_amount: 0,
-    discount_amount: 0,
+    discount_type: 'flat',
+    discount_value: 0,
+    round_off: false,
     total_amount: 0,
     invoice_date: new Date().toISOString().split('T')[0],
     due_date: '',
     notes: '',
+    pdf_template: null, // null → business default
 });
 
 const InvoiceCreate = () => {
-    const { t } = useTranslation();
+    const { t, i18n } = useTranslation();
     const navigate = useNavigate();
     const [searchParams] = useSearchParams();
     const docType = searchParams.get('type') === 'estimate' ? 'estimate' : 'invoice';
 
     const [step, setStep] = useState(0);
     const [isSubmitting, setIsSubmitting] = useState(false);
+    const [selectedCustomer, setSelectedCustomer] = useState(null);
+    const [measuringIndex, setMeasuringIndex] = useState(null);
+    const [discountIndex, setDiscountIndex] = useState(null);
 
     const { saveDraft, loadDraft, clearDraft } = useInvoiceStore();
+    const { business, businessName } = useBusinessProfile();
 
     // Form setup
     const {
@@ -62,6 +103,7 @@ const InvoiceCreate = () => {
         control,
         watch,
         setValue,
+        getValues,
         trigger,
         formState: { errors },
     } = useForm({
@@ -76,20 +118,108 @@ const InvoiceCreate = () => {
     });
 
     // Auto-calculations
-    const { subtotal, taxAmount, total, updateLineAmount, syncToForm } =
-        useInvoiceCalculations(control, watch, setValue);
+    const {
+        subtotal,
+        taxAmount,
+        taxSummary,
+        discountAmount,
+        roundOffAmount,
+        total,
+        updateLineAmount,
+        syncToForm,
+    } = useInvoiceCalculations(control, watch, setValue);
+    const { applyCatalogItem, saveLineToCatalog } =
+        useCatalogLines({ getValues, setValue, updateLineAmount });
+
+    // Fill a line's quantity and unit from the dimensions helper
+    const applyDimensions = (index, { quantity, unit, dimensions }) => {
+        setValue(`services.${index}.quantity`, quantity, { shouldValidate: true });
+        setValue(`services.${index}.unit`, unit);
+        setValue(`services.${index}.dimensions`, dimensions);
+        updateLineAmount(index);
+        setMeasuringIndex(null);
+    };
+
+    // Pre-fill customer fields from a directory entry
+    const applyCustomer = useCallback((customer) => {
+        setSelectedCustomer(customer);
+        setValue('customer_id', customer.id);
+        setValue('customer_name', customer.name, { shouldValidate: true });
+        setValue('customer_phone', customer.phone, { shouldValidate: true });
+        setValue('customer_address', customer.address || '');
+        setValue('customer_email', customer.email || '');
+        setValue('customer_gstin', customer.gstin || '');
+        if (getStateCode(customer.gstin)) {
+            setValue('place_of_supply', getStateCode(customer.gstin));
+        }
+    }, [setValue]);
+
+    const clearCustomer = () => {
+        setSelectedCustomer(null);
+        setValue('customer_id', null);
+    };
 
     // Load draft on mount
+    const draftRestored = useRef(false);
     useEffect(() => {
         const draft = loadDraft();
         if (draft) {
             Object.entries(draft).forEach(([key, value]) => {
                 setValue(key, value);
             });
+            if (draft.customer_id) {
+                setSelectedCustomer({ id: draft.customer_id, name: draft.customer_name });
+            }
+            draftRestored.current = true;
             toast(t('toast.draftRestored'), { duration: 2000 });
         }
     }, []);
 
+    // Pre-fill a fresh document from the business profile (GSTIN, default terms)
+    useEffect(() => {
+        if (!business || draftRestored.current) return;
+        if (business.gstin && !getValues('business_gstin')) {
+            setValue('business_gstin', business.gstin);
+            // The customer's GSTIN decides the place of supply once entered
+            if (!getValues('customer_gstin') && getStateCode(business.gstin)) {
+                setValue('place_of_supply', getStateCode(business.gstin));
+            }
+        }
+        if (business.default_terms && !getValues('notes')) {
+            setValue('notes', business.default_terms);
+        }
+        if (business.round_off) {
+            setValue('round_off', true);
+        }
+    }, [business, getValues, setValue]);
+
+    // Pre-select a customer when opened from the Customers page (?customer=<id>)
+    const customerParam = searchParams.get('customer');
+    useEffect(() => {
+        if (!customerParam) return;
+        customerApi.getById(customerParam)
+            .then((response) => applyCustomer(response.data.data))
+            .catch((err) => console.error('Load customer error:', err));
+    }, [customerParam, applyCustomer]);
+
+    // Link to a project, taking its customer unless one is already chosen
+    const applyProject = useCallback((project) => {
+        setValue('project_id', project?.id ?? null);
+        if (!project?.customer_id || getValues('customer_id')) return;
+        customerApi.getById(project.customer_id)
+            .then((response) => applyCustomer(response.data.data))
+            .catch((err) => console.error('Load customer error:', err));
+    }, [setValue, getValues, applyCustomer]);
+
+    // Pre-select a project when opened from its page (?project=<id>)
+    const projectParam = searchParams.get('project');
+    useEffect(() => {
+        if (!projectParam) return;
+        projectApi.getById(projectParam)
+            .then((response) => applyProject(response.data.data))
+            .catch((err) => console.error('Load project error:', err));
+    }, [projectParam, applyProject]);
+
     // Auto-save draft on form changes (debounced)
     const formValues = useWatch({ control });
     useEffect(() => {
@@ -106,17 +236,18 @@ const InvoiceCreate = () => {
         let fieldsToValidate = [];
         switch (step) {
             case 0:
-                fieldsToValidate = ['customer_name', 'customer_phone'];
+                fieldsToValidate = ['customer_name', 'customer_phone', 'customer_gstin'];
                 break;
             case 1:
                 fieldsToValidate = fields.flatMap((_, i) => [
                     `services.${i}.description`,
                     `services.${i}.quantity`,
                     `services.${i}.rate`,
+                    `services.${i}.hsn_sac`,
                 ]);
                 break;
             case 2:
-                fieldsToValidate = ['invoice_date'];
+                fieldsToValidate = ['invoice_date', 'business_gstin'];
                 break;
             default:
                 return true;
@@ -134,29 +265,50 @@ const InvoiceCreate = () => {
 
     const prevStep = () => setStep((s) => Math.max(s - 1, 0));
 
+    // Shape form values into the API payload (used for saving and the PDF preview)
+    const buildPayload = (data) => ({
+        ...data,
+        subtotal,
+        tax_amount: taxAmount,
+        total_amount: total,
+        services: data.services.map((s) => ({
+            ...s,
+            quantity: roundQuantity(s.quantity),
+            unit: s.unit?.trim() || null,
+            dimensions: s.dimensions || null,
+            rate: Number(s.rate),
+            discount_type: s.discount_type || 'flat',
+            discount_value: Number(s.discount_value) || 0,
+            discount_amount: calculateLine(s).discount,
+            amount: calculateLine(s).amount,
+            hsn_sac: s.hsn_sac || null,
+            catalog_item_id: s.catalog_item_id || null,
+            tax_rate: Number.isFinite(Number(s.tax_rate)) ? Number(s.tax_rate) : DEFAULT_GST_RATE,
+            notes: s.notes || null,
+        })),
+        discount_type: data.discount_type || 'flat',
+        discount_value: Number(data.discount_value) || 0,
+        discount_amount: discountAmount,
+        round_off: Boolean(data.round_off),
+        round_off_amount: roundOffAmount,
+        due_date: data.due_date || null,
+        notes: data.notes || null,
+        customer_id: data.customer_id || null,
+        project_id: data.project_id || null,
+        customer_address: data.customer_address || null,
+        customer_email: data.customer_email || null,
+        customer_gstin: data.customer_gstin ? data.customer_gstin.toUpperCase() : null,
+        business_gstin: data.business_gstin ? data.business_gstin.toUpperCase() : null,
+        place_of_supply: data.place_of_supply || null,
+        pdf_template: data.pdf_template || null,
+    });
+
     // Submit
     const onSubmit = async (data) => {
         setIsSubmitting(true);
         syncToForm();
 
-        // Build payload
-        const payload = {
-            ...data,
-            subtotal,
-            tax_amount: taxAmount,
-            total_amount: total,
-            services: data.services.map((s) => ({
-                ...s,
-                quantity: Number(s.quantity),
-                rate: Number(s.rate),
-                amount: Number(s.quantity) * Number(s.rate),
-            })),
-            discount_amount: Number(data.discount_amount) || 0,
-            due_date: data.due_date || null,
-            notes: data.notes || null,
-            customer_address: data.customer_address || null,
-            customer_email: data.customer_email || null,
-        };
+        const payload = buildPayload(data);
 
         try {
             const response = await invoiceApi.create(payload);
@@ -169,8 +321,10 @@ const InvoiceCreate = () => {
             navigate(`/invoice/${response.data.data.id}`, { replace: true });
         } catch (err) {
             console.error('Create invoice error:', err);
-            const serverMsg =
-                err.response?.data?.error || t('errors.serverError');
+            // Validation errors (e.g. totals that don't add up) name the field in details
+            const serverMsg = err.response?.data?.details?.[0]?.message
+                || err.response?.data?.error
+                || t('errors.serverError');
             toast.error(serverMsg);
         } finally {
             setIsSubmitting(false);
@@ -220,6 +374,12 @@ const InvoiceCreate = () => {
                                     </p>
 
                                     <div className="invoice-step__fields">
+                                        <CustomerPicker
+                                            selected={selectedCustomer}
+                                            onSelect={applyCustomer}
+                                            onClear={clearCustomer}
+                                        />
+
                                         <Input
                                             label={t('invoice.customerName')}
                                             labelTamil="வாடிக்கையாளர் பெயர்"
@@ -278,6 +438,35 @@ const InvoiceCreate = () => {
                                                 },
                                             })}
                                         />
+                                        <Input
+                                            label={t('invoice.customerGstin')}
+                                            labelTamil="வாடிக்கையாளர் GSTIN (விரும்பினால்)"
+                                            placeholder="33ABCDE1234F1Z5"
+                                            id="customer-gstin"
+                                            error={errors.customer_gstin?.message}
+                                            {...register('customer_gstin', {
+                                                validate: (v) => !v || isValidGstin(v) || t('errors.invalidGstin'),
+                                                // A registered customer's state is the place of supply
+                                                onChange: (e) => {
+                                                    const code = getStateCode(e.target.value);
+                                                    if (code) setValue('place_of_supply', code);
+                                                },
+                                            })}
+                                        />
+
+                                        <Select
+                                            label={t('invoice.placeOfSupply')}
+                                            labelTamil="விநியோக இடம்"
+                                            id="place-of-supply"
+                                            options={STATE_OPTIONS}
+                                            {...register('place_of_supply')}
+                                        />
+
+                                        <ProjectSelect
+                                            value={watch('project_id')}
+                                            onChange={applyProject}
+                                            id="invoice-project"
+                                        />
                                     </div>
                                 </div>
                             )}
@@ -291,53 +480,87 @@ const InvoiceCreate = () => {
                                     </p>
 
                                     <div className="invoice-services">
+                                        <datalist id="service-units">
+                                            {UNITS.map((unit) => <option key={unit} value={unit} />)}
+                                        </datalist>
                                         {fields.map((field, index) => (
                                             <Card key={field.id} variant="outlined" className="invoice-service-card">
                                                 <div className="invoice-service-card__header">
                                                     <span className="invoice-service-card__num">#{index + 1}</span>
-                                                    {fields.length > 1 && (
-                                                        <button
-                                                            type="button"
-                                                            className="invoice-service-card__remove"
-                                                            onClick={() => remove(index)}
-                                                            aria-label="Remove service"
-                                                        >
-                                                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                                                                <line x1="18" y1="6" x2="6" y2="18" />
-                                                                <line x1="6" y1="6" x2="18" y2="18" />
-                                                            </svg>
-                                                        </button>
-                                                    )}
+                                                    <div className="invoice-service-card__actions">
+                                                        {watch(`services.${index}.catalog_item_id`) ? (
+                                                            <span className="invoice-service-card__catalog-badge">
+                                                                {t('catalog.inCatalog')}
+                                                            </span>
+                                                        ) : (
+                                                            <button
+                                                                type="button"
+                                                                className="invoice-service-card__catalog-save"
+                                                                onClick={() => saveLineToCatalog(index)}
+                                                            >
+                                                                {t('catalog.saveLine')}
+                                                            </button>
+                                                        )}
+                                                        {fields.length > 1 && (
+                                                            <button
+                                                                type="button"
+                                                                className="invoice-service-card__remove"
+                                                                onClick={() => remove(index)}
+                                                                aria-label="Remove service"
+                                                            >
+                                                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                                                    <line x1="18" y1="6" x2="6" y2="18" />
+                                                                    <line x1="6" y1="6" x2="18" y2="18" />
+                                                                </svg>
+                                                            </button>
+                                                        )}
+                                                    </div>
                                                 </div>
 
-                                                <Input
+                                                <ServiceAutocomplete
                                                     label={t('invoice.serviceDescription')}
                                                     labelTamil="சேவை விவரம்"
                                                     placeholder="e.g. Modular Kitchen Setup"
                                                     required
                                                     id={`service-desc-${index}`}
                                                     error={errors.services?.[index]?.description?.message}
+                                                    onPick={(item) => applyCatalogItem(index, item)}
                                                     {...register(`services.${index}.description`, {
                                                         required: t('errors.required'),
                                                         minLength: { value: 2, message: t('invoice.min2Chars') },
+                                                        // Editing the text unlinks the line from its catalog item
+                                                        onChange: () => setValue(`services.${index}.catalog_item_id`, null),
                                                     })}
                                                 />
 
-                                                <div className="invoice-service-card__row">
+                                                <div className="invoice-service-card__row invoice-service-card__row--line">
                                                     <Input
                                                         label={t('invoice.quantity')}
                                                         type="number"
-                                                        inputMode="numeric"
+                                                        inputMode="decimal"
+                                                        step="any"
                                                         placeholder="1"
                                                         required
                                                         id={`service-qty-${index}`}
                                                         error={errors.services?.[index]?.quantity?.message}
                                                         {...register(`services.${index}.quantity`, {
                                                             required: t('errors.required'),
-                                                            min: { value: 1, message: 'Min 1' },
-                                                            onChange: () => updateLineAmount(index),
+                                                            validate: (v) => Number(v) > 0 || t('units.minQuantity'),
+                                                            onChange: () => {
+                                                                // A typed quantity no longer matches the measurements
+                                                                setValue(`services.${index}.dimensions`, null);
+                                                                updateLineAmount(index);
+                                                            },
                                                         })}
                                                     />
+                                                    <Input
+                                                        label={t('units.unit')}
+                                                        placeholder="nos"
+                                                        maxLength={20}
+                                                        list="service-units"
+                                                        id={`service-unit-${index}`}
+                                                        {...register(`services.${index}.unit`)}
+                                                    />
                                                     <Input
                                                         label={t('invoice.rate')}
                                                         type="number"
@@ -357,14 +580,95 @@ const InvoiceCreate = () => {
                                                             {t('invoice.amount')}
                                                         </span>
                                                         <span className="invoice-service-card__amount-value">
-                                                            {formatCurrency(
-                                                                Number(watch(`services.${index}.quantity`) || 0) *
-                                                                Number(watch(`services.${index}.rate`) || 0),
-                                                                false
-                                                            )}
+                                                            {formatCurrency(calculateLine(watch(`services.${index}`)).amount, false)}
                                                         </span>
                                                     </div>
                                                 </div>
+
+                                                {measuringIndex === index ? (
+                                                    <DimensionsHelper
+                                                        value={watch(`services.${index}.dimensions`)}
+                                                        idPrefix={`service-dims-${index}`}
+                                                        onCancel={() => setMeasuringIndex(null)}
+                                                        onApply={(result) => applyDimensions(index, result)}
+                                                    />
+                                                ) : (
+                                                    <button
+                                                        type="button"
+                                                        className="invoice-service-card__measure"
+                                                        onClick={() => setMeasuringIndex(index)}
+                                                    >
+                                                        📐 {formatDimensions(watch(`services.${index}.dimensions`)) || t('units.measure')}
+                                                    </button>
+                                                )}
+
+                                                {discountIndex === index || Number(watch(`services.${index}.discount_value`)) > 0 ? (
+                                                    <div className="invoice-service-card__row invoice-service-card__row--discount">
+                                                        <Select
+                                                            label={t('invoice.lineDiscount')}
+                                                            id={`service-discount-type-${index}`}
+                                                            options={DISCOUNT_OPTIONS}
+                                                            {...register(`services.${index}.discount_type`, {
+                                                                onChange: () => updateLineAmount(index),
+                                                            })}
+                                                        />
+                                                        <Input
+                                                            label={t('invoice.discountValue')}
+                                                            type="number"
+                                                            inputMode="decimal"
+                                                            placeholder="0"
+                                                            id={`service-discount-value-${index}`}
+                                                            error={errors.services?.[index]?.discount_value?.message}
+                                                            {...register(`services.${index}.discount_value`, {
+                                                                min: { value: 0, message: 'Min 0' },
+                                                                validate: (v) =>
+                                                                    getValues(`services.${index}.discount_type`) !== 'percent'
+                                                                    || Number(v) <= 100
+                                                                    || t('invoice.maxPercent'),
+                                                                onChange: () => updateLineAmount(index),
+                                                            })}
+                                                        />
+                                                    </div>
+                                                ) : (
+                                                    <button
+                                                        type="button"
+                                                        className="invoice-service-card__discount-toggle"
+                                                        onClick={() => setDiscountIndex(index)}
+                                                    >
+                                                        🏷️ {t('invoice.addLineDiscount')}
+                                                    </button>
+                                                )}
+
+                                                {/* GST details (only for taxed documents) */}
+                                                {watch('tax_enabled') && (
+                                                    <div className="invoice-service-card__row">
+                                                        <Input
+                                                            label={t('invoice.hsnSac')}
+                                                            inputMode="numeric"
+                                                            placeholder="9954"
+                                                            id={`service-hsn-${index}`}
+                                                            error={errors.services?.[index]?.hsn_sac?.message}
+                                                            {...register(`services.${index}.hsn_sac`, {
+                                                                pattern: { value: /^[0-9]{4,8}$/, message: t('errors.invalidHsn') },
+                                                            })}
+                                                        />
+                                                        <Select
+                                                            label={t('invoice.gstRate')}
+                                                            id={`service-gst-${index}`}
+                                                            options={RATE_OPTIONS}
+                                                            {...register(`services.${index}.tax_rate`, { valueAsNumber: true })}
+                                                        />
+                                                    </div>
+                                                )}
+                                                <TextArea
+                                                    label={t('invoice.itemNotes')}
+                                                    labelTamil="பொருள் குறிப்பு"
+                                                    placeholder={t('invoice.itemNotesPlaceholder')}
+                                                    rows={2}
+                                                    maxLength={300}
+                                                    id={`service-notes-${index}`}
+                                                    {...register(`services.${index}.notes`)}
+                                                />
                                             </Card>
                                         ))}
 
@@ -373,7 +677,7 @@ const InvoiceCreate = () => {
                                             variant="ghost"
                                             fullWidth
                                             onClick={() =>
-                                                append({ description: '', quantity: 1, rate: 0, amount: 0 })
+                                                append({ description: '', quantity: 1, unit: '', rate: 0, amount: 0, hsn_sac: '', tax_rate: DEFAULT_GST_RATE })
                                             }
                                             icon={
                                                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
@@ -402,35 +706,50 @@ const InvoiceCreate = () => {
                                                     {...register('tax_enabled')}
                                                 />
                                                 <span>{t('invoice.tax')}</span>
-                                                {watch('tax_enabled') && (
-                                                    <input
-                                                        type="number"
-                                                        className="invoice-summary__tax-input"
-                                                        inputMode="decimal"
-                                                        {...register('tax_percentage')}
-                                                    />
-                                                )}
-                                                {watch('tax_enabled') && <span>%</span>}
                                             </label>
                                             <span className="invoice-summary__value">
                                                 {formatCurrency(taxAmount, false)}
                                             </span>
                                         </div>
+                                        <TaxBreakdown
+                                            summary={taxSummary}
+                                            rowClassName="invoice-summary__row invoice-summary__row--split"
+                                        />
 
                                         <div className="invoice-summary__row">
                                             <label className="invoice-summary__discount">
                                                 <span>{t('invoice.discount')}</span>
-                                                <span className="invoice-summary__discount-prefix">₹</span>
+                                                <select
+                                                    className="invoice-summary__discount-type"
+                                                    aria-label={t('invoice.discountType')}
+                                                    {...register('discount_type')}
+                                                >
+                                                    {DISCOUNT_OPTIONS.map((option) => (
+                                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                                    ))}
+                                                </select>
                                                 <input
                                                     type="number"
                                                     className="invoice-summary__discount-input"
                                                     inputMode="decimal"
                                                     placeholder="0"
-                                                    {...register('discount_amount')}
+                                                    min="0"
+                                                    max={watch('discount_type') === 'percent' ? 100 : undefined}
+                                                    {...register('discount_value')}
                                                 />
                                             </label>
                                             <span className="invoice-summary__value invoice-summary__value--discount">
-                                                -{formatCurrency(watch('discount_amount') || 0, false)}
+                                                -{formatCurrency(discountAmount, false)}
+                                            </span>
+                                        </div>
+
+                                        <div className="invoice-summary__row">
+                                            <label className="invoice-summary__tax-toggle">
+                                                <input type="checkbox" {...register('round_off')} />
+                                                <span>{t('invoice.roundOff')}</span>
+                                            </label>
+                                            <span className="invoice-summary__value">
+                                                {formatSignedCurrency(roundOffAmount)}
                                             </span>
                                         </div>
 
@@ -474,6 +793,16 @@ const InvoiceCreate = () => {
                                             id="due-date"
                                             {...register('due_date')}
                                         />
+                                        <Input
+                                            label={t('invoice.businessGstin')}
+                                            labelTamil="உங்கள் GSTIN"
+                                            placeholder="33ABCDE1234F1Z5"
+                                            id="business-gstin"
+                                            error={errors.business_gstin?.message}
+                                            {...register('business_gstin', {
+                                                validate: (v) => !v || isValidGstin(v) || t('errors.invalidGstin'),
+                                            })}
+                                        />
 
                                         <TextArea
                                             label={t('invoice.notes')}
@@ -496,11 +825,17 @@ const InvoiceCreate = () => {
                                         {t('invoice.step4Desc')}
                                     </p>
 
+                                    <PdfTemplatePicker
+                                        value={watch('pdf_template')}
+                                        defaultTemplate={business?.pdf_template}
+                                        onChange={(template) => setValue('pdf_template', template)}
+                                    />
+
                                     <Card variant="elevated" className="invoice-preview">
                                         {/* Header */}
                                         <div className="invoice-preview__header">
                                             <div>
-                                                <h4 className="invoice-preview__brand">Crown Interiors</h4>
+                                                <h4 className="invoice-preview__brand">{businessName}</h4>
                                                 <p className="invoice-preview__type">
                                                     {docType === 'estimate' ? t('invoice.estimate') : t('invoice.title')}
                                                 </p>
@@ -523,6 +858,14 @@ const InvoiceCreate = () => {
                                             {watch('customer_email') && (
                                                 <p className="invoice-preview__sub">{watch('customer_email')}</p>
                                             )}
+                                            {watch('customer_gstin') && (
+                                                <p className="invoice-preview__sub">GSTIN: {watch('customer_gstin').toUpperCase()}</p>
+                                            )}
+                                            {watch('tax_enabled') && watch('place_of_supply') && (
+                                                <p className="invoice-preview__sub">
+                                                    {t('invoice.placeOfSupply')}: {formatPlaceOfSupply(watch('place_of_supply'))}
+                                                </p>
+                                            )}
                                         </div>
 
                                         <div className="invoice-preview__divider" />
@@ -539,10 +882,22 @@ const InvoiceCreate = () => {
                                                 </div>
                                                 {watch('services')?.map((s, i) => (
                                                     <div key={i} className="invoice-preview__trow">
-                                                        <span className="invoice-preview__item-desc">{s.description || '—'}</span>
-                                                        <span>{s.quantity}</span>
+                                                        <span className="invoice-preview__item-desc">
+                                                            {s.description || '—'}
+                                                            {watch('tax_enabled') && s.hsn_sac && (
+                                                                <span className="invoice-preview__hsn">HSN/SAC {s.hsn_sac} · {s.tax_rate}%</span>
+                                                            )}
+                                                            {calculateLine(s).discount > 0 && (
+                                                                <span className="invoice-preview__hsn">
+                                                                    {t('invoice.lineDiscountApplied', {
+                                                                        amount: formatCurrency(calculateLine(s).discount, false),
+                                                                    })}
+                                                                </span>
+                                                            )}
+                                                        </span>
+                                                        <span>{formatQuantity(s.quantity, s.unit)}</span>
                                                         <span>{formatCurrency(s.rate, false)}</span>
-                                                        <span>{formatCurrency(Number(s.quantity) * Number(s.rate), false)}</span>
+                                                        <span>{formatCurrency(calculateLine(s).amount, false)}</span>
                                                     </div>
                                                 ))}
                                             </div>
@@ -556,16 +911,19 @@ const InvoiceCreate = () => {
                                                 <span>{t('invoice.subtotal')}</span>
                                                 <span>{formatCurrency(subtotal, false)}</span>
                                             </div>
-                                            {watch('tax_enabled') && (
-                                                <div className="invoice-preview__totals-row">
-                                                    <span>GST ({watch('tax_percentage')}%)</span>
-                                                    <span>{formatCurrency(taxAmount, false)}</span>
+                                            <TaxBreakdown summary={taxSummary} rowClassName="invoice-preview__totals-row" />
+                                            {discountAmount > 0 && (
+                                                <div className="invoice-preview__totals-row invoice-preview__totals-row--discount">
+                                                    <span>{watch('discount_type') === 'percent'
+                                                        ? t('invoice.discountPercent', { percent: Number(watch('discount_value')) })
+                                                        : t('invoice.discount')}</span>
+                                                    <span>-{formatCurrency(discountAmount, false)}</span>
                                                 </div>
                                             )}
-                                            {Number(watch('discount_amount')) > 0 && (
-                                                <div className="invoice-preview__totals-row invoice-preview__totals-row--discount">
-                                                    <span>{t('invoice.discount')}</span>
-                                                    <span>-{formatCurrency(watch('discount_amount'), false)}</span>
+                                            {roundOffAmount !== 0 && (
+                                                <div className="invoice-preview__totals-row">
+                                                    <span>{t('invoice.roundOff')}</span>
+                                                    <span>{formatSignedCurrency(roundOffAmount)}</span>
                                                 </div>
                                             )}
                                             <div className="invoice-preview__totals-divider" />
@@ -594,6 +952,11 @@ const InvoiceCreate = () => {
                                             </div>
                                         )}
                                     </Card>
+
+                                    <PdfPreview
+                                        payload={buildPayload(formValues)}
+                                        lang={i18n.language === 'ta' ? 'ta' : 'en'}
+                                    />
                                 </div>
                             )}
                         </motion.div>
@@ -8,9 +8,26 @@ import Button from '../components/ui/Button';
 import Badge from '../components/ui/Badge';
 import Skeleton from '../components/ui/Skeleton';
 import ConfirmDialog from '../components/ui/ConfirmDialog';
-import { invoiceApi } from '../services/api';
-import { formatCurrency } from '../utils/formatCurrency';
-import { formatDate } from '../utils/formatDate';
+import PaymentLedger from '../components/invoice/PaymentLedger';
+import TaxBreakdown from '../components/invoice/TaxBreakdown';
+import UpiQrCard from '../components/invoice/UpiQrCard';
+import ReminderCard from '../components/invoice/ReminderCard';
+import ShareLinkCard from '../components/invoice/ShareLinkCard';
+import EstimateResponseCard from '../components/invoice/EstimateResponseCard';
+import JobExpensesCard from '../components/expense/JobExpensesCard';
+import CreditNoteCard from '../components/invoice/CreditNoteCard';
+import VersionHistoryCard from '../components/invoice/VersionHistoryCard';
+import RecurringCard from '../components/invoice/RecurringCard';
+import { invoiceApi, shareApi, trashApi } from '../services/api';
+import useBusinessProfile from '../hooks/useBusinessProfile';
+import { formatCurrency, formatSignedCurrency } from '../utils/formatCurrency';
+import { formatDate, getDaysOverdue } from '../utils/formatDate';
+import { buildTaxSummary, formatPlaceOfSupply } from '../utils/gst';
+import { formatQuantity, formatDimensions } from '../utils/units';
+import { calculateLine } from '../utils/invoiceTotals';
+import { buildWhatsAppUrl } from '../utils/whatsapp';
+import { REMINDABLE_STATUSES } from '../utils/reminders';
+import { DOCUMENT_TYPE_KEYS } from '../utils/creditNotes';
 import './InvoiceDetail.css';
 
 // ── Icon Components ──
@@ -73,7 +90,11 @@ const getStatusBadge = (status, t) => {
     const map = {
         draft: { variant: 'default', key: 'status.draft' },
         sent: { variant: 'info', key: 'status.sent' },
+        accepted: { variant: 'success', key: 'status.accepted' },
+        rejected: { variant: 'error', key: 'status.rejected' },
+        partially_paid: { variant: 'warning', key: 'status.partiallyPaid' },
         paid: { variant: 'success', key: 'status.paid' },
+        credited: { variant: 'info', key: 'status.credited' },
         pending: { variant: 'warning', key: 'status.pending' },
         overdue: { variant: 'error', key: 'status.overdue' },
         cancelled: { variant: 'error', key: 'status.cancelled' },
@@ -82,6 +103,11 @@ const getStatusBadge = (status, t) => {
     return <Badge variant={config.variant}>{t(config.key)}</Badge>;
 };
 
+// Statuses a document can still be cancelled (voided) from, as long as
+// no payment or credit note has been recorded — mirrors the server's
+// status transitions. A credit note is cancelled from 'sent'.
+const CANCELLABLE_STATUSES = ['draft', 'sent', 'rejected', 'overdue'];
+
 // ── Page animation ──
 
 const fadeIn = {
@@ -100,17 +126,27 @@ const fadeIn = {
 const InvoiceDetail = () => {
     const { id } = useParams();
     const navigate = useNavigate();
-    const { t } = useTranslation();
+    const { t, i18n } = useTranslation();
+    const { business, businessName } = useBusinessProfile();
 
     const [invoice, setInvoice] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [pdfLoading, setPdfLoading] = useState(false);
     const [shareLoading, setShareLoading] = useState(false);
+    // Bumped after a PDF or share link is made, so the history shows it
+    const [historyKey, setHistoryKey] = useState(0);
     const [duplicateLoading, setDuplicateLoading] = useState(false);
+    const [convertLoading, setConvertLoading] = useState(false);
     const [deleteLoading, setDeleteLoading] = useState(false);
     const [statusLoading, setStatusLoading] = useState(false);
     const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+    const [showCancelConfirm, setShowCancelConfirm] = useState(false);
+    const [showPaymentForm, setShowPaymentForm] = useState(false);
+    // Public share link (null = none yet)
+    const [shareLink, setShareLink] = useState(null);
+    // PDF language defaults to the app language
+    const [pdfLang, setPdfLang] = useState(i18n.language === 'ta' ? 'ta' : 'en');
 
     // ── Fetch invoice data ──
     useEffect(() => {
@@ -131,6 +167,19 @@ const InvoiceDetail = () => {
         fetchInvoice();
     }, [id, t]);
 
+    // ── Fetch the public share link (optional — the page works without it) ──
+    useEffect(() => {
+        const fetchShareLink = async () => {
+            try {
+                const response = await shareApi.get(id);
+                setShareLink(response.data.data);
+            } catch (err) {
+                console.error('Fetch share link error:', err);
+            }
+        };
+        fetchShareLink();
+    }, [id]);
+
     // ── Actions ──
 
     // Helper: update status on server and local state
@@ -139,12 +188,13 @@ const InvoiceDetail = () => {
             setStatusLoading(true);
             const response = await invoiceApi.updateStatus(id, newStatus);
             setInvoice(response.data.data);
-            toast.success(t('status.markedAs', { status: newStatus }));
+            toast.success(t('status.markedAs', { status: t(`status.${newStatus}`) }));
         } catch (err) {
             console.error('Status update error:', err);
-            toast.error(t('errors.serverError'));
+            toast.error(err.response?.data?.error || t('errors.serverError'));
         } finally {
             setStatusLoading(false);
+            setShowCancelConfirm(false);
         }
     };
 
@@ -160,17 +210,22 @@ const InvoiceDetail = () => {
         }
     };
 
+    // Matches the server's Content-Disposition filename
+    const pdfFileName = () =>
+        `${invoice.invoice_number}-${invoice.document_type}${pdfLang === 'ta' ? '-ta' : ''}.pdf`;
+
     const handleDownloadPdf = async () => {
         try {
             setPdfLoading(true);
-            const response = await invoiceApi.generatePdf(id);
+            const response = await invoiceApi.generatePdf(id, pdfLang);
+            setHistoryKey((key) => key + 1);
 
             // Create a blob URL and trigger download
             const blob = new Blob([response.data], { type: 'application/pdf' });
             const url = window.URL.createObjectURL(blob);
             const link = document.createElement('a');
             link.href = url;
-            link.download = `${invoice.invoice_number}-${invoice.document_type}.pdf`;
+            link.download = pdfFileName();
             document.body.appendChild(link);
             link.click();
             document.body.removeChild(link);
@@ -188,34 +243,48 @@ const InvoiceDetail = () => {
         }
     };
 
+    // Helper: URL of a working share link, creating one when needed
+    const getShareUrl = async () => {
+        if (shareLink && !shareLink.expired) return shareLink.url;
+        try {
+            const response = await shareApi.create(id);
+            setShareLink(response.data.data);
+            setHistoryKey((key) => key + 1);
+            return response.data.data.url;
+        } catch (err) {
+            console.warn('Could not create a share link:', err);
+            return null;
+        }
+    };
+
     const handleShareWhatsApp = async () => {
         if (!invoice) return;
 
-        const plainMessage =
+        const docType = invoice.document_type.replace('_', ' ');
+        const buildMessage = (shareUrl) =>
             `Hi ${invoice.customer_name},\n\n` +
-            `Please find your ${invoice.document_type} from Crown Interiors.\n\n` +
-            `${invoice.document_type.toUpperCase()}: ${invoice.invoice_number}\n` +
+            `Please find your ${docType} from ${businessName}.\n\n` +
+            `${docType.toUpperCase()}: ${invoice.invoice_number}\n` +
             `Amount: ${formatCurrency(invoice.total_amount)}\n` +
             `Date: ${formatDate(invoice.invoice_date)}\n\n` +
+            (shareUrl ? `View & download: ${shareUrl}\n\n` : '') +
             `Thank you for your business! 🙏\n` +
-            `Crown Interiors`;
-
-        const phone = (invoice.customer_phone || '').replace(/[^0-9]/g, '');
-        const phoneParam = phone.startsWith('91') ? phone : `91${phone}`;
+            businessName;
 
         // ── Try Web Share API with PDF file (works on mobile browsers) ──
         if (navigator.canShare) {
             try {
                 setShareLoading(true);
-                const response = await invoiceApi.generatePdf(id);
+                const response = await invoiceApi.generatePdf(id, pdfLang);
+                setHistoryKey((key) => key + 1);
                 const blob = new Blob([response.data], { type: 'application/pdf' });
-                const fileName = `${invoice.invoice_number}-${invoice.document_type}.pdf`;
+                const fileName = pdfFileName();
                 const file = new File([blob], fileName, { type: 'application/pdf' });
 
                 if (navigator.canShare({ files: [file] })) {
                     await navigator.share({
                         files: [file],
-                        text: plainMessage,
+                        text: buildMessage(null),
                     });
                     toast.success(t('toast.shared'));
                     await autoMarkSent();
@@ -231,9 +300,9 @@ const InvoiceDetail = () => {
             }
         }
 
-        // ── Fallback: text-only WhatsApp deep link ──
-        const encodedMessage = encodeURIComponent(plainMessage);
-        window.open(`https://wa.me/${phoneParam}?text=${encodedMessage}`, '_blank');
+        // ── Fallback: WhatsApp deep link with a link to view / download the document ──
+        const shareUrl = await getShareUrl();
+        window.open(buildWhatsAppUrl(invoice.customer_phone, buildMessage(shareUrl)), '_blank');
         toast.success(t('toast.shared'));
         await autoMarkSent();
     };
@@ -253,6 +322,21 @@ const InvoiceDetail = () => {
         }
     };
 
+    const handleConvert = async () => {
+        try {
+            setConvertLoading(true);
+            const response = await invoiceApi.convert(id);
+            toast.success(t('toast.converted', { number: response.data.data.invoice_number }));
+            // Open the new invoice; back returns to the (now accepted) estimate
+            navigate(`/invoice/${response.data.data.id}`);
+        } catch (err) {
+            console.error('Convert error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setConvertLoading(false);
+        }
+    };
+
     const handleEdit = () => {
         navigate(`/invoice/${id}/edit`);
     };
@@ -261,17 +345,44 @@ const InvoiceDetail = () => {
         try {
             setDeleteLoading(true);
             await invoiceApi.delete(id);
-            toast.success(t('toast.deleted'));
+            // Deleting moves the document to the Trash, so it can be undone from the toast
+            toast.success(
+                (toastItem) => (
+                    <span className="undo-toast">
+                        {t('toast.deleted')}
+                        <button
+                            type="button"
+                            className="undo-toast__btn"
+                            onClick={() => handleUndoDelete(toastItem.id)}
+                        >
+                            {t('trash.undo')}
+                        </button>
+                    </span>
+                ),
+                { duration: 6000 }
+            );
             navigate('/dashboard', { replace: true });
         } catch (err) {
             console.error('Delete error:', err);
-            toast.error(t('errors.serverError'));
+            toast.error(err.response?.data?.error || t('errors.serverError'));
         } finally {
             setDeleteLoading(false);
             setShowDeleteConfirm(false);
         }
     };
 
+    const handleUndoDelete = async (toastId) => {
+        toast.dismiss(toastId);
+        try {
+            await trashApi.restore(id);
+            toast.success(t('trash.restored'));
+            navigate(`/invoice/${id}`);
+        } catch (err) {
+            console.error('Undo delete error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        }
+    };
+
     // ── Loading state ──
     if (loading) {
         return (
@@ -324,7 +435,13 @@ const InvoiceDetail = () => {
 
     // ── Computed values ──
     const isEstimate = invoice.document_type === 'estimate';
-    const docLabel = isEstimate ? t('invoice.estimate') : t('invoice.title');
+    const isCreditNote = invoice.document_type === 'credit_note';
+    const isInvoice = invoice.document_type === 'invoice';
+    const docLabel = t(DOCUMENT_TYPE_KEYS[invoice.document_type] || DOCUMENT_TYPE_KEYS.invoice);
+    // Once credited, an invoice's lines are fixed; with any credit notes
+    // (even cancelled ones) it is kept for the GST record
+    const isCredited = Number(invoice.amount_credited) > 0;
+    const hasCreditNotes = isCredited || invoice.credit_notes?.length > 0;
     // Parse `services` — Supabase may return JSONB as a string
     let services = invoice.services || [];
     if (typeof services === 'string') {
@@ -333,12 +450,19 @@ const InvoiceDetail = () => {
     if (!Array.isArray(services)) services = [];
     // Coerce tax_enabled to boolean (backend may return 0/1 integers)
     const taxEnabled = Boolean(invoice.tax_percentage > 0 && (invoice.tax_enabled || invoice.tax_amount > 0));
+    const taxSummary = buildTaxSummary({
+        services,
+        taxEnabled,
+        taxPercentage: invoice.tax_percentage,
+        businessGstin: invoice.business_gstin,
+        placeOfSupply: invoice.place_of_supply,
+    });
 
     return (
         <>
             <TopBar
                 title={`${docLabel} ${invoice.invoice_number || ''}`}
-                titleTamil={isEstimate ? 'மதிப்பீடு' : 'விலைப்பட்டியல்'}
+                titleTamil={isEstimate ? 'மதிப்பீடு' : isCreditNote ? 'வரவுக் குறிப்பு' : 'விலைப்பட்டியல்'}
                 showBack
                 onBack={() => navigate(-1)}
             />
@@ -363,8 +487,58 @@ const InvoiceDetail = () => {
                     </span>
                 </motion.div>
 
+                {invoice.status === 'overdue' && (
+                    <p className="detail-overdue" role="status">
+                        ⏰ {t('status.overdueBy', {
+                            count: getDaysOverdue(invoice.due_date),
+                            amount: formatCurrency(invoice.balance_due ?? invoice.total_amount, false),
+                        })}
+                    </p>
+                )}
+
+                {/* ── Project link ── */}
+                {invoice.project && (
+                    <button
+                        className="detail-link"
+                        onClick={() => navigate(`/projects/${invoice.project.id}`)}
+                        id="btn-project"
+                    >
+                        {t('projects.partOf', { name: invoice.project.name })}
+                        <span aria-hidden="true">→</span>
+                    </button>
+                )}
+
+                {/* ── Estimate ↔ Invoice link ── */}
+                {(invoice.converted_invoice || invoice.source_estimate) && (
+                    <button
+                        className="detail-link"
+                        onClick={() =>
+                            navigate(`/invoice/${(invoice.converted_invoice || invoice.source_estimate).id}`)
+                        }
+                        id="btn-linked-document"
+                    >
+                        {invoice.converted_invoice
+                            ? t('invoice.convertedTo', { number: invoice.converted_invoice.invoice_number })
+                            : t('invoice.fromEstimate', { number: invoice.source_estimate.invoice_number })}
+                        <span aria-hidden="true">→</span>
+                    </button>
+                )}
+
+                {/* ── Credit note → invoice link ── */}
+                {invoice.credited_invoice && (
+                    <button
+                        className="detail-link"
+                        onClick={() => navigate(`/invoice/${invoice.credited_invoice.id}`)}
+                        id="btn-credited-invoice"
+                    >
+                        {t('creditNotes.against', { number: invoice.credited_invoice.invoice_number })}
+                        <span aria-hidden="true">→</span>
+                    </button>
+                )}
+
                 {/* ── Status Action Bar ── */}
-                {invoice.status !== 'paid' && (
+                {!isCreditNote && !['paid', 'credited', 'cancelled'].includes(invoice.status) &&
+                    (invoice.status === 'draft' || !isEstimate || !invoice.converted_invoice) && (
                     <motion.div
                         className="detail-status-bar"
                         variants={fadeIn}
@@ -383,20 +557,58 @@ const InvoiceDetail = () => {
                                 <span>{statusLoading ? t('status.updating') : t('status.markSent')}</span>
                             </button>
                         )}
-                        {(invoice.status === 'sent' || invoice.status === 'draft') && (
+                        {invoice.status === 'rejected' && (
                             <button
-                                className="detail-status-btn detail-status-btn--paid"
-                                onClick={() => handleStatusChange('paid')}
+                                className="detail-status-btn detail-status-btn--send"
+                                onClick={() => handleStatusChange('draft')}
                                 disabled={statusLoading}
-                                id="btn-mark-paid"
+                                id="btn-reopen-estimate"
+                            >
+                                <EditIcon />
+                                <span>{statusLoading ? t('status.updating') : t('status.reopen')}</span>
+                            </button>
+                        )}
+                        {isEstimate && !invoice.converted_invoice && invoice.status !== 'rejected' && (
+                            <button
+                                className="detail-status-btn detail-status-btn--paid"
+                                onClick={handleConvert}
+                                disabled={convertLoading}
+                                id="btn-convert-estimate"
+                            >
+                                <CheckIcon />
+                                <span>{convertLoading ? t('loading.converting') : t('actions.convertToInvoice')}</span>
+                            </button>
+                        )}
+                        {isInvoice && (
+                            <button
+                                className="detail-status-btn detail-status-btn--paid"
+                                onClick={() => setShowPaymentForm(true)}
+                                id="btn-record-payment"
                             >
                                 <CheckIcon />
-                                <span>{statusLoading ? t('status.updating') : t('status.markPaid')}</span>
+                                <span>{t('payments.record')}</span>
                             </button>
                         )}
                     </motion.div>
                 )}
 
+                {/* ── PDF Language ── */}
+                <div className="detail-pdf-lang" role="group" aria-label={t('pdfLanguage.label')}>
+                    <span className="detail-pdf-lang__label">{t('pdfLanguage.label')}</span>
+                    {['en', 'ta'].map((lang) => (
+                        <button
+                            key={lang}
+                            type="button"
+                            className={`detail-pdf-lang__option ${pdfLang === lang ? 'detail-pdf-lang__option--active' : ''}`}
+                            onClick={() => setPdfLang(lang)}
+                            aria-pressed={pdfLang === lang}
+                            id={`btn-pdf-lang-${lang}`}
+                        >
+                            {t(`pdfLanguage.${lang}`)}
+                        </button>
+                    ))}
+                </div>
+
                 {/* ── Action Buttons ── */}
                 <motion.div
                     className="detail-actions"
@@ -433,32 +645,36 @@ const InvoiceDetail = () => {
                         </span>
                     </button>
 
-                    <button
-                        className="detail-action-btn"
-                        onClick={handleEdit}
-                        id="btn-edit-invoice"
-                    >
-                        <span className="detail-action-btn__icon detail-action-btn__icon--edit">
-                            <EditIcon />
-                        </span>
-                        <span className="detail-action-btn__label">
-                            {t('actions.edit')}
-                        </span>
-                    </button>
+                    {!isCreditNote && !isCredited && (
+                        <button
+                            className="detail-action-btn"
+                            onClick={handleEdit}
+                            id="btn-edit-invoice"
+                        >
+                            <span className="detail-action-btn__icon detail-action-btn__icon--edit">
+                                <EditIcon />
+                            </span>
+                            <span className="detail-action-btn__label">
+                                {t('actions.edit')}
+                            </span>
+                        </button>
+                    )}
 
-                    <button
-                        className="detail-action-btn"
-                        onClick={handleDuplicate}
-                        disabled={duplicateLoading}
-                        id="btn-duplicate-invoice"
-                    >
-                        <span className="detail-action-btn__icon detail-action-btn__icon--duplicate">
-                            <DuplicateIcon />
-                        </span>
-                        <span className="detail-action-btn__label">
-                            {duplicateLoading ? t('loading.duplicating') : t('actions.duplicate')}
-                        </span>
-                    </button>
+                    {!isCreditNote && (
+                        <button
+                            className="detail-action-btn"
+                            onClick={handleDuplicate}
+                            disabled={duplicateLoading}
+                            id="btn-duplicate-invoice"
+                        >
+                            <span className="detail-action-btn__icon detail-action-btn__icon--duplicate">
+                                <DuplicateIcon />
+                            </span>
+                            <span className="detail-action-btn__label">
+                                {duplicateLoading ? t('loading.duplicating') : t('actions.duplicate')}
+                            </span>
+                        </button>
+                    )}
                 </motion.div>
 
                 {/* ── Invoice Preview Card ── */}
@@ -472,8 +688,16 @@ const InvoiceDetail = () => {
                     {/* Header */}
                     <div className="detail-preview__header">
                         <div>
-                            <h4 className="detail-preview__brand">Crown Interiors</h4>
+                            <h4 className="detail-preview__brand">{businessName}</h4>
+                            {invoice.business_gstin && (
+                                <p className="detail-preview__sub">GSTIN: {invoice.business_gstin}</p>
+                            )}
                             <p className="detail-preview__type">{docLabel}</p>
+                            {isCreditNote && invoice.credit_reason && (
+                                <p className="detail-preview__sub">
+                                    {t(`creditNotes.reasons.${invoice.credit_reason}`)}
+                                </p>
+                            )}
                         </div>
                         <div className="detail-preview__date-block">
                             <p className="detail-preview__date-label">{t('invoice.date')}</p>
@@ -506,6 +730,14 @@ const InvoiceDetail = () => {
                         {invoice.customer_email && (
                             <p className="detail-preview__sub">{invoice.customer_email}</p>
                         )}
+                        {invoice.customer_gstin && (
+                            <p className="detail-preview__sub">GSTIN: {invoice.customer_gstin}</p>
+                        )}
+                        {taxEnabled && invoice.place_of_supply && (
+                            <p className="detail-preview__sub">
+                                {t('invoice.placeOfSupply')}: {formatPlaceOfSupply(invoice.place_of_supply)}
+                            </p>
+                        )}
                     </div>
 
                     <div className="detail-preview__divider" />
@@ -524,14 +756,28 @@ const InvoiceDetail = () => {
                                 <div key={i} className="detail-preview__trow">
                                     <span className="detail-preview__item-desc">
                                         {s.description || '—'}
+                                        {s.dimensions && (
+                                            <span className="detail-preview__hsn">
+                                                {formatDimensions(s.dimensions)}
+                                            </span>
+                                        )}
+                                        {taxEnabled && s.hsn_sac && (
+                                            <span className="detail-preview__hsn">
+                                                HSN/SAC {s.hsn_sac} · {s.tax_rate ?? invoice.tax_percentage}%
+                                            </span>
+                                        )}
+                                        {Number(s.discount_amount) > 0 && (
+                                            <span className="detail-preview__hsn">
+                                                {t('invoice.lineDiscountApplied', {
+                                                    amount: formatCurrency(s.discount_amount, false),
+                                                })}
+                                            </span>
+                                        )}
                                     </span>
-                                    <span>{s.quantity}</span>
+                                    <span>{formatQuantity(s.quantity, s.unit)}</span>
                                     <span>{formatCurrency(s.rate, false)}</span>
                                     <span>
-                                        {formatCurrency(
-                                            Number(s.quantity) * Number(s.rate),
-                                            false
-                                        )}
+                                        {formatCurrency(calculateLine(s).amount, false)}
                                     </span>
                                 </div>
                             ))}
@@ -546,18 +792,23 @@ const InvoiceDetail = () => {
                             <span>{t('invoice.subtotal')}</span>
                             <span>{formatCurrency(invoice.subtotal, false)}</span>
                         </div>
-                        {taxEnabled && (
-                            <div className="detail-preview__totals-row">
-                                <span>GST ({invoice.tax_percentage}%)</span>
-                                <span>{formatCurrency(invoice.tax_amount, false)}</span>
-                            </div>
-                        )}
+                        <TaxBreakdown summary={taxSummary} rowClassName="detail-preview__totals-row" />
                         {Number(invoice.discount_amount) > 0 && (
                             <div className="detail-preview__totals-row detail-preview__totals-row--discount">
-                                <span>{t('invoice.discount')}</span>
+                                <span>
+                                    {invoice.discount_type === 'percent'
+                                        ? t('invoice.discountPercent', { percent: Number(invoice.discount_value) })
+                                        : t('invoice.discount')}
+                                </span>
                                 <span>-{formatCurrency(invoice.discount_amount, false)}</span>
                             </div>
                         )}
+                        {Number(invoice.round_off_amount || 0) !== 0 && (
+                            <div className="detail-preview__totals-row">
+                                <span>{t('invoice.roundOff')}</span>
+                                <span>{formatSignedCurrency(Number(invoice.round_off_amount))}</span>
+                            </div>
+                        )}
 
                         <div className="detail-preview__totals-divider" />
 
@@ -579,6 +830,95 @@ const InvoiceDetail = () => {
                     )}
                 </motion.div>
 
+                {/* ── Payments (invoices only) ── */}
+                {isInvoice && invoice.status !== 'cancelled' && (
+                    <motion.div
+                        variants={fadeIn}
+                        initial="hidden"
+                        animate="visible"
+                        custom={2.5}
+                    >
+                        <UpiQrCard invoice={invoice} business={business} />
+                        <PaymentLedger
+                            invoice={invoice}
+                            isFormOpen={showPaymentForm}
+                            onFormOpen={() => setShowPaymentForm(true)}
+                            onFormClose={() => setShowPaymentForm(false)}
+                            onInvoiceChange={(updated) => setInvoice((prev) => ({ ...prev, ...updated }))}
+                        />
+                        {REMINDABLE_STATUSES.includes(invoice.status) && (
+                            <ReminderCard invoice={invoice} />
+                        )}
+                        <CreditNoteCard
+                            invoice={invoice}
+                            onInvoiceChange={(updated) => setInvoice((prev) => ({ ...prev, ...updated }))}
+                        />
+                    </motion.div>
+                )}
+
+                {/* ── Customer's Answer (estimates only) ── */}
+                {isEstimate && invoice.status !== 'cancelled' && (
+                    <motion.div
+                        variants={fadeIn}
+                        initial="hidden"
+                        animate="visible"
+                        custom={2.5}
+                    >
+                        <EstimateResponseCard invoice={invoice} />
+                    </motion.div>
+                )}
+
+                {/* ── Job Expenses & Profit (invoices only) ── */}
+                {isInvoice && (
+                    <motion.div
+                        variants={fadeIn}
+                        initial="hidden"
+                        animate="visible"
+                        custom={2.6}
+                    >
+                        <JobExpensesCard invoice={invoice} />
+                    </motion.div>
+                )}
+
+                {/* ── Recurring Invoices (invoices only) ── */}
+                {isInvoice && (
+                    <motion.div
+                        variants={fadeIn}
+                        initial="hidden"
+                        animate="visible"
+                        custom={2.7}
+                    >
+                        <RecurringCard invoice={invoice} />
+                    </motion.div>
+                )}
+
+                {/* ── Public Share Link ── */}
+                <motion.div
+                    variants={fadeIn}
+                    initial="hidden"
+                    animate="visible"
+                    custom={2.75}
+                >
+                    <ShareLinkCard
+                        invoiceId={id}
+                        link={shareLink}
+                        onChange={(link) => {
+                            setShareLink(link);
+                            setHistoryKey((key) => key + 1);
+                        }}
+                    />
+                </motion.div>
+
+                {/* ── History & Versions ── */}
+                <motion.div
+                    variants={fadeIn}
+                    initial="hidden"
+                    animate="visible"
+                    custom={2.9}
+                >
+                    <VersionHistoryCard invoice={invoice} pdfLang={pdfLang} refreshKey={historyKey} />
+                </motion.div>
+
                 {/* ── Delete Zone ── */}
                 <motion.div
                     className="detail-danger"
@@ -587,17 +927,43 @@ const InvoiceDetail = () => {
                     animate="visible"
                     custom={3}
                 >
-                    <button
-                        className="detail-danger__btn"
-                        onClick={() => setShowDeleteConfirm(true)}
-                        id="btn-delete-invoice"
-                    >
-                        <TrashIcon />
-                        {t('actions.delete')} {docLabel}
-                    </button>
+                    {CANCELLABLE_STATUSES.includes(invoice.status) &&
+                        !Number(invoice.amount_paid) && !Number(invoice.amount_credited) && (
+                        <button
+                            className="detail-danger__btn detail-danger__btn--cancel"
+                            onClick={() => setShowCancelConfirm(true)}
+                            id="btn-cancel-invoice"
+                        >
+                            {t('status.cancel')} {docLabel}
+                        </button>
+                    )}
+                    {/* Credit notes, and invoices that have them, are kept for the GST record */}
+                    {!isCreditNote && !hasCreditNotes && (
+                        <button
+                            className="detail-danger__btn"
+                            onClick={() => setShowDeleteConfirm(true)}
+                            id="btn-delete-invoice"
+                        >
+                            <TrashIcon />
+                            {t('actions.delete')} {docLabel}
+                        </button>
+                    )}
                 </motion.div>
             </div>
 
+            {/* ── Cancel (void) Confirmation Modal ── */}
+            <ConfirmDialog
+                isOpen={showCancelConfirm}
+                onClose={() => setShowCancelConfirm(false)}
+                onConfirm={() => handleStatusChange('cancelled')}
+                title={t('status.cancelTitle')}
+                message={isCreditNote ? t('creditNotes.cancelMessage') : t('status.cancelMessage')}
+                confirmLabel={t('status.cancel')}
+                cancelLabel={t('actions.cancel')}
+                destructive
+                loading={statusLoading}
+            />
+
             {/* ── Delete Confirmation Modal ── */}
             <ConfirmDialog
                 isOpen={showDeleteConfirm}
@@ -7,14 +7,34 @@ import toast from 'react-hot-toast';
 import TopBar from '../components/ui/TopBar';
 import Button from '../components/ui/Button';
 import Input from '../components/ui/Input';
+import Select from '../components/ui/Select';
 import TextArea from '../components/ui/TextArea';
 import Card from '../components/ui/Card';
 import ProgressIndicator from '../components/ui/ProgressIndicator';
 import Skeleton from '../components/ui/Skeleton';
+import TaxBreakdown from '../components/invoice/TaxBreakdown';
+import PdfTemplatePicker from '../components/invoice/PdfTemplatePicker';
+import PdfPreview from '../components/invoice/PdfPreview';
+import ServiceAutocomplete from '../components/invoice/ServiceAutocomplete';
+import DimensionsHelper from '../components/invoice/DimensionsHelper';
+import ProjectSelect from '../components/project/ProjectSelect';
 import { invoiceApi } from '../services/api';
 import useInvoiceCalculations from '../hooks/useInvoiceCalculations';
-import { formatCurrency } from '../utils/formatCurrency';
+import useBusinessProfile from '../hooks/useBusinessProfile';
+import useCatalogLines from '../hooks/useCatalogLines';
+import { formatCurrency, formatSignedCurrency } from '../utils/formatCurrency';
 import { formatDate } from '../utils/formatDate';
+import { UNITS, roundQuantity, formatQuantity, formatDimensions } from '../utils/units';
+import { calculateLine } from '../utils/invoiceTotals';
+import {
+    GST_RATES,
+    GST_STATES,
+    DEFAULT_GST_RATE,
+    DEFAULT_STATE_CODE,
+    isValidGstin,
+    getStateCode,
+    formatPlaceOfSupply,
+} from '../utils/gst';
 import './InvoiceCreate.css'; // Reuse create styles
 
 // ── Steps config (same as InvoiceCreate) ──
@@ -25,16 +45,29 @@ const STEPS = [
     { label: 'invoice.step4' },
 ];
 
+// GST dropdown options
+const STATE_OPTIONS = GST_STATES.map((s) => ({ value: s.code, label: `${s.name} (${s.code})` }));
+const RATE_OPTIONS = GST_RATES.map((rate) => ({ value: rate, label: `${rate}%` }));
+const DISCOUNT_OPTIONS = [
+    { value: 'flat', label: '₹' },
+    { value: 'percent', label: '%' },
+];
+
 const InvoiceEdit = () => {
-    const { t } = useTranslation();
+    const { t, i18n } = useTranslation();
     const navigate = useNavigate();
     const { id } = useParams();
+    const { business, businessName } = useBusinessProfile();
 
     const [step, setStep] = useState(0);
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [fetchLoading, setFetchLoading] = useState(true);
     const [fetchError, setFetchError] = useState(null);
     const [docType, setDocType] = useState('invoice');
+    // Number and payments of the saved document, for the PDF preview
+    const [savedInvoice, setSavedInvoice] = useState(null);
+    const [measuringIndex, setMeasuringIndex] = useState(null);
+    const [discountIndex, setDiscountIndex] = useState(null);
 
     // ── Form setup ──
     const {
@@ -43,26 +76,34 @@ const InvoiceEdit = () => {
         control,
         watch,
         setValue,
+        getValues,
         trigger,
         reset,
         formState: { errors },
     } = useForm({
         defaultValues: {
             document_type: 'invoice',
+            project_id: null,
             customer_name: '',
             customer_phone: '',
             customer_address: '',
             customer_email: '',
-            services: [{ description: '', quantity: 1, rate: 0, amount: 0 }],
+            customer_gstin: '',
+            business_gstin: '',
+            place_of_supply: DEFAULT_STATE_CODE,
+            services: [{ description: '', quantity: 1, unit: '', rate: 0, amount: 0, hsn_sac: '', tax_rate: DEFAULT_GST_RATE }],
             subtotal: 0,
             tax_enabled: true,
             tax_percentage: 18,
             tax_amount: 0,
-            discount_amount: 0,
+            discount_type: 'flat',
+            discount_value: 0,
+            round_off: false,
             total_amount: 0,
             invoice_date: new Date().toISOString().split('T')[0],
             due_date: '',
             notes: '',
+            pdf_template: null,
         },
         mode: 'onBlur',
     });
@@ -72,8 +113,27 @@ const InvoiceEdit = () => {
         name: 'services',
     });
 
-    const { subtotal, taxAmount, total, updateLineAmount, syncToForm } =
-        useInvoiceCalculations(control, watch, setValue);
+    const {
+        subtotal,
+        taxAmount,
+        taxSummary,
+        discountAmount,
+        roundOffAmount,
+        total,
+        updateLineAmount,
+        syncToForm,
+    } = useInvoiceCalculations(control, watch, setValue);
+    const { applyCatalogItem, saveLineToCatalog } =
+        useCatalogLines({ getValues, setValue, updateLineAmount });
+
+    // Fill a line's quantity and unit from the dimensions helper
+    const applyDimensions = (index, { quantity, unit, dimensions }) => {
+        setValue(`services.${index}.quantity`, quantity, { shouldValidate: true });
+        setValue(`services.${index}.unit`, unit);
+        setValue(`services.${index}.dimensions`, dimensions);
+        updateLineAmount(index);
+        setMeasuringIndex(null);
+    };
 
     // ── Fetch existing invoice and pre-fill ──
     useEffect(() => {
@@ -85,6 +145,7 @@ const InvoiceEdit = () => {
                 const inv = response.data.data;
 
                 setDocType(inv.document_type || 'invoice');
+                setSavedInvoice(inv);
 
                 // Parse services — Supabase may return JSONB as a string
                 let rawServices = inv.services || [];
@@ -96,29 +157,50 @@ const InvoiceEdit = () => {
                 // Pre-fill all form fields
                 reset({
                     document_type: inv.document_type || 'invoice',
+                    project_id: inv.project_id || null,
                     customer_name: inv.customer_name || '',
                     customer_phone: inv.customer_phone || '',
                     customer_address: inv.customer_address || '',
                     customer_email: inv.customer_email || '',
+                    customer_gstin: inv.customer_gstin || '',
+                    business_gstin: inv.business_gstin || '',
+                    place_of_supply: inv.place_of_supply
+                        || getStateCode(inv.business_gstin)
+                        || DEFAULT_STATE_CODE,
                     services: rawServices.length > 0
                         ? rawServices.map((s) => ({
                             description: s.description || '',
                             quantity: s.quantity || 1,
+                            unit: s.unit || '',
+                            dimensions: s.dimensions || null,
                             rate: s.rate || 0,
                             amount: s.amount || 0,
+                            discount_type: s.discount_type || 'flat',
+                            discount_value: s.discount_value || 0,
+                            hsn_sac: s.hsn_sac || '',
+                            notes: s.notes || '',
+                            catalog_item_id: s.catalog_item_id || null,
+                            // Older invoices only have the invoice-level rate
+                            tax_rate: s.tax_rate ?? (GST_RATES.includes(Number(inv.tax_percentage))
+                                ? Number(inv.tax_percentage)
+                                : DEFAULT_GST_RATE),
                         }))
-                        : [{ description: '', quantity: 1, rate: 0, amount: 0 }],
+                        : [{ description: '', quantity: 1, unit: '', rate: 0, amount: 0, hsn_sac: '', tax_rate: DEFAULT_GST_RATE }],
                     subtotal: inv.subtotal || 0,
                     tax_enabled: inv.tax_percentage > 0,
                     tax_percentage: inv.tax_percentage || 18,
                     tax_amount: inv.tax_amount || 0,
-                    discount_amount: inv.discount_amount || 0,
+                    // Older invoices only stored the flat rupee discount
+                    discount_type: inv.discount_type || 'flat',
+                    discount_value: inv.discount_value ?? inv.discount_amount ?? 0,
+                    round_off: Boolean(inv.round_off),
                     total_amount: inv.total_amount || 0,
                     invoice_date: inv.invoice_date
                         ? inv.invoice_date.split('T')[0]
                         : new Date().toISOString().split('T')[0],
                     due_date: inv.due_date ? inv.due_date.split('T')[0] : '',
                     notes: inv.notes || '',
+                    pdf_template: inv.pdf_template || null,
                 });
             } catch (err) {
                 console.error('Fetch invoice for edit error:', err);
@@ -135,17 +217,18 @@ const InvoiceEdit = () => {
         let fieldsToValidate = [];
         switch (step) {
             case 0:
-                fieldsToValidate = ['customer_name', 'customer_phone'];
+                fieldsToValidate = ['customer_name', 'customer_phone', 'customer_gstin'];
                 break;
             case 1:
                 fieldsToValidate = fields.flatMap((_, i) => [
                     `services.${i}.description`,
                     `services.${i}.quantity`,
                     `services.${i}.rate`,
+                    `services.${i}.hsn_sac`,
                 ]);
                 break;
             case 2:
-                fieldsToValidate = ['invoice_date'];
+                fieldsToValidate = ['invoice_date', 'business_gstin'];
                 break;
             default:
                 return true;
@@ -169,28 +252,49 @@ const InvoiceEdit = () => {
         setStep((s) => Math.max(s - 1, 0));
     };
 
+    // Shape form values into the API payload (used for saving and the PDF preview)
+    const buildPayload = (data) => ({
+        ...data,
+        subtotal,
+        tax_amount: taxAmount,
+        total_amount: total,
+        services: data.services.map((s) => ({
+            ...s,
+            quantity: roundQuantity(s.quantity),
+            unit: s.unit?.trim() || null,
+            dimensions: s.dimensions || null,
+            rate: Number(s.rate),
+            discount_type: s.discount_type || 'flat',
+            discount_value: Number(s.discount_value) || 0,
+            discount_amount: calculateLine(s).discount,
+            amount: calculateLine(s).amount,
+            hsn_sac: s.hsn_sac || null,
+            catalog_item_id: s.catalog_item_id || null,
+            tax_rate: Number.isFinite(Number(s.tax_rate)) ? Number(s.tax_rate) : DEFAULT_GST_RATE,
+            notes: s.notes || null,
+        })),
+        discount_type: data.discount_type || 'flat',
+        discount_value: Number(data.discount_value) || 0,
+        discount_amount: discountAmount,
+        round_off: Boolean(data.round_off),
+        round_off_amount: roundOffAmount,
+        due_date: data.due_date || null,
+        notes: data.notes || null,
+        project_id: data.project_id || null,
+        customer_address: data.customer_address || null,
+        customer_email: data.customer_email || null,
+        customer_gstin: data.customer_gstin ? data.customer_gstin.toUpperCase() : null,
+        business_gstin: data.business_gstin ? data.business_gstin.toUpperCase() : null,
+        place_of_supply: data.place_of_supply || null,
+        pdf_template: data.pdf_template || null,
+    });
+
     // ── Submit (update) ──
     const onSubmit = async (data) => {
         setIsSubmitting(true);
         syncToForm();
 
-        const payload = {
-            ...data,
-            subtotal,
-            tax_amount: taxAmount,
-            total_amount: total,
-            services: data.services.map((s) => ({
-                ...s,
-                quantity: Number(s.quantity),
-                rate: Number(s.rate),
-                amount: Number(s.quantity) * Number(s.rate),
-            })),
-            discount_amount: Number(data.discount_amount) || 0,
-            due_date: data.due_date || null,
-            notes: data.notes || null,
-            customer_address: data.customer_address || null,
-            customer_email: data.customer_email || null,
-        };
+        const payload = buildPayload(data);
 
         try {
             await invoiceApi.update(id, payload);
@@ -202,7 +306,10 @@ const InvoiceEdit = () => {
             navigate(`/invoice/${id}`, { replace: true });
         } catch (err) {
             console.error('Update invoice error:', err);
-            const serverMsg = err.response?.data?.error || t('errors.serverError');
+            // Validation errors (e.g. totals that don't add up) name the field in details
+            const serverMsg = err.response?.data?.details?.[0]?.message
+                || err.response?.data?.error
+                || t('errors.serverError');
             toast.error(serverMsg);
         } finally {
             setIsSubmitting(false);
@@ -345,6 +452,35 @@ const InvoiceEdit = () => {
                                                 },
                                             })}
                                         />
+                                        <Input
+                                            label={t('invoice.customerGstin')}
+                                            labelTamil="வாடிக்கையாளர் GSTIN (விரும்பினால்)"
+                                            placeholder="33ABCDE1234F1Z5"
+                                            id="edit-customer-gstin"
+                                            error={errors.customer_gstin?.message}
+                                            {...register('customer_gstin', {
+                                                validate: (v) => !v || isValidGstin(v) || t('errors.invalidGstin'),
+                                                // A registered customer's state is the place of supply
+                                                onChange: (e) => {
+                                                    const code = getStateCode(e.target.value);
+                                                    if (code) setValue('place_of_supply', code);
+                                                },
+                                            })}
+                                        />
+
+                                        <Select
+                                            label={t('invoice.placeOfSupply')}
+                                            labelTamil="விநியோக இடம்"
+                                            id="edit-place-of-supply"
+                                            options={STATE_OPTIONS}
+                                            {...register('place_of_supply')}
+                                        />
+
+                                        <ProjectSelect
+                                            value={watch('project_id')}
+                                            onChange={(project) => setValue('project_id', project?.id ?? null)}
+                                            id="edit-invoice-project"
+                                        />
                                     </div>
                                 </div>
                             )}
@@ -356,53 +492,87 @@ const InvoiceEdit = () => {
                                     <p className="invoice-step__desc">{t('invoice.step2EditDesc')}</p>
 
                                     <div className="invoice-services">
+                                        <datalist id="service-units">
+                                            {UNITS.map((unit) => <option key={unit} value={unit} />)}
+                                        </datalist>
                                         {fields.map((field, index) => (
                                             <Card key={field.id} variant="outlined" className="invoice-service-card">
                                                 <div className="invoice-service-card__header">
                                                     <span className="invoice-service-card__num">#{index + 1}</span>
-                                                    {fields.length > 1 && (
-                                                        <button
-                                                            type="button"
-                                                            className="invoice-service-card__remove"
-                                                            onClick={() => remove(index)}
-                                                            aria-label="Remove service"
-                                                        >
-                                                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                                                                <line x1="18" y1="6" x2="6" y2="18" />
-                                                                <line x1="6" y1="6" x2="18" y2="18" />
-                                                            </svg>
-                                                        </button>
-                                                    )}
+                                                    <div className="invoice-service-card__actions">
+                                                        {watch(`services.${index}.catalog_item_id`) ? (
+                                                            <span className="invoice-service-card__catalog-badge">
+                                                                {t('catalog.inCatalog')}
+                                                            </span>
+                                                        ) : (
+                                                            <button
+                                                                type="button"
+                                                                className="invoice-service-card__catalog-save"
+                                                                onClick={() => saveLineToCatalog(index)}
+                                                            >
+                                                                {t('catalog.saveLine')}
+                                                            </button>
+                                                        )}
+                                                        {fields.length > 1 && (
+                                                            <button
+                                                                type="button"
+                                                                className="invoice-service-card__remove"
+                                                                onClick={() => remove(index)}
+                                                                aria-label="Remove service"
+                                                            >
+                                                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                                                    <line x1="18" y1="6" x2="6" y2="18" />
+                                                                    <line x1="6" y1="6" x2="18" y2="18" />
+                                                                </svg>
+                                                            </button>
+                                                        )}
+                                                    </div>
                                                 </div>
 
-                                                <Input
+                                                <ServiceAutocomplete
                                                     label={t('invoice.serviceDescription')}
                                                     labelTamil="சேவை விவரம்"
                                                     placeholder="e.g. Modular Kitchen Setup"
                                                     required
                                                     id={`edit-service-desc-${index}`}
                                                     error={errors.services?.[index]?.description?.message}
+                                                    onPick={(item) => applyCatalogItem(index, item)}
                                                     {...register(`services.${index}.description`, {
                                                         required: t('errors.required'),
                                                         minLength: { value: 2, message: t('invoice.min2Chars') },
+                                                        // Editing the text unlinks the line from its catalog item
+                                                        onChange: () => setValue(`services.${index}.catalog_item_id`, null),
                                                     })}
                                                 />
 
-                                                <div className="invoice-service-card__row">
+                                                <div className="invoice-service-card__row invoice-service-card__row--line">
                                                     <Input
                                                         label={t('invoice.quantity')}
                                                         type="number"
-                                                        inputMode="numeric"
+                                                        inputMode="decimal"
+                                                        step="any"
                                                         placeholder="1"
                                                         required
                                                         id={`edit-service-qty-${index}`}
                                                         error={errors.services?.[index]?.quantity?.message}
                                                         {...register(`services.${index}.quantity`, {
                                                             required: t('errors.required'),
-                                                            min: { value: 1, message: 'Min 1' },
-                                                            onChange: () => updateLineAmount(index),
+                                                            validate: (v) => Number(v) > 0 || t('units.minQuantity'),
+                                                            onChange: () => {
+                                                                // A typed quantity no longer matches the measurements
+                                                                setValue(`services.${index}.dimensions`, null);
+                                                                updateLineAmount(index);
+                                                            },
                                                         })}
                                                     />
+                                                    <Input
+                                                        label={t('units.unit')}
+                                                        placeholder="nos"
+                                                        maxLength={20}
+                                                        list="service-units"
+                                                        id={`edit-service-unit-${index}`}
+                                                        {...register(`services.${index}.unit`)}
+                                                    />
                                                     <Input
                                                         label={t('invoice.rate')}
                                                         type="number"
@@ -422,14 +592,95 @@ const InvoiceEdit = () => {
                                                             {t('invoice.amount')}
                                                         </span>
                                                         <span className="invoice-service-card__amount-value">
-                                                            {formatCurrency(
-                                                                Number(watch(`services.${index}.quantity`) || 0) *
-                                                                Number(watch(`services.${index}.rate`) || 0),
-                                                                false
-                                                            )}
+                                                            {formatCurrency(calculateLine(watch(`services.${index}`)).amount, false)}
                                                         </span>
                                                     </div>
                                                 </div>
+
+                                                {measuringIndex === index ? (
+                                                    <DimensionsHelper
+                                                        value={watch(`services.${index}.dimensions`)}
+                                                        idPrefix={`edit-service-dims-${index}`}
+                                                        onCancel={() => setMeasuringIndex(null)}
+                                                        onApply={(result) => applyDimensions(index, result)}
+                                                    />
+                                                ) : (
+                                                    <button
+                                                        type="button"
+                                                        className="invoice-service-card__measure"
+                                                        onClick={() => setMeasuringIndex(index)}
+                                                    >
+                                                        📐 {formatDimensions(watch(`services.${index}.dimensions`)) || t('units.measure')}
+                                                    </button>
+                                                )}
+
+                                                {discountIndex === index || Number(watch(`services.${index}.discount_value`)) > 0 ? (
+                                                    <div className="invoice-service-card__row invoice-service-card__row--discount">
+                                                        <Select
+                                                            label={t('invoice.lineDiscount')}
+                                                            id={`edit-service-discount-type-${index}`}
+                                                            options={DISCOUNT_OPTIONS}
+                                                            {...register(`services.${index}.discount_type`, {
+                                                                onChange: () => updateLineAmount(index),
+                                                            })}
+                                                        />
+                                                        <Input
+                                                            label={t('invoice.discountValue')}
+                                                            type="number"
+                                                            inputMode="decimal"
+                                                            placeholder="0"
+                                                            id={`edit-service-discount-value-${index}`}
+                                                            error={errors.services?.[index]?.discount_value?.message}
+                                                            {...register(`services.${index}.discount_value`, {
+                                                                min: { value: 0, message: 'Min 0' },
+                                                                validate: (v) =>
+                                                                    getValues(`services.${index}.discount_type`) !== 'percent'
+                                                                    || Number(v) <= 100
+                                                                    || t('invoice.maxPercent'),
+                                                                onChange: () => updateLineAmount(index),
+                                                            })}
+                                                        />
+                                                    </div>
+                                                ) : (
+                                                    <button
+                                                        type="button"
+                                                        className="invoice-service-card__discount-toggle"
+                                                        onClick={() => setDiscountIndex(index)}
+                                                    >
+                                                        🏷️ {t('invoice.addLineDiscount')}
+                                                    </button>
+                                                )}
+
+                                                {/* GST details (only for taxed documents) */}
+                                                {watch('tax_enabled') && (
+                                                    <div className="invoice-service-card__row">
+                                                        <Input
+                                                            label={t('invoice.hsnSac')}
+                                                            inputMode="numeric"
+                                                            placeholder="9954"
+                                                            id={`service-hsn-${index}`}
+                                                            error={errors.services?.[index]?.hsn_sac?.message}
+                                                            {...register(`services.${index}.hsn_sac`, {
+                                                                pattern: { value: /^[0-9]{4,8}$/, message: t('errors.invalidHsn') },
+                                                            })}
+                                                        />
+                                                        <Select
+                                                            label={t('invoice.gstRate')}
+                                                            id={`service-gst-${index}`}
+                                                            options={RATE_OPTIONS}
+                                                            {...register(`services.${index}.tax_rate`, { valueAsNumber: true })}
+                                                        />
+                                                    </div>
+                                                )}
+                                                <TextArea
+                                                    label={t('invoice.itemNotes')}
+                                                    labelTamil="பொருள் குறிப்பு"
+                                                    placeholder={t('invoice.itemNotesPlaceholder')}
+                                                    rows={2}
+                                                    maxLength={300}
+                                                    id={`edit-service-notes-${index}`}
+                                                    {...register(`services.${index}.notes`)}
+                                                />
                                             </Card>
                                         ))}
 
@@ -437,7 +688,7 @@ const InvoiceEdit = () => {
                                             type="button"
                                             variant="ghost"
                                             fullWidth
-                                            onClick={() => append({ description: '', quantity: 1, rate: 0, amount: 0 })}
+                                            onClick={() => append({ description: '', quantity: 1, unit: '', rate: 0, amount: 0, hsn_sac: '', tax_rate: DEFAULT_GST_RATE })}
                                             icon={
                                                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
                                                     <line x1="12" y1="5" x2="12" y2="19" />
@@ -460,33 +711,48 @@ const InvoiceEdit = () => {
                                             <label className="invoice-summary__tax-toggle">
                                                 <input type="checkbox" {...register('tax_enabled')} />
                                                 <span>{t('invoice.tax')}</span>
-                                                {watch('tax_enabled') && (
-                                                    <input
-                                                        type="number"
-                                                        className="invoice-summary__tax-input"
-                                                        inputMode="decimal"
-                                                        {...register('tax_percentage')}
-                                                    />
-                                                )}
-                                                {watch('tax_enabled') && <span>%</span>}
                                             </label>
                                             <span className="invoice-summary__value">{formatCurrency(taxAmount, false)}</span>
                                         </div>
+                                        <TaxBreakdown
+                                            summary={taxSummary}
+                                            rowClassName="invoice-summary__row invoice-summary__row--split"
+                                        />
 
                                         <div className="invoice-summary__row">
                                             <label className="invoice-summary__discount">
                                                 <span>{t('invoice.discount')}</span>
-                                                <span className="invoice-summary__discount-prefix">₹</span>
+                                                <select
+                                                    className="invoice-summary__discount-type"
+                                                    aria-label={t('invoice.discountType')}
+                                                    {...register('discount_type')}
+                                                >
+                                                    {DISCOUNT_OPTIONS.map((option) => (
+                                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                                    ))}
+                                                </select>
                                                 <input
                                                     type="number"
                                                     className="invoice-summary__discount-input"
                                                     inputMode="decimal"
                                                     placeholder="0"
-                                                    {...register('discount_amount')}
+                                                    min="0"
+                                                    max={watch('discount_type') === 'percent' ? 100 : undefined}
+                                                    {...register('discount_value')}
                                                 />
                                             </label>
                                             <span className="invoice-summary__value invoice-summary__value--discount">
-                                                -{formatCurrency(watch('discount_amount') || 0, false)}
+                                                -{formatCurrency(discountAmount, false)}
+                                            </span>
+                                        </div>
+
+                                        <div className="invoice-summary__row">
+                                            <label className="invoice-summary__tax-toggle">
+                                                <input type="checkbox" {...register('round_off')} />
+                                                <span>{t('invoice.roundOff')}</span>
+                                            </label>
+                                            <span className="invoice-summary__value">
+                                                {formatSignedCurrency(roundOffAmount)}
                                             </span>
                                         </div>
 
@@ -525,6 +791,16 @@ const InvoiceEdit = () => {
                                             id="edit-due-date"
                                             {...register('due_date')}
                                         />
+                                        <Input
+                                            label={t('invoice.businessGstin')}
+                                            labelTamil="உங்கள் GSTIN"
+                                            placeholder="33ABCDE1234F1Z5"
+                                            id="edit-business-gstin"
+                                            error={errors.business_gstin?.message}
+                                            {...register('business_gstin', {
+                                                validate: (v) => !v || isValidGstin(v) || t('errors.invalidGstin'),
+                                            })}
+                                        />
                                         <TextArea
                                             label={t('invoice.notes')}
                                             labelTamil="குறிப்புகள் / விதிமுறைகள்"
@@ -544,10 +820,16 @@ const InvoiceEdit = () => {
                                     <h3 className="invoice-step__title">{t('invoice.step4')}</h3>
                                     <p className="invoice-step__desc">{t('invoice.step4EditDesc')}</p>
 
+                                    <PdfTemplatePicker
+                                        value={watch('pdf_template')}
+                                        defaultTemplate={business?.pdf_template}
+                                        onChange={(template) => setValue('pdf_template', template)}
+                                    />
+
                                     <Card variant="elevated" className="invoice-preview">
                                         <div className="invoice-preview__header">
                                             <div>
-                                                <h4 className="invoice-preview__brand">Crown Interiors</h4>
+                                                <h4 className="invoice-preview__brand">{businessName}</h4>
                                                 <p className="invoice-preview__type">
                                                     {docType === 'estimate' ? t('invoice.estimate') : t('invoice.title')}
                                                 </p>
@@ -565,6 +847,12 @@ const InvoiceEdit = () => {
                                             <p className="invoice-preview__sub">{watch('customer_phone')}</p>
                                             {watch('customer_address') && <p className="invoice-preview__sub">{watch('customer_address')}</p>}
                                             {watch('customer_email') && <p className="invoice-preview__sub">{watch('customer_email')}</p>}
+                                            {watch('customer_gstin') && <p className="invoice-preview__sub">GSTIN: {watch('customer_gstin').toUpperCase()}</p>}
+                                            {watch('tax_enabled') && watch('place_of_supply') && (
+                                                <p className="invoice-preview__sub">
+                                                    {t('invoice.placeOfSupply')}: {formatPlaceOfSupply(watch('place_of_supply'))}
+                                                </p>
+                                            )}
                                         </div>
 
                                         <div className="invoice-preview__divider" />
@@ -580,10 +868,22 @@ const InvoiceEdit = () => {
                                                 </div>
                                                 {watch('services')?.map((s, i) => (
                                                     <div key={i} className="invoice-preview__trow">
-                                                        <span className="invoice-preview__item-desc">{s.description || '—'}</span>
-                                                        <span>{s.quantity}</span>
+                                                        <span className="invoice-preview__item-desc">
+                                                            {s.description || '—'}
+                                                            {watch('tax_enabled') && s.hsn_sac && (
+                                                                <span className="invoice-preview__hsn">HSN/SAC {s.hsn_sac} · {s.tax_rate}%</span>
+                                                            )}
+                                                            {calculateLine(s).discount > 0 && (
+                                                                <span className="invoice-preview__hsn">
+                                                                    {t('invoice.lineDiscountApplied', {
+                                                                        amount: formatCurrency(calculateLine(s).discount, false),
+                                                                    })}
+                                                                </span>
+                                                            )}
+                                                        </span>
+                                                        <span>{formatQuantity(s.quantity, s.unit)}</span>
                                                         <span>{formatCurrency(s.rate, false)}</span>
-                                                        <span>{formatCurrency(Number(s.quantity) * Number(s.rate), false)}</span>
+                                                        <span>{formatCurrency(calculateLine(s).amount, false)}</span>
                                                     </div>
                                                 ))}
                                             </div>
@@ -596,16 +896,19 @@ const InvoiceEdit = () => {
                                                 <span>{t('invoice.subtotal')}</span>
                                                 <span>{formatCurrency(subtotal, false)}</span>
                                             </div>
-                                            {watch('tax_enabled') && (
-                                                <div className="invoice-preview__totals-row">
-                                                    <span>GST ({watch('tax_percentage')}%)</span>
-                                                    <span>{formatCurrency(taxAmount, false)}</span>
+                                            <TaxBreakdown summary={taxSummary} rowClassName="invoice-preview__totals-row" />
+                                            {discountAmount > 0 && (
+                                                <div className="invoice-preview__totals-row invoice-preview__totals-row--discount">
+                                                    <span>{watch('discount_type') === 'percent'
+                                                        ? t('invoice.discountPercent', { percent: Number(watch('discount_value')) })
+                                                        : t('invoice.discount')}</span>
+                                                    <span>-{formatCurrency(discountAmount, false)}</span>
                                                 </div>
                                             )}
-                                            {Number(watch('discount_amount')) > 0 && (
-                                                <div className="invoice-preview__totals-row invoice-preview__totals-row--discount">
-                                                    <span>{t('invoice.discount')}</span>
-                                                    <span>-{formatCurrency(watch('discount_amount'), false)}</span>
+                                            {roundOffAmount !== 0 && (
+                                                <div className="invoice-preview__totals-row">
+                                                    <span>{t('invoice.roundOff')}</span>
+                                                    <span>{formatSignedCurrency(roundOffAmount)}</span>
                                                 </div>
                                             )}
                                             <div className="invoice-preview__totals-divider" />
@@ -631,6 +934,15 @@ const InvoiceEdit = () => {
                                             </div>
                                         )}
                                     </Card>
+
+                                    <PdfPreview
+                                        payload={{
+                                            ...buildPayload(watch()),
+                                            invoice_number: savedInvoice?.invoice_number,
+                                            amount_paid: Number(savedInvoice?.amount_paid || 0),
+                                        }}
+                                        lang={i18n.language === 'ta' ? 'ta' : 'en'}
+                                    />
                                 </div>
                             )}
                         </motion.div>
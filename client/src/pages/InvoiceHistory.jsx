@@ -1,6 +1,7 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
 import { motion, AnimatePresence } from 'framer-motion';
 import TopBar from '../components/ui/TopBar';
 import Card from '../components/ui/Card';
@@ -10,15 +11,27 @@ import SearchBar from '../components/ui/SearchBar';
 import FilterChip from '../components/ui/FilterChip';
 import EmptyState from '../components/ui/EmptyState';
 import { invoiceApi } from '../services/api';
-import { useInvoiceStore } from '../store/invoiceStore';
+import useVirtualList from '../hooks/useVirtualList';
 import { formatCurrency } from '../utils/formatCurrency';
 import { formatRelativeDate } from '../utils/formatDate';
+import {
+    readHistoryFilters,
+    toHistoryParams,
+    hasHistoryFilters,
+    toInvoiceQuery,
+    appendPage,
+} from '../utils/history';
+import { DOCUMENT_TYPE_KEYS, getSignedTotal } from '../utils/creditNotes';
 import './InvoiceHistory.css';
 
 // ── Status config ──
 const STATUS_BADGE_MAP = {
     paid: { variant: 'success', key: 'status.paid' },
+    partially_paid: { variant: 'warning', key: 'status.partiallyPaid' },
+    credited: { variant: 'info', key: 'status.credited' },
     sent: { variant: 'info', key: 'status.sent' },
+    accepted: { variant: 'success', key: 'status.accepted' },
+    rejected: { variant: 'error', key: 'status.rejected' },
     pending: { variant: 'warning', key: 'status.pending' },
     draft: { variant: 'default', key: 'status.draft' },
     overdue: { variant: 'error', key: 'status.overdue' },
@@ -43,6 +56,7 @@ const TYPE_CHIPS = [
     { value: 'all', label: 'All' },
     { value: 'invoice', label: 'Invoices' },
     { value: 'estimate', label: 'Estimates' },
+    { value: 'credit_note', label: 'Credit notes' },
 ];
 
 // ── Status filter chips ──
@@ -50,81 +64,144 @@ const STATUS_CHIPS = [
     { value: 'all', label: 'Any status' },
     { value: 'draft', label: 'Draft' },
     { value: 'sent', label: 'Sent' },
+    { value: 'partially_paid', label: 'Partially paid' },
     { value: 'paid', label: 'Paid' },
-    { value: 'pending', label: 'Pending' },
+    { value: 'credited', label: 'Credited' },
+    { value: 'accepted', label: 'Accepted' },
+    { value: 'rejected', label: 'Rejected' },
     { value: 'overdue', label: 'Overdue' },
+    { value: 'cancelled', label: 'Cancelled' },
 ];
 
-// ── Card animation ──
-const cardVariants = {
-    hidden: { opacity: 0, y: 12 },
-    visible: (i) => ({
-        opacity: 1,
-        y: 0,
-        transition: { delay: i * 0.04, duration: 0.28, ease: [0.4, 0, 0.2, 1] },
-    }),
-    exit: { opacity: 0, y: -8, transition: { duration: 0.15 } },
-};
+// ── Height of a history card with the gap below it, until one is measured ──
+const ESTIMATED_ROW_HEIGHT = 124;
 
+/**
+ * Invoice History: every invoice and estimate, a page at a time from the
+ * server as the list is scrolled. Search, filters and sort live in the
+ * URL (?q=&type=&status=&sort=), so the view survives reloads.
+ */
 const InvoiceHistory = () => {
     const { t } = useTranslation();
     const navigate = useNavigate();
+    const [searchParams, setSearchParams] = useSearchParams();
 
-    // ── Store ──
-    const {
-        invoices,
-        setInvoices,
-        filters,
-        setFilters,
-        resetFilters,
-        getFilteredInvoices,
-    } = useInvoiceStore();
+    const filters = readHistoryFilters(searchParams);
+    // Canonical form of the filters: a change re-fetches the first page
+    const queryKey = new URLSearchParams(toHistoryParams(filters)).toString();
 
+    const [invoices, setInvoices] = useState([]);
+    const [pagination, setPagination] = useState(null);
     const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
     const [error, setError] = useState(null);
+    const [searchInput, setSearchInput] = useState(filters.search);
     const [showSort, setShowSort] = useState(false);
     const sortRef = useRef(null);
+    const searchTimer = useRef(null);
+    const sentinelRef = useRef(null);
+    const moreController = useRef(null);
+
+    const { listRef, measureRef, start, end, style } = useVirtualList({
+        count: invoices.length,
+        estimatedHeight: ESTIMATED_ROW_HEIGHT,
+        overscan: 6,
+    });
 
-    // ── Fetch all invoices on mount ──
+    // ── First page (re-runs whenever the filters in the URL change) ──
     useEffect(() => {
-        const fetchAll = async () => {
+        const controller = new AbortController();
+        moreController.current?.abort();
+
+        const fetchFirstPage = async () => {
             try {
                 setLoading(true);
                 setError(null);
-                const response = await invoiceApi.getAll();
-                const raw = response.data.data;
-                // getAll returns { invoices: [], pagination: {} }
-                const list = Array.isArray(raw)
-                    ? raw                          // future-proof: if API ever returns flat array
-                    : Array.isArray(raw?.invoices)
-                        ? raw.invoices             // current shape: { invoices: [], pagination: {} }
-                        : [];
-                setInvoices(list);
+                const query = toInvoiceQuery(readHistoryFilters(new URLSearchParams(queryKey)), 1);
+                const response = await invoiceApi.getAll(query, { signal: controller.signal });
+                setInvoices(response.data.data.invoices);
+                setPagination(response.data.data.pagination);
             } catch (err) {
+                if (err.name === 'CanceledError' || err.name === 'AbortError') return;
                 console.error('History fetch error:', err);
                 setError(t('errors.serverError'));
             } finally {
-                setLoading(false);
+                if (!controller.signal.aborted) setLoading(false);
             }
         };
-        fetchAll();
-        // Reset filters when page opens
-        resetFilters();
-    }, []);
+
+        fetchFirstPage();
+        return () => controller.abort();
+    }, [queryKey, t]);
+
+    // ── Next page ──
+    const loadMore = useCallback(async () => {
+        if (!pagination?.hasMore || moreController.current) return;
+
+        const controller = new AbortController();
+        moreController.current = controller;
+        try {
+            setLoadingMore(true);
+            const query = toInvoiceQuery(readHistoryFilters(new URLSearchParams(queryKey)), pagination.page + 1);
+            const response = await invoiceApi.getAll(query, { signal: controller.signal });
+            setInvoices((prev) => appendPage(prev, response.data.data.invoices));
+            setPagination(response.data.data.pagination);
+        } catch (err) {
+            if (err.name === 'CanceledError' || err.name === 'AbortError') return;
+            console.error('History load more error:', err);
+            toast.error(t('history.couldNotLoadMore'));
+        } finally {
+            moreController.current = null;
+            setLoadingMore(false);
+        }
+    }, [pagination, queryKey, t]);
+
+    // ── Load the next page as the end of the list scrolls into view ──
+    useEffect(() => {
+        const sentinel = sentinelRef.current;
+        if (!sentinel || !pagination?.hasMore) return undefined;
+
+        const observer = new IntersectionObserver(
+            ([entry]) => {
+                if (entry.isIntersecting) loadMore();
+            },
+            { rootMargin: '600px 0px' }
+        );
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [pagination, loadMore]);
+
+    // ── Filters → URL (replacing the entry, so Back leaves the page) ──
+    const updateFilters = useCallback((update) => {
+        setSearchParams(
+            (prev) => toHistoryParams({ ...readHistoryFilters(prev), ...update }),
+            { replace: true }
+        );
+    }, [setSearchParams]);
 
     // ── Debounced search ──
-    const searchTimer = useRef(null);
     const handleSearchChange = (e) => {
         const val = e.target.value;
+        setSearchInput(val);
         clearTimeout(searchTimer.current);
         searchTimer.current = setTimeout(() => {
-            setFilters({ search: val });
+            updateFilters({ search: val.trim() });
         }, 300);
     };
 
     const handleSearchClear = useCallback(() => {
-        setFilters({ search: '' });
-    }, [setFilters]);
+        clearTimeout(searchTimer.current);
+        setSearchInput('');
+        updateFilters({ search: '' });
+    }, [updateFilters]);
+
+    const clearFilters = () => {
+        clearTimeout(searchTimer.current);
+        setSearchInput('');
+        setSearchParams({}, { replace: true });
+    };
+
+    useEffect(() => () => clearTimeout(searchTimer.current), []);
 
     // ── Close sort dropdown on outside click ──
     useEffect(() => {
@@ -138,70 +215,8 @@ const InvoiceHistory = () => {
     }, []);
 
     const currentSortLabel =
-        SORT_OPTIONS.find((o) => o.value === filters.sortBy)?.label || 'Newest';
-
-    // ── Skeleton loader ──
-    if (loading) {
-        return (
-            <>
-                <TopBar
-                    title={t('history.title')}
-                    titleTamil="விலைப்பட்டியல் வரலாறு"
-                    showBack
-                />
-                <div className="page">
-                    <div className="history-search-row">
-                        <Skeleton width="100%" height="48px" />
-                    </div>
-                    <div className="history-chips">
-                        {[1, 2, 3].map((i) => (
-                            <Skeleton key={i} width="70px" height="34px" />
-                        ))}
-                    </div>
-                    <div className="history-list">
-                        {[1, 2, 3, 4, 5].map((i) => (
-                            <Card key={i}>
-                                <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-                                    <div style={{ flex: 1 }}>
-                                        <Skeleton variant="text" width="55%" />
-                                        <Skeleton variant="text" width="35%" />
-                                    </div>
-                                    <Skeleton width="52px" height="22px" />
-                                </div>
-                                <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 'var(--space-3)' }}>
-                                    <Skeleton width="80px" height="22px" />
-                                    <Skeleton width="90px" height="14px" />
-                                </div>
-                            </Card>
-                        ))}
-                    </div>
-                </div>
-            </>
-        );
-    }
-
-    // ── Error state ──
-    if (error) {
-        return (
-            <>
-                <TopBar title={t('history.title')} titleTamil="விலைப்பட்டியல் வரலாறு" showBack />
-                <div className="page">
-                    <EmptyState
-                        icon="⚠️"
-                        title={t('history.couldNotLoad')}
-                        subtitle={error}
-                        action={{
-                            label: t('actions.retry'),
-                            onClick: () => window.location.reload(),
-                        }}
-                    />
-                </div>
-            </>
-        );
-    }
-
-    // ── Derived filtered list (after early returns so only runs with data) ──
-    const filtered = getFilteredInvoices();
+        SORT_OPTIONS.find((o) => o.value === filters.sort)?.label || 'Newest';
+    const filtered = hasHistoryFilters(filters);
 
     return (
         <>
@@ -215,6 +230,7 @@ const InvoiceHistory = () => {
                 {/* ── Search ── */}
                 <div className="history-search-row">
                     <SearchBar
+                        value={searchInput}
                         placeholder={t('history.search')}
                         onChange={handleSearchChange}
                         onClear={handleSearchClear}
@@ -229,7 +245,7 @@ const InvoiceHistory = () => {
                             key={chip.value}
                             label={chip.label}
                             active={filters.type === chip.value}
-                            onClick={() => setFilters({ type: chip.value })}
+                            onClick={() => updateFilters({ type: chip.value })}
                         />
                     ))}
                 </div>
@@ -242,7 +258,7 @@ const InvoiceHistory = () => {
                                 key={chip.value}
                                 label={chip.label}
                                 active={filters.status === chip.value}
-                                onClick={() => setFilters({ status: chip.value })}
+                                onClick={() => updateFilters({ status: chip.value })}
                             />
                         ))}
                     </div>
@@ -277,13 +293,13 @@ const InvoiceHistory = () => {
                                         <button
                                             key={opt.value}
                                             type="button"
-                                            className={`history-sort__option ${filters.sortBy === opt.value ? 'history-sort__option--active' : ''}`}
+                                            className={`history-sort__option ${filters.sort === opt.value ? 'history-sort__option--active' : ''}`}
                                             onClick={() => {
-                                                setFilters({ sortBy: opt.value });
+                                                updateFilters({ sort: opt.value });
                                                 setShowSort(false);
                                             }}
                                         >
-                                            {filters.sortBy === opt.value && (
+                                            {filters.sort === opt.value && (
                                                 <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round">
                                                     <polyline points="20 6 9 17 4 12" />
                                                 </svg>
@@ -297,50 +313,65 @@ const InvoiceHistory = () => {
                     </div>
                 </div>
 
-                {/* ── Results count ── */}
-                {!loading && invoices.length > 0 && (
-                    <p className="history-count">
-                        {filtered.length === invoices.length
-                            ? `${invoices.length} ${invoices.length === 1 ? 'invoice' : 'invoices'}`
-                            : `${filtered.length} of ${invoices.length}`}
-                    </p>
-                )}
-
-                {/* ── Invoice List ── */}
-                {filtered.length === 0 ? (
+                {loading ? (
+                    /* ── Skeleton loader ── */
+                    <div className="history-list history-list--loading">
+                        {[1, 2, 3, 4, 5].map((i) => (
+                            <Card key={i} animate={false}>
+                                <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                                    <div style={{ flex: 1 }}>
+                                        <Skeleton variant="text" width="55%" />
+                                        <Skeleton variant="text" width="35%" />
+                                    </div>
+                                    <Skeleton width="52px" height="22px" />
+                                </div>
+                                <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 'var(--space-3)' }}>
+                                    <Skeleton width="80px" height="22px" />
+                                    <Skeleton width="90px" height="14px" />
+                                </div>
+                            </Card>
+                        ))}
+                    </div>
+                ) : error ? (
+                    /* ── Error state ── */
                     <EmptyState
-                        icon={invoices.length === 0 ? '📋' : '🔍'}
-                        title={
-                            invoices.length === 0
-                                ? t('history.noInvoices')
-                                : t('history.noResults')
-                        }
-                        subtitle={
-                            invoices.length === 0
-                                ? t('history.noInvoicesSubtext')
-                                : t('history.noResultsSubtext')
-                        }
+                        icon="⚠️"
+                        title={t('history.couldNotLoad')}
+                        subtitle={error}
+                        action={{
+                            label: t('actions.retry'),
+                            onClick: () => window.location.reload(),
+                        }}
+                    />
+                ) : invoices.length === 0 ? (
+                    <EmptyState
+                        icon={filtered ? '🔍' : '📋'}
+                        title={filtered ? t('history.noResults') : t('history.noInvoices')}
+                        subtitle={filtered ? t('history.noResultsSubtext') : t('history.noInvoicesSubtext')}
                         action={
-                            invoices.length === 0
-                                ? { label: t('dashboard.createInvoice'), onClick: () => navigate('/invoice/new') }
-                                : { label: t('actions.retry'), onClick: () => { resetFilters(); handleSearchClear(); } }
+                            filtered
+                                ? { label: t('history.clearFilters'), onClick: clearFilters }
+                                : { label: t('dashboard.createInvoice'), onClick: () => navigate('/invoice/new') }
                         }
                     />
                 ) : (
-                    <div className="history-list">
-                        <AnimatePresence mode="popLayout">
-                            {filtered.map((invoice, index) => (
-                                <motion.div
+                    <>
+                        {/* ── Results count ── */}
+                        <p className="history-count">
+                            {t('history.count', { count: pagination.total })}
+                        </p>
+
+                        {/* ── Invoice List (only the rows on screen are rendered) ── */}
+                        <div className="history-list" ref={listRef} style={style}>
+                            {invoices.slice(start, end).map((invoice, index) => (
+                                <div
                                     key={invoice.id}
-                                    variants={cardVariants}
-                                    initial="hidden"
-                                    animate="visible"
-                                    exit="exit"
-                                    custom={index}
-                                    layout
+                                    className="history-row"
+                                    ref={index === 0 ? measureRef : undefined}
                                 >
                                     <Card
                                         hoverable
+                                        animate={false}
                                         onClick={() => navigate(`/invoice/${invoice.id}`)}
                                     >
                                         {/* ── Top row ── */}
@@ -353,9 +384,14 @@ const InvoiceHistory = () => {
                                                     <span className="history-card__number">
                                                         {invoice.invoice_number}
                                                     </span>
-                                                    {invoice.document_type === 'estimate' && (
+                                                    {invoice.document_type !== 'invoice' && (
                                                         <span className="history-card__type">
-                                                            · {t('invoice.estimate')}
+                                                            · {t(DOCUMENT_TYPE_KEYS[invoice.document_type])}
+                                                        </span>
+                                                    )}
+                                                    {invoice.project && (
+                                                        <span className="history-card__project">
+                                                            {invoice.project.name}
                                                         </span>
                                                     )}
                                                 </p>
@@ -366,17 +402,23 @@ const InvoiceHistory = () => {
                                         {/* ── Bottom row ── */}
                                         <div className="history-card__bottom">
                                             <span className="history-card__amount">
-                                                {formatCurrency(invoice.total_amount, false)}
+                                                {formatCurrency(getSignedTotal(invoice), false)}
                                             </span>
                                             <span className="history-card__date">
                                                 {formatRelativeDate(invoice.created_at)}
                                             </span>
                                         </div>
                                     </Card>
-                                </motion.div>
+                                </div>
                             ))}
-                        </AnimatePresence>
-                    </div>
+                        </div>
+
+                        {/* ── Next page trigger ── */}
+                        <div className="history-footer" ref={sentinelRef}>
+                            {loadingMore && t('history.loadingMore')}
+                            {!pagination.hasMore && invoices.length > 10 && t('history.end')}
+                        </div>
+                    </>
                 )}
             </div>
         </>
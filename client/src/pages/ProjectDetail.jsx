@@ -0,0 +1,349 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import TopBar from '../components/ui/TopBar';
+import Card from '../components/ui/Card';
+import Button from '../components/ui/Button';
+import Badge from '../components/ui/Badge';
+import Skeleton from '../components/ui/Skeleton';
+import EmptyState from '../components/ui/EmptyState';
+import ConfirmDialog from '../components/ui/ConfirmDialog';
+import ProjectForm from '../components/project/ProjectForm';
+import ExpenseForm from '../components/expense/ExpenseForm';
+import { projectApi } from '../services/api';
+import { formatCurrency, formatSignedCurrency } from '../utils/formatCurrency';
+import { formatDate } from '../utils/formatDate';
+import { CATEGORY_ICONS } from '../utils/expenses';
+import { STAGE_BADGES, getProjectProgress } from '../utils/projects';
+import { DOCUMENT_TYPE_KEYS, getSignedTotal } from '../utils/creditNotes';
+import './Projects.css';
+
+// ── Status config ──
+const STATUS_BADGE_MAP = {
+    paid: { variant: 'success', key: 'status.paid' },
+    partially_paid: { variant: 'warning', key: 'status.partiallyPaid' },
+    credited: { variant: 'info', key: 'status.credited' },
+    sent: { variant: 'info', key: 'status.sent' },
+    accepted: { variant: 'success', key: 'status.accepted' },
+    rejected: { variant: 'error', key: 'status.rejected' },
+    draft: { variant: 'default', key: 'status.draft' },
+    overdue: { variant: 'error', key: 'status.overdue' },
+    cancelled: { variant: 'error', key: 'status.cancelled' },
+};
+
+/**
+ * One project: what was agreed, billed, received and is still owed, and
+ * every estimate, invoice, payment and expense that belongs to it.
+ */
+const ProjectDetail = () => {
+    const { id } = useParams();
+    const navigate = useNavigate();
+    const { t } = useTranslation();
+
+    const [project, setProject] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [version, setVersion] = useState(0); // bumped to fetch again
+    const [showEdit, setShowEdit] = useState(false);
+    const [editingExpense, setEditingExpense] = useState(null); // null = closed, {} = new expense
+    const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+    const [actionLoading, setActionLoading] = useState(false);
+
+    // ── Fetch project with documents ──
+    useEffect(() => {
+        const fetchProject = async () => {
+            try {
+                setError(null);
+                const response = await projectApi.getById(id);
+                setProject(response.data.data);
+            } catch (err) {
+                console.error('Fetch project error:', err);
+                setError(err.response?.data?.error || t('errors.serverError'));
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchProject();
+    }, [id, version, t]);
+
+    const refresh = () => setVersion((v) => v + 1);
+
+    const handleDelete = async () => {
+        try {
+            setActionLoading(true);
+            await projectApi.delete(id);
+            toast.success(t('projects.deleted'));
+            navigate('/projects', { replace: true });
+        } catch (err) {
+            console.error('Delete project error:', err);
+            toast.error(t('errors.serverError'));
+        } finally {
+            setActionLoading(false);
+            setShowDeleteConfirm(false);
+        }
+    };
+
+    // ── Loading state ──
+    if (loading) {
+        return (
+            <>
+                <TopBar title={t('projects.title')} titleTamil="திட்டங்கள்" showBack />
+                <div className="page">
+                    <Skeleton width="60%" height="28px" />
+                    <Skeleton width="100%" height="120px" />
+                    <Skeleton width="100%" height="200px" />
+                </div>
+            </>
+        );
+    }
+
+    // ── Error state ──
+    if (error || !project) {
+        return (
+            <>
+                <TopBar title={t('projects.title')} titleTamil="திட்டங்கள்" showBack />
+                <div className="page">
+                    <EmptyState
+                        icon="🏗️"
+                        title={t('projects.notFound')}
+                        subtitle={error}
+                        action={{ label: t('invoice.goBack'), onClick: () => navigate('/projects') }}
+                    />
+                </div>
+            </>
+        );
+    }
+
+    const { summary, documents = [], payments = [], expenses = [] } = project;
+    const progress = getProjectProgress(summary);
+    const dates = [project.start_date, project.end_date].filter(Boolean).map((d) => formatDate(d));
+
+    return (
+        <>
+            <TopBar title={project.name} titleTamil={project.name} showBack />
+
+            <div className="page">
+                {/* ── Project details ── */}
+                <div className="project-detail__header">
+                    <div className="project-detail__title-row">
+                        <h2 className="project-detail__name">{project.name}</h2>
+                        <Badge variant={STAGE_BADGES[project.stage]}>{t(`projects.stages.${project.stage}`)}</Badge>
+                    </div>
+                    {project.customer && (
+                        <p className="project-detail__sub">
+                            <Link to={`/customers/${project.customer.id}`} className="project-detail__link">
+                                {project.customer.name}
+                            </Link>
+                            {' · '}
+                            {project.customer.phone}
+                        </p>
+                    )}
+                    {project.site_address && <p className="project-detail__sub">📍 {project.site_address}</p>}
+                    {dates.length > 0 && <p className="project-detail__sub">📅 {dates.join(' – ')}</p>}
+                    {project.notes && <p className="project-detail__notes">{project.notes}</p>}
+                </div>
+
+                {/* ── Money summary ── */}
+                <Card animate={false} className="project-summary">
+                    <div className="project-summary__row project-summary__row--contract">
+                        <span>
+                            {t('projects.contractValue')}
+                            {summary.contract_value !== null && !summary.contract_agreed && (
+                                <span className="project-summary__hint"> · {t('projects.quoted')}</span>
+                            )}
+                        </span>
+                        <span>
+                            {summary.contract_value !== null
+                                ? formatCurrency(summary.contract_value, false)
+                                : t('projects.noEstimate')}
+                        </span>
+                    </div>
+                    {progress && (
+                        <div
+                            className="project-progress project-progress--large"
+                            role="img"
+                            aria-label={t('projects.progressLabel', progress)}
+                        >
+                            <div className="project-progress__billed" style={{ width: `${progress.billed}%` }} />
+                            <div className="project-progress__received" style={{ width: `${progress.received}%` }} />
+                        </div>
+                    )}
+                    <div className="project-summary__row">
+                        <span><span className="project-summary__dot project-summary__dot--billed" />{t('projects.billed')}</span>
+                        <span>{formatCurrency(summary.billed, false)}</span>
+                    </div>
+                    <div className="project-summary__row">
+                        <span><span className="project-summary__dot project-summary__dot--received" />{t('projects.received')}</span>
+                        <span>{formatCurrency(summary.received, false)}</span>
+                    </div>
+                    <div className="project-summary__row project-summary__row--due">
+                        <span>{t('projects.outstanding')}</span>
+                        <span>{formatCurrency(summary.outstanding, false)}</span>
+                    </div>
+                    {summary.to_bill > 0 && (
+                        <div className="project-summary__row">
+                            <span>{t('projects.toBill')}</span>
+                            <span>{formatCurrency(summary.to_bill, false)}</span>
+                        </div>
+                    )}
+                    <div className="project-summary__divider" />
+                    <div className="project-summary__row">
+                        <span>{t('expenses.spent')}</span>
+                        <span>{formatCurrency(summary.expenses, false)}</span>
+                    </div>
+                    <div
+                        className={`project-summary__row project-summary__row--profit ${summary.profit < 0 ? 'project-summary__row--loss' : ''}`}
+                    >
+                        <span>{summary.profit < 0 ? t('expenses.loss') : t('expenses.profit')}</span>
+                        <span>{formatSignedCurrency(summary.profit)}</span>
+                    </div>
+                </Card>
+
+                {/* ── Actions ── */}
+                <div className="project-detail__actions">
+                    <Button
+                        variant="primary"
+                        size="sm"
+                        onClick={() => navigate(`/invoice/new?type=estimate&project=${id}`)}
+                    >
+                        {t('projects.newEstimate')}
+                    </Button>
+                    <Button
+                        variant="primary"
+                        size="sm"
+                        onClick={() => navigate(`/invoice/new?project=${id}`)}
+                    >
+                        {t('projects.newInvoice')}
+                    </Button>
+                    <Button variant="secondary" size="sm" onClick={() => setEditingExpense({})}>
+                        {t('projects.addExpense')}
+                    </Button>
+                    <Button variant="secondary" size="sm" onClick={() => setShowEdit(true)}>
+                        {t('actions.edit')}
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => setShowDeleteConfirm(true)}>
+                        {t('actions.delete')}
+                    </Button>
+                </div>
+
+                {/* ── Documents ── */}
+                <h3 className="project-detail__section-title">{t('projects.documents')}</h3>
+                {documents.length === 0 ? (
+                    <p className="project-detail__empty">{t('projects.noDocuments')}</p>
+                ) : (
+                    <div className="projects-list projects-list--section">
+                        {documents.map((doc) => {
+                            const badge = STATUS_BADGE_MAP[doc.status] || STATUS_BADGE_MAP.draft;
+                            return (
+                                <Card key={doc.id} hoverable onClick={() => navigate(`/invoice/${doc.id}`)}>
+                                    <div className="project-detail__row">
+                                        <div>
+                                            <p className="project-detail__row-title">{doc.invoice_number}</p>
+                                            <p className="project-detail__row-meta">
+                                                {t(DOCUMENT_TYPE_KEYS[doc.document_type] || DOCUMENT_TYPE_KEYS.invoice)}
+                                                {' · '}
+                                                {formatDate(doc.invoice_date || doc.created_at)}
+                                            </p>
+                                        </div>
+                                        <div className="project-detail__row-end">
+                                            <p className="project-detail__row-amount">
+                                                {formatCurrency(getSignedTotal(doc), false)}
+                                            </p>
+                                            <Badge variant={badge.variant} size="sm">{t(badge.key)}</Badge>
+                                        </div>
+                                    </div>
+                                </Card>
+                            );
+                        })}
+                    </div>
+                )}
+
+                {/* ── Payments ── */}
+                {payments.length > 0 && (
+                    <>
+                        <h3 className="project-detail__section-title">{t('projects.payments')}</h3>
+                        <Card animate={false} className="projects-list--section">
+                            <ul className="project-detail__ledger">
+                                {payments.map((payment) => (
+                                    <li key={payment.id}>
+                                        <span>
+                                            {formatDate(payment.payment_date)}
+                                            <span className="project-detail__row-meta">
+                                                {' · '}{t(`payments.modes.${payment.mode}`)} · {payment.invoice_number}
+                                            </span>
+                                        </span>
+                                        <span className="project-detail__ledger-amount">
+                                            {formatCurrency(payment.amount, false)}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </Card>
+                    </>
+                )}
+
+                {/* ── Expenses ── */}
+                {expenses.length > 0 && (
+                    <>
+                        <h3 className="project-detail__section-title">{t('expenses.title')}</h3>
+                        <Card animate={false} className="projects-list--section">
+                            <ul className="project-detail__ledger">
+                                {expenses.map((expense) => (
+                                    <li key={expense.id}>
+                                        <button
+                                            type="button"
+                                            className="project-detail__ledger-button"
+                                            onClick={() => setEditingExpense(expense)}
+                                        >
+                                            <span>
+                                                {CATEGORY_ICONS[expense.category]}{' '}
+                                                {expense.description || t(`expenses.categories.${expense.category}`)}
+                                                <span className="project-detail__row-meta">
+                                                    {' · '}{formatDate(expense.expense_date)}
+                                                </span>
+                                            </span>
+                                            <span className="project-detail__ledger-amount">
+                                                -{formatCurrency(expense.amount, false)}
+                                            </span>
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        </Card>
+                    </>
+                )}
+            </div>
+
+            <ProjectForm
+                isOpen={showEdit}
+                onClose={() => setShowEdit(false)}
+                project={project}
+                onSaved={(saved) => setProject((prev) => ({ ...prev, ...saved }))}
+            />
+
+            <ExpenseForm
+                isOpen={!!editingExpense}
+                onClose={() => setEditingExpense(null)}
+                expense={editingExpense?.id ? editingExpense : null}
+                projectId={id}
+                onSaved={refresh}
+            />
+
+            {/* ── Delete Confirmation ── */}
+            <ConfirmDialog
+                isOpen={showDeleteConfirm}
+                onClose={() => setShowDeleteConfirm(false)}
+                onConfirm={handleDelete}
+                title={t('projects.deleteTitle')}
+                message={t('projects.deleteMessage')}
+                confirmLabel={t('actions.delete')}
+                cancelLabel={t('actions.cancel')}
+                destructive
+                loading={actionLoading}
+            />
+        </>
+    );
+};
+
+export default ProjectDetail;
@@ -0,0 +1,186 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import TopBar from '../components/ui/TopBar';
+import Card from '../components/ui/Card';
+import Badge from '../components/ui/Badge';
+import Button from '../components/ui/Button';
+import Skeleton from '../components/ui/Skeleton';
+import SearchBar from '../components/ui/SearchBar';
+import FilterChip from '../components/ui/FilterChip';
+import EmptyState from '../components/ui/EmptyState';
+import ProjectForm from '../components/project/ProjectForm';
+import { projectApi } from '../services/api';
+import { formatCurrency } from '../utils/formatCurrency';
+import { PROJECT_STAGES, STAGE_BADGES, getProjectProgress } from '../utils/projects';
+import './Projects.css';
+
+/**
+ * Projects: each job at a site with its stage, how much of it has been
+ * billed and received, and what is still owed.
+ */
+const Projects = () => {
+    const { t } = useTranslation();
+    const navigate = useNavigate();
+
+    const [projects, setProjects] = useState([]);
+    const [search, setSearch] = useState('');
+    const [stage, setStage] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [showForm, setShowForm] = useState(false);
+    const searchTimer = useRef(null);
+
+    // ── Fetch projects (re-runs when the debounced search or stage changes) ──
+    useEffect(() => {
+        const controller = new AbortController();
+
+        const fetchProjects = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const response = await projectApi.getAll(
+                    { search: search || undefined, stage: stage || undefined },
+                    { signal: controller.signal }
+                );
+                setProjects(response.data.data || []);
+            } catch (err) {
+                if (err.name === 'CanceledError' || err.name === 'AbortError') return;
+                console.error('Projects fetch error:', err);
+                setError(t('errors.serverError'));
+            } finally {
+                if (!controller.signal.aborted) setLoading(false);
+            }
+        };
+
+        fetchProjects();
+        return () => controller.abort();
+    }, [search, stage, t]);
+
+    // ── Debounced search ──
+    const handleSearchChange = (e) => {
+        const val = e.target.value;
+        clearTimeout(searchTimer.current);
+        searchTimer.current = setTimeout(() => setSearch(val), 300);
+    };
+
+    return (
+        <>
+            <TopBar
+                title={t('projects.title')}
+                titleTamil="திட்டங்கள்"
+                showBack
+                actions={
+                    <Button size="sm" variant="primary" onClick={() => setShowForm(true)} id="btn-project-add">
+                        {t('projects.add')}
+                    </Button>
+                }
+            />
+
+            <div className="page">
+                <div className="projects-search-row">
+                    <SearchBar
+                        placeholder={t('projects.searchPlaceholder')}
+                        onChange={handleSearchChange}
+                        onClear={() => setSearch('')}
+                        id="projects-search"
+                    />
+                </div>
+
+                <div className="projects-chips" role="group" aria-label={t('projects.stage')}>
+                    <FilterChip label={t('history.all')} active={!stage} onClick={() => setStage('')} />
+                    {PROJECT_STAGES.map((s) => (
+                        <FilterChip
+                            key={s}
+                            label={t(`projects.stages.${s}`)}
+                            active={stage === s}
+                            onClick={() => setStage(s)}
+                        />
+                    ))}
+                </div>
+
+                {loading ? (
+                    <div className="projects-list">
+                        {[1, 2, 3].map((i) => (
+                            <Card key={i}>
+                                <Skeleton variant="text" width="55%" />
+                                <Skeleton variant="text" width="35%" />
+                            </Card>
+                        ))}
+                    </div>
+                ) : error ? (
+                    <EmptyState
+                        icon="⚠️"
+                        title={error}
+                        action={{ label: t('actions.retry'), onClick: () => window.location.reload() }}
+                    />
+                ) : projects.length === 0 ? (
+                    <EmptyState
+                        icon={search || stage ? '🔍' : '🏗️'}
+                        title={search || stage ? t('history.noResults') : t('projects.empty')}
+                        subtitle={search || stage ? t('history.noResultsSubtext') : t('projects.emptySubtext')}
+                        action={search || stage ? undefined : { label: t('projects.new'), onClick: () => setShowForm(true) }}
+                    />
+                ) : (
+                    <div className="projects-list">
+                        {projects.map((project) => {
+                            const { summary } = project;
+                            const progress = getProjectProgress(summary);
+                            return (
+                                <Card
+                                    key={project.id}
+                                    hoverable
+                                    onClick={() => navigate(`/projects/${project.id}`)}
+                                >
+                                    <div className="project-card__top">
+                                        <div className="project-card__info">
+                                            <p className="project-card__name">{project.name}</p>
+                                            <p className="project-card__meta">
+                                                {[project.customer_name, project.site_address].filter(Boolean).join(' · ')
+                                                    || t('projects.documentCount', { count: project.document_count })}
+                                            </p>
+                                        </div>
+                                        <Badge variant={STAGE_BADGES[project.stage]} size="sm">
+                                            {t(`projects.stages.${project.stage}`)}
+                                        </Badge>
+                                    </div>
+                                    {progress && (
+                                        <div
+                                            className="project-progress"
+                                            role="img"
+                                            aria-label={t('projects.progressLabel', progress)}
+                                        >
+                                            <div className="project-progress__billed" style={{ width: `${progress.billed}%` }} />
+                                            <div className="project-progress__received" style={{ width: `${progress.received}%` }} />
+                                        </div>
+                                    )}
+                                    <div className="project-card__bottom">
+                                        <span className="project-card__value">
+                                            {summary.contract_value !== null
+                                                ? t('projects.contractOf', { amount: formatCurrency(summary.contract_value, false) })
+                                                : t('projects.billedOf', { amount: formatCurrency(summary.billed, false) })}
+                                        </span>
+                                        {summary.outstanding > 0 && (
+                                            <span className="project-card__due">
+                                                {t('projects.dueOf', { amount: formatCurrency(summary.outstanding, false) })}
+                                            </span>
+                                        )}
+                                    </div>
+                                </Card>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+
+            <ProjectForm
+                isOpen={showForm}
+                onClose={() => setShowForm(false)}
+                project={null}
+                onSaved={(created) => navigate(`/projects/${created.id}`)}
+            />
+        </>
+    );
+};
+
+export default Projects;
@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import TopBar from '../components/ui/TopBar';
+import Card from '../components/ui/Card';
+import Badge from '../components/ui/Badge';
+import Skeleton from '../components/ui/Skeleton';
+import EmptyState from '../components/ui/EmptyState';
+import { recurringApi } from '../services/api';
+import { formatCurrency } from '../utils/formatCurrency';
+import { formatDate } from '../utils/formatDate';
+import { RECURRING_STATE_BADGES, getRecurringState } from '../utils/recurring';
+import './Recurring.css';
+
+/**
+ * Recurring invoices: each maintenance contract or other repeating bill,
+ * how often it runs, when the next invoice will be made, and how many
+ * it has made so far. Profiles are set up from an invoice's page.
+ */
+const Recurring = () => {
+    const { t } = useTranslation();
+    const navigate = useNavigate();
+
+    const [profiles, setProfiles] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+
+        const fetchProfiles = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const response = await recurringApi.getAll({}, { signal: controller.signal });
+                setProfiles(response.data.data || []);
+            } catch (err) {
+                if (err.name === 'CanceledError' || err.name === 'AbortError') return;
+                console.error('Recurring fetch error:', err);
+                setError(t('errors.serverError'));
+            } finally {
+                if (!controller.signal.aborted) setLoading(false);
+            }
+        };
+
+        fetchProfiles();
+        return () => controller.abort();
+    }, [t]);
+
+    return (
+        <>
+            <TopBar title={t('recurring.title')} titleTamil="தொடர் விலைப்பட்டியல்கள்" showBack />
+
+            <div className="page">
+                {loading ? (
+                    <div className="recurring-list">
+                        {[1, 2, 3].map((i) => (
+                            <Card key={i}>
+                                <Skeleton variant="text" width="55%" />
+                                <Skeleton variant="text" width="35%" />
+                            </Card>
+                        ))}
+                    </div>
+                ) : error ? (
+                    <EmptyState
+                        icon="⚠️"
+                        title={error}
+                        action={{ label: t('actions.retry'), onClick: () => window.location.reload() }}
+                    />
+                ) : profiles.length === 0 ? (
+                    <EmptyState
+                        icon="🔁"
+                        title={t('recurring.empty')}
+                        subtitle={t('recurring.emptySubtext')}
+                    />
+                ) : (
+                    <div className="recurring-list">
+                        {profiles.map((profile) => {
+                            const state = getRecurringState(profile);
+                            return (
+                                <Card key={profile.id} hoverable onClick={() => navigate(`/recurring/${profile.id}`)}>
+                                    <div className="recurring-card__top">
+                                        <div className="recurring-card__info">
+                                            <p className="recurring-card__name">{profile.name}</p>
+                                            <p className="recurring-card__meta">
+                                                {[
+                                                    t(`recurring.frequencies.${profile.frequency}`),
+                                                    profile.source_invoice?.invoice_number,
+                                                    t('recurring.invoiceCount', { count: profile.invoice_count }),
+                                                ].filter(Boolean).join(' · ')}
+                                            </p>
+                                        </div>
+                                        <Badge variant={RECURRING_STATE_BADGES[state]} size="sm">
+                                            {t(`recurring.states.${state}`)}
+                                        </Badge>
+                                    </div>
+                                    <div className="recurring-card__bottom">
+                                        <span>
+                                            {state === 'active'
+                                                ? t('recurring.nextOn', { date: formatDate(profile.next_run_date) })
+                                                : t(`recurring.states.${state}`)}
+                                            {profile.auto_send && ` · ${t('recurring.autoSendShort')}`}
+                                        </span>
+                                        {profile.source_invoice && (
+                                            <span className="recurring-card__amount">
+                                                {formatCurrency(profile.source_invoice.total_amount, false)}
+                                            </span>
+                                        )}
+                                    </div>
+                                    {profile.last_error && (
+                                        <p className="recurring-card__error">⚠️ {profile.last_error}</p>
+                                    )}
+                                </Card>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+        </>
+    );
+};
+
+export default Recurring;
@@ -0,0 +1,263 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import TopBar from '../components/ui/TopBar';
+import Card from '../components/ui/Card';
+import Button from '../components/ui/Button';
+import Badge from '../components/ui/Badge';
+import Skeleton from '../components/ui/Skeleton';
+import EmptyState from '../components/ui/EmptyState';
+import ConfirmDialog from '../components/ui/ConfirmDialog';
+import RecurringForm from '../components/recurring/RecurringForm';
+import { recurringApi } from '../services/api';
+import { formatCurrency } from '../utils/formatCurrency';
+import { formatDate } from '../utils/formatDate';
+import { RECURRING_STATE_BADGES, getRecurringState } from '../utils/recurring';
+import './Recurring.css';
+
+// ── Status config ──
+const STATUS_BADGE_MAP = {
+    paid: { variant: 'success', key: 'status.paid' },
+    partially_paid: { variant: 'warning', key: 'status.partiallyPaid' },
+    credited: { variant: 'info', key: 'status.credited' },
+    sent: { variant: 'info', key: 'status.sent' },
+    draft: { variant: 'default', key: 'status.draft' },
+    overdue: { variant: 'error', key: 'status.overdue' },
+    cancelled: { variant: 'error', key: 'status.cancelled' },
+};
+
+/**
+ * One recurring invoice: its schedule, the invoices it will make next,
+ * and every invoice it has made. It can be paused, resumed, edited or
+ * deleted (the invoices it made are kept).
+ */
+const RecurringDetail = () => {
+    const { id } = useParams();
+    const navigate = useNavigate();
+    const { t } = useTranslation();
+
+    const [profile, setProfile] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [showEdit, setShowEdit] = useState(false);
+    const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+    const [actionLoading, setActionLoading] = useState(false);
+
+    useEffect(() => {
+        const fetchProfile = async () => {
+            try {
+                setError(null);
+                const response = await recurringApi.getById(id);
+                setProfile(response.data.data);
+            } catch (err) {
+                console.error('Fetch recurring profile error:', err);
+                setError(err.response?.data?.error || t('errors.serverError'));
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchProfile();
+    }, [id, t]);
+
+    // Saving returns the profile without its invoices, which do not change
+    const handleSaved = (saved) => setProfile((prev) => ({ ...prev, ...saved }));
+
+    const handleToggleActive = async () => {
+        try {
+            setActionLoading(true);
+            const response = await recurringApi.update(id, { active: !profile.active });
+            handleSaved(response.data.data);
+            toast.success(profile.active ? t('recurring.paused') : t('recurring.resumed'));
+        } catch (err) {
+            console.error('Pause recurring profile error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setActionLoading(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        try {
+            setActionLoading(true);
+            await recurringApi.delete(id);
+            toast.success(t('recurring.deleted'));
+            navigate('/recurring', { replace: true });
+        } catch (err) {
+            console.error('Delete recurring profile error:', err);
+            toast.error(t('errors.serverError'));
+        } finally {
+            setActionLoading(false);
+            setShowDeleteConfirm(false);
+        }
+    };
+
+    // ── Loading state ──
+    if (loading) {
+        return (
+            <>
+                <TopBar title={t('recurring.title')} titleTamil="தொடர் விலைப்பட்டியல்கள்" showBack />
+                <div className="page">
+                    <Skeleton width="60%" height="28px" />
+                    <Skeleton width="100%" height="120px" />
+                    <Skeleton width="100%" height="200px" />
+                </div>
+            </>
+        );
+    }
+
+    // ── Error state ──
+    if (error || !profile) {
+        return (
+            <>
+                <TopBar title={t('recurring.title')} titleTamil="தொடர் விலைப்பட்டியல்கள்" showBack />
+                <div className="page">
+                    <EmptyState
+                        icon="🔁"
+                        title={t('recurring.notFound')}
+                        subtitle={error}
+                        action={{ label: t('invoice.goBack'), onClick: () => navigate('/recurring') }}
+                    />
+                </div>
+            </>
+        );
+    }
+
+    const state = getRecurringState(profile);
+    const source = profile.source_invoice;
+    const { upcoming_runs: upcoming = [], invoices = [] } = profile;
+
+    return (
+        <>
+            <TopBar title={profile.name} titleTamil={profile.name} showBack />
+
+            <div className="page">
+                {/* ── Schedule ── */}
+                <div className="recurring-detail__header">
+                    <div className="recurring-detail__title-row">
+                        <h2 className="recurring-detail__name">{profile.name}</h2>
+                        <Badge variant={RECURRING_STATE_BADGES[state]}>{t(`recurring.states.${state}`)}</Badge>
+                    </div>
+                    {source && (
+                        <p className="recurring-detail__sub">
+                            {t('recurring.repeats')}{' '}
+                            <Link to={`/invoice/${source.id}`} className="recurring-detail__link">
+                                {source.invoice_number}
+                            </Link>
+                            {' · '}
+                            {formatCurrency(source.total_amount, false)}
+                        </p>
+                    )}
+                    <p className="recurring-detail__sub">
+                        🔁 {t('recurring.schedule', {
+                            frequency: t(`recurring.frequencies.${profile.frequency}`),
+                            day: profile.day_of_month,
+                        })}
+                    </p>
+                    <p className="recurring-detail__sub">
+                        📅 {profile.end_date
+                            ? `${formatDate(profile.start_date)} – ${formatDate(profile.end_date)}`
+                            : t('recurring.from', { date: formatDate(profile.start_date) })}
+                    </p>
+                    <p className="recurring-detail__sub">
+                        {profile.auto_send ? t('recurring.autoSendOn') : t('recurring.autoSendOff')}
+                        {profile.due_days != null && ` · ${t('recurring.dueIn', { count: profile.due_days })}`}
+                    </p>
+                </div>
+
+                {(!source || source.deleted_at) && (
+                    <p className="recurring-detail__warning">⚠️ {t('recurring.sourceTrashed')}</p>
+                )}
+                {profile.last_error && (
+                    <p className="recurring-detail__warning">⚠️ {profile.last_error}</p>
+                )}
+
+                {/* ── Actions ── */}
+                <div className="recurring-detail__actions">
+                    {state !== 'ended' && (
+                        <Button variant="primary" size="sm" loading={actionLoading} onClick={handleToggleActive}>
+                            {profile.active ? t('recurring.pause') : t('recurring.resume')}
+                        </Button>
+                    )}
+                    <Button variant="secondary" size="sm" onClick={() => setShowEdit(true)}>
+                        {t('actions.edit')}
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => setShowDeleteConfirm(true)}>
+                        {t('actions.delete')}
+                    </Button>
+                </div>
+
+                {/* ── Upcoming ── */}
+                <h3 className="recurring-detail__section-title">{t('recurring.upcoming')}</h3>
+                {upcoming.length === 0 ? (
+                    <p className="recurring-detail__empty">
+                        {state === 'paused' ? t('recurring.noUpcomingPaused') : t('recurring.noUpcoming')}
+                    </p>
+                ) : (
+                    <Card animate={false} className="recurring-detail__section">
+                        <ul className="recurring-detail__runs">
+                            {upcoming.map((date) => (
+                                <li key={date}>
+                                    <span>{formatDate(date, 'EEE, dd MMM yyyy')}</span>
+                                    <span className="recurring-detail__run-meta">
+                                        {profile.auto_send ? t('recurring.willSend') : t('recurring.willDraft')}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    </Card>
+                )}
+
+                {/* ── Invoices made ── */}
+                <h3 className="recurring-detail__section-title">{t('recurring.made')}</h3>
+                {invoices.length === 0 ? (
+                    <p className="recurring-detail__empty">{t('recurring.noneMade')}</p>
+                ) : (
+                    <div className="recurring-list recurring-detail__section">
+                        {invoices.map((invoice) => {
+                            const badge = STATUS_BADGE_MAP[invoice.status] || STATUS_BADGE_MAP.draft;
+                            return (
+                                <Card key={invoice.id} hoverable onClick={() => navigate(`/invoice/${invoice.id}`)}>
+                                    <div className="recurring-card__top">
+                                        <div className="recurring-card__info">
+                                            <p className="recurring-card__name">{invoice.invoice_number}</p>
+                                            <p className="recurring-card__meta">{formatDate(invoice.invoice_date)}</p>
+                                        </div>
+                                        <div className="recurring-detail__row-end">
+                                            <p className="recurring-card__amount">
+                                                {formatCurrency(invoice.total_amount, false)}
+                                            </p>
+                                            <Badge variant={badge.variant} size="sm">{t(badge.key)}</Badge>
+                                        </div>
+                                    </div>
+                                </Card>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+
+            <RecurringForm
+                isOpen={showEdit}
+                onClose={() => setShowEdit(false)}
+                profile={profile}
+                onSaved={handleSaved}
+            />
+
+            {/* ── Delete Confirmation ── */}
+            <ConfirmDialog
+                isOpen={showDeleteConfirm}
+                onClose={() => setShowDeleteConfirm(false)}
+                onConfirm={handleDelete}
+                title={t('recurring.deleteTitle')}
+                message={t('recurring.deleteMessage')}
+                confirmLabel={t('actions.delete')}
+                cancelLabel={t('actions.cancel')}
+                destructive
+                loading={actionLoading}
+            />
+        </>
+    );
+};
+
+export default RecurringDetail;
@@ -0,0 +1,218 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import TopBar from '../components/ui/TopBar';
+import Card from '../components/ui/Card';
+import Button from '../components/ui/Button';
+import Input from '../components/ui/Input';
+import Select from '../components/ui/Select';
+import TextArea from '../components/ui/TextArea';
+import Skeleton from '../components/ui/Skeleton';
+import EmptyState from '../components/ui/EmptyState';
+import { settingsApi } from '../services/api';
+import useBusinessProfile from '../hooks/useBusinessProfile';
+import { formatCurrency } from '../utils/formatCurrency';
+import { formatDate } from '../utils/formatDate';
+import {
+    REMINDER_KINDS,
+    REMINDER_CHANNELS,
+    REMINDER_LANGUAGES,
+    PLACEHOLDERS,
+    renderTemplate,
+} from '../utils/reminders';
+import './Settings.css';
+
+/**
+ * Default payment reminder schedule and the bilingual message templates.
+ * Individual invoices can override the schedule from their detail page.
+ */
+const ReminderSettings = () => {
+    const { t } = useTranslation();
+    const { businessName } = useBusinessProfile();
+
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    const channelOptions = REMINDER_CHANNELS.map((c) => ({ value: c, label: t(`reminders.channels.${c}`) }));
+    const languageOptions = REMINDER_LANGUAGES.map((lang) => ({ value: lang, label: t(`pdfLanguage.${lang}`) }));
+
+    // Sample invoice used to preview each template
+    const sampleValues = {
+        customer_name: 'Ravi Kumar',
+        invoice_number: 'INV-0007',
+        balance: formatCurrency(12500, false),
+        due_date: formatDate(new Date().toISOString()),
+        business_name: businessName,
+    };
+
+    const {
+        register,
+        handleSubmit,
+        reset,
+        watch,
+        formState: { errors },
+    } = useForm({ mode: 'onBlur' });
+
+    useEffect(() => {
+        const fetchSettings = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const response = await settingsApi.getReminders();
+                reset(response.data.data);
+            } catch (err) {
+                console.error('Fetch reminder settings error:', err);
+                setError(err.response?.data?.error || t('errors.serverError'));
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchSettings();
+    }, [reset, t]);
+
+    const onSave = async (data) => {
+        try {
+            setSaving(true);
+            const response = await settingsApi.updateReminders({
+                days_before: Number(data.days_before),
+                on_due_date: data.on_due_date,
+                repeat_after_days: Number(data.repeat_after_days),
+                channel: data.channel,
+                language: data.language,
+                templates: data.templates,
+            });
+            reset(response.data.data);
+            toast.success(t('reminders.settingsSaved'));
+        } catch (err) {
+            console.error('Save reminder settings error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <>
+            <TopBar
+                title={t('reminders.settingsTitle')}
+                titleTamil="பணம் நினைவூட்டல்கள்"
+                showBack
+            />
+
+            <div className="page">
+                {loading ? (
+                    <div className="settings">
+                        {[1, 2].map((i) => (
+                            <Card key={i}>
+                                <Skeleton variant="text" width="40%" />
+                                <Skeleton variant="text" width="90%" height="44px" />
+                                <Skeleton variant="text" width="90%" height="44px" />
+                            </Card>
+                        ))}
+                    </div>
+                ) : error ? (
+                    <EmptyState
+                        icon="⚠️"
+                        title={t('settings.couldNotLoad')}
+                        subtitle={error}
+                        action={{
+                            label: t('actions.retry'),
+                            onClick: () => window.location.reload(),
+                        }}
+                    />
+                ) : (
+                    <form className="settings settings__form" onSubmit={handleSubmit(onSave)} noValidate>
+                        {/* ── Default Schedule ── */}
+                        <Card animate={false}>
+                            <h3 className="settings__title">{t('reminders.schedule')}</h3>
+                            <p className="settings__desc">{t('reminders.scheduleDesc')}</p>
+                            <div className="settings__fields">
+                                <div className="settings__row">
+                                    <Input
+                                        label={t('reminders.daysBeforeLabel')}
+                                        type="number"
+                                        inputMode="numeric"
+                                        id="reminders-days-before"
+                                        error={errors.days_before?.message}
+                                        {...register('days_before', {
+                                            required: t('errors.required'),
+                                            min: { value: 0, message: t('reminders.range', { max: 30 }) },
+                                            max: { value: 30, message: t('reminders.range', { max: 30 }) },
+                                        })}
+                                    />
+                                    <Input
+                                        label={t('reminders.repeatAfterLabel')}
+                                        type="number"
+                                        inputMode="numeric"
+                                        id="reminders-repeat-after"
+                                        error={errors.repeat_after_days?.message}
+                                        {...register('repeat_after_days', {
+                                            required: t('errors.required'),
+                                            min: { value: 0, message: t('reminders.range', { max: 60 }) },
+                                            max: { value: 60, message: t('reminders.range', { max: 60 }) },
+                                        })}
+                                    />
+                                </div>
+                                <label className="settings__toggle">
+                                    <input type="checkbox" {...register('on_due_date')} />
+                                    <span>{t('reminders.onDueDateLabel')}</span>
+                                </label>
+                                <div className="settings__row">
+                                    <Select
+                                        label={t('reminders.channel')}
+                                        options={channelOptions}
+                                        id="reminders-channel"
+                                        {...register('channel')}
+                                    />
+                                    <Select
+                                        label={t('reminders.language')}
+                                        options={languageOptions}
+                                        id="reminders-language"
+                                        {...register('language')}
+                                    />
+                                </div>
+                                <p className="settings__desc">{t('reminders.channelHint')}</p>
+                            </div>
+                        </Card>
+
+                        {/* ── Message Templates ── */}
+                        {REMINDER_KINDS.map((kind) => (
+                            <Card key={kind} animate={false}>
+                                <h3 className="settings__title">{t(`reminders.kinds.${kind}`)}</h3>
+                                <p className="settings__desc">
+                                    {t('reminders.placeholders')}{' '}
+                                    {PLACEHOLDERS.map((name) => `{${name}}`).join(' ')}
+                                </p>
+                                <div className="settings__fields">
+                                    {REMINDER_LANGUAGES.map((lang) => (
+                                        <div key={lang}>
+                                            <TextArea
+                                                label={t(`pdfLanguage.${lang}`)}
+                                                placeholder={t('reminders.templateBlank')}
+                                                rows={3}
+                                                maxLength={1000}
+                                                id={`reminders-template-${kind}-${lang}`}
+                                                {...register(`templates.${kind}.${lang}`)}
+                                            />
+                                            <p className="settings__preview">
+                                                {renderTemplate(watch(`templates.${kind}.${lang}`), sampleValues)}
+                                            </p>
+                                        </div>
+                                    ))}
+                                </div>
+                            </Card>
+                        ))}
+
+                        <Button type="submit" variant="primary" fullWidth loading={saving} id="btn-save-reminders">
+                            {t('reminders.saveSettings')}
+                        </Button>
+                    </form>
+                )}
+            </div>
+        </>
+    );
+};
+
+export default ReminderSettings;
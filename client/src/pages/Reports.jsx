@@ -0,0 +1,320 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import TopBar from '../components/ui/TopBar';
+import Card from '../components/ui/Card';
+import Input from '../components/ui/Input';
+import Skeleton from '../components/ui/Skeleton';
+import FilterChip from '../components/ui/FilterChip';
+import EmptyState from '../components/ui/EmptyState';
+import RevenueChart from '../components/report/RevenueChart';
+import AgeingBar from '../components/report/AgeingBar';
+import BarList from '../components/report/BarList';
+import { reportApi } from '../services/api';
+import { formatCurrency } from '../utils/formatCurrency';
+import { formatDate } from '../utils/formatDate';
+import { formatQuantity } from '../utils/units';
+import {
+    RANGE_PRESETS,
+    getToday,
+    getPresetRange,
+    getFinancialYearLabel,
+} from '../utils/reports';
+import './Reports.css';
+
+/**
+ * Reports over a date range: revenue by month, GST collected for filing,
+ * what customers owe by age, and the top customers and services.
+ */
+const Reports = () => {
+    const { t } = useTranslation();
+
+    const [preset, setPreset] = useState('thisYear');
+    const [custom, setCustom] = useState(() => getPresetRange('thisMonth'));
+    const [report, setReport] = useState(null);
+    const [outstanding, setOutstanding] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const { from, to } = preset === 'custom' ? custom : getPresetRange(preset);
+    const validRange = Boolean(from && to && from <= to);
+
+    // ── Range reports (re-run when the range changes) ──
+    useEffect(() => {
+        if (!validRange) return undefined;
+        const controller = new AbortController();
+        const config = { signal: controller.signal };
+
+        const fetchReports = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const [revenue, gst, top] = await Promise.all([
+                    reportApi.getRevenue({ from, to }, config),
+                    reportApi.getGst({ from, to }, config),
+                    reportApi.getTop({ from, to }, config),
+                ]);
+                setReport({
+                    revenue: revenue.data.data,
+                    gst: gst.data.data,
+                    top: top.data.data,
+                });
+            } catch (err) {
+                if (err.name === 'CanceledError' || err.name === 'AbortError') return;
+                console.error('Reports fetch error:', err);
+                setError(err.response?.data?.error || t('errors.serverError'));
+            } finally {
+                if (!controller.signal.aborted) setLoading(false);
+            }
+        };
+
+        fetchReports();
+        return () => controller.abort();
+    }, [from, to, validRange, t]);
+
+    // ── Outstanding is as of today, whatever the range ──
+    useEffect(() => {
+        const fetchOutstanding = async () => {
+            try {
+                const response = await reportApi.getOutstanding();
+                setOutstanding(response.data.data);
+            } catch (err) {
+                console.error('Outstanding report error:', err);
+            }
+        };
+        fetchOutstanding();
+    }, []);
+
+    const presetLabel = (p) => {
+        if (p === 'thisYear' || p === 'lastYear') {
+            return getFinancialYearLabel(getPresetRange(p).from);
+        }
+        return t(`reports.presets.${p}`);
+    };
+
+    const revenue = report?.revenue;
+    const gst = report?.gst;
+    const top = report?.top;
+
+    return (
+        <>
+            <TopBar title={t('reports.title')} titleTamil="அறிக்கைகள்" showBack />
+
+            <div className="page">
+                {/* ── Range ── */}
+                <div className="reports-chips" role="group" aria-label={t('reports.range')}>
+                    {RANGE_PRESETS.map((p) => (
+                        <FilterChip key={p} label={presetLabel(p)} active={preset === p} onClick={() => setPreset(p)} />
+                    ))}
+                </div>
+
+                {preset === 'custom' && (
+                    <div className="reports-custom">
+                        <Input
+                            label={t('reports.from')}
+                            type="date"
+                            id="report-from"
+                            value={custom.from}
+                            max={getToday()}
+                            onChange={(e) => setCustom((c) => ({ ...c, from: e.target.value }))}
+                        />
+                        <Input
+                            label={t('reports.to')}
+                            type="date"
+                            id="report-to"
+                            value={custom.to}
+                            error={validRange ? undefined : t('reports.invalidRange')}
+                            onChange={(e) => setCustom((c) => ({ ...c, to: e.target.value }))}
+                        />
+                    </div>
+                )}
+
+                <p className="reports-period">
+                    {validRange && `${formatDate(from)} – ${formatDate(to)}`}
+                </p>
+
+                {!validRange ? null : loading ? (
+                    <div className="reports-sections">
+                        {[1, 2, 3].map((i) => (
+                            <Card key={i} animate={false}>
+                                <Skeleton variant="text" width="40%" />
+                                <Skeleton variant="rectangular" height="120px" />
+                            </Card>
+                        ))}
+                    </div>
+                ) : error ? (
+                    <EmptyState
+                        icon="⚠️"
+                        title={error}
+                        action={{ label: t('actions.retry'), onClick: () => window.location.reload() }}
+                    />
+                ) : (
+                    <div className="reports-sections">
+                        {/* ── Revenue by month ── */}
+                        <Card animate={false}>
+                            <h3 className="reports-section__title">{t('reports.revenue')}</h3>
+                            <dl className="reports-totals">
+                                <div>
+                                    <dt>{t('reports.invoiced')}</dt>
+                                    <dd>{formatCurrency(revenue.totals.invoiced, false)}</dd>
+                                </div>
+                                {revenue.totals.credited > 0 && (
+                                    <div>
+                                        <dt>{t('reports.credited')}</dt>
+                                        <dd className="reports-totals__credited">
+                                            -{formatCurrency(revenue.totals.credited, false)}
+                                        </dd>
+                                    </div>
+                                )}
+                                <div>
+                                    <dt>{t('reports.collected')}</dt>
+                                    <dd className="reports-totals__collected">
+                                        {formatCurrency(revenue.totals.collected, false)}
+                                    </dd>
+                                </div>
+                                <div>
+                                    <dt>{t('reports.invoiceCount')}</dt>
+                                    <dd>{revenue.totals.count}</dd>
+                                </div>
+                            </dl>
+                            <RevenueChart months={revenue.months} />
+                        </Card>
+
+                        {/* ── GST collected ── */}
+                        <Card animate={false}>
+                            <h3 className="reports-section__title">{t('reports.gst')}</h3>
+                            {gst.rates.length === 0 ? (
+                                <p className="reports-empty">{t('reports.noGst')}</p>
+                            ) : (
+                                <div className="reports-table-wrap">
+                                    <table className="reports-table">
+                                        <thead>
+                                            <tr>
+                                                <th>{t('reports.rate')}</th>
+                                                <th>{t('reports.taxable')}</th>
+                                                <th>CGST</th>
+                                                <th>SGST</th>
+                                                <th>IGST</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {gst.rates.map((row) => (
+                                                <tr key={row.rate}>
+                                                    <td>{row.rate}%</td>
+                                                    <td>{formatCurrency(row.taxable)}</td>
+                                                    <td>{formatCurrency(row.cgst)}</td>
+                                                    <td>{formatCurrency(row.sgst)}</td>
+                                                    <td>{formatCurrency(row.igst)}</td>
+                                                </tr>
+                                            ))}
+                                            {[['b2b', gst.b2b], ['b2c', gst.b2c]].map(([key, row]) => (
+                                                <tr key={key} className="reports-table__split">
+                                                    <td>{t(`reports.${key}`)}</td>
+                                                    <td>{formatCurrency(row.taxable)}</td>
+                                                    <td>{formatCurrency(row.cgst)}</td>
+                                                    <td>{formatCurrency(row.sgst)}</td>
+                                                    <td>{formatCurrency(row.igst)}</td>
+                                                </tr>
+                                            ))}
+                                            {gst.credit_note_count > 0 && (
+                                                <tr className="reports-table__split reports-table__credit">
+                                                    <td>{t('reports.creditNotes')}</td>
+                                                    <td>-{formatCurrency(gst.credit_notes.taxable)}</td>
+                                                    <td>-{formatCurrency(gst.credit_notes.cgst)}</td>
+                                                    <td>-{formatCurrency(gst.credit_notes.sgst)}</td>
+                                                    <td>-{formatCurrency(gst.credit_notes.igst)}</td>
+                                                </tr>
+                                            )}
+                                        </tbody>
+                                        <tfoot>
+                                            <tr>
+                                                <td>{t('reports.total')}</td>
+                                                <td>{formatCurrency(gst.totals.taxable)}</td>
+                                                <td>{formatCurrency(gst.totals.cgst)}</td>
+                                                <td>{formatCurrency(gst.totals.sgst)}</td>
+                                                <td>{formatCurrency(gst.totals.igst)}</td>
+                                            </tr>
+                                        </tfoot>
+                                    </table>
+                                </div>
+                            )}
+                            <p className="reports-note">
+                                {t('reports.gstNote', { count: gst.invoice_count, tax: formatCurrency(gst.totals.tax) })}
+                                {gst.credit_note_count > 0 &&
+                                    ` ${t('reports.gstCredits', { count: gst.credit_note_count })}`}
+                            </p>
+                        </Card>
+
+                        {/* ── Top customers & services ── */}
+                        <Card animate={false}>
+                            <h3 className="reports-section__title">{t('reports.topCustomers')}</h3>
+                            {top.customers.length === 0 ? (
+                                <p className="reports-empty">{t('reports.noInvoices')}</p>
+                            ) : (
+                                <BarList
+                                    items={top.customers.map((c) => ({
+                                        key: c.customer_id || c.customer_name,
+                                        label: c.customer_name,
+                                        detail: t('reports.invoices', { count: c.invoice_count }),
+                                        value: c.billed,
+                                        to: c.customer_id ? `/customers/${c.customer_id}` : undefined,
+                                    }))}
+                                />
+                            )}
+                        </Card>
+
+                        <Card animate={false}>
+                            <h3 className="reports-section__title">{t('reports.topServices')}</h3>
+                            {top.services.length === 0 ? (
+                                <p className="reports-empty">{t('reports.noInvoices')}</p>
+                            ) : (
+                                <BarList
+                                    items={top.services.map((s) => ({
+                                        key: s.description,
+                                        label: s.description,
+                                        detail: s.quantity != null && s.unit
+                                            ? formatQuantity(s.quantity, s.unit)
+                                            : undefined,
+                                        value: s.amount,
+                                    }))}
+                                />
+                            )}
+                        </Card>
+                    </div>
+                )}
+
+                {/* ── Outstanding by customer ── */}
+                {outstanding && (
+                    <Card animate={false} className="reports-outstanding">
+                        <div className="reports-section__header">
+                            <h3 className="reports-section__title">{t('reports.outstanding')}</h3>
+                            <span className="reports-section__amount">
+                                {formatCurrency(outstanding.totals.total, false)}
+                            </span>
+                        </div>
+                        <p className="reports-note">{t('reports.asOf', { date: formatDate(outstanding.as_of) })}</p>
+                        {outstanding.customers.length === 0 ? (
+                            <p className="reports-empty">{t('reports.nothingOutstanding')}</p>
+                        ) : (
+                            <>
+                                <AgeingBar buckets={outstanding.totals.buckets} total={outstanding.totals.total} />
+                                <BarList
+                                    items={outstanding.customers.map((c) => ({
+                                        key: c.customer_id || c.customer_name,
+                                        label: c.customer_name,
+                                        detail: c.oldest_days > 0
+                                            ? t('reports.oldestDays', { count: c.oldest_days })
+                                            : t('reports.invoices', { count: c.invoice_count }),
+                                        value: c.total,
+                                        to: c.customer_id ? `/customers/${c.customer_id}` : undefined,
+                                    }))}
+                                />
+                            </>
+                        )}
+                    </Card>
+                )}
+            </div>
+        </>
+    );
+};
+
+export default Reports;
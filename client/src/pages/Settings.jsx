@@ -0,0 +1,429 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTranslation } from 'react-i18next';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import TopBar from '../components/ui/TopBar';
+import Card from '../components/ui/Card';
+import Button from '../components/ui/Button';
+import Input from '../components/ui/Input';
+import Select from '../components/ui/Select';
+import TextArea from '../components/ui/TextArea';
+import Skeleton from '../components/ui/Skeleton';
+import EmptyState from '../components/ui/EmptyState';
+import ImageUpload from '../components/ui/ImageUpload';
+import { settingsApi } from '../services/api';
+import { useSettingsStore } from '../store/settingsStore';
+import { isValidGstin } from '../utils/gst';
+import { PDF_TEMPLATES, resolvePdfTemplate } from '../utils/pdfTemplates';
+import './Settings.css';
+
+// Every field of the business profile (all optional except the name)
+const BUSINESS_FIELDS = [
+    'name', 'tagline', 'address', 'phone', 'email', 'gstin',
+    'logo_image', 'signature_image',
+    'bank_name', 'account_name', 'account_number', 'ifsc', 'upi_id',
+    'default_terms', 'footer_text',
+];
+
+// Zero-padding choices, shown as the number they produce (1 → "1", 3 → "001")
+const PADDING_OPTIONS = [1, 2, 3, 4, 5, 6, 7, 8].map((n) => ({
+    value: n,
+    label: String(1).padStart(n, '0'),
+}));
+
+const PREFIX_PATTERN = /^[A-Za-z0-9]{1,10}$/;
+
+const Settings = () => {
+    const { t } = useTranslation();
+    const navigate = useNavigate();
+    const templateOptions = PDF_TEMPLATES.map((id) => ({ value: id, label: t(`pdfTemplate.${id}`) }));
+    const setBusiness = useSettingsStore((s) => s.setBusiness);
+
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [savingBusiness, setSavingBusiness] = useState(false);
+    const [savingNumbering, setSavingNumbering] = useState(false);
+    const [nextNumbers, setNextNumbers] = useState(null);
+
+    // ── Business profile form ──
+    const {
+        register,
+        handleSubmit,
+        reset,
+        watch,
+        setValue,
+        formState: { errors },
+    } = useForm({ mode: 'onBlur' });
+
+    // ── Numbering form ──
+    const {
+        register: registerNumbering,
+        handleSubmit: handleNumberingSubmit,
+        reset: resetNumbering,
+        formState: { errors: numberingErrors },
+    } = useForm({ mode: 'onBlur' });
+
+    // ── Fetch both settings groups ──
+    useEffect(() => {
+        const fetchSettings = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const [businessRes, numberingRes] = await Promise.all([
+                    settingsApi.getBusiness(),
+                    settingsApi.getNumbering(),
+                ]);
+                const profile = businessRes.data.data;
+                reset({
+                    ...Object.fromEntries(BUSINESS_FIELDS.map((key) => [key, profile[key] || ''])),
+                    pdf_template: resolvePdfTemplate(profile.pdf_template),
+                    round_off: Boolean(profile.round_off),
+                });
+                setBusiness(profile);
+
+                const { next_numbers: next, ...numbering } = numberingRes.data.data;
+                resetNumbering(numbering);
+                setNextNumbers(next);
+            } catch (err) {
+                console.error('Fetch settings error:', err);
+                setError(err.response?.data?.error || t('errors.serverError'));
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchSettings();
+    }, [reset, resetNumbering, setBusiness, t]);
+
+    // ── Actions ──
+
+    const onSaveBusiness = async (data) => {
+        try {
+            setSavingBusiness(true);
+            const response = await settingsApi.updateBusiness({
+                ...Object.fromEntries(BUSINESS_FIELDS.map((key) => [key, data[key] || null])),
+                name: data.name,
+                gstin: data.gstin ? data.gstin.toUpperCase() : null,
+                ifsc: data.ifsc ? data.ifsc.toUpperCase() : null,
+                pdf_template: resolvePdfTemplate(data.pdf_template),
+                round_off: Boolean(data.round_off),
+            });
+            setBusiness(response.data.data);
+            toast.success(t('settings.businessSaved'));
+        } catch (err) {
+            console.error('Save business profile error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setSavingBusiness(false);
+        }
+    };
+
+    const onSaveNumbering = async (data) => {
+        try {
+            setSavingNumbering(true);
+            const response = await settingsApi.updateNumbering({
+                invoice_prefix: data.invoice_prefix,
+                estimate_prefix: data.estimate_prefix,
+                credit_note_prefix: data.credit_note_prefix,
+                padding: Number(data.padding),
+                reset_yearly: data.reset_yearly,
+            });
+            const { next_numbers: next, ...numbering } = response.data.data;
+            resetNumbering(numbering);
+            setNextNumbers(next);
+            toast.success(t('settings.numberingSaved'));
+        } catch (err) {
+            console.error('Save numbering error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setSavingNumbering(false);
+        }
+    };
+
+    return (
+        <>
+            <TopBar
+                title={t('settings.title')}
+                titleTamil="அமைப்புகள்"
+                showBack
+            />
+
+            <div className="page">
+                {loading ? (
+                    <div className="settings">
+                        {[1, 2, 3].map((i) => (
+                            <Card key={i}>
+                                <Skeleton variant="text" width="40%" />
+                                <Skeleton variant="text" width="90%" height="44px" />
+                                <Skeleton variant="text" width="90%" height="44px" />
+                            </Card>
+                        ))}
+                    </div>
+                ) : error ? (
+                    <EmptyState
+                        icon="⚠️"
+                        title={t('settings.couldNotLoad')}
+                        subtitle={error}
+                        action={{
+                            label: t('actions.retry'),
+                            onClick: () => window.location.reload(),
+                        }}
+                    />
+                ) : (
+                    <div className="settings">
+                        <form className="settings__form" onSubmit={handleSubmit(onSaveBusiness)} noValidate>
+                            {/* ── Business Details ── */}
+                            <Card animate={false}>
+                                <h3 className="settings__title">{t('settings.business')}</h3>
+                                <p className="settings__desc">{t('settings.businessDesc')}</p>
+                                <div className="settings__fields">
+                                    <Input
+                                        label={t('settings.businessName')}
+                                        required
+                                        id="settings-name"
+                                        error={errors.name?.message}
+                                        {...register('name', {
+                                            required: t('errors.required'),
+                                            minLength: { value: 2, message: t('invoice.minChars') },
+                                        })}
+                                    />
+                                    <Input
+                                        label={t('settings.tagline')}
+                                        id="settings-tagline"
+                                        {...register('tagline')}
+                                    />
+                                    <TextArea
+                                        label={t('invoice.address')}
+                                        rows={2}
+                                        id="settings-address"
+                                        {...register('address')}
+                                    />
+                                    <Input
+                                        label={t('invoice.phone')}
+                                        type="tel"
+                                        inputMode="tel"
+                                        id="settings-phone"
+                                        error={errors.phone?.message}
+                                        {...register('phone', {
+                                            pattern: { value: /^[+]?[0-9]{10,13}$/, message: t('errors.invalidPhone') },
+                                        })}
+                                    />
+                                    <Input
+                                        label={t('invoice.email')}
+                                        type="email"
+                                        inputMode="email"
+                                        id="settings-email"
+                                        error={errors.email?.message}
+                                        {...register('email', {
+                                            pattern: { value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: t('errors.invalidEmail') },
+                                        })}
+                                    />
+                                    <Input
+                                        label={t('invoice.businessGstin')}
+                                        id="settings-gstin"
+                                        error={errors.gstin?.message}
+                                        {...register('gstin', {
+                                            validate: (v) => !v || isValidGstin(v) || t('errors.invalidGstin'),
+                                        })}
+                                    />
+                                </div>
+                            </Card>
+
+                            {/* ── Logo & Signature ── */}
+                            <Card animate={false}>
+                                <h3 className="settings__title">{t('settings.branding')}</h3>
+                                <p className="settings__desc">{t('settings.brandingDesc')}</p>
+                                <div className="settings__fields">
+                                    <ImageUpload
+                                        label={t('settings.logo')}
+                                        id="settings-logo"
+                                        value={watch('logo_image')}
+                                        onChange={(v) => setValue('logo_image', v || '', { shouldDirty: true })}
+                                    />
+                                    <ImageUpload
+                                        label={t('settings.signature')}
+                                        id="settings-signature"
+                                        value={watch('signature_image')}
+                                        onChange={(v) => setValue('signature_image', v || '', { shouldDirty: true })}
+                                    />
+                                </div>
+                            </Card>
+
+                            {/* ── Bank & UPI ── */}
+                            <Card animate={false}>
+                                <h3 className="settings__title">{t('settings.bank')}</h3>
+                                <p className="settings__desc">{t('settings.bankDesc')}</p>
+                                <div className="settings__fields">
+                                    <Input
+                                        label={t('settings.bankName')}
+                                        id="settings-bank-name"
+                                        {...register('bank_name')}
+                                    />
+                                    <Input
+                                        label={t('settings.accountName')}
+                                        id="settings-account-name"
+                                        {...register('account_name')}
+                                    />
+                                    <Input
+                                        label={t('settings.accountNumber')}
+                                        inputMode="numeric"
+                                        id="settings-account-number"
+                                        error={errors.account_number?.message}
+                                        {...register('account_number', {
+                                            pattern: { value: /^[0-9]{6,18}$/, message: t('settings.invalidAccount') },
+                                        })}
+                                    />
+                                    <Input
+                                        label={t('settings.ifsc')}
+                                        id="settings-ifsc"
+                                        error={errors.ifsc?.message}
+                                        {...register('ifsc', {
+                                            validate: (v) =>
+                                                !v || /^[A-Z]{4}0[A-Z0-9]{6}$/.test(v.toUpperCase()) || t('settings.invalidIfsc'),
+                                        })}
+                                    />
+                                    <Input
+                                        label={t('settings.upiId')}
+                                        placeholder="name@bank"
+                                        id="settings-upi"
+                                        error={errors.upi_id?.message}
+                                        {...register('upi_id', {
+                                            pattern: { value: /^[\w.-]{2,256}@[a-zA-Z]{2,64}$/, message: t('settings.invalidUpi') },
+                                        })}
+                                    />
+                                </div>
+                            </Card>
+
+                            {/* ── Terms & Footer ── */}
+                            <Card animate={false}>
+                                <h3 className="settings__title">{t('settings.documents')}</h3>
+                                <div className="settings__fields">
+                                    <TextArea
+                                        label={t('settings.defaultTerms')}
+                                        placeholder={t('settings.defaultTermsHint')}
+                                        rows={3}
+                                        maxLength={1000}
+                                        id="settings-terms"
+                                        {...register('default_terms')}
+                                    />
+                                    <Input
+                                        label={t('settings.footerText')}
+                                        maxLength={150}
+                                        id="settings-footer"
+                                        {...register('footer_text')}
+                                    />
+                                    <Select
+                                        label={t('settings.pdfTemplate')}
+                                        options={templateOptions}
+                                        id="settings-pdf-template"
+                                        {...register('pdf_template')}
+                                    />
+                                    <label className="settings__toggle">
+                                        <input type="checkbox" {...register('round_off')} />
+                                        <span>{t('settings.roundOff')}</span>
+                                    </label>
+                                </div>
+                            </Card>
+
+                            <Button type="submit" variant="primary" fullWidth loading={savingBusiness} id="btn-save-business">
+                                {t('settings.saveBusiness')}
+                            </Button>
+                        </form>
+
+                        {/* ── Service Catalog ── */}
+                        <Card animate={false}>
+                            <h3 className="settings__title">{t('catalog.settingsTitle')}</h3>
+                            <p className="settings__desc">{t('catalog.settingsDesc')}</p>
+                            <Button variant="secondary" fullWidth onClick={() => navigate('/catalog')} id="btn-manage-catalog">
+                                {t('catalog.manage')}
+                            </Button>
+                        </Card>
+
+                        {/* ── Payment Reminders ── */}
+                        <Card animate={false}>
+                            <h3 className="settings__title">{t('reminders.settingsTitle')}</h3>
+                            <p className="settings__desc">{t('reminders.settingsDesc')}</p>
+                            <Button variant="secondary" fullWidth onClick={() => navigate('/settings/reminders')} id="btn-manage-reminders">
+                                {t('reminders.manage')}
+                            </Button>
+                        </Card>
+
+                        {/* ── Trash ── */}
+                        <Card animate={false}>
+                            <h3 className="settings__title">{t('trash.title')}</h3>
+                            <p className="settings__desc">{t('trash.settingsDesc')}</p>
+                            <Button variant="secondary" fullWidth onClick={() => navigate('/trash')} id="btn-open-trash">
+                                {t('trash.open')}
+                            </Button>
+                        </Card>
+
+                        {/* ── Document Numbering ── */}
+                        <form onSubmit={handleNumberingSubmit(onSaveNumbering)} noValidate>
+                            <Card animate={false}>
+                                <h3 className="settings__title">{t('settings.numbering')}</h3>
+                                {nextNumbers && (
+                                    <p className="settings__desc">
+                                        {t('settings.nextNumbers', {
+                                            invoice: nextNumbers.invoice,
+                                            estimate: nextNumbers.estimate,
+                                            creditNote: nextNumbers.credit_note,
+                                        })}
+                                    </p>
+                                )}
+                                <div className="settings__fields">
+                                    <div className="settings__row">
+                                        <Input
+                                            label={t('settings.invoicePrefix')}
+                                            required
+                                            id="settings-invoice-prefix"
+                                            error={numberingErrors.invoice_prefix?.message}
+                                            {...registerNumbering('invoice_prefix', {
+                                                required: t('errors.required'),
+                                                pattern: { value: PREFIX_PATTERN, message: t('settings.invalidPrefix') },
+                                            })}
+                                        />
+                                        <Input
+                                            label={t('settings.estimatePrefix')}
+                                            required
+                                            id="settings-estimate-prefix"
+                                            error={numberingErrors.estimate_prefix?.message}
+                                            {...registerNumbering('estimate_prefix', {
+                                                required: t('errors.required'),
+                                                pattern: { value: PREFIX_PATTERN, message: t('settings.invalidPrefix') },
+                                            })}
+                                        />
+                                    </div>
+                                    <Input
+                                        label={t('settings.creditNotePrefix')}
+                                        required
+                                        id="settings-credit-note-prefix"
+                                        error={numberingErrors.credit_note_prefix?.message}
+                                        {...registerNumbering('credit_note_prefix', {
+                                            required: t('errors.required'),
+                                            pattern: { value: PREFIX_PATTERN, message: t('settings.invalidPrefix') },
+                                        })}
+                                    />
+                                    <Select
+                                        label={t('settings.padding')}
+                                        options={PADDING_OPTIONS}
+                                        id="settings-padding"
+                                        {...registerNumbering('padding', { valueAsNumber: true })}
+                                    />
+                                    <label className="settings__toggle">
+                                        <input type="checkbox" {...registerNumbering('reset_yearly')} />
+                                        <span>{t('settings.resetYearly')}</span>
+                                    </label>
+                                    <Button type="submit" variant="secondary" fullWidth loading={savingNumbering} id="btn-save-numbering">
+                                        {t('settings.saveNumbering')}
+                                    </Button>
+                                </div>
+                            </Card>
+                        </form>
+                    </div>
+                )}
+            </div>
+        </>
+    );
+};
+
+export default Settings;
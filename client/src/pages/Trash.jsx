@@ -0,0 +1,235 @@
+import { useState, useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import TopBar from '../components/ui/TopBar';
+import Card from '../components/ui/Card';
+import Button from '../components/ui/Button';
+import Select from '../components/ui/Select';
+import Skeleton from '../components/ui/Skeleton';
+import EmptyState from '../components/ui/EmptyState';
+import ConfirmDialog from '../components/ui/ConfirmDialog';
+import { trashApi, settingsApi } from '../services/api';
+import { formatCurrency } from '../utils/formatCurrency';
+import { formatDate } from '../utils/formatDate';
+import { DOCUMENT_TYPE_KEYS } from '../utils/creditNotes';
+import { RETENTION_OPTIONS, DEFAULT_RETENTION_DAYS, getDaysLeft } from '../utils/trash';
+import './Trash.css';
+
+/**
+ * Deleted documents: each can be restored or removed for good, and the
+ * rest are removed automatically once they have been here for the
+ * retention period chosen at the top.
+ */
+const Trash = () => {
+    const { t } = useTranslation();
+
+    const [documents, setDocuments] = useState([]);
+    const [retentionDays, setRetentionDays] = useState(DEFAULT_RETENTION_DAYS);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [restoringId, setRestoringId] = useState(null);
+    const [purging, setPurging] = useState(null); // a document, or 'all' to empty the Trash
+    const [actionLoading, setActionLoading] = useState(false);
+
+    useEffect(() => {
+        const fetchTrash = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const response = await trashApi.getAll();
+                setDocuments(response.data.data.documents);
+                setRetentionDays(response.data.data.retention_days);
+            } catch (err) {
+                console.error('Fetch trash error:', err);
+                setError(err.response?.data?.error || t('errors.serverError'));
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchTrash();
+    }, [t]);
+
+    // A period set outside the usual choices is still shown
+    const retentionOptions = [...new Set([...RETENTION_OPTIONS, retentionDays])]
+        .sort((a, b) => a - b)
+        .map((days) => ({ value: days, label: t('trash.days', { count: days }) }));
+
+    // ── Actions ──
+
+    const handleRetentionChange = async (e) => {
+        const days = Number(e.target.value);
+        const previous = retentionDays;
+        setRetentionDays(days);
+        try {
+            await settingsApi.updateTrash({ retention_days: days });
+            // Purge dates follow the new period
+            const response = await trashApi.getAll();
+            setDocuments(response.data.data.documents);
+            toast.success(t('trash.retentionSaved'));
+        } catch (err) {
+            console.error('Save trash settings error:', err);
+            setRetentionDays(previous);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        }
+    };
+
+    const handleRestore = async (doc) => {
+        try {
+            setRestoringId(doc.id);
+            await trashApi.restore(doc.id);
+            setDocuments((prev) => prev.filter((d) => d.id !== doc.id));
+            toast.success(t('trash.restored'));
+        } catch (err) {
+            console.error('Restore error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setRestoringId(null);
+        }
+    };
+
+    const handlePurge = async () => {
+        try {
+            setActionLoading(true);
+            if (purging === 'all') {
+                const response = await trashApi.empty();
+                const { kept } = response.data.data;
+                setDocuments((prev) => prev.filter((d) => kept.includes(d.id)));
+                toast.success(kept.length > 0 ? t('trash.emptiedKept', { count: kept.length }) : t('trash.emptied'));
+            } else {
+                await trashApi.purge(purging.id);
+                setDocuments((prev) => prev.filter((d) => d.id !== purging.id));
+                toast.success(t('trash.purged'));
+            }
+        } catch (err) {
+            console.error('Purge error:', err);
+            toast.error(err.response?.data?.error || t('errors.serverError'));
+        } finally {
+            setActionLoading(false);
+            setPurging(null);
+        }
+    };
+
+    return (
+        <>
+            <TopBar
+                title={t('trash.title')}
+                titleTamil="குப்பைத் தொட்டி"
+                showBack
+                actions={
+                    documents.length > 0 && (
+                        <Button size="sm" variant="secondary" onClick={() => setPurging('all')} id="btn-trash-empty">
+                            {t('trash.empty')}
+                        </Button>
+                    )
+                }
+            />
+
+            <div className="page">
+                {loading ? (
+                    <div className="trash-list">
+                        {[1, 2, 3].map((i) => (
+                            <Card key={i}>
+                                <Skeleton variant="text" width="55%" />
+                                <Skeleton variant="text" width="35%" />
+                            </Card>
+                        ))}
+                    </div>
+                ) : error ? (
+                    <EmptyState
+                        icon="⚠️"
+                        title={error}
+                        action={{ label: t('actions.retry'), onClick: () => window.location.reload() }}
+                    />
+                ) : (
+                    <>
+                        <Card animate={false}>
+                            <Select
+                                label={t('trash.retention')}
+                                options={retentionOptions}
+                                value={retentionDays}
+                                onChange={handleRetentionChange}
+                                id="trash-retention"
+                            />
+                            <p className="trash-hint">{t('trash.retentionHint')}</p>
+                        </Card>
+
+                        {documents.length === 0 ? (
+                            <EmptyState
+                                icon="🗑️"
+                                title={t('trash.emptyTitle')}
+                                subtitle={t('trash.emptySubtext')}
+                            />
+                        ) : (
+                            <div className="trash-list">
+                                {documents.map((doc) => {
+                                    const daysLeft = getDaysLeft(doc.purge_at);
+                                    return (
+                                        <Card key={doc.id} animate={false}>
+                                            <div className="trash-card__top">
+                                                <div className="trash-card__info">
+                                                    <p className="trash-card__name">
+                                                        {doc.invoice_number} · {doc.customer_name}
+                                                    </p>
+                                                    <p className="trash-card__meta">
+                                                        {t(DOCUMENT_TYPE_KEYS[doc.document_type] || 'invoice.title')}
+                                                        {' · '}
+                                                        {t('trash.deletedOn', { date: formatDate(doc.deleted_at) })}
+                                                    </p>
+                                                </div>
+                                                <span className="trash-card__amount">
+                                                    {formatCurrency(doc.total_amount, false)}
+                                                </span>
+                                            </div>
+                                            <p className="trash-card__purge">
+                                                {daysLeft > 0
+                                                    ? t('trash.purgeIn', { count: daysLeft, date: formatDate(doc.purge_at) })
+                                                    : t('trash.purgeSoon')}
+                                            </p>
+                                            <div className="trash-card__actions">
+                                                <Button
+                                                    size="sm"
+                                                    variant="secondary"
+                                                    loading={restoringId === doc.id}
+                                                    onClick={() => handleRestore(doc)}
+                                                    id={`btn-trash-restore-${doc.id}`}
+                                                >
+                                                    {t('trash.restore')}
+                                                </Button>
+                                                <button
+                                                    type="button"
+                                                    className="trash-card__purge-btn"
+                                                    onClick={() => setPurging(doc)}
+                                                >
+                                                    {t('trash.purge')}
+                                                </button>
+                                            </div>
+                                        </Card>
+                                    );
+                                })}
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+
+            {/* ── Purge Confirmation ── */}
+            <ConfirmDialog
+                isOpen={!!purging}
+                onClose={() => setPurging(null)}
+                onConfirm={handlePurge}
+                title={purging === 'all' ? t('trash.emptyConfirmTitle') : t('trash.purgeTitle')}
+                message={
+                    purging === 'all'
+                        ? t('trash.emptyConfirmMessage', { count: documents.length })
+                        : t('trash.purgeMessage', { number: purging?.invoice_number })
+                }
+                confirmLabel={purging === 'all' ? t('trash.empty') : t('trash.purge')}
+                cancelLabel={t('actions.cancel')}
+                destructive
+                loading={actionLoading}
+            />
+        </>
+    );
+};
+
+export default Trash;
@@ -89,15 +89,166 @@ api.interceptors.response.use(
 // ===== Invoice API =====
 
 export const invoiceApi = {
-  getAll: () => api.get('/invoices'),
+  getAll: (params, config) => api.get('/invoices', { params, ...config }),
   getById: (id) => api.get(`/invoices/${id}`),
   create: (data) => api.post('/invoices', data),
   update: (id, data) => api.put(`/invoices/${id}`, data),
   updateStatus: (id, status) => api.put(`/invoices/${id}/status`, { status }),
   delete: (id) => api.delete(`/invoices/${id}`),
   duplicate: (id) => api.post(`/invoices/${id}/duplicate`),
-  generatePdf: (id) => api.get(`/invoices/${id}/pdf`, { responseType: 'blob' }),
+  convert: (id) => api.post(`/invoices/${id}/convert`),
+  generatePdf: (id, lang = 'en') =>
+    api.get(`/invoices/${id}/pdf`, { params: { lang }, responseType: 'blob' }),
+  // Renders an unsaved document (form payload) in its chosen template
+  previewPdf: (data, lang = 'en') =>
+    api.post('/invoices/pdf/preview', data, { params: { lang }, responseType: 'blob' }),
+  // Who changed what and when, newest first
+  getHistory: (id) => api.get(`/invoices/${id}/history`),
+  // A past version of the document, as it was then
+  generateVersionPdf: (id, version, lang = 'en') =>
+    api.get(`/invoices/${id}/history/${version}/pdf`, { params: { lang }, responseType: 'blob' }),
   getStats: (config) => api.get('/invoices/stats', config),
 };
 
+// ===== Trash API =====
+
+export const trashApi = {
+  // Deleted documents, each with the date it will be purged
+  getAll: () => api.get('/invoices/trash'),
+  restore: (id) => api.post(`/invoices/trash/${id}/restore`),
+  purge: (id) => api.delete(`/invoices/trash/${id}`),
+  empty: () => api.delete('/invoices/trash'),
+};
+
+// ===== Payment API =====
+
+export const paymentApi = {
+  getAll: (invoiceId) => api.get(`/invoices/${invoiceId}/payments`),
+  create: (invoiceId, data) => api.post(`/invoices/${invoiceId}/payments`, data),
+  delete: (invoiceId, paymentId) =>
+    api.delete(`/invoices/${invoiceId}/payments/${paymentId}`),
+};
+
+// ===== Credit Note API =====
+
+export const creditNoteApi = {
+  // Credit notes of an invoice and what is left to credit per line
+  getForInvoice: (invoiceId) => api.get(`/invoices/${invoiceId}/credit-notes`),
+  // lines = null credits everything left on the invoice
+  create: (invoiceId, data) => api.post(`/invoices/${invoiceId}/credit-notes`, data),
+};
+
+// ===== Reminder API =====
+
+export const reminderApi = {
+  getDue: (config) => api.get('/invoices/reminders/due', config),
+  getForInvoice: (invoiceId) => api.get(`/invoices/${invoiceId}/reminders`),
+  // schedule = null resets the invoice to the default schedule
+  updateSchedule: (invoiceId, schedule) =>
+    api.put(`/invoices/${invoiceId}/reminders`, { schedule }),
+  // Sends by email / SMS, or logs a reminder sent on WhatsApp
+  send: (invoiceId, data) => api.post(`/invoices/${invoiceId}/reminders`, data),
+};
+
+// ===== Share Link API =====
+
+export const shareApi = {
+  get: (invoiceId) => api.get(`/invoices/${invoiceId}/share`),
+  // expiresInDays = null → the link never expires; replaces any previous link
+  create: (invoiceId, expiresInDays = null) =>
+    api.post(`/invoices/${invoiceId}/share`, { expires_in_days: expiresInDays }),
+  revoke: (invoiceId) => api.delete(`/invoices/${invoiceId}/share`),
+};
+
+// ===== Estimate Response API =====
+
+// Customers answer estimates from the share page; these are the owner's views
+export const estimateResponseApi = {
+  getUnseen: (config) => api.get('/invoices/responses/unseen', config),
+  get: (invoiceId) => api.get(`/invoices/${invoiceId}/response`),
+  markSeen: (invoiceId) => api.put(`/invoices/${invoiceId}/response/seen`),
+};
+
+// ===== Expense API =====
+
+export const expenseApi = {
+  getAll: (params, config) => api.get('/expenses', { params, ...config }),
+  create: (data) => api.post('/expenses', data),
+  update: (id, data) => api.put(`/expenses/${id}`, data),
+  delete: (id) => api.delete(`/expenses/${id}`),
+  // image = receipt photo as a data URL
+  uploadReceipt: (id, image) => api.put(`/expenses/${id}/receipt`, { image }),
+  removeReceipt: (id) => api.delete(`/expenses/${id}/receipt`),
+  // A job's expenses and profit
+  getForInvoice: (invoiceId) => api.get(`/invoices/${invoiceId}/expenses`),
+};
+
+// ===== Project API =====
+
+export const projectApi = {
+  getAll: (params, config) => api.get('/projects', { params, ...config }),
+  // Project with its documents, payments, expenses and money summary
+  getById: (id) => api.get(`/projects/${id}`),
+  create: (data) => api.post('/projects', data),
+  update: (id, data) => api.put(`/projects/${id}`, data),
+  delete: (id) => api.delete(`/projects/${id}`),
+};
+
+// ===== Recurring Invoice API =====
+
+export const recurringApi = {
+  getAll: (params, config) => api.get('/recurring', { params, ...config }),
+  // Profile with its coming runs and the invoices it has made
+  getById: (id) => api.get(`/recurring/${id}`),
+  create: (data) => api.post('/recurring', data),
+  update: (id, data) => api.put(`/recurring/${id}`, data),
+  delete: (id) => api.delete(`/recurring/${id}`),
+};
+
+// ===== Report API =====
+
+// Range reports take { from, to } (YYYY-MM-DD; the financial year to date by default)
+export const reportApi = {
+  getRevenue: (params, config) => api.get('/reports/revenue', { params, ...config }),
+  getGst: (params, config) => api.get('/reports/gst', { params, ...config }),
+  getTop: (params, config) => api.get('/reports/top', { params, ...config }),
+  // What customers owe today, by age
+  getOutstanding: () => api.get('/reports/outstanding'),
+};
+
+// ===== Customer API =====
+
+export const customerApi = {
+  getAll: (params, config) => api.get('/customers', { params, ...config }),
+  getById: (id) => api.get(`/customers/${id}`),
+  create: (data) => api.post('/customers', data),
+  update: (id, data) => api.put(`/customers/${id}`, data),
+  delete: (id) => api.delete(`/customers/${id}`),
+  merge: (targetId, sourceIds) =>
+    api.post('/customers/merge', { target_id: targetId, source_ids: sourceIds }),
+};
+
+// ===== Catalog API =====
+
+export const catalogApi = {
+  getAll: (params, config) => api.get('/catalog', { params, ...config }),
+  getById: (id) => api.get(`/catalog/${id}`),
+  create: (data) => api.post('/catalog', data),
+  update: (id, data) => api.put(`/catalog/${id}`, data),
+  delete: (id) => api.delete(`/catalog/${id}`),
+};
+
+// ===== Settings API =====
+
+export const settingsApi = {
+  getBusiness: () => api.get('/settings/business'),
+  updateBusiness: (data) => api.put('/settings/business', data),
+  getNumbering: () => api.get('/settings/numbering'),
+  updateNumbering: (data) => api.put('/settings/numbering', data),
+  getReminders: () => api.get('/settings/reminders'),
+  updateReminders: (data) => api.put('/settings/reminders', data),
+  getTrash: () => api.get('/settings/trash'),
+  updateTrash: (data) => api.put('/settings/trash', data),
+};
+
 export default api;
@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { useCatalogStore } from '../../store/catalogStore';
+import { catalogApi } from '../../services/api';
+
+vi.mock('../../services/api', () => ({
+  catalogApi: {
+    getAll: vi.fn(),
+  },
+}));
+
+const kitchen = { id: 'k', description: 'Kitchen cabinet', category: 'Kitchen', usage_count: 5 };
+const wardrobe = { id: 'w', description: 'Wardrobe', category: null, usage_count: 1 };
+
+describe('catalogStore', () => {
+  beforeEach(() => {
+    useCatalogStore.setState({ items: [], categories: [], isLoaded: false, isLoading: false });
+    vi.mocked(catalogApi.getAll).mockReset();
+  });
+
+  it('loads the catalog once and caches it', async () => {
+    vi.mocked(catalogApi.getAll).mockResolvedValue({
+      data: { data: { items: [kitchen, wardrobe], categories: ['Kitchen'] } },
+    });
+
+    await useCatalogStore.getState().fetchCatalog();
+    await useCatalogStore.getState().fetchCatalog();
+
+    expect(useCatalogStore.getState().items).toEqual([kitchen, wardrobe]);
+    expect(useCatalogStore.getState().categories).toEqual(['Kitchen']);
+    expect(catalogApi.getAll).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the current items when the fetch fails', async () => {
+    useCatalogStore.setState({ items: [wardrobe] });
+    vi.mocked(catalogApi.getAll).mockRejectedValue(new Error('offline'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await useCatalogStore.getState().fetchCatalog();
+
+    expect(result).toEqual([wardrobe]);
+    expect(useCatalogStore.getState().isLoaded).toBe(false);
+  });
+
+  it('upserts items in most-used order and collects new categories', () => {
+    useCatalogStore.setState({ items: [wardrobe], categories: [] });
+
+    useCatalogStore.getState().upsertItem(kitchen);
+    expect(useCatalogStore.getState().items.map((i) => i.id)).toEqual(['k', 'w']);
+    expect(useCatalogStore.getState().categories).toEqual(['Kitchen']);
+
+    useCatalogStore.getState().upsertItem({ ...wardrobe, usage_count: 8 });
+    expect(useCatalogStore.getState().items.map((i) => i.id)).toEqual(['w', 'k']);
+  });
+
+  it('removes an item', () => {
+    useCatalogStore.setState({ items: [kitchen, wardrobe] });
+    useCatalogStore.getState().removeItem('k');
+    expect(useCatalogStore.getState().items).toEqual([wardrobe]);
+  });
+});
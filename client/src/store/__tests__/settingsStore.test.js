@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { useSettingsStore } from '../../store/settingsStore';
+import { settingsApi } from '../../services/api';
+
+vi.mock('../../services/api', () => ({
+  settingsApi: {
+    getBusiness: vi.fn(),
+  },
+}));
+
+const mockBusiness = {
+  name: 'Crown Interiors',
+  gstin: '33AAAAA0000A1Z5',
+  default_terms: '50% advance before work starts',
+};
+
+describe('settingsStore', () => {
+  beforeEach(() => {
+    useSettingsStore.setState({ business: null, isLoading: false });
+    vi.mocked(settingsApi.getBusiness).mockReset();
+  });
+
+  describe('fetchBusiness', () => {
+    it('loads and caches the business profile', async () => {
+      vi.mocked(settingsApi.getBusiness).mockResolvedValue({ data: { data: mockBusiness } });
+
+      const first = await useSettingsStore.getState().fetchBusiness();
+      const second = await useSettingsStore.getState().fetchBusiness();
+
+      expect(first).toEqual(mockBusiness);
+      expect(second).toEqual(mockBusiness);
+      expect(useSettingsStore.getState().business).toEqual(mockBusiness);
+      expect(settingsApi.getBusiness).toHaveBeenCalledTimes(1);
+    });
+
+    it('refetches when forced', async () => {
+      vi.mocked(settingsApi.getBusiness).mockResolvedValue({ data: { data: mockBusiness } });
+
+      await useSettingsStore.getState().fetchBusiness();
+      await useSettingsStore.getState().fetchBusiness({ force: true });
+
+      expect(settingsApi.getBusiness).toHaveBeenCalledTimes(2);
+    });
+
+    it('returns null and keeps state empty when the request fails', async () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      vi.mocked(settingsApi.getBusiness).mockRejectedValue(new Error('Network error'));
+
+      const result = await useSettingsStore.getState().fetchBusiness();
+
+      expect(result).toBeNull();
+      expect(useSettingsStore.getState().business).toBeNull();
+      expect(useSettingsStore.getState().isLoading).toBe(false);
+      consoleSpy.mockRestore();
+    });
+  });
+
+  it('clearBusiness forgets the cached profile', () => {
+    useSettingsStore.getState().setBusiness(mockBusiness);
+    useSettingsStore.getState().clearBusiness();
+    expect(useSettingsStore.getState().business).toBeNull();
+  });
+});
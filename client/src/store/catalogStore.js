@@ -0,0 +1,49 @@
+import { create } from 'zustand';
+import { catalogApi } from '../services/api';
+import { sortCatalog } from '../utils/catalog';
+
+// Enough for autocomplete to filter locally instead of querying per keystroke
+const CATALOG_LIMIT = 200;
+
+export const useCatalogStore = create((set, get) => ({
+  // State
+  items: [],
+  categories: [],
+  isLoaded: false,
+  isLoading: false,
+
+  // === CATALOG ===
+  // Fetched once per session; the invoice forms and the Catalog page share it
+  fetchCatalog: async ({ force = false } = {}) => {
+    const { isLoaded, items } = get();
+    if (isLoaded && !force) return items;
+
+    set({ isLoading: true });
+    try {
+      const response = await catalogApi.getAll({ limit: CATALOG_LIMIT });
+      const { items: fetched, categories } = response.data.data;
+      set({ items: fetched, categories, isLoaded: true });
+      return fetched;
+    } catch (err) {
+      console.error('Fetch catalog error:', err);
+      return get().items;
+    } finally {
+      set({ isLoading: false });
+    }
+  },
+
+  // Adds or replaces an item after a create / update
+  upsertItem: (item) =>
+    set((state) => {
+      const items = sortCatalog([...state.items.filter((i) => i.id !== item.id), item]);
+      const categories = item.category && !state.categories.includes(item.category)
+        ? [...state.categories, item.category].sort((a, b) => a.localeCompare(b))
+        : state.categories;
+      return { items, categories };
+    }),
+
+  removeItem: (id) =>
+    set((state) => ({ items: state.items.filter((i) => i.id !== id) })),
+
+  clearCatalog: () => set({ items: [], categories: [], isLoaded: false }),
+}));
@@ -0,0 +1,35 @@
+import { create } from 'zustand';
+import { settingsApi } from '../services/api';
+
+// Shown until the business profile has loaded (matches the server default)
+export const DEFAULT_BUSINESS_NAME = 'Crown Interiors';
+
+export const useSettingsStore = create((set, get) => ({
+  // State
+  business: null,
+  isLoading: false,
+
+  // === SETTERS ===
+  setBusiness: (business) => set({ business }),
+
+  // === BUSINESS PROFILE ===
+  // Fetched once per session and shared by every page that needs it
+  fetchBusiness: async ({ force = false } = {}) => {
+    const { business } = get();
+    if (business && !force) return business;
+
+    set({ isLoading: true });
+    try {
+      const response = await settingsApi.getBusiness();
+      set({ business: response.data.data });
+      return response.data.data;
+    } catch (err) {
+      console.error('Fetch business profile error:', err);
+      return null;
+    } finally {
+      set({ isLoading: false });
+    }
+  },
+
+  clearBusiness: () => set({ business: null }),
+}));
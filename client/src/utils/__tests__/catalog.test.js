@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { sortCatalog, filterCatalog, catalogItemFromLine } from '../catalog';
+
+const items = [
+    { id: 'a', description: 'TV unit', category: 'Living', usage_count: 2, last_used_at: '2026-09-01T00:00:00Z' },
+    { id: 'b', description: 'Modular kitchen cabinet – per sq.ft', category: 'Kitchen', usage_count: 9, last_used_at: '2026-10-01T00:00:00Z' },
+    { id: 'c', description: 'Wardrobe', category: null, usage_count: 2, last_used_at: '2026-10-10T00:00:00Z' },
+    { id: 'd', description: 'Kitchen loft', category: 'Kitchen', usage_count: 0, last_used_at: null },
+];
+
+describe('sortCatalog', () => {
+    it('orders by usage, then recent use, then description', () => {
+        expect(sortCatalog(items).map((i) => i.id)).toEqual(['b', 'c', 'a', 'd']);
+    });
+
+    it('does not mutate the input', () => {
+        const copy = [...items];
+        sortCatalog(items);
+        expect(items).toEqual(copy);
+    });
+});
+
+describe('filterCatalog', () => {
+    const sorted = sortCatalog(items);
+
+    it('matches every typed word, case-insensitively', () => {
+        expect(filterCatalog(sorted, 'KITCHEN sq').map((i) => i.id)).toEqual(['b']);
+    });
+
+    it('matches the category and keeps the most-used order', () => {
+        expect(filterCatalog(sorted, 'kitchen').map((i) => i.id)).toEqual(['b', 'd']);
+    });
+
+    it('returns the most-used items for an empty query, up to the limit', () => {
+        expect(filterCatalog(sorted, '', 2).map((i) => i.id)).toEqual(['b', 'c']);
+    });
+});
+
+describe('catalogItemFromLine', () => {
+    it('maps a service line to a catalog payload', () => {
+        expect(
+            catalogItemFromLine({ description: ' Wardrobe ', unit: 'sq.ft', rate: '1500', hsn_sac: '', tax_rate: 18 })
+        ).toEqual({ description: 'Wardrobe', unit: 'sq.ft', default_rate: 1500, hsn_sac: null, tax_rate: 18 });
+    });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { canIssueCreditNote, getSignedTotal, toCreditLines, getCreditPreview } from '../creditNotes';
+
+const lines = [
+    { line: 0, description: 'Wardrobe', quantity: 2, amount: 2000, credited: 0, remaining: 2 },
+    { line: 1, description: 'Handles', quantity: 5, amount: 500, credited: 3, remaining: 2 },
+];
+
+describe('canIssueCreditNote', () => {
+    it('allows issued invoices with something left to credit', () => {
+        expect(canIssueCreditNote({ document_type: 'invoice', status: 'paid', total_amount: 100 })).toBe(true);
+        expect(canIssueCreditNote({ document_type: 'invoice', status: 'draft', total_amount: 100 })).toBe(false);
+        expect(canIssueCreditNote({ document_type: 'estimate', status: 'sent', total_amount: 100 })).toBe(false);
+        expect(canIssueCreditNote({
+            document_type: 'invoice', status: 'credited', total_amount: 100, amount_credited: 100,
+        })).toBe(false);
+    });
+});
+
+describe('getSignedTotal', () => {
+    it('counts credit notes negative', () => {
+        expect(getSignedTotal({ document_type: 'invoice', total_amount: '590' })).toBe(590);
+        expect(getSignedTotal({ document_type: 'credit_note', total_amount: 590 })).toBe(-590);
+    });
+});
+
+describe('credit note lines', () => {
+    it('keeps lines with a quantity, capped at what is left', () => {
+        expect(toCreditLines(lines, { 0: '1', 1: '9' })).toEqual([
+            { line: 0, quantity: 1 },
+            { line: 1, quantity: 2 },
+        ]);
+        expect(toCreditLines(lines, { 0: '', 1: '0' })).toEqual([]);
+    });
+
+    it('previews the value of the picked lines', () => {
+        expect(getCreditPreview(lines, { 0: '0.5', 1: '2' })).toBe(700);
+    });
+});
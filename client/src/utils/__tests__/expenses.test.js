@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { getMonthRange, shiftMonth, totalByCategory } from '../expenses';
+
+describe('getMonthRange', () => {
+    it('spans the whole month', () => {
+        expect(getMonthRange('2026-02')).toEqual({ from: '2026-02-01', to: '2026-02-28' });
+        expect(getMonthRange('2028-02').to).toBe('2028-02-29');
+        expect(getMonthRange('2026-12').to).toBe('2026-12-31');
+    });
+});
+
+describe('shiftMonth', () => {
+    it('moves across year boundaries', () => {
+        expect(shiftMonth('2026-01', -1)).toBe('2025-12');
+        expect(shiftMonth('2026-12', 1)).toBe('2027-01');
+    });
+});
+
+describe('totalByCategory', () => {
+    it('adds up each category, biggest first', () => {
+        expect(totalByCategory([
+            { category: 'labour', amount: '1200' },
+            { category: 'materials', amount: 4000.1 },
+            { category: 'labour', amount: 800 },
+            { category: 'materials', amount: 0.2 },
+        ])).toEqual([
+            { category: 'materials', total: 4000.3 },
+            { category: 'labour', total: 2000 },
+        ]);
+    });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { formatCurrency, formatCurrencyShort } from '../formatCurrency';
+import { formatCurrency, formatCurrencyShort, formatSignedCurrency } from '../formatCurrency';
 
 describe('formatCurrency', () => {
   it('formats a number as Indian Rupees with decimals', () => {
@@ -73,3 +73,14 @@ describe('formatCurrencyShort', () => {
     expect(formatCurrencyShort(50000000)).toBe('₹5.0Cr');
   });
 });
+
+describe('formatSignedCurrency', () => {
+  it('shows the sign and paise of an adjustment', () => {
+    expect(formatSignedCurrency(0.01)).toBe('+₹0.01');
+    expect(formatSignedCurrency(-0.4)).toBe('-₹0.40');
+  });
+
+  it('has no sign for zero', () => {
+    expect(formatSignedCurrency(0)).toBe('₹0.00');
+  });
+});
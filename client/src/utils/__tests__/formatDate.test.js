@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { formatDate, formatRelativeDate, getTimeOfDay } from '../formatDate';
+import { formatDate, formatRelativeDate, getDaysOverdue, getTimeOfDay } from '../formatDate';
 
 describe('formatDate', () => {
   it('formats an ISO date string with default format', () => {
@@ -94,3 +94,20 @@ describe('getTimeOfDay', () => {
     expect(getTimeOfDay()).toBe('evening');
   });
 });
+
+describe('getDaysOverdue', () => {
+  const today = new Date(2026, 2, 15, 10, 0, 0);
+
+  it('counts calendar days past the due date', () => {
+    expect(getDaysOverdue('2026-03-10', today)).toBe(5);
+  });
+
+  it('returns 0 on or before the due date', () => {
+    expect(getDaysOverdue('2026-03-15', today)).toBe(0);
+    expect(getDaysOverdue('2026-04-01', today)).toBe(0);
+  });
+
+  it('returns 0 without a due date', () => {
+    expect(getDaysOverdue(null, today)).toBe(0);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import {
+    isValidGstin,
+    getStateCode,
+    formatPlaceOfSupply,
+    buildTaxSummary,
+} from '../gst';
+
+describe('isValidGstin', () => {
+    it('accepts GSTINs with a correct check digit', () => {
+        expect(isValidGstin('27AAPFU0939F1ZV')).toBe(true);
+        expect(isValidGstin('29AAGCB7383J1Z4')).toBe(true);
+    });
+
+    it('is case-insensitive and ignores surrounding spaces', () => {
+        expect(isValidGstin(' 27aapfu0939f1zv ')).toBe(true);
+    });
+
+    it('rejects a wrong check digit', () => {
+        expect(isValidGstin('27AAPFU0939F1ZA')).toBe(false);
+    });
+
+    it('rejects an unknown state code', () => {
+        expect(isValidGstin('99AAPFU0939F1ZV')).toBe(false);
+    });
+
+    it('rejects malformed values', () => {
+        expect(isValidGstin('27AAPFU0939F1Z')).toBe(false);
+        expect(isValidGstin('')).toBe(false);
+        expect(isValidGstin(null)).toBe(false);
+    });
+});
+
+describe('getStateCode / formatPlaceOfSupply', () => {
+    it('reads the state from a valid GSTIN', () => {
+        expect(getStateCode('29AAGCB7383J1Z4')).toBe('29');
+    });
+
+    it('returns null for an invalid GSTIN', () => {
+        expect(getStateCode('29AAGCB7383J1Z0')).toBeNull();
+    });
+
+    it('formats a state code with its name', () => {
+        expect(formatPlaceOfSupply('33')).toBe('Tamil Nadu (33)');
+    });
+});
+
+describe('buildTaxSummary', () => {
+    const services = [
+        { quantity: 1, rate: 1000, tax_rate: 18 },
+        { quantity: 2, rate: 250, tax_rate: 5 },
+        { quantity: 1, rate: 200 },
+    ];
+
+    it('splits tax into CGST and SGST for intra-state supply', () => {
+        const summary = buildTaxSummary({
+            services,
+            taxEnabled: true,
+            taxPercentage: 18,
+            businessGstin: '27AAPFU0939F1ZV',
+            placeOfSupply: '27',
+        });
+        expect(summary.interState).toBe(false);
+        expect(summary.rows).toEqual([
+            { rate: 5, taxable: 500, cgst: 12.5, sgst: 12.5, igst: 0, tax: 25 },
+            { rate: 18, taxable: 1200, cgst: 108, sgst: 108, igst: 0, tax: 216 },
+        ]);
+        expect(summary.totalTax).toBe(241);
+    });
+
+    it('charges IGST when the place of supply is another state', () => {
+        const summary = buildTaxSummary({
+            services,
+            taxEnabled: true,
+            taxPercentage: 18,
+            businessGstin: '27AAPFU0939F1ZV',
+            placeOfSupply: '29',
+        });
+        expect(summary.interState).toBe(true);
+        expect(summary.igst).toBe(241);
+        expect(summary.cgst).toBe(0);
+    });
+
+    it('treats supply as intra-state without a business GSTIN', () => {
+        const summary = buildTaxSummary({ services, taxEnabled: true, placeOfSupply: '29' });
+        expect(summary.interState).toBe(false);
+    });
+
+    it('returns no tax when tax is disabled', () => {
+        const summary = buildTaxSummary({ services, taxEnabled: false });
+        expect(summary.rows).toEqual([]);
+        expect(summary.totalTax).toBe(0);
+    });
+});
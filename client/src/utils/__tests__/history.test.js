@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import {
+    readHistoryFilters,
+    toHistoryParams,
+    hasHistoryFilters,
+    toInvoiceQuery,
+    appendPage,
+    getVisibleRange,
+} from '../history';
+
+describe('history filters in the URL', () => {
+    it('reads filters, ignoring unknown values', () => {
+        const params = new URLSearchParams('q= ravi &type=estimate&status=bogus&sort=oldest');
+        expect(readHistoryFilters(params)).toEqual({
+            search: 'ravi', type: 'estimate', status: 'all', sort: 'oldest',
+        });
+    });
+
+    it('leaves defaults out of the URL', () => {
+        expect(toHistoryParams({ search: '', type: 'all', status: 'overdue', sort: 'newest' }))
+            .toEqual({ status: 'overdue' });
+        expect(hasHistoryFilters({ search: '', type: 'all', status: 'all', sort: 'oldest' })).toBe(false);
+    });
+
+    it('builds the page query', () => {
+        expect(toInvoiceQuery({ search: '', type: 'invoice', status: 'all', sort: 'newest' }, 3))
+            .toEqual({ type: 'invoice', status: 'all', search: undefined, sort: 'newest', page: 3, limit: 20 });
+    });
+});
+
+describe('appendPage', () => {
+    it('skips rows already loaded', () => {
+        expect(appendPage([{ id: 'a' }, { id: 'b' }], [{ id: 'b' }, { id: 'c' }]).map((r) => r.id))
+            .toEqual(['a', 'b', 'c']);
+    });
+});
+
+describe('getVisibleRange', () => {
+    it('covers the rows on screen plus overscan', () => {
+        expect(getVisibleRange({ scrollTop: 1000, viewportHeight: 500, rowHeight: 100, count: 100, overscan: 2 }))
+            .toEqual({ start: 8, end: 17 });
+    });
+
+    it('stays within the list', () => {
+        expect(getVisibleRange({ scrollTop: -300, viewportHeight: 800, rowHeight: 100, count: 4 }))
+            .toEqual({ start: 0, end: 4 });
+        expect(getVisibleRange({ scrollTop: 0, viewportHeight: 800, rowHeight: 0, count: 40 }))
+            .toEqual({ start: 0, end: 10 });
+    });
+});
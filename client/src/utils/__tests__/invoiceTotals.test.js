@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { calculateDiscount, calculateLine, calculateInvoiceTotals } from '../invoiceTotals';
+
+// Same fixtures as server/src/utils/__tests__/invoiceTotals.test.js
+const TN_GSTIN = '33AAPFU0939F1ZV';
+
+describe('calculateDiscount', () => {
+    it('takes a percentage of the base', () => {
+        expect(calculateDiscount(1999, 'percent', 10)).toBe(199.9);
+    });
+
+    it('caps a flat discount at the base', () => {
+        expect(calculateDiscount(500, 'flat', 900)).toBe(500);
+    });
+});
+
+describe('calculateLine', () => {
+    it('takes the line discount off quantity × rate', () => {
+        expect(calculateLine({ quantity: 1, rate: 15000, discount_type: 'percent', discount_value: 10 }))
+            .toEqual({ gross: 15000, discount: 1500, amount: 13500 });
+    });
+
+    it('has no discount by default', () => {
+        expect(calculateLine({ quantity: 42.5, rate: 1.1 }).amount).toBe(46.75);
+    });
+});
+
+describe('calculateInvoiceTotals', () => {
+    const taxed = {
+        tax_enabled: true,
+        business_gstin: TN_GSTIN,
+        place_of_supply: '33',
+    };
+
+    it('rounds GST per rate slab', () => {
+        const totals = calculateInvoiceTotals({
+            ...taxed,
+            services: [
+                { quantity: 1, rate: 999.99, tax_rate: 18 },
+                { quantity: 3, rate: 33.33, tax_rate: 18 },
+                { quantity: 1, rate: 250.5, tax_rate: 5 },
+            ],
+        });
+
+        expect(totals.subtotal).toBe(1350.48);
+        expect(totals.taxAmount).toBe(210.53);
+        expect(totals.total).toBe(1561.01);
+    });
+
+    it('charges GST on discounted lines', () => {
+        const totals = calculateInvoiceTotals({
+            ...taxed,
+            services: [
+                { quantity: 1, rate: 15000, discount_type: 'percent', discount_value: 10, tax_rate: 18 },
+                { quantity: 1, rate: 4000, discount_type: 'flat', discount_value: 500, tax_rate: 18 },
+            ],
+        });
+
+        expect(totals.subtotal).toBe(17000);
+        expect(totals.taxAmount).toBe(3060);
+        expect(totals.total).toBe(20060);
+    });
+
+    it('takes a percentage invoice discount off subtotal + tax', () => {
+        const totals = calculateInvoiceTotals({
+            ...taxed,
+            services: [{ quantity: 1, rate: 10000, tax_rate: 18 }],
+            discount_type: 'percent',
+            discount_value: 5,
+        });
+
+        expect(totals.discountAmount).toBe(590);
+        expect(totals.total).toBe(11210);
+    });
+
+    it('rounds to the nearest rupee with round-off on', () => {
+        const values = { ...taxed, services: [{ quantity: 1, rate: 999.99, tax_rate: 18 }] };
+
+        expect(calculateInvoiceTotals(values).total).toBe(1179.99);
+        expect(calculateInvoiceTotals({ ...values, round_off: true })).toMatchObject({ total: 1180, roundOffAmount: 0.01 });
+        expect(calculateInvoiceTotals({ services: [{ quantity: 1, rate: 100.4 }], round_off: true }))
+            .toMatchObject({ total: 100, roundOffAmount: -0.4 });
+    });
+
+    it('never goes below zero', () => {
+        const totals = calculateInvoiceTotals({ services: [{ quantity: 1, rate: 100 }], discount_value: 250 });
+        expect(totals.total).toBe(0);
+    });
+});
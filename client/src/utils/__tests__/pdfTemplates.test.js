@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { PDF_TEMPLATES, DEFAULT_PDF_TEMPLATE, resolvePdfTemplate } from '../pdfTemplates';
+
+describe('resolvePdfTemplate', () => {
+    it('prefers the document template over the business default', () => {
+        expect(resolvePdfTemplate('thermal', 'compact')).toBe('thermal');
+    });
+
+    it('falls back to the business default when the document has none', () => {
+        expect(resolvePdfTemplate(null, 'detailed')).toBe('detailed');
+    });
+
+    it('ignores unknown ids and defaults to classic', () => {
+        expect(resolvePdfTemplate('fancy', undefined)).toBe(DEFAULT_PDF_TEMPLATE);
+        expect(resolvePdfTemplate()).toBe('classic');
+    });
+
+    it('lists classic first', () => {
+        expect(PDF_TEMPLATES[0]).toBe(DEFAULT_PDF_TEMPLATE);
+    });
+});
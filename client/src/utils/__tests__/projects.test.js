@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { getProjectProgress } from '../projects';
+
+describe('getProjectProgress', () => {
+    it('measures billing and payments against the contract value', () => {
+        expect(getProjectProgress({ contract_value: 250000, billed: 100000, received: 62500 }))
+            .toEqual({ billed: 40, received: 25 });
+    });
+
+    it('measures against what was billed before there is a contract', () => {
+        expect(getProjectProgress({ contract_value: null, billed: 8000, received: 2000 }))
+            .toEqual({ billed: 100, received: 25 });
+    });
+
+    it('caps at 100% and has nothing to show for an empty project', () => {
+        expect(getProjectProgress({ contract_value: 1000, billed: 1500, received: 1500 }))
+            .toEqual({ billed: 100, received: 100 });
+        expect(getProjectProgress({ contract_value: null, billed: 0, received: 0 })).toBeNull();
+    });
+});
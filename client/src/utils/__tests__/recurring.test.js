@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { getRecurringState, getRecurringDefaults } from '../recurring';
+
+describe('getRecurringState', () => {
+    it('is ended once there is no next run', () => {
+        expect(getRecurringState({ active: true, next_run_date: null })).toBe('ended');
+    });
+
+    it('is active or paused otherwise', () => {
+        expect(getRecurringState({ active: true, next_run_date: '2026-04-05' })).toBe('active');
+        expect(getRecurringState({ active: false, next_run_date: '2026-04-05' })).toBe('paused');
+    });
+});
+
+describe('getRecurringDefaults', () => {
+    it('repeats monthly on the invoice day with its payment terms', () => {
+        const values = getRecurringDefaults(
+            { customer_name: 'Ravi', invoice_date: '2026-03-05', due_date: '2026-03-20' },
+            '2026-03-10'
+        );
+        expect(values).toMatchObject({
+            name: 'Ravi',
+            frequency: 'monthly',
+            day_of_month: 5,
+            start_date: '2026-03-10',
+            due_days: 15,
+            auto_send: false,
+        });
+    });
+
+    it('leaves the terms empty without a due date', () => {
+        expect(getRecurringDefaults({ invoice_date: '2026-03-31', due_date: null }, '2026-04-01').due_days).toBe('');
+    });
+});
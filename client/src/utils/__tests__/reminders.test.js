@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { renderTemplate } from '../reminders';
+
+describe('renderTemplate', () => {
+    it('fills known placeholders', () => {
+        expect(
+            renderTemplate('Hi {customer_name}, {invoice_number} is due', {
+                customer_name: 'Ravi',
+                invoice_number: 'INV-0007',
+            })
+        ).toBe('Hi Ravi, INV-0007 is due');
+    });
+
+    it('leaves unknown or missing placeholders as written', () => {
+        expect(renderTemplate('{balance} {unknown}', {})).toBe('{balance} {unknown}');
+    });
+
+    it('treats an empty template as empty text', () => {
+        expect(renderTemplate(undefined, {})).toBe('');
+    });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import {
+    getFinancialYearStart,
+    getFinancialYearLabel,
+    getPresetRange,
+    getNiceMax,
+} from '../reports';
+
+describe('financial year', () => {
+    it('starts on 1 April', () => {
+        expect(getFinancialYearStart('2026-03-31')).toBe('2025-04-01');
+        expect(getFinancialYearStart('2026-04-01')).toBe('2026-04-01');
+        expect(getFinancialYearLabel('2027-01-15')).toBe('FY 2026–27');
+    });
+});
+
+describe('getPresetRange', () => {
+    it('covers this and last month', () => {
+        expect(getPresetRange('thisMonth', '2026-10-19')).toEqual({ from: '2026-10-01', to: '2026-10-19' });
+        expect(getPresetRange('lastMonth', '2026-01-19')).toEqual({ from: '2025-12-01', to: '2025-12-31' });
+        expect(getPresetRange('lastMonth', '2026-03-05')).toEqual({ from: '2026-02-01', to: '2026-02-28' });
+    });
+
+    it('covers this and last financial year', () => {
+        expect(getPresetRange('thisYear', '2026-10-19')).toEqual({ from: '2026-04-01', to: '2026-10-19' });
+        expect(getPresetRange('lastYear', '2026-02-10')).toEqual({ from: '2024-04-01', to: '2025-03-31' });
+    });
+});
+
+describe('getNiceMax', () => {
+    it('rounds up to a readable scale', () => {
+        expect(getNiceMax(0)).toBe(1);
+        expect(getNiceMax(830)).toBe(1000);
+        expect(getNiceMax(1800)).toBe(2000);
+        expect(getNiceMax(21000)).toBe(25000);
+        expect(getNiceMax(340000)).toBe(500000);
+        expect(getNiceMax(100)).toBe(100);
+    });
+});
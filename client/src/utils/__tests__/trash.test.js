@@ -0,0 +1,16 @@
+import { describe, it, expect } from 'vitest';
+import { getDaysLeft } from '../trash';
+
+describe('getDaysLeft', () => {
+    const now = new Date('2026-03-01T10:00:00Z');
+
+    it('counts part of a day as a whole day', () => {
+        expect(getDaysLeft('2026-03-08T09:00:00Z', now)).toBe(7);
+        expect(getDaysLeft('2026-03-01T11:00:00Z', now)).toBe(1);
+    });
+
+    it('is 0 once the purge is due', () => {
+        expect(getDaysLeft('2026-03-01T10:00:00Z', now)).toBe(0);
+        expect(getDaysLeft('2026-02-20T10:00:00Z', now)).toBe(0);
+    });
+});
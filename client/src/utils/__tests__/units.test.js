@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import {
+    roundQuantity,
+    lineAmount,
+    formatQuantity,
+    toFeetInches,
+    dimensionsToQuantity,
+    formatDimensions,
+} from '../units';
+
+describe('lineAmount', () => {
+    it('multiplies decimal quantities and rounds to paise', () => {
+        expect(lineAmount(42.5, 1.1)).toBe(46.75);
+        expect(lineAmount('12.345', '100')).toBe(1234.5);
+    });
+
+    it('treats blanks as zero', () => {
+        expect(lineAmount('', 500)).toBe(0);
+    });
+
+    it('keeps three decimals of quantity', () => {
+        expect(roundQuantity(1.23456)).toBe(1.235);
+    });
+});
+
+describe('formatQuantity', () => {
+    it('appends the unit and drops trailing zeros', () => {
+        expect(formatQuantity(42.5, 'sq.ft')).toBe('42.5 sq.ft');
+        expect(formatQuantity('3.000', 'nos')).toBe('3 nos');
+    });
+
+    it('prints the bare number without a unit', () => {
+        expect(formatQuantity(2)).toBe('2');
+    });
+});
+
+describe('dimensionsToQuantity', () => {
+    it('computes sq.ft from feet and inches', () => {
+        // 8' 6" × 5' = 42.5 sq.ft
+        expect(dimensionsToQuantity({ system: 'ft', length: 102, width: 60 }))
+            .toEqual({ quantity: 42.5, unit: 'sq.ft' });
+    });
+
+    it('computes running feet when there is no width', () => {
+        expect(dimensionsToQuantity({ system: 'ft', length: 150, width: null, count: 2 }))
+            .toEqual({ quantity: 25, unit: 'rft' });
+    });
+
+    it('converts millimetres to sq.ft', () => {
+        expect(dimensionsToQuantity({ system: 'mm', length: 2400, width: 600 }))
+            .toEqual({ quantity: 15.5, unit: 'sq.ft' });
+    });
+
+    it('returns null without a length', () => {
+        expect(dimensionsToQuantity({ system: 'ft', length: 0, width: 60 })).toBeNull();
+    });
+});
+
+describe('formatDimensions', () => {
+    it('formats feet and inches', () => {
+        expect(toFeetInches(102)).toEqual({ feet: 8, inches: 6 });
+        expect(formatDimensions({ system: 'ft', length: 102, width: 60, count: 2 })).toBe(`8' 6" × 5' × 2`);
+    });
+
+    it('formats millimetres', () => {
+        expect(formatDimensions({ system: 'mm', length: 2400, width: 600, count: 1 })).toBe('2400 × 600 mm');
+    });
+
+    it('is empty when there are no dimensions', () => {
+        expect(formatDimensions(null)).toBe('');
+    });
+});
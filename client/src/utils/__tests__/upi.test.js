@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { buildUpiLink, getInvoiceUpiLink } from '../upi';
+
+const business = { name: 'Crown Interiors', upi_id: 'crown@okaxis' };
+
+describe('buildUpiLink', () => {
+    it('builds a upi://pay link with payee, amount and note', () => {
+        expect(
+            buildUpiLink({ vpa: 'crown@okaxis', name: 'Crown Interiors', amount: 1500, note: 'CI-042' })
+        ).toBe('upi://pay?pa=crown@okaxis&pn=Crown%20Interiors&am=1500.00&cu=INR&tn=CI-042');
+    });
+
+    it('rounds the amount to paise', () => {
+        expect(buildUpiLink({ vpa: 'a@b', name: 'A', amount: 99.999 })).toContain('am=100.00');
+    });
+
+    it('leaves out the amount and note when not given', () => {
+        expect(buildUpiLink({ vpa: 'a@b', name: 'A & Sons' })).toBe(
+            'upi://pay?pa=a@b&pn=A%20%26%20Sons&cu=INR'
+        );
+    });
+});
+
+describe('getInvoiceUpiLink', () => {
+    const invoice = {
+        document_type: 'invoice',
+        invoice_number: 'CI-042',
+        total_amount: 5000,
+        balance_due: 2000,
+    };
+
+    it('collects the balance due', () => {
+        expect(getInvoiceUpiLink(invoice, business)).toContain('am=2000.00');
+    });
+
+    it('prefers the bank account holder name as payee', () => {
+        expect(getInvoiceUpiLink(invoice, { ...business, account_name: 'R Kumar' })).toContain(
+            'pn=R%20Kumar'
+        );
+    });
+
+    it('returns null for estimates, cancelled or paid invoices, or without a UPI ID', () => {
+        expect(getInvoiceUpiLink({ ...invoice, document_type: 'estimate' }, business)).toBeNull();
+        expect(getInvoiceUpiLink({ ...invoice, status: 'cancelled' }, business)).toBeNull();
+        expect(getInvoiceUpiLink({ ...invoice, balance_due: 0 }, business)).toBeNull();
+        expect(getInvoiceUpiLink(invoice, { name: 'Crown Interiors' })).toBeNull();
+        expect(getInvoiceUpiLink(invoice, null)).toBeNull();
+    });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { getShownChanges, getStatusKey, compareLines } from '../versions';
+
+describe('getShownChanges', () => {
+    it('orders known fields and counts the rest', () => {
+        const { shown, otherCount } = getShownChanges([
+            { field: 'total_amount', from: 100, to: 120 },
+            { field: 'customer_id', from: 'a', to: 'b' },
+            { field: 'status', from: 'draft', to: 'sent' },
+        ]);
+        expect(shown.map((c) => c.field)).toEqual(['status', 'total_amount']);
+        expect(shown[1]).toMatchObject({ label: 'invoice.total', kind: 'money', from: 100 });
+        expect(otherCount).toBe(1);
+    });
+});
+
+describe('getStatusKey', () => {
+    it('names statuses the way the translations do', () => {
+        expect(getStatusKey('sent')).toBe('status.sent');
+        expect(getStatusKey('partially_paid')).toBe('status.partiallyPaid');
+    });
+});
+
+describe('compareLines', () => {
+    it('counts added, removed and changed lines', () => {
+        const a = { description: 'Wardrobe', amount: 100 };
+        const b = { description: 'Shelf', amount: 50 };
+        expect(compareLines([a], [a, b])).toEqual({ added: 1, removed: 0, changed: 0 });
+        expect(compareLines([a, b], [{ ...a, amount: 120 }])).toEqual({ added: 0, removed: 1, changed: 1 });
+        expect(compareLines(null, [a])).toEqual({ added: 1, removed: 0, changed: 0 });
+    });
+});
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest';
+import { toWhatsAppNumber, buildWhatsAppUrl } from '../whatsapp';
+
+describe('toWhatsAppNumber', () => {
+    it('adds the India country code to a 10-digit number', () => {
+        expect(toWhatsAppNumber('98765 43210')).toBe('919876543210');
+    });
+
+    it('keeps an existing country code and strips symbols', () => {
+        expect(toWhatsAppNumber('+91-98765-43210')).toBe('919876543210');
+    });
+});
+
+describe('buildWhatsAppUrl', () => {
+    it('prefills the encoded message', () => {
+        expect(buildWhatsAppUrl('9876543210', 'Hi Ravi,\nPay ₹500 & thanks')).toBe(
+            'https://wa.me/919876543210?text=Hi%20Ravi%2C%0APay%20%E2%82%B9500%20%26%20thanks'
+        );
+    });
+});
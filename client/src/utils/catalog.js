@@ -0,0 +1,51 @@
+/**
+ * Helpers for the service / rate catalog.
+ */
+
+/**
+ * Sorts catalog items the way the server lists them: most-used first,
+ * then most recently used, then A–Z.
+ * @param {Object[]} items - Catalog items
+ * @returns {Object[]} A new, sorted array
+ */
+export const sortCatalog = (items) =>
+    [...items].sort(
+        (a, b) =>
+            (b.usage_count || 0) - (a.usage_count || 0) ||
+            (b.last_used_at || '').localeCompare(a.last_used_at || '') ||
+            a.description.localeCompare(b.description)
+    );
+
+/**
+ * Returns the catalog items matching what has been typed in a service
+ * description. Every word must appear in the description or category;
+ * the catalog's most-used-first order is kept.
+ * @param {Object[]} items - Catalog items (already sorted)
+ * @param {string} query - Text typed so far
+ * @param {number} [limit=6] - Maximum number of suggestions
+ * @returns {Object[]} Matching items
+ */
+export const filterCatalog = (items, query, limit = 6) => {
+    const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+    return items
+        .filter((item) => {
+            const haystack = `${item.description} ${item.category || ''}`.toLowerCase();
+            return words.every((word) => haystack.includes(word));
+        })
+        .slice(0, limit);
+};
+
+/**
+ * Builds a catalog item payload from an invoice service line
+ * ("save this line to catalog").
+ * @param {Object} line - Service line from the invoice form
+ * @returns {Object} Payload for POST /api/catalog
+ */
+export const catalogItemFromLine = (line) => ({
+    description: line.description.trim(),
+    unit: line.unit?.trim() || null,
+    default_rate: Number(line.rate) || 0,
+    hsn_sac: line.hsn_sac || null,
+    tax_rate: Number.isFinite(Number(line.tax_rate)) ? Number(line.tax_rate) : null,
+});
@@ -0,0 +1,69 @@
+/**
+ * Credit notes against invoices: which invoices can be credited, and the
+ * lines picked in the credit note form.
+ * Mirrors server/src/utils/creditNotes.js, which works out the amounts.
+ */
+
+/** Why a credit note is issued, in the order they are offered */
+export const CREDIT_NOTE_REASONS = ['return', 'cancellation', 'correction', 'other'];
+
+/** Invoice statuses a credit note can be issued against */
+export const CREDITABLE_STATUSES = ['sent', 'partially_paid', 'paid', 'overdue', 'credited'];
+
+/** Translation key naming each document type */
+export const DOCUMENT_TYPE_KEYS = {
+    invoice: 'invoice.title',
+    estimate: 'invoice.estimate',
+    credit_note: 'creditNotes.title',
+};
+
+/**
+ * Whether a credit note can still be issued against a document.
+ * @param {object} invoice - Document with document_type, status,
+ *   total_amount and amount_credited
+ * @returns {boolean}
+ */
+export const canIssueCreditNote = (invoice) =>
+    invoice.document_type === 'invoice'
+    && CREDITABLE_STATUSES.includes(invoice.status)
+    && Number(invoice.total_amount) - Number(invoice.amount_credited || 0) > 0;
+
+/**
+ * A document's amount as it counts towards what was billed: credit
+ * notes take money back, so they count negative.
+ * @param {object} document - Document with document_type and total_amount
+ * @returns {number}
+ */
+export const getSignedTotal = (document) =>
+    (document.document_type === 'credit_note' ? -1 : 1) * Number(document.total_amount || 0);
+
+/**
+ * The lines to send for a partial credit note.
+ * @param {object[]} lines - Creditable lines from the server (`{ line, remaining }`)
+ * @param {Object<number, string|number>} quantities - Quantity typed per line index
+ * @returns {Array<{ line: number, quantity: number }>} Lines with a quantity,
+ *   capped at what is left on each
+ */
+export const toCreditLines = (lines, quantities) =>
+    lines
+        .map(({ line, remaining }) => ({
+            line,
+            quantity: Math.min(Number(quantities[line]) || 0, remaining),
+        }))
+        .filter(({ quantity }) => quantity > 0);
+
+/**
+ * Value of the picked lines before GST and discounts, as a preview (the
+ * server works out the credit note's exact total).
+ * @param {object[]} lines - Creditable lines (`{ line, quantity, amount, remaining }`)
+ * @param {Object<number, string|number>} quantities - Quantity typed per line index
+ * @returns {number}
+ */
+export const getCreditPreview = (lines, quantities) => {
+    const byLine = Object.fromEntries(lines.map((l) => [l.line, l]));
+    const value = toCreditLines(lines, quantities).reduce((sum, { line, quantity }) => {
+        const { amount, quantity: invoiced } = byLine[line];
+        return sum + (Number(invoiced) > 0 ? (Number(amount) / Number(invoiced)) * quantity : 0);
+    }, 0);
+    return Math.round(value * 100) / 100;
+};
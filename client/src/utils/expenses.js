@@ -0,0 +1,76 @@
+/**
+ * Expense categories, month ranges and receipt photos.
+ * Mirrors server/src/utils/expenses.js, which works out job profit.
+ */
+
+/** Expense categories, in the order they are offered */
+export const EXPENSE_CATEGORIES = ['materials', 'hardware', 'labour', 'transport', 'other'];
+
+/** Icon shown beside each category */
+export const CATEGORY_ICONS = {
+    materials: '🪵',
+    hardware: '🔩',
+    labour: '👷',
+    transport: '🚚',
+    other: '🧾',
+};
+
+/** Receipt photos are shrunk to fit this box before uploading */
+const RECEIPT_MAX_SIZE = 1600;
+
+/**
+ * First and last date of a month.
+ * @param {string} month - "YYYY-MM"
+ * @returns {{ from: string, to: string }} YYYY-MM-DD dates
+ */
+export const getMonthRange = (month) => {
+    const [year, m] = month.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, m, 0)).getUTCDate();
+    return { from: `${month}-01`, to: `${month}-${String(lastDay).padStart(2, '0')}` };
+};
+
+/**
+ * The month a number of months before or after another.
+ * @param {string} month - "YYYY-MM"
+ * @param {number} delta - e.g. -1 for the previous month
+ * @returns {string} "YYYY-MM"
+ */
+export const shiftMonth = (month, delta) => {
+    const [year, m] = month.split('-').map(Number);
+    const date = new Date(Date.UTC(year, m - 1 + delta, 1));
+    return date.toISOString().slice(0, 7);
+};
+
+/**
+ * Adds up expenses per category, biggest first; empty categories are left out.
+ * @param {Array<{ category: string, amount: number|string }>} expenses
+ * @returns {Array<{ category: string, total: number }>}
+ */
+export const totalByCategory = (expenses) => {
+    const totals = {};
+    expenses.forEach((e) => {
+        totals[e.category] = (totals[e.category] || 0) + (Number(e.amount) || 0);
+    });
+    return Object.entries(totals)
+        .map(([category, total]) => ({ category, total: Math.round(total * 100) / 100 }))
+        .sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Reads a receipt photo and shrinks it to a JPEG data URL — phone photos
+ * are several MB, far more than a receipt needs.
+ * @param {File} file - Image picked from the camera or gallery
+ * @returns {Promise<string>} "data:image/jpeg;base64,..."
+ */
+export const shrinkReceiptPhoto = async (file) => {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, RECEIPT_MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    return canvas.toDataURL('image/jpeg', 0.8);
+};
@@ -19,6 +19,18 @@ export const formatCurrency = (amount, showDecimals = true) => {
   return new Intl.NumberFormat('en-IN', options).format(amount);
 };
 
+/**
+ * Format a small adjustment with an explicit sign and paise, e.g. the
+ * round-off row: +₹0.01, -₹0.40.
+ *
+ * @param {number} amount
+ * @returns {string}
+ */
+export const formatSignedCurrency = (amount) => {
+  const sign = amount > 0 ? '+' : amount < 0 ? '-' : '';
+  return `${sign}${formatCurrency(Math.abs(amount || 0))}`;
+};
+
 /**
  * Format amount in short form for dashboard stats.
  * ₹1,25,000 → ₹1.25L
@@ -1,4 +1,4 @@
-import { format, formatDistanceToNow, isValid, parseISO } from 'date-fns';
+import { differenceInCalendarDays, format, formatDistanceToNow, isValid, parseISO } from 'date-fns';
 
 /**
  * Format a date string to a readable format.
@@ -25,6 +25,19 @@ export const formatRelativeDate = (date) => {
   return formatDistanceToNow(parsed, { addSuffix: true });
 };
 
+/**
+ * Number of days a due date is in the past (0 if not yet due).
+ * @param {string|Date} dueDate
+ * @param {Date} [today=new Date()]
+ * @returns {number}
+ */
+export const getDaysOverdue = (dueDate, today = new Date()) => {
+  if (!dueDate) return 0;
+  const parsed = typeof dueDate === 'string' ? parseISO(dueDate) : dueDate;
+  if (!isValid(parsed)) return 0;
+  return Math.max(differenceInCalendarDays(today, parsed), 0);
+};
+
 /**
  * Get the time of day for greeting.
  * @returns {'morning'|'afternoon'|'evening'}
@@ -0,0 +1,158 @@
+/**
+ * GST helpers for invoice forms and previews.
+ * Mirrors server/src/utils/gst.js so the form shows the same
+ * CGST/SGST/IGST split the PDF will print.
+ */
+
+import { roundMoney } from './units';
+
+/** GST rate slabs (percent) selectable on a line item */
+export const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+/** Default rate for new line items (most carpentry & interior work) */
+export const DEFAULT_GST_RATE = 18;
+
+/** Home state of the business when no GSTIN has been entered (Tamil Nadu) */
+export const DEFAULT_STATE_CODE = '33';
+
+/** GST state / union territory codes, used for place of supply */
+export const GST_STATES = [
+    { code: '01', name: 'Jammu and Kashmir' },
+    { code: '02', name: 'Himachal Pradesh' },
+    { code: '03', name: 'Punjab' },
+    { code: '04', name: 'Chandigarh' },
+    { code: '05', name: 'Uttarakhand' },
+    { code: '06', name: 'Haryana' },
+    { code: '07', name: 'Delhi' },
+    { code: '08', name: 'Rajasthan' },
+    { code: '09', name: 'Uttar Pradesh' },
+    { code: '10', name: 'Bihar' },
+    { code: '11', name: 'Sikkim' },
+    { code: '12', name: 'Arunachal Pradesh' },
+    { code: '13', name: 'Nagaland' },
+    { code: '14', name: 'Manipur' },
+    { code: '15', name: 'Mizoram' },
+    { code: '16', name: 'Tripura' },
+    { code: '17', name: 'Meghalaya' },
+    { code: '18', name: 'Assam' },
+    { code: '19', name: 'West Bengal' },
+    { code: '20', name: 'Jharkhand' },
+    { code: '21', name: 'Odisha' },
+    { code: '22', name: 'Chhattisgarh' },
+    { code: '23', name: 'Madhya Pradesh' },
+    { code: '24', name: 'Gujarat' },
+    { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu' },
+    { code: '27', name: 'Maharashtra' },
+    { code: '29', name: 'Karnataka' },
+    { code: '30', name: 'Goa' },
+    { code: '31', name: 'Lakshadweep' },
+    { code: '32', name: 'Kerala' },
+    { code: '33', name: 'Tamil Nadu' },
+    { code: '34', name: 'Puducherry' },
+    { code: '35', name: 'Andaman and Nicobar Islands' },
+    { code: '36', name: 'Telangana' },
+    { code: '37', name: 'Andhra Pradesh' },
+    { code: '38', name: 'Ladakh' },
+    { code: '97', name: 'Other Territory' },
+];
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+
+/**
+ * Validate a GSTIN's format, state code and check digit.
+ * @param {string} gstin
+ * @returns {boolean}
+ */
+export const isValidGstin = (gstin) => {
+    if (typeof gstin !== 'string') return false;
+    const value = gstin.trim().toUpperCase();
+    if (!GSTIN_PATTERN.test(value)) return false;
+    if (!GST_STATES.some((s) => s.code === value.slice(0, 2))) return false;
+
+    // Check digit: weighted base-36 sum of the first 14 characters
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+        const product = GSTIN_CHARSET.indexOf(value[i]) * (i % 2 === 0 ? 1 : 2);
+        sum += Math.floor(product / 36) + (product % 36);
+    }
+    return value[14] === GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+/**
+ * Two-digit state code of a GSTIN (null if empty or invalid).
+ * @param {string} gstin
+ * @returns {string|null}
+ */
+export const getStateCode = (gstin) => (isValidGstin(gstin) ? gstin.trim().slice(0, 2) : null);
+
+/**
+ * Display name for a state code, e.g. "Tamil Nadu (33)".
+ * @param {string} code
+ * @returns {string}
+ */
+export const formatPlaceOfSupply = (code) => {
+    const state = GST_STATES.find((s) => s.code === code);
+    return state ? `${state.name} (${code})` : code || '';
+};
+
+/**
+ * Group taxable value and tax by GST rate and split it into
+ * CGST + SGST (intra-state) or IGST (inter-state).
+ * Lines without their own `tax_rate` use the invoice-level `taxPercentage`.
+ *
+ * @param {Object} params
+ * @param {Array} params.services - Line items ({ quantity, rate, amount?, tax_rate? })
+ * @param {boolean} params.taxEnabled
+ * @param {number} [params.taxPercentage] - Fallback rate for legacy lines
+ * @param {string} [params.businessGstin]
+ * @param {string} [params.placeOfSupply] - State code
+ * @returns {{ rows: Array, cgst: number, sgst: number, igst: number, totalTax: number, interState: boolean }}
+ */
+export const buildTaxSummary = ({
+    services = [],
+    taxEnabled,
+    taxPercentage = 0,
+    businessGstin,
+    placeOfSupply,
+}) => {
+    const businessState = getStateCode(businessGstin);
+    const interState = Boolean(businessState && placeOfSupply && businessState !== placeOfSupply);
+    const byRate = new Map();
+
+    if (taxEnabled) {
+        services.forEach((line) => {
+            const rate = Number(line.tax_rate ?? taxPercentage) || 0;
+            const amount = Number(line.amount ?? Number(line.quantity) * Number(line.rate)) || 0;
+            byRate.set(rate, (byRate.get(rate) || 0) + amount);
+        });
+    }
+
+    const rows = [...byRate.entries()]
+        .filter(([rate]) => rate > 0)
+        .sort(([a], [b]) => a - b)
+        .map(([rate, taxable]) => {
+            const tax = roundMoney((taxable * rate) / 100);
+            const half = roundMoney(tax / 2);
+            return {
+                rate,
+                taxable: roundMoney(taxable),
+                cgst: interState ? 0 : half,
+                sgst: interState ? 0 : roundMoney(tax - half),
+                igst: interState ? tax : 0,
+                tax,
+            };
+        });
+
+    const sum = (key) => roundMoney(rows.reduce((total, row) => total + row[key], 0));
+
+    return {
+        rows,
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst'),
+        totalTax: sum('tax'),
+        interState,
+    };
+};
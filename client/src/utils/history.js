@@ -0,0 +1,110 @@
+/**
+ * Invoice History filters, kept in the page URL so a filtered view
+ * survives reloads and can be linked to (the Dashboard opens
+ * /history?status=overdue). Defaults are left out of the URL.
+ */
+
+/** Document types that can be filtered on */
+export const HISTORY_TYPES = ['all', 'invoice', 'estimate', 'credit_note'];
+
+/** Statuses that can be filtered on ('overdue' is matched by due date on the server) */
+export const HISTORY_STATUSES = [
+    'all', 'draft', 'sent', 'accepted', 'rejected', 'partially_paid', 'paid', 'credited', 'overdue',
+    'cancelled',
+];
+
+/** Sort orders the server understands */
+export const HISTORY_SORTS = ['newest', 'oldest', 'amount_high', 'amount_low'];
+
+/** Invoices loaded per page */
+export const HISTORY_PAGE_SIZE = 20;
+
+export const DEFAULT_HISTORY_FILTERS = {
+    search: '',
+    type: 'all',
+    status: 'all',
+    sort: 'newest',
+};
+
+const pick = (value, allowed) => (allowed.includes(value) ? value : allowed[0]);
+
+/**
+ * Reads the filters from the URL, ignoring unknown values.
+ * @param {URLSearchParams} params
+ * @returns {{ search: string, type: string, status: string, sort: string }}
+ */
+export const readHistoryFilters = (params) => ({
+    search: (params.get('q') || '').trim(),
+    type: pick(params.get('type'), HISTORY_TYPES),
+    status: pick(params.get('status'), HISTORY_STATUSES),
+    sort: pick(params.get('sort'), HISTORY_SORTS),
+});
+
+/**
+ * URL query for a set of filters, without the defaults.
+ * @param {object} filters - As returned by readHistoryFilters
+ * @returns {Object<string, string>}
+ */
+export const toHistoryParams = (filters) => {
+    const params = {};
+    if (filters.search) params.q = filters.search;
+    if (filters.type !== DEFAULT_HISTORY_FILTERS.type) params.type = filters.type;
+    if (filters.status !== DEFAULT_HISTORY_FILTERS.status) params.status = filters.status;
+    if (filters.sort !== DEFAULT_HISTORY_FILTERS.sort) params.sort = filters.sort;
+    return params;
+};
+
+/**
+ * Whether any filter narrows the list.
+ * @param {object} filters
+ * @returns {boolean}
+ */
+export const hasHistoryFilters = (filters) =>
+    Boolean(filters.search) || filters.type !== 'all' || filters.status !== 'all';
+
+/**
+ * GET /api/invoices query for one page of a filtered list.
+ * @param {object} filters
+ * @param {number} page - 1-indexed
+ * @returns {object}
+ */
+export const toInvoiceQuery = (filters, page) => ({
+    type: filters.type,
+    status: filters.status,
+    search: filters.search || undefined,
+    sort: filters.sort,
+    page,
+    limit: HISTORY_PAGE_SIZE,
+});
+
+/**
+ * Appends a page to a list, dropping rows already in it (an invoice
+ * created while scrolling shifts later pages by one).
+ * @param {object[]} list
+ * @param {object[]} page
+ * @returns {object[]}
+ */
+export const appendPage = (list, page) => {
+    const seen = new Set(list.map((item) => item.id));
+    return [...list, ...page.filter((item) => !seen.has(item.id))];
+};
+
+/**
+ * Rows of a fixed-height list to render for the part of it on screen.
+ * @param {Object} view
+ * @param {number} view.scrollTop - How far the list's top has scrolled above the viewport
+ * @param {number} view.viewportHeight
+ * @param {number} view.rowHeight - Height of one row, including the gap below it
+ * @param {number} view.count - Number of rows
+ * @param {number} [view.overscan=5] - Extra rows rendered above and below
+ * @returns {{ start: number, end: number }} Row indexes, end exclusive
+ */
+export const getVisibleRange = ({ scrollTop, viewportHeight, rowHeight, count, overscan = 5 }) => {
+    if (count === 0 || !(rowHeight > 0)) return { start: 0, end: Math.min(count, overscan * 2) };
+    const first = Math.floor(Math.max(scrollTop, 0) / rowHeight);
+    const last = Math.ceil((Math.max(scrollTop, 0) + viewportHeight) / rowHeight);
+    return {
+        start: Math.min(Math.max(first - overscan, 0), count),
+        end: Math.min(last + overscan, count),
+    };
+};
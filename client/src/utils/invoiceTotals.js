@@ -0,0 +1,84 @@
+/**
+ * Invoice totals for the create / edit forms.
+ * Mirrors server/src/utils/invoiceTotals.js, which recomputes these
+ * figures on save and rejects totals that don't match — so the rules
+ * here must stay identical:
+ *   - Line amount = quantity × rate − line discount (GST is charged on it)
+ *   - GST is rounded once per rate slab
+ *   - The invoice discount comes off after tax; a percentage is of subtotal + tax
+ *   - Total never goes below zero and, with round-off on, is rounded to
+ *     the nearest rupee (half a rupee rounds up)
+ */
+
+import { buildTaxSummary } from './gst';
+import { roundMoney, roundQuantity, lineAmount } from './units';
+
+/** Ways a discount can be given */
+export const DISCOUNT_TYPES = ['flat', 'percent'];
+
+/**
+ * Rupee value of a discount on a base amount, capped at the base.
+ * @param {number} base - Amount the discount applies to
+ * @param {string} [type='flat'] - 'flat' (rupees) or 'percent'
+ * @param {number|string} [value=0]
+ * @returns {number}
+ */
+export const calculateDiscount = (base, type = 'flat', value = 0) => {
+    const amount = type === 'percent'
+        ? (base * (Number(value) || 0)) / 100
+        : Number(value) || 0;
+    return Math.min(roundMoney(amount), roundMoney(base));
+};
+
+/**
+ * Amounts of one service line.
+ * @param {Object} line - `{ quantity, rate, discount_type?, discount_value? }`
+ * @returns {{ gross: number, discount: number, amount: number }}
+ */
+export const calculateLine = (line) => {
+    const gross = lineAmount(line.quantity, line.rate);
+    const discount = calculateDiscount(gross, line.discount_type, line.discount_value);
+    return { gross, discount, amount: roundMoney(gross - discount) };
+};
+
+/**
+ * Recomputes every figure of an invoice from the form values.
+ * @param {Object} values - `services`, `tax_enabled`, `tax_percentage`,
+ *   `business_gstin`, `place_of_supply`, `discount_type`, `discount_value`, `round_off`
+ * @returns {{ services: Array, subtotal: number, taxSummary: Object, taxAmount: number,
+ *   discountAmount: number, roundOffAmount: number, total: number }}
+ */
+export const calculateInvoiceTotals = (values) => {
+    const services = (values.services || []).map((line) => {
+        const { discount, amount } = calculateLine(line);
+        return { ...line, quantity: roundQuantity(line.quantity), discount_amount: discount, amount };
+    });
+
+    const subtotal = roundMoney(services.reduce((sum, line) => sum + line.amount, 0));
+    const taxSummary = buildTaxSummary({
+        services,
+        taxEnabled: values.tax_enabled,
+        taxPercentage: values.tax_percentage,
+        businessGstin: values.business_gstin,
+        placeOfSupply: values.place_of_supply,
+    });
+    const taxAmount = taxSummary.totalTax;
+    const discountAmount = calculateDiscount(
+        roundMoney(subtotal + taxAmount),
+        values.discount_type,
+        values.discount_value
+    );
+
+    const exact = Math.max(roundMoney(subtotal + taxAmount - discountAmount), 0);
+    const total = values.round_off ? Math.round(exact) : exact;
+
+    return {
+        services,
+        subtotal,
+        taxSummary,
+        taxAmount,
+        discountAmount,
+        roundOffAmount: roundMoney(total - exact),
+        total,
+    };
+};
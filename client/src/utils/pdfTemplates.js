@@ -0,0 +1,18 @@
+/**
+ * PDF templates a document can be printed in.
+ * Mirrors server/src/utils/pdfTemplates.js — a document uses its own
+ * template when set, otherwise the business default, otherwise "classic".
+ */
+
+/** Template ids, in the order shown by the picker */
+export const PDF_TEMPLATES = ['classic', 'compact', 'detailed', 'thermal'];
+
+export const DEFAULT_PDF_TEMPLATE = 'classic';
+
+/**
+ * Picks the first known template id from the candidates, in priority order.
+ * @param {...(string|null|undefined)} candidates - e.g. the document's template, then the business default
+ * @returns {string} One of PDF_TEMPLATES
+ */
+export const resolvePdfTemplate = (...candidates) =>
+    candidates.find((id) => PDF_TEMPLATES.includes(id)) || DEFAULT_PDF_TEMPLATE;
@@ -0,0 +1,30 @@
+/**
+ * Project stages and progress.
+ * The money summary itself is worked out by server/src/utils/projects.js.
+ */
+
+/** Stages of a project, in the order they usually happen */
+export const PROJECT_STAGES = ['planning', 'in_progress', 'on_hold', 'completed'];
+
+/** Badge variant for each stage */
+export const STAGE_BADGES = {
+    planning: 'default',
+    in_progress: 'info',
+    on_hold: 'warning',
+    completed: 'success',
+};
+
+/**
+ * How much of a project has been billed and received, as percentages of
+ * the contract value (or of what was billed, before there is a contract).
+ * @param {Object} summary - Project summary (contract_value, billed, received)
+ * @returns {{ billed: number, received: number }|null} Whole percentages, capped
+ *   at 100; null when there is nothing to measure against
+ */
+export const getProjectProgress = (summary) => {
+    const base = Number(summary?.contract_value ?? summary?.billed ?? 0);
+    if (!(base > 0)) return null;
+
+    const percent = (value) => Math.min(Math.round((Number(value || 0) / base) * 100), 100);
+    return { billed: percent(summary.billed), received: percent(summary.received) };
+};
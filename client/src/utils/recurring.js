@@ -0,0 +1,46 @@
+import { differenceInCalendarDays, parseISO } from 'date-fns';
+
+/**
+ * Recurring invoice options and profile states.
+ * Runs are scheduled (and invoices made) by server/src/utils/recurring.js
+ * and the recurring job.
+ */
+
+/** How often a profile runs */
+export const RECURRING_FREQUENCIES = ['monthly', 'quarterly', 'half_yearly', 'yearly'];
+
+/** Badge variant for each profile state */
+export const RECURRING_STATE_BADGES = {
+    active: 'success',
+    paused: 'warning',
+    ended: 'default',
+};
+
+/**
+ * Whether a profile is running, paused, or past its end date.
+ * @param {Object} profile - `{ active, next_run_date }`
+ * @returns {'active'|'paused'|'ended'}
+ */
+export const getRecurringState = (profile) => {
+    if (!profile.next_run_date) return 'ended';
+    return profile.active ? 'active' : 'paused';
+};
+
+/**
+ * A new profile's values for an invoice: monthly on the invoice's day of
+ * the month from today, with the invoice's own payment terms.
+ * @param {Object} invoice - `{ customer_name, invoice_date, due_date }`
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object} Form values
+ */
+export const getRecurringDefaults = (invoice, today) => ({
+    name: invoice.customer_name || '',
+    frequency: 'monthly',
+    day_of_month: Number(invoice.invoice_date.slice(8, 10)),
+    start_date: today,
+    end_date: '',
+    due_days: invoice.due_date
+        ? Math.max(differenceInCalendarDays(parseISO(invoice.due_date), parseISO(invoice.invoice_date)), 0)
+        : '',
+    auto_send: false,
+});
@@ -0,0 +1,31 @@
+/**
+ * Payment reminder options and template previews.
+ * Mirrors server/src/utils/reminders.js, which decides when reminders
+ * are due and builds the messages that are actually sent.
+ */
+
+/** Invoices that still have money owing (the server's OPEN_STATUSES) */
+export const REMINDABLE_STATUSES = ['sent', 'partially_paid', 'overdue'];
+
+/** Kinds of reminder, by where they fall relative to the due date */
+export const REMINDER_KINDS = ['before_due', 'on_due', 'overdue'];
+
+/** Ways a reminder can be sent; WhatsApp is opened by hand */
+export const REMINDER_CHANNELS = ['whatsapp', 'sms', 'email'];
+
+/** Languages a reminder can be written in */
+export const REMINDER_LANGUAGES = ['en', 'ta'];
+
+/** Values a template can use, written as {name} */
+export const PLACEHOLDERS = ['customer_name', 'invoice_number', 'balance', 'due_date', 'business_name'];
+
+/**
+ * Fills {placeholders} in a template; unknown placeholders are left as-is.
+ * @param {string} template
+ * @param {Object} values - Placeholder values by name
+ * @returns {string}
+ */
+export const renderTemplate = (template, values) =>
+    (template || '').replace(/\{(\w+)\}/g, (match, name) =>
+        PLACEHOLDERS.includes(name) && values[name] != null ? String(values[name]) : match
+    );
@@ -0,0 +1,80 @@
+/**
+ * Report date ranges and chart scales.
+ * Mirrors server/src/utils/reports.js, which works out the reports.
+ */
+
+import { format } from 'date-fns';
+
+/** Date range presets, in the order they are offered */
+export const RANGE_PRESETS = ['thisMonth', 'lastMonth', 'thisYear', 'lastYear', 'custom'];
+
+/** Ageing buckets of outstanding amounts, youngest first */
+export const AGEING_BUCKETS = ['0_30', '31_60', '61_90', '90_plus'];
+
+/**
+ * Today as YYYY-MM-DD in the device's time zone.
+ * @returns {string}
+ */
+export const getToday = () => format(new Date(), 'yyyy-MM-dd');
+
+/**
+ * First day of the financial year (1 April) a date falls in.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+export const getFinancialYearStart = (date) => {
+    const year = Number(date.slice(0, 4));
+    const month = Number(date.slice(5, 7));
+    return `${month >= 4 ? year : year - 1}-04-01`;
+};
+
+/**
+ * Financial year label, e.g. "FY 2026–27".
+ * @param {string} date - Any date in the year (YYYY-MM-DD)
+ * @returns {string}
+ */
+export const getFinancialYearLabel = (date) => {
+    const start = Number(getFinancialYearStart(date).slice(0, 4));
+    return `FY ${start}–${String(start + 1).slice(2)}`;
+};
+
+/**
+ * The dates a preset covers. "This" ranges end today.
+ * @param {string} preset - One of RANGE_PRESETS except 'custom'
+ * @param {string} [today] - YYYY-MM-DD
+ * @returns {{ from: string, to: string }}
+ */
+export const getPresetRange = (preset, today = getToday()) => {
+    const year = Number(today.slice(0, 4));
+    const month = Number(today.slice(5, 7));
+
+    switch (preset) {
+        case 'thisMonth':
+            return { from: `${today.slice(0, 7)}-01`, to: today };
+        case 'lastMonth': {
+            const first = new Date(Date.UTC(year, month - 2, 1));
+            const last = new Date(Date.UTC(year, month - 1, 0));
+            return { from: first.toISOString().slice(0, 10), to: last.toISOString().slice(0, 10) };
+        }
+        case 'lastYear': {
+            const start = Number(getFinancialYearStart(today).slice(0, 4)) - 1;
+            return { from: `${start}-04-01`, to: `${start + 1}-03-31` };
+        }
+        case 'thisYear':
+        default:
+            return { from: getFinancialYearStart(today), to: today };
+    }
+};
+
+/**
+ * A round number at or above the largest value, for a chart's top line
+ * (1, 2, 2.5 or 5 times a power of ten).
+ * @param {number} max - Largest value shown
+ * @returns {number}
+ */
+export const getNiceMax = (max) => {
+    if (!(max > 0)) return 1;
+    const power = 10 ** Math.floor(Math.log10(max));
+    const step = [1, 2, 2.5, 5, 10].find((s) => s * power >= max);
+    return step * power;
+};
@@ -0,0 +1,22 @@
+/**
+ * Trash options and purge countdown.
+ * Mirrors server/src/utils/trash.js, whose purge job removes documents
+ * once they have been in the Trash for the retention period.
+ */
+
+/** Retention periods offered in the Trash, in days */
+export const RETENTION_OPTIONS = [7, 30, 90, 365];
+
+/** Days a document stays in the Trash unless the user changes it */
+export const DEFAULT_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days left before a document in the Trash is purged (0 when due).
+ * @param {string} purgeAt - ISO timestamp from the server
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export const getDaysLeft = (purgeAt, now = new Date()) =>
+    Math.max(0, Math.ceil((new Date(purgeAt).getTime() - now.getTime()) / DAY_MS));
@@ -0,0 +1,110 @@
+/**
+ * Units of measure and the dimensions helper for line items.
+ * Mirrors server/src/utils/units.js so the form shows quantities the
+ * same way the PDF prints them.
+ *
+ * Dimensions are stored on the line as `{ system, length, width, count }`:
+ * lengths are in inches for the "ft" system and in millimetres for "mm";
+ * `width` is empty for running measurements.
+ */
+
+/** Units suggested on a line item (any short text is accepted) */
+export const UNITS = ['nos', 'sq.ft', 'rft', 'sq.m', 'rmt', 'hrs', 'days', 'set', 'lot'];
+
+/** Measuring systems for the dimensions helper */
+export const DIMENSION_SYSTEMS = ['ft', 'mm'];
+
+const INCHES_PER_FOOT = 12;
+const MM_PER_FOOT = 304.8;
+
+/**
+ * Rounds a rupee amount to paise, half-paise up — the rule the server
+ * uses when it recomputes totals (server/src/utils/invoiceTotals.js).
+ * @param {number|string} value
+ * @returns {number}
+ */
+export const roundMoney = (value) => Math.round(((Number(value) || 0) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Rounds a quantity to 3 decimals (the precision the server keeps).
+ * @param {number|string} value
+ * @returns {number}
+ */
+export const roundQuantity = (value) => Math.round(((Number(value) || 0) + Number.EPSILON) * 1000) / 1000;
+
+/**
+ * Line amount (quantity × rate), rounded to paise.
+ * @param {number|string} quantity
+ * @param {number|string} rate
+ * @returns {number}
+ */
+export const lineAmount = (quantity, rate) =>
+    roundMoney(roundQuantity(quantity) * (Number(rate) || 0));
+
+/**
+ * Formats a quantity with its unit, e.g. "42.5 sq.ft" (or just "3").
+ * @param {number|string} quantity
+ * @param {string} [unit]
+ * @returns {string}
+ */
+export const formatQuantity = (quantity, unit) => {
+    const qty = String(roundQuantity(quantity));
+    return unit ? `${qty} ${unit}` : qty;
+};
+
+/**
+ * Splits inches into feet and inches, e.g. 102 → { feet: 8, inches: 6 }.
+ * @param {number} totalInches
+ * @returns {{ feet: number, inches: number }}
+ */
+export const toFeetInches = (totalInches) => {
+    const feet = Math.floor((Number(totalInches) || 0) / INCHES_PER_FOOT);
+    const inches = parseFloat(((Number(totalInches) || 0) - feet * INCHES_PER_FOOT).toFixed(2));
+    return { feet, inches };
+};
+
+const formatFeetInches = (totalInches) => {
+    const { feet, inches } = toFeetInches(totalInches);
+    if (!inches) return `${feet}'`;
+    return feet ? `${feet}' ${inches}"` : `${inches}"`;
+};
+
+/**
+ * Computes the quantity for a set of dimensions: length × width in sq.ft,
+ * or running feet when there is no width, multiplied by the count.
+ * @param {{ system: string, length: number, width?: number, count?: number }} dims
+ * @returns {{ quantity: number, unit: string } | null} null when the length is missing
+ */
+export const dimensionsToQuantity = (dims) => {
+    const length = Number(dims?.length) || 0;
+    if (length <= 0) return null;
+
+    const perFoot = dims.system === 'mm' ? MM_PER_FOOT : INCHES_PER_FOOT;
+    const width = Number(dims.width) || 0;
+    const count = Number(dims.count) || 1;
+
+    const feet = width > 0
+        ? (length / perFoot) * (width / perFoot)
+        : length / perFoot;
+
+    return {
+        quantity: parseFloat((feet * count).toFixed(2)),
+        unit: width > 0 ? 'sq.ft' : 'rft',
+    };
+};
+
+/**
+ * Formats dimensions for display, e.g. `8' 6" × 5' × 2` or `2400 × 600 mm`.
+ * @param {Object} [dims]
+ * @returns {string} Empty string when there are no dimensions
+ */
+export const formatDimensions = (dims) => {
+    if (!dims || !(Number(dims.length) > 0)) return '';
+
+    const sides = [dims.length, dims.width].filter((v) => Number(v) > 0);
+    const text = dims.system === 'mm'
+        ? `${sides.join(' × ')} mm`
+        : sides.map(formatFeetInches).join(' × ');
+
+    return Number(dims.count) > 1 ? `${text} × ${dims.count}` : text;
+};
@@ -0,0 +1,54 @@
+/**
+ * UPI payment links for the "scan to pay" QR code.
+ * Mirrors server/src/utils/upi.js so the QR on screen encodes the
+ * same link as the one printed on the PDF.
+ */
+
+/**
+ * Builds a UPI payment deep link.
+ * @param {Object} params
+ * @param {string} params.vpa - Payee UPI ID (e.g., "crown@okaxis")
+ * @param {string} params.name - Payee name shown in the UPI app
+ * @param {number} [params.amount] - Amount in rupees (omitted when not positive)
+ * @param {string} [params.note] - Transaction note (e.g., the invoice number)
+ * @returns {string} e.g. "upi://pay?pa=crown@okaxis&pn=Crown%20Interiors&am=1500.00&cu=INR&tn=CI-042"
+ */
+export const buildUpiLink = ({ vpa, name, amount, note }) => {
+    const params = [
+        ['pa', vpa],
+        ['pn', name],
+        ...(amount > 0 ? [['am', (Math.round(amount * 100) / 100).toFixed(2)]] : []),
+        ['cu', 'INR'],
+        ...(note ? [['tn', note]] : []),
+    ];
+
+    // "@" is legal in a query string and some UPI apps reject "%40" in the VPA
+    return `upi://pay?${params
+        .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`)
+        .join('&')}`;
+};
+
+/**
+ * Builds the UPI link for collecting an invoice's balance due.
+ * @param {Object} invoice - Invoice record (document_type, status, total_amount, balance_due)
+ * @param {Object|null} business - Business profile (`upi_id`, `account_name`, `name`)
+ * @returns {string|null} The link, or null when there is nothing to collect
+ */
+export const getInvoiceUpiLink = (invoice, business) => {
+    const balanceDue = Number(invoice.balance_due ?? invoice.total_amount);
+    if (
+        invoice.document_type !== 'invoice' ||
+        invoice.status === 'cancelled' ||
+        !business?.upi_id ||
+        !(balanceDue > 0)
+    ) {
+        return null;
+    }
+
+    return buildUpiLink({
+        vpa: business.upi_id,
+        name: business.account_name || business.name,
+        amount: balanceDue,
+        note: invoice.invoice_number,
+    });
+};
@@ -0,0 +1,87 @@
+/**
+ * A document's history timeline: which changes are shown, how each
+ * field reads, and what happened to its lines.
+ * Events come from server/src/utils/invoiceHistory.js.
+ */
+
+/** Events that change the document (each one is a version with a PDF) */
+export const CHANGE_ACTIONS = ['history_started', 'created', 'updated', 'status_changed'];
+
+/**
+ * Fields shown on the timeline, in the order they are listed, with their
+ * label and how their values read. Other changed fields (ids, stored
+ * PDF links…) are only counted.
+ */
+export const CHANGE_FIELDS = {
+    status: { label: 'versions.fields.status', kind: 'status' },
+    invoice_date: { label: 'invoice.date', kind: 'date' },
+    due_date: { label: 'invoice.dueDate', kind: 'date' },
+    customer_name: { label: 'invoice.customerName', kind: 'text' },
+    customer_phone: { label: 'invoice.phone', kind: 'text' },
+    customer_address: { label: 'invoice.address', kind: 'text' },
+    customer_email: { label: 'invoice.email', kind: 'text' },
+    customer_gstin: { label: 'invoice.customerGstin', kind: 'text' },
+    business_gstin: { label: 'invoice.businessGstin', kind: 'text' },
+    place_of_supply: { label: 'invoice.placeOfSupply', kind: 'text' },
+    services: { label: 'invoice.services', kind: 'lines' },
+    subtotal: { label: 'invoice.subtotal', kind: 'money' },
+    tax_enabled: { label: 'versions.fields.taxEnabled', kind: 'boolean' },
+    tax_percentage: { label: 'invoice.taxPercentage', kind: 'percent' },
+    tax_amount: { label: 'invoice.tax', kind: 'money' },
+    discount_amount: { label: 'invoice.discount', kind: 'money' },
+    round_off_amount: { label: 'invoice.roundOff', kind: 'money' },
+    total_amount: { label: 'invoice.total', kind: 'money' },
+    amount_paid: { label: 'versions.fields.amountPaid', kind: 'money' },
+    amount_credited: { label: 'versions.fields.amountCredited', kind: 'money' },
+    notes: { label: 'invoice.notes', kind: 'text' },
+    pdf_template: { label: 'versions.fields.pdfTemplate', kind: 'template' },
+};
+
+const FIELD_ORDER = Object.keys(CHANGE_FIELDS);
+
+/**
+ * Translation key of a status.
+ * @param {string} status - e.g. 'partially_paid'
+ * @returns {string} e.g. 'status.partiallyPaid'
+ */
+export const getStatusKey = (status) =>
+    `status.${status.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase())}`;
+
+/**
+ * Splits an event's changes into those shown (in display order, each
+ * with its label and kind) and a count of the rest.
+ * @param {{ field: string, from: *, to: * }[]} changes
+ * @returns {{ shown: object[], otherCount: number }}
+ */
+export const getShownChanges = (changes = []) => {
+    const shown = changes
+        .filter((c) => CHANGE_FIELDS[c.field])
+        .sort((a, b) => FIELD_ORDER.indexOf(a.field) - FIELD_ORDER.indexOf(b.field))
+        .map((c) => ({ ...c, ...CHANGE_FIELDS[c.field] }));
+
+    return { shown, otherCount: changes.length - shown.length };
+};
+
+/**
+ * What happened to a document's lines between two versions, matching
+ * lines by position.
+ * @param {object[]|null} from - Lines before
+ * @param {object[]|null} to - Lines after
+ * @returns {{ added: number, removed: number, changed: number }}
+ */
+export const compareLines = (from, to) => {
+    const before = from || [];
+    const after = to || [];
+    const common = Math.min(before.length, after.length);
+
+    let changed = 0;
+    for (let i = 0; i < common; i += 1) {
+        if (JSON.stringify(before[i]) !== JSON.stringify(after[i])) changed += 1;
+    }
+
+    return {
+        added: Math.max(after.length - before.length, 0),
+        removed: Math.max(before.length - after.length, 0),
+        changed,
+    };
+};
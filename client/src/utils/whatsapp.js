@@ -0,0 +1,24 @@
+/**
+ * WhatsApp click-to-chat links (wa.me), used to share invoices and to
+ * send payment reminders from the phone's own WhatsApp.
+ */
+
+/**
+ * Normalises a phone number for wa.me: digits only, with India's
+ * country code (91) added when missing.
+ * @param {string} phone - e.g. "+91 98765 43210" or "9876543210"
+ * @returns {string} e.g. "919876543210"
+ */
+export const toWhatsAppNumber = (phone) => {
+    const digits = (phone || '').replace(/[^0-9]/g, '');
+    return digits.startsWith('91') ? digits : `91${digits}`;
+};
+
+/**
+ * Builds a wa.me link that opens a chat with the message prefilled.
+ * @param {string} phone - Customer's phone number
+ * @param {string} message - Plain-text message
+ * @returns {string} e.g. "https://wa.me/919876543210?text=Hi%20Ravi"
+ */
+export const buildWhatsAppUrl = (phone, message) =>
+    `https://wa.me/${toWhatsAppNumber(phone)}?text=${encodeURIComponent(message)}`;
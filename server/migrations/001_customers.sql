@@ -0,0 +1,52 @@
+-- ============================================
+-- 001 — Customer directory
+--
+-- Stores each client once so invoices can reference them by id
+-- instead of retyping name/phone/address on every job.
+-- Invoices keep their own customer_* columns as a snapshot of
+-- the details printed on that document.
+-- ============================================
+
+create table if not exists public.customers (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  phone text not null,
+  address text,
+  email text,
+  notes text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists customers_user_name_idx on public.customers (user_id, name);
+create index if not exists customers_user_phone_idx on public.customers (user_id, phone);
+
+alter table public.customers enable row level security;
+
+create policy "Users manage their own customers"
+  on public.customers
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- ── Link invoices to customers ──
+alter table public.invoices
+  add column if not exists customer_id uuid references public.customers (id) on delete set null;
+
+create index if not exists invoices_customer_idx on public.invoices (customer_id);
+
+-- ── Backfill: one customer per distinct phone number ──
+insert into public.customers (user_id, name, phone, address, email)
+select distinct on (user_id, customer_phone)
+  user_id, customer_name, customer_phone, customer_address, customer_email
+from public.invoices
+where customer_phone is not null
+order by user_id, customer_phone, created_at desc;
+
+update public.invoices i
+set customer_id = c.id
+from public.customers c
+where i.customer_id is null
+  and c.user_id = i.user_id
+  and c.phone = i.customer_phone;
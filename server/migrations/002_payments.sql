@@ -0,0 +1,42 @@
+-- ============================================
+-- 002 — Payments ledger
+--
+-- Records advances and instalments against an invoice.
+-- invoices.amount_paid is kept in sync by the API after every
+-- payment change; balance due = total_amount - amount_paid.
+-- ============================================
+
+create table if not exists public.payments (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  invoice_id uuid not null references public.invoices (id) on delete cascade,
+  amount numeric(12, 2) not null check (amount > 0),
+  payment_date date not null default current_date,
+  mode text not null check (mode in ('cash', 'upi', 'bank_transfer', 'cheque', 'card', 'other')),
+  reference text,
+  notes text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists payments_invoice_idx on public.payments (invoice_id, payment_date);
+
+alter table public.payments enable row level security;
+
+create policy "Users manage their own payments"
+  on public.payments
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- ── Running total on the invoice ──
+alter table public.invoices
+  add column if not exists amount_paid numeric(12, 2) not null default 0;
+
+-- Invoices already marked paid are treated as fully settled
+update public.invoices set amount_paid = total_amount where status = 'paid';
+
+-- ── Allow the derived 'partially_paid' status ──
+alter table public.invoices drop constraint if exists invoices_status_check;
+alter table public.invoices
+  add constraint invoices_status_check
+  check (status in ('draft', 'sent', 'partially_paid', 'paid'));
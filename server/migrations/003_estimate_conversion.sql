@@ -0,0 +1,21 @@
+-- ============================================
+-- 003 — Estimate → invoice conversion
+--
+-- An invoice created from an estimate keeps a reference to it in
+-- source_estimate_id; the estimate itself moves to 'accepted'.
+-- An estimate can only be converted once.
+-- ============================================
+
+alter table public.invoices
+  add column if not exists source_estimate_id uuid
+    references public.invoices (id) on delete set null;
+
+create unique index if not exists invoices_source_estimate_idx
+  on public.invoices (source_estimate_id)
+  where source_estimate_id is not null;
+
+-- ── Allow the 'accepted' status for converted estimates ──
+alter table public.invoices drop constraint if exists invoices_status_check;
+alter table public.invoices
+  add constraint invoices_status_check
+  check (status in ('draft', 'sent', 'accepted', 'partially_paid', 'paid'));
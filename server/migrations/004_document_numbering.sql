@@ -0,0 +1,63 @@
+-- ============================================
+-- 004 — Race-free document numbering
+--
+-- Each user has one counter row per series in document_sequences.
+-- A series is the document type ('invoice' / 'estimate'), suffixed
+-- with the Indian financial year ('invoice:2026-27') when yearly
+-- reset is enabled. next_document_number() increments and returns
+-- the counter in a single statement, so concurrent creates can never
+-- receive the same number.
+-- ============================================
+
+create table if not exists public.document_sequences (
+  user_id uuid not null references auth.users (id) on delete cascade,
+  series text not null,
+  last_value integer not null default 0,
+  primary key (user_id, series)
+);
+
+alter table public.document_sequences enable row level security;
+
+create policy "Users manage their own sequences"
+  on public.document_sequences
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+create or replace function public.next_document_number(p_user_id uuid, p_series text)
+returns integer
+language sql
+as $$
+  insert into public.document_sequences (user_id, series, last_value)
+  values (p_user_id, p_series, 1)
+  on conflict (user_id, series)
+  do update set last_value = public.document_sequences.last_value + 1
+  returning last_value;
+$$;
+
+-- ── Per-user numbering preferences ──
+create table if not exists public.numbering_settings (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  invoice_prefix text not null default 'CI',
+  estimate_prefix text not null default 'CE',
+  padding smallint not null default 3 check (padding between 1 and 8),
+  reset_yearly boolean not null default false,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.numbering_settings enable row level security;
+
+create policy "Users manage their own numbering settings"
+  on public.numbering_settings
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- ── Continue the existing shared CI- series for invoices ──
+-- Estimates used to share the CI- series; they start a fresh CE- series.
+insert into public.document_sequences (user_id, series, last_value)
+select user_id, 'invoice', max(substring(invoice_number from '^CI-(\d+)$')::integer)
+from public.invoices
+where invoice_number ~ '^CI-\d+$'
+group by user_id
+on conflict (user_id, series) do nothing;
@@ -0,0 +1,17 @@
+-- ============================================
+-- 005 — GST tax invoices
+--
+-- GSTINs and place of supply are stored on each invoice as a
+-- snapshot of what was billed. Per-line HSN/SAC codes and GST
+-- rates live inside the services JSONB (hsn_sac, tax_rate).
+-- CGST/SGST vs IGST is derived from the business GSTIN's state
+-- and the place of supply, so it is not stored.
+-- ============================================
+
+alter table public.invoices
+  add column if not exists business_gstin text,
+  add column if not exists customer_gstin text,
+  add column if not exists place_of_supply text;
+
+alter table public.customers
+  add column if not exists gstin text;
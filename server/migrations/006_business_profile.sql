@@ -0,0 +1,37 @@
+-- ============================================
+-- 006 — Business profile
+--
+-- One row per user holding the details printed on every PDF:
+-- name, tagline, contact details, GSTIN, bank / UPI details and
+-- the default terms pre-filled on new documents. The logo and
+-- signature are small PNG/JPEG images stored as data URLs so the
+-- PDF builder can embed them without a network round-trip.
+-- ============================================
+
+create table if not exists public.business_profiles (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  name text not null default 'Crown Interiors',
+  tagline text,
+  address text,
+  phone text,
+  email text,
+  gstin text,
+  logo_image text,
+  signature_image text,
+  bank_name text,
+  account_name text,
+  account_number text,
+  ifsc text,
+  upi_id text,
+  default_terms text,
+  footer_text text,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.business_profiles enable row level security;
+
+create policy "Users manage their own business profile"
+  on public.business_profiles
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
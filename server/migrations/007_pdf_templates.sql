@@ -0,0 +1,15 @@
+-- ============================================
+-- 007 — PDF templates
+--
+-- Each document can be printed in its own layout (classic, compact,
+-- detailed or an 80 mm thermal receipt). A null pdf_template on an
+-- invoice means "use the business default".
+-- ============================================
+
+alter table public.business_profiles
+  add column if not exists pdf_template text not null default 'classic'
+    check (pdf_template in ('classic', 'compact', 'detailed', 'thermal'));
+
+alter table public.invoices
+  add column if not exists pdf_template text
+    check (pdf_template in ('classic', 'compact', 'detailed', 'thermal'));
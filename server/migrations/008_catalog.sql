@@ -0,0 +1,56 @@
+-- ============================================
+-- 008 — Service / rate catalog
+--
+-- Saved line items (description, unit, default rate, HSN/SAC, GST
+-- rate, category) offered as suggestions while typing a service.
+-- Invoice lines picked from the catalog carry catalog_item_id in the
+-- services JSON; record_catalog_usage() bumps the usage stats used to
+-- list the most-used items first.
+-- ============================================
+
+create table if not exists public.catalog_items (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  description text not null,
+  unit text,
+  default_rate numeric(12, 2) not null default 0,
+  hsn_sac text,
+  tax_rate numeric(5, 2),
+  category text,
+  usage_count integer not null default 0,
+  last_used_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- One entry per description (case-insensitive) per user
+create unique index if not exists catalog_items_user_description_idx
+  on public.catalog_items (user_id, lower(description));
+
+create index if not exists catalog_items_user_usage_idx
+  on public.catalog_items (user_id, usage_count desc);
+
+alter table public.catalog_items enable row level security;
+
+create policy "Users manage their own catalog"
+  on public.catalog_items
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- Counts each occurrence, so an item used on two lines counts twice
+create or replace function public.record_catalog_usage(p_user_id uuid, p_item_ids uuid[])
+returns void
+language sql
+as $$
+  update public.catalog_items c
+  set usage_count = c.usage_count + u.uses,
+      last_used_at = now()
+  from (
+    select item_id, count(*)::integer as uses
+    from unnest(p_item_ids) as item_id
+    group by item_id
+  ) u
+  where c.id = u.item_id
+    and c.user_id = p_user_id;
+$$;
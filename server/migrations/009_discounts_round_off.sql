@@ -0,0 +1,24 @@
+-- ============================================
+-- 009 — Discount types & round-off
+--
+-- Discounts can be a flat amount or a percentage, on the invoice
+-- (taken off after tax) or on a single line (stored in the services
+-- JSONB). discount_amount stays the rupee value actually deducted.
+-- round_off rounds the total to the nearest rupee; round_off_amount is
+-- the adjustment printed on the "Round off" row.
+-- ============================================
+
+alter table public.invoices
+  add column if not exists discount_type text not null default 'flat'
+    check (discount_type in ('flat', 'percent')),
+  add column if not exists discount_value numeric(12,2) not null default 0,
+  add column if not exists round_off boolean not null default false,
+  add column if not exists round_off_amount numeric(4,2) not null default 0;
+
+-- Existing discounts were all flat rupee amounts
+update public.invoices
+  set discount_value = discount_amount
+  where discount_value = 0 and discount_amount > 0;
+
+alter table public.business_profiles
+  add column if not exists round_off boolean not null default false;
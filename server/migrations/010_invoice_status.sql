@@ -0,0 +1,26 @@
+-- ============================================
+-- 010 — Invoice status engine
+--
+-- Adds the 'overdue' status (stored by the hourly overdue job once a
+-- sent or part-paid invoice is past its due date) and 'cancelled'
+-- (a voided document, kept on record but no longer owed).
+-- ============================================
+
+alter table public.invoices drop constraint if exists invoices_status_check;
+alter table public.invoices
+  add constraint invoices_status_check
+  check (status in (
+    'draft', 'sent', 'accepted', 'partially_paid', 'paid', 'overdue', 'cancelled'
+  ));
+
+-- The overdue job scans open invoices by due date
+create index if not exists invoices_status_due_date_idx
+  on public.invoices (status, due_date)
+  where due_date is not null;
+
+-- Flag invoices that are already past due
+update public.invoices
+  set status = 'overdue'
+  where document_type = 'invoice'
+    and status in ('sent', 'partially_paid')
+    and due_date < current_date;
@@ -0,0 +1,59 @@
+-- ============================================
+-- 011 — Payment reminders
+--
+-- reminder_settings holds each user's default schedule (days before
+-- the due date, on the due date, repeat every N days after it), the
+-- channel and language, and the bilingual message templates (null →
+-- built-in wording). An invoice can override the schedule through
+-- invoices.reminder_schedule. Every reminder sent (or that failed to
+-- send) is logged in invoice_reminders; the last one sent decides
+-- which reminder is due next.
+-- ============================================
+
+create table if not exists public.reminder_settings (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  days_before smallint not null default 3 check (days_before between 0 and 30),
+  on_due_date boolean not null default true,
+  repeat_after_days smallint not null default 7 check (repeat_after_days between 0 and 60),
+  channel text not null default 'whatsapp' check (channel in ('whatsapp', 'sms', 'email')),
+  language text not null default 'en' check (language in ('en', 'ta')),
+  templates jsonb,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.reminder_settings enable row level security;
+
+create policy "Users manage their own reminder settings"
+  on public.reminder_settings
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- Per-invoice override of the default schedule ({ enabled: false } stops reminders)
+alter table public.invoices
+  add column if not exists reminder_schedule jsonb;
+
+create table if not exists public.invoice_reminders (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  invoice_id uuid not null references public.invoices (id) on delete cascade,
+  kind text not null check (kind in ('before_due', 'on_due', 'overdue')),
+  channel text not null check (channel in ('whatsapp', 'sms', 'email')),
+  language text not null default 'en',
+  recipient text,
+  message text not null,
+  status text not null default 'sent' check (status in ('sent', 'failed')),
+  error text,
+  sent_at timestamptz not null default now()
+);
+
+create index if not exists invoice_reminders_invoice_idx
+  on public.invoice_reminders (invoice_id, sent_at desc);
+
+alter table public.invoice_reminders enable row level security;
+
+create policy "Users manage their own reminders"
+  on public.invoice_reminders
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
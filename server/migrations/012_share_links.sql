@@ -0,0 +1,32 @@
+-- ============================================
+-- 012 — Public share links
+--
+-- One share link per document: an unguessable random token that opens
+-- a read-only web view (GET /public/invoices/:token) without logging in.
+-- A link can expire (expires_at) and is revoked by deleting its row;
+-- creating a new link replaces the old token. Views are counted so the
+-- owner can see when the customer first opened it.
+--
+-- Generated PDFs are now stored under pdfs/{user_id}/, so two users'
+-- documents with the same number no longer overwrite each other.
+-- ============================================
+
+create table if not exists public.invoice_share_links (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  invoice_id uuid not null unique references public.invoices (id) on delete cascade,
+  token text not null unique,
+  expires_at timestamptz,
+  first_viewed_at timestamptz,
+  last_viewed_at timestamptz,
+  view_count integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+alter table public.invoice_share_links enable row level security;
+
+create policy "Users manage their own share links"
+  on public.invoice_share_links
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
@@ -0,0 +1,45 @@
+-- ============================================
+-- 013 — Estimate approval
+--
+-- Customers can accept or reject an estimate from its share link,
+-- with an optional comment and (when accepting) a drawn signature,
+-- stored as a PNG data URL. The answer moves the estimate to
+-- 'accepted' or the new 'rejected' status. seen_at stays null until
+-- the owner has seen the response, so it can be flagged on the
+-- Dashboard.
+-- ============================================
+
+alter table public.invoices drop constraint if exists invoices_status_check;
+alter table public.invoices
+  add constraint invoices_status_check
+  check (status in (
+    'draft', 'sent', 'accepted', 'rejected', 'partially_paid', 'paid', 'overdue', 'cancelled'
+  ));
+
+create table if not exists public.estimate_responses (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  invoice_id uuid not null references public.invoices (id) on delete cascade,
+  decision text not null check (decision in ('accepted', 'rejected')),
+  signer_name text not null,
+  comment text,
+  signature_image text,
+  responded_at timestamptz not null default now(),
+  seen_at timestamptz
+);
+
+create index if not exists estimate_responses_invoice_idx
+  on public.estimate_responses (invoice_id, responded_at desc);
+
+-- Unseen responses for the Dashboard
+create index if not exists estimate_responses_unseen_idx
+  on public.estimate_responses (user_id)
+  where seen_at is null;
+
+alter table public.estimate_responses enable row level security;
+
+create policy "Users manage their own estimate responses"
+  on public.estimate_responses
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
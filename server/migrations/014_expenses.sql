@@ -0,0 +1,43 @@
+-- ============================================
+-- 014 — Expenses
+--
+-- What a job costs: materials, hardware, labour, transport and other
+-- spending, with the vendor, date and an optional receipt photo. An
+-- expense can be booked against an invoice (the job), so each job and
+-- each month can show profit, not just revenue. Deleting the invoice
+-- keeps its expenses, unlinked.
+--
+-- Receipt photos are stored in the "invoices" storage bucket under
+-- receipts/{user_id}/{expense_id}-{random key}.{ext}.
+-- ============================================
+
+create table if not exists public.expenses (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  invoice_id uuid references public.invoices (id) on delete set null,
+  category text not null
+    check (category in ('materials', 'hardware', 'labour', 'transport', 'other')),
+  vendor text,
+  description text,
+  amount numeric(12, 2) not null check (amount > 0),
+  expense_date date not null default current_date,
+  receipt_path text,
+  receipt_url text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists expenses_user_date_idx
+  on public.expenses (user_id, expense_date desc);
+
+create index if not exists expenses_invoice_idx
+  on public.expenses (invoice_id)
+  where invoice_id is not null;
+
+alter table public.expenses enable row level security;
+
+create policy "Users manage their own expenses"
+  on public.expenses
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
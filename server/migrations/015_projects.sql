@@ -0,0 +1,54 @@
+-- ============================================
+-- 015 — Projects
+--
+-- A project is one job at one site (e.g. a kitchen and wardrobes at a
+-- customer's new flat). It groups everything billed for it: the
+-- estimate and its revisions, advance and final invoices (and through
+-- them, the payments received) and the expenses.
+--
+-- Deleting a project keeps its documents and expenses, unlinked. An
+-- expense booked against an invoice belongs to that invoice's project,
+-- so it only carries project_id when it is not linked to an invoice.
+-- ============================================
+
+create table if not exists public.projects (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  customer_id uuid references public.customers (id) on delete set null,
+  name text not null,
+  site_address text,
+  stage text not null default 'planning'
+    check (stage in ('planning', 'in_progress', 'on_hold', 'completed')),
+  start_date date,
+  end_date date,
+  notes text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (end_date is null or start_date is null or end_date >= start_date)
+);
+
+create index if not exists projects_user_stage_idx on public.projects (user_id, stage);
+create index if not exists projects_customer_idx on public.projects (customer_id);
+
+alter table public.projects enable row level security;
+
+create policy "Users manage their own projects"
+  on public.projects
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- ── Link documents and expenses to projects ──
+alter table public.invoices
+  add column if not exists project_id uuid references public.projects (id) on delete set null;
+
+create index if not exists invoices_project_idx
+  on public.invoices (project_id)
+  where project_id is not null;
+
+alter table public.expenses
+  add column if not exists project_id uuid references public.projects (id) on delete set null;
+
+create index if not exists expenses_project_idx
+  on public.expenses (project_id)
+  where project_id is not null;
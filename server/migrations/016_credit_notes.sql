@@ -0,0 +1,39 @@
+-- ============================================
+-- 016 — Credit notes
+--
+-- A credit note (document_type 'credit_note') reverses all or part of
+-- an issued invoice — goods returned, a job called off, or a billing
+-- mistake — without touching the invoice itself, which stays on record
+-- for GST. It references the invoice in credited_invoice_id and copies
+-- the lines it credits; each line keeps the index of the invoice line
+-- it came from in services[].source_line.
+--
+-- The invoice's amount_credited is the sum of its credit notes that are
+-- not cancelled, and is taken off its balance. An invoice settled by
+-- credit notes alone (nothing paid) is 'credited'.
+--
+-- Credit notes have their own number series (CN-001).
+-- ============================================
+
+alter table public.invoices
+  add column if not exists credited_invoice_id uuid
+    references public.invoices (id) on delete restrict,
+  add column if not exists credit_reason text
+    check (credit_reason in ('return', 'cancellation', 'correction', 'other')),
+  add column if not exists amount_credited numeric(12, 2) not null default 0;
+
+create index if not exists invoices_credited_invoice_idx
+  on public.invoices (credited_invoice_id)
+  where credited_invoice_id is not null;
+
+-- ── Allow the 'credited' status ──
+alter table public.invoices drop constraint if exists invoices_status_check;
+alter table public.invoices
+  add constraint invoices_status_check
+  check (status in (
+    'draft', 'sent', 'accepted', 'rejected', 'partially_paid', 'paid', 'overdue', 'cancelled', 'credited'
+  ));
+
+-- ── Credit note number series ──
+alter table public.numbering_settings
+  add column if not exists credit_note_prefix text not null default 'CN';
@@ -0,0 +1,52 @@
+-- ============================================
+-- 017 — Document history & audit trail
+--
+-- One row per event in a document's life: created, edited, status
+-- changed (by the owner, a payment, a credit note, the customer's
+-- answer or the overdue job), PDF generated and share link created.
+--
+-- Events that change the document keep a snapshot of it afterwards
+-- (every column but id, user_id and the timestamps), so any past
+-- version can be shown and its PDF rendered again. `changes` is the
+-- field-level diff: [{ field, from, to }].
+--
+-- Documents that existed before this migration start their history
+-- with a 'history_started' event holding their current state.
+-- ============================================
+
+create table if not exists public.invoice_history (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  invoice_id uuid not null references public.invoices (id) on delete cascade,
+  action text not null check (action in (
+    'history_started', 'created', 'updated', 'status_changed', 'pdf_generated', 'shared'
+  )),
+  actor_type text not null default 'user' check (actor_type in ('user', 'customer', 'system')),
+  actor_name text,
+  changes jsonb not null default '[]'::jsonb,
+  snapshot jsonb,
+  details jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists invoice_history_invoice_idx
+  on public.invoice_history (invoice_id, created_at);
+
+alter table public.invoice_history enable row level security;
+
+create policy "Users read their own document history"
+  on public.invoice_history
+  for select
+  using (auth.uid() = user_id);
+
+insert into public.invoice_history (user_id, invoice_id, action, actor_type, snapshot)
+select
+  i.user_id,
+  i.id,
+  'history_started',
+  'system',
+  to_jsonb(i) - 'id' - 'user_id' - 'created_at' - 'updated_at'
+from public.invoices i
+where not exists (
+  select 1 from public.invoice_history h where h.invoice_id = i.id
+);
@@ -0,0 +1,41 @@
+-- ============================================
+-- 018 — Trash
+--
+-- Deleting a document moves it to the Trash (deleted_at is set) instead
+-- of removing the row: it drops out of lists, stats and reports, keeps
+-- its number, and can be restored. Documents are removed for good when
+-- purged from the Trash, or automatically once they have been there for
+-- the user's retention period (trash_settings.retention_days, 30 days
+-- unless changed).
+-- ============================================
+
+alter table public.invoices
+  add column if not exists deleted_at timestamptz;
+
+-- The Trash, and the purge job's scan
+create index if not exists invoices_trash_idx
+  on public.invoices (user_id, deleted_at)
+  where deleted_at is not null;
+
+create table if not exists public.trash_settings (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  retention_days smallint not null default 30 check (retention_days between 1 and 365),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.trash_settings enable row level security;
+
+create policy "Users manage their own trash settings"
+  on public.trash_settings
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- Moving to and restoring from the Trash are part of a document's history
+alter table public.invoice_history drop constraint if exists invoice_history_action_check;
+alter table public.invoice_history
+  add constraint invoice_history_action_check
+  check (action in (
+    'history_started', 'created', 'updated', 'status_changed', 'pdf_generated', 'shared',
+    'deleted', 'restored'
+  ));
@@ -0,0 +1,60 @@
+-- ============================================
+-- 019 — Recurring Invoices
+--
+-- A recurring profile re-issues one of the user's invoices on a
+-- schedule, e.g. a monthly or yearly maintenance (AMC) fee. The
+-- recurring job copies the source invoice on each run date (as it is
+-- then, so editing it changes the invoices still to come), dates it on
+-- the run and sets its due date from due_days. With auto_send the copy
+-- is issued as 'sent' and emailed to the customer; otherwise it is left
+-- as a draft to check and send by hand.
+--
+-- next_run_date is null once the profile has passed its end date.
+-- Invoices made by a profile carry its id (kept when the profile is
+-- deleted, as plain invoices). A source invoice cannot be purged from
+-- the Trash while a profile copies it; the job pauses such profiles.
+-- ============================================
+
+create table if not exists public.recurring_profiles (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  source_invoice_id uuid not null references public.invoices (id) on delete restrict,
+  name text not null,
+  frequency text not null default 'monthly'
+    check (frequency in ('monthly', 'quarterly', 'half_yearly', 'yearly')),
+  day_of_month smallint not null check (day_of_month between 1 and 31),
+  start_date date not null,
+  end_date date,
+  due_days smallint check (due_days between 0 and 365),
+  auto_send boolean not null default false,
+  active boolean not null default true,
+  next_run_date date,
+  last_run_date date,
+  last_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (end_date is null or end_date >= start_date)
+);
+
+create index if not exists recurring_profiles_user_idx on public.recurring_profiles (user_id);
+
+-- The recurring job's scan
+create index if not exists recurring_profiles_due_idx
+  on public.recurring_profiles (next_run_date)
+  where active and next_run_date is not null;
+
+alter table public.recurring_profiles enable row level security;
+
+create policy "Users manage their own recurring profiles"
+  on public.recurring_profiles
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- ── Invoices made by a profile ──
+alter table public.invoices
+  add column if not exists recurring_profile_id uuid references public.recurring_profiles (id) on delete set null;
+
+create index if not exists invoices_recurring_profile_idx
+  on public.invoices (recurring_profile_id)
+  where recurring_profile_id is not null;
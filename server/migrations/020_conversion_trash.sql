@@ -0,0 +1,13 @@
+-- ============================================
+-- 020 — Converting an estimate again after its invoice is trashed
+--
+-- An estimate still converts only once, but an invoice in the Trash no
+-- longer counts: the estimate can be converted again. The trashed
+-- invoice cannot then be restored while the new one exists.
+-- ============================================
+
+drop index if exists public.invoices_source_estimate_idx;
+
+create unique index if not exists invoices_source_estimate_idx
+  on public.invoices (source_estimate_id)
+  where source_estimate_id is not null and deleted_at is null;
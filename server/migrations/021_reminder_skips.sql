@@ -0,0 +1,12 @@
+-- ============================================
+-- 021 — Skipped reminders
+--
+-- The reminders job logs a reminder it cannot send (the customer has
+-- no email address or phone number for the channel) as 'skipped', once,
+-- instead of failing on every run.
+-- ============================================
+
+alter table public.invoice_reminders drop constraint if exists invoice_reminders_status_check;
+alter table public.invoice_reminders
+  add constraint invoice_reminders_status_check
+  check (status in ('sent', 'failed', 'skipped'));
@@ -2,16 +2,19 @@
  * Crown Interiors API — Entry Point
  *
  * Loads environment variables, imports the Express app,
- * and starts the HTTP server on the configured port.
+ * starts the HTTP server on the configured port and the
+ * background jobs (src/jobs).
  */
 
 require('dotenv').config();
 
 const app = require('./src/app');
+const { startJobs } = require('./src/jobs');
 
 const PORT = process.env.PORT || 3001;
 
 app.listen(PORT, () => {
   console.log(`🚀 Crown Interiors API running on port ${PORT}`);
   console.log(`📋 Environment: ${process.env.NODE_ENV || 'development'}`);
+  startJobs();
 });
@@ -6,7 +6,7 @@
  *
  * Middleware execution order:
  *   1. helmet          → Security headers (XSS, HSTS, etc.)
- *   2. cors            → Cross-origin request handling
+ *   2. cors            → Cross-origin request handling (/api only)
  *   3. rate limiter    → Abuse prevention
  *   4. body parser     → JSON request body parsing
  *   5. morgan          → HTTP request logging
@@ -22,6 +22,14 @@ const rateLimit = require('express-rate-limit');
 
 const { errorHandler } = require('./middleware/errorHandler');
 const invoiceRoutes = require('./routes/invoiceRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const settingsRoutes = require('./routes/settingsRoutes');
+const catalogRoutes = require('./routes/catalogRoutes');
+const expenseRoutes = require('./routes/expenseRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const recurringRoutes = require('./routes/recurringRoutes');
+const publicRoutes = require('./routes/publicRoutes');
 
 const app = express();
 
@@ -30,12 +38,14 @@ const app = express();
 app.use(helmet());
 
 // ── CORS Configuration ──
-// Restrict API access to the frontend origins
+// Restrict API access to the frontend origins. Public share pages are
+// served from this server and post forms to it, so they are left out.
 const allowedOrigins = process.env.CLIENT_URL 
   ? process.env.CLIENT_URL.split(',').map(url => url.trim()) 
   : [];
 
 app.use(
+  '/api',
   cors({
     origin: function (origin, callback) {
       // Allow requests with no origin (like mobile apps or curl requests)
@@ -88,6 +98,16 @@ app.get('/health', (req, res) => {
 
 // ── API Routes ──
 app.use('/api/invoices', invoiceRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/catalog', catalogRoutes);
+app.use('/api/expenses', expenseRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/recurring', recurringRoutes);
+
+// ── Public Share Links (no authentication) ──
+app.use('/public', publicRoutes);
 
 // ── 404 Handler ──
 // Catch-all for undefined routes
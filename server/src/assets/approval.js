@@ -0,0 +1,76 @@
+/**
+ * Estimate approval — signature pad for the public share page.
+ *
+ * Served from /public/assets/approval.js (the page's CSP blocks inline
+ * scripts). Lets the customer draw a signature with a finger or mouse,
+ * and copies it into the form as a PNG data URL when they accept.
+ */
+
+(function () {
+  'use strict';
+
+  var form = document.querySelector('[data-approval]');
+  if (!form) return;
+
+  var canvas = form.querySelector('[data-signature-pad]');
+  var clearButton = form.querySelector('[data-signature-clear]');
+  var field = form.querySelector('input[name="signature_image"]');
+  var error = form.querySelector('[data-signature-error]');
+  var ctx = canvas.getContext('2d');
+  var drawing = false;
+  var signed = false;
+
+  ctx.lineWidth = 2.5;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.strokeStyle = '#1a1a2e';
+
+  // Pointer position in canvas pixels (the canvas is scaled by CSS)
+  function point(event) {
+    var rect = canvas.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) * canvas.width) / rect.width,
+      y: ((event.clientY - rect.top) * canvas.height) / rect.height,
+    };
+  }
+
+  canvas.addEventListener('pointerdown', function (event) {
+    var p = point(event);
+    drawing = true;
+    canvas.setPointerCapture(event.pointerId);
+    ctx.beginPath();
+    ctx.moveTo(p.x, p.y);
+  });
+
+  canvas.addEventListener('pointermove', function (event) {
+    if (!drawing) return;
+    var p = point(event);
+    ctx.lineTo(p.x, p.y);
+    ctx.stroke();
+    signed = true;
+    error.hidden = true;
+  });
+
+  function stop() {
+    drawing = false;
+  }
+  canvas.addEventListener('pointerup', stop);
+  canvas.addEventListener('pointercancel', stop);
+
+  clearButton.addEventListener('click', function () {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    signed = false;
+  });
+
+  form.addEventListener('submit', function (event) {
+    var accepting = event.submitter && event.submitter.value === 'accepted';
+
+    if (accepting && !signed) {
+      event.preventDefault();
+      error.textContent = form.getAttribute('data-signature-required');
+      error.hidden = false;
+      return;
+    }
+    field.value = accepting ? canvas.toDataURL('image/png') : '';
+  });
+})();
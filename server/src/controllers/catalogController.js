@@ -0,0 +1,108 @@
+/**
+ * Catalog Controller — HTTP Request Handlers
+ *
+ * Thin controller layer for the service / rate catalog. Delegates all
+ * business logic to the CatalogService.
+ */
+
+const catalogService = require('../services/catalogService');
+const { parsePositiveInt } = require('../utils/helpers');
+
+/**
+ * GET /api/catalog
+ * Lists catalog items, most-used first (?search=&category=&limit=).
+ */
+const getAllCatalogItems = async (req, res, next) => {
+  try {
+    const result = await catalogService.getAll(req.userId, {
+      search: req.query.search,
+      category: req.query.category,
+      limit: Math.min(parsePositiveInt(req.query.limit, 50), 200),
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/catalog/:id
+ * Retrieves a single catalog item.
+ */
+const getCatalogItemById = async (req, res, next) => {
+  try {
+    const item = await catalogService.getById(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      data: item,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/catalog
+ * Saves a catalog item — also used for "save this line to catalog".
+ */
+const createCatalogItem = async (req, res, next) => {
+  try {
+    const item = await catalogService.create(req.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: item,
+      message: 'Saved to catalog',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/catalog/:id
+ * Updates a catalog item.
+ */
+const updateCatalogItem = async (req, res, next) => {
+  try {
+    const item = await catalogService.update(req.userId, req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: item,
+      message: 'Catalog item updated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/catalog/:id
+ * Deletes a catalog item.
+ */
+const deleteCatalogItem = async (req, res, next) => {
+  try {
+    await catalogService.delete(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Catalog item deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllCatalogItems,
+  getCatalogItemById,
+  createCatalogItem,
+  updateCatalogItem,
+  deleteCatalogItem,
+};
@@ -0,0 +1,48 @@
+/**
+ * Credit Note Controller — Credit Notes Against an Invoice
+ *
+ * Thin controller layer for credit notes nested under an invoice.
+ * Delegates business logic to the CreditNoteService.
+ */
+
+const creditNoteService = require('../services/creditNoteService');
+
+/**
+ * GET /api/invoices/:id/credit-notes
+ * Lists an invoice's credit notes and what is left to credit per line.
+ */
+const getCreditNotes = async (req, res, next) => {
+  try {
+    const result = await creditNoteService.getForInvoice(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/invoices/:id/credit-notes
+ * Issues a credit note and returns it together with the updated invoice.
+ */
+const createCreditNote = async (req, res, next) => {
+  try {
+    const result = await creditNoteService.create(req.userId, req.params.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Credit note issued successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCreditNotes,
+  createCreditNote,
+};
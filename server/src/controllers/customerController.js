@@ -0,0 +1,138 @@
+/**
+ * Customer Controller — HTTP Request Handlers
+ *
+ * Thin controller layer for the customer directory. Delegates all
+ * business logic to the CustomerService.
+ */
+
+const customerService = require('../services/customerService');
+const { parsePositiveInt } = require('../utils/helpers');
+
+/**
+ * GET /api/customers
+ * Lists customers for the authenticated user (search + pagination).
+ */
+const getAllCustomers = async (req, res, next) => {
+  try {
+    const result = await customerService.getAll(req.userId, {
+      search: req.query.search,
+      page: parsePositiveInt(req.query.page, 1),
+      limit: parsePositiveInt(req.query.limit, 20),
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/customers/:id
+ * Retrieves a customer with their invoices and outstanding balance.
+ */
+const getCustomerById = async (req, res, next) => {
+  try {
+    const customer = await customerService.getWithInvoices(
+      req.userId,
+      req.params.id
+    );
+
+    res.json({
+      success: true,
+      data: customer,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/customers
+ * Creates a new customer (body is pre-validated by the validate middleware).
+ */
+const createCustomer = async (req, res, next) => {
+  try {
+    const customer = await customerService.create(req.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: customer,
+      message: 'Customer created successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/customers/:id
+ * Updates an existing customer.
+ */
+const updateCustomer = async (req, res, next) => {
+  try {
+    const customer = await customerService.update(
+      req.userId,
+      req.params.id,
+      req.body
+    );
+
+    res.json({
+      success: true,
+      data: customer,
+      message: 'Customer updated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/customers/:id
+ * Deletes a customer. Their invoices are kept but unlinked.
+ */
+const deleteCustomer = async (req, res, next) => {
+  try {
+    await customerService.delete(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Customer deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/customers/merge
+ * Merges duplicate customers into one (body: { target_id, source_ids }).
+ */
+const mergeCustomers = async (req, res, next) => {
+  try {
+    const customer = await customerService.merge(
+      req.userId,
+      req.body.target_id,
+      req.body.source_ids
+    );
+
+    res.json({
+      success: true,
+      data: customer,
+      message: 'Customers merged successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllCustomers,
+  getCustomerById,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  mergeCustomers,
+};
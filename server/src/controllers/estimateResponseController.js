@@ -0,0 +1,66 @@
+/**
+ * Estimate Response Controller — Customer Answer Handlers
+ *
+ * Thin controller layer for customers' answers to shared estimates, as
+ * seen by the owner. Delegates business logic to the
+ * EstimateResponseService. (Customers answer through publicController.)
+ */
+
+const estimateResponseService = require('../services/estimateResponseService');
+
+/**
+ * GET /api/invoices/responses/unseen
+ * Lists customer answers the user has not seen yet (Dashboard).
+ */
+const getUnseenResponses = async (req, res, next) => {
+  try {
+    const responses = await estimateResponseService.getUnseen(req.userId);
+
+    res.json({
+      success: true,
+      data: responses,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/invoices/:id/response
+ * Returns the customer's latest answer to an estimate (null when none).
+ */
+const getEstimateResponse = async (req, res, next) => {
+  try {
+    const response = await estimateResponseService.getLatest(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      data: response,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/invoices/:id/response/seen
+ * Marks the customer's answers to an estimate as seen.
+ */
+const markResponseSeen = async (req, res, next) => {
+  try {
+    await estimateResponseService.markSeen(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Response marked as seen',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getUnseenResponses,
+  getEstimateResponse,
+  markResponseSeen,
+};
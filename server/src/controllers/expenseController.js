@@ -0,0 +1,167 @@
+/**
+ * Expense Controller — HTTP Request Handlers
+ *
+ * Thin controller layer for expenses and their receipt photos.
+ * Delegates all business logic to the ExpenseService.
+ */
+
+const expenseService = require('../services/expenseService');
+
+/** YYYY-MM-DD query values; anything else is ignored */
+const parseDate = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value : undefined);
+
+/**
+ * GET /api/expenses
+ * Lists expenses, newest first (?from=&to=&category=&invoice_id=).
+ */
+const getAllExpenses = async (req, res, next) => {
+  try {
+    const result = await expenseService.getAll(req.userId, {
+      from: parseDate(req.query.from),
+      to: parseDate(req.query.to),
+      category: req.query.category,
+      invoice_id: req.query.invoice_id,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/expenses/:id
+ * Retrieves a single expense.
+ */
+const getExpenseById = async (req, res, next) => {
+  try {
+    const expense = await expenseService.getById(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      data: expense,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/expenses
+ * Records an expense, optionally against a job (invoice).
+ */
+const createExpense = async (req, res, next) => {
+  try {
+    const expense = await expenseService.create(req.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: expense,
+      message: 'Expense recorded',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/expenses/:id
+ * Updates an expense.
+ */
+const updateExpense = async (req, res, next) => {
+  try {
+    const expense = await expenseService.update(req.userId, req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: expense,
+      message: 'Expense updated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/expenses/:id
+ * Deletes an expense and its receipt photo.
+ */
+const deleteExpense = async (req, res, next) => {
+  try {
+    await expenseService.delete(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Expense deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/expenses/:id/receipt
+ * Uploads (or replaces) the receipt photo of an expense.
+ */
+const uploadReceipt = async (req, res, next) => {
+  try {
+    const expense = await expenseService.uploadReceipt(req.userId, req.params.id, req.body.image);
+
+    res.json({
+      success: true,
+      data: expense,
+      message: 'Receipt uploaded',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/expenses/:id/receipt
+ * Removes the receipt photo of an expense.
+ */
+const removeReceipt = async (req, res, next) => {
+  try {
+    const expense = await expenseService.removeReceipt(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      data: expense,
+      message: 'Receipt removed',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/invoices/:id/expenses
+ * A job's expenses and its profit.
+ */
+const getJobExpenses = async (req, res, next) => {
+  try {
+    const result = await expenseService.getForJob(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllExpenses,
+  getExpenseById,
+  createExpense,
+  updateExpense,
+  deleteExpense,
+  uploadReceipt,
+  removeReceipt,
+  getJobExpenses,
+};
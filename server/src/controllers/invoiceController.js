@@ -15,9 +15,12 @@
 const invoiceService = require('../services/invoiceService');
 const { parsePositiveInt } = require('../utils/helpers');
 
+/** Most invoices a single page may ask for */
+const MAX_PAGE_LIMIT = 100;
+
 /**
  * GET /api/invoices
- * Lists all invoices for the authenticated user with optional filters.
+ * Lists invoices a page at a time (?type=&status=&search=&project_id=&sort=&page=&limit=).
  */
 const getAllInvoices = async (req, res, next) => {
   try {
@@ -25,9 +28,10 @@ const getAllInvoices = async (req, res, next) => {
       type: req.query.type,
       status: req.query.status,
       search: req.query.search,
+      project_id: req.query.project_id,
       sort: req.query.sort,
       page: parsePositiveInt(req.query.page, 1),
-      limit: parsePositiveInt(req.query.limit, 20),
+      limit: Math.min(parsePositiveInt(req.query.limit, 20), MAX_PAGE_LIMIT),
     };
 
     const result = await invoiceService.getAll(req.userId, filters);
@@ -64,7 +68,7 @@ const getInvoiceStats = async (req, res, next) => {
  */
 const getInvoiceById = async (req, res, next) => {
   try {
-    const invoice = await invoiceService.getById(req.userId, req.params.id);
+    const invoice = await invoiceService.getWithLinks(req.userId, req.params.id);
 
     res.json({
       success: true,
@@ -117,7 +121,7 @@ const updateInvoice = async (req, res, next) => {
 
 /**
  * DELETE /api/invoices/:id
- * Permanently deletes an invoice.
+ * Moves an invoice to the Trash (restore or purge it from /api/invoices/trash).
  */
 const deleteInvoice = async (req, res, next) => {
   try {
@@ -125,7 +129,7 @@ const deleteInvoice = async (req, res, next) => {
 
     res.json({
       success: true,
-      message: 'Invoice deleted successfully',
+      message: 'Invoice moved to the Trash',
     });
   } catch (error) {
     next(error);
@@ -150,6 +154,24 @@ const duplicateInvoice = async (req, res, next) => {
   }
 };
 
+/**
+ * POST /api/invoices/:id/convert
+ * Creates an invoice from an estimate and marks the estimate as accepted.
+ */
+const convertEstimate = async (req, res, next) => {
+  try {
+    const invoice = await invoiceService.convert(req.userId, req.params.id);
+
+    res.status(201).json({
+      success: true,
+      data: invoice,
+      message: 'Estimate converted to invoice successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * PUT /api/invoices/:id/status
  * Updates only the status field of an invoice (body: { status }).
@@ -170,6 +192,23 @@ const updateInvoiceStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/invoices/:id/history
+ * The document's history (newest first), each event with its version.
+ */
+const getInvoiceHistory = async (req, res, next) => {
+  try {
+    const history = await invoiceService.getHistory(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      data: history,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAllInvoices,
   getInvoiceStats,
@@ -178,5 +217,7 @@ module.exports = {
   updateInvoice,
   deleteInvoice,
   duplicateInvoice,
+  convertEstimate,
   updateInvoiceStatus,
+  getInvoiceHistory,
 };
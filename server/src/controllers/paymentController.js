@@ -0,0 +1,75 @@
+/**
+ * Payment Controller — Invoice Payments Ledger Handlers
+ *
+ * Thin controller layer for payments nested under an invoice.
+ * Delegates business logic to the PaymentService.
+ */
+
+const paymentService = require('../services/paymentService');
+
+/**
+ * GET /api/invoices/:id/payments
+ * Lists all payments recorded against an invoice.
+ */
+const getPayments = async (req, res, next) => {
+  try {
+    const payments = await paymentService.getAll(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      data: payments,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/invoices/:id/payments
+ * Records a payment and returns it together with the updated invoice.
+ */
+const createPayment = async (req, res, next) => {
+  try {
+    const result = await paymentService.create(
+      req.userId,
+      req.params.id,
+      req.body
+    );
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Payment recorded successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/invoices/:id/payments/:paymentId
+ * Removes a payment and returns the updated invoice.
+ */
+const deletePayment = async (req, res, next) => {
+  try {
+    const invoice = await paymentService.delete(
+      req.userId,
+      req.params.id,
+      req.params.paymentId
+    );
+
+    res.json({
+      success: true,
+      data: { invoice },
+      message: 'Payment deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPayments,
+  createPayment,
+  deletePayment,
+};
@@ -7,11 +7,32 @@
  */
 
 const invoiceService = require('../services/invoiceService');
+const invoiceHistoryService = require('../services/invoiceHistoryService');
 const pdfService = require('../services/pdfService');
+const settingsService = require('../services/settingsService');
+const { PDF_LANGUAGES } = require('../utils/pdfLabels');
+const { createHttpError, parsePositiveInt } = require('../utils/helpers');
+const { calculateInvoiceTotals } = require('../utils/invoiceTotals');
 
 /**
- * GET /api/invoices/:id/pdf
+ * Reads the `?lang=` query parameter (defaults to English).
+ * @throws {Error} 400 when the language is not supported
+ */
+const getPdfLanguage = (req) => {
+  const lang = req.query.lang || 'en';
+  if (!PDF_LANGUAGES.includes(lang)) {
+    throw createHttpError(
+      400,
+      `Unsupported PDF language "${lang}" (use ${PDF_LANGUAGES.join(' or ')})`
+    );
+  }
+  return lang;
+};
+
+/**
+ * GET /api/invoices/:id/pdf?lang=en|ta
  * Generates a PDF for the given invoice and returns it as a downloadable file.
+ * `lang=ta` issues the whole document in Tamil.
  *
  * Response headers:
  *   Content-Type: application/pdf
@@ -19,14 +40,21 @@ const pdfService = require('../services/pdfService');
  */
 const generatePdf = async (req, res, next) => {
   try {
+    const lang = getPdfLanguage(req);
+
     // Fetch the full invoice data (scoped to the authenticated user)
-    const invoice = await invoiceService.getById(req.userId, req.params.id);
+    // and the business profile used for the letterhead
+    const [invoice, business] = await Promise.all([
+      invoiceService.getWithLinks(req.userId, req.params.id),
+      settingsService.getBusiness(req.userId),
+    ]);
 
     // Generate the PDF buffer from the invoice data
-    const pdfBuffer = await pdfService.generatePdf(invoice);
+    const pdfBuffer = await pdfService.generatePdf(invoice, business, { lang });
+    await invoiceHistoryService.recordEvent(invoice, 'pdf_generated', { lang });
 
     // Build the download filename (e.g., "CI-042-invoice.pdf")
-    const filename = `${invoice.invoice_number}-${invoice.document_type}.pdf`;
+    const filename = pdfService.getFilename(invoice, lang);
 
     // Set response headers for PDF download
     res.setHeader('Content-Type', 'application/pdf');
@@ -44,7 +72,7 @@ const generatePdf = async (req, res, next) => {
 };
 
 /**
- * POST /api/invoices/:id/pdf/upload
+ * POST /api/invoices/:id/pdf/upload?lang=en|ta
  * Generates a PDF and uploads it to Supabase Storage.
  * Returns the public URL of the uploaded PDF.
  *
@@ -53,17 +81,24 @@ const generatePdf = async (req, res, next) => {
  */
 const generateAndUploadPdf = async (req, res, next) => {
   try {
-    // Fetch the invoice data
-    const invoice = await invoiceService.getById(req.userId, req.params.id);
+    const lang = getPdfLanguage(req);
+
+    // Fetch the invoice data and business profile
+    const [invoice, business] = await Promise.all([
+      invoiceService.getWithLinks(req.userId, req.params.id),
+      settingsService.getBusiness(req.userId),
+    ]);
 
     // Generate the PDF buffer
-    const pdfBuffer = await pdfService.generatePdf(invoice);
+    const pdfBuffer = await pdfService.generatePdf(invoice, business, { lang });
+    await invoiceHistoryService.recordEvent(invoice, 'pdf_generated', { lang });
 
     // Build the storage filename
-    const filename = `${invoice.invoice_number}-${invoice.document_type}.pdf`;
+    const filename = pdfService.getFilename(invoice, lang);
 
-    // Upload to Supabase Storage and get the public URL
+    // Upload to Supabase Storage (under the user's folder) and get the public URL
     const publicUrl = await pdfService.uploadPdf(
+      req.userId,
       invoice.id,
       pdfBuffer,
       filename
@@ -79,7 +114,76 @@ const generateAndUploadPdf = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/invoices/:id/history/:version/pdf?lang=en|ta
+ * Renders a past version of a document, as it was then (links to other
+ * documents are today's). Looking back is not recorded in the history.
+ *
+ * Response headers:
+ *   Content-Type: application/pdf
+ *   Content-Disposition: attachment; filename="CI-042-invoice-v2.pdf"
+ */
+const generateVersionPdf = async (req, res, next) => {
+  try {
+    const lang = getPdfLanguage(req);
+    const version = parsePositiveInt(req.params.version, 0);
+    if (!version) throw createHttpError(404, 'Version not found');
+
+    const [invoice, business] = await Promise.all([
+      invoiceService.getWithLinks(req.userId, req.params.id),
+      settingsService.getBusiness(req.userId),
+    ]);
+    const snapshot = await invoiceHistoryService.getVersion(req.userId, invoice.id, version);
+    const document = { ...invoice, ...snapshot };
+
+    const pdfBuffer = await pdfService.generatePdf(document, business, { lang });
+    const filename = pdfService.getFilename(document, lang, version);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/invoices/pdf/preview?lang=en|ta
+ * Renders an unsaved document (the create / edit form's payload) so the
+ * review step can show the chosen template before anything is saved.
+ *
+ * Response headers:
+ *   Content-Type: application/pdf
+ *   Content-Disposition: inline
+ */
+const previewPdf = async (req, res, next) => {
+  try {
+    const lang = getPdfLanguage(req);
+    const business = await settingsService.getBusiness(req.userId);
+
+    const invoice = {
+      ...req.body,
+      // Print the figures the server would store, not the form's
+      ...calculateInvoiceTotals(req.body),
+      // New documents get their number on save
+      invoice_number: req.body.invoice_number || '—',
+    };
+
+    const pdfBuffer = await pdfService.generatePdf(invoice, business, { lang });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'inline');
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   generatePdf,
   generateAndUploadPdf,
+  generateVersionPdf,
+  previewPdf,
 };
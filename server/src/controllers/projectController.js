@@ -0,0 +1,107 @@
+/**
+ * Project Controller — HTTP Request Handlers
+ *
+ * Thin controller layer for projects. Delegates all business logic to
+ * the ProjectService.
+ */
+
+const projectService = require('../services/projectService');
+
+/**
+ * GET /api/projects
+ * Lists projects with their money summary (?stage=&search=&customer_id=).
+ */
+const getAllProjects = async (req, res, next) => {
+  try {
+    const projects = await projectService.getAll(req.userId, {
+      stage: req.query.stage,
+      search: req.query.search,
+      customer_id: req.query.customer_id,
+    });
+
+    res.json({
+      success: true,
+      data: projects,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/projects/:id
+ * Retrieves a project with its documents, payments, expenses and summary.
+ */
+const getProjectById = async (req, res, next) => {
+  try {
+    const project = await projectService.getWithDocuments(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      data: project,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/projects
+ * Creates a project (body is pre-validated by the validate middleware).
+ */
+const createProject = async (req, res, next) => {
+  try {
+    const project = await projectService.create(req.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: project,
+      message: 'Project created successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/projects/:id
+ * Updates a project (details or stage).
+ */
+const updateProject = async (req, res, next) => {
+  try {
+    const project = await projectService.update(req.userId, req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: project,
+      message: 'Project updated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/projects/:id
+ * Deletes a project. Its documents and expenses are kept but unlinked.
+ */
+const deleteProject = async (req, res, next) => {
+  try {
+    await projectService.delete(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Project deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllProjects,
+  getProjectById,
+  createProject,
+  updateProject,
+  deleteProject,
+};
@@ -0,0 +1,121 @@
+/**
+ * Public Controller — Shared Document Handlers
+ *
+ * Serves documents opened through a share link, without authentication,
+ * and takes a customer's answer to an estimate. Responses are HTML (or
+ * the PDF itself) for the customer's browser, so an unknown, revoked or
+ * expired link gets an HTML page, not JSON.
+ */
+
+const shareService = require('../services/shareService');
+const estimateResponseService = require('../services/estimateResponseService');
+const pdfService = require('../services/pdfService');
+const { PDF_LANGUAGES } = require('../utils/pdfLabels');
+const { renderShareView, renderShareError } = require('../utils/shareView');
+
+/** `?lang=` for the public pages — anything unknown falls back to English */
+const getLanguage = (req) => (PDF_LANGUAGES.includes(req.query.lang) ? req.query.lang : 'en');
+
+/**
+ * Sends the "link not available / expired" page for 404 and 410 errors,
+ * and the "check the form" page for an invalid estimate answer; anything
+ * else goes to the global error handler. Also mounted as the public
+ * router's error middleware, for validation errors.
+ */
+const handleShareError = (error, req, res, next) => {
+  if (error.isJoi || error.type === 'entity.too.large') {
+    res.status(400).type('html').send(renderShareError('invalid_response', getLanguage(req)));
+    return;
+  }
+  if (error.status === 404 || error.status === 410) {
+    res
+      .status(error.status)
+      .type('html')
+      .send(renderShareError(error.status === 410 ? 'expired' : 'not_found', getLanguage(req)));
+    return;
+  }
+  next(error);
+};
+
+/**
+ * GET /public/invoices/:token?lang=en|ta
+ * Read-only mobile web view of a shared document. Counts as a view.
+ */
+const viewSharedInvoice = async (req, res, next) => {
+  try {
+    const lang = getLanguage(req);
+    const { token } = req.params;
+    const { invoice, business } = await shareService.resolve(token, { countView: true });
+    const response = invoice.document_type === 'estimate'
+      ? await estimateResponseService.getLatest(invoice.user_id, invoice.id)
+      : null;
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+    res.type('html').send(
+      renderShareView(invoice, business, {
+        lang,
+        pdfUrl: `${token}/pdf?lang=${lang}`,
+        switchUrl: `${token}?lang=${lang === 'en' ? 'ta' : 'en'}`,
+        responseUrl: `${token}/response?lang=${lang}`,
+        response,
+      })
+    );
+  } catch (error) {
+    handleShareError(error, req, res, next);
+  }
+};
+
+/**
+ * GET /public/invoices/:token/pdf?lang=en|ta
+ * Downloads the shared document as a PDF.
+ */
+const downloadSharedPdf = async (req, res, next) => {
+  try {
+    const lang = getLanguage(req);
+    const { invoice, business } = await shareService.resolve(req.params.token);
+
+    const pdfBuffer = await pdfService.generatePdf(invoice, business, { lang });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${pdfService.getFilename(invoice, lang)}"`
+    );
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(pdfBuffer);
+  } catch (error) {
+    handleShareError(error, req, res, next);
+  }
+};
+
+/**
+ * POST /public/invoices/:token/response?lang=en|ta
+ * The customer accepts or rejects a shared estimate (form post). Redirects
+ * back to the view, which then shows the answer — also when the estimate
+ * had already been answered.
+ */
+const respondToEstimate = async (req, res, next) => {
+  try {
+    const lang = getLanguage(req);
+    const { token } = req.params;
+
+    try {
+      await estimateResponseService.respond(token, req.body);
+    } catch (error) {
+      if (error.status !== 409) throw error;
+    }
+
+    res.redirect(303, `${req.baseUrl}/invoices/${token}?lang=${lang}`);
+  } catch (error) {
+    handleShareError(error, req, res, next);
+  }
+};
+
+module.exports = {
+  handleShareError,
+  viewSharedInvoice,
+  downloadSharedPdf,
+  respondToEstimate,
+};
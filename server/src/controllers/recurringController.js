@@ -0,0 +1,105 @@
+/**
+ * Recurring Controller — HTTP Request Handlers
+ *
+ * Thin controller layer for recurring invoice profiles. Delegates all
+ * business logic to the RecurringService.
+ */
+
+const recurringService = require('../services/recurringService');
+
+/**
+ * GET /api/recurring
+ * Lists recurring profiles with their coming runs (?source_invoice_id=).
+ */
+const getAllProfiles = async (req, res, next) => {
+  try {
+    const profiles = await recurringService.getAll(req.userId, {
+      source_invoice_id: req.query.source_invoice_id,
+    });
+
+    res.json({
+      success: true,
+      data: profiles,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/recurring/:id
+ * Retrieves a profile with its coming runs and the invoices it has made.
+ */
+const getProfileById = async (req, res, next) => {
+  try {
+    const profile = await recurringService.getWithInvoices(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      data: profile,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/recurring
+ * Creates a recurring profile for an invoice (body is pre-validated).
+ */
+const createProfile = async (req, res, next) => {
+  try {
+    const profile = await recurringService.create(req.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: profile,
+      message: 'Recurring invoice set up successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/recurring/:id
+ * Updates a profile (schedule, options, or pausing / resuming it).
+ */
+const updateProfile = async (req, res, next) => {
+  try {
+    const profile = await recurringService.update(req.userId, req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: profile,
+      message: 'Recurring invoice updated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/recurring/:id
+ * Deletes a profile. The invoices it made are kept.
+ */
+const deleteProfile = async (req, res, next) => {
+  try {
+    await recurringService.delete(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Recurring invoice deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllProfiles,
+  getProfileById,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+};
@@ -0,0 +1,89 @@
+/**
+ * Reminder Controller — Payment Reminder Handlers
+ *
+ * Thin controller layer for payment reminders. Delegates business
+ * logic to the ReminderService.
+ */
+
+const reminderService = require('../services/reminderService');
+
+/**
+ * GET /api/invoices/reminders/due
+ * Lists the reminders due today, with their prefilled messages.
+ */
+const getDueReminders = async (req, res, next) => {
+  try {
+    const reminders = await reminderService.getDue(req.userId);
+
+    res.json({
+      success: true,
+      data: reminders,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/invoices/:id/reminders
+ * Returns an invoice's reminder schedule, next reminder and history.
+ */
+const getInvoiceReminders = async (req, res, next) => {
+  try {
+    const reminders = await reminderService.getForInvoice(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      data: reminders,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/invoices/:id/reminders
+ * Overrides (or, with null, resets) an invoice's reminder schedule.
+ */
+const updateReminderSchedule = async (req, res, next) => {
+  try {
+    const reminders = await reminderService.updateSchedule(
+      req.userId,
+      req.params.id,
+      req.body.schedule
+    );
+
+    res.json({
+      success: true,
+      data: reminders,
+      message: 'Reminder schedule saved',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/invoices/:id/reminders
+ * Sends a reminder by email / SMS, or logs one sent on WhatsApp.
+ */
+const sendReminder = async (req, res, next) => {
+  try {
+    const reminder = await reminderService.send(req.userId, req.params.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: reminder,
+      message: 'Reminder sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getDueReminders,
+  getInvoiceReminders,
+  updateReminderSchedule,
+  sendReminder,
+};
@@ -0,0 +1,91 @@
+/**
+ * Report Controller — HTTP Request Handlers
+ *
+ * Thin controller layer for business reports.
+ * Delegates all business logic to the ReportService.
+ */
+
+const reportService = require('../services/reportService');
+const { parsePositiveInt } = require('../utils/helpers');
+
+/** Most entries a top-N list may ask for */
+const MAX_TOP_LIMIT = 20;
+
+/** The ?from=&to= range of a request (validated by the service) */
+const getRange = (req) => ({ from: req.query.from, to: req.query.to });
+
+/**
+ * GET /api/reports/revenue
+ * Invoiced and collected amounts by month (?from=&to=).
+ */
+const getRevenue = async (req, res, next) => {
+  try {
+    const report = await reportService.getRevenue(req.userId, getRange(req));
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/reports/gst
+ * GST collected by rate, CGST / SGST / IGST and B2B / B2C (?from=&to=).
+ */
+const getGst = async (req, res, next) => {
+  try {
+    const report = await reportService.getGst(req.userId, getRange(req));
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/reports/outstanding
+ * What each customer owes today, in ageing buckets.
+ */
+const getOutstanding = async (req, res, next) => {
+  try {
+    const report = await reportService.getOutstanding(req.userId);
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/reports/top
+ * Top customers and services (?from=&to=&limit=).
+ */
+const getTop = async (req, res, next) => {
+  try {
+    const limit = Math.min(parsePositiveInt(req.query.limit, 5), MAX_TOP_LIMIT);
+    const report = await reportService.getTop(req.userId, getRange(req), limit);
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRevenue,
+  getGst,
+  getOutstanding,
+  getTop,
+};
@@ -0,0 +1,159 @@
+/**
+ * Settings Controller — HTTP Request Handlers
+ *
+ * Thin controller layer for per-user settings. Delegates all
+ * business logic to the SettingsService.
+ */
+
+const settingsService = require('../services/settingsService');
+
+/**
+ * GET /api/settings/numbering
+ * Returns numbering preferences and a preview of the next numbers.
+ */
+const getNumberingSettings = async (req, res, next) => {
+  try {
+    const settings = await settingsService.getNumbering(req.userId);
+
+    res.json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/settings/numbering
+ * Saves numbering preferences (prefixes, padding, financial-year reset).
+ */
+const updateNumberingSettings = async (req, res, next) => {
+  try {
+    const settings = await settingsService.updateNumbering(req.userId, req.body);
+
+    res.json({
+      success: true,
+      data: settings,
+      message: 'Numbering settings saved',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/settings/business
+ * Returns the business profile printed on invoices and estimates.
+ */
+const getBusinessSettings = async (req, res, next) => {
+  try {
+    const profile = await settingsService.getBusiness(req.userId);
+
+    res.json({
+      success: true,
+      data: profile,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/settings/business
+ * Saves the business profile (contact details, branding, bank / UPI, terms).
+ */
+const updateBusinessSettings = async (req, res, next) => {
+  try {
+    const profile = await settingsService.updateBusiness(req.userId, req.body);
+
+    res.json({
+      success: true,
+      data: profile,
+      message: 'Business profile saved',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/settings/reminders
+ * Returns the default reminder schedule, channel, language and templates.
+ */
+const getReminderSettings = async (req, res, next) => {
+  try {
+    const settings = await settingsService.getReminders(req.userId);
+
+    res.json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/settings/reminders
+ * Saves reminder preferences and message templates.
+ */
+const updateReminderSettings = async (req, res, next) => {
+  try {
+    const settings = await settingsService.updateReminders(req.userId, req.body);
+
+    res.json({
+      success: true,
+      data: settings,
+      message: 'Reminder settings saved',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET /api/settings/trash
+ * Returns how many days documents stay in the Trash.
+ */
+const getTrashSettings = async (req, res, next) => {
+  try {
+    const settings = await settingsService.getTrash(req.userId);
+
+    res.json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/settings/trash
+ * Saves how many days documents stay in the Trash.
+ */
+const updateTrashSettings = async (req, res, next) => {
+  try {
+    const settings = await settingsService.updateTrash(req.userId, req.body);
+
+    res.json({
+      success: true,
+      data: settings,
+      message: 'Trash settings saved',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNumberingSettings,
+  updateNumberingSettings,
+  getBusinessSettings,
+  updateBusinessSettings,
+  getReminderSettings,
+  updateReminderSettings,
+  getTrashSettings,
+  updateTrashSettings,
+};
@@ -0,0 +1,77 @@
+/**
+ * Share Controller — Share Link Handlers
+ *
+ * Thin controller layer for a document's public share link. Delegates
+ * business logic to the ShareService and adds the link's full URL.
+ */
+
+const shareService = require('../services/shareService');
+const { buildShareUrl } = require('../utils/shareLinks');
+
+/**
+ * Adds the link's full URL. PUBLIC_URL (the API's public origin) wins
+ * over the request's host, which may be an internal address behind a proxy.
+ */
+const withUrl = (req, link) =>
+  link && {
+    ...link,
+    url: buildShareUrl(process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`, link.token),
+  };
+
+/**
+ * GET /api/invoices/:id/share
+ * Returns the document's share link (null when it has none).
+ */
+const getShareLink = async (req, res, next) => {
+  try {
+    const link = await shareService.get(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      data: withUrl(req, link),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/invoices/:id/share
+ * Creates a share link, replacing (and so revoking) any previous one.
+ */
+const createShareLink = async (req, res, next) => {
+  try {
+    const link = await shareService.create(req.userId, req.params.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: withUrl(req, link),
+      message: 'Share link created',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/invoices/:id/share
+ * Revokes the document's share link.
+ */
+const revokeShareLink = async (req, res, next) => {
+  try {
+    await shareService.revoke(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Share link revoked',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getShareLink,
+  createShareLink,
+  revokeShareLink,
+};
@@ -0,0 +1,87 @@
+/**
+ * Trash Controller — Deleted Document Handlers
+ *
+ * Thin controller layer for the Trash. Delegates business logic to the
+ * TrashService. (Documents are moved to the Trash by DELETE
+ * /api/invoices/:id.)
+ */
+
+const trashService = require('../services/trashService');
+
+/**
+ * GET /api/invoices/trash
+ * Lists the documents in the Trash and when each will be purged.
+ */
+const getTrash = async (req, res, next) => {
+  try {
+    const trash = await trashService.getAll(req.userId);
+
+    res.json({
+      success: true,
+      data: trash,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/invoices/trash/:id/restore
+ * Takes a document out of the Trash.
+ */
+const restoreDocument = async (req, res, next) => {
+  try {
+    const invoice = await trashService.restore(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      data: invoice,
+      message: 'Document restored',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/invoices/trash/:id
+ * Removes a document in the Trash for good.
+ */
+const purgeDocument = async (req, res, next) => {
+  try {
+    await trashService.purge(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Document deleted permanently',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE /api/invoices/trash
+ * Removes every document in the Trash for good, except invoices a
+ * recurring profile copies.
+ */
+const emptyTrash = async (req, res, next) => {
+  try {
+    const { count, kept } = await trashService.empty(req.userId);
+
+    res.json({
+      success: true,
+      data: { count, kept },
+      message: `${count} document(s) deleted permanently`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTrash,
+  restoreDocument,
+  purgeDocument,
+  emptyTrash,
+};
@@ -0,0 +1,51 @@
+/**
+ * Background Jobs
+ *
+ * Registers every scheduled job with the in-process scheduler.
+ *
+ *   - overdue   → hourly, flags invoices whose due date has passed
+ *   - reminders → hourly, sends email / SMS payment reminders due today
+ *   - trash     → hourly, purges documents past their Trash retention period
+ *   - recurring → hourly, makes the invoices due on recurring profiles
+ */
+
+const { scheduleJob } = require('./scheduler');
+const invoiceService = require('../services/invoiceService');
+const reminderService = require('../services/reminderService');
+const trashService = require('../services/trashService');
+const recurringService = require('../services/recurringService');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Starts all background jobs unless JOBS_ENABLED is 'false'.
+ */
+function startJobs() {
+  if (process.env.JOBS_ENABLED === 'false') return;
+
+  scheduleJob({
+    name: 'overdue',
+    intervalMs: HOUR,
+    task: async () => `${await invoiceService.flagOverdue()} invoice(s) flagged overdue`,
+  });
+
+  scheduleJob({
+    name: 'reminders',
+    intervalMs: HOUR,
+    task: async () => `${await reminderService.sendScheduled()} reminder(s) sent`,
+  });
+
+  scheduleJob({
+    name: 'trash',
+    intervalMs: HOUR,
+    task: async () => `${await trashService.purgeExpired()} document(s) purged from the Trash`,
+  });
+
+  scheduleJob({
+    name: 'recurring',
+    intervalMs: HOUR,
+    task: async () => `${await recurringService.processDue()} recurring invoice(s) made`,
+  });
+}
+
+module.exports = { startJobs };
@@ -0,0 +1,44 @@
+/**
+ * In-process Job Scheduler
+ *
+ * Runs background jobs on a fixed interval inside the API process, so
+ * no external cron service is needed. Each run is guarded so a slow run
+ * never overlaps the next one, and a failing run is logged and retried
+ * on the next tick instead of crashing the server.
+ *
+ * Jobs are started from server.js (not app.js), so tests and scripts
+ * that load the app never start timers. Set JOBS_ENABLED=false to turn
+ * them off, e.g. when running several API instances.
+ */
+
+/**
+ * Schedules a job to run every `intervalMs`, plus once right away.
+ *
+ * @param {object} job
+ * @param {string} job.name - Used in log lines
+ * @param {number} job.intervalMs - Time between runs
+ * @param {Function} job.task - Async function doing the work; its result is logged
+ */
+function scheduleJob({ name, intervalMs, task }) {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await task();
+      console.log(`⏱️  Job "${name}" done${result !== undefined ? `: ${result}` : ''}`);
+    } catch (error) {
+      console.error(`Job "${name}" failed:`, error.message || error);
+    } finally {
+      running = false;
+    }
+  };
+
+  // unref() lets the process exit even while a job is scheduled
+  setInterval(run, intervalMs).unref();
+
+  run();
+}
+
+module.exports = { scheduleJob };
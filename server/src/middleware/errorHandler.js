@@ -8,6 +8,17 @@
  * Must be registered LAST in the Express middleware chain.
  */
 
+/** Error messages thrown by services when a record does not exist (→ 404) */
+const NOT_FOUND_ERRORS = [
+  'Invoice not found',
+  'Customer not found',
+  'Payment not found',
+  'Catalog item not found',
+  'Expense not found',
+  'Project not found',
+  'Recurring profile not found',
+];
+
 /**
  * Express error-handling middleware (4-argument signature).
  * @param {Error} err - The error object
@@ -46,10 +57,18 @@ const errorHandler = (err, req, res, next) => {
   }
 
   // ── Custom Application Errors ──
-  if (err.message === 'Invoice not found') {
+  if (NOT_FOUND_ERRORS.includes(err.message)) {
     return res.status(404).json({
       success: false,
-      error: 'Invoice not found',
+      error: err.message,
+    });
+  }
+
+  // ── Client Errors raised via createHttpError() ──
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      error: err.message,
     });
   }
 
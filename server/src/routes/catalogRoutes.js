@@ -0,0 +1,46 @@
+/**
+ * Catalog Routes — /api/catalog/*
+ *
+ * Saved services and rates offered while filling invoice lines.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const catalogController = require('../controllers/catalogController');
+
+// Middleware
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// Validation schemas
+const {
+  createCatalogItemSchema,
+  updateCatalogItemSchema,
+} = require('../validations/catalogSchema');
+
+// ── All routes require authentication ──
+router.use(authenticate);
+
+// ── Collection Routes ──
+
+/**
+ * GET  /api/catalog  — List items, most-used first (?search=&category=&limit=)
+ * POST /api/catalog  — Save an item (e.g. "save this line to catalog")
+ */
+router.get('/', catalogController.getAllCatalogItems);
+router.post('/', validate(createCatalogItemSchema), catalogController.createCatalogItem);
+
+// ── Single Item Routes ──
+
+/**
+ * GET    /api/catalog/:id  — Get a catalog item
+ * PUT    /api/catalog/:id  — Update a catalog item
+ * DELETE /api/catalog/:id  — Delete a catalog item
+ */
+router.get('/:id', catalogController.getCatalogItemById);
+router.put('/:id', validate(updateCatalogItemSchema), catalogController.updateCatalogItem);
+router.delete('/:id', catalogController.deleteCatalogItem);
+
+module.exports = router;
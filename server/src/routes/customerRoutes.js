@@ -0,0 +1,55 @@
+/**
+ * Customer Routes — /api/customers/*
+ *
+ * Customer directory: CRUD, search and merging duplicates.
+ * Static routes (/merge) must come BEFORE dynamic /:id routes.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const customerController = require('../controllers/customerController');
+
+// Middleware
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// Validation schemas
+const {
+  createCustomerSchema,
+  updateCustomerSchema,
+  mergeCustomersSchema,
+} = require('../validations/customerSchema');
+
+// ── All routes require authentication ──
+router.use(authenticate);
+
+// ── Static Routes (must come before /:id routes) ──
+
+/**
+ * POST /api/customers/merge — Merge duplicate customers into one
+ */
+router.post('/merge', validate(mergeCustomersSchema), customerController.mergeCustomers);
+
+// ── Collection Routes ──
+
+/**
+ * GET  /api/customers  — List customers (?search=&page=&limit=)
+ * POST /api/customers  — Create a customer
+ */
+router.get('/', customerController.getAllCustomers);
+router.post('/', validate(createCustomerSchema), customerController.createCustomer);
+
+// ── Single Customer Routes ──
+
+/**
+ * GET    /api/customers/:id  — Customer with invoices and outstanding balance
+ * PUT    /api/customers/:id  — Update a customer
+ * DELETE /api/customers/:id  — Delete a customer (invoices are kept)
+ */
+router.get('/:id', customerController.getCustomerById);
+router.put('/:id', validate(updateCustomerSchema), customerController.updateCustomer);
+router.delete('/:id', customerController.deleteCustomer);
+
+module.exports = router;
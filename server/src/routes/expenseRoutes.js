@@ -0,0 +1,57 @@
+/**
+ * Expense Routes — /api/expenses/*
+ *
+ * What the business spends on materials, labour and transport, with
+ * receipt photos. A job's profit is served from /api/invoices/:id/expenses.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const expenseController = require('../controllers/expenseController');
+
+// Middleware
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// Validation schemas
+const {
+  createExpenseSchema,
+  updateExpenseSchema,
+  receiptSchema,
+} = require('../validations/expenseSchema');
+
+// ── All routes require authentication ──
+router.use(authenticate);
+
+// ── Collection Routes ──
+
+/**
+ * GET  /api/expenses  — List expenses, newest first (?from=&to=&category=&invoice_id=)
+ * POST /api/expenses  — Record an expense
+ */
+router.get('/', expenseController.getAllExpenses);
+router.post('/', validate(createExpenseSchema), expenseController.createExpense);
+
+// ── Single Expense Routes ──
+
+/**
+ * GET    /api/expenses/:id  — Get an expense
+ * PUT    /api/expenses/:id  — Update an expense
+ * DELETE /api/expenses/:id  — Delete an expense (and its receipt)
+ */
+router.get('/:id', expenseController.getExpenseById);
+router.put('/:id', validate(updateExpenseSchema), expenseController.updateExpense);
+router.delete('/:id', expenseController.deleteExpense);
+
+// ── Receipt Routes ──
+
+/**
+ * PUT    /api/expenses/:id/receipt — Upload or replace the receipt photo ({ image: dataUrl })
+ * DELETE /api/expenses/:id/receipt — Remove the receipt photo
+ */
+router.put('/:id/receipt', validate(receiptSchema), expenseController.uploadReceipt);
+router.delete('/:id/receipt', expenseController.removeReceipt);
+
+module.exports = router;
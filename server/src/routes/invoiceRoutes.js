@@ -15,6 +15,13 @@ const router = express.Router();
 // Controllers
 const invoiceController = require('../controllers/invoiceController');
 const pdfController = require('../controllers/pdfController');
+const paymentController = require('../controllers/paymentController');
+const reminderController = require('../controllers/reminderController');
+const shareController = require('../controllers/shareController');
+const estimateResponseController = require('../controllers/estimateResponseController');
+const expenseController = require('../controllers/expenseController');
+const creditNoteController = require('../controllers/creditNoteController');
+const trashController = require('../controllers/trashController');
 
 // Middleware
 const { authenticate } = require('../middleware/auth');
@@ -25,7 +32,12 @@ const {
   createInvoiceSchema,
   updateInvoiceSchema,
   updateStatusSchema,
+  previewPdfSchema,
 } = require('../validations/invoiceSchema');
+const { createPaymentSchema } = require('../validations/paymentSchema');
+const { reminderScheduleSchema, sendReminderSchema } = require('../validations/reminderSchema');
+const { createShareLinkSchema } = require('../validations/shareSchema');
+const { createCreditNoteSchema } = require('../validations/creditNoteSchema');
 
 // ── All routes require authentication ──
 router.use(authenticate);
@@ -38,6 +50,37 @@ router.use(authenticate);
  */
 router.get('/stats', invoiceController.getInvoiceStats);
 
+/**
+ * GET /api/invoices/reminders/due
+ * Payment reminders due today (Dashboard), with prefilled messages
+ */
+router.get('/reminders/due', reminderController.getDueReminders);
+
+/**
+ * GET /api/invoices/responses/unseen
+ * Customers' answers to shared estimates not yet seen (Dashboard)
+ */
+router.get('/responses/unseen', estimateResponseController.getUnseenResponses);
+
+/**
+ * POST /api/invoices/pdf/preview
+ * Render an unsaved document in its chosen template (?lang=en|ta)
+ */
+router.post('/pdf/preview', validate(previewPdfSchema), pdfController.previewPdf);
+
+// ── Trash Routes ──
+
+/**
+ * GET    /api/invoices/trash             — Deleted documents and when each is purged
+ * DELETE /api/invoices/trash             — Empty the Trash
+ * POST   /api/invoices/trash/:id/restore — Restore a document
+ * DELETE /api/invoices/trash/:id         — Delete a document permanently
+ */
+router.get('/trash', trashController.getTrash);
+router.delete('/trash', trashController.emptyTrash);
+router.post('/trash/:id/restore', trashController.restoreDocument);
+router.delete('/trash/:id', trashController.purgeDocument);
+
 // ── Collection Routes ──
 
 /**
@@ -52,7 +95,7 @@ router.post('/', validate(createInvoiceSchema), invoiceController.createInvoice)
 /**
  * GET    /api/invoices/:id  — Get a single invoice by ID
  * PUT    /api/invoices/:id  — Update an invoice
- * DELETE /api/invoices/:id  — Delete an invoice
+ * DELETE /api/invoices/:id  — Move an invoice to the Trash
  */
 router.get('/:id', invoiceController.getInvoiceById);
 router.put('/:id', validate(updateInvoiceSchema), invoiceController.updateInvoice);
@@ -62,13 +105,84 @@ router.delete('/:id', invoiceController.deleteInvoice);
 
 /**
  * POST /api/invoices/:id/duplicate  — Duplicate an invoice
+ * POST /api/invoices/:id/convert    — Convert an estimate into a linked invoice
  * PUT  /api/invoices/:id/status     — Update invoice status only
- * GET  /api/invoices/:id/pdf        — Generate & download PDF
- * POST /api/invoices/:id/pdf/upload — Generate, upload to storage, return URL
+ * GET  /api/invoices/:id/pdf        — Generate & download PDF (?lang=en|ta)
+ * POST /api/invoices/:id/pdf/upload — Generate, upload to storage, return URL (?lang=en|ta)
  */
 router.post('/:id/duplicate', invoiceController.duplicateInvoice);
+router.post('/:id/convert', invoiceController.convertEstimate);
 router.put('/:id/status', validate(updateStatusSchema), invoiceController.updateInvoiceStatus);
 router.get('/:id/pdf', pdfController.generatePdf);
 router.post('/:id/pdf/upload', pdfController.generateAndUploadPdf);
 
+// ── History Routes ──
+
+/**
+ * GET /api/invoices/:id/history              — Who changed what and when (newest first)
+ * GET /api/invoices/:id/history/:version/pdf — A past version's PDF (?lang=en|ta)
+ */
+router.get('/:id/history', invoiceController.getInvoiceHistory);
+router.get('/:id/history/:version/pdf', pdfController.generateVersionPdf);
+
+// ── Payments Ledger Routes ──
+
+/**
+ * GET    /api/invoices/:id/payments            — List payments for an invoice
+ * POST   /api/invoices/:id/payments            — Record a payment (advance / instalment)
+ * DELETE /api/invoices/:id/payments/:paymentId — Remove a mistaken payment
+ */
+router.get('/:id/payments', paymentController.getPayments);
+router.post('/:id/payments', validate(createPaymentSchema), paymentController.createPayment);
+router.delete('/:id/payments/:paymentId', paymentController.deletePayment);
+
+// ── Credit Note Routes ──
+
+/**
+ * GET  /api/invoices/:id/credit-notes — Credit notes and what is left to credit per line
+ * POST /api/invoices/:id/credit-notes — Issue a credit note (all or part of the invoice)
+ *
+ * A credit note is cancelled through PUT /api/invoices/:id/status.
+ */
+router.get('/:id/credit-notes', creditNoteController.getCreditNotes);
+router.post('/:id/credit-notes', validate(createCreditNoteSchema), creditNoteController.createCreditNote);
+
+// ── Payment Reminder Routes ──
+
+/**
+ * GET  /api/invoices/:id/reminders — Schedule, next reminder and history
+ * PUT  /api/invoices/:id/reminders — Override the schedule (null → defaults)
+ * POST /api/invoices/:id/reminders — Send by email / SMS, or log a WhatsApp reminder
+ */
+router.get('/:id/reminders', reminderController.getInvoiceReminders);
+router.put('/:id/reminders', validate(reminderScheduleSchema), reminderController.updateReminderSchedule);
+router.post('/:id/reminders', validate(sendReminderSchema), reminderController.sendReminder);
+
+// ── Share Link Routes ──
+
+/**
+ * GET    /api/invoices/:id/share — The document's public share link (or null)
+ * POST   /api/invoices/:id/share — Create a new link, replacing the old one
+ * DELETE /api/invoices/:id/share — Revoke the link
+ */
+router.get('/:id/share', shareController.getShareLink);
+router.post('/:id/share', validate(createShareLinkSchema), shareController.createShareLink);
+router.delete('/:id/share', shareController.revokeShareLink);
+
+// ── Estimate Response Routes ──
+
+/**
+ * GET /api/invoices/:id/response      — The customer's latest answer (or null)
+ * PUT /api/invoices/:id/response/seen — Mark the answer as seen
+ */
+router.get('/:id/response', estimateResponseController.getEstimateResponse);
+router.put('/:id/response/seen', estimateResponseController.markResponseSeen);
+
+// ── Job Expense Routes ──
+
+/**
+ * GET /api/invoices/:id/expenses — Expenses booked against the job, and its profit
+ */
+router.get('/:id/expenses', expenseController.getJobExpenses);
+
 module.exports = router;
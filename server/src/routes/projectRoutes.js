@@ -0,0 +1,47 @@
+/**
+ * Project Routes — /api/projects/*
+ *
+ * Projects group the estimates, invoices, payments and expenses of one
+ * job. Documents are added to a project through their own project_id.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const projectController = require('../controllers/projectController');
+
+// Middleware
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// Validation schemas
+const {
+  createProjectSchema,
+  updateProjectSchema,
+} = require('../validations/projectSchema');
+
+// ── All routes require authentication ──
+router.use(authenticate);
+
+// ── Collection Routes ──
+
+/**
+ * GET  /api/projects  — List projects with their summary (?stage=&search=&customer_id=)
+ * POST /api/projects  — Create a project
+ */
+router.get('/', projectController.getAllProjects);
+router.post('/', validate(createProjectSchema), projectController.createProject);
+
+// ── Single Project Routes ──
+
+/**
+ * GET    /api/projects/:id  — Project with documents, payments, expenses and summary
+ * PUT    /api/projects/:id  — Update a project
+ * DELETE /api/projects/:id  — Delete a project (documents and expenses are kept)
+ */
+router.get('/:id', projectController.getProjectById);
+router.put('/:id', validate(updateProjectSchema), projectController.updateProject);
+router.delete('/:id', projectController.deleteProject);
+
+module.exports = router;
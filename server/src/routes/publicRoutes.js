@@ -0,0 +1,54 @@
+/**
+ * Public Routes — /public/*
+ *
+ * Pages opened by customers from a share link. No authentication: the
+ * unguessable token in the URL is the only credential.
+ */
+
+const path = require('path');
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const publicController = require('../controllers/publicController');
+
+// Middleware
+const { validate } = require('../middleware/validate');
+
+// Validation schemas
+const { estimateResponseSchema } = require('../validations/estimateResponseSchema');
+
+// ── Static Assets ──
+
+/**
+ * GET /public/assets/approval.js — Signature pad for the estimate answer form
+ */
+router.use('/assets', express.static(path.join(__dirname, '../assets'), { maxAge: '1d' }));
+
+// ── Shared Documents ──
+
+/**
+ * GET /public/invoices/:token     — Read-only web view (?lang=en|ta)
+ * GET /public/invoices/:token/pdf — Download the PDF (?lang=en|ta)
+ */
+router.get('/invoices/:token', publicController.viewSharedInvoice);
+router.get('/invoices/:token/pdf', publicController.downloadSharedPdf);
+
+// ── Estimate Approval ──
+
+/**
+ * POST /public/invoices/:token/response — Accept (with signature) or reject
+ * a shared estimate. A plain form post, so the body is URL-encoded; the
+ * signature makes it larger than a usual form.
+ */
+router.post(
+  '/invoices/:token/response',
+  express.urlencoded({ extended: false, limit: '512kb' }),
+  validate(estimateResponseSchema),
+  publicController.respondToEstimate
+);
+
+// Validation errors → an HTML page rather than JSON
+router.use(publicController.handleShareError);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+/**
+ * Recurring Routes — /api/recurring/*
+ *
+ * Recurring profiles re-issue an invoice on a schedule; the recurring
+ * job makes the invoices, so there is no route to run one by hand.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const recurringController = require('../controllers/recurringController');
+
+// Middleware
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// Validation schemas
+const {
+  createRecurringSchema,
+  updateRecurringSchema,
+} = require('../validations/recurringSchema');
+
+// ── All routes require authentication ──
+router.use(authenticate);
+
+// ── Collection Routes ──
+
+/**
+ * GET  /api/recurring  — List profiles with their coming runs (?source_invoice_id=)
+ * POST /api/recurring  — Set up a recurring invoice
+ */
+router.get('/', recurringController.getAllProfiles);
+router.post('/', validate(createRecurringSchema), recurringController.createProfile);
+
+// ── Single Profile Routes ──
+
+/**
+ * GET    /api/recurring/:id  — Profile with coming runs and the invoices it made
+ * PUT    /api/recurring/:id  — Update, pause or resume a profile
+ * DELETE /api/recurring/:id  — Delete a profile (its invoices are kept)
+ */
+router.get('/:id', recurringController.getProfileById);
+router.put('/:id', validate(updateRecurringSchema), recurringController.updateProfile);
+router.delete('/:id', recurringController.deleteProfile);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+/**
+ * Report Routes — /api/reports/*
+ *
+ * Business reports over a date range (?from=&to=, YYYY-MM-DD; the
+ * financial year to date by default).
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const reportController = require('../controllers/reportController');
+
+// Middleware
+const { authenticate } = require('../middleware/auth');
+
+// ── All routes require authentication ──
+router.use(authenticate);
+
+/**
+ * GET /api/reports/revenue     — Invoiced and collected by month (?from=&to=)
+ * GET /api/reports/gst         — GST collected, CGST / SGST / IGST split (?from=&to=)
+ * GET /api/reports/outstanding — Outstanding by customer with ageing buckets (as of today)
+ * GET /api/reports/top         — Top customers and services (?from=&to=&limit=)
+ */
+router.get('/revenue', reportController.getRevenue);
+router.get('/gst', reportController.getGst);
+router.get('/outstanding', reportController.getOutstanding);
+router.get('/top', reportController.getTop);
+
+module.exports = router;
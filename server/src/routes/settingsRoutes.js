@@ -0,0 +1,64 @@
+/**
+ * Settings Routes — /api/settings/*
+ *
+ * Per-user preferences. Each settings group is its own sub-resource.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const settingsController = require('../controllers/settingsController');
+
+// Middleware
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// Validation schemas
+const {
+  numberingSettingsSchema,
+  businessSettingsSchema,
+  reminderSettingsSchema,
+  trashSettingsSchema,
+} = require('../validations/settingsSchema');
+
+// ── All routes require authentication ──
+router.use(authenticate);
+
+// ── Document Numbering ──
+
+/**
+ * GET /api/settings/numbering — Prefixes, padding, FY reset + next-number preview
+ * PUT /api/settings/numbering — Save numbering preferences
+ */
+router.get('/numbering', settingsController.getNumberingSettings);
+router.put('/numbering', validate(numberingSettingsSchema), settingsController.updateNumberingSettings);
+
+// ── Business Profile ──
+
+/**
+ * GET /api/settings/business — Name, contact, GSTIN, logo, signature, bank/UPI, terms
+ * PUT /api/settings/business — Save the business profile
+ */
+router.get('/business', settingsController.getBusinessSettings);
+router.put('/business', validate(businessSettingsSchema), settingsController.updateBusinessSettings);
+
+// ── Payment Reminders ──
+
+/**
+ * GET /api/settings/reminders — Default reminder schedule, channel, language + templates
+ * PUT /api/settings/reminders — Save reminder preferences
+ */
+router.get('/reminders', settingsController.getReminderSettings);
+router.put('/reminders', validate(reminderSettingsSchema), settingsController.updateReminderSettings);
+
+// ── Trash ──
+
+/**
+ * GET /api/settings/trash — Days documents stay in the Trash before being purged
+ * PUT /api/settings/trash — Save the retention period
+ */
+router.get('/trash', settingsController.getTrashSettings);
+router.put('/trash', validate(trashSettingsSchema), settingsController.updateTrashSettings);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+/**
+ * Tests for merging duplicate customers.
+ */
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service loads the Supabase client; its queries are replaced below
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const { supabaseAdmin } = require('../../config/supabase');
+const customerService = require('../customerService');
+
+/**
+ * Replaces supabaseAdmin.from with a query builder that records each
+ * query as `{ table, calls }` and resolves without error.
+ */
+const recordQueries = () => {
+  const queries = [];
+  mock.method(supabaseAdmin, 'from', (table) => {
+    const query = { table, calls: [] };
+    queries.push(query);
+    const builder = new Proxy(
+      {},
+      {
+        get: (_, name) => {
+          if (name === 'then') {
+            return (resolve) => resolve({ data: null, error: null });
+          }
+          return (...args) => {
+            query.calls.push([name, ...args]);
+            return builder;
+          };
+        },
+      }
+    );
+    return builder;
+  });
+  return queries;
+};
+
+describe('customerService.merge', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('moves invoices and projects to the target before deleting the duplicates', async () => {
+    mock.method(customerService, 'getById', async (userId, id) => ({ id }));
+    mock.method(customerService, 'getWithInvoices', async (userId, id) => ({ id }));
+    const queries = recordQueries();
+
+    const merged = await customerService.merge('user-1', 'keep', ['keep', 'dup-1', 'dup-2']);
+
+    assert.deepEqual(merged, { id: 'keep' });
+    assert.deepEqual(
+      queries.map((q) => [q.table, q.calls[0][0]]),
+      [
+        ['invoices', 'update'],
+        ['projects', 'update'],
+        ['customers', 'delete'],
+      ]
+    );
+    queries.slice(0, 2).forEach((q) => {
+      assert.deepEqual(q.calls, [
+        ['update', { customer_id: 'keep' }],
+        ['eq', 'user_id', 'user-1'],
+        ['in', 'customer_id', ['dup-1', 'dup-2']],
+      ]);
+    });
+    assert.deepEqual(queries[2].calls.at(-1), ['in', 'id', ['dup-1', 'dup-2']]);
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Tests for invoice updates.
+ */
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service loads the Supabase client; it is never reached here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const invoiceService = require('../invoiceService');
+
+const creditNote = {
+  id: 'cn-1',
+  document_type: 'credit_note',
+  status: 'sent',
+  invoice_number: 'CN-001',
+  credited_invoice_id: 'inv-1',
+  total_amount: 1000,
+};
+
+describe('invoiceService.update on a credit note', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('rejects a notes-only change', async () => {
+    mock.method(invoiceService, 'getById', async () => creditNote);
+
+    await assert.rejects(invoiceService.update('user-1', 'cn-1', { notes: 'Changed' }), {
+      status: 400,
+      message: 'A credit note can only be cancelled',
+    });
+  });
+
+  it('rejects customer changes', async () => {
+    mock.method(invoiceService, 'getById', async () => creditNote);
+
+    await assert.rejects(invoiceService.update('user-1', 'cn-1', { customer_name: 'Someone else' }), {
+      status: 400,
+    });
+  });
+});
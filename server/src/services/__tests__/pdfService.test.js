@@ -0,0 +1,65 @@
+/**
+ * Tests for the invoice PDF layout.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service loads the Supabase client; it is never called here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const pdfService = require('../pdfService');
+
+const invoice = (service) => ({
+  document_type: 'invoice',
+  invoice_number: 'INV-2026-27-001',
+  invoice_date: '2026-04-10',
+  status: 'sent',
+  customer_name: 'Ravi Kumar',
+  services: [{ quantity: 1, rate: 1000, amount: 1000, ...service }],
+  subtotal: 1000,
+  total_amount: 1000,
+  amount_paid: 0,
+});
+
+/** Every node printing `match` in a pdfmake tree (bare strings included) */
+const findTextNodes = (node, match, found = []) => {
+  if (Array.isArray(node)) {
+    node.forEach((child) => (child === match ? found.push(child) : findTextNodes(child, match, found)));
+  } else if (node && typeof node === 'object') {
+    if (node.text === match) found.push(node);
+    Object.values(node).forEach((value) => findTextNodes(value, match, found));
+  }
+  return found;
+};
+
+describe('Tamil text in an English PDF', () => {
+  const description = 'சுவர் ஓவியம்';
+
+  it('sets the Tamil font on a plain description', () => {
+    const doc = pdfService.buildDocDefinition(invoice({ description }));
+    const nodes = findTextNodes(doc.content, description);
+    assert.ok(nodes.length > 0);
+    nodes.forEach((node) => assert.equal(node.font, 'NotoSansTamil'));
+  });
+
+  it('sets the Tamil font on a description with measurements and a discount', () => {
+    const doc = pdfService.buildDocDefinition(
+      invoice({
+        description,
+        dimensions: { length: 10, width: 12, system: 'ft' },
+        discount_amount: 100,
+        discount_type: 'amount',
+      })
+    );
+    const nodes = findTextNodes(doc.content, description);
+    assert.ok(nodes.length > 0);
+    nodes.forEach((node) => assert.equal(node.font, 'NotoSansTamil'));
+  });
+
+  it('leaves English text in the default font', () => {
+    const doc = pdfService.buildDocDefinition(invoice({ description: 'Wall painting' }));
+    findTextNodes(doc.content, 'Wall painting').forEach((node) => assert.equal(node.font, undefined));
+  });
+});
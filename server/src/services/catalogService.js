@@ -0,0 +1,213 @@
+/**
+ * Catalog Service — Saved Services & Rates
+ *
+ * Keeps the services a user bills repeatedly ("Modular kitchen
+ * cabinet – per sq.ft") with their usual rate, unit, HSN/SAC and GST
+ * rate, so invoice lines can be filled from a suggestion instead of
+ * being typed from memory.
+ *
+ * Responsibilities:
+ *   - CRUD operations on the catalog_items table
+ *   - Search by description, filter by category, most-used first
+ *   - Recording usage when invoice lines are picked from the catalog
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { createHttpError, toSearchPattern } = require('../utils/helpers');
+
+/** PostgreSQL unique_violation (same description saved twice) */
+const UNIQUE_VIOLATION = '23505';
+
+const DUPLICATE_MESSAGE = 'A catalog item with this description already exists';
+
+/**
+ * Maps a validated payload to catalog_items columns.
+ * @param {object} item - Validated catalog item payload
+ * @returns {object} Column values (only the fields present in the payload)
+ */
+const toColumns = (item) => {
+  const columns = {};
+  if (item.description !== undefined) columns.description = item.description;
+  if (item.unit !== undefined) columns.unit = item.unit || null;
+  if (item.default_rate !== undefined) columns.default_rate = item.default_rate;
+  if (item.hsn_sac !== undefined) columns.hsn_sac = item.hsn_sac || null;
+  if (item.tax_rate !== undefined) columns.tax_rate = item.tax_rate;
+  if (item.category !== undefined) columns.category = item.category || null;
+  return columns;
+};
+
+class CatalogService {
+  /**
+   * Saves a new catalog item for the given user.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} itemData - Validated catalog item payload
+   * @returns {Promise<object>} The newly created catalog item
+   * @throws {Error} 409 if an item with the same description exists
+   */
+  async create(userId, itemData) {
+    const { data, error } = await supabaseAdmin
+      .from('catalog_items')
+      .insert({ user_id: userId, ...toColumns(itemData) })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) throw createHttpError(409, DUPLICATE_MESSAGE);
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Lists catalog items, most-used first (then most recently used, then A–Z).
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} filters - Query filters
+   * @param {string} [filters.search]   - Search term for the description
+   * @param {string} [filters.category] - Exact category
+   * @param {number} [filters.limit]    - Maximum number of items
+   * @returns {Promise<{items: object[], categories: string[]}>}
+   */
+  async getAll(userId, filters = {}) {
+    let query = supabaseAdmin
+      .from('catalog_items')
+      .select('*')
+      .eq('user_id', userId);
+
+    const pattern = toSearchPattern(filters.search);
+    if (pattern) {
+      query = query.ilike('description', pattern);
+    }
+    if (filters.category) {
+      query = query.eq('category', filters.category);
+    }
+
+    query = query
+      .order('usage_count', { ascending: false })
+      .order('last_used_at', { ascending: false, nullsFirst: false })
+      .order('description', { ascending: true })
+      .limit(filters.limit || 50);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return {
+      items: data,
+      categories: await this.getCategories(userId),
+    };
+  }
+
+  /**
+   * Returns the distinct categories the user has filed items under.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @returns {Promise<string[]>} Category names, A–Z
+   */
+  async getCategories(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('catalog_items')
+      .select('category')
+      .eq('user_id', userId)
+      .not('category', 'is', null);
+
+    if (error) throw error;
+    return [...new Set(data.map((row) => row.category))].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Retrieves a single catalog item, scoped to the authenticated user.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} itemId - Catalog item UUID
+   * @returns {Promise<object>} The catalog item
+   * @throws {Error} "Catalog item not found" if no matching record exists
+   */
+  async getById(userId, itemId) {
+    const { data, error } = await supabaseAdmin
+      .from('catalog_items')
+      .select('*')
+      .eq('id', itemId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Catalog item not found');
+      }
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Updates an existing catalog item with partial data.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} itemId - Catalog item UUID to update
+   * @param {object} updateData - Fields to update
+   * @returns {Promise<object>} The updated catalog item
+   */
+  async update(userId, itemId, updateData) {
+    const { data, error } = await supabaseAdmin
+      .from('catalog_items')
+      .update({
+        ...toColumns(updateData),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', itemId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Catalog item not found');
+      }
+      if (error.code === UNIQUE_VIOLATION) throw createHttpError(409, DUPLICATE_MESSAGE);
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Deletes a catalog item. Invoices that used it keep their lines.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} itemId - Catalog item UUID to delete
+   * @returns {Promise<boolean>} true on success
+   */
+  async delete(userId, itemId) {
+    const { error } = await supabaseAdmin
+      .from('catalog_items')
+      .delete()
+      .eq('id', itemId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Bumps the usage stats of the catalog items referenced by invoice lines.
+   * Stats are best-effort: a failure is logged and never fails the invoice.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object[]} services - Invoice service lines (with optional `catalog_item_id`)
+   * @returns {Promise<void>}
+   */
+  async recordUsage(userId, services = []) {
+    const itemIds = services.map((s) => s.catalog_item_id).filter(Boolean);
+    if (itemIds.length === 0) return;
+
+    const { error } = await supabaseAdmin.rpc('record_catalog_usage', {
+      p_user_id: userId,
+      p_item_ids: itemIds,
+    });
+
+    if (error) console.error('Catalog usage update failed:', error.message);
+  }
+}
+
+module.exports = new CatalogService();
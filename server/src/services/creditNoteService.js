@@ -0,0 +1,120 @@
+/**
+ * Credit Note Service — Returns, Cancellations & Corrections
+ *
+ * Issues credit notes against invoices. A credit note is a document of
+ * its own (document_type 'credit_note', own number series) stored in the
+ * invoices table and pointing at the invoice through
+ * `credited_invoice_id`. Rules live in utils/creditNotes.js.
+ *
+ * Responsibilities:
+ *   - Issuing a credit note for all or part of an invoice
+ *   - An invoice's credit notes and what is left to credit per line
+ *
+ * Cancelling a credit note goes through the invoice status route; the
+ * invoice service gives the amount back to the invoice.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const invoiceService = require('./invoiceService');
+const invoiceHistoryService = require('./invoiceHistoryService');
+const { generateInvoiceNumber } = require('../utils/invoiceNumber');
+const { withBalance } = require('../utils/paymentStatus');
+const {
+  assertCreditable,
+  getCreditableLines,
+  buildCreditNote,
+} = require('../utils/creditNotes');
+
+class CreditNoteService {
+  /**
+   * Issues a credit note against an invoice and takes its amount off the
+   * invoice's balance.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @param {object} creditData - Validated payload
+   * @param {string} creditData.reason - 'return', 'cancellation', 'correction' or 'other'
+   * @param {string} creditData.credit_date - Credit note date (YYYY-MM-DD)
+   * @param {Array<{ line: number, quantity: number }>|null} creditData.lines -
+   *   Invoice lines to credit; null credits everything left
+   * @param {string} [creditData.notes]
+   * @returns {Promise<{ credit_note: object, invoice: object }>} The new
+   *   credit note and the updated invoice
+   * @throws {Error} 400 if the invoice can't be credited or the lines are
+   *   wrong, 409 once it is fully credited
+   */
+  async create(userId, invoiceId, { reason, credit_date: creditDate, lines, notes }) {
+    const invoice = await invoiceService.getById(userId, invoiceId);
+    assertCreditable(invoice);
+
+    const creditNotes = await invoiceService.getCreditNotes(userId, invoiceId);
+    const totals = buildCreditNote(invoice, creditNotes, lines);
+
+    const creditNoteNumber = await generateInvoiceNumber(userId, 'credit_note', creditDate);
+
+    const { data, error } = await supabaseAdmin
+      .from('invoices')
+      .insert({
+        user_id: userId,
+        invoice_number: creditNoteNumber,
+        document_type: 'credit_note',
+        status: 'sent',
+        credited_invoice_id: invoice.id,
+        credit_reason: reason,
+
+        // Same customer, GST registration and project as the invoice
+        customer_id: invoice.customer_id,
+        customer_name: invoice.customer_name,
+        customer_phone: invoice.customer_phone,
+        customer_address: invoice.customer_address,
+        customer_email: invoice.customer_email,
+        customer_gstin: invoice.customer_gstin,
+        project_id: invoice.project_id,
+        business_gstin: invoice.business_gstin,
+        place_of_supply: invoice.place_of_supply,
+        tax_enabled: invoice.tax_enabled,
+        tax_percentage: invoice.tax_percentage,
+        pdf_template: invoice.pdf_template,
+
+        ...totals,
+
+        invoice_date: creditDate,
+        due_date: null,
+        notes: notes || null,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const creditNote = withBalance(data);
+    await invoiceHistoryService.recordChange(null, creditNote);
+
+    return {
+      credit_note: creditNote,
+      invoice: await invoiceService.syncCredits(userId, invoiceId),
+    };
+  }
+
+  /**
+   * An invoice's credit notes and, per line, how much is credited and left.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @returns {Promise<{ credit_notes: object[], lines: object[] }>}
+   */
+  async getForInvoice(userId, invoiceId) {
+    const invoice = await invoiceService.getById(userId, invoiceId);
+    if (invoice.document_type !== 'invoice') {
+      return { credit_notes: [], lines: [] };
+    }
+
+    const creditNotes = await invoiceService.getCreditNotes(userId, invoiceId);
+    return {
+      credit_notes: creditNotes,
+      lines: getCreditableLines(invoice, creditNotes),
+    };
+  }
+}
+
+module.exports = new CreditNoteService();
@@ -0,0 +1,316 @@
+/**
+ * Customer Service — Customer Directory Business Logic
+ *
+ * Keeps a single record per client so invoices can reference a
+ * customer id instead of copying contact details on every job.
+ *
+ * Responsibilities:
+ *   - CRUD operations on the customers table
+ *   - Search by name or phone (used by the invoice customer picker)
+ *   - Per-customer invoice history and outstanding balance
+ *   - Merging duplicate customers into one record
+ *   - Find-or-create when an invoice is saved without a customer id
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { toSearchPattern } = require('../utils/helpers');
+const { getBalanceDue } = require('../utils/paymentStatus');
+const { OPEN_STATUSES } = require('../utils/invoiceStatus');
+
+/** Invoice statuses that still count towards a customer's outstanding balance */
+const OUTSTANDING_STATUSES = ['draft', ...OPEN_STATUSES];
+
+class CustomerService {
+  /**
+   * Creates a new customer for the given user.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} customerData - Validated customer payload
+   * @returns {Promise<object>} The newly created customer record
+   */
+  async create(userId, customerData) {
+    const { data, error } = await supabaseAdmin
+      .from('customers')
+      .insert({
+        user_id: userId,
+        name: customerData.name,
+        phone: customerData.phone,
+        address: customerData.address || null,
+        email: customerData.email || null,
+        gstin: customerData.gstin || null,
+        notes: customerData.notes || null,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Lists customers with optional search and pagination.
+   * Each customer is annotated with `invoice_count` and `outstanding_amount`.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} filters - Query filters
+   * @param {string} [filters.search] - Search term for name or phone
+   * @param {number} [filters.page]   - Page number (1-indexed)
+   * @param {number} [filters.limit]  - Items per page
+   * @returns {Promise<{customers: object[], pagination: object}>}
+   */
+  async getAll(userId, filters = {}) {
+    let query = supabaseAdmin
+      .from('customers')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId);
+
+    const pattern = toSearchPattern(filters.search);
+    if (pattern) {
+      query = query.or(`name.ilike.${pattern},phone.ilike.${pattern}`);
+    }
+
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+    const from = (page - 1) * limit;
+    query = query.order('name', { ascending: true }).range(from, from + limit - 1);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    const summaries = await this.getSummaries(
+      userId,
+      data.map((c) => c.id)
+    );
+
+    return {
+      customers: data.map((customer) => ({
+        ...customer,
+        ...(summaries[customer.id] || { invoice_count: 0, outstanding_amount: 0 }),
+      })),
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit),
+      },
+    };
+  }
+
+  /**
+   * Retrieves a single customer by ID, scoped to the authenticated user.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} customerId - Customer UUID
+   * @returns {Promise<object>} The customer record
+   * @throws {Error} "Customer not found" if no matching record exists
+   */
+  async getById(userId, customerId) {
+    const { data, error } = await supabaseAdmin
+      .from('customers')
+      .select('*')
+      .eq('id', customerId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Customer not found');
+      }
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Retrieves a customer together with their invoices and balance summary.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} customerId - Customer UUID
+   * @returns {Promise<object>} Customer record with `invoices`, `invoice_count`
+   *   and `outstanding_amount`
+   */
+  async getWithInvoices(userId, customerId) {
+    const customer = await this.getById(userId, customerId);
+
+    const { data: invoices, error } = await supabaseAdmin
+      .from('invoices')
+      .select(
+        'id, invoice_number, document_type, status, total_amount, amount_paid, amount_credited, invoice_date, due_date, created_at'
+      )
+      .eq('user_id', userId)
+      .eq('customer_id', customerId)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return {
+      ...customer,
+      ...this.summarize(invoices),
+      invoices,
+    };
+  }
+
+  /**
+   * Updates an existing customer with partial data.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} customerId - Customer UUID to update
+   * @param {object} updateData - Fields to update
+   * @returns {Promise<object>} The updated customer record
+   */
+  async update(userId, customerId, updateData) {
+    const { data, error } = await supabaseAdmin
+      .from('customers')
+      .update({
+        ...updateData,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', customerId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Customer not found');
+      }
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Deletes a customer. Their invoices are kept and simply lose the link
+   * (the foreign key is declared ON DELETE SET NULL).
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} customerId - Customer UUID to delete
+   * @returns {Promise<boolean>} true on success
+   */
+  async delete(userId, customerId) {
+    const { error } = await supabaseAdmin
+      .from('customers')
+      .delete()
+      .eq('id', customerId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Merges duplicate customers into a single target record.
+   * All invoices and projects of the source customers are re-pointed to
+   * the target, then the source customers are deleted.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} targetId - Customer UUID to keep
+   * @param {string[]} sourceIds - Customer UUIDs to merge into the target
+   * @returns {Promise<object>} The target customer with invoices and summary
+   */
+  async merge(userId, targetId, sourceIds) {
+    const ids = sourceIds.filter((id) => id !== targetId);
+
+    // Verify ownership of every customer involved before touching data
+    await this.getById(userId, targetId);
+    await Promise.all(ids.map((id) => this.getById(userId, id)));
+
+    // Deleting a customer would otherwise unlink its projects (on delete set null)
+    for (const table of ['invoices', 'projects']) {
+      const { error: moveError } = await supabaseAdmin
+        .from(table)
+        .update({ customer_id: targetId })
+        .eq('user_id', userId)
+        .in('customer_id', ids);
+
+      if (moveError) throw moveError;
+    }
+
+    const { error: deleteError } = await supabaseAdmin
+      .from('customers')
+      .delete()
+      .eq('user_id', userId)
+      .in('id', ids);
+
+    if (deleteError) throw deleteError;
+
+    return this.getWithInvoices(userId, targetId);
+  }
+
+  /**
+   * Returns the customer matching the given phone number, creating one
+   * from the invoice's customer details if none exists yet.
+   * Used when an invoice is saved without an explicit customer id.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} details - Customer details copied from the invoice
+   * @returns {Promise<object>} Existing or newly created customer record
+   */
+  async findOrCreate(userId, details) {
+    const { data, error } = await supabaseAdmin
+      .from('customers')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('phone', details.phone)
+      .limit(1);
+
+    if (error) throw error;
+    if (data.length > 0) return data[0];
+
+    return this.create(userId, details);
+  }
+
+  /**
+   * Aggregates invoice count and outstanding amount for a set of customers.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string[]} customerIds - Customer UUIDs to summarize
+   * @returns {Promise<Object<string, {invoice_count: number, outstanding_amount: number}>>}
+   */
+  async getSummaries(userId, customerIds) {
+    if (customerIds.length === 0) return {};
+
+    const { data, error } = await supabaseAdmin
+      .from('invoices')
+      .select('customer_id, document_type, status, total_amount, amount_paid, amount_credited')
+      .eq('user_id', userId)
+      .in('customer_id', customerIds)
+      .is('deleted_at', null);
+
+    if (error) throw error;
+
+    const grouped = {};
+    data.forEach((inv) => {
+      (grouped[inv.customer_id] = grouped[inv.customer_id] || []).push(inv);
+    });
+
+    return Object.fromEntries(
+      Object.entries(grouped).map(([id, invoices]) => [id, this.summarize(invoices)])
+    );
+  }
+
+  /**
+   * Computes the invoice count and outstanding balance from a list of invoices.
+   * Estimates are not bills, so they never count towards the balance.
+   *
+   * @param {object[]} invoices - Invoice rows (document_type, status, total_amount, amount_paid)
+   * @returns {{invoice_count: number, outstanding_amount: number}}
+   */
+  summarize(invoices) {
+    return {
+      invoice_count: invoices.length,
+      outstanding_amount: invoices
+        .filter(
+          (inv) =>
+            inv.document_type === 'invoice' &&
+            OUTSTANDING_STATUSES.includes(inv.status)
+        )
+        .reduce((sum, inv) => sum + getBalanceDue(inv), 0),
+    };
+  }
+}
+
+module.exports = new CustomerService();
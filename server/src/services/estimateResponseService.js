@@ -0,0 +1,146 @@
+/**
+ * Estimate Response Service — Customer Approval
+ *
+ * Records a customer's answer to an estimate given through its share
+ * link, and surfaces it to the owner. Rules live in
+ * utils/estimateResponses.js.
+ *
+ * Responsibilities:
+ *   - Accepting / rejecting an estimate from its share link (status,
+ *     signature, comment and time)
+ *   - The latest response to a document, for its detail page
+ *   - Responses the owner has not seen yet (Dashboard), and marking
+ *     them seen
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const invoiceService = require('./invoiceService');
+const shareService = require('./shareService');
+const { createHttpError } = require('../utils/helpers');
+const { canRespond } = require('../utils/estimateResponses');
+
+/** Columns returned to the document's owner */
+const RESPONSE_COLUMNS = 'id, invoice_id, decision, signer_name, comment, signature_image, responded_at, seen_at';
+
+class EstimateResponseService {
+  /**
+   * Records the customer's answer to the estimate behind a share token
+   * and moves the estimate to 'accepted' or 'rejected'.
+   *
+   * @param {string} token - Share token from the URL
+   * @param {object} response - Validated payload
+   * @param {string} response.decision - 'accepted' or 'rejected'
+   * @param {string} response.signer_name
+   * @param {string} [response.comment]
+   * @param {string} [response.signature_image] - PNG data URL (accepting only)
+   * @returns {Promise<object>} The recorded response
+   * @throws {Error} 404 / 410 for a bad link, 409 once the estimate
+   *   is no longer waiting for an answer
+   */
+  async respond(token, { decision, signer_name: signerName, comment, signature_image: signatureImage }) {
+    const { invoice } = await shareService.resolve(token);
+
+    if (!canRespond(invoice)) {
+      throw createHttpError(409, 'This estimate can no longer be answered');
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('estimate_responses')
+      .insert({
+        user_id: invoice.user_id,
+        invoice_id: invoice.id,
+        decision,
+        signer_name: signerName,
+        comment: comment || null,
+        signature_image: decision === 'accepted' ? signatureImage : null,
+      })
+      .select(RESPONSE_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    await invoiceService.update(
+      invoice.user_id,
+      invoice.id,
+      { status: decision },
+      { actor: { type: 'customer', name: signerName } }
+    );
+    return data;
+  }
+
+  /**
+   * Returns the latest response to a document, or null.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @returns {Promise<object|null>}
+   */
+  async getLatest(userId, invoiceId) {
+    await invoiceService.getById(userId, invoiceId);
+
+    const { data, error } = await supabaseAdmin
+      .from('estimate_responses')
+      .select(RESPONSE_COLUMNS)
+      .eq('user_id', userId)
+      .eq('invoice_id', invoiceId)
+      .order('responded_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Lists responses the owner has not seen yet, newest first, with the
+   * estimate's number and customer. Signatures are left out.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @returns {Promise<object[]>}
+   */
+  async getUnseen(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('estimate_responses')
+      .select('id, invoice_id, decision, signer_name, comment, responded_at')
+      .eq('user_id', userId)
+      .is('seen_at', null)
+      .order('responded_at', { ascending: false });
+
+    if (error) throw error;
+    if (data.length === 0) return [];
+
+    const { data: invoices, error: invoiceError } = await supabaseAdmin
+      .from('invoices')
+      .select('id, invoice_number, customer_name, total_amount')
+      .eq('user_id', userId)
+      .in('id', [...new Set(data.map((r) => r.invoice_id))])
+      .is('deleted_at', null);
+
+    if (invoiceError) throw invoiceError;
+
+    const byId = Object.fromEntries(invoices.map((inv) => [inv.id, inv]));
+    return data
+      .filter((r) => byId[r.invoice_id])
+      .map((r) => ({ ...r, invoice: byId[r.invoice_id] }));
+  }
+
+  /**
+   * Marks every response to a document as seen by its owner.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @returns {Promise<void>}
+   */
+  async markSeen(userId, invoiceId) {
+    const { error } = await supabaseAdmin
+      .from('estimate_responses')
+      .update({ seen_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('invoice_id', invoiceId)
+      .is('seen_at', null);
+
+    if (error) throw error;
+  }
+}
+
+module.exports = new EstimateResponseService();
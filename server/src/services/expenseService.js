@@ -0,0 +1,308 @@
+/**
+ * Expense Service — Job Costs
+ *
+ * Records what the business spends (materials, hardware, labour,
+ * transport) and, optionally, which job (invoice) or project it was for,
+ * so profit can be shown per job. Profit rules live in utils/expenses.js.
+ *
+ * Responsibilities:
+ *   - CRUD operations on the expenses table
+ *   - Receipt photos in Supabase Storage
+ *   - A job's expenses and profit (invoice detail)
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const invoiceService = require('./invoiceService');
+const projectService = require('./projectService');
+const { createHttpError, roundMoney, randomStorageKey } = require('../utils/helpers');
+const { parseReceiptImage, getJobProfit } = require('../utils/expenses');
+
+/** Storage bucket shared with generated PDFs */
+const STORAGE_BUCKET = 'invoices';
+
+/**
+ * Maps a validated payload to expenses columns.
+ * @param {object} expense - Validated expense payload
+ * @returns {object} Column values (only the fields present in the payload)
+ */
+const toColumns = (expense) => {
+  const columns = {};
+  if (expense.category !== undefined) columns.category = expense.category;
+  if (expense.vendor !== undefined) columns.vendor = expense.vendor || null;
+  if (expense.description !== undefined) columns.description = expense.description || null;
+  if (expense.amount !== undefined) columns.amount = roundMoney(expense.amount);
+  if (expense.expense_date !== undefined) columns.expense_date = expense.expense_date;
+  if (expense.invoice_id !== undefined) columns.invoice_id = expense.invoice_id || null;
+  if (expense.project_id !== undefined) columns.project_id = expense.project_id || null;
+  // An expense for a job belongs to the job's project
+  if (expense.invoice_id) columns.project_id = null;
+  return columns;
+};
+
+class ExpenseService {
+  /**
+   * Records an expense for the given user.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} expenseData - Validated expense payload
+   * @returns {Promise<object>} The new expense
+   */
+  async create(userId, expenseData) {
+    await this.assertJob(userId, expenseData.invoice_id);
+    if (expenseData.project_id) {
+      await projectService.getById(userId, expenseData.project_id);
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('expenses')
+      .insert({ user_id: userId, ...toColumns(expenseData) })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Lists expenses, newest first, with their total.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} filters - Query filters
+   * @param {string} [filters.from]       - First date (YYYY-MM-DD)
+   * @param {string} [filters.to]         - Last date (YYYY-MM-DD)
+   * @param {string} [filters.category]   - Exact category
+   * @param {string} [filters.invoice_id] - Expenses of one job
+   * @returns {Promise<{ expenses: object[], total: number }>}
+   */
+  async getAll(userId, filters = {}) {
+    let query = supabaseAdmin
+      .from('expenses')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (filters.from) query = query.gte('expense_date', filters.from);
+    if (filters.to) query = query.lte('expense_date', filters.to);
+    if (filters.category) query = query.eq('category', filters.category);
+    if (filters.invoice_id) query = query.eq('invoice_id', filters.invoice_id);
+
+    const { data, error } = await query
+      .order('expense_date', { ascending: false })
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    return {
+      expenses: data,
+      total: roundMoney(data.reduce((sum, e) => sum + Number(e.amount), 0)),
+    };
+  }
+
+  /**
+   * Retrieves a single expense, scoped to the authenticated user.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} expenseId - Expense UUID
+   * @returns {Promise<object>} The expense
+   * @throws {Error} "Expense not found" if no matching record exists
+   */
+  async getById(userId, expenseId) {
+    const { data, error } = await supabaseAdmin
+      .from('expenses')
+      .select('*')
+      .eq('id', expenseId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Expense not found');
+      }
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Updates an expense with partial data.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} expenseId - Expense UUID
+   * @param {object} updateData - Validated fields to update
+   * @returns {Promise<object>} The updated expense
+   */
+  async update(userId, expenseId, updateData) {
+    await this.assertJob(userId, updateData.invoice_id);
+    if (updateData.project_id) {
+      await projectService.getById(userId, updateData.project_id);
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('expenses')
+      .update({
+        ...toColumns(updateData),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', expenseId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Expense not found');
+      }
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Deletes an expense and its receipt photo.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} expenseId - Expense UUID
+   * @returns {Promise<boolean>} true on success
+   */
+  async delete(userId, expenseId) {
+    const expense = await this.getById(userId, expenseId);
+
+    const { error } = await supabaseAdmin
+      .from('expenses')
+      .delete()
+      .eq('id', expenseId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    await this.removeReceiptFile(expense.receipt_path);
+    return true;
+  }
+
+  /**
+   * Stores a receipt photo for an expense, replacing any earlier one.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} expenseId - Expense UUID
+   * @param {string} image - Photo as a data URL (JPEG, PNG or WebP)
+   * @returns {Promise<object>} The updated expense
+   * @throws {Error} 400 for an unsupported or oversized image
+   */
+  async uploadReceipt(userId, expenseId, image) {
+    const expense = await this.getById(userId, expenseId);
+
+    const receipt = parseReceiptImage(image);
+    if (!receipt) {
+      throw createHttpError(400, 'Receipt must be a JPEG, PNG or WebP image under 5 MB');
+    }
+
+    // A random key keeps the public URL from being guessed
+    const storagePath = `receipts/${userId}/${expenseId}-${randomStorageKey()}.${receipt.extension}`;
+
+    const { error: uploadError } = await supabaseAdmin.storage
+      .from(STORAGE_BUCKET)
+      .upload(storagePath, receipt.buffer, { contentType: receipt.contentType });
+
+    if (uploadError) throw uploadError;
+
+    await this.removeReceiptFile(expense.receipt_path);
+
+    const { data: urlData } = supabaseAdmin.storage
+      .from(STORAGE_BUCKET)
+      .getPublicUrl(storagePath);
+
+    return this.setReceipt(userId, expenseId, {
+      receipt_path: storagePath,
+      receipt_url: urlData.publicUrl,
+    });
+  }
+
+  /**
+   * Removes an expense's receipt photo.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} expenseId - Expense UUID
+   * @returns {Promise<object>} The updated expense
+   */
+  async removeReceipt(userId, expenseId) {
+    const expense = await this.getById(userId, expenseId);
+    await this.removeReceiptFile(expense.receipt_path);
+    return this.setReceipt(userId, expenseId, { receipt_path: null, receipt_url: null });
+  }
+
+  /**
+   * A job's expenses (newest first) and its profit.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @returns {Promise<{ expenses: object[], summary: object }>}
+   */
+  async getForJob(userId, invoiceId) {
+    const invoice = await invoiceService.getById(userId, invoiceId);
+    const { expenses } = await this.getAll(userId, { invoice_id: invoiceId });
+    const creditNotes = await invoiceService.getCreditNotes(userId, invoiceId);
+
+    return {
+      expenses,
+      summary: getJobProfit(invoice, expenses, creditNotes),
+    };
+  }
+
+  // ── Helpers ──
+
+  /**
+   * Makes sure an expense is booked against one of the user's own invoices.
+   *
+   * @param {string} userId
+   * @param {string|null|undefined} invoiceId
+   * @returns {Promise<void>}
+   * @throws {Error} 400 when the document is an estimate
+   */
+  async assertJob(userId, invoiceId) {
+    if (!invoiceId) return;
+
+    const invoice = await invoiceService.getById(userId, invoiceId);
+    if (invoice.document_type !== 'invoice') {
+      throw createHttpError(400, 'Expenses can only be linked to invoices');
+    }
+  }
+
+  /**
+   * Saves the receipt columns of an expense.
+   *
+   * @param {string} userId
+   * @param {string} expenseId
+   * @param {object} receipt - `{ receipt_path, receipt_url }`
+   * @returns {Promise<object>} The updated expense
+   */
+  async setReceipt(userId, expenseId, receipt) {
+    const { data, error } = await supabaseAdmin
+      .from('expenses')
+      .update({ ...receipt, updated_at: new Date().toISOString() })
+      .eq('id', expenseId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Deletes a receipt photo from storage. Best-effort: a leftover file
+   * must never block deleting the expense.
+   *
+   * @param {string|null} storagePath
+   * @returns {Promise<void>}
+   */
+  async removeReceiptFile(storagePath) {
+    if (!storagePath) return;
+
+    const { error } = await supabaseAdmin.storage
+      .from(STORAGE_BUCKET)
+      .remove([storagePath]);
+
+    if (error) console.error('Receipt removal failed:', error.message);
+  }
+}
+
+module.exports = new ExpenseService();
@@ -0,0 +1,123 @@
+/**
+ * Invoice History Service — Audit Trail & Versions
+ *
+ * Records what happens to a document and lets the owner look back at
+ * it. Event rules live in utils/invoiceHistory.js.
+ *
+ * Responsibilities:
+ *   - Recording changes (with a field-level diff and a snapshot)
+ *   - Recording PDFs and share links against the version they showed,
+ *     and moves to and from the Trash
+ *   - A document's timeline, and any past version of it
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { createHttpError } = require('../utils/helpers');
+const {
+  USER_ACTOR,
+  buildChangeEvent,
+  numberVersions,
+} = require('../utils/invoiceHistory');
+
+/** Columns of the timeline (snapshots are fetched one version at a time) */
+const EVENT_COLUMNS = 'id, invoice_id, action, actor_type, actor_name, changes, details, created_at';
+
+class InvoiceHistoryService {
+  /**
+   * Records a change to a document. A save that changed nothing is not
+   * recorded.
+   *
+   * @param {object|null} before - The document before (null when just created)
+   * @param {object} after - The document after (carries `id` and `user_id`)
+   * @param {object} [options]
+   * @param {{ type: string, name: string|null }} [options.actor] - Defaults to the owner
+   * @returns {Promise<void>}
+   */
+  async recordChange(before, after, { actor = USER_ACTOR } = {}) {
+    await this.recordChanges([[before, after]], { actor });
+  }
+
+  /**
+   * Records changes to several documents at once (e.g. the overdue job).
+   *
+   * @param {Array<[object|null, object]>} pairs - [before, after] per document
+   * @param {object} [options]
+   * @param {{ type: string, name: string|null }} [options.actor] - Defaults to the owner
+   * @returns {Promise<void>}
+   */
+  async recordChanges(pairs, { actor = USER_ACTOR } = {}) {
+    const events = pairs
+      .map(([before, after]) => buildChangeEvent(before, after, actor))
+      .filter(Boolean);
+    if (events.length === 0) return;
+
+    const { error } = await supabaseAdmin.from('invoice_history').insert(events);
+    if (error) throw error;
+  }
+
+  /**
+   * Records something done with a document as it stands: a PDF or share
+   * link made from it, or moving it to the Trash and back.
+   *
+   * @param {object} invoice - The document (carries `id` and `user_id`)
+   * @param {string} action - 'pdf_generated', 'shared', 'deleted' or 'restored'
+   * @param {object} [details] - e.g. `{ lang }` or `{ expires_at }`
+   * @returns {Promise<void>}
+   */
+  async recordEvent(invoice, action, details = null) {
+    const { error } = await supabaseAdmin.from('invoice_history').insert({
+      user_id: invoice.user_id,
+      invoice_id: invoice.id,
+      action,
+      actor_type: USER_ACTOR.type,
+      details,
+    });
+
+    if (error) throw error;
+  }
+
+  /**
+   * A document's timeline, newest first, each event with its version.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @returns {Promise<object[]>}
+   */
+  async getTimeline(userId, invoiceId) {
+    const { data, error } = await supabaseAdmin
+      .from('invoice_history')
+      .select(EVENT_COLUMNS)
+      .eq('user_id', userId)
+      .eq('invoice_id', invoiceId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return numberVersions(data).reverse();
+  }
+
+  /**
+   * A past version of a document.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @param {number} version - Version number (1 = oldest)
+   * @returns {Promise<object>} The document's versioned fields at that version
+   * @throws {Error} 404 for a version that does not exist
+   */
+  async getVersion(userId, invoiceId, version) {
+    const { data, error } = await supabaseAdmin
+      .from('invoice_history')
+      .select('snapshot')
+      .eq('user_id', userId)
+      .eq('invoice_id', invoiceId)
+      .not('snapshot', 'is', null)
+      .order('created_at', { ascending: true })
+      .range(version - 1, version - 1);
+
+    if (error) throw error;
+    if (data.length === 0) throw createHttpError(404, 'Version not found');
+    return data[0].snapshot;
+  }
+}
+
+module.exports = new InvoiceHistoryService();
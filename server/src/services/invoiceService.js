@@ -7,27 +7,78 @@
  *
  * Responsibilities:
  *   - CRUD operations on the invoices table
- *   - Invoice duplication with new number + date
+ *   - Linking invoices to the customer directory
+ *   - Recomputing line amounts and totals (client figures are only checked)
+ *   - Recording catalog usage for lines picked from the catalog
+ *   - Invoice duplication with new number + date (also how recurring
+ *     profiles re-issue an invoice, see recurringService)
+ *   - Estimate → invoice conversion (linked via source_estimate_id)
+ *   - Keeping an invoice's credited amount in step with its credit notes
+ *   - Recording every change in the document's history (see invoiceHistoryService)
  *   - Dashboard statistics aggregation
+ *   - Exposing the computed balance due (total − payments received − credited)
+ *   - Status transitions and overdue detection (see utils/invoiceStatus.js)
  *   - Filtering, sorting, and pagination
  */
 
 const { supabaseAdmin } = require('../config/supabase');
 const { generateInvoiceNumber } = require('../utils/invoiceNumber');
+const customerService = require('./customerService');
+const catalogService = require('./catalogService');
+const projectService = require('./projectService');
+const invoiceHistoryService = require('./invoiceHistoryService');
+const { createHttpError, roundMoney, toSearchPattern } = require('../utils/helpers');
+const { PAYMENT_STATUSES, derivePaymentStatus, withBalance } = require('../utils/paymentStatus');
+const { TOTALS_FIELDS, reconcileInvoiceTotals } = require('../utils/invoiceTotals');
+const { getInvoiceRevenue, getMonthRange } = require('../utils/expenses');
+const { getCreditedAmount } = require('../utils/creditNotes');
+const { SYSTEM_ACTOR } = require('../utils/invoiceHistory');
+const {
+  OPEN_STATUSES,
+  OVERDUE_ELIGIBLE_STATUSES,
+  getToday,
+  assertTransition,
+  isOverdue,
+  resolveStatus,
+  withStatus,
+} = require('../utils/invoiceStatus');
+
+/**
+ * Shapes an invoice row for the API: adds `balance_due` and resolves
+ * today's status, so an invoice reads as 'overdue' from the day after
+ * its due date even before the overdue job has flagged it.
+ * @param {object} invoice - Invoice record from the database
+ * @returns {object}
+ */
+const present = (invoice) => withStatus(withBalance(invoice));
 
 class InvoiceService {
   /**
    * Creates a new invoice for the given user.
-   * Automatically generates the next sequential invoice number
-   * and sets the initial status to 'draft'.
+   * Automatically generates the next sequential number in the
+   * document type's series and sets the initial status to 'draft'.
+   * Line amounts and totals are recomputed; a payload whose figures
+   * don't add up is rejected before anything is written.
    *
    * @param {string} userId - Authenticated user's UUID
    * @param {object} invoiceData - Validated invoice payload
+   * @param {object} [options]
+   * @param {object} [options.actor] - Who the history credits (defaults to the owner)
    * @returns {Promise<object>} The newly created invoice record
    */
-  async create(userId, invoiceData) {
-    // Generate the next sequential invoice number (e.g., CI-043)
-    const invoiceNumber = await generateInvoiceNumber(userId);
+  async create(userId, invoiceData, { actor } = {}) {
+    const totals = reconcileInvoiceTotals(invoiceData);
+    const customerId = await this.resolveCustomerId(userId, invoiceData);
+    if (invoiceData.project_id) {
+      await projectService.getById(userId, invoiceData.project_id);
+    }
+
+    // Generate the next number in this document type's series (e.g., CI-043 / CE-012)
+    const invoiceNumber = await generateInvoiceNumber(
+      userId,
+      invoiceData.document_type,
+      invoiceData.invoice_date
+    );
 
     const invoice = {
       user_id: userId,
@@ -35,22 +86,35 @@ class InvoiceService {
       document_type: invoiceData.document_type,
       status: 'draft',
 
-      // Customer details
+      // Customer details (snapshot of the linked customer at billing time)
+      customer_id: customerId,
       customer_name: invoiceData.customer_name,
       customer_phone: invoiceData.customer_phone,
       customer_address: invoiceData.customer_address || null,
       customer_email: invoiceData.customer_email || null,
+      customer_gstin: invoiceData.customer_gstin || null,
+
+      // Project (job at a site) the document belongs to
+      project_id: invoiceData.project_id || null,
+
+      // GST registration & place of supply
+      business_gstin: invoiceData.business_gstin || null,
+      place_of_supply: invoiceData.place_of_supply || null,
 
       // Services (stored as JSONB array in PostgreSQL)
-      services: invoiceData.services,
+      services: totals.services,
 
-      // Financial breakdown
-      subtotal: invoiceData.subtotal,
+      // Financial breakdown (recomputed server-side)
+      subtotal: totals.subtotal,
       tax_enabled: invoiceData.tax_enabled,
       tax_percentage: invoiceData.tax_percentage,
-      tax_amount: invoiceData.tax_amount,
-      discount_amount: invoiceData.discount_amount || 0,
-      total_amount: invoiceData.total_amount,
+      tax_amount: totals.tax_amount,
+      discount_type: invoiceData.discount_type || 'flat',
+      discount_value: invoiceData.discount_value ?? totals.discount_amount,
+      discount_amount: totals.discount_amount,
+      round_off: Boolean(invoiceData.round_off),
+      round_off_amount: totals.round_off_amount,
+      total_amount: totals.total_amount,
 
       // Dates
       invoice_date: invoiceData.invoice_date,
@@ -58,6 +122,13 @@ class InvoiceService {
 
       // Additional info
       notes: invoiceData.notes || null,
+      pdf_template: invoiceData.pdf_template || null,
+
+      // Set only when the invoice was converted from an estimate
+      source_estimate_id: invoiceData.source_estimate_id || null,
+
+      // Set only when a recurring profile made the invoice
+      recurring_profile_id: invoiceData.recurring_profile_id || null,
     };
 
     const { data, error } = await supabaseAdmin
@@ -67,7 +138,12 @@ class InvoiceService {
       .single();
 
     if (error) throw error;
-    return data;
+
+    await catalogService.recordUsage(userId, invoiceData.services);
+
+    const created = present(data);
+    await invoiceHistoryService.recordChange(null, created, { actor });
+    return created;
   }
 
   /**
@@ -75,31 +151,44 @@ class InvoiceService {
    *
    * @param {string} userId - Authenticated user's UUID
    * @param {object} filters - Query filters
-   * @param {string} [filters.type]   - Document type filter: 'all', 'invoice', 'estimate'
-   * @param {string} [filters.status] - Status filter: 'all', 'draft', 'sent', 'paid'
+   * @param {string} [filters.type]   - Document type filter: 'all', 'invoice', 'estimate',
+   *   'credit_note'
+   * @param {string} [filters.status] - Status filter: 'all' or any status ('overdue' is
+   *   matched by due date, so it includes invoices the overdue job hasn't flagged yet)
    * @param {string} [filters.search] - Search term for customer name or invoice number
+   * @param {string} [filters.project_id] - Documents of one project
    * @param {string} [filters.sort]   - Sort order: 'newest', 'oldest', 'amount_high', 'amount_low'
    * @param {number} [filters.page]   - Page number (1-indexed)
    * @param {number} [filters.limit]  - Items per page
-   * @returns {Promise<{invoices: object[], pagination: object}>}
+   * @returns {Promise<{invoices: object[], pagination: object}>} Each invoice
+   *   carries its `project` as `{ id, name }` or null; pagination is
+   *   `{ page, limit, total, totalPages, hasMore }`
    */
   async getAll(userId, filters = {}) {
     let query = supabaseAdmin
       .from('invoices')
       .select('*', { count: 'exact' })
-      .eq('user_id', userId);
+      .eq('user_id', userId)
+      .is('deleted_at', null);
 
     // ── Apply Filters ──
     if (filters.type && filters.type !== 'all') {
       query = query.eq('document_type', filters.type);
     }
-    if (filters.status && filters.status !== 'all') {
+    if (filters.status === 'overdue') {
+      query = query
+        .eq('document_type', 'invoice')
+        .in('status', [...OVERDUE_ELIGIBLE_STATUSES, 'overdue'])
+        .lt('due_date', getToday());
+    } else if (filters.status && filters.status !== 'all') {
       query = query.eq('status', filters.status);
     }
-    if (filters.search) {
-      query = query.or(
-        `customer_name.ilike.%${filters.search}%,invoice_number.ilike.%${filters.search}%`
-      );
+    const pattern = toSearchPattern(filters.search);
+    if (pattern) {
+      query = query.or(`customer_name.ilike.${pattern},invoice_number.ilike.${pattern}`);
+    }
+    if (filters.project_id) {
+      query = query.eq('project_id', filters.project_id);
     }
 
     // ── Apply Sorting ──
@@ -116,6 +205,8 @@ class InvoiceService {
       default: // 'newest' (default)
         query = query.order('created_at', { ascending: false });
     }
+    // Ties in a unique order, so rows never repeat or go missing between pages
+    query = query.order('id', { ascending: true });
 
     // ── Apply Pagination ──
     const page = filters.page || 1;
@@ -128,13 +219,19 @@ class InvoiceService {
 
     if (error) throw error;
 
+    const projects = await this.getProjectNames(userId, data);
+
     return {
-      invoices: data,
+      invoices: data.map((invoice) => ({
+        ...present(invoice),
+        project: projects[invoice.project_id] || null,
+      })),
       pagination: {
         page,
         limit,
         total: count,
         totalPages: Math.ceil(count / limit),
+        hasMore: page * limit < count,
       },
     };
   }
@@ -145,7 +242,8 @@ class InvoiceService {
    * @param {string} userId - Authenticated user's UUID
    * @param {string} invoiceId - Invoice UUID
    * @returns {Promise<object>} The invoice record
-   * @throws {Error} "Invoice not found" if no matching record exists
+   * @throws {Error} 404 "Invoice not found" if no matching record exists
+   *   (documents in the Trash included)
    */
   async getById(userId, invoiceId) {
     const { data, error } = await supabaseAdmin
@@ -153,33 +251,177 @@ class InvoiceService {
       .select('*')
       .eq('id', invoiceId)
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .single();
 
     if (error) {
       // PGRST116 = "JSON object requested, multiple (or no) rows returned"
       if (error.code === 'PGRST116') {
-        throw new Error('Invoice not found');
+        throw createHttpError(404, 'Invoice not found');
       }
       throw error;
     }
 
-    return data;
+    return present(data);
+  }
+
+  /**
+   * Retrieves an invoice together with its estimate ↔ invoice links.
+   * Adds `source_estimate` (for invoices converted from an estimate) and
+   * `converted_invoice` (for estimates that were converted), each as
+   * `{ id, invoice_number }` or null, and `project` as `{ id, name }` or null.
+   * Invoices also get their `credit_notes`; credit notes get the
+   * `credited_invoice` they were issued against.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @returns {Promise<object>} The invoice record with link fields
+   */
+  async getWithLinks(userId, invoiceId) {
+    const invoice = await this.getById(userId, invoiceId);
+
+    let sourceEstimate = null;
+    if (invoice.source_estimate_id) {
+      const { data, error } = await supabaseAdmin
+        .from('invoices')
+        .select('id, invoice_number')
+        .eq('id', invoice.source_estimate_id)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+      sourceEstimate = data;
+    }
+
+    const convertedInvoice =
+      invoice.document_type === 'estimate'
+        ? await this.findConvertedInvoice(userId, invoice.id)
+        : null;
+
+    const projects = await this.getProjectNames(userId, [invoice]);
+
+    const links = {};
+    if (invoice.document_type === 'invoice') {
+      links.credit_notes = await this.getCreditNotes(userId, invoice.id);
+    }
+    if (invoice.document_type === 'credit_note') {
+      const { data, error } = await supabaseAdmin
+        .from('invoices')
+        .select('id, invoice_number, invoice_date')
+        .eq('id', invoice.credited_invoice_id)
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+      links.credited_invoice = data;
+    }
+
+    return {
+      ...invoice,
+      source_estimate: sourceEstimate,
+      converted_invoice: convertedInvoice,
+      project: projects[invoice.project_id] || null,
+      ...links,
+    };
   }
 
   /**
    * Updates an existing invoice with partial data.
    * Automatically sets the `updated_at` timestamp.
    *
+   * Changes to lines, tax settings or the discount recompute the totals
+   * from the stored invoice merged with the changes; any totals the
+   * client sent must agree with them.
+   *
+   * Status changes must be allowed moves (see STATUS_TRANSITIONS). Once
+   * payments have been recorded, the status is owned by the payments
+   * ledger: a manual status change is rejected, and a changed total
+   * re-derives 'partially_paid' / 'paid'. A changed due date or total
+   * re-checks whether the invoice is overdue. Cancelled documents keep
+   * their figures.
+   *
+   * Once credited, an invoice's lines and totals are fixed (its credit
+   * notes were worked out from them). A credit note can only be
+   * cancelled, which gives its amount back to the invoice.
+   *
    * @param {string} userId - Authenticated user's UUID
    * @param {string} invoiceId - Invoice UUID to update
    * @param {object} updateData - Fields to update
+   * @param {object} [options]
+   * @param {object} [options.actor] - Who the history credits (defaults to the owner)
    * @returns {Promise<object>} The updated invoice record
    */
-  async update(userId, invoiceId, updateData) {
+  async update(userId, invoiceId, updateData, { actor } = {}) {
+    // Make sure a newly linked customer or project belongs to this user
+    if (updateData.customer_id) {
+      await customerService.getById(userId, updateData.customer_id);
+    }
+    if (updateData.project_id) {
+      await projectService.getById(userId, updateData.project_id);
+    }
+
+    const current = await this.getById(userId, invoiceId);
+    const changes = { ...updateData };
+    const requestedStatus = changes.status;
+    const touchesTotals = TOTALS_FIELDS.some((field) => changes[field] !== undefined);
+    let creditedInvoiceId = null;
+
+    // An issued credit note is never edited, whatever the fields
+    if (current.document_type === 'credit_note') {
+      if (requestedStatus !== 'cancelled' || Object.keys(changes).length > 1) {
+        throw createHttpError(400, 'A credit note can only be cancelled');
+      }
+      creditedInvoiceId = current.credited_invoice_id;
+    }
+
+    if (requestedStatus !== undefined || touchesTotals || changes.due_date !== undefined) {
+      if (current.status === 'cancelled' && touchesTotals) {
+        throw createHttpError(400, 'A cancelled document cannot be changed');
+      }
+      const amountCredited = Number(current.amount_credited || 0);
+      if (amountCredited > 0 && touchesTotals) {
+        throw createHttpError(409, 'Lines and totals of a credited invoice cannot be changed');
+      }
+
+      if (touchesTotals) {
+        const totals = reconcileInvoiceTotals({ ...current, ...changes }, updateData);
+        changes.services = totals.services;
+        changes.subtotal = totals.subtotal;
+        changes.tax_amount = totals.tax_amount;
+        changes.discount_amount = totals.discount_amount;
+        changes.round_off_amount = totals.round_off_amount;
+        changes.total_amount = totals.total_amount;
+      }
+
+      const amountPaid = Number(current.amount_paid || 0);
+
+      if (amountPaid > 0 || amountCredited > 0) {
+        if (requestedStatus !== undefined && !PAYMENT_STATUSES.includes(requestedStatus)) {
+          throw createHttpError(
+            400,
+            amountPaid > 0
+              ? 'Status is set by recorded payments once a payment exists'
+              : 'Status is set by credit notes once the invoice is credited'
+          );
+        }
+        if (changes.total_amount !== undefined) {
+          if (Number(changes.total_amount) < amountPaid) {
+            throw createHttpError(400, 'Total cannot be less than the amount already received');
+          }
+          changes.status = derivePaymentStatus(changes.total_amount, amountPaid, current.status);
+        }
+      }
+
+      if (requestedStatus !== undefined) {
+        assertTransition(current.status, requestedStatus);
+      }
+      changes.status = resolveStatus({ ...current, ...changes });
+    }
+
     const { data, error } = await supabaseAdmin
       .from('invoices')
       .update({
-        ...updateData,
+        ...changes,
         updated_at: new Date().toISOString(),
       })
       .eq('id', invoiceId)
@@ -188,24 +430,48 @@ class InvoiceService {
       .single();
 
     if (error) throw error;
-    return data;
+
+    const updated = present(data);
+    await invoiceHistoryService.recordChange(current, updated, { actor });
+
+    if (creditedInvoiceId) {
+      await this.syncCredits(userId, creditedInvoiceId);
+    }
+    return updated;
   }
 
   /**
-   * Permanently deletes an invoice, scoped to the authenticated user.
+   * Moves a document to the Trash, scoped to the authenticated user. It
+   * keeps its number and can be restored until it is purged (see
+   * trashService). Credit notes, and invoices that have them, are kept
+   * for the GST record: a credit note is cancelled instead.
    *
    * @param {string} userId - Authenticated user's UUID
    * @param {string} invoiceId - Invoice UUID to delete
    * @returns {Promise<boolean>} true on success
+   * @throws {Error} 409 for a credit note or an invoice with credit notes
    */
   async delete(userId, invoiceId) {
+    const invoice = await this.getById(userId, invoiceId);
+    if (invoice.document_type === 'credit_note') {
+      throw createHttpError(409, 'A credit note cannot be deleted; cancel it instead');
+    }
+    if (invoice.document_type === 'invoice') {
+      const creditNotes = await this.getCreditNotes(userId, invoiceId);
+      if (creditNotes.length > 0) {
+        throw createHttpError(409, 'An invoice with credit notes cannot be deleted');
+      }
+    }
+
     const { error } = await supabaseAdmin
       .from('invoices')
-      .delete()
+      .update({ deleted_at: new Date().toISOString() })
       .eq('id', invoiceId)
       .eq('user_id', userId);
 
     if (error) throw error;
+
+    await invoiceHistoryService.recordEvent(invoice, 'deleted');
     return true;
   }
 
@@ -215,32 +481,293 @@ class InvoiceService {
    *
    * @param {string} userId - Authenticated user's UUID
    * @param {string} invoiceId - Invoice UUID to duplicate
+   * @param {object} [overrides] - Fields set on the copy instead (a recurring
+   *   run's `invoice_date`, `due_date` and `recurring_profile_id`)
+   * @param {object} [options]
+   * @param {object} [options.actor] - Who the history credits (defaults to the owner)
    * @returns {Promise<object>} The newly created duplicate invoice
    */
-  async duplicate(userId, invoiceId) {
+  async duplicate(userId, invoiceId, overrides = {}, { actor } = {}) {
     // Fetch the original invoice to copy its data
     const original = await this.getById(userId, invoiceId);
+    if (original.document_type === 'credit_note') {
+      throw createHttpError(400, 'Credit notes cannot be duplicated');
+    }
 
     // Build the duplicate data (new number, today's date, draft status)
     const duplicatedData = {
       document_type: original.document_type,
+      customer_id: original.customer_id,
+      project_id: original.project_id,
       customer_name: original.customer_name,
       customer_phone: original.customer_phone,
       customer_address: original.customer_address,
       customer_email: original.customer_email,
+      customer_gstin: original.customer_gstin,
+      business_gstin: original.business_gstin,
+      place_of_supply: original.place_of_supply,
       services: original.services,
       subtotal: original.subtotal,
       tax_enabled: original.tax_enabled,
       tax_percentage: original.tax_percentage,
       tax_amount: original.tax_amount,
+      discount_type: original.discount_type,
+      discount_value: original.discount_value,
       discount_amount: original.discount_amount,
+      round_off: original.round_off,
+      round_off_amount: original.round_off_amount,
       total_amount: original.total_amount,
       invoice_date: new Date().toISOString().split('T')[0], // Today's date
       due_date: null, // Reset due date on duplicate
       notes: original.notes,
+      pdf_template: original.pdf_template,
+      ...overrides,
+    };
+
+    return this.create(userId, duplicatedData, { actor });
+  }
+
+  /**
+   * Converts an estimate into a new invoice.
+   * The invoice copies the estimate's customer, services and totals,
+   * gets its own number and today's date, and references the estimate
+   * through `source_estimate_id`. The estimate is marked 'accepted'.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} estimateId - Estimate UUID to convert
+   * @returns {Promise<object>} The newly created invoice
+   * @throws {Error} 400 if the document is not an estimate,
+   *   409 if it has already been converted
+   */
+  async convert(userId, estimateId) {
+    const estimate = await this.getById(userId, estimateId);
+
+    if (estimate.document_type !== 'estimate') {
+      throw createHttpError(400, 'Only estimates can be converted to invoices');
+    }
+    assertTransition(estimate.status, 'accepted');
+
+    const existing = await this.findConvertedInvoice(userId, estimateId);
+    if (existing) {
+      throw createHttpError(
+        409,
+        `Estimate already converted to ${existing.invoice_number}`
+      );
+    }
+
+    const invoice = await this.create(userId, {
+      document_type: 'invoice',
+      customer_id: estimate.customer_id,
+      project_id: estimate.project_id,
+      customer_name: estimate.customer_name,
+      customer_phone: estimate.customer_phone,
+      customer_address: estimate.customer_address,
+      customer_email: estimate.customer_email,
+      customer_gstin: estimate.customer_gstin,
+      business_gstin: estimate.business_gstin,
+      place_of_supply: estimate.place_of_supply,
+      services: estimate.services,
+      subtotal: estimate.subtotal,
+      tax_enabled: estimate.tax_enabled,
+      tax_percentage: estimate.tax_percentage,
+      tax_amount: estimate.tax_amount,
+      discount_type: estimate.discount_type,
+      discount_value: estimate.discount_value,
+      discount_amount: estimate.discount_amount,
+      round_off: estimate.round_off,
+      round_off_amount: estimate.round_off_amount,
+      total_amount: estimate.total_amount,
+      invoice_date: new Date().toISOString().split('T')[0], // Today's date
+      due_date: null,
+      notes: estimate.notes,
+      pdf_template: estimate.pdf_template,
+      source_estimate_id: estimate.id,
+    });
+
+    await this.update(userId, estimateId, { status: 'accepted' });
+
+    return {
+      ...invoice,
+      source_estimate: { id: estimate.id, invoice_number: estimate.invoice_number },
+      converted_invoice: null,
     };
+  }
+
+  /**
+   * Looks up the invoice an estimate was converted into, if any (one in
+   * the Trash does not count).
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} estimateId - Estimate UUID
+   * @returns {Promise<{id: string, invoice_number: string}|null>}
+   */
+  async findConvertedInvoice(userId, estimateId) {
+    const { data, error } = await supabaseAdmin
+      .from('invoices')
+      .select('id, invoice_number')
+      .eq('user_id', userId)
+      .eq('source_estimate_id', estimateId)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * A document's history, newest first: who changed what and when, and
+   * the PDFs and share links made from it.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @returns {Promise<object[]>} Events with their `version`
+   */
+  async getHistory(userId, invoiceId) {
+    await this.getById(userId, invoiceId);
+    return invoiceHistoryService.getTimeline(userId, invoiceId);
+  }
+
+  /**
+   * Lists the credit notes issued against an invoice, oldest first,
+   * cancelled ones included.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @returns {Promise<object[]>}
+   */
+  async getCreditNotes(userId, invoiceId) {
+    const { data, error } = await supabaseAdmin
+      .from('invoices')
+      .select('id, invoice_number, invoice_date, status, credit_reason, services, total_amount, tax_amount, notes')
+      .eq('user_id', userId)
+      .eq('credited_invoice_id', invoiceId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Recomputes `amount_credited` from an invoice's credit notes and
+   * updates its status ('credited' once credits settle it, payment-driven
+   * otherwise, then overdue if the due date has passed).
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @returns {Promise<object>} The updated invoice (with `balance_due`)
+   */
+  async syncCredits(userId, invoiceId) {
+    const invoice = await this.getById(userId, invoiceId);
+    const amountCredited = getCreditedAmount(await this.getCreditNotes(userId, invoiceId));
+
+    const { data, error } = await supabaseAdmin
+      .from('invoices')
+      .update({
+        amount_credited: amountCredited,
+        status: resolveStatus({
+          ...invoice,
+          amount_credited: amountCredited,
+          status: derivePaymentStatus(
+            invoice.total_amount, invoice.amount_paid, invoice.status, amountCredited
+          ),
+        }),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', invoiceId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const updated = present(data);
+    await invoiceHistoryService.recordChange(invoice, updated);
+    return updated;
+  }
+
+  /**
+   * Determines which customer an invoice belongs to.
+   * An explicit `customer_id` is verified against the user's directory;
+   * otherwise the customer is matched by phone number or created from
+   * the invoice's customer details, so every invoice ends up linked.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} invoiceData - Validated invoice payload
+   * @returns {Promise<string>} Customer UUID
+   */
+  async resolveCustomerId(userId, invoiceData) {
+    if (invoiceData.customer_id) {
+      const customer = await customerService.getById(userId, invoiceData.customer_id);
+      return customer.id;
+    }
+
+    const customer = await customerService.findOrCreate(userId, {
+      name: invoiceData.customer_name,
+      phone: invoiceData.customer_phone,
+      address: invoiceData.customer_address,
+      email: invoiceData.customer_email,
+      gstin: invoiceData.customer_gstin,
+    });
+    return customer.id;
+  }
+
+  /**
+   * Looks up the projects a set of documents belong to.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object[]} invoices - Documents with `project_id`
+   * @returns {Promise<Object<string, {id: string, name: string}>>} Projects by id
+   */
+  async getProjectNames(userId, invoices) {
+    const ids = [...new Set(invoices.map((inv) => inv.project_id).filter(Boolean))];
+    if (ids.length === 0) return {};
+
+    const { data, error } = await supabaseAdmin
+      .from('projects')
+      .select('id, name')
+      .eq('user_id', userId)
+      .in('id', ids);
+
+    if (error) throw error;
+    return Object.fromEntries(data.map((p) => [p.id, p]));
+  }
+
+  /**
+   * Stores 'overdue' on every sent or part-paid invoice (of any user)
+   * whose due date has passed, so status filters and reports see it.
+   * Run by the overdue job; reads resolve the same status on the fly.
+   * Each flagged invoice's history records the change.
+   *
+   * @param {string} [today] - YYYY-MM-DD, defaults to today in India
+   * @returns {Promise<number>} Number of invoices flagged
+   */
+  async flagOverdue(today = getToday()) {
+    const { data: due, error: dueError } = await supabaseAdmin
+      .from('invoices')
+      .select('*')
+      .eq('document_type', 'invoice')
+      .in('status', OVERDUE_ELIGIBLE_STATUSES)
+      .lt('due_date', today)
+      .is('deleted_at', null);
+
+    if (dueError) throw dueError;
+    if (due.length === 0) return 0;
+
+    const { data, error } = await supabaseAdmin
+      .from('invoices')
+      .update({ status: 'overdue', updated_at: new Date().toISOString() })
+      .in('id', due.map((inv) => inv.id))
+      .in('status', OVERDUE_ELIGIBLE_STATUSES)
+      .select();
 
-    return this.create(userId, duplicatedData);
+    if (error) throw error;
+
+    const before = Object.fromEntries(due.map((inv) => [inv.id, inv]));
+    await invoiceHistoryService.recordChanges(
+      data.map((inv) => [before[inv.id], inv]),
+      { actor: SYSTEM_ACTOR }
+    );
+    return data.length;
   }
 
   /**
@@ -248,9 +775,14 @@ class InvoiceService {
    *
    * Returns:
    *   - invoices_this_month: count of invoices created this month
-   *   - revenue_this_month: sum of total_amount for this month's invoices
+   *   - revenue_this_month: sum of total_amount for this month's invoices,
+   *     less this month's credit notes
    *   - total_invoices: lifetime count of invoices
-   *   - pending_amount: sum of total_amount for 'draft' and 'sent' invoices
+   *   - pending_amount: balance due on draft and open (sent, part-paid, overdue) invoices
+   *   - overdue_count / overdue_amount: invoices past their due date and their balance
+   *   - expenses_this_month: sum of expenses dated this month
+   *   - profit_this_month: this month's invoices without GST, net of credit
+   *     notes, less expenses_this_month
    *   - recent_invoices: the 5 most recently created invoices
    *
    * @param {string} userId - Authenticated user's UUID
@@ -264,26 +796,41 @@ class InvoiceService {
     // ── Invoices created this month ──
     const { data: monthlyInvoices, error: err1 } = await supabaseAdmin
       .from('invoices')
-      .select('total_amount')
+      .select('document_type, status, total_amount, tax_amount')
       .eq('user_id', userId)
+      .is('deleted_at', null)
+      .neq('status', 'cancelled')
       .gte('created_at', firstDayOfMonth);
 
     if (err1) throw err1;
 
+    // ── Expenses dated this month (calendar month in the business time zone) ──
+    const month = getMonthRange(getToday());
+    const { data: monthlyExpenses, error: err5 } = await supabaseAdmin
+      .from('expenses')
+      .select('amount')
+      .eq('user_id', userId)
+      .gte('expense_date', month.from)
+      .lt('expense_date', month.before);
+
+    if (err5) throw err5;
+
     // ── Total lifetime invoices ──
     const { count: totalInvoices, error: err2 } = await supabaseAdmin
       .from('invoices')
       .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+      .eq('user_id', userId)
+      .is('deleted_at', null);
 
     if (err2) throw err2;
 
     // ── Pending (unpaid) amount ──
     const { data: pendingInvoices, error: err3 } = await supabaseAdmin
       .from('invoices')
-      .select('total_amount')
+      .select('document_type, status, due_date, total_amount, amount_paid, amount_credited')
       .eq('user_id', userId)
-      .in('status', ['draft', 'sent']);
+      .is('deleted_at', null)
+      .in('status', ['draft', ...OPEN_STATUSES]);
 
     if (err3) throw err3;
 
@@ -291,26 +838,44 @@ class InvoiceService {
     const { data: recentInvoices, error: err4 } = await supabaseAdmin
       .from('invoices')
       .select(
-        'id, invoice_number, document_type, status, customer_name, total_amount, invoice_date, created_at'
+        'id, invoice_number, document_type, status, customer_name, total_amount, amount_paid, invoice_date, due_date, created_at'
       )
       .eq('user_id', userId)
+      .is('deleted_at', null)
       .order('created_at', { ascending: false })
       .limit(5);
 
     if (err4) throw err4;
 
+    const today = getToday();
+    const overdueInvoices = pendingInvoices.filter((inv) => isOverdue(inv, today));
+
+    // Credit notes take back what their invoices earned
+    const sign = (inv) => (inv.document_type === 'credit_note' ? -1 : 1);
+    const invoicedThisMonth = monthlyInvoices
+      .filter((inv) => inv.document_type !== 'estimate')
+      .reduce((sum, inv) => sum + sign(inv) * getInvoiceRevenue(inv), 0);
+    const expensesThisMonth = monthlyExpenses.reduce((sum, e) => sum + Number(e.amount), 0);
+
     return {
       invoices_this_month: monthlyInvoices.length,
       revenue_this_month: monthlyInvoices.reduce(
-        (sum, inv) => sum + Number(inv.total_amount),
+        (sum, inv) => sum + sign(inv) * Number(inv.total_amount),
         0
       ),
       total_invoices: totalInvoices,
       pending_amount: pendingInvoices.reduce(
-        (sum, inv) => sum + Number(inv.total_amount),
+        (sum, inv) => sum + withBalance(inv).balance_due,
+        0
+      ),
+      overdue_count: overdueInvoices.length,
+      overdue_amount: overdueInvoices.reduce(
+        (sum, inv) => sum + withBalance(inv).balance_due,
         0
       ),
-      recent_invoices: recentInvoices,
+      expenses_this_month: roundMoney(expensesThisMonth),
+      profit_this_month: roundMoney(invoicedThisMonth - expensesThisMonth),
+      recent_invoices: recentInvoices.map(present),
     };
   }
 }
@@ -0,0 +1,165 @@
+/**
+ * Payment Service — Invoice Payments Ledger
+ *
+ * Records advances and instalments against an invoice and keeps the
+ * invoice's `amount_paid` and payment-driven status in sync.
+ *
+ * Responsibilities:
+ *   - Listing, recording and deleting payments for an invoice
+ *   - Rejecting payments on estimates, cancelled invoices or beyond the balance due
+ *   - Recomputing amount_paid / status after every change (recorded in
+ *     the invoice's history)
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const invoiceService = require('./invoiceService');
+const invoiceHistoryService = require('./invoiceHistoryService');
+const { createHttpError, roundMoney } = require('../utils/helpers');
+const { getBalanceDue, derivePaymentStatus, withBalance } = require('../utils/paymentStatus');
+const { resolveStatus } = require('../utils/invoiceStatus');
+
+class PaymentService {
+  /**
+   * Lists all payments recorded against an invoice, oldest first.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @returns {Promise<object[]>} Payment records
+   */
+  async getAll(userId, invoiceId) {
+    // Ensures the invoice exists and belongs to the user
+    await invoiceService.getById(userId, invoiceId);
+
+    const { data, error } = await supabaseAdmin
+      .from('payments')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('invoice_id', invoiceId)
+      .order('payment_date', { ascending: true })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Records a payment against an invoice and re-derives its status.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @param {object} paymentData - Validated payment payload
+   * @returns {Promise<{payment: object, invoice: object}>} The new payment and updated invoice
+   * @throws {Error} 400 if the document is an estimate or cancelled, or the amount
+   *   exceeds the balance
+   */
+  async create(userId, invoiceId, paymentData) {
+    const invoice = await invoiceService.getById(userId, invoiceId);
+
+    if (invoice.document_type !== 'invoice') {
+      throw createHttpError(400, 'Payments can only be recorded against invoices');
+    }
+    if (invoice.status === 'cancelled') {
+      throw createHttpError(400, 'Payments cannot be recorded against a cancelled invoice');
+    }
+
+    const balanceDue = getBalanceDue(invoice);
+    if (roundMoney(paymentData.amount) > balanceDue) {
+      throw createHttpError(
+        400,
+        `Payment exceeds the balance due of ₹${balanceDue}`
+      );
+    }
+
+    const { data: payment, error } = await supabaseAdmin
+      .from('payments')
+      .insert({
+        user_id: userId,
+        invoice_id: invoiceId,
+        amount: roundMoney(paymentData.amount),
+        payment_date: paymentData.payment_date,
+        mode: paymentData.mode,
+        reference: paymentData.reference || null,
+        notes: paymentData.notes || null,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const updatedInvoice = await this.syncInvoice(userId, invoice);
+    return { payment, invoice: updatedInvoice };
+  }
+
+  /**
+   * Deletes a payment (e.g. a mistaken entry) and re-derives the invoice status.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @param {string} paymentId - Payment UUID
+   * @returns {Promise<object>} The updated invoice
+   */
+  async delete(userId, invoiceId, paymentId) {
+    const invoice = await invoiceService.getById(userId, invoiceId);
+
+    const { data, error } = await supabaseAdmin
+      .from('payments')
+      .delete()
+      .eq('id', paymentId)
+      .eq('invoice_id', invoiceId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) throw error;
+    if (!data || data.length === 0) throw new Error('Payment not found');
+
+    return this.syncInvoice(userId, invoice);
+  }
+
+  /**
+   * Recomputes `amount_paid` from the ledger and updates the invoice status
+   * (payment-driven, then overdue if the due date has passed).
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} invoice - Current invoice record
+   * @returns {Promise<object>} The updated invoice (with `balance_due`)
+   */
+  async syncInvoice(userId, invoice) {
+    const { data: payments, error } = await supabaseAdmin
+      .from('payments')
+      .select('amount')
+      .eq('user_id', userId)
+      .eq('invoice_id', invoice.id);
+
+    if (error) throw error;
+
+    const amountPaid = roundMoney(
+      payments.reduce((sum, p) => sum + Number(p.amount), 0)
+    );
+
+    const { data, error: updateError } = await supabaseAdmin
+      .from('invoices')
+      .update({
+        amount_paid: amountPaid,
+        status: resolveStatus({
+          ...invoice,
+          amount_paid: amountPaid,
+          status: derivePaymentStatus(
+            invoice.total_amount, amountPaid, invoice.status, invoice.amount_credited
+          ),
+        }),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', invoice.id)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    const updated = withBalance(data);
+    await invoiceHistoryService.recordChange(invoice, updated);
+    return updated;
+  }
+}
+
+module.exports = new PaymentService();
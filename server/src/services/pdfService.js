@@ -1,18 +1,28 @@
 /**
  * PDF Service — Invoice PDF Generation with pdfmake
  *
- * Generates professional A4 invoice/estimate PDFs using pdfmake's
+ * Generates professional A4 invoice/estimate/credit note PDFs using pdfmake's
  * JSON-based document definitions. No HTML templates, no browser
  * dependency — pure JavaScript PDF generation.
  *
  * Design features:
- *   - Crown Interiors branded header
- *   - Color-coded document type (Invoice vs Estimate)
+ *   - Business letterhead (logo, name, contact details) from the profile
+ *   - Color-coded document type (Invoice vs Estimate vs Credit Note)
+ *   - Estimate ↔ invoice reference (when converted)
+ *   - Credit note → invoice reference and reason
  *   - Itemized services table with Indian currency formatting
- *   - CGST/SGST tax breakdown
+ *   - GSTINs, place of supply and per-line HSN/SAC + GST rate
+ *   - CGST/SGST (intra-state) or IGST (inter-state) breakdown
+ *   - Tax summary grouped by GST rate
+ *   - Amount received / credited / balance due (when payments or credit
+ *     notes are recorded)
+ *   - UPI QR code for the balance due (when a UPI ID is saved)
  *   - Amount in words (Indian numbering system)
- *   - Authorized signature block
- *   - Professional footer
+ *   - English or Tamil labels, with a bundled Tamil font (Noto Sans Tamil)
+ *   - Selectable templates: classic, compact, detailed and an 80 mm thermal receipt
+ *   - Bank / UPI payment details
+ *   - Authorized signature block (with signature image, if uploaded)
+ *   - Configurable footer
  *
  * Responsibilities:
  *   - Building pdfmake document definitions from invoice data
@@ -20,23 +30,68 @@
  *   - Uploading PDFs to Supabase Storage (optional persistence)
  */
 
+const fs = require('fs');
+const path = require('path');
 const pdfmake = require('pdfmake/build/pdfmake');
 const vfsFonts = require('pdfmake/build/vfs_fonts');
 const { supabaseAdmin } = require('../config/supabase');
-const { amountToWords } = require('../utils/amountToWords');
+const { randomStorageKey } = require('../utils/helpers');
+const { getPdfLabels } = require('../utils/pdfLabels');
+const { getBalanceDue } = require('../utils/paymentStatus');
+const { GST_STATES, buildTaxSummary } = require('../utils/gst');
+const { DEFAULT_BUSINESS } = require('../utils/businessProfile');
+const { getInvoiceUpiLink } = require('../utils/upi');
+const { PDF_TEMPLATES, resolvePdfTemplate } = require('../utils/pdfTemplates');
+const { formatQuantity, formatDimensions } = require('../utils/units');
 
-// Register the built-in virtual file system fonts (Roboto family)
-pdfmake.vfs = vfsFonts.pdfMake ? vfsFonts.pdfMake.vfs : vfsFonts.vfs;
+// A4 width in points (pdfmake's default page size)
+const A4_WIDTH = 595.28;
+
+// ── Fonts ──
+// Roboto (built into pdfmake's vfs) has no Tamil glyphs, so Noto Sans Tamil
+// is bundled in src/fonts and added to the vfs. It also covers Latin and ₹.
+const TAMIL_FONT = 'NotoSansTamil';
+const TAMIL_SCRIPT = /[\u0B80-\u0BFF]/;
+const FONTS_DIR = path.join(__dirname, '..', 'fonts');
+
+const readFont = (filename) =>
+  fs.readFileSync(path.join(FONTS_DIR, filename)).toString('base64');
+
+pdfmake.addVirtualFileSystem({
+  ...vfsFonts, // Roboto family (the module exports the vfs map itself)
+  'NotoSansTamil-Regular.ttf': readFont('NotoSansTamil-Regular.ttf'),
+  'NotoSansTamil-Bold.ttf': readFont('NotoSansTamil-Bold.ttf'),
+});
+
+pdfmake.setFonts({
+  Roboto: {
+    normal: 'Roboto-Regular.ttf',
+    bold: 'Roboto-Medium.ttf',
+    italics: 'Roboto-Italic.ttf',
+    bolditalics: 'Roboto-MediumItalic.ttf',
+  },
+  // Tamil has no italic style; italic text falls back to upright
+  [TAMIL_FONT]: {
+    normal: 'NotoSansTamil-Regular.ttf',
+    bold: 'NotoSansTamil-Bold.ttf',
+    italics: 'NotoSansTamil-Regular.ttf',
+    bolditalics: 'NotoSansTamil-Bold.ttf',
+  },
+});
 
 class PdfService {
   /**
    * Generates a PDF buffer from invoice data.
    *
    * @param {object} invoice - Full invoice record from the database
+   * @param {object} [business] - The user's business profile
+   * @param {object} [options]
+   * @param {string} [options.lang='en'] - Label language ('en' or 'ta')
+   * @param {string} [options.template] - Template override (see utils/pdfTemplates)
    * @returns {Promise<Buffer>} PDF file as a Node.js Buffer
    */
-  async generatePdf(invoice) {
-    const docDefinition = this.buildDocDefinition(invoice);
+  async generatePdf(invoice, business, options) {
+    const docDefinition = this.buildDocDefinition(invoice, business, options);
 
     return new Promise((resolve, reject) => {
       try {
@@ -52,39 +107,77 @@ class PdfService {
 
   /**
    * Builds the pdfmake document definition (JSON layout) for an invoice.
-   * This is the "template" — modify this method to change the PDF design.
+   * The template is the override passed in, else the document's own
+   * `pdf_template`, else the business default.
    *
    * @param {object} invoice - Full invoice record from the database
+   * @param {object} [business] - The user's business profile (letterhead, bank, signature)
+   * @param {object} [options]
+   * @param {string} [options.lang='en'] - Label language ('en' or 'ta')
+   * @param {string} [options.template] - Template override (see utils/pdfTemplates)
    * @returns {object} pdfmake document definition
    */
-  buildDocDefinition(invoice) {
+  buildDocDefinition(invoice, business = DEFAULT_BUSINESS, { lang = 'en', template } = {}) {
+    const L = getPdfLabels(lang);
+    const settings =
+      PDF_TEMPLATES[resolvePdfTemplate(template, invoice.pdf_template, business.pdf_template)];
+
+    const docDefinition =
+      settings.layout === 'receipt'
+        ? this.buildReceiptDefinition(invoice, business, L, settings)
+        : this.buildPageDefinition(invoice, business, L, settings);
+
+    docDefinition.defaultStyle = {
+      font: lang === 'ta' ? TAMIL_FONT : 'Roboto',
+      fontSize: settings.fontSize,
+      lineHeight: 1.3,
+    };
+
+    // English labels use Roboto; switch any Tamil text (names, notes) to the Tamil font
+    if (lang !== 'ta') this.applyTamilFont(docDefinition);
+
+    return docDefinition;
+  }
+
+  /**
+   * Builds the A4 layout shared by the classic, compact and detailed templates.
+   *
+   * @param {object} invoice - Full invoice record from the database
+   * @param {object} business - The user's business profile
+   * @param {object} L - PDF labels for the document language
+   * @param {object} settings - Template settings from PDF_TEMPLATES
+   * @returns {object} pdfmake document definition (without defaultStyle)
+   */
+  buildPageDefinition(invoice, business, L, settings) {
+    const { dense } = settings;
     const isEstimate = invoice.document_type === 'estimate';
-    const halfTax = invoice.tax_amount / 2;
-    const halfPercent = invoice.tax_percentage / 2;
+    const isCreditNote = invoice.document_type === 'credit_note';
+    const showGst = Boolean(invoice.tax_enabled);
+    const taxSummary = buildTaxSummary(invoice);
+    const paymentRows = this.buildPaymentRows(invoice, L);
+    const contactLine = [business.phone, business.email].filter(Boolean).join('  |  ');
+    const contentWidth = A4_WIDTH - settings.pageMargins[0] - settings.pageMargins[2];
 
     return {
       pageSize: 'A4',
-      pageMargins: [40, 40, 40, 60],
+      pageMargins: settings.pageMargins,
 
-      // ── Default & Named Styles ──
-      defaultStyle: {
-        fontSize: 10,
-        lineHeight: 1.3,
-      },
+      // ── Named Styles ──
       styles: {
-        brandName: { fontSize: 20, bold: true, color: '#1a1a2e' },
+        brandName: { fontSize: dense ? 15 : 20, bold: true, color: '#1a1a2e' },
         brandTagline: { fontSize: 9, color: '#666', italics: true },
+        brandContact: { fontSize: 8, color: '#555' },
         docType: {
           fontSize: 14,
           bold: true,
-          color: isEstimate ? '#e67e22' : '#2c3e50',
+          color: isEstimate ? '#e67e22' : isCreditNote ? '#c0392b' : '#2c3e50',
         },
         invoiceNumber: { fontSize: 12, bold: true },
         sectionTitle: {
           fontSize: 11,
           bold: true,
           color: '#333',
-          margin: [0, 15, 0, 5],
+          margin: dense ? [0, 8, 0, 3] : [0, 15, 0, 5],
         },
         customerName: { fontSize: 11, bold: true },
         tableHeader: {
@@ -93,7 +186,7 @@ class PdfService {
           color: '#fff',
           fillColor: '#1a1a2e',
         },
-        tableCell: { fontSize: 9, margin: [0, 4, 0, 4] },
+        tableCell: { fontSize: 9, margin: dense ? [0, 1, 0, 1] : [0, 4, 0, 4] },
         grandTotal: { fontSize: 13, bold: true, color: '#1a1a2e' },
         amountWords: {
           fontSize: 9,
@@ -110,14 +203,26 @@ class PdfService {
         // ── Header: Brand + Document Info ──
         {
           columns: [
+            // Logo (conditional)
+            ...(business.logo_image
+              ? [{ width: 'auto', image: business.logo_image, fit: dense ? [40, 40] : [60, 60], margin: [0, 0, 10, 0] }]
+              : []),
             {
               width: '*',
               stack: [
-                { text: 'CROWN INTERIORS', style: 'brandName' },
-                {
-                  text: 'Quality Carpentry & Interior Works',
-                  style: 'brandTagline',
-                },
+                { text: business.name.toUpperCase(), style: 'brandName' },
+                ...(business.tagline
+                  ? [{ text: business.tagline, style: 'brandTagline' }]
+                  : []),
+                ...(business.address
+                  ? [{ text: business.address, style: 'brandContact', margin: [0, 4, 0, 0] }]
+                  : []),
+                ...(contactLine
+                  ? [{ text: contactLine, style: 'brandContact' }]
+                  : []),
+                ...(invoice.business_gstin
+                  ? [{ text: `GSTIN: ${invoice.business_gstin}`, fontSize: 9, margin: [0, 4, 0, 0] }]
+                  : []),
               ],
             },
             {
@@ -125,7 +230,10 @@ class PdfService {
               alignment: 'right',
               stack: [
                 {
-                  text: invoice.document_type.toUpperCase(),
+                  // A registered business issues a "Tax Invoice" under GST
+                  text: invoice.document_type === 'invoice' && invoice.business_gstin
+                    ? L.taxInvoice
+                    : L.docTypes[invoice.document_type],
                   style: 'docType',
                 },
                 {
@@ -134,13 +242,23 @@ class PdfService {
                   margin: [0, 5, 0, 0],
                 },
                 {
-                  text: `Date: ${this.formatDate(invoice.invoice_date)}`,
-                  fontSize: 9,
-                },
-                {
-                  text: `Due: ${invoice.due_date ? this.formatDate(invoice.due_date) : 'N/A'}`,
+                  text: `${L.date}: ${this.formatDate(invoice.invoice_date, L.locale)}`,
                   fontSize: 9,
                 },
+                // A credit note has no due date; it names the invoice it credits
+                ...(isCreditNote
+                  ? this.buildCreditNoteRefs(invoice, L).map((text) => ({ text, fontSize: 9 }))
+                  : [{
+                      text: `${L.due}: ${invoice.due_date ? this.formatDate(invoice.due_date, L.locale) : L.notAvailable}`,
+                      fontSize: 9,
+                    }]),
+                // Estimate ↔ invoice reference (conditional)
+                ...(invoice.source_estimate
+                  ? [{ text: `${L.refEstimate}: ${invoice.source_estimate.invoice_number}`, fontSize: 9 }]
+                  : []),
+                ...(invoice.converted_invoice
+                  ? [{ text: `${L.convertedTo}: ${invoice.converted_invoice.invoice_number}`, fontSize: 9 }]
+                  : []),
               ],
             },
           ],
@@ -153,7 +271,7 @@ class PdfService {
               type: 'line',
               x1: 0,
               y1: 10,
-              x2: 515,
+              x2: contentWidth,
               y2: 10,
               lineWidth: 1,
               lineColor: '#e0e0e0',
@@ -162,30 +280,51 @@ class PdfService {
         },
 
         // ── Bill To Section ──
-        { text: 'Bill To:', style: 'sectionTitle' },
+        { text: L.billTo, style: 'sectionTitle' },
         { text: invoice.customer_name, style: 'customerName' },
         ...(invoice.customer_address
           ? [{ text: invoice.customer_address, fontSize: 9 }]
           : []),
-        { text: `Phone: ${invoice.customer_phone}`, fontSize: 9 },
+        { text: `${L.phone}: ${invoice.customer_phone}`, fontSize: 9 },
         ...(invoice.customer_email
           ? [{ text: invoice.customer_email, fontSize: 9 }]
           : []),
+        ...(invoice.customer_gstin
+          ? [{ text: `GSTIN: ${invoice.customer_gstin}`, fontSize: 9 }]
+          : []),
+        ...(invoice.place_of_supply
+          ? [
+              {
+                text: `${L.placeOfSupply}: ${GST_STATES[invoice.place_of_supply] || ''} (${invoice.place_of_supply})`,
+                fontSize: 9,
+              },
+            ]
+          : []),
 
         // ── Services Table ──
         { text: '', margin: [0, 10, 0, 0] },
         {
           table: {
             headerRows: 1,
-            widths: [25, '*', 40, 80, 80],
+            // HSN/SAC and GST % columns only appear on taxed documents;
+            // Qty is wide enough for a unit ("42.5 sq.ft")
+            widths: showGst
+              ? [20, '*', 45, 50, 30, 65, 75]
+              : [25, '*', 60, 80, 80],
             body: [
               // Header row
               [
-                { text: '#', style: 'tableHeader', alignment: 'center' },
-                { text: 'Description', style: 'tableHeader' },
-                { text: 'Qty', style: 'tableHeader', alignment: 'center' },
-                { text: 'Rate', style: 'tableHeader', alignment: 'right' },
-                { text: 'Amount', style: 'tableHeader', alignment: 'right' },
+                { text: L.number, style: 'tableHeader', alignment: 'center' },
+                { text: L.description, style: 'tableHeader' },
+                ...(showGst
+                  ? [{ text: L.hsnSac, style: 'tableHeader', alignment: 'center' }]
+                  : []),
+                { text: L.qty, style: 'tableHeader', alignment: 'center' },
+                ...(showGst
+                  ? [{ text: L.gstPercent, style: 'tableHeader', alignment: 'center' }]
+                  : []),
+                { text: L.rate, style: 'tableHeader', alignment: 'right' },
+                { text: L.amount, style: 'tableHeader', alignment: 'right' },
               ],
               // Data rows — one per service line item
               ...invoice.services.map((service, i) => [
@@ -194,12 +333,30 @@ class PdfService {
                   style: 'tableCell',
                   alignment: 'center',
                 },
-                { text: service.description, style: 'tableCell' },
+                this.buildDescriptionCell(service, settings, L),
+                ...(showGst
+                  ? [
+                      {
+                        text: service.hsn_sac || '—',
+                        style: 'tableCell',
+                        alignment: 'center',
+                      },
+                    ]
+                  : []),
                 {
-                  text: service.quantity,
+                  text: formatQuantity(service.quantity, service.unit),
                   style: 'tableCell',
                   alignment: 'center',
                 },
+                ...(showGst
+                  ? [
+                      {
+                        text: `${service.tax_rate ?? invoice.tax_percentage}%`,
+                        style: 'tableCell',
+                        alignment: 'center',
+                      },
+                    ]
+                  : []),
                 {
                   text: `₹${this.formatCurrency(service.rate)}`,
                   style: 'tableCell',
@@ -226,11 +383,11 @@ class PdfService {
           },
         },
 
-        // ── Totals Section ──
+        // ── UPI QR + Totals Section ──
         { text: '', margin: [0, 10, 0, 0] },
         {
           columns: [
-            { width: '*', text: '' },
+            this.buildUpiQr(invoice, business, L),
             {
               width: 220,
               table: {
@@ -238,65 +395,37 @@ class PdfService {
                 body: [
                   // Subtotal
                   [
-                    { text: 'Subtotal', fontSize: 9 },
+                    { text: L.subtotal, fontSize: 9 },
                     {
                       text: `₹${this.formatCurrency(invoice.subtotal)}`,
                       fontSize: 9,
                       alignment: 'right',
                     },
                   ],
-                  // Discount (conditional)
-                  ...(invoice.discount_amount > 0
-                    ? [
-                        [
-                          { text: 'Discount', fontSize: 9 },
-                          {
-                            text: `- ₹${this.formatCurrency(invoice.discount_amount)}`,
-                            fontSize: 9,
-                            alignment: 'right',
-                            color: '#e74c3c',
-                          },
-                        ],
-                      ]
-                    : []),
-                  // CGST & SGST (conditional — only if tax is enabled)
-                  ...(invoice.tax_enabled
-                    ? [
-                        [
-                          { text: `CGST (${halfPercent}%)`, fontSize: 9 },
-                          {
-                            text: `₹${this.formatCurrency(halfTax)}`,
-                            fontSize: 9,
-                            alignment: 'right',
-                          },
-                        ],
-                        [
-                          { text: `SGST (${halfPercent}%)`, fontSize: 9 },
-                          {
-                            text: `₹${this.formatCurrency(halfTax)}`,
-                            fontSize: 9,
-                            alignment: 'right',
-                          },
-                        ],
-                      ]
-                    : []),
+                  // CGST & SGST, or IGST (conditional — only if tax is enabled)
+                  ...this.buildTaxRows(taxSummary),
+                  // Discount & round off (conditional — both apply after tax)
+                  ...this.buildAdjustmentRows(invoice, L),
                   // Grand Total
                   [
-                    { text: 'TOTAL', style: 'grandTotal' },
+                    { text: L.total, style: 'grandTotal' },
                     {
                       text: `₹${this.formatCurrency(invoice.total_amount)}`,
                       style: 'grandTotal',
                       alignment: 'right',
                     },
                   ],
+                  // Amount received & balance due (conditional)
+                  ...paymentRows,
                 ],
               },
               layout: {
+                // Thick rule above the TOTAL row (payment rows follow it)
                 hLineWidth: (i, node) =>
-                  i === node.table.body.length - 1 ? 2 : 0.5,
+                  i === node.table.body.length - 1 - paymentRows.length ? 2 : 0.5,
                 vLineWidth: () => 0,
                 hLineColor: (i, node) =>
-                  i === node.table.body.length - 1 ? '#1a1a2e' : '#eee',
+                  i === node.table.body.length - 1 - paymentRows.length ? '#1a1a2e' : '#eee',
                 paddingTop: () => 4,
                 paddingBottom: () => 4,
               },
@@ -304,35 +433,45 @@ class PdfService {
           ],
         },
 
+        // ── Tax Summary by Rate (conditional) ──
+        ...(settings.taxSummary && taxSummary.rows.length > 0
+          ? [
+              { text: L.taxSummary, style: 'sectionTitle' },
+              this.buildTaxSummaryTable(taxSummary, L),
+            ]
+          : []),
+
         // ── Amount in Words ──
         {
-          text: `Amount in words: ${amountToWords(invoice.total_amount)} Only`,
+          text: L.amountInWords(invoice.total_amount),
           style: 'amountWords',
         },
 
         // ── Notes / Terms (conditional) ──
         ...(invoice.notes
           ? [
-              { text: 'Notes / Terms:', style: 'sectionTitle' },
+              { text: L.notes, style: 'sectionTitle' },
               { text: invoice.notes, style: 'notes' },
             ]
           : []),
 
-        // ── Signature Block ──
-        { text: '', margin: [0, 30, 0, 0] },
+        // ── Payment Details + Signature Block ──
+        { text: '', margin: [0, dense ? 12 : 30, 0, 0] },
         {
           columns: [
-            { width: '*', text: '' },
+            invoice.document_type !== 'invoice' ? { width: '*', text: '' } : this.buildBankDetails(business, L),
             {
               width: 'auto',
               alignment: 'center',
               stack: [
                 {
-                  text: 'For Crown Interiors',
+                  text: L.forBusiness(business.name),
                   fontSize: 9,
                   bold: true,
                 },
-                { text: '', margin: [0, 25, 0, 0] },
+                business.signature_image
+                  ? { image: business.signature_image, fit: [120, 40], margin: [0, 5, 0, 2] }
+                  : { text: '', margin: [0, 25, 0, 0] },
                 {
                   canvas: [
                     {
@@ -346,7 +485,7 @@ class PdfService {
                   ],
                 },
                 {
-                  text: 'Authorized Signature',
+                  text: L.signature,
                   fontSize: 8,
                   color: '#999',
                   margin: [0, 3, 0, 0],
@@ -357,38 +496,309 @@ class PdfService {
         },
       ],
 
-      // ── Page Footer ──
-      footer: {
-        text: 'Thank you for your business! 🙏',
-        style: 'footer',
-        margin: [0, 20, 0, 0],
-      },
+      // ── Page Footer (conditional) ──
+      ...(business.footer_text
+        ? {
+            footer: {
+              text: business.footer_text,
+              style: 'footer',
+              margin: [0, 20, 0, 0],
+            },
+          }
+        : {}),
+    };
+  }
+
+  /**
+   * Builds the 80 mm thermal receipt: a single narrow column, with
+   * the page as tall as its content.
+   *
+   * @param {object} invoice - Full invoice record from the database
+   * @param {object} business - The user's business profile
+   * @param {object} L - PDF labels for the document language
+   * @param {object} settings - Template settings from PDF_TEMPLATES
+   * @returns {object} pdfmake document definition (without defaultStyle)
+   */
+  buildReceiptDefinition(invoice, business, L, settings) {
+    const width = settings.pageWidth - settings.pageMargins[0] - settings.pageMargins[2];
+    const upiLink = getInvoiceUpiLink(invoice, business);
+    const money = (amount) => `₹${this.formatCurrency(amount)}`;
+    const rule = {
+      canvas: [{ type: 'line', x1: 0, y1: 3, x2: width, y2: 3, lineWidth: 0.5, dash: { length: 2 } }],
+      margin: [0, 2, 0, 4],
+    };
+    const line = (label, value) => ({
+      columns: [
+        { width: '*', text: label },
+        { width: 'auto', text: value, alignment: 'right' },
+      ],
+    });
+
+    return {
+      pageSize: { width: settings.pageWidth, height: 'auto' },
+      pageMargins: settings.pageMargins,
+      content: [
+        // ── Header ──
+        {
+          alignment: 'center',
+          stack: [
+            { text: business.name.toUpperCase(), fontSize: 11, bold: true },
+            ...(business.address ? [{ text: business.address }] : []),
+            ...(business.phone ? [{ text: business.phone }] : []),
+            ...(invoice.business_gstin ? [{ text: `GSTIN: ${invoice.business_gstin}` }] : []),
+            {
+              text: invoice.document_type === 'invoice' && invoice.business_gstin
+                ? L.taxInvoice
+                : L.docTypes[invoice.document_type],
+              bold: true,
+              margin: [0, 4, 0, 0],
+            },
+          ],
+        },
+        rule,
+        line(invoice.invoice_number, this.formatDate(invoice.invoice_date, L.locale)),
+        ...(invoice.due_date
+          ? [line(L.due, this.formatDate(invoice.due_date, L.locale))]
+          : []),
+        ...(invoice.document_type === 'credit_note'
+          ? this.buildCreditNoteRefs(invoice, L).map((text) => ({ text }))
+          : []),
+        { text: invoice.customer_name, bold: true, margin: [0, 2, 0, 0] },
+        { text: invoice.customer_phone },
+        ...(invoice.customer_gstin ? [{ text: `GSTIN: ${invoice.customer_gstin}` }] : []),
+        ...(invoice.place_of_supply
+          ? [{ text: `${L.placeOfSupply}: ${GST_STATES[invoice.place_of_supply] || ''} (${invoice.place_of_supply})` }]
+          : []),
+        rule,
+
+        // ── Items: description, then "qty × rate   amount" ──
+        ...invoice.services.flatMap((service) => [
+          { text: service.description, bold: true },
+          ...(service.dimensions
+            ? [{ text: formatDimensions(service.dimensions), color: '#666' }]
+            : []),
+          ...(Number(service.discount_amount) > 0
+            ? [{ text: this.formatLineDiscount(service, L), color: '#666' }]
+            : []),
+          line(
+            `${formatQuantity(service.quantity, service.unit)} × ${money(service.rate)}` +
+              (invoice.tax_enabled ? `  (GST ${service.tax_rate ?? invoice.tax_percentage}%)` : ''),
+            money(service.amount)
+          ),
+        ]),
+        rule,
+
+        // ── Totals ──
+        {
+          table: {
+            widths: ['*', 'auto'],
+            body: [
+              [L.subtotal, { text: money(invoice.subtotal), alignment: 'right' }],
+              ...this.buildTaxRows(buildTaxSummary(invoice)),
+              ...this.buildAdjustmentRows(invoice, L),
+              [
+                { text: L.total, bold: true, fontSize: 10 },
+                { text: money(invoice.total_amount), bold: true, fontSize: 10, alignment: 'right' },
+              ],
+              ...this.buildPaymentRows(invoice, L),
+            ],
+          },
+          layout: 'noBorders',
+        },
+        { text: L.amountInWords(invoice.total_amount), fontSize: 7, italics: true, margin: [0, 4, 0, 0] },
+
+        // ── UPI QR (conditional) ──
+        ...(upiLink
+          ? [
+              rule,
+              {
+                alignment: 'center',
+                stack: [
+                  { qr: upiLink, fit: 110, eccLevel: 'M' },
+                  { text: L.scanToPay, fontSize: 7, margin: [0, 3, 0, 0] },
+                  { text: business.upi_id, bold: true },
+                ],
+              },
+            ]
+          : []),
+
+        // ── Notes & Footer (conditional) ──
+        ...(invoice.notes ? [rule, { text: invoice.notes, fontSize: 7 }] : []),
+        ...(business.footer_text
+          ? [{ text: business.footer_text, alignment: 'center', margin: [0, 8, 0, 0] }]
+          : []),
+      ],
+    };
+  }
+
+  /**
+   * Builds the description cell of the services table. Measurements the
+   * quantity came from and any line discount are printed underneath in
+   * smaller type, followed by the line's notes on templates with `itemNotes`.
+   * @param {object} service - Service line item
+   * @param {object} settings - Template settings from PDF_TEMPLATES
+   * @param {object} L - PDF labels for the document language
+   * @returns {object} pdfmake table cell
+   */
+  buildDescriptionCell(service, settings, L) {
+    const details = [
+      formatDimensions(service.dimensions),
+      Number(service.discount_amount) > 0 ? this.formatLineDiscount(service, L) : null,
+      settings.itemNotes ? service.notes : null,
+    ].filter(Boolean);
+
+    if (details.length === 0) {
+      return { text: service.description, style: 'tableCell' };
+    }
+
+    return {
+      style: 'tableCell',
+      stack: [
+        { text: service.description },
+        ...details.map((text) => ({ text, fontSize: 8, color: '#666', margin: [0, 2, 0, 0] })),
+      ],
+    };
+  }
+
+  /**
+   * Walks a pdfmake node tree and sets the Tamil font on every text node
+   * containing Tamil script, so it doesn't render as empty boxes in Roboto.
+   * Bare Tamil strings in stacks and rows are wrapped to carry the font.
+   * @param {*} node - pdfmake node (object, array or primitive)
+   */
+  applyTamilFont(node) {
+    if (Array.isArray(node)) {
+      node.forEach((child, i) => {
+        if (typeof child === 'string' && TAMIL_SCRIPT.test(child)) {
+          node[i] = { text: child, font: TAMIL_FONT };
+        } else {
+          this.applyTamilFont(child);
+        }
+      });
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    const texts = Array.isArray(node.text) ? node.text : [node.text];
+    if (texts.some((text) => typeof text === 'string' && TAMIL_SCRIPT.test(text))) {
+      node.font = TAMIL_FONT;
+    }
+
+    Object.values(node).forEach((value) => {
+      if (value && typeof value === 'object') this.applyTamilFont(value);
+    });
+  }
+
+  /**
+   * Builds the "Scan to pay" UPI QR code shown beside the totals.
+   * pdfmake renders the QR itself, so no external service is involved.
+   * @param {object} invoice - Invoice record
+   * @param {object} business - The user's business profile
+   * @param {object} L - PDF labels for the document language
+   * @returns {object} pdfmake column (empty when there is nothing to collect)
+   */
+  buildUpiQr(invoice, business, L) {
+    const upiLink = getInvoiceUpiLink(invoice, business);
+    if (!upiLink) return { width: '*', text: '' };
+
+    return {
+      width: '*',
+      stack: [
+        { qr: upiLink, fit: 90, eccLevel: 'M' },
+        { text: L.scanToPay, fontSize: 8, color: '#666', margin: [0, 4, 0, 0] },
+        {
+          text: `₹${this.formatCurrency(getBalanceDue(invoice))} · ${business.upi_id}`,
+          fontSize: 8,
+          bold: true,
+        },
+      ],
     };
   }
 
+  /**
+   * Builds the "Payment Details" block (bank account and UPI ID) shown
+   * beside the signature on invoices.
+   * @param {object} business - The user's business profile
+   * @param {object} L - PDF labels for the document language
+   * @returns {object} pdfmake column (empty when no details are saved)
+   */
+  buildBankDetails(business, L) {
+    const lines = [
+      [L.bank, business.bank_name],
+      [L.accountName, business.account_name],
+      [L.accountNumber, business.account_number],
+      [L.ifsc, business.ifsc],
+      [L.upi, business.upi_id],
+    ].filter(([, value]) => value);
+
+    if (lines.length === 0) return { width: '*', text: '' };
+
+    return {
+      width: '*',
+      stack: [
+        { text: L.paymentDetails, fontSize: 9, bold: true, margin: [0, 0, 0, 3] },
+        ...lines.map(([label, value]) => ({
+          text: [{ text: `${label}: `, color: '#666' }, value],
+          fontSize: 9,
+        })),
+      ],
+    };
+  }
+
+  /**
+   * Builds the PDF filename, e.g. "CI-042-invoice.pdf", "CI-042-invoice-ta.pdf"
+   * or, for a past version, "CI-042-invoice-v2.pdf".
+   * @param {object} invoice - Invoice with `invoice_number` and `document_type`
+   * @param {string} [lang='en'] - PDF language
+   * @param {number|null} [version] - Past version printed
+   * @returns {string}
+   */
+  getFilename(invoice, lang = 'en', version = null) {
+    return `${invoice.invoice_number}-${invoice.document_type}${lang === 'en' ? '' : `-${lang}`}${
+      version ? `-v${version}` : ''}.pdf`;
+  }
+
   /**
    * Uploads a generated PDF to Supabase Storage and updates the invoice
-   * record with the resulting public URL.
+   * record with the resulting public URL. Files live in the document's
+   * own folder behind a random key, so the URL cannot be guessed from
+   * the document number; the earlier upload of the same file is removed.
    *
+   * @param {string} userId - Owner's UUID
    * @param {string} invoiceId - Invoice UUID
    * @param {Buffer} pdfBuffer - The generated PDF buffer
    * @param {string} filename - Filename for storage (e.g., "CI-042-invoice.pdf")
    * @returns {Promise<string>} Public URL of the uploaded PDF
    */
-  async uploadPdf(invoiceId, pdfBuffer, filename) {
-    const { data, error } = await supabaseAdmin.storage
+  async uploadPdf(userId, invoiceId, pdfBuffer, filename) {
+    const folder = `pdfs/${userId}/${invoiceId}`;
+    const storagePath = `${folder}/${randomStorageKey()}-${filename}`;
+
+    const { data: existing, error: listError } = await supabaseAdmin.storage
       .from('invoices')
-      .upload(`pdfs/${filename}`, pdfBuffer, {
-        contentType: 'application/pdf',
-        upsert: true, // Overwrite if filename already exists
-      });
+      .list(folder);
+
+    if (listError) throw listError;
+
+    const { error } = await supabaseAdmin.storage
+      .from('invoices')
+      .upload(storagePath, pdfBuffer, { contentType: 'application/pdf' });
 
     if (error) throw error;
 
+    // Earlier uploads of this file (same language and version)
+    const stale = existing
+      .filter((file) => file.name.slice(file.name.indexOf('-') + 1) === filename)
+      .map((file) => `${folder}/${file.name}`);
+    if (stale.length > 0) {
+      const { error: removeError } = await supabaseAdmin.storage.from('invoices').remove(stale);
+      if (removeError) console.error('Old PDF removal failed:', removeError.message);
+    }
+
     // Retrieve the public URL for the uploaded PDF
     const { data: urlData } = supabaseAdmin.storage
       .from('invoices')
-      .getPublicUrl(`pdfs/${filename}`);
+      .getPublicUrl(storagePath);
 
     // Persist the PDF URL on the invoice record
     await supabaseAdmin
@@ -399,6 +809,207 @@ class PdfService {
     return urlData.publicUrl;
   }
 
+  /**
+   * Builds the tax rows of the totals table: CGST + SGST for intra-state
+   * supply, IGST for inter-state. The rate is shown when all lines share it.
+   * @param {object} taxSummary - Result of `buildTaxSummary`
+   * @returns {Array[]} Table rows (empty when no tax applies)
+   */
+  buildTaxRows(taxSummary) {
+    if (taxSummary.rows.length === 0) return [];
+
+    const singleRate = taxSummary.rows.length === 1 ? taxSummary.rows[0].rate : null;
+    const label = (name, rate) => (rate !== null ? `${name} (${rate}%)` : name);
+    const row = (text, amount) => [
+      { text, fontSize: 9 },
+      { text: `₹${this.formatCurrency(amount)}`, fontSize: 9, alignment: 'right' },
+    ];
+
+    if (taxSummary.interState) {
+      return [row(label('IGST', singleRate), taxSummary.igst)];
+    }
+
+    const halfRate = singleRate !== null ? singleRate / 2 : null;
+    return [
+      row(label('CGST', halfRate), taxSummary.cgst),
+      row(label('SGST', halfRate), taxSummary.sgst),
+    ];
+  }
+
+  /**
+   * Builds the tax summary table (taxable value and tax per GST rate).
+   * @param {object} taxSummary - Result of `buildTaxSummary`
+   * @param {object} L - PDF labels for the document language
+   * @returns {object} pdfmake table node
+   */
+  buildTaxSummaryTable(taxSummary, L) {
+    const { interState } = taxSummary;
+    const cell = (text, alignment = 'right') => ({ text, style: 'tableCell', alignment });
+    const money = (amount) => cell(`₹${this.formatCurrency(amount)}`);
+    const totals = taxSummary.rows.reduce(
+      (sum, row) => ({ taxable: sum.taxable + row.taxable, tax: sum.tax + row.tax }),
+      { taxable: 0, tax: 0 }
+    );
+
+    return {
+      table: {
+        headerRows: 1,
+        widths: interState ? ['*', 90, 90, 90] : ['*', 80, 70, 70, 80],
+        body: [
+          [
+            { text: L.gstRate, style: 'tableHeader' },
+            { text: L.taxableValue, style: 'tableHeader', alignment: 'right' },
+            ...(interState
+              ? [{ text: 'IGST', style: 'tableHeader', alignment: 'right' }]
+              : [
+                  { text: 'CGST', style: 'tableHeader', alignment: 'right' },
+                  { text: 'SGST', style: 'tableHeader', alignment: 'right' },
+                ]),
+            { text: L.totalTax, style: 'tableHeader', alignment: 'right' },
+          ],
+          ...taxSummary.rows.map((row) => [
+            cell(`${row.rate}%`, 'left'),
+            money(row.taxable),
+            ...(interState ? [money(row.igst)] : [money(row.cgst), money(row.sgst)]),
+            money(row.tax),
+          ]),
+          [
+            { text: L.totalRow, style: 'tableCell', bold: true },
+            { ...money(totals.taxable), bold: true },
+            ...(interState
+              ? [{ ...money(taxSummary.igst), bold: true }]
+              : [
+                  { ...money(taxSummary.cgst), bold: true },
+                  { ...money(taxSummary.sgst), bold: true },
+                ]),
+            { ...money(totals.tax), bold: true },
+          ],
+        ],
+      },
+      layout: {
+        hLineWidth: () => 0.5,
+        vLineWidth: () => 0,
+        hLineColor: (i) => (i === 0 || i === 1 ? '#1a1a2e' : '#e0e0e0'),
+        paddingLeft: () => 6,
+        paddingRight: () => 6,
+      },
+    };
+  }
+  /**
+   * Builds the discount and round-off rows of the totals table, which
+   * come after tax. A percentage discount shows its rate.
+   * @param {object} invoice - Invoice with `discount_*` and `round_off_amount`
+   * @param {object} L - PDF labels for the document language
+   * @returns {Array[]} Table rows (empty when neither applies)
+   */
+  buildAdjustmentRows(invoice, L) {
+    const rows = [];
+    const discount = Number(invoice.discount_amount) || 0;
+    const roundOff = Number(invoice.round_off_amount) || 0;
+
+    if (discount > 0) {
+      rows.push([
+        { text: this.formatDiscountLabel(invoice, L), fontSize: 9 },
+        {
+          text: `- ₹${this.formatCurrency(discount)}`,
+          fontSize: 9,
+          alignment: 'right',
+          color: '#e74c3c',
+        },
+      ]);
+    }
+    if (roundOff !== 0) {
+      rows.push([
+        { text: L.roundOff, fontSize: 9 },
+        {
+          text: `${roundOff > 0 ? '+' : '-'} ₹${this.formatCurrency(Math.abs(roundOff))}`,
+          fontSize: 9,
+          alignment: 'right',
+        },
+      ]);
+    }
+    return rows;
+  }
+
+  /**
+   * Label of a discount: "Discount", or "Discount (10%)" for a percentage.
+   * @param {object} item - Invoice or service line with `discount_type` / `discount_value`
+   * @param {object} L - PDF labels for the document language
+   * @returns {string}
+   */
+  formatDiscountLabel(item, L) {
+    return item.discount_type === 'percent'
+      ? `${L.discount} (${Number(item.discount_value)}%)`
+      : L.discount;
+  }
+
+  /**
+   * Text printed under a discounted line, e.g. "Discount (10%): - ₹1,500".
+   * @param {object} service - Service line item with `discount_amount`
+   * @param {object} L - PDF labels for the document language
+   * @returns {string}
+   */
+  formatLineDiscount(service, L) {
+    return `${this.formatDiscountLabel(service, L)}: - ₹${this.formatCurrency(service.discount_amount)}`;
+  }
+
+  /**
+   * Builds the lines naming the invoice a credit note was issued against,
+   * and why.
+   * @param {object} creditNote - Credit note with `credited_invoice` and `credit_reason`
+   * @param {object} L - PDF labels for the document language
+   * @returns {string[]}
+   */
+  buildCreditNoteRefs(creditNote, L) {
+    const original = creditNote.credited_invoice;
+    return [
+      ...(original
+        ? [`${L.againstInvoice}: ${original.invoice_number} (${this.formatDate(original.invoice_date, L.locale)})`]
+        : []),
+      ...(creditNote.credit_reason
+        ? [`${L.reason}: ${L.creditReasons[creditNote.credit_reason]}`]
+        : []),
+    ];
+  }
+
+  /**
+   * Builds the "Amount received" / "Credit notes" / "Balance due" rows
+   * shown below the grand total once a payment or credit note has been
+   * recorded.
+   * @param {object} invoice - Invoice record with `amount_paid` and `amount_credited`
+   * @param {object} L - PDF labels for the document language
+   * @returns {Array[]} Table rows (empty when nothing has been received or credited)
+   */
+  buildPaymentRows(invoice, L) {
+    const amountPaid = Number(invoice.amount_paid || 0);
+    const amountCredited = Number(invoice.amount_credited || 0);
+    if (invoice.document_type !== 'invoice' || (amountPaid <= 0 && amountCredited <= 0)) return [];
+
+    const deduction = (label, amount, color) => [
+      { text: label, fontSize: 9 },
+      {
+        text: `- ₹${this.formatCurrency(amount)}`,
+        fontSize: 9,
+        alignment: 'right',
+        color,
+      },
+    ];
+
+    return [
+      ...(amountPaid > 0 ? [deduction(L.amountReceived, amountPaid, '#27ae60')] : []),
+      ...(amountCredited > 0 ? [deduction(L.amountCredited, amountCredited, '#c0392b')] : []),
+      [
+        { text: L.balanceDue, fontSize: 10, bold: true },
+        {
+          text: `₹${this.formatCurrency(getBalanceDue(invoice))}`,
+          fontSize: 10,
+          bold: true,
+          alignment: 'right',
+        },
+      ],
+    ];
+  }
+
   /**
    * Formats a number in Indian currency style (e.g., 1,25,000).
    * @param {number} amount - Numeric amount
@@ -414,11 +1025,12 @@ class PdfService {
   /**
    * Formats an ISO date string into "DD Mon YYYY" (e.g., "12 Feb 2026").
    * @param {string} dateStr - ISO date string
+   * @param {string} [locale='en-IN'] - 'ta-IN' prints Tamil month names
    * @returns {string} Formatted date
    */
-  formatDate(dateStr) {
+  formatDate(dateStr, locale = 'en-IN') {
     const date = new Date(dateStr);
-    return date.toLocaleDateString('en-IN', {
+    return date.toLocaleDateString(locale, {
       day: '2-digit',
       month: 'short',
       year: 'numeric',
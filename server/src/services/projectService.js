@@ -0,0 +1,345 @@
+/**
+ * Project Service — Jobs at a Site
+ *
+ * Groups the estimates, invoices, payments and expenses of one job so
+ * the user can see what was agreed, billed, received and is still
+ * owed. Money rules live in utils/projects.js.
+ *
+ * Responsibilities:
+ *   - CRUD operations on the projects table
+ *   - Project list with each project's money summary
+ *   - A project with its customer, documents, payments and expenses
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const customerService = require('./customerService');
+const { createHttpError, toSearchPattern } = require('../utils/helpers');
+const { summarizeProject } = require('../utils/projects');
+
+/** Document columns shown on the project page and used for its summary */
+const DOCUMENT_COLUMNS =
+  'id, project_id, invoice_number, document_type, status, customer_name, total_amount, tax_amount, amount_paid, amount_credited, invoice_date, due_date, created_at';
+
+/**
+ * Ids of the invoices (not estimates) among a project's documents.
+ * @param {object[]} documents
+ * @returns {string[]}
+ */
+const invoiceIdsOf = (documents) =>
+  documents.filter((d) => d.document_type === 'invoice').map((d) => d.id);
+
+/**
+ * Maps a validated payload to projects columns.
+ * @param {object} project - Validated project payload
+ * @returns {object} Column values (only the fields present in the payload)
+ */
+const toColumns = (project) => {
+  const columns = {};
+  if (project.name !== undefined) columns.name = project.name;
+  if (project.customer_id !== undefined) columns.customer_id = project.customer_id || null;
+  if (project.site_address !== undefined) columns.site_address = project.site_address || null;
+  if (project.stage !== undefined) columns.stage = project.stage;
+  if (project.start_date !== undefined) columns.start_date = project.start_date || null;
+  if (project.end_date !== undefined) columns.end_date = project.end_date || null;
+  if (project.notes !== undefined) columns.notes = project.notes || null;
+  return columns;
+};
+
+class ProjectService {
+  /**
+   * Creates a project for the given user.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} projectData - Validated project payload
+   * @returns {Promise<object>} The new project
+   */
+  async create(userId, projectData) {
+    if (projectData.customer_id) {
+      await customerService.getById(userId, projectData.customer_id);
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('projects')
+      .insert({ user_id: userId, ...toColumns(projectData) })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Lists projects, most recently started first, each with its customer's
+   * name and money summary.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} filters - Query filters
+   * @param {string} [filters.stage]       - Exact stage
+   * @param {string} [filters.search]      - Search term for the name or site address
+   * @param {string} [filters.customer_id] - Projects of one customer
+   * @returns {Promise<object[]>}
+   */
+  async getAll(userId, filters = {}) {
+    let query = supabaseAdmin
+      .from('projects')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (filters.stage) query = query.eq('stage', filters.stage);
+    if (filters.customer_id) query = query.eq('customer_id', filters.customer_id);
+    const pattern = toSearchPattern(filters.search);
+    if (pattern) {
+      query = query.or(`name.ilike.${pattern},site_address.ilike.${pattern}`);
+    }
+
+    const { data, error } = await query
+      .order('start_date', { ascending: false, nullsFirst: true })
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    if (data.length === 0) return [];
+
+    const ids = data.map((p) => p.id);
+    const documents = await this.getDocuments(userId, ids);
+    const [expenses, customers] = await Promise.all([
+      this.getExpenses(userId, ids, invoiceIdsOf(documents)),
+      this.getCustomerNames(userId, data.map((p) => p.customer_id).filter(Boolean)),
+    ]);
+
+    return data.map((project) => {
+      const projectDocuments = documents.filter((d) => d.project_id === project.id);
+      return {
+        ...project,
+        customer_name: customers[project.customer_id] || null,
+        document_count: projectDocuments.length,
+        summary: summarizeProject(projectDocuments, this.expensesOf(project.id, projectDocuments, expenses)),
+      };
+    });
+  }
+
+  /**
+   * Retrieves a single project, scoped to the authenticated user.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<object>} The project
+   * @throws {Error} "Project not found" if no matching record exists
+   */
+  async getById(userId, projectId) {
+    const { data, error } = await supabaseAdmin
+      .from('projects')
+      .select('*')
+      .eq('id', projectId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Project not found');
+      }
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Retrieves a project with its customer, documents (newest first),
+   * payments, expenses and money summary.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<object>} Project with `customer`, `documents`,
+   *   `payments`, `expenses` and `summary`
+   */
+  async getWithDocuments(userId, projectId) {
+    const project = await this.getById(userId, projectId);
+
+    const documents = await this.getDocuments(userId, [projectId]);
+    const invoiceIds = invoiceIdsOf(documents);
+
+    const [expenses, payments, customer] = await Promise.all([
+      this.getExpenses(userId, [projectId], invoiceIds),
+      this.getPayments(userId, invoiceIds),
+      project.customer_id
+        ? customerService.getById(userId, project.customer_id).catch(() => null)
+        : null,
+    ]);
+
+    const numbers = Object.fromEntries(documents.map((d) => [d.id, d.invoice_number]));
+
+    return {
+      ...project,
+      customer: customer && { id: customer.id, name: customer.name, phone: customer.phone },
+      documents,
+      payments: payments.map((p) => ({ ...p, invoice_number: numbers[p.invoice_id] })),
+      expenses,
+      summary: summarizeProject(documents, expenses),
+    };
+  }
+
+  /**
+   * Updates a project with partial data.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} projectId - Project UUID
+   * @param {object} updateData - Validated fields to update
+   * @returns {Promise<object>} The updated project
+   * @throws {Error} 400 when the dates end before they start
+   */
+  async update(userId, projectId, updateData) {
+    if (updateData.customer_id) {
+      await customerService.getById(userId, updateData.customer_id);
+    }
+
+    // One of the dates may be changing against the other's stored value
+    if (updateData.start_date !== undefined || updateData.end_date !== undefined) {
+      const current = await this.getById(userId, projectId);
+      const start = updateData.start_date !== undefined ? updateData.start_date : current.start_date;
+      const end = updateData.end_date !== undefined ? updateData.end_date : current.end_date;
+      if (start && end && new Date(end) < new Date(start)) {
+        throw createHttpError(400, 'End date cannot be before the start date');
+      }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('projects')
+      .update({
+        ...toColumns(updateData),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', projectId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Project not found');
+      }
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Deletes a project. Its documents and expenses are kept and simply
+   * lose the link (the foreign keys are declared ON DELETE SET NULL).
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} projectId - Project UUID
+   * @returns {Promise<boolean>} true on success
+   */
+  async delete(userId, projectId) {
+    const { error } = await supabaseAdmin
+      .from('projects')
+      .delete()
+      .eq('id', projectId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return true;
+  }
+
+  // ── Helpers ──
+
+  /**
+   * Documents of a set of projects, newest first.
+   *
+   * @param {string} userId
+   * @param {string[]} projectIds
+   * @returns {Promise<object[]>}
+   */
+  async getDocuments(userId, projectIds) {
+    const { data, error } = await supabaseAdmin
+      .from('invoices')
+      .select(DOCUMENT_COLUMNS)
+      .eq('user_id', userId)
+      .in('project_id', projectIds)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Expenses of a set of projects: booked against the project itself or
+   * against one of its invoices. Newest first.
+   *
+   * @param {string} userId
+   * @param {string[]} projectIds
+   * @param {string[]} invoiceIds - The projects' invoices
+   * @returns {Promise<object[]>}
+   */
+  async getExpenses(userId, projectIds, invoiceIds) {
+    const conditions = [`project_id.in.(${projectIds.join(',')})`];
+    if (invoiceIds.length > 0) conditions.push(`invoice_id.in.(${invoiceIds.join(',')})`);
+
+    const { data, error } = await supabaseAdmin
+      .from('expenses')
+      .select('*')
+      .eq('user_id', userId)
+      .or(conditions.join(','))
+      .order('expense_date', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * A project's share of a list of expenses (see getExpenses).
+   *
+   * @param {string} projectId
+   * @param {object[]} documents - The project's documents
+   * @param {object[]} expenses
+   * @returns {object[]}
+   */
+  expensesOf(projectId, documents, expenses) {
+    const ids = new Set(documents.map((d) => d.id));
+    return expenses.filter((e) => e.project_id === projectId || ids.has(e.invoice_id));
+  }
+
+  /**
+   * Payments received against a set of invoices, newest first.
+   *
+   * @param {string} userId
+   * @param {string[]} invoiceIds
+   * @returns {Promise<object[]>}
+   */
+  async getPayments(userId, invoiceIds) {
+    if (invoiceIds.length === 0) return [];
+
+    const { data, error } = await supabaseAdmin
+      .from('payments')
+      .select('id, invoice_id, amount, payment_date, mode, reference')
+      .eq('user_id', userId)
+      .in('invoice_id', invoiceIds)
+      .order('payment_date', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Names of a set of customers, by id.
+   *
+   * @param {string} userId
+   * @param {string[]} customerIds
+   * @returns {Promise<Object<string, string>>}
+   */
+  async getCustomerNames(userId, customerIds) {
+    if (customerIds.length === 0) return {};
+
+    const { data, error } = await supabaseAdmin
+      .from('customers')
+      .select('id, name')
+      .eq('user_id', userId)
+      .in('id', [...new Set(customerIds)]);
+
+    if (error) throw error;
+    return Object.fromEntries(data.map((c) => [c.id, c.name]));
+  }
+}
+
+module.exports = new ProjectService();
@@ -0,0 +1,440 @@
+/**
+ * Recurring Service — Recurring Invoices
+ *
+ * A recurring profile re-issues one of the user's invoices on a schedule
+ * (monthly or yearly maintenance fees). The recurring job copies the
+ * invoice on each run date through invoiceService.duplicate, as a draft
+ * or, with auto-send, issued and emailed to the customer. Schedule rules
+ * live in utils/recurring.js.
+ *
+ * Responsibilities:
+ *   - CRUD operations on the recurring_profiles table
+ *   - Profile list with each profile's invoice and coming runs
+ *   - A profile with its coming runs and the invoices it has made
+ *   - Making the invoices due on every profile (recurring job)
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const invoiceService = require('./invoiceService');
+const shareService = require('./shareService');
+const { getBusinessProfile } = require('../utils/businessProfile');
+const { createHttpError } = require('../utils/helpers');
+const { withBalance } = require('../utils/paymentStatus');
+const { getToday, withStatus } = require('../utils/invoiceStatus');
+const { SYSTEM_ACTOR } = require('../utils/invoiceHistory');
+const { buildShareUrl } = require('../utils/shareLinks');
+const {
+  MAX_CATCH_UP_RUNS,
+  scheduleNextRun,
+  advanceRun,
+  getUpcomingRuns,
+  getRunInvoiceFields,
+  buildInvoiceEmail,
+} = require('../utils/recurring');
+const { getTransport } = require('../transports');
+
+/** Columns of the source invoice shown with a profile */
+const SOURCE_COLUMNS = 'id, invoice_number, customer_name, customer_email, total_amount, deleted_at';
+
+/** Columns of the invoices a profile has made */
+const MADE_COLUMNS =
+  'id, recurring_profile_id, invoice_number, status, total_amount, amount_paid, amount_credited, invoice_date, due_date';
+
+/** Kept on a profile the job paused because its invoice is in the Trash */
+const SOURCE_TRASHED_ERROR = 'Paused: the invoice it copies is in the Trash';
+
+/** Fields that decide when a profile runs */
+const SCHEDULE_FIELDS = ['frequency', 'day_of_month', 'start_date', 'end_date', 'active'];
+
+/** A validated date (Joi hands back a Date) as YYYY-MM-DD */
+const toDay = (date) => (date instanceof Date ? date.toISOString().slice(0, 10) : date || null);
+
+/**
+ * Maps a validated payload to recurring_profiles columns.
+ * @param {object} profile - Validated profile payload
+ * @returns {object} Column values (only the fields present in the payload)
+ */
+const toColumns = (profile) => {
+  const columns = {};
+  if (profile.name) columns.name = profile.name; // a blank name keeps the current one
+  if (profile.frequency !== undefined) columns.frequency = profile.frequency;
+  if (profile.day_of_month !== undefined) columns.day_of_month = profile.day_of_month;
+  if (profile.start_date !== undefined) columns.start_date = toDay(profile.start_date);
+  if (profile.end_date !== undefined) columns.end_date = toDay(profile.end_date);
+  if (profile.due_days !== undefined) columns.due_days = profile.due_days;
+  if (profile.auto_send !== undefined) columns.auto_send = profile.auto_send;
+  if (profile.active !== undefined) columns.active = profile.active;
+  return columns;
+};
+
+/**
+ * Adds a profile's source invoice and coming runs.
+ * @param {object} profile
+ * @param {object|undefined} source - Source invoice (SOURCE_COLUMNS)
+ * @returns {object}
+ */
+const present = (profile, source) => ({
+  ...profile,
+  source_invoice: source || null,
+  upcoming_runs: getUpcomingRuns(profile),
+});
+
+class RecurringService {
+  /**
+   * Creates a recurring profile for one of the user's invoices. Its first
+   * run is the first on or after the start date (and never in the past).
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} profileData - Validated profile payload
+   * @returns {Promise<object>} The new profile
+   * @throws {Error} 400 when the source is not an invoice
+   */
+  async create(userId, profileData) {
+    const source = await invoiceService.getById(userId, profileData.source_invoice_id);
+    if (source.document_type !== 'invoice') {
+      throw createHttpError(400, 'Only invoices can recur');
+    }
+
+    const columns = {
+      user_id: userId,
+      source_invoice_id: source.id,
+      ...toColumns(profileData),
+      name: profileData.name || source.customer_name,
+    };
+    columns.next_run_date = scheduleNextRun(columns, getToday());
+
+    const { data, error } = await supabaseAdmin
+      .from('recurring_profiles')
+      .insert(columns)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return present(data, source);
+  }
+
+  /**
+   * Lists profiles, next run first (ended profiles last), each with its
+   * source invoice, coming runs and how many invoices it has made.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} filters - Query filters
+   * @param {string} [filters.source_invoice_id] - Profiles of one invoice
+   * @returns {Promise<object[]>}
+   */
+  async getAll(userId, filters = {}) {
+    let query = supabaseAdmin
+      .from('recurring_profiles')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (filters.source_invoice_id) query = query.eq('source_invoice_id', filters.source_invoice_id);
+
+    const { data, error } = await query
+      .order('next_run_date', { ascending: true, nullsFirst: false })
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    if (data.length === 0) return [];
+
+    const ids = data.map((p) => p.id);
+    const [sources, made] = await Promise.all([
+      this.getSources(userId, data.map((p) => p.source_invoice_id)),
+      this.getMadeInvoices(userId, ids),
+    ]);
+
+    return data.map((profile) => ({
+      ...present(profile, sources[profile.source_invoice_id]),
+      invoice_count: made.filter((inv) => inv.recurring_profile_id === profile.id).length,
+    }));
+  }
+
+  /**
+   * Retrieves a single profile, scoped to the authenticated user.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} profileId - Profile UUID
+   * @returns {Promise<object>} The profile
+   * @throws {Error} "Recurring profile not found" if no matching record exists
+   */
+  async getById(userId, profileId) {
+    const { data, error } = await supabaseAdmin
+      .from('recurring_profiles')
+      .select('*')
+      .eq('id', profileId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Recurring profile not found');
+      }
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Retrieves a profile with its source invoice, coming runs and the
+   * invoices it has made (newest first).
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} profileId - Profile UUID
+   * @returns {Promise<object>} Profile with `source_invoice`, `upcoming_runs` and `invoices`
+   */
+  async getWithInvoices(userId, profileId) {
+    const profile = await this.getById(userId, profileId);
+
+    const [sources, invoices] = await Promise.all([
+      this.getSources(userId, [profile.source_invoice_id]),
+      this.getMadeInvoices(userId, [profileId]),
+    ]);
+
+    return { ...present(profile, sources[profile.source_invoice_id]), invoices };
+  }
+
+  /**
+   * Updates a profile with partial data. Changing its schedule (or
+   * resuming it) sets its next run again from today.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} profileId - Profile UUID
+   * @param {object} updateData - Validated fields to update
+   * @returns {Promise<object>} The updated profile
+   * @throws {Error} 400 when the dates end before they start
+   */
+  async update(userId, profileId, updateData) {
+    const current = await this.getById(userId, profileId);
+    const changes = toColumns(updateData);
+    const merged = { ...current, ...changes };
+
+    if (merged.end_date && merged.end_date < merged.start_date) {
+      throw createHttpError(400, 'End date cannot be before the start date');
+    }
+
+    if (SCHEDULE_FIELDS.some((field) => changes[field] !== undefined && changes[field] !== current[field])) {
+      changes.next_run_date = scheduleNextRun(merged, getToday());
+    }
+    // Resuming clears what stopped it (e.g. its invoice was in the Trash)
+    if (changes.active && !current.active) changes.last_error = null;
+
+    const { data, error } = await supabaseAdmin
+      .from('recurring_profiles')
+      .update({
+        ...changes,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', profileId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const sources = await this.getSources(userId, [data.source_invoice_id]);
+    return present(data, sources[data.source_invoice_id]);
+  }
+
+  /**
+   * Deletes a profile. The invoices it made are kept as plain invoices
+   * (the foreign key is declared ON DELETE SET NULL).
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} profileId - Profile UUID
+   * @returns {Promise<boolean>} true on success
+   */
+  async delete(userId, profileId) {
+    const { error } = await supabaseAdmin
+      .from('recurring_profiles')
+      .delete()
+      .eq('id', profileId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Makes the invoices due today on every active profile, for all users,
+   * catching up on runs missed while the server was down. A run that
+   * fails is kept on the profile (last_error) and retried on the next
+   * job run. Profiles whose invoice is in the Trash are paused instead.
+   * Run by the recurring job.
+   *
+   * @param {string} [today] - YYYY-MM-DD
+   * @returns {Promise<number>} Number of invoices made
+   */
+  async processDue(today = getToday()) {
+    const { data: profiles, error } = await supabaseAdmin
+      .from('recurring_profiles')
+      .select('*')
+      .eq('active', true)
+      .not('next_run_date', 'is', null)
+      .lte('next_run_date', today);
+
+    if (error) throw error;
+
+    const trashed = await this.getTrashedSources(profiles.map((p) => p.source_invoice_id));
+
+    let made = 0;
+    for (const profile of profiles) {
+      if (trashed.has(profile.source_invoice_id)) {
+        await this.saveRun(profile.id, { active: false, last_error: SOURCE_TRASHED_ERROR });
+        continue;
+      }
+
+      let runDate = profile.next_run_date;
+      let runs = 0;
+
+      while (runDate && runDate <= today && runs < MAX_CATCH_UP_RUNS) {
+        let problem = null;
+        try {
+          problem = await this.run(profile, runDate);
+        } catch (runError) {
+          console.error(`Recurring profile ${profile.id} failed:`, runError.message);
+          await this.saveRun(profile.id, { last_error: runError.message });
+          break;
+        }
+
+        const nextRunDate = advanceRun(profile, runDate);
+        await this.saveRun(profile.id, {
+          next_run_date: nextRunDate,
+          last_run_date: runDate,
+          last_error: problem,
+        });
+        runDate = nextRunDate;
+        runs += 1;
+      }
+      made += runs;
+    }
+    return made;
+  }
+
+  // ── Helpers ──
+
+  /**
+   * Makes one run's invoice and, with auto-send, issues and emails it.
+   *
+   * @param {object} profile
+   * @param {string} runDate - YYYY-MM-DD
+   * @returns {Promise<string|null>} What went wrong sending the invoice
+   *   (it was still made), or null
+   */
+  async run(profile, runDate) {
+    const invoice = await invoiceService.duplicate(
+      profile.user_id,
+      profile.source_invoice_id,
+      getRunInvoiceFields(profile, runDate),
+      { actor: SYSTEM_ACTOR }
+    );
+    if (!profile.auto_send) return null;
+
+    try {
+      await this.send(invoice);
+      return null;
+    } catch (error) {
+      console.error(`Sending ${invoice.invoice_number} failed:`, error.message);
+      return `${invoice.invoice_number} was made but not sent: ${error.message}`;
+    }
+  }
+
+  /**
+   * Issues an invoice made by a profile and emails it to the customer
+   * (with its share link when PUBLIC_URL is set). Without an email
+   * address it is only marked as sent.
+   *
+   * @param {object} invoice
+   * @returns {Promise<void>}
+   */
+  async send(invoice) {
+    const sent = await invoiceService.update(invoice.user_id, invoice.id, { status: 'sent' }, { actor: SYSTEM_ACTOR });
+    if (!sent.customer_email) return;
+
+    const [business, link] = await Promise.all([
+      getBusinessProfile(sent.user_id),
+      process.env.PUBLIC_URL ? shareService.create(sent.user_id, sent.id) : null,
+    ]);
+    const email = buildInvoiceEmail(sent, business, link && buildShareUrl(process.env.PUBLIC_URL, link.token));
+
+    await getTransport('email').send({ to: sent.customer_email, ...email });
+  }
+
+  /**
+   * Stores the outcome of a run on its profile.
+   *
+   * @param {string} profileId
+   * @param {object} fields - `next_run_date`, `last_run_date`, `last_error`, `active`
+   * @returns {Promise<void>}
+   */
+  async saveRun(profileId, fields) {
+    const { error } = await supabaseAdmin
+      .from('recurring_profiles')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', profileId);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Source invoices of a set of profiles, by id (including any in the
+   * Trash, which stops their profiles from running).
+   *
+   * @param {string} userId
+   * @param {string[]} invoiceIds
+   * @returns {Promise<Object<string, object>>}
+   */
+  async getSources(userId, invoiceIds) {
+    const { data, error } = await supabaseAdmin
+      .from('invoices')
+      .select(SOURCE_COLUMNS)
+      .eq('user_id', userId)
+      .in('id', [...new Set(invoiceIds)]);
+
+    if (error) throw error;
+    return Object.fromEntries(data.map((inv) => [inv.id, inv]));
+  }
+
+  /**
+   * Which of a set of source invoices (of any user) are in the Trash.
+   *
+   * @param {string[]} invoiceIds
+   * @returns {Promise<Set<string>>}
+   */
+  async getTrashedSources(invoiceIds) {
+    if (invoiceIds.length === 0) return new Set();
+
+    const { data, error } = await supabaseAdmin
+      .from('invoices')
+      .select('id')
+      .in('id', [...new Set(invoiceIds)])
+      .not('deleted_at', 'is', null);
+
+    if (error) throw error;
+    return new Set(data.map((inv) => inv.id));
+  }
+
+  /**
+   * Invoices made by a set of profiles, newest first, with their balance
+   * and today's status.
+   *
+   * @param {string} userId
+   * @param {string[]} profileIds
+   * @returns {Promise<object[]>}
+   */
+  async getMadeInvoices(userId, profileIds) {
+    const { data, error } = await supabaseAdmin
+      .from('invoices')
+      .select(MADE_COLUMNS)
+      .eq('user_id', userId)
+      .in('recurring_profile_id', profileIds)
+      .is('deleted_at', null)
+      .order('invoice_date', { ascending: false })
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data.map((inv) => withStatus(withBalance(inv)));
+  }
+}
+
+module.exports = new RecurringService();
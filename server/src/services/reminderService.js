@@ -0,0 +1,416 @@
+/**
+ * Reminder Service — Payment Follow-ups
+ *
+ * Works out which invoices need a payment reminder today and sends or
+ * logs them. Schedules and message wording live in utils/reminders.js.
+ *
+ * Responsibilities:
+ *   - Listing the reminders due today (Dashboard)
+ *   - Per-invoice schedule override, next reminder and history
+ *   - Logging reminders sent by hand (WhatsApp) and sending email / SMS
+ *     through the configured transport
+ *   - Sending due email / SMS reminders for every user (reminders job)
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const invoiceService = require('./invoiceService');
+const settingsService = require('./settingsService');
+const { getBusinessProfile } = require('../utils/businessProfile');
+const { createHttpError } = require('../utils/helpers');
+const { withBalance } = require('../utils/paymentStatus');
+const { OPEN_STATUSES, getToday } = require('../utils/invoiceStatus');
+const {
+  AUTOMATIC_CHANNELS,
+  resolveSchedule,
+  getSentOn,
+  hasFailedTooOften,
+  getRecipient,
+  getDueReminder,
+  getNextReminder,
+  getReminderKind,
+  buildReminderMessage,
+} = require('../utils/reminders');
+const { getTransport } = require('../transports');
+
+/** Invoice columns needed to schedule and word a reminder */
+const INVOICE_COLUMNS =
+  'id, user_id, invoice_number, document_type, status, customer_name, customer_phone, ' +
+  'customer_email, due_date, total_amount, amount_paid, amount_credited, reminder_schedule';
+
+class ReminderService {
+  /**
+   * Lists the reminders due today, oldest scheduled date first.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @returns {Promise<object[]>} `{ invoice, kind, scheduled_for, channel, language, message }`
+   */
+  async getDue(userId) {
+    const today = getToday();
+    const invoices = await this.getOpenInvoices({ userId });
+    if (invoices.length === 0) return [];
+
+    const [settings, business, lastSent] = await Promise.all([
+      settingsService.getReminders(userId),
+      getBusinessProfile(userId),
+      this.getLastSentDates(invoices.map((inv) => inv.id)),
+    ]);
+
+    return invoices
+      .map((invoice) => this.describeDue(invoice, settings, business, lastSent[invoice.id], today))
+      .filter(Boolean)
+      .sort((a, b) => a.scheduled_for.localeCompare(b.scheduled_for));
+  }
+
+  /**
+   * Returns an invoice's reminder schedule, the reminder due today, the
+   * next one, every reminder sent so far (newest first) and the message
+   * a reminder sent now would carry.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @returns {Promise<object>}
+   */
+  async getForInvoice(userId, invoiceId) {
+    const today = getToday();
+    const invoice = await invoiceService.getById(userId, invoiceId);
+
+    const [settings, business, history] = await Promise.all([
+      settingsService.getReminders(userId),
+      getBusinessProfile(userId),
+      this.getHistory(userId, invoiceId),
+    ]);
+
+    const schedule = resolveSchedule(invoice, settings);
+    const lastSentOn = getSentOn(history.find((r) => r.status === 'sent')?.sent_at);
+    const due = this.describeDue(invoice, settings, business, lastSentOn, today);
+    const kind = due?.kind || (invoice.due_date ? getReminderKind(invoice.due_date, today) : null);
+
+    return {
+      schedule,
+      uses_default: !invoice.reminder_schedule,
+      due,
+      next: getNextReminder(invoice, schedule, today),
+      message: kind && {
+        kind,
+        text: buildReminderMessage(invoice, business, settings.templates, kind, schedule.language),
+      },
+      history,
+    };
+  }
+
+  /**
+   * Overrides the reminder schedule of one invoice (null → user's defaults).
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @param {object|null} schedule - Validated schedule
+   * @returns {Promise<object>} Same shape as getForInvoice()
+   */
+  async updateSchedule(userId, invoiceId, schedule) {
+    await invoiceService.getById(userId, invoiceId);
+
+    const { error } = await supabaseAdmin
+      .from('invoices')
+      .update({ reminder_schedule: schedule })
+      .eq('id', invoiceId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return this.getForInvoice(userId, invoiceId);
+  }
+
+  /**
+   * Sends a reminder for an invoice now. Email and SMS go through the
+   * channel's transport; WhatsApp is sent by hand from the app, so it is
+   * only logged. Failed sends are logged too, then reported.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @param {object} options - Validated payload
+   * @param {string} options.channel - 'whatsapp', 'sms' or 'email'
+   * @param {string} [options.kind] - Defaults to the kind matching today's
+   *   position relative to the due date
+   * @param {string} [options.language] - Defaults to the schedule's language
+   * @returns {Promise<object>} The logged reminder
+   * @throws {Error} 400 if the invoice has nothing owing, no due date or no recipient
+   */
+  async send(userId, invoiceId, { channel, kind, language }) {
+    const invoice = await invoiceService.getById(userId, invoiceId);
+
+    if (invoice.document_type !== 'invoice' || !OPEN_STATUSES.includes(invoice.status)) {
+      throw createHttpError(400, 'Reminders can only be sent for unpaid invoices');
+    }
+    if (!invoice.due_date) {
+      throw createHttpError(400, 'Set a due date before sending reminders');
+    }
+
+    const [settings, business] = await Promise.all([
+      settingsService.getReminders(userId),
+      getBusinessProfile(userId),
+    ]);
+    const schedule = resolveSchedule(invoice, settings);
+
+    return this.deliver(invoice, {
+      channel,
+      kind: kind || getReminderKind(invoice.due_date, getToday()),
+      language: language || schedule.language,
+      settings,
+      business,
+    });
+  }
+
+  /**
+   * Sends every email / SMS reminder due today, for all users.
+   * Run by the reminders job; WhatsApp reminders wait on the Dashboard.
+   * A reminder with nowhere to go (no email or phone) is logged as
+   * skipped once, and an invoice whose reminder keeps failing is left
+   * until the next day after MAX_DAILY_FAILURES tries.
+   *
+   * @returns {Promise<number>} Number of reminders sent
+   */
+  async sendScheduled() {
+    const today = getToday();
+    const invoices = await this.getOpenInvoices({});
+    if (invoices.length === 0) return 0;
+
+    const invoiceIds = invoices.map((inv) => inv.id);
+    const [lastSent, failures] = await Promise.all([
+      this.getLastSentDates(invoiceIds, ['sent', 'skipped']),
+      this.getRecentFailures(invoiceIds),
+    ]);
+
+    const byUser = {};
+    invoices.forEach((inv) => {
+      (byUser[inv.user_id] = byUser[inv.user_id] || []).push(inv);
+    });
+
+    let sent = 0;
+    for (const [userId, userInvoices] of Object.entries(byUser)) {
+      const [settings, business] = await Promise.all([
+        settingsService.getReminders(userId),
+        getBusinessProfile(userId),
+      ]);
+
+      for (const invoice of userInvoices) {
+        const due = this.describeDue(invoice, settings, business, lastSent[invoice.id], today);
+        if (!due || !AUTOMATIC_CHANNELS.includes(due.channel)) continue;
+        if (hasFailedTooOften(failures[invoice.id] || [], today)) continue;
+
+        if (!getRecipient(invoice, due.channel)) {
+          await this.logReminder(invoice, {
+            kind: due.kind,
+            channel: due.channel,
+            language: due.language,
+            recipient: null,
+            message: due.message,
+            status: 'skipped',
+            error: due.channel === 'email' ? 'The customer has no email address' : 'The customer has no phone number',
+          });
+          continue;
+        }
+
+        try {
+          await this.deliver(invoice, { ...due, settings, business });
+          sent += 1;
+        } catch (error) {
+          // Logged as failed by deliver(); retried on the next run
+          console.error(`Reminder for ${invoice.invoice_number} failed:`, error.message);
+        }
+      }
+    }
+    return sent;
+  }
+
+  // ── Helpers ──
+
+  /**
+   * Open invoices with a due date, for one user or (for the job) all users.
+   *
+   * @param {object} scope
+   * @param {string} [scope.userId]
+   * @returns {Promise<object[]>}
+   */
+  async getOpenInvoices({ userId }) {
+    let query = supabaseAdmin
+      .from('invoices')
+      .select(INVOICE_COLUMNS)
+      .eq('document_type', 'invoice')
+      .in('status', OPEN_STATUSES)
+      .not('due_date', 'is', null)
+      .is('deleted_at', null);
+
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data.map(withBalance);
+  }
+
+  /**
+   * Date (YYYY-MM-DD) of the last reminder sent for each invoice.
+   *
+   * @param {string[]} invoiceIds
+   * @param {string[]} [statuses] - Outcomes that count (the job also
+   *   counts reminders it skipped, so each is skipped only once)
+   * @returns {Promise<Object<string, string>>}
+   */
+  async getLastSentDates(invoiceIds, statuses = ['sent']) {
+    const { data, error } = await supabaseAdmin
+      .from('invoice_reminders')
+      .select('invoice_id, sent_at')
+      .in('invoice_id', invoiceIds)
+      .in('status', statuses)
+      .order('sent_at', { ascending: false });
+
+    if (error) throw error;
+
+    const lastSent = {};
+    data.forEach((row) => {
+      if (!lastSent[row.invoice_id]) lastSent[row.invoice_id] = getSentOn(row.sent_at);
+    });
+    return lastSent;
+  }
+
+  /**
+   * When each invoice's reminders failed to send in the last two days
+   * (enough to cover today in the business time zone).
+   *
+   * @param {string[]} invoiceIds
+   * @returns {Promise<Object<string, string[]>>} sent_at values by invoice
+   */
+  async getRecentFailures(invoiceIds) {
+    const { data, error } = await supabaseAdmin
+      .from('invoice_reminders')
+      .select('invoice_id, sent_at')
+      .in('invoice_id', invoiceIds)
+      .eq('status', 'failed')
+      .gte('sent_at', new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString());
+
+    if (error) throw error;
+
+    const failures = {};
+    data.forEach((row) => {
+      (failures[row.invoice_id] = failures[row.invoice_id] || []).push(row.sent_at);
+    });
+    return failures;
+  }
+
+  /**
+   * Every reminder logged for an invoice, newest first.
+   *
+   * @param {string} userId
+   * @param {string} invoiceId
+   * @returns {Promise<object[]>}
+   */
+  async getHistory(userId, invoiceId) {
+    const { data, error } = await supabaseAdmin
+      .from('invoice_reminders')
+      .select('id, kind, channel, language, recipient, message, status, error, sent_at')
+      .eq('user_id', userId)
+      .eq('invoice_id', invoiceId)
+      .order('sent_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Describes the reminder due today for an invoice, or null.
+   *
+   * @param {object} invoice
+   * @param {object} settings - The user's reminder settings
+   * @param {object} business - Business profile
+   * @param {string|null} lastSentOn - YYYY-MM-DD
+   * @param {string} today - YYYY-MM-DD
+   * @returns {object|null}
+   */
+  describeDue(invoice, settings, business, lastSentOn, today) {
+    const schedule = resolveSchedule(invoice, settings);
+    const due = getDueReminder(invoice, schedule, lastSentOn || null, today);
+    if (!due) return null;
+
+    return {
+      invoice: {
+        id: invoice.id,
+        invoice_number: invoice.invoice_number,
+        customer_name: invoice.customer_name,
+        customer_phone: invoice.customer_phone,
+        customer_email: invoice.customer_email,
+        due_date: invoice.due_date,
+        balance_due: invoice.balance_due,
+        status: invoice.status,
+      },
+      kind: due.kind,
+      scheduled_for: due.date,
+      channel: schedule.channel,
+      language: schedule.language,
+      message: buildReminderMessage(invoice, business, settings.templates, due.kind, schedule.language),
+    };
+  }
+
+  /**
+   * Sends (or, for WhatsApp, records) one reminder and logs it.
+   *
+   * @param {object} invoice
+   * @param {object} options - `{ channel, kind, language, settings, business }`
+   * @returns {Promise<object>} The logged reminder
+   */
+  async deliver(invoice, { channel, kind, language, settings, business }) {
+    const message = buildReminderMessage(invoice, business, settings.templates, kind, language);
+    const recipient = getRecipient(invoice, channel);
+
+    if (!recipient) {
+      throw createHttpError(400, channel === 'email'
+        ? 'The customer has no email address'
+        : 'The customer has no phone number');
+    }
+
+    let failure = null;
+    if (channel !== 'whatsapp') {
+      try {
+        await getTransport(channel).send({
+          to: recipient,
+          subject: `${business.name} — ${invoice.invoice_number}`,
+          text: message,
+        });
+      } catch (error) {
+        failure = error;
+      }
+    }
+
+    const logged = await this.logReminder(invoice, {
+      kind,
+      channel,
+      language,
+      recipient,
+      message,
+      status: failure ? 'failed' : 'sent',
+      error: failure ? failure.message : null,
+    });
+
+    if (failure) {
+      throw createHttpError(502, `Could not send the reminder: ${failure.message}`);
+    }
+    return logged;
+  }
+
+  /**
+   * Logs a reminder sent, failed or skipped for an invoice.
+   *
+   * @param {object} invoice
+   * @param {object} entry - `{ kind, channel, language, recipient, message, status, error }`
+   * @returns {Promise<object>} The logged reminder
+   */
+  async logReminder(invoice, entry) {
+    const { data, error } = await supabaseAdmin
+      .from('invoice_reminders')
+      .insert({ user_id: invoice.user_id, invoice_id: invoice.id, ...entry })
+      .select('id, kind, channel, language, recipient, message, status, error, sent_at')
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,142 @@
+/**
+ * Report Service — Business Reports
+ *
+ * Loads the invoices, credit notes and payments a report needs; the reports themselves
+ * are worked out in utils/reports.js.
+ *
+ * Responsibilities:
+ *   - Revenue by month (invoiced and collected) for a date range
+ *   - GST collected for a date range, for filing returns
+ *   - Outstanding by customer, aged as of today
+ *   - Top customers and services for a date range
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { fetchAllRows } = require('../utils/helpers');
+const { getToday, OPEN_STATUSES } = require('../utils/invoiceStatus');
+const {
+  ISSUED_STATUSES,
+  resolveRange,
+  buildRevenueReport,
+  buildGstReport,
+  buildOutstandingReport,
+  buildTopReport,
+} = require('../utils/reports');
+
+/** Invoice columns the reports read */
+const REPORT_COLUMNS = [
+  'id', 'document_type', 'status', 'invoice_number', 'invoice_date', 'due_date',
+  'customer_id', 'customer_name', 'customer_gstin', 'business_gstin', 'place_of_supply',
+  'services', 'tax_enabled', 'tax_percentage', 'tax_amount', 'total_amount', 'amount_paid',
+  'amount_credited',
+].join(', ');
+
+class ReportService {
+  /**
+   * Invoiced, credited and collected amounts for every month of a range.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} query
+   * @param {string} [query.from] - First date (YYYY-MM-DD); defaults to the financial year start
+   * @param {string} [query.to]   - Last date (YYYY-MM-DD); defaults to today
+   * @returns {Promise<{ range: object, months: object[], totals: object }>}
+   */
+  async getRevenue(userId, { from, to } = {}) {
+    const range = resolveRange(from, to, getToday());
+
+    const invoices = await this.getIssuedInvoices(userId, range);
+
+    // Payments count only while their invoice is live, like the invoiced totals
+    const payments = await fetchAllRows(() =>
+      supabaseAdmin
+        .from('payments')
+        .select('id, amount, payment_date, invoices!inner(id)')
+        .eq('user_id', userId)
+        .gte('payment_date', range.from)
+        .lte('payment_date', range.to)
+        .is('invoices.deleted_at', null)
+        .neq('invoices.status', 'cancelled')
+        .order('id')
+    );
+
+    return { range, ...buildRevenueReport(invoices, payments, range) };
+  }
+
+  /**
+   * GST charged on invoices issued in a range, by rate and B2B / B2C.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} query - `{ from, to }` as for getRevenue
+   * @returns {Promise<object>} `{ range, rates, b2b, b2c, credit_notes, totals,
+   *   invoice_count, credit_note_count }`
+   */
+  async getGst(userId, { from, to } = {}) {
+    const range = resolveRange(from, to, getToday());
+    const invoices = await this.getIssuedInvoices(userId, range);
+    return { range, ...buildGstReport(invoices) };
+  }
+
+  /**
+   * What each customer owes today, aged by days past due.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @returns {Promise<object>} `{ as_of, customers, totals }`
+   */
+  async getOutstanding(userId) {
+    const today = getToday();
+
+    const data = await fetchAllRows(() =>
+      supabaseAdmin
+        .from('invoices')
+        .select(REPORT_COLUMNS)
+        .eq('user_id', userId)
+        .eq('document_type', 'invoice')
+        .in('status', OPEN_STATUSES)
+        .is('deleted_at', null)
+        .order('id')
+    );
+
+    return { as_of: today, ...buildOutstandingReport(data, today) };
+  }
+
+  /**
+   * Customers billed the most and services that brought in the most in a range.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} query - `{ from, to }` as for getRevenue
+   * @param {number} limit - Entries per list
+   * @returns {Promise<object>} `{ range, customers, services }`
+   */
+  async getTop(userId, { from, to } = {}, limit) {
+    const range = resolveRange(from, to, getToday());
+    const invoices = await this.getIssuedInvoices(userId, range);
+    return { range, ...buildTopReport(invoices, limit) };
+  }
+
+  // ── Helpers ──
+
+  /**
+   * Invoices issued (not drafts, estimates or cancelled) and credit notes
+   * (not cancelled) dated within a range.
+   *
+   * @param {string} userId
+   * @param {{ from: string, to: string }} range
+   * @returns {Promise<object[]>}
+   */
+  async getIssuedInvoices(userId, range) {
+    return fetchAllRows(() =>
+      supabaseAdmin
+        .from('invoices')
+        .select(REPORT_COLUMNS)
+        .eq('user_id', userId)
+        .in('document_type', ['invoice', 'credit_note'])
+        .in('status', ISSUED_STATUSES)
+        .is('deleted_at', null)
+        .gte('invoice_date', range.from)
+        .lte('invoice_date', range.to)
+        .order('id')
+    );
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,214 @@
+/**
+ * Settings Service — Per-user Preferences
+ *
+ * Responsibilities:
+ *   - Reading and saving document numbering preferences
+ *     (prefixes, padding, financial-year reset)
+ *   - Previewing the next invoice / estimate / credit note numbers
+ *   - Reading and saving the business profile printed on PDFs
+ *   - Reading and saving the default reminder schedule and templates
+ *   - Reading and saving how long documents stay in the Trash
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const {
+  PREFIX_FIELDS,
+  getFinancialYear,
+  formatDocumentNumber,
+  getNumberingSettings,
+} = require('../utils/invoiceNumber');
+const { DEFAULT_BUSINESS, getBusinessProfile } = require('../utils/businessProfile');
+const { DEFAULT_REMINDER_SETTINGS, mergeTemplates } = require('../utils/reminders');
+const { DEFAULT_RETENTION_DAYS } = require('../utils/trash');
+
+class SettingsService {
+  /**
+   * Returns the user's numbering preferences together with a preview
+   * of the numbers the next invoice, estimate and credit note will receive.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @returns {Promise<object>} Settings plus `next_numbers: { invoice, estimate, credit_note }`
+   */
+  async getNumbering(userId) {
+    const settings = await getNumberingSettings(userId);
+
+    const financialYear = settings.reset_yearly ? getFinancialYear(new Date()) : null;
+    const seriesFor = (type) => (financialYear ? `${type}:${financialYear}` : type);
+
+    const { data: sequences, error } = await supabaseAdmin
+      .from('document_sequences')
+      .select('series, last_value')
+      .eq('user_id', userId)
+      .in('series', Object.keys(PREFIX_FIELDS).map(seriesFor));
+
+    if (error) throw error;
+
+    const nextValue = (type) => {
+      const row = sequences.find((s) => s.series === seriesFor(type));
+      return (row ? row.last_value : 0) + 1;
+    };
+
+    return {
+      ...settings,
+      next_numbers: Object.fromEntries(
+        Object.entries(PREFIX_FIELDS).map(([type, field]) => [
+          type,
+          formatDocumentNumber(nextValue(type), {
+            prefix: settings[field],
+            padding: settings.padding,
+            financialYear,
+          }),
+        ])
+      ),
+    };
+  }
+
+  /**
+   * Saves the user's numbering preferences.
+   * Counters are kept per document type, so changing a prefix continues
+   * the existing count rather than starting again at 1.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} settings - Validated numbering settings
+   * @returns {Promise<object>} The saved settings with the next-number preview
+   */
+  async updateNumbering(userId, settings) {
+    const { error } = await supabaseAdmin
+      .from('numbering_settings')
+      .upsert({
+        user_id: userId,
+        invoice_prefix: settings.invoice_prefix.toUpperCase(),
+        estimate_prefix: settings.estimate_prefix.toUpperCase(),
+        credit_note_prefix: settings.credit_note_prefix.toUpperCase(),
+        padding: settings.padding,
+        reset_yearly: settings.reset_yearly,
+        updated_at: new Date().toISOString(),
+      });
+
+    if (error) throw error;
+    return this.getNumbering(userId);
+  }
+
+  /**
+   * Returns the user's business profile (defaults until one is saved).
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @returns {Promise<object>} Business profile
+   */
+  async getBusiness(userId) {
+    return getBusinessProfile(userId);
+  }
+
+  /**
+   * Saves the user's business profile. Empty strings are stored as null
+   * so cleared fields disappear from the PDF.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} profile - Validated business profile
+   * @returns {Promise<object>} The saved profile
+   */
+  async updateBusiness(userId, profile) {
+    const row = Object.fromEntries(
+      Object.keys(DEFAULT_BUSINESS).map((key) => [key, profile[key] || null])
+    );
+
+    const { error } = await supabaseAdmin
+      .from('business_profiles')
+      .upsert({
+        ...row,
+        user_id: userId,
+        updated_at: new Date().toISOString(),
+      });
+
+    if (error) throw error;
+    return this.getBusiness(userId);
+  }
+
+  /**
+   * Returns the user's default reminder schedule, channel, language and
+   * templates (built-in wording for any template not customised).
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @returns {Promise<object>} Reminder settings
+   */
+  async getReminders(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('reminder_settings')
+      .select('days_before, on_due_date, repeat_after_days, channel, language, templates')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return {
+      ...DEFAULT_REMINDER_SETTINGS,
+      ...data,
+      templates: mergeTemplates(data?.templates),
+    };
+  }
+
+  /**
+   * Saves the user's reminder settings. Templates left blank go back to
+   * the built-in wording.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} settings - Validated reminder settings
+   * @returns {Promise<object>} The saved settings
+   */
+  async updateReminders(userId, settings) {
+    const { error } = await supabaseAdmin
+      .from('reminder_settings')
+      .upsert({
+        user_id: userId,
+        days_before: settings.days_before,
+        on_due_date: settings.on_due_date,
+        repeat_after_days: settings.repeat_after_days,
+        channel: settings.channel,
+        language: settings.language,
+        templates: settings.templates || null,
+        updated_at: new Date().toISOString(),
+      });
+
+    if (error) throw error;
+    return this.getReminders(userId);
+  }
+
+  /**
+   * Returns how many days documents stay in the user's Trash.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @returns {Promise<{ retention_days: number }>}
+   */
+  async getTrash(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('trash_settings')
+      .select('retention_days')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return { retention_days: data?.retention_days ?? DEFAULT_RETENTION_DAYS };
+  }
+
+  /**
+   * Saves how many days documents stay in the user's Trash. Documents
+   * already there are purged on the new schedule.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {object} settings - Validated `{ retention_days }`
+   * @returns {Promise<{ retention_days: number }>} The saved settings
+   */
+  async updateTrash(userId, settings) {
+    const { error } = await supabaseAdmin
+      .from('trash_settings')
+      .upsert({
+        user_id: userId,
+        retention_days: settings.retention_days,
+        updated_at: new Date().toISOString(),
+      });
+
+    if (error) throw error;
+    return this.getTrash(userId);
+  }
+}
+
+module.exports = new SettingsService();
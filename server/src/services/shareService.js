@@ -0,0 +1,164 @@
+/**
+ * Share Service — Public Share Links
+ *
+ * Each document can have one share link: a random token that opens a
+ * read-only view of it without logging in (see routes/publicRoutes.js).
+ *
+ * Responsibilities:
+ *   - Creating (or replacing) a document's link, optionally expiring
+ *     (recorded in the document's history)
+ *   - Revoking a link
+ *   - Resolving a token to its document for the public view, and
+ *     counting views
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const invoiceService = require('./invoiceService');
+const invoiceHistoryService = require('./invoiceHistoryService');
+const settingsService = require('./settingsService');
+const { createHttpError } = require('../utils/helpers');
+const {
+  generateShareToken,
+  isShareToken,
+  getShareExpiry,
+  isShareExpired,
+} = require('../utils/shareLinks');
+
+/** Columns returned to the document's owner */
+const LINK_COLUMNS = 'token, expires_at, first_viewed_at, last_viewed_at, view_count, created_at';
+
+class ShareService {
+  /**
+   * Returns a document's share link, or null when it has none.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @returns {Promise<object|null>} Link with an `expired` flag
+   */
+  async get(userId, invoiceId) {
+    await invoiceService.getById(userId, invoiceId);
+
+    const { data, error } = await supabaseAdmin
+      .from('invoice_share_links')
+      .select(LINK_COLUMNS)
+      .eq('user_id', userId)
+      .eq('invoice_id', invoiceId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data && { ...data, expired: isShareExpired(data) };
+  }
+
+  /**
+   * Creates a share link for a document, replacing any existing one
+   * (the old token stops working and the view count starts again).
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @param {object} options - Validated payload
+   * @param {number|null} [options.expires_in_days] - null → never expires
+   * @returns {Promise<object>} The new link
+   */
+  async create(userId, invoiceId, { expires_in_days: expiresInDays = null } = {}) {
+    const invoice = await invoiceService.getById(userId, invoiceId);
+
+    const { data, error } = await supabaseAdmin
+      .from('invoice_share_links')
+      .upsert(
+        {
+          user_id: userId,
+          invoice_id: invoiceId,
+          token: generateShareToken(),
+          expires_at: getShareExpiry(expiresInDays),
+          first_viewed_at: null,
+          last_viewed_at: null,
+          view_count: 0,
+          created_at: new Date().toISOString(),
+        },
+        { onConflict: 'invoice_id' }
+      )
+      .select(LINK_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    await invoiceHistoryService.recordEvent(invoice, 'shared', { expires_at: data.expires_at });
+    return { ...data, expired: false };
+  }
+
+  /**
+   * Revokes a document's share link. Revoking a document with no link
+   * is not an error.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @returns {Promise<void>}
+   */
+  async revoke(userId, invoiceId) {
+    await invoiceService.getById(userId, invoiceId);
+
+    const { error } = await supabaseAdmin
+      .from('invoice_share_links')
+      .delete()
+      .eq('user_id', userId)
+      .eq('invoice_id', invoiceId);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Looks up the document behind a token for the public view.
+   *
+   * @param {string} token - Share token from the URL
+   * @param {object} [options]
+   * @param {boolean} [options.countView=false] - Record this as a view
+   * @returns {Promise<{ invoice: object, business: object }>}
+   * @throws {Error} 404 for an unknown or revoked token, 410 once expired
+   */
+  async resolve(token, { countView = false } = {}) {
+    if (!isShareToken(token)) throw createHttpError(404, 'Share link not found');
+
+    const { data: link, error } = await supabaseAdmin
+      .from('invoice_share_links')
+      .select('id, user_id, invoice_id, expires_at, first_viewed_at, view_count')
+      .eq('token', token)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!link) throw createHttpError(404, 'Share link not found');
+    if (isShareExpired(link)) throw createHttpError(410, 'Share link has expired');
+
+    const [invoice, business] = await Promise.all([
+      invoiceService.getWithLinks(link.user_id, link.invoice_id),
+      settingsService.getBusiness(link.user_id),
+    ]);
+
+    if (countView) await this.recordView(link);
+
+    return { invoice, business };
+  }
+
+  /**
+   * Counts a view of a link (first and last viewed, total views).
+   *
+   * @param {object} link - Share link row
+   * @returns {Promise<void>}
+   */
+  async recordView(link) {
+    const now = new Date().toISOString();
+
+    const { error } = await supabaseAdmin
+      .from('invoice_share_links')
+      .update({
+        first_viewed_at: link.first_viewed_at || now,
+        last_viewed_at: now,
+        view_count: link.view_count + 1,
+      })
+      .eq('id', link.id);
+
+    // A missed count must never stop the customer seeing the document
+    if (error) console.error('Share view tracking failed:', error.message);
+  }
+}
+
+module.exports = new ShareService();
@@ -0,0 +1,246 @@
+/**
+ * Trash Service — Deleted Documents
+ *
+ * Documents deleted by the user are moved to the Trash by
+ * invoiceService.delete (invoices.deleted_at is set). From there they
+ * can be restored, or purged for good; the purge job removes those that
+ * have been there for the user's retention period. Rules live in
+ * utils/trash.js.
+ *
+ * Responsibilities:
+ *   - Listing the Trash, with when each document will be purged
+ *   - Restoring a document (recorded in its history)
+ *   - Purging one document, or emptying the Trash
+ *   - Purging documents past their retention period (all users)
+ *
+ * Invoices a recurring profile copies are kept until the profile is
+ * deleted.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const invoiceService = require('./invoiceService');
+const invoiceHistoryService = require('./invoiceHistoryService');
+const settingsService = require('./settingsService');
+const { createHttpError } = require('../utils/helpers');
+const { withBalance } = require('../utils/paymentStatus');
+const { DEFAULT_RETENTION_DAYS, getPurgeDate, isPurgeDue } = require('../utils/trash');
+
+/** Columns shown in the Trash */
+const TRASH_COLUMNS = 'id, invoice_number, document_type, status, customer_name, total_amount, invoice_date, deleted_at';
+
+class TrashService {
+  /**
+   * Lists the documents in the Trash, most recently deleted first.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @returns {Promise<{ documents: object[], retention_days: number }>} Each
+   *   document carries `purge_at`
+   */
+  async getAll(userId) {
+    const [{ data, error }, { retention_days: retentionDays }] = await Promise.all([
+      supabaseAdmin
+        .from('invoices')
+        .select(TRASH_COLUMNS)
+        .eq('user_id', userId)
+        .not('deleted_at', 'is', null)
+        .order('deleted_at', { ascending: false }),
+      settingsService.getTrash(userId),
+    ]);
+
+    if (error) throw error;
+
+    return {
+      documents: data.map((doc) => ({ ...doc, purge_at: getPurgeDate(doc.deleted_at, retentionDays) })),
+      retention_days: retentionDays,
+    };
+  }
+
+  /**
+   * Retrieves a document in the Trash.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @returns {Promise<object>}
+   * @throws {Error} 404 when the document is not in the Trash
+   */
+  async getById(userId, invoiceId) {
+    const { data, error } = await supabaseAdmin
+      .from('invoices')
+      .select('*')
+      .eq('id', invoiceId)
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) throw createHttpError(404, 'Document not found in the Trash');
+    return data;
+  }
+
+  /**
+   * Takes a document out of the Trash, back where it was.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @returns {Promise<object>} The restored document (with `balance_due`)
+   * @throws {Error} 409 when its estimate has been converted again since
+   */
+  async restore(userId, invoiceId) {
+    const doc = await this.getById(userId, invoiceId);
+
+    if (doc.source_estimate_id) {
+      const converted = await invoiceService.findConvertedInvoice(userId, doc.source_estimate_id);
+      if (converted) {
+        throw createHttpError(
+          409,
+          `Its estimate has since been converted to ${converted.invoice_number}. Delete that invoice first.`
+        );
+      }
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('invoices')
+      .update({ deleted_at: null })
+      .eq('id', invoiceId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await invoiceHistoryService.recordEvent(data, 'restored');
+    return withBalance(data);
+  }
+
+  /**
+   * Removes a document in the Trash for good, with its payments,
+   * reminders, share link and history. Its number is not reused.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @param {string} invoiceId - Invoice UUID
+   * @returns {Promise<boolean>} true on success
+   * @throws {Error} 409 when a recurring profile copies the invoice
+   */
+  async purge(userId, invoiceId) {
+    await this.getById(userId, invoiceId);
+
+    const profiles = await this.getRecurringProfiles([invoiceId]);
+    if (profiles[invoiceId]) {
+      throw createHttpError(
+        409,
+        `The recurring profile "${profiles[invoiceId]}" copies this invoice. Delete the profile first.`
+      );
+    }
+
+    const { error } = await supabaseAdmin
+      .from('invoices')
+      .delete()
+      .eq('id', invoiceId)
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null);
+
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Removes every document in the user's Trash for good, except
+   * invoices a recurring profile copies.
+   *
+   * @param {string} userId - Authenticated user's UUID
+   * @returns {Promise<{ count: number, kept: string[] }>} Number of
+   *   documents removed and the ids of those kept
+   */
+  async empty(userId) {
+    const { data: trashed, error } = await supabaseAdmin
+      .from('invoices')
+      .select('id')
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null);
+
+    if (error) throw error;
+
+    const profiles = await this.getRecurringProfiles(trashed.map((doc) => doc.id));
+    const kept = trashed.filter((doc) => profiles[doc.id]).map((doc) => doc.id);
+    const dueIds = trashed.filter((doc) => !profiles[doc.id]).map((doc) => doc.id);
+    if (dueIds.length > 0) await this.deleteDocuments(dueIds);
+
+    return { count: dueIds.length, kept };
+  }
+
+  /**
+   * Removes documents (of any user) that have been in the Trash for the
+   * user's retention period. Run by the trash job.
+   *
+   * @param {Date} [now]
+   * @returns {Promise<number>} Number of documents removed
+   */
+  async purgeExpired(now = new Date()) {
+    const { data: trashed, error } = await supabaseAdmin
+      .from('invoices')
+      .select('id, user_id, deleted_at')
+      .not('deleted_at', 'is', null);
+
+    if (error) throw error;
+    if (trashed.length === 0) return 0;
+
+    const { data: settings, error: settingsError } = await supabaseAdmin
+      .from('trash_settings')
+      .select('user_id, retention_days')
+      .in('user_id', [...new Set(trashed.map((doc) => doc.user_id))]);
+
+    if (settingsError) throw settingsError;
+
+    const retention = Object.fromEntries(settings.map((s) => [s.user_id, s.retention_days]));
+    const expired = trashed
+      .filter((doc) => isPurgeDue(doc.deleted_at, retention[doc.user_id] ?? DEFAULT_RETENTION_DAYS, now))
+      .map((doc) => doc.id);
+    if (expired.length === 0) return 0;
+
+    const profiles = await this.getRecurringProfiles(expired);
+    const dueIds = expired.filter((id) => !profiles[id]);
+    if (dueIds.length === 0) return 0;
+
+    await this.deleteDocuments(dueIds);
+    return dueIds.length;
+  }
+
+  // ── Helpers ──
+
+  /**
+   * Names of the recurring profiles copying a set of invoices, by
+   * invoice id (such invoices cannot be purged).
+   *
+   * @param {string[]} invoiceIds
+   * @returns {Promise<Object<string, string>>}
+   */
+  async getRecurringProfiles(invoiceIds) {
+    if (invoiceIds.length === 0) return {};
+
+    const { data, error } = await supabaseAdmin
+      .from('recurring_profiles')
+      .select('source_invoice_id, name')
+      .in('source_invoice_id', invoiceIds);
+
+    if (error) throw error;
+    return Object.fromEntries(data.map((p) => [p.source_invoice_id, p.name]));
+  }
+
+  /**
+   * Deletes documents for good.
+   *
+   * @param {string[]} invoiceIds
+   * @returns {Promise<void>}
+   */
+  async deleteDocuments(invoiceIds) {
+    const { error } = await supabaseAdmin
+      .from('invoices')
+      .delete()
+      .in('id', invoiceIds)
+      .not('deleted_at', 'is', null);
+
+    if (error) throw error;
+  }
+}
+
+module.exports = new TrashService();
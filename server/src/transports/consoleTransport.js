@@ -0,0 +1,19 @@
+/**
+ * Console Transport
+ *
+ * Local stand-in for an email / SMS provider: prints the message
+ * instead of sending it.
+ */
+
+module.exports = {
+  name: 'console',
+
+  /**
+   * @param {{ to: string, subject?: string, text: string }} message
+   * @returns {Promise<{ id: null }>}
+   */
+  async send({ to, subject, text }) {
+    console.log(`✉️  [console transport] to ${to}${subject ? ` — ${subject}` : ''}\n${text}`);
+    return { id: null };
+  },
+};
@@ -0,0 +1,59 @@
+/**
+ * Message Transports — Email & SMS
+ *
+ * Reminders are handed to a transport per channel. Which transport a
+ * channel uses is picked from the environment, so a real provider can
+ * be plugged in without touching the reminder code:
+ *
+ *   EMAIL_TRANSPORT=console | webhook   (EMAIL_WEBHOOK_URL for webhook)
+ *   SMS_TRANSPORT=console   | webhook   (SMS_WEBHOOK_URL for webhook)
+ *
+ * 'console' (the default) only logs the message — the local stub.
+ * Code can also register its own transport with registerTransport().
+ *
+ * A transport is `{ name, send({ to, subject, text }) → Promise<{ id? }> }`.
+ */
+
+const consoleTransport = require('./consoleTransport');
+const { createWebhookTransport } = require('./webhookTransport');
+
+const registered = {};
+
+/**
+ * Builds the transport configured for a channel from the environment.
+ * @param {'email'|'sms'} channel
+ * @returns {object} Transport
+ */
+function fromEnv(channel) {
+  const prefix = channel.toUpperCase();
+  const kind = process.env[`${prefix}_TRANSPORT`] || 'console';
+
+  if (kind === 'webhook') {
+    return createWebhookTransport(channel, process.env[`${prefix}_WEBHOOK_URL`]);
+  }
+  return consoleTransport;
+}
+
+/**
+ * Returns the transport for a channel.
+ * @param {'email'|'sms'} channel
+ * @returns {object} Transport
+ */
+function getTransport(channel) {
+  return registered[channel] || fromEnv(channel);
+}
+
+/**
+ * Replaces the transport used for a channel (e.g. a provider SDK, or a
+ * fake in tests).
+ * @param {'email'|'sms'} channel
+ * @param {object} transport - `{ name, send }`
+ */
+function registerTransport(channel, transport) {
+  registered[channel] = transport;
+}
+
+module.exports = {
+  getTransport,
+  registerTransport,
+};
@@ -0,0 +1,39 @@
+/**
+ * Webhook Transport
+ *
+ * Posts each message as JSON to a URL — the glue for providers reached
+ * through an automation service or a small relay of our own.
+ * Body: `{ channel, to, subject, text }`; a JSON `{ id }` reply is kept.
+ */
+
+/**
+ * @param {'email'|'sms'} channel
+ * @param {string} url - Endpoint receiving the messages
+ * @returns {object} Transport
+ */
+function createWebhookTransport(channel, url) {
+  return {
+    name: 'webhook',
+
+    async send({ to, subject, text }) {
+      if (!url) {
+        throw new Error(`${channel.toUpperCase()}_WEBHOOK_URL is not set`);
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ channel, to, subject, text }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+      }
+
+      const body = await response.json().catch(() => ({}));
+      return { id: body.id || null };
+    },
+  };
+}
+
+module.exports = { createWebhookTransport };
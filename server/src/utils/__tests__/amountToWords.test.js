@@ -0,0 +1,54 @@
+/**
+ * Tests for amounts in words.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { amountToWords, amountToWordsTamil } = require('../amountToWords');
+
+describe('amountToWords', () => {
+  it('uses the Indian numbering system', () => {
+    assert.equal(amountToWords(53100), 'Fifty Three Thousand One Hundred Rupees');
+    assert.equal(amountToWords(250000), 'Two Lakh Fifty Thousand Rupees');
+    assert.equal(amountToWords(0), 'Zero Rupees');
+  });
+
+  it('adds the paise', () => {
+    assert.equal(amountToWords(47200.5), 'Forty Seven Thousand Two Hundred Rupees and Fifty Paise');
+  });
+});
+
+describe('amountToWordsTamil', () => {
+  it('writes units, tens and hundreds', () => {
+    assert.equal(amountToWordsTamil(0), 'பூஜ்ஜியம் ரூபாய்');
+    assert.equal(amountToWordsTamil(7), 'ஏழு ரூபாய்');
+    assert.equal(amountToWordsTamil(45), 'நாற்பத்து ஐந்து ரூபாய்');
+    assert.equal(amountToWordsTamil(100), 'நூறு ரூபாய்');
+    assert.equal(amountToWordsTamil(350), 'முந்நூற்று ஐம்பது ரூபாய்');
+  });
+
+  it('joins the thousands to the number before them', () => {
+    assert.equal(amountToWordsTamil(1000), 'ஆயிரம் ரூபாய்');
+    assert.equal(amountToWordsTamil(2000), 'இரண்டாயிரம் ரூபாய்');
+    assert.equal(amountToWordsTamil(10000), 'பத்தாயிரம் ரூபாய்');
+    assert.equal(amountToWordsTamil(11000), 'பதினோராயிரம் ரூபாய்');
+    assert.equal(amountToWordsTamil(20000), 'இருபதாயிரம் ரூபாய்');
+    assert.equal(amountToWordsTamil(21000), 'இருபத்து ஓராயிரம் ரூபாய்');
+  });
+
+  it('uses the joining form when more follows', () => {
+    assert.equal(amountToWordsTamil(1500), 'ஆயிரத்து ஐந்நூறு ரூபாய்');
+    assert.equal(amountToWordsTamil(53100), 'ஐம்பத்து மூவாயிரத்து நூறு ரூபாய்');
+    assert.equal(amountToWordsTamil(47200), 'நாற்பத்து ஏழாயிரத்து இருநூறு ரூபாய்');
+  });
+
+  it('writes lakhs and crores', () => {
+    assert.equal(amountToWordsTamil(100000), 'ஒரு இலட்சம் ரூபாய்');
+    assert.equal(amountToWordsTamil(250000), 'இரண்டு இலட்சத்து ஐம்பதாயிரம் ரூபாய்');
+    assert.equal(amountToWordsTamil(12000000), 'ஒரு கோடியே இருபது இலட்சம் ரூபாய்');
+  });
+
+  it('adds the paise', () => {
+    assert.equal(amountToWordsTamil(2000.75), 'இரண்டாயிரம் ரூபாய் எழுபத்து ஐந்து பைசா');
+  });
+});
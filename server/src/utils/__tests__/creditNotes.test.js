@@ -0,0 +1,95 @@
+/**
+ * Tests for credit notes and credit-aware balances.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  assertCreditable,
+  getCreditedAmount,
+  getCreditableLines,
+  buildCreditNote,
+} = require('../creditNotes');
+const { getBalanceDue, derivePaymentStatus } = require('../paymentStatus');
+
+// 2 × 1000 + 5 × 100, 18% GST, ₹36 discount, rounded: 2500 + 450 − 36 = 2914
+const invoice = {
+  document_type: 'invoice',
+  status: 'sent',
+  tax_enabled: true,
+  tax_percentage: 18,
+  business_gstin: '33AAAAA0000A1Z5',
+  place_of_supply: '33',
+  services: [
+    { description: 'Wardrobe', quantity: 2, rate: 1000, amount: 2000, tax_rate: 18 },
+    { description: 'Handles', quantity: 5, rate: 100, amount: 500, tax_rate: 18 },
+  ],
+  subtotal: 2500,
+  tax_amount: 450,
+  discount_type: 'flat',
+  discount_value: 36,
+  discount_amount: 36,
+  round_off: true,
+  round_off_amount: 0,
+  total_amount: 2914,
+  amount_paid: 0,
+};
+
+describe('assertCreditable', () => {
+  it('only allows issued invoices', () => {
+    assert.doesNotThrow(() => assertCreditable(invoice));
+    assert.throws(() => assertCreditable({ ...invoice, document_type: 'estimate' }), { status: 400 });
+    assert.throws(() => assertCreditable({ ...invoice, status: 'draft' }), /edited instead/);
+    assert.throws(() => assertCreditable({ ...invoice, status: 'cancelled' }), { status: 400 });
+  });
+});
+
+describe('buildCreditNote', () => {
+  it('credits part of a line at its rate, GST and share of the discount', () => {
+    const note = buildCreditNote(invoice, [], [{ line: 1, quantity: 2 }]);
+
+    assert.deepEqual(note.services.map((l) => [l.description, l.quantity, l.amount, l.source_line]), [
+      ['Handles', 2, 200, 1],
+    ]);
+    assert.equal(note.subtotal, 200);
+    assert.equal(note.tax_amount, 36);
+    assert.equal(note.discount_amount, 2.88);
+    assert.equal(note.total_amount, 233.12);
+  });
+
+  it('credits everything left, adding up to the invoice total', () => {
+    const first = { status: 'sent', total_amount: 233.12, services: [{ source_line: 1, quantity: 2 }] };
+    const note = buildCreditNote(invoice, [first], null);
+
+    assert.deepEqual(note.services.map((l) => [l.source_line, l.quantity]), [[0, 2], [1, 3]]);
+    assert.equal(note.total_amount, 2680.88);
+    assert.equal(getCreditedAmount([first, { status: 'sent', total_amount: note.total_amount }]), 2914);
+  });
+
+  it('refuses more than is left on a line, and an invoice already credited', () => {
+    const first = { status: 'sent', total_amount: 2914, services: [{ source_line: 0, quantity: 2 }, { source_line: 1, quantity: 5 }] };
+    assert.throws(() => buildCreditNote(invoice, [], [{ line: 0, quantity: 3 }]), /Only 2 of line 1/);
+    assert.throws(() => buildCreditNote(invoice, [], [{ line: 4, quantity: 1 }]), { status: 400 });
+    assert.throws(() => buildCreditNote(invoice, [first], null), { status: 409 });
+  });
+
+  it('gives lines back when a credit note is cancelled', () => {
+    const cancelled = { status: 'cancelled', total_amount: 2914, services: [{ source_line: 0, quantity: 2 }] };
+    assert.equal(getCreditableLines(invoice, [cancelled])[0].remaining, 2);
+    assert.equal(getCreditedAmount([cancelled]), 0);
+  });
+});
+
+describe('credit-aware balance and status', () => {
+  it('takes credits off the balance', () => {
+    assert.equal(getBalanceDue({ ...invoice, amount_paid: 1000, amount_credited: 233.12 }), 1680.88);
+    assert.equal(getBalanceDue({ document_type: 'credit_note', total_amount: 500 }), 0);
+  });
+
+  it('settles an invoice with payments and credits', () => {
+    assert.equal(derivePaymentStatus(2914, 0, 'sent', 2914), 'credited');
+    assert.equal(derivePaymentStatus(2914, 2000, 'partially_paid', 914), 'paid');
+    assert.equal(derivePaymentStatus(2914, 0, 'overdue', 233.12), 'overdue');
+    assert.equal(derivePaymentStatus(2914, 0, 'credited', 0), 'sent');
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Tests for customers' answers to shared estimates.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_SIGNATURE_LENGTH, canRespond, isSignatureImage } = require('../estimateResponses');
+
+describe('canRespond', () => {
+  it('allows answering a draft or sent estimate', () => {
+    assert.equal(canRespond({ document_type: 'estimate', status: 'sent' }), true);
+    assert.equal(canRespond({ document_type: 'estimate', status: 'draft' }), true);
+  });
+
+  it('refuses invoices and estimates already answered or cancelled', () => {
+    assert.equal(canRespond({ document_type: 'invoice', status: 'sent' }), false);
+    assert.equal(canRespond({ document_type: 'estimate', status: 'accepted' }), false);
+    assert.equal(canRespond({ document_type: 'estimate', status: 'rejected' }), false);
+    assert.equal(canRespond({ document_type: 'estimate', status: 'cancelled' }), false);
+  });
+});
+
+describe('isSignatureImage', () => {
+  it('accepts a PNG data URL', () => {
+    assert.equal(isSignatureImage('data:image/png;base64,iVBORw0KGgo='), true);
+  });
+
+  it('rejects other images, markup and oversized signatures', () => {
+    assert.equal(isSignatureImage('data:image/svg+xml;base64,PHN2Zz4='), false);
+    assert.equal(isSignatureImage('data:image/png;base64,"><script>'), false);
+    assert.equal(isSignatureImage(`data:image/png;base64,${'A'.repeat(MAX_SIGNATURE_LENGTH)}`), false);
+    assert.equal(isSignatureImage(null), false);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for expenses and job profit.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_RECEIPT_BYTES,
+  parseReceiptImage,
+  getInvoiceRevenue,
+  summarizeExpenses,
+  getJobProfit,
+  getMonthRange,
+} = require('../expenses');
+
+describe('parseReceiptImage', () => {
+  it('decodes a JPEG data URL', () => {
+    const receipt = parseReceiptImage(`data:image/jpeg;base64,${Buffer.from('photo').toString('base64')}`);
+    assert.equal(receipt.contentType, 'image/jpeg');
+    assert.equal(receipt.extension, 'jpg');
+    assert.equal(receipt.buffer.toString(), 'photo');
+  });
+
+  it('rejects other types, junk and oversized photos', () => {
+    assert.equal(parseReceiptImage('data:image/gif;base64,R0lGODlh'), null);
+    assert.equal(parseReceiptImage('data:text/html;base64,PGI+'), null);
+    assert.equal(parseReceiptImage('not a data url'), null);
+    const huge = Buffer.alloc(MAX_RECEIPT_BYTES + 1).toString('base64');
+    assert.equal(parseReceiptImage(`data:image/png;base64,${huge}`), null);
+  });
+});
+
+describe('getInvoiceRevenue', () => {
+  it('leaves GST out', () => {
+    assert.equal(getInvoiceRevenue({ total_amount: 11800, tax_amount: 1800, status: 'paid' }), 10000);
+  });
+
+  it('is nothing once cancelled', () => {
+    assert.equal(getInvoiceRevenue({ total_amount: 5000, tax_amount: 0, status: 'cancelled' }), 0);
+  });
+});
+
+describe('getJobProfit', () => {
+  const invoice = { total_amount: 59000, tax_amount: 9000, status: 'sent' };
+  const expenses = [
+    { category: 'materials', amount: 18000.5 },
+    { category: 'materials', amount: 4000 },
+    { category: 'labour', amount: 12000 },
+  ];
+
+  it('totals expenses per category', () => {
+    const summary = summarizeExpenses(expenses);
+    assert.equal(summary.total, 34000.5);
+    assert.equal(summary.by_category.materials, 22000.5);
+    assert.equal(summary.by_category.transport, 0);
+  });
+
+  it('works out profit and margin on revenue', () => {
+    const job = getJobProfit(invoice, expenses);
+    assert.equal(job.revenue, 50000);
+    assert.equal(job.profit, 15999.5);
+    assert.equal(job.margin, 32);
+  });
+
+  it('has no margin without revenue', () => {
+    const job = getJobProfit({ ...invoice, status: 'cancelled' }, expenses);
+    assert.equal(job.profit, -34000.5);
+    assert.equal(job.margin, null);
+  });
+
+  it('takes back what credit notes credit, unless cancelled', () => {
+    const creditNotes = [
+      { total_amount: 11800, tax_amount: 1800, status: 'sent' },
+      { total_amount: 5900, tax_amount: 900, status: 'cancelled' },
+    ];
+    const job = getJobProfit(invoice, expenses, creditNotes);
+    assert.equal(job.revenue, 40000);
+    assert.equal(job.profit, 5999.5);
+  });
+});
+
+describe('getMonthRange', () => {
+  it('runs from the first of the month up to the first of the next', () => {
+    assert.deepEqual(getMonthRange('2026-03-18'), { from: '2026-03-01', before: '2026-04-01' });
+    assert.deepEqual(getMonthRange('2026-12-31'), { from: '2026-12-01', before: '2027-01-01' });
+  });
+});
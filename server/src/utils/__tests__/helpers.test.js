@@ -0,0 +1,66 @@
+/**
+ * Tests for the shared helpers.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePositiveInt, toSearchPattern, randomStorageKey, fetchAllRows } = require('../helpers');
+
+describe('parsePositiveInt', () => {
+  it('falls back for anything but a positive integer', () => {
+    assert.equal(parsePositiveInt('3', 1), 3);
+    assert.equal(parsePositiveInt('0', 1), 1);
+    assert.equal(parsePositiveInt('abc', 20), 20);
+    assert.equal(parsePositiveInt(undefined, 20), 20);
+  });
+});
+
+describe('toSearchPattern', () => {
+  it('wraps the term for ilike', () => {
+    assert.equal(toSearchPattern('  CI-042 '), '%CI-042%');
+  });
+
+  it('drops characters that are filter syntax', () => {
+    assert.equal(toSearchPattern('Kumar, Ravi (site 2)'), '%Kumar Ravi site 2%');
+    assert.equal(toSearchPattern('"\\\\'), '');
+    assert.equal(toSearchPattern(undefined), '');
+  });
+});
+
+describe('randomStorageKey', () => {
+  it('is 32 hex characters and different every time', () => {
+    const key = randomStorageKey();
+    assert.match(key, /^[0-9a-f]{32}$/);
+    assert.notEqual(key, randomStorageKey());
+  });
+});
+
+describe('fetchAllRows', () => {
+  /** A query over `total` rows that records the ranges asked for */
+  const fakeQuery = (total, ranges) => () => ({
+    range: async (from, to) => {
+      ranges.push([from, to]);
+      const data = [];
+      for (let i = from; i <= Math.min(to, total - 1); i += 1) data.push({ id: i });
+      return { data, error: null };
+    },
+  });
+
+  it('reads page after page until a short one', async () => {
+    const ranges = [];
+    const rows = await fetchAllRows(fakeQuery(5, ranges), 2);
+    assert.deepEqual(rows.map((r) => r.id), [0, 1, 2, 3, 4]);
+    assert.deepEqual(ranges, [[0, 1], [2, 3], [4, 5]]);
+  });
+
+  it('asks once more when the rows fill the last page exactly', async () => {
+    const ranges = [];
+    assert.equal((await fetchAllRows(fakeQuery(4, ranges), 2)).length, 4);
+    assert.equal(ranges.length, 3);
+  });
+
+  it('throws the query error', async () => {
+    const failing = () => ({ range: async () => ({ data: null, error: new Error('boom') }) });
+    await assert.rejects(fetchAllRows(failing), /boom/);
+  });
+});
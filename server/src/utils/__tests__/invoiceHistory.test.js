@@ -0,0 +1,86 @@
+/**
+ * Tests for document history events and versions.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SYSTEM_ACTOR,
+  toSnapshot,
+  diffSnapshots,
+  buildChangeEvent,
+  numberVersions,
+} = require('../invoiceHistory');
+
+const invoice = {
+  id: 'i1',
+  user_id: 'u1',
+  invoice_number: 'CI-042',
+  status: 'draft',
+  customer_name: 'Ravi',
+  notes: null,
+  services: [{ description: 'Wardrobe', quantity: 1, rate: 10000, amount: 10000 }],
+  total_amount: 10000,
+  created_at: '2026-03-01T05:00:00Z',
+  updated_at: '2026-03-01T05:00:00Z',
+  balance_due: 10000,
+};
+
+describe('snapshots', () => {
+  it('leave out ids, timestamps and computed fields', () => {
+    const snapshot = toSnapshot(invoice);
+    assert.equal(snapshot.invoice_number, 'CI-042');
+    assert.equal(snapshot.id, undefined);
+    assert.equal(snapshot.updated_at, undefined);
+    assert.equal(snapshot.balance_due, undefined);
+  });
+
+  it('diff field by field, treating missing and empty as null', () => {
+    const changes = diffSnapshots(
+      { ...toSnapshot(invoice), notes: '' },
+      { ...toSnapshot(invoice), total_amount: 12000, services: [{ ...invoice.services[0], rate: 12000 }] }
+    );
+    assert.deepEqual(changes.map((c) => c.field), ['services', 'total_amount']);
+    assert.deepEqual(changes[1], { field: 'total_amount', from: 10000, to: 12000 });
+  });
+});
+
+describe('change events', () => {
+  it('record a new document with its snapshot', () => {
+    const event = buildChangeEvent(null, invoice);
+    assert.equal(event.action, 'created');
+    assert.equal(event.invoice_id, 'i1');
+    assert.equal(event.actor_type, 'user');
+    assert.deepEqual(event.changes, []);
+    assert.equal(event.snapshot.customer_name, 'Ravi');
+  });
+
+  it('tell a status change from an edit', () => {
+    const sent = { ...invoice, status: 'sent', updated_at: '2026-03-02T05:00:00Z' };
+    assert.equal(buildChangeEvent(invoice, sent).action, 'status_changed');
+    assert.equal(buildChangeEvent(invoice, { ...sent, notes: 'Polish' }).action, 'updated');
+  });
+
+  it('credit who made the change', () => {
+    const event = buildChangeEvent(invoice, { ...invoice, status: 'overdue' }, SYSTEM_ACTOR);
+    assert.equal(event.actor_type, 'system');
+    assert.equal(event.actor_name, null);
+  });
+
+  it('skip a save that changed nothing', () => {
+    assert.equal(buildChangeEvent(invoice, { ...invoice, updated_at: '2026-03-05T05:00:00Z' }), null);
+  });
+});
+
+describe('numberVersions', () => {
+  it('numbers changes and pins PDFs and shares to the version they showed', () => {
+    const events = numberVersions([
+      { action: 'created' },
+      { action: 'pdf_generated' },
+      { action: 'updated' },
+      { action: 'shared' },
+      { action: 'status_changed' },
+    ]);
+    assert.deepEqual(events.map((e) => e.version), [1, 1, 2, 2, 3]);
+  });
+});
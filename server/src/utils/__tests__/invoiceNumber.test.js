@@ -0,0 +1,52 @@
+/**
+ * Tests for document numbering.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The module loads the Supabase client; only its pure helpers are used here
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const { getFinancialYear, formatDocumentNumber, getSeries } = require('../invoiceNumber');
+
+describe('getFinancialYear', () => {
+  it('runs from 1 April to 31 March', () => {
+    assert.equal(getFinancialYear('2026-03-31'), '2025-26');
+    assert.equal(getFinancialYear('2026-04-01'), '2026-27');
+    assert.equal(getFinancialYear('2027-01-15'), '2026-27');
+  });
+
+  it('reads a moment in IST', () => {
+    // 31 March 20:00 UTC is already 1 April 01:30 IST
+    assert.equal(getFinancialYear(new Date('2026-03-31T20:00:00Z')), '2026-27');
+    // 31 March 23:00 IST is 17:30 UTC, still the old year
+    assert.equal(getFinancialYear(new Date('2026-03-31T17:30:00Z')), '2025-26');
+  });
+
+  it('pads the end year across a century', () => {
+    assert.equal(getFinancialYear('2099-06-01'), '2099-00');
+  });
+});
+
+describe('formatDocumentNumber', () => {
+  it('pads the counter after the prefix', () => {
+    assert.equal(formatDocumentNumber(42, { prefix: 'CI', padding: 3 }), 'CI-042');
+    assert.equal(formatDocumentNumber(1000, { prefix: 'CI', padding: 3 }), 'CI-1000');
+  });
+
+  it('includes the financial year when the series resets yearly', () => {
+    assert.equal(
+      formatDocumentNumber(7, { prefix: 'CE', padding: 3, financialYear: '2026-27' }),
+      'CE/2026-27/007'
+    );
+  });
+});
+
+describe('getSeries', () => {
+  it('keeps one counter per document type, and per year when resetting', () => {
+    assert.equal(getSeries('invoice', null), 'invoice');
+    assert.equal(getSeries('credit_note', '2026-27'), 'credit_note:2026-27');
+  });
+});
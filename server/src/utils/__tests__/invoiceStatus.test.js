@@ -0,0 +1,89 @@
+/**
+ * Tests for the invoice status engine.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getToday,
+  assertTransition,
+  isOverdue,
+  resolveStatus,
+} = require('../invoiceStatus');
+
+const TODAY = '2026-03-15';
+
+const invoice = (extra = {}) => ({
+  document_type: 'invoice',
+  status: 'sent',
+  due_date: '2026-03-10',
+  total_amount: 10000,
+  amount_paid: 0,
+  ...extra,
+});
+
+describe('getToday', () => {
+  it('uses the date in India', () => {
+    // 20:00 UTC on the 14th is already the 15th in India
+    assert.equal(getToday(new Date('2026-03-14T20:00:00Z')), '2026-03-15');
+  });
+});
+
+describe('assertTransition', () => {
+  it('allows sending and cancelling a draft', () => {
+    assert.doesNotThrow(() => assertTransition('draft', 'sent'));
+    assert.doesNotThrow(() => assertTransition('draft', 'cancelled'));
+  });
+
+  it('allows cancelling an overdue invoice', () => {
+    assert.doesNotThrow(() => assertTransition('overdue', 'cancelled'));
+  });
+
+  it('lets a rejected estimate be reopened as a draft', () => {
+    assert.doesNotThrow(() => assertTransition('sent', 'rejected'));
+    assert.doesNotThrow(() => assertTransition('rejected', 'draft'));
+    assert.throws(() => assertTransition('rejected', 'accepted'), { status: 400 });
+  });
+
+  it('rejects moves out of a final status', () => {
+    assert.throws(() => assertTransition('cancelled', 'draft'), { status: 400 });
+    assert.throws(() => assertTransition('paid', 'sent'), { status: 400 });
+  });
+});
+
+describe('isOverdue', () => {
+  it('is true past the due date with a balance remaining', () => {
+    assert.equal(isOverdue(invoice(), TODAY), true);
+    assert.equal(isOverdue(invoice({ status: 'partially_paid', amount_paid: 4000 }), TODAY), true);
+  });
+
+  it('is false on the due date itself', () => {
+    assert.equal(isOverdue(invoice({ due_date: TODAY }), TODAY), false);
+  });
+
+  it('ignores drafts, estimates, cancelled and undated invoices', () => {
+    assert.equal(isOverdue(invoice({ status: 'draft' }), TODAY), false);
+    assert.equal(isOverdue(invoice({ document_type: 'estimate' }), TODAY), false);
+    assert.equal(isOverdue(invoice({ status: 'cancelled' }), TODAY), false);
+    assert.equal(isOverdue(invoice({ due_date: null }), TODAY), false);
+  });
+});
+
+describe('resolveStatus', () => {
+  it('flags an overdue invoice', () => {
+    assert.equal(resolveStatus(invoice(), TODAY), 'overdue');
+  });
+
+  it('returns to the payment-driven status when the due date moves', () => {
+    assert.equal(resolveStatus(invoice({ status: 'overdue', due_date: '2026-04-01' }), TODAY), 'sent');
+    assert.equal(
+      resolveStatus(invoice({ status: 'overdue', due_date: '2026-04-01', amount_paid: 2500 }), TODAY),
+      'partially_paid'
+    );
+  });
+
+  it('leaves other statuses alone', () => {
+    assert.equal(resolveStatus(invoice({ status: 'paid', amount_paid: 10000 }), TODAY), 'paid');
+    assert.equal(resolveStatus(invoice({ status: 'draft' }), TODAY), 'draft');
+  });
+});
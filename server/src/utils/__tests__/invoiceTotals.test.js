@@ -0,0 +1,239 @@
+/**
+ * Tests for the invoice totals module. Expected figures are the ones the
+ * invoice form shows for the same lines (useInvoiceCalculations +
+ * client/src/utils/gst.js), so the server and the form stay in step.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  roundQuantity,
+  calculateLineAmount,
+  calculateDiscount,
+  calculateInvoiceTotals,
+  reconcileInvoiceTotals,
+} = require('../invoiceTotals');
+
+const TN_GSTIN = '33AAPFU0939F1ZV'; // Tamil Nadu
+
+const line = (quantity, rate, extra = {}) => ({
+  description: 'Work',
+  quantity,
+  rate,
+  amount: calculateLineAmount(quantity, rate),
+  ...extra,
+});
+
+describe('calculateLineAmount', () => {
+  it('multiplies decimal quantities and rounds to paise', () => {
+    assert.equal(calculateLineAmount(42.5, 1.1), 46.75);
+    assert.equal(calculateLineAmount('12.345', '100'), 1234.5);
+  });
+
+  it('rounds half-paise up', () => {
+    assert.equal(calculateLineAmount(1, 1.005), 1.01);
+  });
+
+  it('keeps quantities to 3 decimals', () => {
+    assert.equal(roundQuantity(1.23456), 1.235);
+    assert.equal(roundQuantity(''), 0);
+  });
+});
+
+describe('calculateDiscount', () => {
+  it('takes a percentage of the base', () => {
+    assert.equal(calculateDiscount(1999, 'percent', 10), 199.9);
+  });
+
+  it('uses a flat amount as-is, capped at the base', () => {
+    assert.equal(calculateDiscount(500, 'flat', 150), 150);
+    assert.equal(calculateDiscount(500, 'flat', 900), 500);
+  });
+
+  it('defaults to a flat discount', () => {
+    assert.equal(calculateDiscount(500, undefined, 50), 50);
+  });
+});
+
+describe('calculateInvoiceTotals', () => {
+  it('adds up an untaxed invoice with a discount', () => {
+    const totals = calculateInvoiceTotals({
+      services: [line(2, 1500), line(42.5, 180)],
+      tax_enabled: false,
+      discount_amount: 500,
+    });
+
+    assert.equal(totals.subtotal, 10650);
+    assert.equal(totals.tax_amount, 0);
+    assert.equal(totals.total_amount, 10150);
+  });
+
+  it('rounds GST per rate slab and splits intra-state tax', () => {
+    const totals = calculateInvoiceTotals({
+      services: [
+        line(1, 999.99, { tax_rate: 18 }),
+        line(3, 33.33, { tax_rate: 18 }),
+        line(1, 250.5, { tax_rate: 5 }),
+      ],
+      tax_enabled: true,
+      tax_percentage: 18,
+      business_gstin: TN_GSTIN,
+      place_of_supply: '33',
+    });
+
+    // 18%: (999.99 + 99.99) × 18% = 197.9964 → 198.00; 5%: 250.5 × 5% = 12.525 → 12.53
+    assert.equal(totals.subtotal, 1350.48);
+    assert.equal(totals.tax_amount, 210.53);
+    assert.equal(totals.total_amount, 1561.01);
+  });
+
+  it('charges legacy lines at the invoice-level rate', () => {
+    const totals = calculateInvoiceTotals({
+      services: [line(1, 1000)],
+      tax_enabled: true,
+      tax_percentage: 12,
+      business_gstin: TN_GSTIN,
+      place_of_supply: '29',
+    });
+
+    assert.equal(totals.tax_amount, 120);
+    assert.equal(totals.total_amount, 1120);
+  });
+
+  it('never goes below zero', () => {
+    const totals = calculateInvoiceTotals({
+      services: [line(1, 100)],
+      tax_enabled: false,
+      discount_amount: 250,
+    });
+
+    assert.equal(totals.total_amount, 0);
+  });
+
+  it('charges GST on the line amount after a line discount', () => {
+    const totals = calculateInvoiceTotals({
+      services: [
+        { description: 'Wardrobe', quantity: 1, rate: 15000, discount_type: 'percent', discount_value: 10, tax_rate: 18 },
+        { description: 'Loft', quantity: 1, rate: 4000, discount_type: 'flat', discount_value: 500, tax_rate: 18 },
+      ],
+      tax_enabled: true,
+      business_gstin: TN_GSTIN,
+      place_of_supply: '33',
+    });
+
+    assert.deepEqual(totals.services.map((l) => [l.discount_amount, l.amount]), [[1500, 13500], [500, 3500]]);
+    assert.equal(totals.subtotal, 17000);
+    assert.equal(totals.tax_amount, 3060);
+    assert.equal(totals.total_amount, 20060);
+  });
+
+  it('takes a percentage invoice discount off subtotal + tax', () => {
+    const totals = calculateInvoiceTotals({
+      services: [line(1, 10000, { tax_rate: 18 })],
+      tax_enabled: true,
+      business_gstin: TN_GSTIN,
+      place_of_supply: '33',
+      discount_type: 'percent',
+      discount_value: 5,
+    });
+
+    assert.equal(totals.discount_amount, 590);
+    assert.equal(totals.total_amount, 11210);
+  });
+
+  it('falls back to the stored flat discount_amount for older invoices', () => {
+    const totals = calculateInvoiceTotals({
+      services: [line(1, 1000)],
+      tax_enabled: false,
+      discount_amount: 100,
+    });
+
+    assert.equal(totals.discount_amount, 100);
+    assert.equal(totals.total_amount, 900);
+  });
+
+  it('rounds the total to the nearest rupee when round-off is on', () => {
+    const invoice = {
+      services: [line(1, 999.99, { tax_rate: 18 })],
+      tax_enabled: true,
+      business_gstin: TN_GSTIN,
+      place_of_supply: '33',
+    };
+
+    // 999.99 + 180.00 = 1179.99
+    assert.deepEqual(
+      [calculateInvoiceTotals(invoice).total_amount, calculateInvoiceTotals(invoice).round_off_amount],
+      [1179.99, 0]
+    );
+    const rounded = calculateInvoiceTotals({ ...invoice, round_off: true });
+    assert.equal(rounded.total_amount, 1180);
+    assert.equal(rounded.round_off_amount, 0.01);
+
+    const down = calculateInvoiceTotals({ ...invoice, services: [line(1, 100.4)], tax_enabled: false, round_off: true });
+    assert.equal(down.total_amount, 100);
+    assert.equal(down.round_off_amount, -0.4);
+  });
+
+  it('recomputes line amounts from quantity and rate', () => {
+    const totals = calculateInvoiceTotals({
+      services: [{ description: 'Shelf', quantity: 0.1 + 0.2, rate: 10, amount: 999 }],
+      tax_enabled: false,
+    });
+
+    assert.equal(totals.services[0].quantity, 0.3);
+    assert.equal(totals.services[0].amount, 3);
+    assert.equal(totals.subtotal, 3);
+  });
+});
+
+describe('reconcileInvoiceTotals', () => {
+  const invoice = {
+    services: [line(2, 1500, { tax_rate: 18 })],
+    tax_enabled: true,
+    tax_percentage: 18,
+    business_gstin: TN_GSTIN,
+    place_of_supply: '33',
+    discount_amount: 0,
+    subtotal: 3000,
+    tax_amount: 540,
+    total_amount: 3540,
+  };
+
+  it('accepts figures that add up', () => {
+    const result = reconcileInvoiceTotals(invoice);
+    assert.equal(result.total_amount, 3540);
+  });
+
+  it('corrects floating-point noise within a paisa', () => {
+    const result = reconcileInvoiceTotals({ ...invoice, subtotal: 3000.0000001, total_amount: 3539.995 });
+    assert.equal(result.subtotal, 3000);
+    assert.equal(result.total_amount, 3540);
+  });
+
+  it('rejects a wrong total with a validation error naming the field', () => {
+    assert.throws(
+      () => reconcileInvoiceTotals({ ...invoice, total_amount: 3500 }),
+      (err) => {
+        assert.equal(err.isJoi, true);
+        assert.deepEqual(err.details.map((d) => d.path.join('.')), ['total_amount']);
+        assert.match(err.details[0].message, /3500\.00 but the lines add up to 3540\.00/);
+        return true;
+      }
+    );
+  });
+
+  it('rejects a line amount that does not match quantity × rate', () => {
+    const services = [{ ...invoice.services[0], amount: 2000 }];
+    assert.throws(
+      () => reconcileInvoiceTotals({ ...invoice, services }),
+      (err) => err.details[0].path.join('.') === 'services.0.amount'
+    );
+  });
+
+  it('only checks the figures that were supplied', () => {
+    const stored = { ...invoice, discount_amount: 40 };
+    const result = reconcileInvoiceTotals(stored, { discount_amount: 40 });
+
+    assert.equal(result.total_amount, 3500);
+  });
+});
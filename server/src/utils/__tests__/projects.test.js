@@ -0,0 +1,77 @@
+/**
+ * Tests for project money summaries.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getContractValue, summarizeProject } = require('../projects');
+
+const estimate = (status, total, createdAt) => ({
+  document_type: 'estimate', status, total_amount: total, created_at: createdAt,
+});
+const invoice = (status, total, paid, tax = 0) => ({
+  document_type: 'invoice', status, total_amount: total, amount_paid: paid, tax_amount: tax,
+});
+
+describe('getContractValue', () => {
+  it('adds up accepted estimates', () => {
+    const contract = getContractValue([
+      estimate('rejected', 300000, '2026-03-01'),
+      estimate('accepted', 250000, '2026-03-05'),
+      estimate('accepted', 40000, '2026-04-01'),
+    ]);
+    assert.deepEqual(contract, { value: 290000, agreed: true });
+  });
+
+  it('falls back to the latest open estimate until one is accepted', () => {
+    const contract = getContractValue([
+      estimate('sent', 300000, '2026-03-01'),
+      estimate('draft', 280000, '2026-03-04'),
+      estimate('cancelled', 100, '2026-03-09'),
+    ]);
+    assert.deepEqual(contract, { value: 280000, agreed: false });
+    assert.deepEqual(getContractValue([estimate('rejected', 5, '2026-03-01')]), { value: null, agreed: false });
+  });
+});
+
+describe('summarizeProject', () => {
+  it('totals what was billed, received and is still owed', () => {
+    const summary = summarizeProject(
+      [
+        estimate('accepted', 250000, '2026-03-05'),
+        invoice('paid', 100000, 100000, 15254.24),
+        invoice('partially_paid', 150000, 50000),
+        invoice('cancelled', 20000, 0),
+      ],
+      [{ category: 'materials', amount: 90000 }, { category: 'labour', amount: 40000.5 }]
+    );
+
+    assert.equal(summary.contract_value, 250000);
+    assert.equal(summary.billed, 250000);
+    assert.equal(summary.received, 150000);
+    assert.equal(summary.outstanding, 100000);
+    assert.equal(summary.to_bill, 0);
+    assert.equal(summary.expenses, 130000.5);
+    assert.equal(summary.profit, 104745.26);
+  });
+
+  it('takes credit notes off what was billed and earned', () => {
+    const summary = summarizeProject([
+      estimate('accepted', 10000, '2026-03-05'),
+      { ...invoice('sent', 10000, 0, 1525.42), amount_credited: 2000 },
+      { ...invoice('sent', 2000, 0, 305.08), document_type: 'credit_note' },
+    ]);
+
+    assert.equal(summary.billed, 8000);
+    assert.equal(summary.outstanding, 8000);
+    assert.equal(summary.to_bill, 2000);
+    assert.equal(summary.profit, 6779.66);
+  });
+
+  it('has nothing left to bill without a contract value', () => {
+    const summary = summarizeProject([invoice('sent', 5000, 0)]);
+    assert.equal(summary.contract_value, null);
+    assert.equal(summary.to_bill, null);
+    assert.equal(summary.outstanding, 5000);
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests for recurring invoice schedules.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getRunDateIn,
+  getFirstRunDate,
+  getNextRunDate,
+  scheduleNextRun,
+  advanceRun,
+  getUpcomingRuns,
+  getRunInvoiceFields,
+  buildInvoiceEmail,
+} = require('../recurring');
+
+const profile = (overrides = {}) => ({
+  id: 'p1',
+  frequency: 'monthly',
+  day_of_month: 5,
+  start_date: '2026-01-01',
+  end_date: null,
+  last_run_date: null,
+  next_run_date: '2026-02-05',
+  due_days: 15,
+  active: true,
+  ...overrides,
+});
+
+describe('getRunDateIn', () => {
+  it('uses the last day of a shorter month', () => {
+    assert.equal(getRunDateIn(2026, 1, 31), '2026-02-28');
+    assert.equal(getRunDateIn(2028, 1, 30), '2028-02-29');
+    assert.equal(getRunDateIn(2026, 3, 31), '2026-04-30');
+  });
+
+  it('rolls months over into the next year', () => {
+    assert.equal(getRunDateIn(2026, 13, 10), '2027-02-10');
+  });
+});
+
+describe('getFirstRunDate', () => {
+  it('runs this month when the day is still ahead', () => {
+    assert.equal(getFirstRunDate('2026-03-02', 5), '2026-03-05');
+    assert.equal(getFirstRunDate('2026-03-05', 5), '2026-03-05');
+  });
+
+  it('waits for next month once the day has passed', () => {
+    assert.equal(getFirstRunDate('2026-03-06', 5), '2026-04-05');
+    assert.equal(getFirstRunDate('2026-12-20', 1), '2027-01-01');
+  });
+});
+
+describe('getNextRunDate', () => {
+  it('steps by the frequency, keeping the day of the month', () => {
+    assert.equal(getNextRunDate('2026-01-31', 'monthly', 31), '2026-02-28');
+    assert.equal(getNextRunDate('2026-02-28', 'monthly', 31), '2026-03-31');
+    assert.equal(getNextRunDate('2026-11-15', 'quarterly', 15), '2027-02-15');
+    assert.equal(getNextRunDate('2026-04-01', 'half_yearly', 1), '2026-10-01');
+    assert.equal(getNextRunDate('2026-04-01', 'yearly', 1), '2027-04-01');
+  });
+});
+
+describe('scheduleNextRun', () => {
+  it('starts on the first run on or after the start date', () => {
+    assert.equal(scheduleNextRun(profile({ start_date: '2026-06-01' }), '2026-03-10'), '2026-06-05');
+  });
+
+  it('never schedules a run in the past', () => {
+    assert.equal(scheduleNextRun(profile(), '2026-03-10'), '2026-04-05');
+  });
+
+  it('does not run a date again', () => {
+    const p = profile({ day_of_month: 10, last_run_date: '2026-03-10' });
+    assert.equal(scheduleNextRun(p, '2026-03-10'), '2026-04-10');
+  });
+
+  it('is null after the end date', () => {
+    assert.equal(scheduleNextRun(profile({ end_date: '2026-03-31' }), '2026-03-10'), null);
+  });
+});
+
+describe('advanceRun', () => {
+  it('stops after the end date', () => {
+    const p = profile({ end_date: '2026-03-05' });
+    assert.equal(advanceRun(p, '2026-02-05'), '2026-03-05');
+    assert.equal(advanceRun(p, '2026-03-05'), null);
+  });
+});
+
+describe('getUpcomingRuns', () => {
+  it('lists the coming runs up to the end date', () => {
+    const p = profile({ frequency: 'quarterly', end_date: '2026-12-31' });
+    assert.deepEqual(getUpcomingRuns(p), ['2026-02-05', '2026-05-05', '2026-08-05', '2026-11-05']);
+  });
+
+  it('stops at the count', () => {
+    assert.equal(getUpcomingRuns(profile(), 3).length, 3);
+  });
+
+  it('is empty while paused or once ended', () => {
+    assert.deepEqual(getUpcomingRuns(profile({ active: false })), []);
+    assert.deepEqual(getUpcomingRuns(profile({ next_run_date: null })), []);
+  });
+});
+
+describe('getRunInvoiceFields', () => {
+  it('dates the invoice on the run and sets the due date from the terms', () => {
+    assert.deepEqual(getRunInvoiceFields(profile(), '2026-02-05'), {
+      invoice_date: '2026-02-05',
+      due_date: '2026-02-20',
+      recurring_profile_id: 'p1',
+    });
+  });
+
+  it('leaves the due date empty without terms', () => {
+    assert.equal(getRunInvoiceFields(profile({ due_days: null }), '2026-02-05').due_date, null);
+  });
+});
+
+describe('buildInvoiceEmail', () => {
+  const invoice = { invoice_number: 'CI-042', customer_name: 'Ravi', total_amount: 12500, due_date: null };
+
+  it('names the invoice and the business', () => {
+    const email = buildInvoiceEmail(invoice, { name: 'Crown Interiors' }, 'https://x/public/invoices/t');
+    assert.equal(email.subject, 'Crown Interiors — Invoice CI-042');
+    assert.match(email.text, /^Dear Ravi,/);
+    assert.match(email.text, /CI-042 for ₹12,500\./);
+    assert.match(email.text, /https:\/\/x\/public\/invoices\/t/);
+  });
+
+  it('leaves out the link when there is none', () => {
+    assert.doesNotMatch(buildInvoiceEmail(invoice, { name: 'Crown' }, null).text, /here:/);
+  });
+});
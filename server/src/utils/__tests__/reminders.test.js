@@ -0,0 +1,193 @@
+/**
+ * Tests for payment reminder schedules and templates.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_REMINDER_SETTINGS,
+  DEFAULT_TEMPLATES,
+  mergeTemplates,
+  MAX_DAILY_FAILURES,
+  getSentOn,
+  hasFailedTooOften,
+  getRecipient,
+  resolveSchedule,
+  getReminderDates,
+  getDueReminder,
+  getNextReminder,
+  getReminderKind,
+  renderTemplate,
+  buildReminderMessage,
+} = require('../reminders');
+
+const schedule = {
+  enabled: true,
+  days_before: 3,
+  on_due_date: true,
+  repeat_after_days: 7,
+  channel: 'whatsapp',
+  language: 'en',
+};
+
+const invoice = (extra = {}) => ({
+  document_type: 'invoice',
+  status: 'sent',
+  invoice_number: 'INV-0007',
+  customer_name: 'Ravi',
+  due_date: '2026-03-10',
+  total_amount: 12500,
+  amount_paid: 2500,
+  ...extra,
+});
+
+describe('getReminderDates', () => {
+  it('lists before, on and weekly-after dates up to a day', () => {
+    assert.deepEqual(getReminderDates('2026-03-10', schedule, '2026-03-24'), [
+      { date: '2026-03-07', kind: 'before_due' },
+      { date: '2026-03-10', kind: 'on_due' },
+      { date: '2026-03-17', kind: 'overdue' },
+      { date: '2026-03-24', kind: 'overdue' },
+    ]);
+  });
+
+  it('skips parts of the schedule set to zero or off', () => {
+    const onlyAfter = { ...schedule, days_before: 0, on_due_date: false };
+    assert.deepEqual(getReminderDates('2026-03-10', onlyAfter, '2026-03-20'), [
+      { date: '2026-03-17', kind: 'overdue' },
+    ]);
+  });
+});
+
+describe('getDueReminder', () => {
+  it('returns the reminder scheduled for today', () => {
+    assert.deepEqual(getDueReminder(invoice(), schedule, null, '2026-03-07'), {
+      date: '2026-03-07',
+      kind: 'before_due',
+    });
+  });
+
+  it('returns nothing once today\'s reminder has been sent', () => {
+    assert.equal(getDueReminder(invoice(), schedule, '2026-03-10', '2026-03-12'), null);
+  });
+
+  it('catches up a missed reminder once, with the latest wording', () => {
+    assert.deepEqual(getDueReminder(invoice(), schedule, '2026-03-07', '2026-03-19'), {
+      date: '2026-03-17',
+      kind: 'overdue',
+    });
+  });
+
+  it('ignores paid, draft, cancelled and disabled invoices', () => {
+    const today = '2026-03-10';
+    assert.equal(getDueReminder(invoice({ amount_paid: 12500 }), schedule, null, today), null);
+    assert.equal(getDueReminder(invoice({ status: 'draft' }), schedule, null, today), null);
+    assert.equal(getDueReminder(invoice({ status: 'cancelled' }), schedule, null, today), null);
+    assert.equal(getDueReminder(invoice(), { ...schedule, enabled: false }, null, today), null);
+  });
+});
+
+describe('getSentOn', () => {
+  it('takes the IST date of a send just after midnight', () => {
+    // 01:00 IST on 7 March is still 6 March in UTC
+    assert.equal(getSentOn('2026-03-06T19:30:00.000Z'), '2026-03-07');
+  });
+
+  it('keeps today\'s reminder sent at 01:00 IST from going out again', () => {
+    const lastSentOn = getSentOn('2026-03-06T19:30:00+00:00');
+    assert.equal(getDueReminder(invoice(), schedule, lastSentOn, '2026-03-07'), null);
+  });
+
+  it('returns null when nothing was sent', () => {
+    assert.equal(getSentOn(undefined), null);
+  });
+});
+
+describe('hasFailedTooOften', () => {
+  const today = '2026-03-07';
+
+  it('stops after the daily limit of failures', () => {
+    const failedAt = Array(MAX_DAILY_FAILURES).fill('2026-03-07T04:00:00Z');
+    assert.equal(hasFailedTooOften(failedAt, today), true);
+    assert.equal(hasFailedTooOften(failedAt.slice(1), today), false);
+  });
+
+  it('counts only today\'s failures, in IST', () => {
+    // 6 March 19:30 UTC is 7 March 01:00 IST; 6 March 18:00 UTC is still the 6th
+    assert.equal(hasFailedTooOften(['2026-03-06T19:30:00Z', '2026-03-07T02:00:00Z', '2026-03-07T05:00:00Z'], today), true);
+    assert.equal(hasFailedTooOften(['2026-03-06T18:00:00Z', '2026-03-07T02:00:00Z', '2026-03-07T05:00:00Z'], today), false);
+  });
+});
+
+describe('getRecipient', () => {
+  it('uses the email for email and the phone otherwise', () => {
+    const customer = { customer_email: 'ravi@example.com', customer_phone: '9876543210' };
+    assert.equal(getRecipient(customer, 'email'), 'ravi@example.com');
+    assert.equal(getRecipient(customer, 'sms'), '9876543210');
+    assert.equal(getRecipient({ customer_phone: '9876543210', customer_email: '' }, 'email'), null);
+  });
+});
+
+describe('getNextReminder', () => {
+  it('returns the first reminder after today', () => {
+    assert.deepEqual(getNextReminder(invoice(), schedule, '2026-03-08'), {
+      date: '2026-03-10',
+      kind: 'on_due',
+    });
+    assert.deepEqual(getNextReminder(invoice(), schedule, '2026-03-20'), {
+      date: '2026-03-24',
+      kind: 'overdue',
+    });
+  });
+
+  it('returns nothing when no reminder repeats after the due date', () => {
+    const once = { ...schedule, repeat_after_days: 0 };
+    assert.equal(getNextReminder(invoice(), once, '2026-03-12'), null);
+  });
+});
+
+describe('resolveSchedule', () => {
+  it('lets an invoice override the user defaults', () => {
+    const resolved = resolveSchedule(
+      invoice({ reminder_schedule: { repeat_after_days: 3, channel: 'sms' } }),
+      DEFAULT_REMINDER_SETTINGS
+    );
+    assert.equal(resolved.repeat_after_days, 3);
+    assert.equal(resolved.channel, 'sms');
+    assert.equal(resolved.days_before, DEFAULT_REMINDER_SETTINGS.days_before);
+  });
+});
+
+describe('getReminderKind', () => {
+  it('matches today against the due date', () => {
+    assert.equal(getReminderKind('2026-03-10', '2026-03-08'), 'before_due');
+    assert.equal(getReminderKind('2026-03-10', '2026-03-10'), 'on_due');
+    assert.equal(getReminderKind('2026-03-10', '2026-03-11'), 'overdue');
+  });
+});
+
+describe('templates', () => {
+  it('fills known placeholders and leaves unknown ones', () => {
+    assert.equal(
+      renderTemplate('Hi {customer_name}, {unknown}', { customer_name: 'Ravi' }),
+      'Hi Ravi, {unknown}'
+    );
+  });
+
+  it('falls back to the built-in wording for blank templates', () => {
+    const merged = mergeTemplates({ on_due: { en: 'Pay {balance}', ta: '' } });
+    assert.equal(merged.on_due.en, 'Pay {balance}');
+    assert.equal(merged.on_due.ta, DEFAULT_TEMPLATES.on_due.ta);
+    assert.equal(merged.overdue.en, DEFAULT_TEMPLATES.overdue.en);
+  });
+
+  it('builds a message with the balance still owing', () => {
+    const templates = mergeTemplates({
+      overdue: { en: '{invoice_number}: {balance} due {due_date} — {business_name}' },
+    });
+    assert.equal(
+      buildReminderMessage(invoice(), { name: 'Crown Interiors' }, templates, 'overdue', 'en'),
+      'INV-0007: ₹10,000 due 10 Mar 2026 — Crown Interiors'
+    );
+  });
+});
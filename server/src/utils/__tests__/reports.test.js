@@ -0,0 +1,188 @@
+/**
+ * Tests for the date-range reports.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getFinancialYearStart,
+  resolveRange,
+  listMonths,
+  buildRevenueReport,
+  buildGstReport,
+  getAgeingBucket,
+  buildOutstandingReport,
+  buildTopReport,
+} = require('../reports');
+
+const invoice = (overrides) => ({
+  document_type: 'invoice',
+  status: 'sent',
+  invoice_date: '2026-04-10',
+  due_date: null,
+  customer_id: 'c1',
+  customer_name: 'Ravi',
+  total_amount: 1180,
+  tax_amount: 180,
+  amount_paid: 0,
+  tax_enabled: true,
+  tax_percentage: 18,
+  business_gstin: '33AAAAA0000A1Z5',
+  place_of_supply: '33',
+  customer_gstin: null,
+  services: [{ description: 'Wardrobe', quantity: 1, unit: 'nos', rate: 1000, amount: 1000 }],
+  ...overrides,
+});
+
+describe('report ranges', () => {
+  it('defaults to the financial year to date', () => {
+    assert.equal(getFinancialYearStart('2026-03-31'), '2025-04-01');
+    assert.equal(getFinancialYearStart('2026-04-01'), '2026-04-01');
+    assert.deepEqual(resolveRange(undefined, undefined, '2026-10-19'), { from: '2026-04-01', to: '2026-10-19' });
+  });
+
+  it('rejects reversed, malformed and overlong ranges', () => {
+    assert.throws(() => resolveRange('2026-05-01', '2026-04-01', '2026-10-19'), { status: 400 });
+    assert.throws(() => resolveRange('2026-13-01', '2026-12-01', '2026-10-19'), { status: 400 });
+    assert.throws(() => resolveRange('2016-01-01', '2026-01-01', '2026-10-19'), { status: 400 });
+  });
+
+  it('lists every month, across years', () => {
+    assert.deepEqual(listMonths('2025-11-15', '2026-02-01'), ['2025-11', '2025-12', '2026-01', '2026-02']);
+  });
+});
+
+describe('revenue report', () => {
+  it('adds issued invoices and payments to their months, leaving gaps at zero', () => {
+    const report = buildRevenueReport(
+      [
+        invoice({}),
+        invoice({ invoice_date: '2026-06-02', status: 'paid' }),
+        invoice({ status: 'draft' }),
+        invoice({ status: 'cancelled' }),
+        invoice({ document_type: 'estimate' }),
+      ],
+      [{ payment_date: '2026-06-05', amount: 500 }],
+      { from: '2026-04-01', to: '2026-06-30' }
+    );
+
+    assert.deepEqual(report.months.map((m) => [m.month, m.count, m.invoiced, m.collected]), [
+      ['2026-04', 1, 1180, 0],
+      ['2026-05', 0, 0, 0],
+      ['2026-06', 1, 1180, 500],
+    ]);
+    assert.deepEqual(report.totals, {
+      count: 2, invoiced: 2360, credited: 0, net: 2360, taxable: 2000, tax: 360, collected: 500,
+    });
+  });
+});
+
+describe('GST report', () => {
+  it('splits intra-state into CGST/SGST and inter-state into IGST, by rate and B2B/B2C', () => {
+    const report = buildGstReport([
+      invoice({}),
+      invoice({ customer_gstin: '29BBBBB0000B1Z5', place_of_supply: '29' }),
+      invoice({ status: 'cancelled' }),
+    ]);
+
+    assert.deepEqual(report.rates, [{ rate: 18, taxable: 2000, cgst: 90, sgst: 90, igst: 180, tax: 360 }]);
+    assert.deepEqual(report.b2b, { taxable: 1000, cgst: 0, sgst: 0, igst: 180, tax: 180 });
+    assert.deepEqual(report.b2c, { taxable: 1000, cgst: 90, sgst: 90, igst: 0, tax: 180 });
+    assert.equal(report.totals.tax, 360);
+    assert.equal(report.invoice_count, 2);
+  });
+});
+
+describe('credit notes in reports', () => {
+  const creditNote = (overrides) => invoice({
+    document_type: 'credit_note',
+    invoice_date: '2026-05-03',
+    total_amount: 590,
+    tax_amount: 90,
+    services: [{ description: 'Wardrobe', quantity: 0.5, unit: 'nos', rate: 1000, amount: 500 }],
+    ...overrides,
+  });
+  const documents = [
+    invoice({ status: 'credited' }),
+    creditNote({}),
+    creditNote({ status: 'cancelled', total_amount: 9999 }),
+  ];
+
+  it('takes credit notes off revenue in the month they are dated', () => {
+    const report = buildRevenueReport(documents, [], { from: '2026-04-01', to: '2026-05-31' });
+
+    assert.deepEqual(report.months.map((m) => [m.month, m.count, m.invoiced, m.credited, m.net, m.tax]), [
+      ['2026-04', 1, 1180, 0, 1180, 180],
+      ['2026-05', 0, 0, 590, -590, -90],
+    ]);
+    assert.equal(report.totals.net, 590);
+  });
+
+  it('shows the GST reversed by credit notes and nets it off the totals', () => {
+    const report = buildGstReport(documents);
+
+    assert.deepEqual(report.credit_notes, { taxable: 500, cgst: 45, sgst: 45, igst: 0, tax: 90 });
+    assert.deepEqual(report.totals, { taxable: 500, cgst: 45, sgst: 45, igst: 0, tax: 90 });
+    assert.equal(report.credit_note_count, 1);
+  });
+
+  it('ranks customers and services net of credit notes', () => {
+    const report = buildTopReport(documents, 5);
+
+    assert.deepEqual(report.customers.map((c) => [c.customer_name, c.invoice_count, c.billed]), [['Ravi', 1, 590]]);
+    assert.deepEqual(report.services.map((s) => [s.description, s.quantity, s.amount, s.line_count]), [
+      ['Wardrobe', 0.5, 500, 1],
+    ]);
+  });
+});
+
+describe('outstanding report', () => {
+  it('buckets days past due', () => {
+    assert.equal(getAgeingBucket(-5), '0_30');
+    assert.equal(getAgeingBucket(30), '0_30');
+    assert.equal(getAgeingBucket(31), '31_60');
+    assert.equal(getAgeingBucket(90), '61_90');
+    assert.equal(getAgeingBucket(91), '90_plus');
+  });
+
+  it('ages each balance by due date (or invoice date) and groups by customer', () => {
+    const report = buildOutstandingReport([
+      invoice({ due_date: '2026-10-01', amount_paid: 180 }),
+      invoice({ invoice_date: '2026-06-01', status: 'overdue' }),
+      invoice({ customer_id: null, customer_name: 'Walk-in', invoice_date: '2026-09-01' }),
+      invoice({ status: 'paid', amount_paid: 1180 }),
+      invoice({ status: 'draft' }),
+    ], '2026-10-19');
+
+    assert.deepEqual(report.customers.map((c) => [c.customer_name, c.total, c.oldest_days]), [
+      ['Ravi', 2180, 140],
+      ['Walk-in', 1180, 48],
+    ]);
+    assert.deepEqual(report.customers[0].buckets, { '0_30': 1000, '31_60': 0, '61_90': 0, '90_plus': 1180 });
+    assert.deepEqual(report.totals, { total: 3360, buckets: { '0_30': 1000, '31_60': 1180, '61_90': 0, '90_plus': 1180 } });
+  });
+});
+
+describe('top report', () => {
+  it('ranks customers by amount billed and services by line amount', () => {
+    const report = buildTopReport([
+      invoice({}),
+      invoice({
+        customer_id: 'c2',
+        customer_name: 'Meena',
+        total_amount: 5900,
+        services: [
+          { description: '  wardrobe ', quantity: 2, unit: 'nos', amount: 2000 },
+          { description: 'Kitchen', quantity: 30, unit: 'sqft', amount: 4000 },
+        ],
+      }),
+      invoice({ status: 'draft', customer_id: 'c3', total_amount: 99999 }),
+    ], 5);
+
+    assert.deepEqual(report.customers.map((c) => [c.customer_name, c.billed]), [['Meena', 5900], ['Ravi', 1180]]);
+    assert.deepEqual(report.services.map((s) => [s.description, s.quantity, s.amount]), [
+      ['Kitchen', 30, 4000],
+      ['Wardrobe', 3, 3000],
+    ]);
+  });
+});
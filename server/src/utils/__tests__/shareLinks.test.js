@@ -0,0 +1,130 @@
+/**
+ * Tests for public share links and their web view.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  generateShareToken,
+  isShareToken,
+  getShareExpiry,
+  isShareExpired,
+  buildShareUrl,
+} = require('../shareLinks');
+const { escapeHtml, renderShareView, renderShareError } = require('../shareView');
+
+const NOW = new Date('2026-03-15T10:00:00Z');
+
+describe('share tokens', () => {
+  it('are URL-safe, 32 characters and unique', () => {
+    const a = generateShareToken();
+    const b = generateShareToken();
+    assert.ok(isShareToken(a));
+    assert.notEqual(a, b);
+  });
+
+  it('rejects anything that is not a token', () => {
+    assert.equal(isShareToken('../etc/passwd'), false);
+    assert.equal(isShareToken('short'), false);
+    assert.equal(isShareToken(undefined), false);
+  });
+});
+
+describe('share expiry', () => {
+  it('never expires without a number of days', () => {
+    assert.equal(getShareExpiry(null, NOW), null);
+    assert.equal(isShareExpired({ expires_at: null }, NOW), false);
+  });
+
+  it('expires the given number of days later', () => {
+    const expiresAt = getShareExpiry(7, NOW);
+    assert.equal(expiresAt, '2026-03-22T10:00:00.000Z');
+    assert.equal(isShareExpired({ expires_at: expiresAt }, NOW), false);
+    assert.equal(isShareExpired({ expires_at: expiresAt }, new Date('2026-03-22T10:00:00Z')), true);
+  });
+});
+
+describe('share URL', () => {
+  it('points at the public view, with or without a trailing slash', () => {
+    assert.equal(buildShareUrl('https://api.example.com', 'abc'), 'https://api.example.com/public/invoices/abc');
+    assert.equal(buildShareUrl('https://api.example.com/', 'abc'), 'https://api.example.com/public/invoices/abc');
+  });
+});
+
+describe('share view', () => {
+  const business = { name: 'Crown <Interiors>', upi_id: 'crown@okaxis' };
+  const invoice = {
+    document_type: 'invoice',
+    status: 'partially_paid',
+    invoice_number: 'CI-042',
+    invoice_date: '2026-03-01',
+    due_date: '2026-03-20',
+    customer_name: 'Ravi "R" Kumar',
+    services: [{ description: 'Wardrobe', quantity: 1, rate: 10000, amount: 10000 }],
+    subtotal: 10000,
+    total_amount: 10000,
+    amount_paid: 4000,
+  };
+
+  it('escapes HTML', () => {
+    assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  });
+
+  it('shows the balance due, a UPI button and the PDF link', () => {
+    const html = renderShareView(invoice, business, { lang: 'en', pdfUrl: 'tok/pdf', switchUrl: 'tok?lang=ta' });
+    assert.match(html, /Balance Due/);
+    assert.match(html, /₹6,000/);
+    assert.match(html, /upi:\/\/pay\?pa=crown@okaxis/);
+    assert.match(html, /href="tok\/pdf"/);
+    assert.match(html, /Crown &lt;Interiors&gt;/);
+    assert.match(html, /Ravi &quot;R&quot; Kumar/);
+  });
+
+  it('has no pay button once cancelled', () => {
+    const html = renderShareView({ ...invoice, status: 'cancelled' }, business, { pdfUrl: 'x', switchUrl: 'y' });
+    assert.doesNotMatch(html, /upi:\/\//);
+    assert.match(html, /Cancelled/);
+  });
+
+  it('names the invoice a credit note credits, with nothing to pay', () => {
+    const creditNote = {
+      ...invoice,
+      document_type: 'credit_note',
+      status: 'sent',
+      invoice_number: 'CN-003',
+      amount_paid: 0,
+      credit_reason: 'return',
+      credited_invoice: { id: 'i1', invoice_number: 'CI-042', invoice_date: '2026-03-01' },
+    };
+    const html = renderShareView(creditNote, business, { pdfUrl: 'x', switchUrl: 'y' });
+    assert.match(html, /CREDIT NOTE/);
+    assert.match(html, /Against Invoice: CI-042 · Reason: Goods returned/);
+    assert.doesNotMatch(html, /upi:\/\//);
+    assert.doesNotMatch(html, /Balance Due/);
+  });
+
+  it('asks for an answer on an estimate waiting for one', () => {
+    const estimate = { ...invoice, document_type: 'estimate', status: 'sent', amount_paid: 0 };
+    const html = renderShareView(estimate, business, {
+      pdfUrl: 'x', switchUrl: 'y', responseUrl: 'tok/response?lang=en',
+    });
+    assert.match(html, /<form method="post" action="tok\/response\?lang=en"/);
+    assert.match(html, /value="accepted"/);
+    assert.match(html, /<script src="..\/assets\/approval.js" defer>/);
+  });
+
+  it('shows who answered an estimate instead of the form', () => {
+    const estimate = { ...invoice, document_type: 'estimate', status: 'accepted', amount_paid: 0 };
+    const response = { decision: 'accepted', signer_name: 'Ravi', responded_at: '2026-03-16T05:00:00Z' };
+    const html = renderShareView(estimate, business, {
+      pdfUrl: 'x', switchUrl: 'y', responseUrl: 'tok/response', response,
+    });
+    assert.doesNotMatch(html, /<form/);
+    assert.doesNotMatch(html, /<script/);
+    assert.match(html, /Accepted by Ravi on 16 Mar 2026/);
+  });
+
+  it('explains an expired link in Tamil', () => {
+    assert.match(renderShareError('expired', 'ta'), /காலாவதி/);
+  });
+});
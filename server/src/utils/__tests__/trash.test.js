@@ -0,0 +1,21 @@
+/**
+ * Tests for Trash retention.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RETENTION_DAYS, getPurgeDate, isPurgeDue } = require('../trash');
+
+const DELETED_AT = '2026-03-01T10:00:00.000Z';
+
+describe('trash retention', () => {
+  it('keeps documents for 30 days by default', () => {
+    assert.equal(DEFAULT_RETENTION_DAYS, 30);
+    assert.equal(getPurgeDate(DELETED_AT), '2026-03-31T10:00:00.000Z');
+  });
+
+  it('purges once the retention period has passed', () => {
+    assert.equal(isPurgeDue(DELETED_AT, 7, new Date('2026-03-08T09:59:59Z')), false);
+    assert.equal(isPurgeDue(DELETED_AT, 7, new Date('2026-03-08T10:00:00Z')), true);
+  });
+});
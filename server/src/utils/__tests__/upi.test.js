@@ -0,0 +1,39 @@
+/**
+ * Tests for UPI payment links.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildUpiLink, getInvoiceUpiLink } = require('../upi');
+
+const business = { name: 'Crown Interiors', upi_id: 'crown@okaxis' };
+
+describe('buildUpiLink', () => {
+  it('builds a upi://pay link with payee, amount and note', () => {
+    assert.equal(
+      buildUpiLink({ vpa: 'crown@okaxis', name: 'Crown Interiors', amount: 1500, note: 'CI-042' }),
+      'upi://pay?pa=crown@okaxis&pn=Crown%20Interiors&am=1500.00&cu=INR&tn=CI-042'
+    );
+  });
+});
+
+describe('getInvoiceUpiLink', () => {
+  const invoice = {
+    document_type: 'invoice',
+    status: 'partially_paid',
+    invoice_number: 'CI-042',
+    total_amount: 5000,
+    amount_paid: 3000,
+  };
+
+  it('collects the balance due', () => {
+    assert.match(getInvoiceUpiLink(invoice, business), /am=2000\.00/);
+  });
+
+  it('returns null for estimates, cancelled or paid invoices, or without a UPI ID', () => {
+    assert.equal(getInvoiceUpiLink({ ...invoice, document_type: 'estimate' }, business), null);
+    assert.equal(getInvoiceUpiLink({ ...invoice, status: 'cancelled' }, business), null);
+    assert.equal(getInvoiceUpiLink({ ...invoice, amount_paid: 5000 }, business), null);
+    assert.equal(getInvoiceUpiLink(invoice, { name: 'Crown Interiors' }), null);
+  });
+});
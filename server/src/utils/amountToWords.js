@@ -1,13 +1,14 @@
 /**
  * Amount to Words Converter (Indian Numbering System)
  *
- * Converts a numeric INR amount into English words using the
+ * Converts a numeric INR amount into English or Tamil words using the
  * Indian numbering system (Lakhs, Crores instead of Millions, Billions).
  *
  * Examples:
  *   53100   → "Fifty Three Thousand One Hundred Rupees"
  *   47200.5 → "Forty Seven Thousand Two Hundred Rupees and Fifty Paise"
  *   0       → "Zero Rupees"
+ *   53100   → "ஐம்பத்து மூவாயிரத்து நூறு ரூபாய்" (Tamil)
  */
 
 /** Words for numbers 0–19 */
@@ -91,4 +92,142 @@ function amountToWords(amount) {
   return result;
 }
 
-module.exports = { amountToWords };
+// ── Tamil ──
+// Tamil number words change form when another number follows
+// (நூறு → நூற்று, ஆயிரம் → ஆயிரத்து), so each place has a standalone
+// and a joining form.
+
+/** Tamil words for 0–19 */
+const tamilOnes = [
+  '', 'ஒன்று', 'இரண்டு', 'மூன்று', 'நான்கு', 'ஐந்து', 'ஆறு', 'ஏழு', 'எட்டு', 'ஒன்பது',
+  'பத்து', 'பதினொன்று', 'பன்னிரண்டு', 'பதின்மூன்று', 'பதினான்கு', 'பதினைந்து',
+  'பதினாறு', 'பதினேழு', 'பதினெட்டு', 'பத்தொன்பது',
+];
+
+/** Tamil tens (20–90): standalone and joining forms */
+const tamilTens = [
+  '', '', 'இருபது', 'முப்பது', 'நாற்பது', 'ஐம்பது',
+  'அறுபது', 'எழுபது', 'எண்பது', 'தொண்ணூறு',
+];
+const tamilTensJoin = [
+  '', '', 'இருபத்து', 'முப்பத்து', 'நாற்பத்து', 'ஐம்பத்து',
+  'அறுபத்து', 'எழுபத்து', 'எண்பத்து', 'தொண்ணூற்று',
+];
+
+/** Tamil hundreds (100–900): standalone and joining forms */
+const tamilHundreds = [
+  '', 'நூறு', 'இருநூறு', 'முந்நூறு', 'நானூறு', 'ஐந்நூறு',
+  'அறுநூறு', 'எழுநூறு', 'எண்ணூறு', 'தொள்ளாயிரம்',
+];
+const tamilHundredsJoin = [
+  '', 'நூற்று', 'இருநூற்று', 'முந்நூற்று', 'நானூற்று', 'ஐந்நூற்று',
+  'அறுநூற்று', 'எழுநூற்று', 'எண்ணூற்று', 'தொள்ளாயிரத்து',
+];
+
+/**
+ * Tamil thousands (1000–19000, 20000–90000), written as one word with
+ * the number before them (இரண்டாயிரம், பத்தாயிரம்). One thousand after
+ * tens is ஓராயிரம் (21000 → இருபத்து ஓராயிரம்); on its own it is ஆயிரம்.
+ */
+const tamilThousands = [
+  '', 'ஓராயிரம்', 'இரண்டாயிரம்', 'மூவாயிரம்', 'நான்காயிரம்', 'ஐந்தாயிரம்',
+  'ஆறாயிரம்', 'ஏழாயிரம்', 'எட்டாயிரம்', 'ஒன்பதாயிரம்',
+  'பத்தாயிரம்', 'பதினோராயிரம்', 'பன்னிரண்டாயிரம்', 'பதின்மூன்றாயிரம்', 'பதினான்காயிரம்',
+  'பதினைந்தாயிரம்', 'பதினாறாயிரம்', 'பதினேழாயிரம்', 'பதினெட்டாயிரம்', 'பத்தொன்பதாயிரம்',
+];
+const tamilTensThousands = [
+  '', '', 'இருபதாயிரம்', 'முப்பதாயிரம்', 'நாற்பதாயிரம்', 'ஐம்பதாயிரம்',
+  'அறுபதாயிரம்', 'எழுபதாயிரம்', 'எண்பதாயிரம்', 'தொண்ணூறாயிரம்',
+];
+
+/** Large places: divisor, standalone word, joining word */
+const tamilPlaces = [
+  [10000000, 'கோடி', 'கோடியே'],
+  [100000, 'இலட்சம்', 'இலட்சத்து'],
+];
+
+/**
+ * Tamil words for 1–99 thousand, in the joining form (ஆயிரத்து) when
+ * another number follows.
+ * @param {number} count - Thousands (1–99)
+ * @param {boolean} join - Whether more of the number follows
+ * @returns {string[]} Words
+ */
+function tamilThousandWords(count, join) {
+  let words;
+  if (count === 1) words = ['ஆயிரம்'];
+  else if (count < 20) words = [tamilThousands[count]];
+  else if (count % 10 === 0) words = [tamilTensThousands[count / 10]];
+  else words = [tamilTensJoin[Math.floor(count / 10)], tamilThousands[count % 10]];
+
+  // ஆயிரம் → ஆயிரத்து
+  if (join) words[words.length - 1] = words[words.length - 1].replace(/ம்$/, 'த்து');
+  return words;
+}
+
+/**
+ * Recursively converts a non-negative integer into Tamil words
+ * using the Indian numbering system (கோடி → இலட்சம் → ஆயிரம் → நூறு).
+ * @param {number} num - Non-negative integer to convert
+ * @returns {string} Tamil word representation
+ */
+function convertToTamilWords(num) {
+  if (num === 0) return 'பூஜ்ஜியம்';
+
+  const words = [];
+
+  tamilPlaces.forEach(([divisor, word, joinWord]) => {
+    const count = Math.floor(num / divisor);
+    if (count === 0) return;
+    num %= divisor;
+
+    // Lakhs and crores take "ஒரு" (one)
+    words.push(count > 1 ? convertToTamilWords(count) : 'ஒரு');
+    words.push(num > 0 ? joinWord : word);
+  });
+
+  // Thousands
+  const thousands = Math.floor(num / 1000);
+  num %= 1000;
+  if (thousands > 0) words.push(...tamilThousandWords(thousands, num > 0));
+
+  // Hundreds
+  const hundreds = Math.floor(num / 100);
+  num %= 100;
+  if (hundreds > 0) {
+    words.push(num > 0 ? tamilHundredsJoin[hundreds] : tamilHundreds[hundreds]);
+  }
+
+  // Remaining (0–99)
+  if (num > 0) {
+    if (num < 20) {
+      words.push(tamilOnes[num]);
+    } else if (num % 10 === 0) {
+      words.push(tamilTens[num / 10]);
+    } else {
+      words.push(tamilTensJoin[Math.floor(num / 10)], tamilOnes[num % 10]);
+    }
+  }
+
+  return words.join(' ');
+}
+
+/**
+ * Converts an INR amount (with optional paise) into Tamil words.
+ * @param {number} amount - The amount in rupees (e.g., 47200 or 47200.50)
+ * @returns {string} Human-readable amount (e.g., "நாற்பத்து ஏழாயிரத்து இருநூறு ரூபாய்")
+ */
+function amountToWordsTamil(amount) {
+  const rupees = Math.floor(amount);
+  const paise = Math.round((amount - rupees) * 100);
+
+  let result = convertToTamilWords(rupees) + ' ரூபாய்';
+
+  if (paise > 0) {
+    result += ' ' + convertToTamilWords(paise) + ' பைசா';
+  }
+
+  return result;
+}
+
+module.exports = { amountToWords, amountToWordsTamil };
@@ -0,0 +1,55 @@
+/**
+ * Business Profile
+ *
+ * The user's own business details (name, contact, GSTIN, branding,
+ * bank / UPI details) printed on every invoice and estimate.
+ * Users who haven't saved a profile yet get the original
+ * Crown Interiors letterhead.
+ */
+
+const { supabaseAdmin } = require('../config/supabase');
+const { DEFAULT_PDF_TEMPLATE } = require('./pdfTemplates');
+
+/** Profile used until the user saves their own details */
+const DEFAULT_BUSINESS = {
+  name: 'Crown Interiors',
+  tagline: 'Quality Carpentry & Interior Works',
+  address: null,
+  phone: null,
+  email: null,
+  gstin: null,
+  logo_image: null,
+  signature_image: null,
+  bank_name: null,
+  account_name: null,
+  account_number: null,
+  ifsc: null,
+  upi_id: null,
+  default_terms: null,
+  footer_text: 'Thank you for your business! 🙏',
+  pdf_template: DEFAULT_PDF_TEMPLATE,
+  round_off: false,
+};
+
+const PROFILE_COLUMNS = Object.keys(DEFAULT_BUSINESS).join(', ');
+
+/**
+ * Loads the user's business profile, falling back to the defaults.
+ * @param {string} userId - The authenticated user's UUID
+ * @returns {Promise<object>} Business profile
+ */
+async function getBusinessProfile(userId) {
+  const { data, error } = await supabaseAdmin
+    .from('business_profiles')
+    .select(PROFILE_COLUMNS)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return { ...DEFAULT_BUSINESS, ...data };
+}
+
+module.exports = {
+  DEFAULT_BUSINESS,
+  getBusinessProfile,
+};
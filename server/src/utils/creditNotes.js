@@ -0,0 +1,192 @@
+/**
+ * Credit Notes
+ *
+ * A credit note reverses all or part of an issued invoice: goods
+ * returned, a job called off, or a billing mistake. The invoice itself
+ * is never edited or deleted once credited — GST returns need both
+ * documents — so the credit is a document of its own:
+ *
+ *   - It credits whole or part quantities of the invoice's lines, at the
+ *     invoice's rates, line discounts and GST rates, and a matching share
+ *     of the invoice discount. A line can't be credited beyond its
+ *     quantity across all credit notes.
+ *   - Crediting everything still left on the invoice makes the credit
+ *     notes add up to exactly the invoice total (round-off included).
+ *   - Cancelling a credit note gives its lines back to the invoice.
+ *
+ * Credited amounts come off the invoice's balance (see paymentStatus.js).
+ */
+
+const { roundMoney, createHttpError } = require('./helpers');
+const { roundQuantity, calculateInvoiceTotals } = require('./invoiceTotals');
+
+/** Why a credit note was issued */
+const CREDIT_NOTE_REASONS = ['return', 'cancellation', 'correction', 'other'];
+
+/** Invoice statuses a credit note can be issued against (issued, not voided) */
+const CREDITABLE_STATUSES = ['sent', 'partially_paid', 'paid', 'overdue', 'credited'];
+
+const isActive = (creditNote) => creditNote.status !== 'cancelled';
+
+/**
+ * Throws unless credit notes can be issued against a document.
+ * @param {object} invoice - Document with document_type and status
+ * @throws {Error} 400 for estimates, credit notes, drafts and cancelled invoices
+ */
+function assertCreditable(invoice) {
+  if (invoice.document_type !== 'invoice') {
+    throw createHttpError(400, 'Credit notes can only be issued against invoices');
+  }
+  if (!CREDITABLE_STATUSES.includes(invoice.status)) {
+    throw createHttpError(
+      400,
+      invoice.status === 'draft'
+        ? 'A draft invoice can be edited instead of credited'
+        : 'A cancelled invoice cannot be credited'
+    );
+  }
+}
+
+/**
+ * Sum of an invoice's credit notes that are not cancelled.
+ * @param {object[]} creditNotes - Credit notes with status and total_amount
+ * @returns {number}
+ */
+function getCreditedAmount(creditNotes) {
+  return roundMoney(
+    creditNotes.filter(isActive).reduce((sum, cn) => sum + Number(cn.total_amount || 0), 0)
+  );
+}
+
+/**
+ * Each invoice line with how much of it has been credited and what is left.
+ * @param {object} invoice - Invoice with services
+ * @param {object[]} creditNotes - Its credit notes (cancelled ones are ignored)
+ * @returns {object[]} `{ line, description, unit, rate, quantity, amount,
+ *   credited, remaining }` in invoice line order
+ */
+function getCreditableLines(invoice, creditNotes) {
+  const creditedLines = creditNotes.filter(isActive).flatMap((cn) => cn.services || []);
+
+  return (invoice.services || []).map((line, index) => {
+    const quantity = roundQuantity(line.quantity);
+    const credited = roundQuantity(
+      creditedLines
+        .filter((l) => l.source_line === index)
+        .reduce((sum, l) => sum + Number(l.quantity || 0), 0)
+    );
+    return {
+      line: index,
+      description: line.description,
+      unit: line.unit || null,
+      rate: Number(line.rate),
+      quantity,
+      amount: Number(line.amount),
+      credited,
+      remaining: Math.max(roundQuantity(quantity - credited), 0),
+    };
+  });
+}
+
+/**
+ * Works out the lines and totals of a new credit note.
+ *
+ * @param {object} invoice - The invoice being credited
+ * @param {object[]} creditNotes - Its existing credit notes
+ * @param {Array<{ line: number, quantity: number }>|null} lines - Invoice
+ *   line indexes and quantities to credit; null credits everything left
+ * @returns {{ services: object[], subtotal: number, tax_amount: number,
+ *   discount_type: string, discount_value: number, discount_amount: number,
+ *   round_off: boolean, round_off_amount: number, total_amount: number }}
+ *   Credit note lines carry `source_line`
+ * @throws {Error} 400 for unknown lines or quantities beyond what is left,
+ *   409 when nothing is left to credit
+ */
+function buildCreditNote(invoice, creditNotes, lines) {
+  const creditable = getCreditableLines(invoice, creditNotes);
+  const requested = lines || creditable
+    .filter((l) => l.remaining > 0)
+    .map((l) => ({ line: l.line, quantity: l.remaining }));
+
+  const seen = new Set();
+  requested.forEach(({ line, quantity }) => {
+    const available = creditable[line];
+    if (!available || seen.has(line)) {
+      throw createHttpError(400, `Line ${line + 1} is not on the invoice or was listed twice`);
+    }
+    seen.add(line);
+    if (roundQuantity(quantity) > available.remaining) {
+      throw createHttpError(
+        400,
+        `Only ${available.remaining} of line ${line + 1} (${available.description}) can still be credited`
+      );
+    }
+  });
+
+  const alreadyCredited = getCreditedAmount(creditNotes);
+  const left = roundMoney(Number(invoice.total_amount) - alreadyCredited);
+  if (requested.length === 0 || left <= 0) {
+    throw createHttpError(409, 'Everything on this invoice has already been credited');
+  }
+
+  // Lines at the invoice's rate; the line discount is shared out by quantity
+  const services = requested.map(({ line, quantity }) => {
+    const original = invoice.services[line];
+    const share = roundQuantity(quantity) / roundQuantity(original.quantity);
+    return {
+      description: original.description,
+      quantity: roundQuantity(quantity),
+      unit: original.unit || null,
+      rate: Number(original.rate),
+      discount_type: 'flat',
+      discount_value: roundMoney(Number(original.discount_amount || 0) * share),
+      hsn_sac: original.hsn_sac || null,
+      ...(original.tax_rate !== undefined && { tax_rate: original.tax_rate }),
+      source_line: line,
+    };
+  });
+
+  // The invoice discount is shared out by the value of the lines credited
+  const base = calculateInvoiceTotals({ ...invoice, services, discount_type: 'flat', discount_value: 0 });
+  const invoiceSubtotal = Number(invoice.subtotal) || 0;
+  const discount = invoiceSubtotal > 0
+    ? roundMoney(Number(invoice.discount_amount || 0) * (base.subtotal / invoiceSubtotal))
+    : 0;
+
+  const totals = calculateInvoiceTotals({
+    ...invoice,
+    services,
+    discount_type: 'flat',
+    discount_value: discount,
+    round_off: false,
+  });
+
+  // The last credit takes whatever is left, so the credits add up to the
+  // invoice total exactly; a partial one can never go past it
+  const creditsEverything = creditable.every((l) => {
+    const credited = requested.find((r) => r.line === l.line);
+    return roundQuantity(l.remaining - (credited ? credited.quantity : 0)) <= 0;
+  });
+  const total = creditsEverything ? left : Math.min(totals.total_amount, left);
+
+  return {
+    services: totals.services,
+    subtotal: totals.subtotal,
+    tax_amount: totals.tax_amount,
+    discount_type: 'flat',
+    discount_value: totals.discount_amount,
+    discount_amount: totals.discount_amount,
+    round_off: total !== totals.total_amount,
+    round_off_amount: roundMoney(total - totals.total_amount),
+    total_amount: total,
+  };
+}
+
+module.exports = {
+  CREDIT_NOTE_REASONS,
+  CREDITABLE_STATUSES,
+  assertCreditable,
+  getCreditedAmount,
+  getCreditableLines,
+  buildCreditNote,
+};
@@ -0,0 +1,53 @@
+/**
+ * Estimate Responses
+ *
+ * A customer opening an estimate's share link can accept it (drawing a
+ * signature) or reject it, with an optional comment. The answer sets the
+ * estimate's status to 'accepted' or 'rejected'. An estimate can be
+ * answered while it is a draft or sent; once the user reopens a rejected
+ * estimate as a draft, the customer can answer again.
+ */
+
+/** The answers a customer can give */
+const RESPONSE_DECISIONS = ['accepted', 'rejected'];
+
+/** Estimate statuses still waiting for the customer's answer */
+const AWAITING_RESPONSE_STATUSES = ['draft', 'sent'];
+
+/** Longest comment a customer can leave */
+const MAX_COMMENT_LENGTH = 1000;
+
+/** Largest signature accepted, as a data URL (~150 KB of PNG) */
+const MAX_SIGNATURE_LENGTH = 200000;
+
+const SIGNATURE_PATTERN = /^data:image\/png;base64,[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Whether a document is an estimate the customer can still answer.
+ * @param {object} invoice - Document with document_type and status
+ * @returns {boolean}
+ */
+function canRespond(invoice) {
+  return invoice.document_type === 'estimate'
+    && AWAITING_RESPONSE_STATUSES.includes(invoice.status);
+}
+
+/**
+ * Whether a value is a PNG data URL small enough to store as a signature.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isSignatureImage(value) {
+  return typeof value === 'string'
+    && value.length <= MAX_SIGNATURE_LENGTH
+    && SIGNATURE_PATTERN.test(value);
+}
+
+module.exports = {
+  RESPONSE_DECISIONS,
+  AWAITING_RESPONSE_STATUSES,
+  MAX_COMMENT_LENGTH,
+  MAX_SIGNATURE_LENGTH,
+  canRespond,
+  isSignatureImage,
+};
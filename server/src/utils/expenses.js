@@ -0,0 +1,116 @@
+/**
+ * Expenses & Job Profit
+ *
+ * What a job costs (materials, hardware, labour, transport) against what
+ * it was billed for. Revenue is the invoice total without GST — the tax
+ * is collected for the government, not earned — so profit is
+ * revenue − expenses. A cancelled invoice earns nothing, but what was
+ * spent on it still counts; credit notes against it take back what they
+ * credit.
+ */
+
+const { roundMoney } = require('./helpers');
+
+/** Expense categories, in the order they are offered */
+const EXPENSE_CATEGORIES = ['materials', 'hardware', 'labour', 'transport', 'other'];
+
+/** Receipt photo types accepted, with the file extension they are stored under */
+const RECEIPT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+/** Largest receipt photo accepted (the client shrinks photos well below this) */
+const MAX_RECEIPT_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Decodes a receipt photo sent as a data URL.
+ * @param {string} dataUrl - e.g. "data:image/jpeg;base64,/9j/..."
+ * @returns {{ buffer: Buffer, contentType: string, extension: string }|null}
+ *   null when it is not an accepted image or is too large
+ */
+function parseReceiptImage(dataUrl) {
+  const match = /^data:(image\/[a-z]+);base64,([A-Za-z0-9+/]+={0,2})$/.exec(dataUrl || '');
+  if (!match || !RECEIPT_TYPES[match[1]]) return null;
+
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length === 0 || buffer.length > MAX_RECEIPT_BYTES) return null;
+
+  return { buffer, contentType: match[1], extension: RECEIPT_TYPES[match[1]] };
+}
+
+/**
+ * What an invoice earns: its total without GST (0 once cancelled).
+ * @param {object} invoice - Invoice with total_amount, tax_amount and status
+ * @returns {number}
+ */
+function getInvoiceRevenue(invoice) {
+  if (invoice.status === 'cancelled') return 0;
+  return roundMoney(Number(invoice.total_amount || 0) - Number(invoice.tax_amount || 0));
+}
+
+/**
+ * Adds up expenses, in total and per category (every category present).
+ * @param {object[]} expenses - Expenses with category and amount
+ * @returns {{ total: number, by_category: Object<string, number> }}
+ */
+function summarizeExpenses(expenses) {
+  const byCategory = Object.fromEntries(EXPENSE_CATEGORIES.map((c) => [c, 0]));
+  let total = 0;
+
+  expenses.forEach((expense) => {
+    const amount = Number(expense.amount) || 0;
+    byCategory[expense.category] = roundMoney((byCategory[expense.category] || 0) + amount);
+    total += amount;
+  });
+
+  return { total: roundMoney(total), by_category: byCategory };
+}
+
+/**
+ * Profit on one job (an invoice and the expenses booked against it).
+ * @param {object} invoice
+ * @param {object[]} expenses
+ * @param {object[]} [creditNotes] - Credit notes issued against the invoice
+ * @returns {{ revenue: number, expenses: number, by_category: Object<string, number>,
+ *   profit: number, margin: number|null }} margin is a percentage of revenue
+ *   (null without revenue)
+ */
+function getJobProfit(invoice, expenses, creditNotes = []) {
+  const credited = creditNotes.reduce((sum, cn) => sum + getInvoiceRevenue(cn), 0);
+  const revenue = invoice.status === 'cancelled' ? 0 : roundMoney(getInvoiceRevenue(invoice) - credited);
+  const { total, by_category: byCategory } = summarizeExpenses(expenses);
+  const profit = roundMoney(revenue - total);
+
+  return {
+    revenue,
+    expenses: total,
+    by_category: byCategory,
+    profit,
+    margin: revenue > 0 ? Math.round((profit / revenue) * 1000) / 10 : null,
+  };
+}
+
+/**
+ * The calendar month a date falls in, as a half-open date range.
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{ from: string, before: string }} First day of the month and
+ *   of the next month (YYYY-MM-DD)
+ */
+function getMonthRange(today) {
+  const [year, month] = today.split('-').map(Number);
+  const next = new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10);
+  return { from: `${today.slice(0, 7)}-01`, before: next };
+}
+
+module.exports = {
+  EXPENSE_CATEGORIES,
+  RECEIPT_TYPES,
+  MAX_RECEIPT_BYTES,
+  parseReceiptImage,
+  getInvoiceRevenue,
+  summarizeExpenses,
+  getJobProfit,
+  getMonthRange,
+};
@@ -0,0 +1,159 @@
+/**
+ * GST Helpers
+ *
+ * Rules for Indian Goods & Services Tax used by validation, the PDF
+ * and (later) reports:
+ *   - GSTIN format + checksum validation
+ *   - State codes for place of supply
+ *   - Intra-state supply → CGST + SGST (half each); inter-state → IGST
+ *   - Tax summary grouped by rate
+ */
+
+const { roundMoney } = require('./helpers');
+
+/** GST rate slabs (percent) accepted on a line item */
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+/** GST state / union territory codes (first two digits of a GSTIN) */
+const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory',
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Validates a GSTIN's format, state code and check digit.
+ * @param {string} gstin - 15-character GSTIN
+ * @returns {boolean} true if the GSTIN is well-formed
+ */
+function isValidGstin(gstin) {
+  if (typeof gstin !== 'string') return false;
+  const value = gstin.toUpperCase();
+  if (!GSTIN_PATTERN.test(value) || !GST_STATES[value.slice(0, 2)]) return false;
+
+  // Check digit: weighted base-36 sum of the first 14 characters
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(value[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  const checkChar = GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+
+  return value[14] === checkChar;
+}
+
+/**
+ * Extracts the state code from a GSTIN.
+ * @param {string} [gstin]
+ * @returns {string|null} Two-digit state code, or null if no GSTIN
+ */
+function getStateCode(gstin) {
+  return gstin ? gstin.slice(0, 2) : null;
+}
+
+/**
+ * Determines whether a supply is inter-state (IGST) or intra-state (CGST + SGST).
+ * Without a business GSTIN the supply is treated as intra-state.
+ * @param {object} invoice - Invoice with `business_gstin` and `place_of_supply`
+ * @returns {boolean} true when IGST applies
+ */
+function isInterState(invoice) {
+  const businessState = getStateCode(invoice.business_gstin);
+  return Boolean(
+    businessState && invoice.place_of_supply && businessState !== invoice.place_of_supply
+  );
+}
+
+/**
+ * Groups taxable value and tax by GST rate.
+ * Lines without their own `tax_rate` (invoices created before per-line
+ * rates existed) use the invoice-level `tax_percentage`.
+ *
+ * @param {object} invoice - Invoice with `services`, `tax_enabled`, `tax_percentage`
+ * @returns {{rows: object[], cgst: number, sgst: number, igst: number, interState: boolean}}
+ *   rows: `{ rate, taxable, cgst, sgst, igst, tax }` sorted by rate
+ */
+function buildTaxSummary(invoice) {
+  const interState = isInterState(invoice);
+  const byRate = new Map();
+
+  if (invoice.tax_enabled) {
+    (invoice.services || []).forEach((line) => {
+      const rate = Number(line.tax_rate ?? invoice.tax_percentage ?? 0);
+      const amount = Number(line.amount ?? Number(line.quantity) * Number(line.rate)) || 0;
+      byRate.set(rate, (byRate.get(rate) || 0) + amount);
+    });
+  }
+
+  const rows = [...byRate.entries()]
+    .filter(([rate]) => rate > 0)
+    .sort(([a], [b]) => a - b)
+    .map(([rate, taxable]) => {
+      const tax = roundMoney((taxable * rate) / 100);
+      const half = roundMoney(tax / 2);
+      return {
+        rate,
+        taxable: roundMoney(taxable),
+        cgst: interState ? 0 : half,
+        sgst: interState ? 0 : roundMoney(tax - half),
+        igst: interState ? tax : 0,
+        tax,
+      };
+    });
+
+  const sum = (key) => roundMoney(rows.reduce((total, row) => total + row[key], 0));
+
+  return {
+    rows,
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    interState,
+  };
+}
+
+module.exports = {
+  GST_RATES,
+  GST_STATES,
+  isValidGstin,
+  getStateCode,
+  isInterState,
+  buildTaxSummary,
+};
@@ -5,6 +5,8 @@
  * for formatting, parsing, and common operations.
  */
 
+const crypto = require('crypto');
+
 /**
  * Formats a numeric amount in Indian currency style (e.g., 1,25,000.00).
  * Uses the 'en-IN' locale for proper Indian grouping separators.
@@ -45,8 +47,76 @@ function parsePositiveInt(value, fallback) {
   return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
 }
 
+/**
+ * Turns a search term into an ilike pattern that is safe inside a
+ * PostgREST `or()` filter, where commas, parentheses and quotes are syntax.
+ * @param {string} term - Search text as typed
+ * @returns {string} e.g. "%ravi kumar%" ("" when nothing searchable is left)
+ */
+function toSearchPattern(term) {
+  const cleaned = String(term || '').replace(/[,()"\\]/g, ' ').replace(/\s+/g, ' ').trim();
+  return cleaned ? `%${cleaned}%` : '';
+}
+
+/**
+ * Creates an Error carrying an HTTP status code. The global error handler
+ * returns the message of 4xx errors to the client as-is.
+ * @param {number} status - HTTP status code (e.g. 400, 409)
+ * @param {string} message - Client-facing error message
+ * @returns {Error} Error with a `status` property
+ */
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Rounds a rupee amount to 2 decimal places (paise precision).
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+function roundMoney(amount) {
+  return Math.round((Number(amount) + Number.EPSILON) * 100) / 100;
+}
+
+/** Rows fetched per request by fetchAllRows (PostgREST caps responses at max-rows, 1000 by default) */
+const PAGE_SIZE = 1000;
+
+/**
+ * Fetches every row of a query, a page at a time, so long results are not
+ * cut off at the server's row limit. The query must be ordered on a
+ * unique column so pages do not overlap.
+ * @param {function(): object} makeQuery - Builds the Supabase query afresh
+ * @param {number} [pageSize=PAGE_SIZE]
+ * @returns {Promise<object[]>}
+ */
+async function fetchAllRows(makeQuery, pageSize = PAGE_SIZE) {
+  const rows = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await makeQuery().range(from, from + pageSize - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < pageSize) return rows;
+  }
+}
+
+/**
+ * A random prefix for a file in the public storage bucket, so its URL
+ * cannot be worked out from the user id and document number.
+ * @returns {string} 32 hex characters
+ */
+function randomStorageKey() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
 module.exports = {
   formatCurrencyINR,
   formatDateIN,
   parsePositiveInt,
+  toSearchPattern,
+  createHttpError,
+  roundMoney,
+  randomStorageKey,
+  fetchAllRows,
 };
@@ -0,0 +1,117 @@
+/**
+ * Document History
+ *
+ * Every change to a document is recorded as an event saying who made it,
+ * when, and which fields changed. Events that change the document also
+ * keep a snapshot of it afterwards: these are its versions, numbered
+ * from 1, and any of them can be shown (or printed) again. Generating a
+ * PDF or a share link records the version that went to the customer;
+ * moving the document to the Trash and back is recorded too.
+ */
+
+/** Events that change the document (and carry a snapshot of it) */
+const CHANGE_ACTIONS = ['history_started', 'created', 'updated', 'status_changed'];
+
+/** Events that hand the document out as it stands */
+const USE_ACTIONS = ['pdf_generated', 'shared'];
+
+/** Moving the document to the Trash and restoring it */
+const TRASH_ACTIONS = ['deleted', 'restored'];
+
+/** Who an event is attributed to: the owner, the customer or the app itself */
+const ACTOR_TYPES = ['user', 'customer', 'system'];
+
+/** The signed-in owner (the default actor) */
+const USER_ACTOR = { type: 'user', name: null };
+
+/** Scheduled jobs, e.g. flagging overdue invoices */
+const SYSTEM_ACTOR = { type: 'system', name: null };
+
+/** Columns that are not part of a version */
+const UNVERSIONED_FIELDS = ['id', 'user_id', 'created_at', 'updated_at', 'deleted_at', 'balance_due'];
+
+/**
+ * A document's versioned fields.
+ * @param {object} invoice - Invoice row (as stored or as presented)
+ * @returns {object}
+ */
+function toSnapshot(invoice) {
+  return Object.fromEntries(
+    Object.entries(invoice).filter(([field]) => !UNVERSIONED_FIELDS.includes(field))
+  );
+}
+
+/** Missing and empty values compare (and are stored) as null */
+const normalize = (value) => (value === undefined || value === '' ? null : value);
+
+/**
+ * Field-level differences between two snapshots, in the order the
+ * fields appear.
+ * @param {object} before
+ * @param {object} after
+ * @returns {{ field: string, from: *, to: * }[]}
+ */
+function diffSnapshots(before, after) {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields
+    .map((field) => ({ field, from: normalize(before[field]), to: normalize(after[field]) }))
+    .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+}
+
+/**
+ * Builds the event for a change to a document.
+ * @param {object|null} before - The document before (null when it was just created)
+ * @param {object} after - The document after
+ * @param {{ type: string, name: string|null }} [actor]
+ * @returns {object|null} An invoice_history row, or null when nothing changed
+ */
+function buildChangeEvent(before, after, actor = USER_ACTOR) {
+  const snapshot = toSnapshot(after);
+  let action = 'created';
+  let changes = [];
+
+  if (before) {
+    changes = diffSnapshots(toSnapshot(before), snapshot);
+    if (changes.length === 0) return null;
+    action = changes.every((c) => c.field === 'status') ? 'status_changed' : 'updated';
+  }
+
+  return {
+    user_id: after.user_id,
+    invoice_id: after.id,
+    action,
+    actor_type: actor.type,
+    actor_name: actor.name || null,
+    changes,
+    snapshot,
+  };
+}
+
+/**
+ * Numbers a document's versions. Events must be oldest first; each
+ * change event gets the next version and every other event the version
+ * current at the time.
+ * @param {object[]} events - invoice_history rows, oldest first
+ * @returns {object[]} The events with `version` (0 before the first change)
+ */
+function numberVersions(events) {
+  let version = 0;
+  return events.map((event) => {
+    if (CHANGE_ACTIONS.includes(event.action)) version += 1;
+    return { ...event, version };
+  });
+}
+
+module.exports = {
+  CHANGE_ACTIONS,
+  USE_ACTIONS,
+  TRASH_ACTIONS,
+  ACTOR_TYPES,
+  USER_ACTOR,
+  SYSTEM_ACTOR,
+  toSnapshot,
+  diffSnapshots,
+  buildChangeEvent,
+  numberVersions,
+};
@@ -1,55 +1,135 @@
 /**
  * Invoice Number Generator
  *
- * Generates sequential invoice numbers in the format: CI-001, CI-002, CI-003, ...
- *   - Prefix: "CI" (Crown Interiors)
- *   - Number: Zero-padded to 3 digits minimum, auto-increments per user
- *   - Each user has their own independent sequence
+ * Generates sequential document numbers from a per-user counter:
+ *   - Invoices, estimates and credit notes have separate series
+ *     (CI-001 / CE-001 / CN-001)
+ *   - Prefix and zero-padding are configurable per user
+ *   - Optionally the series restarts every Indian financial year
+ *     (1 April), producing numbers like CI/2026-27/001
  *
- * Strategy: Fetch the latest invoice number for the user, extract the
- * numeric part, increment, and return the next number.
+ * Strategy: The counter lives in the `document_sequences` table and is
+ * incremented by the `next_document_number` database function in a
+ * single upsert, so concurrent creates never receive the same number.
  */
 
 const { supabaseAdmin } = require('../config/supabase');
 
-/** Prefix used for all invoice numbers */
-const INVOICE_PREFIX = 'CI';
+/** Numbering used until the user saves their own preferences */
+const DEFAULT_NUMBERING = {
+  invoice_prefix: 'CI',
+  estimate_prefix: 'CE',
+  credit_note_prefix: 'CN',
+  padding: 3,
+  reset_yearly: false,
+};
 
-/** Minimum number of digits in the numeric portion */
-const MIN_DIGITS = 3;
+/** Settings field holding each document type's prefix */
+const PREFIX_FIELDS = {
+  invoice: 'invoice_prefix',
+  estimate: 'estimate_prefix',
+  credit_note: 'credit_note_prefix',
+};
 
 /**
- * Generates the next invoice number for a given user.
+ * Returns the Indian financial year (April–March) a date falls in.
+ * @param {string|Date} date - ISO date string (YYYY-MM-DD) or Date
+ * @returns {string} Financial year label (e.g., "2026-27")
+ */
+function getFinancialYear(date) {
+  // Dates are read in IST so 31 March 11 PM doesn't roll into the next year
+  const isoDate = date instanceof Date
+    ? date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' })
+    : String(date);
+  const [year, month] = isoDate.split('-').map(Number);
+
+  const startYear = month >= 4 ? year : year - 1;
+  const endYear = String((startYear + 1) % 100).padStart(2, '0');
+  return `${startYear}-${endYear}`;
+}
+
+/**
+ * Formats a counter value into a document number.
+ * @param {number} value - Counter value (1, 2, 3, ...)
+ * @param {object} options
+ * @param {string} options.prefix - Series prefix (e.g., "CI")
+ * @param {number} options.padding - Minimum number of digits
+ * @param {string} [options.financialYear] - Included when yearly reset is on
+ * @returns {string} e.g. "CI-042" or "CI/2026-27/042"
+ */
+function formatDocumentNumber(value, { prefix, padding, financialYear }) {
+  // Pad with leading zeros (e.g., 1 → "001", 42 → "042", 1000 → "1000")
+  const paddedNumber = String(value).padStart(padding, '0');
+
+  return financialYear
+    ? `${prefix}/${financialYear}/${paddedNumber}`
+    : `${prefix}-${paddedNumber}`;
+}
+
+/**
+ * The counter series a document number is drawn from.
+ * @param {string} documentType - 'invoice', 'estimate' or 'credit_note'
+ * @param {string|null} financialYear - Set when yearly reset is on
+ * @returns {string} e.g. "invoice" or "invoice:2026-27"
+ */
+function getSeries(documentType, financialYear) {
+  return financialYear ? `${documentType}:${financialYear}` : documentType;
+}
+
+/**
+ * Loads the user's numbering preferences, falling back to the defaults.
  * @param {string} userId - The authenticated user's UUID
- * @returns {Promise<string>} The next invoice number (e.g., "CI-042")
- * @throws {Error} If the database query fails
+ * @returns {Promise<object>} Numbering settings
  */
-async function generateInvoiceNumber(userId) {
-  // Fetch the most recent invoice number for this user
+async function getNumberingSettings(userId) {
   const { data, error } = await supabaseAdmin
-    .from('invoices')
-    .select('invoice_number')
+    .from('numbering_settings')
+    .select('invoice_prefix, estimate_prefix, credit_note_prefix, padding, reset_yearly')
     .eq('user_id', userId)
-    .order('created_at', { ascending: false })
-    .limit(1);
+    .maybeSingle();
 
   if (error) throw error;
+  return { ...DEFAULT_NUMBERING, ...data };
+}
 
-  let nextNumber = 1;
+/**
+ * Generates the next document number for a given user.
+ * @param {string} userId - The authenticated user's UUID
+ * @param {string} [documentType='invoice'] - 'invoice', 'estimate' or 'credit_note'
+ * @param {string} [documentDate] - Document date (YYYY-MM-DD); decides the
+ *   financial year when yearly reset is on. Defaults to today.
+ * @returns {Promise<string>} The next number (e.g., "CI-042", "CE/2026-27/007")
+ * @throws {Error} If the database call fails
+ */
+async function generateInvoiceNumber(userId, documentType = 'invoice', documentDate) {
+  const settings = await getNumberingSettings(userId);
 
-  if (data && data.length > 0) {
-    const lastNumber = data[0].invoice_number;
+  const financialYear = settings.reset_yearly
+    ? getFinancialYear(documentDate || new Date())
+    : null;
+  const series = getSeries(documentType, financialYear);
 
-    // Extract the numeric part after "CI-"
-    const match = lastNumber.match(new RegExp(`${INVOICE_PREFIX}-(\\d+)`));
-    if (match) {
-      nextNumber = parseInt(match[1], 10) + 1;
-    }
-  }
+  // Atomically increment and read the counter for this series
+  const { data: value, error } = await supabaseAdmin.rpc('next_document_number', {
+    p_user_id: userId,
+    p_series: series,
+  });
 
-  // Pad with leading zeros (e.g., 1 → "001", 42 → "042", 1000 → "1000")
-  const paddedNumber = String(nextNumber).padStart(MIN_DIGITS, '0');
-  return `${INVOICE_PREFIX}-${paddedNumber}`;
+  if (error) throw error;
+
+  return formatDocumentNumber(value, {
+    prefix: settings[PREFIX_FIELDS[documentType] || PREFIX_FIELDS.invoice],
+    padding: settings.padding,
+    financialYear,
+  });
 }
 
-module.exports = { generateInvoiceNumber };
+module.exports = {
+  DEFAULT_NUMBERING,
+  PREFIX_FIELDS,
+  getFinancialYear,
+  formatDocumentNumber,
+  getSeries,
+  getNumberingSettings,
+  generateInvoiceNumber,
+};
@@ -0,0 +1,144 @@
+/**
+ * Invoice Status Engine
+ *
+ * One place for every rule about an invoice's status:
+ *
+ *   - draft / sent / cancelled are set by hand (PUT /:id/status)
+ *   - partially_paid / paid are derived from recorded payments, and
+ *     credited from credit notes (paymentStatus.js)
+ *   - overdue is derived from the due date; it is computed whenever an
+ *     invoice is read and stored by the overdue job so lists can filter on it
+ *   - accepted is set on an estimate when the customer accepts it from its
+ *     share link, or when it is converted to an invoice
+ *   - rejected is set on an estimate the customer declines from its share
+ *     link; it can be reopened as a draft and sent again
+ *   - cancelled is final: the document stays on record but is no longer owed
+ *
+ * A credit note is issued as 'sent' and can only be cancelled.
+ */
+
+const { createHttpError } = require('./helpers');
+const { getBalanceDue, derivePaymentStatus } = require('./paymentStatus');
+
+/** Every status a document can have */
+const INVOICE_STATUSES = [
+  'draft',
+  'sent',
+  'accepted',
+  'rejected',
+  'partially_paid',
+  'paid',
+  'overdue',
+  'cancelled',
+  'credited',
+];
+
+/** Statuses the user can pick by hand */
+const MANUAL_STATUSES = ['draft', 'sent', 'cancelled'];
+
+/** Statuses of an issued invoice that still has money owing */
+const OPEN_STATUSES = ['sent', 'partially_paid', 'overdue'];
+
+/** Statuses that become 'overdue' once the due date has passed */
+const OVERDUE_ELIGIBLE_STATUSES = ['sent', 'partially_paid'];
+
+/**
+ * Moves that can be requested (by hand, by the customer's response to an
+ * estimate, or 'accepted' by conversion).
+ * Payment- and due-date-driven moves are derived and never requested.
+ */
+const STATUS_TRANSITIONS = {
+  draft: ['sent', 'accepted', 'rejected', 'cancelled'],
+  sent: ['draft', 'accepted', 'rejected', 'cancelled'],
+  overdue: ['cancelled'],
+  partially_paid: [],
+  paid: [],
+  accepted: [],
+  rejected: ['draft', 'cancelled'],
+  cancelled: [],
+  credited: [],
+};
+
+/** Business time zone — due dates are calendar dates in India */
+const TIME_ZONE = 'Asia/Kolkata';
+
+/**
+ * Today's date (YYYY-MM-DD) in the business time zone.
+ * @param {Date} [now=new Date()]
+ * @returns {string}
+ */
+function getToday(now = new Date()) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone: TIME_ZONE }).format(now);
+}
+
+/**
+ * Throws unless the status may move from `from` to `to`.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @throws {Error} 400 when the move is not allowed
+ */
+function assertTransition(from, to) {
+  if (from === to) return;
+  if (!(STATUS_TRANSITIONS[from] || []).includes(to)) {
+    throw createHttpError(400, `Cannot change status from "${from}" to "${to}"`);
+  }
+}
+
+/**
+ * Whether an invoice is past its due date with a balance remaining.
+ * Drafts, estimates and cancelled documents are never overdue.
+ * @param {object} invoice - Invoice with status, due_date, total_amount, amount_paid
+ * @param {string} [today=getToday()] - YYYY-MM-DD
+ * @returns {boolean}
+ */
+function isOverdue(invoice, today = getToday()) {
+  return (
+    invoice.document_type !== 'estimate' &&
+    [...OVERDUE_ELIGIBLE_STATUSES, 'overdue'].includes(invoice.status) &&
+    Boolean(invoice.due_date) &&
+    String(invoice.due_date).slice(0, 10) < today &&
+    getBalanceDue(invoice) > 0
+  );
+}
+
+/**
+ * The status an invoice should have today: 'overdue' once its due date
+ * has passed, and back to its payment-driven status when it no longer is
+ * (due date moved, or fully paid).
+ * @param {object} invoice
+ * @param {string} [today=getToday()]
+ * @returns {string}
+ */
+function resolveStatus(invoice, today = getToday()) {
+  if (isOverdue(invoice, today)) return 'overdue';
+  if (invoice.status !== 'overdue') return invoice.status;
+
+  return derivePaymentStatus(
+    Number(invoice.total_amount),
+    Number(invoice.amount_paid || 0),
+    'sent',
+    Number(invoice.amount_credited || 0)
+  );
+}
+
+/**
+ * Returns the invoice with its status resolved for today.
+ * @param {object} invoice - Invoice record from the database
+ * @returns {object}
+ */
+function withStatus(invoice) {
+  return { ...invoice, status: resolveStatus(invoice) };
+}
+
+module.exports = {
+  INVOICE_STATUSES,
+  MANUAL_STATUSES,
+  OPEN_STATUSES,
+  OVERDUE_ELIGIBLE_STATUSES,
+  getToday,
+  assertTransition,
+  isOverdue,
+  resolveStatus,
+  withStatus,
+};
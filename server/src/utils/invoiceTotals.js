@@ -0,0 +1,179 @@
+/**
+ * Invoice Totals
+ *
+ * The one definition of how an invoice adds up. Used to recompute the
+ * figures a client sends with an invoice, so a buggy client or a stale
+ * form can never store (and print) a total that doesn't match its lines.
+ *
+ * Rounding rules — the same ones the invoice form applies
+ * (client/src/utils/invoiceTotals.js):
+ *   1. Quantity is kept to 3 decimals
+ *   2. Line amount = quantity × rate − line discount, each rounded to paise;
+ *      GST is charged on this discounted amount
+ *   3. Subtotal = sum of the line amounts
+ *   4. GST is rounded once per rate slab (see buildTaxSummary);
+ *      the tax amount is the sum of the slabs
+ *   5. Invoice discount is taken off after tax; a percentage is of
+ *      subtotal + tax
+ *   6. Total = subtotal + tax − discount, never below zero, then rounded
+ *      to the nearest rupee when round-off is on (half a rupee rounds up)
+ *
+ * Discounts are `{ discount_type: 'flat' | 'percent', discount_value }`
+ * on a line or on the invoice; a flat discount never exceeds its base.
+ */
+
+const Joi = require('joi');
+const { roundMoney } = require('./helpers');
+const { buildTaxSummary } = require('./gst');
+
+/** Largest difference (₹) accepted from a client — absorbs floating-point noise */
+const TOLERANCE = 0.01;
+
+/** Ways a discount can be given */
+const DISCOUNT_TYPES = ['flat', 'percent'];
+
+/** Invoice fields that feed into, or are, the computed totals */
+const TOTALS_FIELDS = [
+  'services', 'tax_enabled', 'tax_percentage', 'business_gstin', 'place_of_supply',
+  'discount_type', 'discount_value', 'round_off',
+  'subtotal', 'tax_amount', 'discount_amount', 'round_off_amount', 'total_amount',
+];
+
+/**
+ * Rounds a quantity to 3 decimals.
+ * @param {number|string} quantity
+ * @returns {number}
+ */
+function roundQuantity(quantity) {
+  return Math.round((Number(quantity) + Number.EPSILON) * 1000) / 1000 || 0;
+}
+
+/**
+ * Line amount: quantity × rate, rounded to paise.
+ * @param {number|string} quantity
+ * @param {number|string} rate
+ * @returns {number}
+ */
+function calculateLineAmount(quantity, rate) {
+  return roundMoney(roundQuantity(quantity) * (Number(rate) || 0)) || 0;
+}
+
+/**
+ * Rupee value of a discount on a base amount, rounded to paise and
+ * capped at the base.
+ * @param {number} base - Amount the discount applies to
+ * @param {string} [type='flat'] - One of DISCOUNT_TYPES
+ * @param {number|string} [value=0] - Rupees, or percent for 'percent'
+ * @returns {number}
+ */
+function calculateDiscount(base, type = 'flat', value = 0) {
+  const amount = type === 'percent'
+    ? (base * (Number(value) || 0)) / 100
+    : Number(value) || 0;
+  return Math.min(roundMoney(amount), roundMoney(base));
+}
+
+/**
+ * Recomputes every derived figure of an invoice from its lines.
+ *
+ * Invoices saved before discount types existed only have a flat
+ * `discount_amount`, which is used as the discount value.
+ *
+ * @param {object} invoice - `services`, `tax_enabled`, `tax_percentage`,
+ *   `business_gstin`, `place_of_supply`, `discount_type`, `discount_value`,
+ *   `round_off`
+ * @returns {{services: object[], subtotal: number, tax_amount: number,
+ *   discount_amount: number, round_off_amount: number, total_amount: number}}
+ */
+function calculateInvoiceTotals(invoice) {
+  const services = (invoice.services || []).map((line) => {
+    const gross = calculateLineAmount(line.quantity, line.rate);
+    const discount = calculateDiscount(gross, line.discount_type, line.discount_value);
+    return {
+      ...line,
+      quantity: roundQuantity(line.quantity),
+      discount_amount: discount,
+      amount: roundMoney(gross - discount),
+    };
+  });
+
+  const subtotal = roundMoney(services.reduce((sum, line) => sum + line.amount, 0));
+  const taxSummary = buildTaxSummary({ ...invoice, services });
+  const taxAmount = roundMoney(taxSummary.rows.reduce((sum, row) => sum + row.tax, 0));
+  const discount = calculateDiscount(
+    roundMoney(subtotal + taxAmount),
+    invoice.discount_type,
+    invoice.discount_value ?? invoice.discount_amount
+  );
+
+  const exact = Math.max(roundMoney(subtotal + taxAmount - discount), 0);
+  const total = invoice.round_off ? Math.round(exact) : exact;
+
+  return {
+    services,
+    subtotal,
+    tax_amount: taxAmount,
+    discount_amount: discount,
+    round_off_amount: roundMoney(total - exact),
+    total_amount: total,
+  };
+}
+
+/**
+ * Checks the figures a client sent against the recomputed ones.
+ * Differences within TOLERANCE are corrected silently; anything larger
+ * is rejected with a Joi validation error naming each wrong field, so the
+ * error handler answers with the usual 400 "Validation error" shape.
+ *
+ * Only the fields present in `supplied` are checked, which lets a partial
+ * update change (say) the discount without resending every total.
+ *
+ * @param {object} invoice - The invoice as it will be stored (lines, tax settings, discount)
+ * @param {object} [supplied=invoice] - The request payload with the client's figures
+ * @returns {object} `invoice` with the recomputed services and totals
+ * @throws {Joi.ValidationError} When a supplied figure is off by more than TOLERANCE
+ */
+function reconcileInvoiceTotals(invoice, supplied = invoice) {
+  const totals = calculateInvoiceTotals(invoice);
+  const details = [];
+
+  const check = (path, received, expected, label) => {
+    if (received === undefined || received === null) return;
+    if (Math.abs(Number(received) - expected) > TOLERANCE) {
+      details.push({
+        message: `${label} is ${Number(received).toFixed(2)} but the lines add up to ${expected.toFixed(2)}`,
+        path,
+        type: 'totals.mismatch',
+        context: { key: path[path.length - 1], value: received, expected },
+      });
+    }
+  };
+
+  if (supplied.services) {
+    supplied.services.forEach((line, i) =>
+      check(['services', i, 'amount'], line.amount, totals.services[i].amount, `Line ${i + 1} amount`)
+    );
+  }
+  check(['subtotal'], supplied.subtotal, totals.subtotal, 'Subtotal');
+  check(['tax_amount'], supplied.tax_amount, totals.tax_amount, 'Tax amount');
+  check(['discount_amount'], supplied.discount_amount, totals.discount_amount, 'Discount');
+  check(['round_off_amount'], supplied.round_off_amount, totals.round_off_amount, 'Round off');
+  check(['total_amount'], supplied.total_amount, totals.total_amount, 'Total amount');
+
+  if (details.length > 0) {
+    throw new Joi.ValidationError('Invoice totals do not add up', details, supplied);
+  }
+
+  return { ...invoice, ...totals };
+}
+
+module.exports = {
+  TOLERANCE,
+  DISCOUNT_TYPES,
+  TOTALS_FIELDS,
+  roundQuantity,
+  calculateLineAmount,
+  calculateDiscount,
+  calculateInvoiceTotals,
+  reconcileInvoiceTotals,
+};
@@ -0,0 +1,75 @@
+/**
+ * Payment Status Helpers
+ *
+ * Derives an invoice's balance and payment-driven status from its
+ * total, the amount received so far and the amount credited back by
+ * credit notes. Shared by the invoice, payment and credit note services
+ * so the rules live in one place.
+ *
+ *   amount_paid = 0              → keeps 'draft' / 'sent'
+ *   0 < amount_paid < total      → 'partially_paid'
+ *   amount_paid >= total         → 'paid'
+ *
+ * Credits count towards settling the invoice: paid + credited >= total
+ * is 'paid', or 'credited' when nothing was paid. A credit note itself
+ * never has a balance.
+ */
+
+const { roundMoney } = require('./helpers');
+
+/** Statuses that are set by recorded payments (and credit notes) rather than by the user */
+const PAYMENT_STATUSES = ['partially_paid', 'paid', 'credited'];
+
+/**
+ * Calculates the remaining balance on an invoice (never negative).
+ * @param {object} invoice - Invoice with `total_amount`, `amount_paid`
+ *   and `amount_credited`
+ * @returns {number} Balance due in rupees
+ */
+function getBalanceDue(invoice) {
+  if (invoice.document_type === 'credit_note') return 0;
+  return Math.max(
+    roundMoney(
+      Number(invoice.total_amount)
+      - Number(invoice.amount_paid || 0)
+      - Number(invoice.amount_credited || 0)
+    ),
+    0
+  );
+}
+
+/**
+ * Derives the status an invoice should have after its payments or
+ * credit notes change.
+ * @param {number} totalAmount - Invoice grand total
+ * @param {number} amountPaid - Sum of all recorded payments
+ * @param {string} currentStatus - The invoice's current status
+ * @param {number} [amountCredited=0] - Sum of its credit notes (not cancelled)
+ * @returns {string} The derived status
+ */
+function derivePaymentStatus(totalAmount, amountPaid, currentStatus, amountCredited = 0) {
+  const paid = roundMoney(amountPaid);
+  const settled = roundMoney(paid + Number(amountCredited || 0));
+
+  if (settled > 0 && settled >= roundMoney(totalAmount)) return paid > 0 ? 'paid' : 'credited';
+  if (paid > 0) return 'partially_paid';
+
+  // No money received: undo a payment-driven status, otherwise keep as-is
+  return PAYMENT_STATUSES.includes(currentStatus) ? 'sent' : currentStatus;
+}
+
+/**
+ * Adds the computed `balance_due` field to an invoice record.
+ * @param {object} invoice - Invoice record from the database
+ * @returns {object} Invoice with `balance_due`
+ */
+function withBalance(invoice) {
+  return { ...invoice, balance_due: getBalanceDue(invoice) };
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  getBalanceDue,
+  derivePaymentStatus,
+  withBalance,
+};
@@ -0,0 +1,132 @@
+/**
+ * PDF Labels — English & Tamil
+ *
+ * Every fixed string printed on an invoice / estimate / credit note PDF,
+ * per language.
+ * Tax acronyms (GSTIN, CGST, SGST, IGST, HSN/SAC, UPI, IFSC) are kept
+ * as-is in Tamil, as they appear on GST-registered Tamil documents.
+ */
+
+const { amountToWords, amountToWordsTamil } = require('./amountToWords');
+
+/** Languages a PDF can be issued in (`?lang=` on the PDF endpoints) */
+const PDF_LANGUAGES = ['en', 'ta'];
+
+const LABELS = {
+  en: {
+    locale: 'en-IN',
+    docTypes: { invoice: 'INVOICE', estimate: 'ESTIMATE', credit_note: 'CREDIT NOTE' },
+    taxInvoice: 'TAX INVOICE',
+    date: 'Date',
+    due: 'Due',
+    notAvailable: 'N/A',
+    refEstimate: 'Ref. Estimate',
+    convertedTo: 'Converted to Invoice',
+    againstInvoice: 'Against Invoice',
+    reason: 'Reason',
+    creditReasons: {
+      return: 'Goods returned',
+      cancellation: 'Cancellation',
+      correction: 'Billing correction',
+      other: 'Other',
+    },
+    billTo: 'Bill To:',
+    phone: 'Phone',
+    placeOfSupply: 'Place of Supply',
+    number: '#',
+    description: 'Description',
+    hsnSac: 'HSN/SAC',
+    qty: 'Qty',
+    gstPercent: 'GST %',
+    rate: 'Rate',
+    amount: 'Amount',
+    subtotal: 'Subtotal',
+    discount: 'Discount',
+    roundOff: 'Round Off',
+    total: 'TOTAL',
+    amountReceived: 'Amount Received',
+    amountCredited: 'Credit Notes',
+    balanceDue: 'Balance Due',
+    taxSummary: 'Tax Summary',
+    gstRate: 'GST Rate',
+    taxableValue: 'Taxable Value',
+    totalTax: 'Total Tax',
+    totalRow: 'Total',
+    amountInWords: (amount) => `Amount in words: ${amountToWords(amount)} Only`,
+    notes: 'Notes / Terms:',
+    forBusiness: (name) => `For ${name}`,
+    signature: 'Authorized Signature',
+    paymentDetails: 'Payment Details',
+    bank: 'Bank',
+    accountName: 'A/c Name',
+    accountNumber: 'A/c No.',
+    ifsc: 'IFSC',
+    upi: 'UPI',
+    scanToPay: 'Scan to pay with any UPI app',
+  },
+  ta: {
+    locale: 'ta-IN',
+    docTypes: { invoice: 'பில்', estimate: 'மதிப்பீடு', credit_note: 'வரவுக் குறிப்பு' },
+    taxInvoice: 'வரி விலைப்பட்டியல்',
+    date: 'தேதி',
+    due: 'செலுத்த வேண்டிய தேதி',
+    notAvailable: '—',
+    refEstimate: 'மதிப்பீடு எண்',
+    convertedTo: 'பில்லாக மாற்றப்பட்டது',
+    againstInvoice: 'பில் எண்',
+    reason: 'காரணம்',
+    creditReasons: {
+      return: 'பொருட்கள் திருப்பி அனுப்பப்பட்டன',
+      cancellation: 'ரத்து',
+      correction: 'பில் திருத்தம்',
+      other: 'மற்றவை',
+    },
+    billTo: 'பெறுநர்:',
+    phone: 'தொலைபேசி',
+    placeOfSupply: 'வழங்கும் இடம்',
+    number: 'எண்',
+    description: 'விவரம்',
+    hsnSac: 'HSN/SAC',
+    qty: 'அளவு',
+    gstPercent: 'GST %',
+    rate: 'விலை',
+    amount: 'தொகை',
+    subtotal: 'கூட்டுத்தொகை',
+    discount: 'தள்ளுபடி',
+    roundOff: 'முழுமையாக்கல்',
+    total: 'மொத்தம்',
+    amountReceived: 'பெற்ற தொகை',
+    amountCredited: 'வரவுக் குறிப்புகள்',
+    balanceDue: 'நிலுவைத் தொகை',
+    taxSummary: 'வரி சுருக்கம்',
+    gstRate: 'GST விகிதம்',
+    taxableValue: 'வரிக்குட்பட்ட மதிப்பு',
+    totalTax: 'மொத்த வரி',
+    totalRow: 'மொத்தம்',
+    amountInWords: (amount) => `தொகை (எழுத்தில்): ${amountToWordsTamil(amount)} மட்டும்`,
+    notes: 'குறிப்புகள் / விதிமுறைகள்:',
+    forBusiness: (name) => `${name} சார்பாக`,
+    signature: 'அங்கீகரிக்கப்பட்ட கையொப்பம்',
+    paymentDetails: 'பணம் செலுத்தும் விவரங்கள்',
+    bank: 'வங்கி',
+    accountName: 'கணக்கு பெயர்',
+    accountNumber: 'கணக்கு எண்',
+    ifsc: 'IFSC',
+    upi: 'UPI',
+    scanToPay: 'எந்த UPI செயலியிலும் ஸ்கேன் செய்து செலுத்தலாம்',
+  },
+};
+
+/**
+ * Returns the PDF labels for a language (English when unknown).
+ * @param {string} [lang='en'] - One of PDF_LANGUAGES
+ * @returns {object} Label set
+ */
+function getPdfLabels(lang = 'en') {
+  return LABELS[lang] || LABELS.en;
+}
+
+module.exports = {
+  PDF_LANGUAGES,
+  getPdfLabels,
+};
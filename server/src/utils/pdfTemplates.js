@@ -0,0 +1,68 @@
+/**
+ * PDF Templates
+ *
+ * Registry of the layouts an invoice / estimate PDF can be printed in.
+ * A document uses its own `pdf_template` when set, otherwise the
+ * business default, otherwise "classic".
+ *
+ * A4 templates share one page builder and differ only in the settings
+ * below; the thermal template has its own narrow receipt builder.
+ */
+
+const PDF_TEMPLATES = {
+  // The original A4 letterhead layout
+  classic: {
+    layout: 'page',
+    pageMargins: [40, 40, 40, 60],
+    fontSize: 10,
+    dense: false,
+    taxSummary: true,
+    itemNotes: false,
+  },
+  // Tighter spacing and smaller type so typical jobs fit on one page
+  compact: {
+    layout: 'page',
+    pageMargins: [28, 28, 28, 40],
+    fontSize: 8.5,
+    dense: true,
+    taxSummary: false,
+    itemNotes: false,
+  },
+  // Classic plus the per-item notes entered on each line
+  detailed: {
+    layout: 'page',
+    pageMargins: [40, 40, 40, 60],
+    fontSize: 10,
+    dense: false,
+    taxSummary: true,
+    itemNotes: true,
+  },
+  // 80 mm thermal receipt printers (72 mm printable width)
+  thermal: {
+    layout: 'receipt',
+    pageWidth: 226.77, // 80 mm in points
+    pageMargins: [10, 10, 10, 10],
+    fontSize: 8,
+  },
+};
+
+const PDF_TEMPLATE_IDS = Object.keys(PDF_TEMPLATES);
+
+const DEFAULT_PDF_TEMPLATE = 'classic';
+
+/**
+ * Picks the first known template id from the candidates, in priority
+ * order (e.g. the document's choice, then the business default).
+ * @param {...(string|null|undefined)} candidates - Template ids
+ * @returns {string} A key of PDF_TEMPLATES
+ */
+function resolvePdfTemplate(...candidates) {
+  return candidates.find((id) => PDF_TEMPLATE_IDS.includes(id)) || DEFAULT_PDF_TEMPLATE;
+}
+
+module.exports = {
+  PDF_TEMPLATES,
+  PDF_TEMPLATE_IDS,
+  DEFAULT_PDF_TEMPLATE,
+  resolvePdfTemplate,
+};
@@ -0,0 +1,78 @@
+/**
+ * Projects
+ *
+ * A project groups the documents and expenses of one job at one site.
+ * Its money summary:
+ *
+ *   contract value = accepted estimates (or, until one is accepted, the
+ *                    latest estimate still open — what was quoted)
+ *   billed         = invoices, except cancelled ones, less credit notes
+ *   received       = payments against those invoices
+ *   outstanding    = what is still due on those invoices
+ *   to bill        = contract value − billed (never negative)
+ *   profit         = billed without GST − expenses
+ */
+
+const { roundMoney } = require('./helpers');
+const { getBalanceDue } = require('./paymentStatus');
+const { getInvoiceRevenue, summarizeExpenses } = require('./expenses');
+
+/** Stages of a project, in the order they usually happen */
+const PROJECT_STAGES = ['planning', 'in_progress', 'on_hold', 'completed'];
+
+/** Estimate statuses that no longer stand as the quote */
+const CLOSED_ESTIMATE_STATUSES = ['rejected', 'cancelled'];
+
+const sum = (rows, pick) => roundMoney(rows.reduce((total, row) => total + Number(pick(row) || 0), 0));
+
+/**
+ * What the customer agreed to pay, from the project's estimates.
+ * @param {object[]} estimates - Estimates with status, total_amount and created_at
+ * @returns {{ value: number|null, agreed: boolean }} value is null without an open estimate
+ */
+function getContractValue(estimates) {
+  const accepted = estimates.filter((e) => e.status === 'accepted');
+  if (accepted.length > 0) {
+    return { value: sum(accepted, (e) => e.total_amount), agreed: true };
+  }
+
+  const latest = estimates
+    .filter((e) => !CLOSED_ESTIMATE_STATUSES.includes(e.status))
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))[0];
+
+  return { value: latest ? roundMoney(Number(latest.total_amount)) : null, agreed: false };
+}
+
+/**
+ * Money summary of a project.
+ * @param {object[]} documents - The project's estimates, invoices and credit notes
+ * @param {object[]} expenses - The project's expenses
+ * @returns {{ contract_value: number|null, contract_agreed: boolean, billed: number,
+ *   received: number, outstanding: number, to_bill: number|null, expenses: number,
+ *   profit: number }}
+ */
+function summarizeProject(documents, expenses = []) {
+  const contract = getContractValue(documents.filter((d) => d.document_type === 'estimate'));
+  const invoices = documents.filter((d) => d.document_type === 'invoice' && d.status !== 'cancelled');
+  const creditNotes = documents.filter((d) => d.document_type === 'credit_note' && d.status !== 'cancelled');
+
+  const billed = roundMoney(sum(invoices, (inv) => inv.total_amount) - sum(creditNotes, (cn) => cn.total_amount));
+  const spent = summarizeExpenses(expenses).total;
+
+  return {
+    contract_value: contract.value,
+    contract_agreed: contract.agreed,
+    billed,
+    received: sum(invoices, (inv) => inv.amount_paid),
+    outstanding: sum(invoices, getBalanceDue),
+    to_bill: contract.value === null ? null : Math.max(roundMoney(contract.value - billed), 0),
+    expenses: spent,
+    profit: roundMoney(sum(invoices, getInvoiceRevenue) - sum(creditNotes, getInvoiceRevenue) - spent),
+  };
+}
+
+module.exports = {
+  PROJECT_STAGES,
+  getContractValue,
+  summarizeProject,
+};
@@ -0,0 +1,172 @@
+/**
+ * Recurring Invoices
+ *
+ * A recurring profile re-issues one of the user's invoices on a schedule
+ * (e.g. a monthly AMC fee). Runs fall on the profile's day of the month
+ * — the month's last day when it is shorter — every 1, 3, 6 or 12
+ * months from the first run on or after the start date, and stop after
+ * the end date. The recurring job copies the invoice on each run date.
+ *
+ * Dates are YYYY-MM-DD calendar dates in the business time zone.
+ */
+
+const { addDays } = require('./reminders');
+const { formatCurrencyINR, formatDateIN } = require('./helpers');
+
+/** Months between runs, by frequency */
+const FREQUENCY_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  half_yearly: 6,
+  yearly: 12,
+};
+
+/** Frequencies a profile can have */
+const RECURRING_FREQUENCIES = Object.keys(FREQUENCY_MONTHS);
+
+/** Runs listed as a profile's upcoming generations */
+const UPCOMING_RUNS = 6;
+
+/** Most runs one job run catches up on for a profile (after downtime) */
+const MAX_CATCH_UP_RUNS = 12;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * The run date in a month: the day of the month, or the month's last day.
+ * @param {number} year
+ * @param {number} month - 0-11 (may overflow into later years)
+ * @param {number} dayOfMonth - 1-31
+ * @returns {string} YYYY-MM-DD
+ */
+function getRunDateIn(year, month, dayOfMonth) {
+  const first = new Date(Date.UTC(year, month, 1));
+  const lastDay = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  return `${first.getUTCFullYear()}-${pad(first.getUTCMonth() + 1)}-${pad(Math.min(dayOfMonth, lastDay))}`;
+}
+
+/**
+ * The first run on or after a date.
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} dayOfMonth
+ * @returns {string} YYYY-MM-DD
+ */
+function getFirstRunDate(date, dayOfMonth) {
+  const [year, month] = date.split('-').map(Number);
+  const inMonth = getRunDateIn(year, month - 1, dayOfMonth);
+  return inMonth >= date ? inMonth : getRunDateIn(year, month, dayOfMonth);
+}
+
+/**
+ * The run after a given one.
+ * @param {string} runDate - YYYY-MM-DD
+ * @param {string} frequency - One of RECURRING_FREQUENCIES
+ * @param {number} dayOfMonth
+ * @returns {string} YYYY-MM-DD
+ */
+function getNextRunDate(runDate, frequency, dayOfMonth) {
+  const [year, month] = runDate.split('-').map(Number);
+  return getRunDateIn(year, month - 1 + FREQUENCY_MONTHS[frequency], dayOfMonth);
+}
+
+/**
+ * A run date, or null once it is past the profile's end date.
+ * @param {string} date
+ * @param {string|null} endDate
+ * @returns {string|null}
+ */
+const withinEnd = (date, endDate) => (endDate && date > endDate ? null : date);
+
+/**
+ * The next run of a profile whose schedule was just set or changed:
+ * the first on or after its start date, never in the past and never
+ * again for a date that already ran. Null when the profile has ended.
+ * @param {object} profile - `{ day_of_month, start_date, end_date, last_run_date }`
+ * @param {string} today - YYYY-MM-DD
+ * @returns {string|null}
+ */
+function scheduleNextRun(profile, today) {
+  const from = [profile.start_date, today, profile.last_run_date && addDays(profile.last_run_date, 1)]
+    .filter(Boolean)
+    .reduce((latest, date) => (date > latest ? date : latest));
+
+  return withinEnd(getFirstRunDate(from, profile.day_of_month), profile.end_date);
+}
+
+/**
+ * The run after the one just made, or null when the profile has ended.
+ * @param {object} profile - `{ frequency, day_of_month, end_date }`
+ * @param {string} runDate - YYYY-MM-DD
+ * @returns {string|null}
+ */
+function advanceRun(profile, runDate) {
+  return withinEnd(getNextRunDate(runDate, profile.frequency, profile.day_of_month), profile.end_date);
+}
+
+/**
+ * A profile's coming runs, from its next run.
+ * @param {object} profile - `{ frequency, day_of_month, end_date, next_run_date, active }`
+ * @param {number} [count]
+ * @returns {string[]} YYYY-MM-DD dates (none while paused or once ended)
+ */
+function getUpcomingRuns(profile, count = UPCOMING_RUNS) {
+  const runs = [];
+  let date = profile.active ? profile.next_run_date : null;
+  while (date && runs.length < count) {
+    runs.push(date);
+    date = advanceRun(profile, date);
+  }
+  return runs;
+}
+
+/**
+ * The dates and links of an invoice made on a run.
+ * @param {object} profile - `{ id, due_days }`
+ * @param {string} runDate - YYYY-MM-DD
+ * @returns {{ invoice_date: string, due_date: string|null, recurring_profile_id: string }}
+ */
+function getRunInvoiceFields(profile, runDate) {
+  return {
+    invoice_date: runDate,
+    due_date: profile.due_days == null ? null : addDays(runDate, profile.due_days),
+    recurring_profile_id: profile.id,
+  };
+}
+
+/**
+ * The email that goes with an invoice sent automatically.
+ * @param {object} invoice - `{ invoice_number, customer_name, total_amount, due_date }`
+ * @param {object} business - `{ name }`
+ * @param {string|null} url - The invoice's share link, when one could be made
+ * @returns {{ subject: string, text: string }}
+ */
+function buildInvoiceEmail(invoice, business, url) {
+  const lines = [
+    `Dear ${invoice.customer_name},`,
+    '',
+    `Please find invoice ${invoice.invoice_number} for ₹${formatCurrencyINR(invoice.total_amount)}` +
+      (invoice.due_date ? `, due on ${formatDateIN(invoice.due_date)}.` : '.'),
+  ];
+  if (url) lines.push(`View, download or pay it here: ${url}`);
+  lines.push('', 'Thank you,', business.name);
+
+  return {
+    subject: `${business.name} — Invoice ${invoice.invoice_number}`,
+    text: lines.join('\n'),
+  };
+}
+
+module.exports = {
+  FREQUENCY_MONTHS,
+  RECURRING_FREQUENCIES,
+  UPCOMING_RUNS,
+  MAX_CATCH_UP_RUNS,
+  getRunDateIn,
+  getFirstRunDate,
+  getNextRunDate,
+  scheduleNextRun,
+  advanceRun,
+  getUpcomingRuns,
+  getRunInvoiceFields,
+  buildInvoiceEmail,
+};
@@ -0,0 +1,317 @@
+/**
+ * Payment Reminders — Schedules & Message Templates
+ *
+ * A reminder schedule is relative to an invoice's due date:
+ *
+ *   days_before        → one reminder N days before the due date (0 = none)
+ *   on_due_date        → one reminder on the due date
+ *   repeat_after_days  → every N days after the due date (0 = none)
+ *
+ * The reminder due today is the latest scheduled date that has arrived
+ * and comes after the last reminder sent, so a missed day is caught up
+ * once (with the most recent wording) instead of being lost or sent twice.
+ *
+ * Templates are plain text per kind and language, with {placeholders}
+ * filled from the invoice and business profile.
+ */
+
+const { formatCurrencyINR, formatDateIN } = require('./helpers');
+const { getBalanceDue } = require('./paymentStatus');
+const { OPEN_STATUSES, getToday } = require('./invoiceStatus');
+
+/** Kinds of reminder, by where they fall relative to the due date */
+const REMINDER_KINDS = ['before_due', 'on_due', 'overdue'];
+
+/** Ways a reminder can be sent; WhatsApp is opened by hand from the app */
+const REMINDER_CHANNELS = ['whatsapp', 'sms', 'email'];
+
+/** Channels sent automatically by the reminders job */
+const AUTOMATIC_CHANNELS = ['sms', 'email'];
+
+/**
+ * Failed sends of one invoice's reminder the job makes in a day; it tries
+ * again the next day
+ */
+const MAX_DAILY_FAILURES = 3;
+
+/** Values a template can use, written as {name} */
+const PLACEHOLDERS = ['customer_name', 'invoice_number', 'balance', 'due_date', 'business_name'];
+
+/** Wording used until the user edits their templates */
+const DEFAULT_TEMPLATES = {
+  before_due: {
+    en: 'Hi {customer_name}, a friendly reminder that {invoice_number} for {balance} is due on {due_date}. Thank you! — {business_name}',
+    ta: 'வணக்கம் {customer_name}, {invoice_number} பில்லுக்கான {balance} தொகை {due_date} அன்று செலுத்த வேண்டும் என்பதை நினைவூட்டுகிறோம். நன்றி! — {business_name}',
+  },
+  on_due: {
+    en: 'Hi {customer_name}, {invoice_number} for {balance} is due today ({due_date}). Please arrange the payment. Thank you! — {business_name}',
+    ta: 'வணக்கம் {customer_name}, {invoice_number} பில்லுக்கான {balance} தொகை இன்று ({due_date}) செலுத்த வேண்டும். தயவுசெய்து பணத்தை செலுத்தவும். நன்றி! — {business_name}',
+  },
+  overdue: {
+    en: 'Hi {customer_name}, {invoice_number} for {balance} was due on {due_date} and is still pending. Kindly make the payment at the earliest. — {business_name}',
+    ta: 'வணக்கம் {customer_name}, {invoice_number} பில்லுக்கான {balance} தொகை {due_date} அன்று செலுத்த வேண்டியது, இன்னும் நிலுவையில் உள்ளது. விரைவில் செலுத்துமாறு கேட்டுக்கொள்கிறோம். — {business_name}',
+  },
+};
+
+/** Settings used until the user saves their own */
+const DEFAULT_REMINDER_SETTINGS = {
+  days_before: 3,
+  on_due_date: true,
+  repeat_after_days: 7,
+  channel: 'whatsapp',
+  language: 'en',
+  templates: DEFAULT_TEMPLATES,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Adds days to a YYYY-MM-DD date.
+ * @param {string} date
+ * @param {number} days
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const time = Date.parse(`${String(date).slice(0, 10)}T00:00:00Z`) + days * DAY_MS;
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another.
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return Math.round(
+    (Date.parse(`${String(to).slice(0, 10)}T00:00:00Z`) -
+      Date.parse(`${String(from).slice(0, 10)}T00:00:00Z`)) / DAY_MS
+  );
+}
+
+/**
+ * The business-time-zone date a reminder was sent on, to compare with the
+ * schedule dates (a send just after midnight IST is still that day).
+ * @param {string|null} sentAt - ISO timestamp
+ * @returns {string|null} YYYY-MM-DD
+ */
+function getSentOn(sentAt) {
+  return sentAt ? getToday(new Date(sentAt)) : null;
+}
+
+/**
+ * Whether an invoice's reminder has failed to send too often today for
+ * the job to try again before tomorrow.
+ * @param {string[]} failedAt - sent_at of its failed reminders
+ * @param {string} today - YYYY-MM-DD
+ * @returns {boolean}
+ */
+function hasFailedTooOften(failedAt, today) {
+  return failedAt.filter((sentAt) => getSentOn(sentAt) === today).length >= MAX_DAILY_FAILURES;
+}
+
+/**
+ * Where a reminder goes on a channel.
+ * @param {object} invoice - `{ customer_email, customer_phone }`
+ * @param {string} channel
+ * @returns {string|null} Email address or phone number
+ */
+function getRecipient(invoice, channel) {
+  return (channel === 'email' ? invoice.customer_email : invoice.customer_phone) || null;
+}
+
+/**
+ * Merges saved templates over the defaults; blank templates fall back
+ * to the built-in wording.
+ * @param {object|null} templates - `{ [kind]: { en, ta } }`
+ * @returns {object} A complete template set
+ */
+function mergeTemplates(templates) {
+  return Object.fromEntries(
+    REMINDER_KINDS.map((kind) => [
+      kind,
+      {
+        en: templates?.[kind]?.en || DEFAULT_TEMPLATES[kind].en,
+        ta: templates?.[kind]?.ta || DEFAULT_TEMPLATES[kind].ta,
+      },
+    ])
+  );
+}
+
+/**
+ * The schedule that applies to an invoice: its own override merged
+ * over the user's defaults.
+ * @param {object} invoice - Invoice with optional `reminder_schedule`
+ * @param {object} settings - The user's reminder settings
+ * @returns {object} `{ enabled, days_before, on_due_date, repeat_after_days, channel, language }`
+ */
+function resolveSchedule(invoice, settings) {
+  return {
+    enabled: true,
+    days_before: settings.days_before,
+    on_due_date: settings.on_due_date,
+    repeat_after_days: settings.repeat_after_days,
+    channel: settings.channel,
+    language: settings.language,
+    ...invoice.reminder_schedule,
+  };
+}
+
+/**
+ * Scheduled reminder dates up to (and including) a date, oldest first.
+ * @param {string} dueDate - YYYY-MM-DD
+ * @param {object} schedule
+ * @param {string} until - YYYY-MM-DD
+ * @returns {{ date: string, kind: string }[]}
+ */
+function getReminderDates(dueDate, schedule, until) {
+  const dates = [];
+
+  if (schedule.days_before > 0) {
+    dates.push({ date: addDays(dueDate, -schedule.days_before), kind: 'before_due' });
+  }
+  if (schedule.on_due_date) {
+    dates.push({ date: String(dueDate).slice(0, 10), kind: 'on_due' });
+  }
+  if (schedule.repeat_after_days > 0) {
+    for (
+      let date = addDays(dueDate, schedule.repeat_after_days);
+      date <= until;
+      date = addDays(date, schedule.repeat_after_days)
+    ) {
+      dates.push({ date, kind: 'overdue' });
+    }
+  }
+
+  return dates.filter((entry) => entry.date <= until);
+}
+
+/**
+ * Whether reminders apply to an invoice at all: an issued invoice with
+ * a due date and money still owing, whose schedule is enabled.
+ * @param {object} invoice
+ * @param {object} schedule
+ * @returns {boolean}
+ */
+function isRemindable(invoice, schedule) {
+  return (
+    schedule.enabled !== false &&
+    invoice.document_type !== 'estimate' &&
+    OPEN_STATUSES.includes(invoice.status) &&
+    Boolean(invoice.due_date) &&
+    getBalanceDue(invoice) > 0
+  );
+}
+
+/**
+ * The reminder due today for an invoice, if any.
+ * @param {object} invoice
+ * @param {object} schedule - From resolveSchedule()
+ * @param {string|null} lastSentOn - YYYY-MM-DD of the last reminder sent
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{ date: string, kind: string }|null}
+ */
+function getDueReminder(invoice, schedule, lastSentOn, today) {
+  if (!isRemindable(invoice, schedule)) return null;
+
+  const pending = getReminderDates(invoice.due_date, schedule, today)
+    .filter((entry) => !lastSentOn || entry.date > lastSentOn);
+
+  return pending.length > 0 ? pending[pending.length - 1] : null;
+}
+
+/**
+ * The next reminder date after today, if any.
+ * @param {object} invoice
+ * @param {object} schedule
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{ date: string, kind: string }|null}
+ */
+function getNextReminder(invoice, schedule, today) {
+  if (!isRemindable(invoice, schedule)) return null;
+
+  // One repeat interval past today (or past the due date) is always enough
+  const horizon = addDays(
+    today > invoice.due_date ? today : invoice.due_date,
+    Math.max(schedule.repeat_after_days, 1)
+  );
+  return getReminderDates(invoice.due_date, schedule, horizon)
+    .find((entry) => entry.date > today) || null;
+}
+
+/**
+ * Which kind of reminder fits an invoice today (for reminders sent by hand).
+ * @param {string} dueDate - YYYY-MM-DD
+ * @param {string} today - YYYY-MM-DD
+ * @returns {string}
+ */
+function getReminderKind(dueDate, today) {
+  const days = daysBetween(today, dueDate);
+  if (days > 0) return 'before_due';
+  if (days === 0) return 'on_due';
+  return 'overdue';
+}
+
+/**
+ * Fills {placeholders} in a template; unknown placeholders are left as-is.
+ * @param {string} template
+ * @param {object} values - Placeholder values by name
+ * @returns {string}
+ */
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    PLACEHOLDERS.includes(name) && values[name] != null ? String(values[name]) : match
+  );
+}
+
+/**
+ * Placeholder values for an invoice.
+ * @param {object} invoice
+ * @param {object} business - Business profile
+ * @returns {object}
+ */
+function getTemplateValues(invoice, business) {
+  return {
+    customer_name: invoice.customer_name,
+    invoice_number: invoice.invoice_number,
+    balance: `₹${formatCurrencyINR(getBalanceDue(invoice))}`,
+    due_date: invoice.due_date ? formatDateIN(invoice.due_date) : '',
+    business_name: business.name,
+  };
+}
+
+/**
+ * Builds the reminder message for an invoice.
+ * @param {object} invoice
+ * @param {object} business - Business profile
+ * @param {object} templates - Complete template set (mergeTemplates)
+ * @param {string} kind - One of REMINDER_KINDS
+ * @param {string} language - 'en' or 'ta'
+ * @returns {string}
+ */
+function buildReminderMessage(invoice, business, templates, kind, language) {
+  const template = templates[kind][language] || templates[kind].en;
+  return renderTemplate(template, getTemplateValues(invoice, business));
+}
+
+module.exports = {
+  REMINDER_KINDS,
+  REMINDER_CHANNELS,
+  AUTOMATIC_CHANNELS,
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  DEFAULT_REMINDER_SETTINGS,
+  MAX_DAILY_FAILURES,
+  addDays,
+  getSentOn,
+  hasFailedTooOften,
+  getRecipient,
+  mergeTemplates,
+  resolveSchedule,
+  getReminderDates,
+  getDueReminder,
+  getNextReminder,
+  getReminderKind,
+  renderTemplate,
+  buildReminderMessage,
+};
@@ -0,0 +1,370 @@
+/**
+ * Reports
+ *
+ * Date-range reports built from issued invoices (drafts, estimates and
+ * cancelled documents are left out), credit notes and recorded payments:
+ *
+ *   - Revenue by month: invoiced (by invoice date), credited (by credit
+ *     note date) and collected (by payment date), every month of the
+ *     range listed
+ *   - GST collected, by rate, split into CGST / SGST / IGST and into
+ *     B2B (customer has a GSTIN) and B2C — what GSTR-1 / GSTR-3B ask for —
+ *     with the GST reversed by credit notes shown apart and taken off
+ *     the totals
+ *   - Outstanding by customer, aged by days past the due date (the
+ *     invoice date when there is none): 0–30, 31–60, 61–90, 90+
+ *   - Top customers (by amount billed) and top services (by line
+ *     amount), net of credit notes
+ *
+ * Ranges default to the Indian financial year (April–March) to date.
+ */
+
+const { roundMoney, createHttpError } = require('./helpers');
+const { getBalanceDue } = require('./paymentStatus');
+const { buildTaxSummary } = require('./gst');
+const { OPEN_STATUSES } = require('./invoiceStatus');
+
+/** Invoice statuses that count as issued (billed to the customer) */
+const ISSUED_STATUSES = ['sent', 'partially_paid', 'paid', 'overdue', 'credited'];
+
+/** Ageing buckets: the last day each covers (null = no upper bound) */
+const AGEING_BUCKETS = [
+  { key: '0_30', maxDays: 30 },
+  { key: '31_60', maxDays: 60 },
+  { key: '61_90', maxDays: 90 },
+  { key: '90_plus', maxDays: null },
+];
+
+/** Longest range a report may cover, in days (about five years) */
+const MAX_RANGE_DAYS = 1830;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toDay = (value) => String(value).slice(0, 10);
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+/**
+ * First day of the financial year (1 April) a date falls in.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function getFinancialYearStart(date) {
+  const year = Number(date.slice(0, 4));
+  const month = Number(date.slice(5, 7));
+  return `${month >= 4 ? year : year - 1}-04-01`;
+}
+
+/**
+ * Works out the report range from query values.
+ * @param {string} [from] - YYYY-MM-DD; defaults to the financial year start
+ * @param {string} [to] - YYYY-MM-DD; defaults to today
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{ from: string, to: string }}
+ * @throws {Error} 400 for a malformed, reversed or too long range
+ */
+function resolveRange(from, to, today) {
+  const end = to || today;
+  const start = from || getFinancialYearStart(end);
+
+  if (!DATE_PATTERN.test(start) || !DATE_PATTERN.test(end)
+    || Number.isNaN(Date.parse(start)) || Number.isNaN(Date.parse(end))) {
+    throw createHttpError(400, 'Dates must be in the format YYYY-MM-DD');
+  }
+  if (start > end) {
+    throw createHttpError(400, 'The start date must be on or before the end date');
+  }
+  if (daysBetween(start, end) > MAX_RANGE_DAYS) {
+    throw createHttpError(400, 'Reports can cover at most five years');
+  }
+  return { from: start, to: end };
+}
+
+/**
+ * Every month (YYYY-MM) from one date to another, inclusive.
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {string[]}
+ */
+function listMonths(from, to) {
+  const months = [];
+  let year = Number(from.slice(0, 4));
+  let month = Number(from.slice(5, 7));
+  const last = to.slice(0, 7);
+
+  for (;;) {
+    const key = `${year}-${String(month).padStart(2, '0')}`;
+    if (key > last) break;
+    months.push(key);
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return months;
+}
+
+/**
+ * Whether a document is an issued invoice.
+ * @param {object} invoice
+ * @returns {boolean}
+ */
+function isIssued(invoice) {
+  return invoice.document_type === 'invoice' && ISSUED_STATUSES.includes(invoice.status);
+}
+
+/**
+ * Whether a document is a credit note that has not been cancelled.
+ * @param {object} document
+ * @returns {boolean}
+ */
+function isCreditNote(document) {
+  return document.document_type === 'credit_note' && document.status !== 'cancelled';
+}
+
+/**
+ * Invoiced, credited and collected amounts for every month of the range.
+ * Taxable value and tax are net of credit notes.
+ * @param {object[]} invoices - Invoices and credit notes with invoice_date,
+ *   total_amount, tax_amount
+ * @param {object[]} payments - Payments with payment_date and amount
+ * @param {{ from: string, to: string }} range
+ * @returns {{ months: object[], totals: object }} months: `{ month, count,
+ *   invoiced, credited, net, taxable, tax, collected }`
+ */
+function buildRevenueReport(invoices, payments, { from, to }) {
+  const months = new Map(listMonths(from, to).map((month) => [month, {
+    month, count: 0, invoiced: 0, credited: 0, net: 0, taxable: 0, tax: 0, collected: 0,
+  }]));
+
+  invoices.filter((inv) => isIssued(inv) || isCreditNote(inv)).forEach((inv) => {
+    const row = months.get(toDay(inv.invoice_date).slice(0, 7));
+    if (!row) return;
+    const sign = isCreditNote(inv) ? -1 : 1;
+    const total = Number(inv.total_amount) || 0;
+    const tax = Number(inv.tax_amount) || 0;
+    if (sign > 0) {
+      row.count += 1;
+      row.invoiced += total;
+    } else {
+      row.credited += total;
+    }
+    row.net += sign * total;
+    row.taxable += sign * (total - tax);
+    row.tax += sign * tax;
+  });
+
+  payments.forEach((payment) => {
+    const row = months.get(toDay(payment.payment_date).slice(0, 7));
+    if (row) row.collected += Number(payment.amount) || 0;
+  });
+
+  const rows = [...months.values()].map((row) => ({
+    ...row,
+    invoiced: roundMoney(row.invoiced),
+    credited: roundMoney(row.credited),
+    net: roundMoney(row.net),
+    taxable: roundMoney(row.taxable),
+    tax: roundMoney(row.tax),
+    collected: roundMoney(row.collected),
+  }));
+
+  const sum = (key) => roundMoney(rows.reduce((total, row) => total + row[key], 0));
+
+  return {
+    months: rows,
+    totals: {
+      count: rows.reduce((total, row) => total + row.count, 0),
+      invoiced: sum('invoiced'),
+      credited: sum('credited'),
+      net: sum('net'),
+      taxable: sum('taxable'),
+      tax: sum('tax'),
+      collected: sum('collected'),
+    },
+  };
+}
+
+/**
+ * GST charged on issued invoices, by rate and by B2B / B2C, and the GST
+ * reversed by credit notes. Totals are what is left to pay: invoices
+ * less credit notes.
+ * @param {object[]} invoices - Invoices and credit notes with services,
+ *   tax settings, business_gstin, place_of_supply and customer_gstin
+ * @returns {{ rates: object[], b2b: object, b2c: object, credit_notes: object,
+ *   totals: object, invoice_count: number, credit_note_count: number }}
+ *   rates: `{ rate, taxable, cgst, sgst, igst, tax }`; b2b / b2c /
+ *   credit_notes / totals: `{ taxable, cgst, sgst, igst, tax }`
+ */
+function buildGstReport(invoices) {
+  const empty = () => ({ taxable: 0, cgst: 0, sgst: 0, igst: 0, tax: 0 });
+  const add = (target, row) => {
+    ['taxable', 'cgst', 'sgst', 'igst', 'tax'].forEach((key) => {
+      target[key] = roundMoney(target[key] + row[key]);
+    });
+  };
+
+  const byRate = new Map();
+  const b2b = empty();
+  const b2c = empty();
+  const credits = empty();
+  const issued = invoices.filter(isIssued);
+  const creditNotes = invoices.filter(isCreditNote);
+
+  issued.forEach((inv) => {
+    const { rows } = buildTaxSummary(inv);
+    rows.forEach((row) => {
+      if (!byRate.has(row.rate)) byRate.set(row.rate, { rate: row.rate, ...empty() });
+      add(byRate.get(row.rate), row);
+      add(inv.customer_gstin ? b2b : b2c, row);
+    });
+  });
+
+  creditNotes.forEach((cn) => {
+    buildTaxSummary(cn).rows.forEach((row) => add(credits, row));
+  });
+
+  const totals = empty();
+  add(totals, b2b);
+  add(totals, b2c);
+  add(totals, Object.fromEntries(Object.entries(credits).map(([key, value]) => [key, -value])));
+
+  return {
+    rates: [...byRate.values()].sort((a, b) => a.rate - b.rate),
+    b2b,
+    b2c,
+    credit_notes: credits,
+    totals,
+    invoice_count: issued.length,
+    credit_note_count: creditNotes.length,
+  };
+}
+
+/**
+ * The ageing bucket for an amount a number of days past due.
+ * @param {number} days - Days past the due date (not yet due counts as 0)
+ * @returns {string} Bucket key
+ */
+function getAgeingBucket(days) {
+  const age = Math.max(days, 0);
+  return AGEING_BUCKETS.find((b) => b.maxDays === null || age <= b.maxDays).key;
+}
+
+/**
+ * What each customer still owes, aged by days past due.
+ * @param {object[]} invoices - Invoices with customer_id, customer_name,
+ *   status, due_date, invoice_date, total_amount and amount_paid
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{ customers: object[], totals: object }} customers (largest
+ *   balance first): `{ customer_id, customer_name, invoice_count, total,
+ *   buckets, oldest_days }`; totals: `{ total, buckets }`
+ */
+function buildOutstandingReport(invoices, today) {
+  const emptyBuckets = () => Object.fromEntries(AGEING_BUCKETS.map((b) => [b.key, 0]));
+  const customers = new Map();
+  const totals = { total: 0, buckets: emptyBuckets() };
+
+  invoices
+    .filter((inv) => inv.document_type === 'invoice' && OPEN_STATUSES.includes(inv.status))
+    .forEach((inv) => {
+      const balance = getBalanceDue(inv);
+      if (balance <= 0) return;
+
+      const days = Math.max(daysBetween(toDay(inv.due_date || inv.invoice_date), today), 0);
+      const bucket = getAgeingBucket(days);
+      // Invoices without a directory link are grouped by the name on them
+      const key = inv.customer_id || `name:${inv.customer_name}`;
+
+      if (!customers.has(key)) {
+        customers.set(key, {
+          customer_id: inv.customer_id || null,
+          customer_name: inv.customer_name,
+          invoice_count: 0,
+          total: 0,
+          buckets: emptyBuckets(),
+          oldest_days: 0,
+        });
+      }
+      const row = customers.get(key);
+      row.invoice_count += 1;
+      row.total = roundMoney(row.total + balance);
+      row.buckets[bucket] = roundMoney(row.buckets[bucket] + balance);
+      row.oldest_days = Math.max(row.oldest_days, days);
+
+      totals.total = roundMoney(totals.total + balance);
+      totals.buckets[bucket] = roundMoney(totals.buckets[bucket] + balance);
+    });
+
+  return {
+    customers: [...customers.values()].sort((a, b) => b.total - a.total),
+    totals,
+  };
+}
+
+/**
+ * Customers billed the most, and services that brought in the most,
+ * net of credit notes. Services are matched on their description,
+ * ignoring case and spacing.
+ * @param {object[]} invoices - Invoices and credit notes with customer and services
+ * @param {number} [limit=5]
+ * @returns {{ customers: object[], services: object[] }} customers:
+ *   `{ customer_id, customer_name, invoice_count, billed }`; services:
+ *   `{ description, unit, quantity, amount, line_count }`
+ */
+function buildTopReport(invoices, limit = 5) {
+  const customers = new Map();
+  const services = new Map();
+
+  invoices.filter((inv) => isIssued(inv) || isCreditNote(inv)).forEach((inv) => {
+    const sign = isCreditNote(inv) ? -1 : 1;
+    const customerKey = inv.customer_id || `name:${inv.customer_name}`;
+    if (!customers.has(customerKey)) {
+      customers.set(customerKey, {
+        customer_id: inv.customer_id || null,
+        customer_name: inv.customer_name,
+        invoice_count: 0,
+        billed: 0,
+      });
+    }
+    const customer = customers.get(customerKey);
+    if (sign > 0) customer.invoice_count += 1;
+    customer.billed = roundMoney(customer.billed + sign * Number(inv.total_amount || 0));
+
+    (inv.services || []).forEach((line) => {
+      const description = String(line.description || '').trim().replace(/\s+/g, ' ');
+      if (!description) return;
+      const key = description.toLowerCase();
+      if (!services.has(key)) {
+        services.set(key, { description, unit: line.unit || null, quantity: 0, amount: 0, line_count: 0 });
+      }
+      const service = services.get(key);
+      if (sign > 0) service.line_count += 1;
+      service.quantity = Math.round((service.quantity + sign * Number(line.quantity || 0)) * 1000) / 1000;
+      service.amount = roundMoney(service.amount + sign * Number(line.amount || 0));
+      // Quantities in different units don't add up
+      if ((line.unit || null) !== service.unit) service.unit = undefined;
+    });
+  });
+
+  return {
+    customers: [...customers.values()].sort((a, b) => b.billed - a.billed).slice(0, limit),
+    services: [...services.values()]
+      .sort((a, b) => b.amount - a.amount)
+      .slice(0, limit)
+      .map((s) => (s.unit === undefined ? { ...s, unit: null, quantity: null } : s)),
+  };
+}
+
+module.exports = {
+  ISSUED_STATUSES,
+  AGEING_BUCKETS,
+  getFinancialYearStart,
+  resolveRange,
+  listMonths,
+  buildRevenueReport,
+  buildGstReport,
+  getAgeingBucket,
+  buildOutstandingReport,
+  buildTopReport,
+};
@@ -0,0 +1,72 @@
+/**
+ * Public Share Links
+ *
+ * A share link opens a document without logging in, so its token is
+ * the only secret: 24 random bytes (192 bits), URL-safe base64. Links
+ * can expire after a number of days; revoking a link deletes it.
+ */
+
+const crypto = require('crypto');
+
+/** Longest a link can stay valid, in days (null = never expires) */
+const MAX_SHARE_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A new unguessable share token.
+ * @returns {string} 32 URL-safe characters
+ */
+function generateShareToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Whether a string looks like a share token — lets the public route
+ * reject junk without a database lookup.
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isShareToken(token) {
+  return typeof token === 'string' && /^[A-Za-z0-9_-]{32}$/.test(token);
+}
+
+/**
+ * Expiry timestamp for a link valid for a number of days.
+ * @param {number|null} days - null / 0 → never expires
+ * @param {Date} [now=new Date()]
+ * @returns {string|null} ISO timestamp
+ */
+function getShareExpiry(days, now = new Date()) {
+  if (!days) return null;
+  return new Date(now.getTime() + days * DAY_MS).toISOString();
+}
+
+/**
+ * Whether a link has passed its expiry.
+ * @param {object} link - Share link with `expires_at`
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+function isShareExpired(link, now = new Date()) {
+  return Boolean(link.expires_at) && new Date(link.expires_at) <= now;
+}
+
+/**
+ * Full URL of the public view for a token.
+ * @param {string} origin - The API's public origin (e.g. https://api.example.com)
+ * @param {string} token
+ * @returns {string}
+ */
+function buildShareUrl(origin, token) {
+  return `${origin.replace(/\/$/, '')}/public/invoices/${token}`;
+}
+
+module.exports = {
+  MAX_SHARE_DAYS,
+  generateShareToken,
+  isShareToken,
+  getShareExpiry,
+  isShareExpired,
+  buildShareUrl,
+};
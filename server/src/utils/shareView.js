@@ -0,0 +1,371 @@
+/**
+ * Public Share View — HTML
+ *
+ * The page a customer sees when opening a share link: a phone-sized
+ * summary of the document with its lines, totals, balance due, a UPI
+ * "Pay now" button and a PDF download. A credit note names the invoice
+ * it credits and has nothing to pay. Estimates waiting for an answer
+ * also get an accept / reject form with a signature pad. Rendered on the
+ * server so it opens instantly in WhatsApp's in-app browser; the only
+ * script is the signature pad (assets/approval.js). Labels come from the
+ * PDF label sets (English / Tamil).
+ */
+
+const { getPdfLabels } = require('./pdfLabels');
+const { getBalanceDue } = require('./paymentStatus');
+const { getInvoiceUpiLink } = require('./upi');
+const { formatQuantity, formatDimensions } = require('./units');
+const { MAX_COMMENT_LENGTH, canRespond } = require('./estimateResponses');
+
+/** Strings used only on the web view */
+const VIEW_LABELS = {
+  en: {
+    downloadPdf: 'Download PDF',
+    payNow: 'Pay now with UPI',
+    paid: 'Paid',
+    credited: 'Credited',
+    cancelled: 'Cancelled',
+    accepted: 'Accepted',
+    rejected: 'Rejected',
+    switchLanguage: 'தமிழில் பார்க்க',
+    notFound: 'This link is no longer available.',
+    expired: 'This link has expired.',
+    askSender: 'Please ask the sender for a new link.',
+    respondTitle: 'Your answer',
+    respondIntro: 'Accept this estimate to go ahead, or let us know what should change.',
+    yourName: 'Your name',
+    comment: 'Comment (optional)',
+    signHere: 'Sign here to accept',
+    clearSignature: 'Clear',
+    accept: 'Accept estimate',
+    reject: 'Reject estimate',
+    signatureRequired: 'Please sign before accepting.',
+    acceptedBy: 'Accepted by {name} on {date}',
+    rejectedBy: 'Rejected by {name} on {date}',
+    invalidResponse: 'We could not save your answer.',
+    checkAndRetry: 'Please go back, check the form and try again.',
+  },
+  ta: {
+    downloadPdf: 'PDF பதிவிறக்கு',
+    payNow: 'UPI மூலம் இப்போது செலுத்து',
+    paid: 'செலுத்தப்பட்டது',
+    credited: 'வரவு வைக்கப்பட்டது',
+    cancelled: 'ரத்து செய்யப்பட்டது',
+    accepted: 'ஏற்கப்பட்டது',
+    rejected: 'நிராகரிக்கப்பட்டது',
+    switchLanguage: 'View in English',
+    notFound: 'இந்த இணைப்பு இனி கிடைக்காது.',
+    expired: 'இந்த இணைப்பின் காலாவதி முடிந்தது.',
+    askSender: 'புதிய இணைப்பை அனுப்புநரிடம் கேட்கவும்.',
+    respondTitle: 'உங்கள் பதில்',
+    respondIntro: 'தொடர இந்த மதிப்பீட்டை ஏற்கவும், அல்லது என்ன மாற்ற வேண்டும் என்று தெரிவிக்கவும்.',
+    yourName: 'உங்கள் பெயர்',
+    comment: 'கருத்து (விருப்பம்)',
+    signHere: 'ஏற்க இங்கே கையொப்பமிடவும்',
+    clearSignature: 'அழி',
+    accept: 'மதிப்பீட்டை ஏற்கவும்',
+    reject: 'மதிப்பீட்டை நிராகரிக்கவும்',
+    signatureRequired: 'ஏற்பதற்கு முன் கையொப்பமிடவும்.',
+    acceptedBy: '{date} அன்று {name} ஏற்றுக்கொண்டார்',
+    rejectedBy: '{date} அன்று {name} நிராகரித்தார்',
+    invalidResponse: 'உங்கள் பதிலைச் சேமிக்க முடியவில்லை.',
+    checkAndRetry: 'பின்சென்று படிவத்தைச் சரிபார்த்து மீண்டும் முயற்சிக்கவும்.',
+  },
+};
+
+const STYLES = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Noto Sans Tamil', sans-serif;
+    background: #f5f5f0; color: #1a1a2e; font-size: 15px; line-height: 1.45; }
+  main { max-width: 560px; margin: 0 auto; padding: 16px; }
+  .card { background: #fff; border-radius: 14px; padding: 16px; margin-bottom: 12px; box-shadow: 0 1px 3px rgba(0,0,0,.06); }
+  .brand { display: flex; gap: 12px; align-items: center; }
+  .brand img { max-width: 56px; max-height: 56px; }
+  .brand h1 { font-size: 18px; margin: 0; }
+  .muted { color: #6b6b68; font-size: 13px; margin: 2px 0 0; }
+  .doc { display: flex; justify-content: space-between; align-items: baseline; gap: 8px; }
+  .doc h2 { font-size: 14px; letter-spacing: .06em; margin: 0; color: #545452; }
+  .doc strong { font-size: 16px; }
+  .badge { display: inline-block; padding: 2px 10px; border-radius: 999px; font-size: 12px; font-weight: 600; }
+  .badge--paid { background: #e8f9ed; color: #248a3d; }
+  .badge--cancelled { background: #eee; color: #6b6b68; }
+  .badge--rejected { background: #fdecea; color: #c42b1c; }
+  table { width: 100%; border-collapse: collapse; }
+  td { padding: 6px 0; vertical-align: top; }
+  td:last-child { text-align: right; white-space: nowrap; padding-left: 12px; }
+  .line + .line td { border-top: 1px solid #eee; }
+  .totals td { padding: 3px 0; }
+  .total td { font-size: 17px; font-weight: 700; border-top: 2px solid #1a1a2e; padding-top: 8px; }
+  .due td { font-weight: 700; color: #c45500; }
+  .btn { display: block; text-align: center; padding: 14px; border-radius: 12px; font-weight: 600;
+    text-decoration: none; margin-top: 10px; }
+  .btn--primary { background: #1a1a2e; color: #fff; }
+  .btn--secondary { background: #fff; color: #1a1a2e; border: 1.5px solid #d4d4cf; }
+  .lang { display: block; text-align: center; margin: 16px 0; color: #007aff; font-size: 14px; }
+  .notes { white-space: pre-wrap; font-size: 13px; color: #545452; }
+  .respond h2 { font-size: 16px; margin: 0 0 4px; }
+  .respond label { display: block; font-size: 13px; color: #545452; margin-top: 12px; }
+  .respond input, .respond textarea { display: block; width: 100%; margin-top: 4px; padding: 10px; font: inherit;
+    border: 1.5px solid #d4d4cf; border-radius: 10px; }
+  .signature { position: relative; margin-top: 4px; }
+  .signature canvas { display: block; width: 100%; height: 160px; border: 1.5px dashed #d4d4cf; border-radius: 10px;
+    background: #fff; touch-action: none; }
+  .signature button { position: absolute; top: 6px; right: 6px; border: none; background: #f5f5f0; border-radius: 999px;
+    padding: 4px 12px; font: inherit; font-size: 13px; }
+  .error { color: #c42b1c; font-size: 13px; margin: 8px 0 0; }
+  button.btn { width: 100%; border: none; font: inherit; font-weight: 600; cursor: pointer; }
+  .btn--reject { background: #fff; color: #c42b1c; border: 1.5px solid #f0b8b2 !important; }
+`;
+
+/** Signature pad script, relative to /public/invoices/:token */
+const APPROVAL_SCRIPT = '../assets/approval.js';
+
+/**
+ * Escapes text for use in HTML content and attribute values.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formats a rupee amount, e.g. "₹1,25,000.50".
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatMoney(amount) {
+  return `₹${new Intl.NumberFormat('en-IN', { maximumFractionDigits: 2 }).format(Number(amount) || 0)}`;
+}
+
+/**
+ * Formats a date as "12 Feb 2026" (Tamil month names for 'ta-IN').
+ * @param {string} date
+ * @param {string} locale
+ * @returns {string}
+ */
+function formatDay(date, locale) {
+  return new Date(date).toLocaleDateString(locale, { day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+/**
+ * Wraps page content in the HTML document.
+ * @param {string} title
+ * @param {string} lang
+ * @param {string} body - Trusted HTML
+ * @param {string[]} [scripts=[]] - Script URLs (inline scripts are blocked by the CSP)
+ * @returns {string}
+ */
+function renderPage(title, lang, body, scripts = []) {
+  return `<!doctype html>
+<html lang="${lang}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+${scripts.map((src) => `<script src="${escapeHtml(src)}" defer></script>`).join('\n')}
+</head>
+<body><main>${body}</main></body>
+</html>`;
+}
+
+/**
+ * A totals row.
+ * @param {string} label
+ * @param {string} value
+ * @param {string} [className]
+ * @returns {string}
+ */
+function row(label, value, className = '') {
+  return `<tr class="${className}"><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`;
+}
+
+/**
+ * The accept / reject form for an estimate waiting for an answer.
+ * Accepting needs a signature, drawn on the canvas and copied into the
+ * hidden field by assets/approval.js.
+ * @param {object} invoice
+ * @param {object} V - View labels
+ * @param {string} responseUrl - Where the form posts
+ * @returns {string}
+ */
+function renderResponseForm(invoice, V, responseUrl) {
+  return `
+<section class="card respond">
+  <h2>${escapeHtml(V.respondTitle)}</h2>
+  <p class="muted">${escapeHtml(V.respondIntro)}</p>
+  <form method="post" action="${escapeHtml(responseUrl)}" data-approval data-signature-required="${escapeHtml(V.signatureRequired)}">
+    <label>${escapeHtml(V.yourName)}
+      <input name="signer_name" required maxlength="100" value="${escapeHtml(invoice.customer_name)}">
+    </label>
+    <label>${escapeHtml(V.comment)}
+      <textarea name="comment" rows="3" maxlength="${MAX_COMMENT_LENGTH}"></textarea>
+    </label>
+    <label>${escapeHtml(V.signHere)}</label>
+    <div class="signature">
+      <canvas width="600" height="200" data-signature-pad></canvas>
+      <button type="button" data-signature-clear>${escapeHtml(V.clearSignature)}</button>
+    </div>
+    <input type="hidden" name="signature_image">
+    <p class="error" data-signature-error hidden></p>
+    <button class="btn btn--primary" type="submit" name="decision" value="accepted">${escapeHtml(V.accept)}</button>
+    <button class="btn btn--reject" type="submit" name="decision" value="rejected">${escapeHtml(V.reject)}</button>
+  </form>
+</section>`;
+}
+
+/**
+ * Who answered an estimate, and when.
+ * @param {object} response - Latest estimate response
+ * @param {object} V - View labels
+ * @param {string} locale
+ * @returns {string}
+ */
+function renderResponseSummary(response, V, locale) {
+  const text = (response.decision === 'accepted' ? V.acceptedBy : V.rejectedBy)
+    .replace('{name}', response.signer_name)
+    .replace('{date}', formatDay(response.responded_at, locale));
+
+  return `
+<section class="card">
+  <p><strong>${escapeHtml(text)}</strong></p>
+  ${response.comment ? `<p class="notes">${escapeHtml(response.comment)}</p>` : ''}
+</section>`;
+}
+
+/**
+ * Renders the public view of a shared document.
+ * @param {object} invoice - Invoice with services and payment fields
+ * @param {object} business - Business profile
+ * @param {object} options
+ * @param {string} [options.lang='en'] - 'en' or 'ta'
+ * @param {string} options.pdfUrl - Link that downloads the PDF
+ * @param {string} options.switchUrl - Same page in the other language
+ * @param {string} [options.responseUrl] - Where an estimate's answer is posted
+ * @param {object|null} [options.response] - The estimate's latest answer
+ * @returns {string} HTML
+ */
+function renderShareView(invoice, business, { lang = 'en', pdfUrl, switchUrl, responseUrl, response = null }) {
+  const L = getPdfLabels(lang);
+  const V = VIEW_LABELS[lang] || VIEW_LABELS.en;
+  const isInvoice = invoice.document_type === 'invoice';
+  const amountPaid = Number(invoice.amount_paid) || 0;
+  const amountCredited = Number(invoice.amount_credited) || 0;
+  const balanceDue = getBalanceDue(invoice);
+  const upiLink = invoice.status === 'cancelled' ? null : getInvoiceUpiLink(invoice, business);
+  const awaitingResponse = Boolean(responseUrl) && canRespond(invoice);
+
+  const badge =
+    invoice.status === 'cancelled' ? `<span class="badge badge--cancelled">${escapeHtml(V.cancelled)}</span>`
+      : invoice.status === 'paid' ? `<span class="badge badge--paid">${escapeHtml(V.paid)}</span>`
+        : invoice.status === 'credited' ? `<span class="badge badge--paid">${escapeHtml(V.credited)}</span>`
+        : invoice.status === 'accepted' ? `<span class="badge badge--paid">${escapeHtml(V.accepted)}</span>`
+          : invoice.status === 'rejected' ? `<span class="badge badge--rejected">${escapeHtml(V.rejected)}</span>`
+            : '';
+
+  let approval = '';
+  if (awaitingResponse) approval = renderResponseForm(invoice, V, responseUrl);
+  else if (response) approval = renderResponseSummary(response, V, L.locale);
+
+  const lines = (invoice.services || []).map((service) => {
+    const detail = [
+      formatDimensions(service.dimensions),
+      `${formatQuantity(service.quantity, service.unit)} × ${formatMoney(service.rate)}`,
+    ].filter(Boolean).join(' · ');
+
+    return `<tr class="line"><td>${escapeHtml(service.description)}`
+      + `<p class="muted">${escapeHtml(detail)}</p></td>`
+      + `<td>${escapeHtml(formatMoney(service.amount))}</td></tr>`;
+  }).join('');
+
+  const discount = Number(invoice.discount_amount) || 0;
+  const roundOff = Number(invoice.round_off_amount) || 0;
+  const totals = [
+    row(L.subtotal, formatMoney(invoice.subtotal)),
+    invoice.tax_enabled && Number(invoice.tax_amount) > 0 ? row('GST', formatMoney(invoice.tax_amount)) : '',
+    discount > 0 ? row(L.discount, `- ${formatMoney(discount)}`) : '',
+    roundOff !== 0 ? row(L.roundOff, `${roundOff > 0 ? '+' : '-'} ${formatMoney(Math.abs(roundOff))}`) : '',
+    row(L.totalRow, formatMoney(invoice.total_amount), 'total'),
+    isInvoice && amountPaid > 0 ? row(L.amountReceived, `- ${formatMoney(amountPaid)}`) : '',
+    isInvoice && amountCredited > 0 ? row(L.amountCredited, `- ${formatMoney(amountCredited)}`) : '',
+    isInvoice && amountPaid + amountCredited > 0 ? row(L.balanceDue, formatMoney(balanceDue), 'due') : '',
+  ].join('');
+
+  const original = invoice.document_type === 'credit_note' ? invoice.credited_invoice : null;
+  const dates = [
+    `${L.date}: ${formatDay(invoice.invoice_date, L.locale)}`,
+    invoice.due_date ? `${L.due}: ${formatDay(invoice.due_date, L.locale)}` : null,
+    original ? `${L.againstInvoice}: ${original.invoice_number}` : null,
+    invoice.credit_reason ? `${L.reason}: ${L.creditReasons[invoice.credit_reason]}` : null,
+  ].filter(Boolean).join(' · ');
+
+  const body = `
+<section class="card brand">
+  ${business.logo_image ? `<img src="${escapeHtml(business.logo_image)}" alt="">` : ''}
+  <div>
+    <h1>${escapeHtml(business.name)}</h1>
+    ${business.phone ? `<p class="muted">${escapeHtml(business.phone)}</p>` : ''}
+  </div>
+</section>
+<section class="card">
+  <div class="doc">
+    <h2>${escapeHtml(L.docTypes[invoice.document_type])}</h2>
+    ${badge}
+  </div>
+  <div class="doc"><strong>${escapeHtml(invoice.invoice_number)}</strong></div>
+  <p class="muted">${escapeHtml(dates)}</p>
+  <p class="muted">${escapeHtml(L.billTo)} ${escapeHtml(invoice.customer_name)}</p>
+</section>
+<section class="card">
+  <table>${lines}</table>
+</section>
+<section class="card">
+  <table class="totals">${totals}</table>
+  ${upiLink ? `<a class="btn btn--primary" href="${escapeHtml(upiLink)}">${escapeHtml(V.payNow)}</a>` : ''}
+  <a class="btn btn--secondary" href="${escapeHtml(pdfUrl)}">${escapeHtml(V.downloadPdf)}</a>
+</section>
+${invoice.notes ? `<section class="card"><p class="muted">${escapeHtml(L.notes)}</p><p class="notes">${escapeHtml(invoice.notes)}</p></section>` : ''}
+${approval}
+<a class="lang" href="${escapeHtml(switchUrl)}">${escapeHtml(V.switchLanguage)}</a>`;
+
+  return renderPage(
+    `${invoice.invoice_number} — ${business.name}`,
+    lang,
+    body,
+    awaitingResponse ? [APPROVAL_SCRIPT] : []
+  );
+}
+
+/**
+ * Renders the page shown for an unknown, revoked or expired link, or an
+ * estimate answer that failed validation.
+ * @param {'not_found'|'expired'|'invalid_response'} reason
+ * @param {string} [lang='en']
+ * @returns {string} HTML
+ */
+function renderShareError(reason, lang = 'en') {
+  const V = VIEW_LABELS[lang] || VIEW_LABELS.en;
+  const [message, hint] =
+    reason === 'expired' ? [V.expired, V.askSender]
+      : reason === 'invalid_response' ? [V.invalidResponse, V.checkAndRetry]
+        : [V.notFound, V.askSender];
+
+  return renderPage(message, lang, `
+<section class="card">
+  <h1>${escapeHtml(message)}</h1>
+  <p class="muted">${escapeHtml(hint)}</p>
+</section>`);
+}
+
+module.exports = {
+  escapeHtml,
+  renderShareView,
+  renderShareError,
+};
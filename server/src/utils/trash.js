@@ -0,0 +1,43 @@
+/**
+ * Trash
+ *
+ * Deleted documents stay in the Trash (invoices.deleted_at) until the
+ * user restores or purges them, or until they have been there for the
+ * user's retention period, when the purge job removes them for good.
+ */
+
+/** Days a document stays in the Trash unless the user changes it */
+const DEFAULT_RETENTION_DAYS = 30;
+
+/** Longest retention period that can be chosen */
+const MAX_RETENTION_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a document in the Trash is removed for good.
+ * @param {string} deletedAt - When it was moved to the Trash (ISO)
+ * @param {number} [retentionDays]
+ * @returns {string} ISO timestamp
+ */
+function getPurgeDate(deletedAt, retentionDays = DEFAULT_RETENTION_DAYS) {
+  return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS).toISOString();
+}
+
+/**
+ * Whether a document has been in the Trash for the whole retention period.
+ * @param {string} deletedAt - When it was moved to the Trash (ISO)
+ * @param {number} [retentionDays]
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isPurgeDue(deletedAt, retentionDays = DEFAULT_RETENTION_DAYS, now = new Date()) {
+  return new Date(getPurgeDate(deletedAt, retentionDays)) <= now;
+}
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  MAX_RETENTION_DAYS,
+  getPurgeDate,
+  isPurgeDue,
+};
@@ -0,0 +1,56 @@
+/**
+ * Units of Measure
+ *
+ * Quantity and dimension formatting for line items. Mirrors
+ * client/src/utils/units.js so the PDF prints quantities the same way
+ * the invoice form shows them.
+ *
+ * Dimensions are stored on a line as `{ system, length, width, count }`:
+ * lengths are in inches for the "ft" system and in millimetres for "mm";
+ * `width` is null for running measurements.
+ */
+
+/** Measuring systems accepted by the dimensions helper */
+const DIMENSION_SYSTEMS = ['ft', 'mm'];
+
+const INCHES_PER_FOOT = 12;
+
+/**
+ * Formats a quantity with its unit, e.g. "42.5 sq.ft" (or just "3").
+ * @param {number|string} quantity
+ * @param {string} [unit]
+ * @returns {string}
+ */
+function formatQuantity(quantity, unit) {
+  const qty = String(parseFloat((Number(quantity) || 0).toFixed(3)));
+  return unit ? `${qty} ${unit}` : qty;
+}
+
+function formatFeetInches(totalInches) {
+  const feet = Math.floor(totalInches / INCHES_PER_FOOT);
+  const inches = parseFloat((totalInches - feet * INCHES_PER_FOOT).toFixed(2));
+  if (!inches) return `${feet}'`;
+  return feet ? `${feet}' ${inches}"` : `${inches}"`;
+}
+
+/**
+ * Formats dimensions for display, e.g. `8' 6" × 5' × 2` or `2400 × 600 mm`.
+ * @param {object} [dims]
+ * @returns {string} Empty string when there are no dimensions
+ */
+function formatDimensions(dims) {
+  if (!dims || !(Number(dims.length) > 0)) return '';
+
+  const sides = [dims.length, dims.width].filter((v) => Number(v) > 0).map(Number);
+  const text = dims.system === 'mm'
+    ? `${sides.join(' × ')} mm`
+    : sides.map(formatFeetInches).join(' × ');
+
+  return Number(dims.count) > 1 ? `${text} × ${dims.count}` : text;
+}
+
+module.exports = {
+  DIMENSION_SYSTEMS,
+  formatQuantity,
+  formatDimensions,
+};
@@ -0,0 +1,65 @@
+/**
+ * UPI Payment Links
+ *
+ * Builds `upi://pay` deep links (NPCI UPI linking specification).
+ * Encoded into a QR code, the link opens any UPI app (GPay, PhonePe,
+ * Paytm, BHIM) with the payee, amount and note already filled in.
+ */
+
+const { roundMoney } = require('./helpers');
+const { getBalanceDue } = require('./paymentStatus');
+
+/**
+ * Builds a UPI payment deep link.
+ * @param {object} params
+ * @param {string} params.vpa - Payee UPI ID (e.g., "crown@okaxis")
+ * @param {string} params.name - Payee name shown in the UPI app
+ * @param {number} [params.amount] - Amount in rupees (omitted when not positive)
+ * @param {string} [params.note] - Transaction note (e.g., the invoice number)
+ * @returns {string} e.g. "upi://pay?pa=crown@okaxis&pn=Crown%20Interiors&am=1500.00&cu=INR&tn=CI-042"
+ */
+function buildUpiLink({ vpa, name, amount, note }) {
+  const params = [
+    ['pa', vpa],
+    ['pn', name],
+    ...(amount > 0 ? [['am', roundMoney(amount).toFixed(2)]] : []),
+    ['cu', 'INR'],
+    ...(note ? [['tn', note]] : []),
+  ];
+
+  // "@" is legal in a query string and some UPI apps reject "%40" in the VPA
+  return `upi://pay?${params
+    .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`)
+    .join('&')}`;
+}
+
+/**
+ * Builds the UPI link for collecting an invoice's balance due.
+ * @param {object} invoice - Invoice record
+ * @param {object} business - Business profile (`upi_id`, `name`)
+ * @returns {string|null} The link, or null when there is nothing to collect
+ *   (estimates, cancelled or fully paid invoices, or no UPI ID on the profile)
+ */
+function getInvoiceUpiLink(invoice, business) {
+  const balanceDue = getBalanceDue(invoice);
+  if (
+    invoice.document_type !== 'invoice' ||
+    invoice.status === 'cancelled' ||
+    !business.upi_id ||
+    balanceDue <= 0
+  ) {
+    return null;
+  }
+
+  return buildUpiLink({
+    vpa: business.upi_id,
+    name: business.account_name || business.name,
+    amount: balanceDue,
+    note: invoice.invoice_number,
+  });
+}
+
+module.exports = {
+  buildUpiLink,
+  getInvoiceUpiLink,
+};
@@ -0,0 +1,35 @@
+/**
+ * Catalog Validation Schemas (Joi)
+ *
+ * Schemas:
+ *   - createCatalogItemSchema → POST /api/catalog
+ *   - updateCatalogItemSchema → PUT  /api/catalog/:id (all fields optional)
+ */
+
+const Joi = require('joi');
+const { GST_RATES } = require('../utils/gst');
+
+// ── Create Catalog Item Schema ──
+// Field rules mirror the service line item in invoiceSchema.js
+const createCatalogItemSchema = Joi.object({
+  description: Joi.string().trim().required().min(2).max(200)
+    .messages({ 'string.min': 'Service description must be at least 2 characters' }),
+  unit: Joi.string().trim().allow('', null).max(20),
+  default_rate: Joi.number().min(0).max(99999999).default(0),
+  hsn_sac: Joi.string().pattern(/^[0-9]{4,8}$/).allow('', null)
+    .messages({ 'string.pattern.base': 'HSN/SAC code must be 4–8 digits' }),
+  tax_rate: Joi.number().valid(...GST_RATES).allow(null)
+    .messages({ 'any.only': `GST rate must be one of: ${GST_RATES.join(', ')}` }),
+  category: Joi.string().trim().allow('', null).max(50),
+});
+
+// ── Update Catalog Item Schema ──
+const updateCatalogItemSchema = createCatalogItemSchema.fork(
+  ['description'],
+  (schema) => schema.optional()
+);
+
+module.exports = {
+  createCatalogItemSchema,
+  updateCatalogItemSchema,
+};
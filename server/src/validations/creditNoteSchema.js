@@ -0,0 +1,28 @@
+/**
+ * Credit Note Validation Schemas (Joi)
+ *
+ * Schemas:
+ *   - createCreditNoteSchema → POST /api/invoices/:id/credit-notes
+ */
+
+const Joi = require('joi');
+const { CREDIT_NOTE_REASONS } = require('../utils/creditNotes');
+
+// ── Create Credit Note Schema ──
+// Without `lines`, everything still left on the invoice is credited
+const createCreditNoteSchema = Joi.object({
+  reason: Joi.string().valid(...CREDIT_NOTE_REASONS).required()
+    .messages({ 'any.only': `Reason must be one of: ${CREDIT_NOTE_REASONS.join(', ')}` }),
+  credit_date: Joi.date().iso().required()
+    .messages({ 'date.format': 'Credit note date must be in ISO format (YYYY-MM-DD)' }),
+  lines: Joi.array().min(1).max(100).items(Joi.object({
+    line: Joi.number().integer().min(0).required(),
+    quantity: Joi.number().positive().max(999999).required()
+      .messages({ 'number.positive': 'Quantity to credit must be greater than zero' }),
+  })).allow(null).default(null),
+  notes: Joi.string().allow('', null).max(1000),
+});
+
+module.exports = {
+  createCreditNoteSchema,
+};
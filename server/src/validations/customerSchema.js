@@ -0,0 +1,48 @@
+/**
+ * Customer Validation Schemas (Joi)
+ *
+ * Schemas:
+ *   - createCustomerSchema  → POST /api/customers
+ *   - updateCustomerSchema  → PUT  /api/customers/:id (all fields optional)
+ *   - mergeCustomersSchema  → POST /api/customers/merge
+ */
+
+const Joi = require('joi');
+const { isValidGstin } = require('../utils/gst');
+
+// ── Create Customer Schema ──
+// Field rules mirror the customer_* fields in invoiceSchema.js
+const createCustomerSchema = Joi.object({
+  name: Joi.string().required().min(2).max(100)
+    .messages({ 'string.min': 'Customer name must be at least 2 characters' }),
+  phone: Joi.string().required().pattern(/^[+]?[0-9]{10,13}$/)
+    .messages({ 'string.pattern.base': 'Phone number must be 10–13 digits, optionally starting with +' }),
+  address: Joi.string().allow('', null).max(300),
+  email: Joi.string().email().allow('', null)
+    .messages({ 'string.email': 'Please provide a valid email address' }),
+  gstin: Joi.string().uppercase().allow('', null)
+    .custom((value, helpers) => (
+      !value || isValidGstin(value) ? value : helpers.error('string.gstin')
+    ))
+    .messages({ 'string.gstin': 'GSTIN is not valid' }),
+  notes: Joi.string().allow('', null).max(1000),
+});
+
+// ── Update Customer Schema ──
+const updateCustomerSchema = createCustomerSchema.fork(
+  ['name', 'phone'],
+  (schema) => schema.optional()
+);
+
+// ── Merge Customers Schema ──
+const mergeCustomersSchema = Joi.object({
+  target_id: Joi.string().guid().required(),
+  source_ids: Joi.array().items(Joi.string().guid()).min(1).required()
+    .messages({ 'array.min': 'Select at least one customer to merge' }),
+});
+
+module.exports = {
+  createCustomerSchema,
+  updateCustomerSchema,
+  mergeCustomersSchema,
+};
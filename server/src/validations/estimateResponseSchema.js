@@ -0,0 +1,35 @@
+/**
+ * Estimate Response Validation Schema (Joi)
+ *
+ * Schemas:
+ *   - estimateResponseSchema → POST /public/invoices/:token/response
+ *     (a form post from the customer's share page)
+ */
+
+const Joi = require('joi');
+const {
+  RESPONSE_DECISIONS,
+  MAX_COMMENT_LENGTH,
+  isSignatureImage,
+} = require('../utils/estimateResponses');
+
+const signatureRule = Joi.string().custom((value, helpers) => (
+  isSignatureImage(value) ? value : helpers.error('any.invalid')
+)).messages({ 'any.invalid': 'Signature must be a PNG image' });
+
+// ── Estimate Response Schema ──
+// Accepting needs a signature; a rejection's empty signature field is dropped
+const estimateResponseSchema = Joi.object({
+  decision: Joi.string().valid(...RESPONSE_DECISIONS).required(),
+  signer_name: Joi.string().trim().min(1).max(100).required(),
+  comment: Joi.string().trim().max(MAX_COMMENT_LENGTH).allow('').default(''),
+  signature_image: Joi.when('decision', {
+    is: 'accepted',
+    then: signatureRule.required(),
+    otherwise: Joi.any().strip(),
+  }),
+});
+
+module.exports = {
+  estimateResponseSchema,
+};
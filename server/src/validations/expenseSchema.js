@@ -0,0 +1,46 @@
+/**
+ * Expense Validation Schemas (Joi)
+ *
+ * Schemas:
+ *   - createExpenseSchema → POST /api/expenses
+ *   - updateExpenseSchema → PUT  /api/expenses/:id (all fields optional)
+ *   - receiptSchema       → PUT  /api/expenses/:id/receipt
+ */
+
+const Joi = require('joi');
+const { EXPENSE_CATEGORIES } = require('../utils/expenses');
+
+// ── Create Expense Schema ──
+// invoice_id links the expense to a job; project_id to a project as a
+// whole (ignored when it is for a job, which has its own project)
+const createExpenseSchema = Joi.object({
+  category: Joi.string().valid(...EXPENSE_CATEGORIES).required()
+    .messages({ 'any.only': `Category must be one of: ${EXPENSE_CATEGORIES.join(', ')}` }),
+  vendor: Joi.string().trim().allow('', null).max(100),
+  description: Joi.string().trim().allow('', null).max(200),
+  amount: Joi.number().positive().max(99999999).precision(2).required()
+    .messages({ 'number.positive': 'Amount must be greater than zero' }),
+  expense_date: Joi.date().iso().required()
+    .messages({ 'date.format': 'Expense date must be in ISO format (YYYY-MM-DD)' }),
+  invoice_id: Joi.string().uuid().allow(null),
+  project_id: Joi.string().uuid().allow(null),
+});
+
+// ── Update Expense Schema ──
+const updateExpenseSchema = createExpenseSchema.fork(
+  ['category', 'amount', 'expense_date'],
+  (schema) => schema.optional()
+);
+
+// ── Receipt Schema ──
+// A photo as a data URL; type and size are checked when it is decoded
+const receiptSchema = Joi.object({
+  image: Joi.string().pattern(/^data:image\//).required()
+    .messages({ 'string.pattern.base': 'Receipt must be an image' }),
+});
+
+module.exports = {
+  createExpenseSchema,
+  updateExpenseSchema,
+  receiptSchema,
+};
@@ -9,19 +9,63 @@
  *   - createInvoiceSchema  → POST /api/invoices
  *   - updateInvoiceSchema  → PUT  /api/invoices/:id (all fields optional)
  *   - updateStatusSchema   → PUT  /api/invoices/:id/status
+ *   - previewPdfSchema     → POST /api/invoices/pdf/preview
  */
 
 const Joi = require('joi');
+const { GST_RATES, GST_STATES, isValidGstin } = require('../utils/gst');
+const { PDF_TEMPLATE_IDS } = require('../utils/pdfTemplates');
+const { DIMENSION_SYSTEMS } = require('../utils/units');
+const { DISCOUNT_TYPES } = require('../utils/invoiceTotals');
+const { MANUAL_STATUSES } = require('../utils/invoiceStatus');
+
+// ── GSTIN Rule ──
+// Format + check digit; stored upper-case
+const gstinRule = (label) => Joi.string().uppercase().allow('', null)
+  .custom((value, helpers) => (
+    !value || isValidGstin(value) ? value : helpers.error('string.gstin')
+  ))
+  .messages({ 'string.gstin': `${label} is not a valid GSTIN` });
+
+// ── Discount Rules ──
+// A percentage can't exceed 100; the rupee value is worked out on the server
+const discountTypeRule = Joi.string().valid(...DISCOUNT_TYPES)
+  .messages({ 'any.only': 'Discount type must be either "flat" or "percent"' });
+const discountValueRule = Joi.number().min(0).max(99999999).when('discount_type', {
+  is: 'percent',
+  then: Joi.number().max(100).messages({ 'number.max': 'Discount percentage cannot exceed 100' }),
+});
 
 // ── Service Line Item Schema ──
 const serviceSchema = Joi.object({
   description: Joi.string().required().min(2).max(200)
     .messages({ 'string.min': 'Service description must be at least 2 characters' }),
-  quantity: Joi.number().required().min(1).max(9999)
-    .messages({ 'number.min': 'Quantity must be at least 1' }),
+  // Fractional quantities are allowed (42.5 sq.ft); kept to 3 decimals
+  quantity: Joi.number().required().greater(0).max(99999).precision(3)
+    .messages({ 'number.greater': 'Quantity must be greater than 0' }),
+  unit: Joi.string().trim().allow('', null).max(20),
+  // Measurements the quantity was worked out from (inches or mm)
+  dimensions: Joi.object({
+    system: Joi.string().valid(...DIMENSION_SYSTEMS).required(),
+    length: Joi.number().greater(0).max(1000000).required(),
+    width: Joi.number().greater(0).max(1000000).allow(null),
+    count: Joi.number().integer().min(1).max(9999).default(1),
+  }).allow(null),
   rate: Joi.number().required().min(0).max(99999999)
     .messages({ 'number.max': 'Rate exceeds maximum allowed value' }),
+  // Line amount after the line discount (GST is charged on this)
   amount: Joi.number().required().min(0),
+  discount_type: discountTypeRule,
+  discount_value: discountValueRule,
+  discount_amount: Joi.number().min(0),
+  hsn_sac: Joi.string().pattern(/^[0-9]{4,8}$/).allow('', null)
+    .messages({ 'string.pattern.base': 'HSN/SAC code must be 4–8 digits' }),
+  tax_rate: Joi.number().valid(...GST_RATES)
+    .messages({ 'any.only': `GST rate must be one of: ${GST_RATES.join(', ')}` }),
+  // Set when the line was filled from the catalog (drives usage stats)
+  catalog_item_id: Joi.string().guid().allow(null),
+  // Extra detail printed under the description on the "detailed" template
+  notes: Joi.string().allow('', null).max(300),
 });
 
 // ── Create Invoice Schema ──
@@ -31,6 +75,9 @@ const createInvoiceSchema = Joi.object({
     .messages({ 'any.only': 'Document type must be either "invoice" or "estimate"' }),
 
   // Customer details
+  // customer_id links to the customer directory; the fields below are
+  // still stored on the invoice as a snapshot of what was billed
+  customer_id: Joi.string().guid().allow(null),
   customer_name: Joi.string().required().min(2).max(100)
     .messages({ 'string.min': 'Customer name must be at least 2 characters' }),
   customer_phone: Joi.string().required().pattern(/^[+]?[0-9]{10,13}$/)
@@ -38,6 +85,15 @@ const createInvoiceSchema = Joi.object({
   customer_address: Joi.string().allow('', null).max(300),
   customer_email: Joi.string().email().allow('', null)
     .messages({ 'string.email': 'Please provide a valid email address' }),
+  customer_gstin: gstinRule('Customer GSTIN'),
+
+  // The project (job at a site) this document belongs to
+  project_id: Joi.string().guid().allow(null),
+
+  // GST registration & place of supply (decides CGST/SGST vs IGST)
+  business_gstin: gstinRule('Business GSTIN'),
+  place_of_supply: Joi.string().valid(...Object.keys(GST_STATES)).allow(null)
+    .messages({ 'any.only': 'Place of supply must be a valid GST state code' }),
 
   // Services (at least one line item required)
   services: Joi.array().items(serviceSchema).min(1).required()
@@ -52,7 +108,13 @@ const createInvoiceSchema = Joi.object({
     otherwise: Joi.optional(),
   }),
   tax_amount: Joi.number().required().min(0),
-  discount_amount: Joi.number().min(0).default(0),
+  // Invoice discount, taken off after tax; discount_amount is its rupee value
+  discount_type: discountTypeRule,
+  discount_value: discountValueRule,
+  discount_amount: Joi.number().min(0),
+  // Round the total to the nearest rupee (round_off_amount is the adjustment)
+  round_off: Joi.boolean(),
+  round_off_amount: Joi.number().min(-0.5).max(0.5),
   total_amount: Joi.number().required().min(0),
 
   // Dates
@@ -62,13 +124,18 @@ const createInvoiceSchema = Joi.object({
 
   // Additional
   notes: Joi.string().allow('', null).max(1000),
+
+  // PDF layout for this document (null → business default)
+  pdf_template: Joi.string().valid(...PDF_TEMPLATE_IDS).allow(null)
+    .messages({ 'any.only': `PDF template must be one of: ${PDF_TEMPLATE_IDS.join(', ')}` }),
 });
 
 // ── Update Invoice Schema ──
-// Same structure as create, but all required fields become optional
+// Same structure as create, but all required fields become optional.
+// The document type is fixed once created (an estimate becomes an
+// invoice only through conversion), so it is dropped from updates.
 const updateInvoiceSchema = createInvoiceSchema.fork(
   [
-    'document_type',
     'customer_name',
     'customer_phone',
     'services',
@@ -79,16 +146,28 @@ const updateInvoiceSchema = createInvoiceSchema.fork(
     'invoice_date',
   ],
   (schema) => schema.optional()
-);
+).fork(['document_type'], (schema) => schema.strip());
 
 // ── Update Status Schema ──
+// 'partially_paid' and 'paid' are derived from recorded payments and
+// 'overdue' from the due date, so only these can be set by hand
+// (which moves are allowed is checked by utils/invoiceStatus.js).
 const updateStatusSchema = Joi.object({
-  status: Joi.string().valid('draft', 'sent', 'paid').required()
-    .messages({ 'any.only': 'Status must be one of: draft, sent, paid' }),
+  status: Joi.string().valid(...MANUAL_STATUSES).required()
+    .messages({ 'any.only': `Status must be one of: ${MANUAL_STATUSES.join(', ')} (record a payment to mark as paid)` }),
+});
+
+// ── PDF Preview Schema ──
+// An unsaved document from the create / edit form. The edit form also
+// sends the existing number and amount received so the preview matches.
+const previewPdfSchema = createInvoiceSchema.keys({
+  invoice_number: Joi.string().max(50).allow('', null),
+  amount_paid: Joi.number().min(0).default(0),
 });
 
 module.exports = {
   createInvoiceSchema,
   updateInvoiceSchema,
   updateStatusSchema,
+  previewPdfSchema,
 };
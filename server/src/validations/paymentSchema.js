@@ -0,0 +1,28 @@
+/**
+ * Payment Validation Schemas (Joi)
+ *
+ * Schemas:
+ *   - createPaymentSchema → POST /api/invoices/:id/payments
+ */
+
+const Joi = require('joi');
+
+/** Accepted payment modes (mirrors the check constraint on payments.mode) */
+const PAYMENT_MODES = ['cash', 'upi', 'bank_transfer', 'cheque', 'card', 'other'];
+
+// ── Create Payment Schema ──
+const createPaymentSchema = Joi.object({
+  amount: Joi.number().required().positive().max(99999999).precision(2)
+    .messages({ 'number.positive': 'Payment amount must be greater than zero' }),
+  payment_date: Joi.date().iso().required()
+    .messages({ 'date.format': 'Payment date must be in ISO format (YYYY-MM-DD)' }),
+  mode: Joi.string().valid(...PAYMENT_MODES).required()
+    .messages({ 'any.only': `Payment mode must be one of: ${PAYMENT_MODES.join(', ')}` }),
+  reference: Joi.string().allow('', null).max(100),
+  notes: Joi.string().allow('', null).max(500),
+});
+
+module.exports = {
+  PAYMENT_MODES,
+  createPaymentSchema,
+};
@@ -0,0 +1,44 @@
+/**
+ * Project Validation Schemas (Joi)
+ *
+ * Schemas:
+ *   - createProjectSchema → POST /api/projects
+ *   - updateProjectSchema → PUT  /api/projects/:id (all fields optional)
+ */
+
+const Joi = require('joi');
+const { PROJECT_STAGES } = require('../utils/projects');
+
+// ── Create Project Schema ──
+// customer_id links the project to the customer directory
+const createProjectSchema = Joi.object({
+  name: Joi.string().trim().required().min(2).max(100)
+    .messages({ 'string.min': 'Project name must be at least 2 characters' }),
+  customer_id: Joi.string().guid().allow(null),
+  site_address: Joi.string().trim().allow('', null).max(300),
+  stage: Joi.string().valid(...PROJECT_STAGES)
+    .messages({ 'any.only': `Stage must be one of: ${PROJECT_STAGES.join(', ')}` }),
+  start_date: Joi.date().iso().allow(null)
+    .messages({ 'date.format': 'Start date must be in ISO format (YYYY-MM-DD)' }),
+  end_date: Joi.date().iso().allow(null)
+    .when('start_date', {
+      is: Joi.date().required(),
+      then: Joi.date().min(Joi.ref('start_date')),
+    })
+    .messages({
+      'date.format': 'End date must be in ISO format (YYYY-MM-DD)',
+      'date.min': 'End date cannot be before the start date',
+    }),
+  notes: Joi.string().allow('', null).max(1000),
+});
+
+// ── Update Project Schema ──
+const updateProjectSchema = createProjectSchema.fork(
+  ['name'],
+  (schema) => schema.optional()
+);
+
+module.exports = {
+  createProjectSchema,
+  updateProjectSchema,
+};
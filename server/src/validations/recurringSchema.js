@@ -0,0 +1,48 @@
+/**
+ * Recurring Profile Validation Schemas (Joi)
+ *
+ * Schemas:
+ *   - createRecurringSchema → POST /api/recurring
+ *   - updateRecurringSchema → PUT  /api/recurring/:id (all fields optional;
+ *     the source invoice cannot change)
+ */
+
+const Joi = require('joi');
+const { RECURRING_FREQUENCIES } = require('../utils/recurring');
+
+// ── Create Recurring Profile Schema ──
+// The invoice to re-issue; name defaults to its customer's name
+const createRecurringSchema = Joi.object({
+  source_invoice_id: Joi.string().guid().required()
+    .messages({ 'any.required': 'Choose the invoice to repeat' }),
+  name: Joi.string().trim().allow('', null).max(100),
+  frequency: Joi.string().valid(...RECURRING_FREQUENCIES).required()
+    .messages({ 'any.only': `Frequency must be one of: ${RECURRING_FREQUENCIES.join(', ')}` }),
+  day_of_month: Joi.number().integer().min(1).max(31).required()
+    .messages({ 'number.min': 'Day of month must be 1 to 31', 'number.max': 'Day of month must be 1 to 31' }),
+  start_date: Joi.date().iso().required()
+    .messages({ 'date.format': 'Start date must be in ISO format (YYYY-MM-DD)' }),
+  end_date: Joi.date().iso().allow(null)
+    .when('start_date', {
+      is: Joi.date().required(),
+      then: Joi.date().min(Joi.ref('start_date')),
+    })
+    .messages({
+      'date.format': 'End date must be in ISO format (YYYY-MM-DD)',
+      'date.min': 'End date cannot be before the start date',
+    }),
+  due_days: Joi.number().integer().min(0).max(365).allow(null)
+    .messages({ 'number.max': 'Payment terms cannot be more than 365 days' }),
+  auto_send: Joi.boolean(),
+  active: Joi.boolean(),
+});
+
+// ── Update Recurring Profile Schema ──
+const updateRecurringSchema = createRecurringSchema
+  .fork(['frequency', 'day_of_month', 'start_date'], (schema) => schema.optional())
+  .fork(['source_invoice_id'], (schema) => schema.forbidden());
+
+module.exports = {
+  createRecurringSchema,
+  updateRecurringSchema,
+};
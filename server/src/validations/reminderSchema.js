@@ -0,0 +1,39 @@
+/**
+ * Reminder Validation Schemas (Joi)
+ *
+ * Schemas:
+ *   - reminderScheduleSchema → PUT  /api/invoices/:id/reminders
+ *   - sendReminderSchema     → POST /api/invoices/:id/reminders
+ */
+
+const Joi = require('joi');
+const { PDF_LANGUAGES } = require('../utils/pdfLabels');
+const { REMINDER_KINDS, REMINDER_CHANNELS } = require('../utils/reminders');
+
+const channelRule = Joi.string().valid(...REMINDER_CHANNELS)
+  .messages({ 'any.only': `Channel must be one of: ${REMINDER_CHANNELS.join(', ')}` });
+
+// ── Reminder Schedule Schema ──
+// null clears the override so the invoice follows the user's defaults
+const reminderScheduleSchema = Joi.object({
+  schedule: Joi.object({
+    enabled: Joi.boolean().required(),
+    days_before: Joi.number().integer().min(0).max(30).required(),
+    on_due_date: Joi.boolean().required(),
+    repeat_after_days: Joi.number().integer().min(0).max(60).required(),
+    channel: channelRule.required(),
+    language: Joi.string().valid(...PDF_LANGUAGES).required(),
+  }).allow(null).required(),
+});
+
+// ── Send Reminder Schema ──
+const sendReminderSchema = Joi.object({
+  channel: channelRule.required(),
+  kind: Joi.string().valid(...REMINDER_KINDS),
+  language: Joi.string().valid(...PDF_LANGUAGES),
+});
+
+module.exports = {
+  reminderScheduleSchema,
+  sendReminderSchema,
+};
@@ -0,0 +1,118 @@
+/**
+ * Settings Validation Schemas (Joi)
+ *
+ * Schemas:
+ *   - numberingSettingsSchema → PUT /api/settings/numbering
+ *   - businessSettingsSchema  → PUT /api/settings/business
+ *   - reminderSettingsSchema  → PUT /api/settings/reminders
+ *   - trashSettingsSchema     → PUT /api/settings/trash
+ */
+
+const Joi = require('joi');
+const { isValidGstin } = require('../utils/gst');
+const { PDF_TEMPLATE_IDS, DEFAULT_PDF_TEMPLATE } = require('../utils/pdfTemplates');
+const { PDF_LANGUAGES } = require('../utils/pdfLabels');
+const { REMINDER_KINDS, REMINDER_CHANNELS } = require('../utils/reminders');
+const { MAX_RETENTION_DAYS } = require('../utils/trash');
+
+// ~300 KB once base64-encoded; keeps the profile row and PDF small
+const MAX_IMAGE_LENGTH = 400000;
+
+// Letters and digits only, so the prefix can't clash with the "-" / "/" separators
+const prefixRule = Joi.string().pattern(/^[A-Za-z0-9]{1,10}$/)
+  .messages({ 'string.pattern.base': 'Prefix must be 1–10 letters or digits' });
+
+// ── Numbering Settings Schema ──
+const numberingSettingsSchema = Joi.object({
+  invoice_prefix: prefixRule.required(),
+  estimate_prefix: prefixRule.required(),
+  credit_note_prefix: prefixRule.default('CN'),
+  padding: Joi.number().integer().min(1).max(8).required(),
+  reset_yearly: Joi.boolean().required(),
+}).custom((value, helpers) => {
+  // Separate series must stay distinguishable
+  const prefixes = [value.invoice_prefix, value.estimate_prefix, value.credit_note_prefix]
+    .map((prefix) => prefix.toUpperCase());
+  if (new Set(prefixes).size < prefixes.length) {
+    return helpers.message('Invoice, estimate and credit note prefixes must all be different');
+  }
+  return value;
+});
+
+// PNG / JPEG only (the formats pdfmake can embed), as a base64 data URL
+const imageRule = Joi.string().allow('', null)
+  .max(MAX_IMAGE_LENGTH)
+  .pattern(/^data:image\/(png|jpeg);base64,[A-Za-z0-9+/]+=*$/)
+  .messages({
+    'string.pattern.base': 'Image must be a PNG or JPEG',
+    'string.max': 'Image must be smaller than 300 KB',
+  });
+
+// ── Business Profile Schema ──
+const businessSettingsSchema = Joi.object({
+  name: Joi.string().required().min(2).max(100)
+    .messages({ 'string.min': 'Business name must be at least 2 characters' }),
+  tagline: Joi.string().allow('', null).max(120),
+  address: Joi.string().allow('', null).max(300),
+  phone: Joi.string().allow('', null).pattern(/^[+]?[0-9]{10,13}$/)
+    .messages({ 'string.pattern.base': 'Phone number must be 10–13 digits, optionally starting with +' }),
+  email: Joi.string().email().allow('', null)
+    .messages({ 'string.email': 'Please provide a valid email address' }),
+  gstin: Joi.string().uppercase().allow('', null)
+    .custom((value, helpers) => (
+      !value || isValidGstin(value) ? value : helpers.error('string.gstin')
+    ))
+    .messages({ 'string.gstin': 'GSTIN is not valid' }),
+  logo_image: imageRule,
+  signature_image: imageRule,
+
+  // Bank / UPI details printed for payment
+  bank_name: Joi.string().allow('', null).max(100),
+  account_name: Joi.string().allow('', null).max(100),
+  account_number: Joi.string().allow('', null).pattern(/^[0-9]{6,18}$/)
+    .messages({ 'string.pattern.base': 'Account number must be 6–18 digits' }),
+  ifsc: Joi.string().uppercase().allow('', null).pattern(/^[A-Z]{4}0[A-Z0-9]{6}$/)
+    .messages({ 'string.pattern.base': 'IFSC must look like SBIN0001234' }),
+  upi_id: Joi.string().allow('', null).pattern(/^[\w.-]{2,256}@[a-zA-Z]{2,64}$/)
+    .messages({ 'string.pattern.base': 'UPI ID must look like name@bank' }),
+
+  default_terms: Joi.string().allow('', null).max(1000),
+  footer_text: Joi.string().allow('', null).max(150),
+
+  // Layout used for documents that don't pick their own
+  pdf_template: Joi.string().valid(...PDF_TEMPLATE_IDS).default(DEFAULT_PDF_TEMPLATE)
+    .messages({ 'any.only': `PDF template must be one of: ${PDF_TEMPLATE_IDS.join(', ')}` }),
+
+  // New invoices round their total to the nearest rupee
+  round_off: Joi.boolean().default(false),
+});
+
+// Blank → built-in wording for that kind and language
+const templateRule = Joi.string().allow('').max(1000);
+
+// ── Reminder Settings Schema ──
+const reminderSettingsSchema = Joi.object({
+  days_before: Joi.number().integer().min(0).max(30).required(),
+  on_due_date: Joi.boolean().required(),
+  repeat_after_days: Joi.number().integer().min(0).max(60).required(),
+  channel: Joi.string().valid(...REMINDER_CHANNELS).required()
+    .messages({ 'any.only': `Channel must be one of: ${REMINDER_CHANNELS.join(', ')}` }),
+  language: Joi.string().valid(...PDF_LANGUAGES).required(),
+  templates: Joi.object(
+    Object.fromEntries(
+      REMINDER_KINDS.map((kind) => [kind, Joi.object({ en: templateRule, ta: templateRule })])
+    )
+  ).allow(null),
+});
+
+// ── Trash Settings Schema ──
+const trashSettingsSchema = Joi.object({
+  retention_days: Joi.number().integer().min(1).max(MAX_RETENTION_DAYS).required(),
+});
+
+module.exports = {
+  numberingSettingsSchema,
+  businessSettingsSchema,
+  reminderSettingsSchema,
+  trashSettingsSchema,
+};
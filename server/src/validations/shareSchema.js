@@ -0,0 +1,20 @@
+/**
+ * Share Link Validation Schemas (Joi)
+ *
+ * Schemas:
+ *   - createShareLinkSchema → POST /api/invoices/:id/share
+ */
+
+const Joi = require('joi');
+const { MAX_SHARE_DAYS } = require('../utils/shareLinks');
+
+// ── Create Share Link Schema ──
+// null (or omitted) → the link never expires
+const createShareLinkSchema = Joi.object({
+  expires_in_days: Joi.number().integer().min(1).max(MAX_SHARE_DAYS).allow(null).default(null)
+    .messages({ 'number.max': `A link can stay valid for at most ${MAX_SHARE_DAYS} days` }),
+});
+
+module.exports = {
+  createShareLinkSchema,
+};